@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/catalog/price-books/page.js
+import React from "react";
+import PriceBooksPanel from "@/components/admin/catalog/price-books-panel";
+
+export default function PriceBooksAdminPage() {
+  return <PriceBooksPanel />;
+}
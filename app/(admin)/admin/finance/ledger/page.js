@@ -0,0 +1,7 @@
+//app/(admin)/admin/finance/ledger/page.js
+import React from "react";
+import LedgerPanel from "@/components/admin/finance/ledger-panel";
+
+export default function LedgerPage() {
+  return <LedgerPanel />;
+}
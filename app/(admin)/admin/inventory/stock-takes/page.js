@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/inventory/stock-takes/page.js
+import React from "react";
+import StockTakesPanel from "@/components/admin/inventory/stock-takes-panel";
+
+export default function StockTakesAdminPage() {
+  return <StockTakesPanel />;
+}
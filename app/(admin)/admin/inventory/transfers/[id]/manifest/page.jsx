@@ -0,0 +1,139 @@
+// FILE: app/(admin)/admin/inventory/transfers/[id]/manifest/page.jsx
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import prisma from "@/lib/prisma";
+import { notFound } from "next/navigation";
+import Link from "next/link";
+
+import ReceiptPrintButton from "@/components/admin/receipt-print-button";
+import { TRANSFER_INCLUDE, outstandingQty, transferNumber } from "@/lib/inventory/transfers";
+
+const ADDRESS = { select: { line1: true, line2: true, city: true, postalCode: true, phone: true } };
+
+function fmtDateTime(d) {
+  if (!d) return "—";
+  const dt = new Date(d);
+  if (Number.isNaN(dt.getTime())) return "—";
+  return dt.toLocaleString("en-GB", { year: "numeric", month: "short", day: "2-digit", hour: "2-digit", minute: "2-digit" });
+}
+
+function WarehouseBlock({ label, warehouse }) {
+  const a = warehouse.address;
+  return (
+    <div>
+      <div className="text-xs uppercase tracking-wide text-neutral-500">{label}</div>
+      <div className="font-medium">
+        {warehouse.name} ({warehouse.code})
+      </div>
+      {a && (
+        <div className="text-sm text-neutral-600">
+          {[a.line1, a.line2, a.city, a.postalCode].filter(Boolean).join(", ")}
+          {a.phone ? ` · ${a.phone}` : ""}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Printable transfer manifest: travels with the goods, signed at both ends. */
+export default async function TransferManifestPage(props) {
+  const params = await props?.params;
+  const id = String(params?.id || "").trim();
+  if (!id) notFound();
+
+  const t = await prisma.stockTransfer.findUnique({
+    where: { id },
+    include: {
+      ...TRANSFER_INCLUDE,
+      fromWarehouse: { select: { id: true, code: true, name: true, address: ADDRESS } },
+      toWarehouse: { select: { id: true, code: true, name: true, address: ADDRESS } },
+    },
+  });
+  if (!t) notFound();
+
+  const units = t.items.reduce((s, it) => s + it.quantity, 0);
+  const showReceipt = t.status === "PARTIALLY_RECEIVED" || t.status === "RECEIVED";
+
+  return (
+    <div className="mx-auto max-w-3xl space-y-6 bg-white p-6 text-sm">
+      <div className="flex items-center justify-between print:hidden">
+        <Link href="/admin/inventory/transfers" className="underline">
+          ← Transfers
+        </Link>
+        <ReceiptPrintButton label="Print manifest" />
+      </div>
+
+      <div className="flex items-start justify-between border-b pb-4">
+        <div>
+          <div className="text-xl font-semibold">Stock transfer manifest</div>
+          <div className="font-mono">{transferNumber(t.number)}</div>
+        </div>
+        <div className="text-right text-xs text-neutral-600">
+          <div>Status: {t.status.replace("_", " ").toLowerCase()}</div>
+          <div>Created: {fmtDateTime(t.createdAt)}</div>
+          <div>Dispatched: {fmtDateTime(t.dispatchedAt)}</div>
+          <div>Received: {fmtDateTime(t.receivedAt)}</div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-6">
+        <WarehouseBlock label="From" warehouse={t.fromWarehouse} />
+        <WarehouseBlock label="To" warehouse={t.toWarehouse} />
+      </div>
+
+      {t.note && <div className="rounded border p-3 text-neutral-700">{t.note}</div>}
+
+      <table className="min-w-full border text-sm">
+        <thead className="bg-neutral-50">
+          <tr>
+            <th className="px-3 py-2 text-left">#</th>
+            <th className="px-3 py-2 text-left">SKU</th>
+            <th className="px-3 py-2 text-left">Item</th>
+            <th className="px-3 py-2 text-right">Sent</th>
+            <th className="px-3 py-2 text-right">{showReceipt ? "Received" : "Received (✍)"}</th>
+            <th className="px-3 py-2 text-right">Short / damaged</th>
+          </tr>
+        </thead>
+        <tbody>
+          {t.items.map((it, i) => (
+            <tr key={it.id} className="border-t align-top">
+              <td className="px-3 py-2">{i + 1}</td>
+              <td className="px-3 py-2 font-mono text-xs">{it.variant?.sku || "—"}</td>
+              <td className="px-3 py-2">
+                {it.variant?.product?.name || "—"}
+                {it.variant?.title ? <span className="text-neutral-500"> · {it.variant.title}</span> : null}
+                {it.discrepancyNote && <div className="text-xs text-red-600">{it.discrepancyNote}</div>}
+              </td>
+              <td className="px-3 py-2 text-right font-medium">{it.quantity}</td>
+              <td className="px-3 py-2 text-right">
+                {showReceipt ? it.receivedQty : ""}
+                {showReceipt && outstandingQty(it) > 0 && (
+                  <div className="text-xs text-neutral-500">{outstandingQty(it)} in transit</div>
+                )}
+              </td>
+              <td className="px-3 py-2 text-right">{showReceipt ? it.discrepancyQty || "" : ""}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t font-medium">
+            <td className="px-3 py-2" colSpan={3}>
+              {t.items.length} line(s)
+            </td>
+            <td className="px-3 py-2 text-right">{units}</td>
+            <td colSpan={2} />
+          </tr>
+        </tfoot>
+      </table>
+
+      <div className="grid grid-cols-2 gap-6 pt-10">
+        {["Dispatched by", "Received by"].map((label) => (
+          <div key={label} className="border-t pt-2 text-xs text-neutral-600">
+            {label} (name, signature, date)
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/inventory/transfers/page.js
+import React from "react";
+import TransfersPanel from "@/components/admin/inventory/transfers-panel";
+
+export default function TransfersAdminPage() {
+  return <TransfersPanel />;
+}
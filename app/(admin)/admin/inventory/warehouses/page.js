@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/inventory/warehouses/page.js
+import React from "react";
+import WarehousesPanel from "@/components/admin/inventory/warehouses-panel";
+
+export default function WarehousesAdminPage() {
+  return <WarehousesPanel />;
+}
@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/logistics/pack/page.js
+import React from "react";
+import PackStationPanel from "@/components/admin/logistics/pack-station-panel";
+
+export default function PackStationAdminPage() {
+  return <PackStationPanel />;
+}
@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/logistics/shipping/page.js
+import React from "react";
+import ShippingPanel from "@/components/admin/logistics/shipping-panel";
+
+export default function ShippingAdminPage() {
+  return <ShippingPanel />;
+}
@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/notifications/deliverability/page.js
+import React from "react";
+import DeliverabilityPanel from "@/components/admin/notifications/deliverability-panel";
+
+export default function NotificationDeliverabilityPage() {
+  return <DeliverabilityPanel />;
+}
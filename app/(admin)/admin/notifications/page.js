@@ -1,6 +1,7 @@
 // FILE: app/(admin)/admin/notifications/page.js
 "use client";
 
+import Link from "next/link";
 import { useEffect, useMemo, useRef, useState } from "react";
 
 const NAVY = "#0F2147";
@@ -15,6 +16,9 @@ const TYPES = [
   "SECURITY_ALERT",
   "SUPPORT_REPLY",
   "ORDER_PLACED",
+  "ORDER_CONFIRMED",
+  "ORDER_SHIPPED",
+  "ORDER_OUT_FOR_DELIVERY",
   "ORDER_PAID",
   "ORDER_FULFILLED",
   "ORDER_DELIVERED",
@@ -385,6 +389,12 @@ export default function NotificationsAdminPage() {
             <PillButton tone={tab === "history" ? "gold" : "ghost"} onClick={() => setTab("history")}>
               History
             </PillButton>
+            <Link
+              href="/admin/notifications/deliverability"
+              className="inline-flex items-center justify-center rounded-full border border-neutral-200 bg-white px-4 py-2 text-sm font-semibold text-neutral-800 shadow-sm hover:bg-neutral-50"
+            >
+              Deliverability
+            </Link>
           </div>
         </div>
       </div>
@@ -403,7 +413,7 @@ export default function NotificationsAdminPage() {
             </select>
 
             <select value={status} onChange={(e) => setStatus(e.target.value)} className="rounded-full border border-neutral-200 px-3 py-2 text-sm bg-white">
-              {["all", "QUEUED", "DELIVERED", "FAILED"].map((s) => (
+              {["all", "QUEUED", "DELIVERED", "FAILED", "SKIPPED"].map((s) => (
                 <option key={s} value={s}>
                   {s}
                 </option>
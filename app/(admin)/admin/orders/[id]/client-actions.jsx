@@ -3,6 +3,7 @@
 
 import { useEffect, useMemo, useState } from "react";
 import { useRouter } from "next/navigation";
+import ShipmentTrackingPanel from "@/components/admin/logistics/shipment-tracking-panel";
 
 const STATUS_TRANSITIONS = {
   DRAFT: ["PLACED", "CANCELLED"],
@@ -100,6 +101,7 @@ export default function OrderDetailClient({ orderId }) {
   const [note, setNote] = useState("");
   const [courierCode, setCourierCode] = useState("PATHAO");
   const [serviceCode, setServiceCode] = useState("STANDARD");
+  const [shipmentId, setShipmentId] = useState("");
   const [feedback, setFeedback] = useState("");
 
   async function load() {
@@ -127,6 +129,12 @@ export default function OrderDetailClient({ orderId }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [orderId]);
 
+  // allocated parcels not yet booked; a split order books them one by one
+  const pendingShipments = useMemo(
+    () => (order?.shipments || []).filter((s) => s.status === "PENDING"),
+    [order?.shipments]
+  );
+
   const transitions = useMemo(() => {
     if (!order?.status) return [];
     const from = String(order.status).toUpperCase();
@@ -197,12 +205,17 @@ export default function OrderDetailClient({ orderId }) {
       const res = await fetch(`/api/admin/orders/${orderId}/shipments`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ courierCode: cc, serviceCode: sc }),
+        body: JSON.stringify({
+          courierCode: cc,
+          serviceCode: sc,
+          shipmentId: shipmentId || pendingShipments[0]?.id || null,
+        }),
       });
       const json = await res.json().catch(() => null);
       if (!res.ok) {
         throw new Error(json?.error || "Shipment booking failed");
       }
+      setShipmentId("");
       await load();
       setFeedback("Shipment booked successfully.");
     } catch (e) {
@@ -430,6 +443,20 @@ export default function OrderDetailClient({ orderId }) {
                 onChange={(e) => setServiceCode(e.target.value)}
               />
             </div>
+            {pendingShipments.length > 1 && (
+              <select
+                className="w-full rounded border px-2 py-1 text-xs"
+                value={shipmentId || pendingShipments[0].id}
+                onChange={(e) => setShipmentId(e.target.value)}
+              >
+                {pendingShipments.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.warehouse?.code || "No warehouse"} ·{" "}
+                    {s.items.reduce((sum, i) => sum + i.quantity, 0)} unit(s)
+                  </option>
+                ))}
+              </select>
+            )}
             <button
               type="button"
               onClick={bookShipment}
@@ -619,6 +646,8 @@ export default function OrderDetailClient({ orderId }) {
           </div>
         </div>
       </div>
+
+      <ShipmentTrackingPanel orderId={orderId} onChange={load} />
     </div>
   );
 }
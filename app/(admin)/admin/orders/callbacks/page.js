@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/orders/callbacks/page.js
+import React from "react";
+import CallbackRequestsPanel from "@/components/admin/orders/callback-requests-panel";
+
+export default function CallbackRequestsAdminPage() {
+  return <CallbackRequestsPanel />;
+}
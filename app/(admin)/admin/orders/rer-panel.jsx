@@ -2,6 +2,7 @@
 "use client";
 
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import Link from "next/link";
 
 const NAVY = "#0F2147";
 const GOLD = "#D4AF37";
@@ -346,7 +347,7 @@ function allowedActions(lane, statusRaw) {
       approve: status === "REQUESTED",
       deny: status === "REQUESTED",
       received: status === "APPROVED",
-      refunded: status === "RECEIVED",
+      refunded: status === "INSPECTED", // amount comes from QC grading on the RMA page
     };
   }
 
@@ -362,6 +363,7 @@ function allowedActions(lane, statusRaw) {
     return {
       process: status === "INITIATED",
       fail: status === "INITIATED",
+      sync: status === "PROCESSING",
     };
   }
 
@@ -370,17 +372,17 @@ function allowedActions(lane, statusRaw) {
 
 function badgeTone(st) {
   const s = String(st || "").toUpperCase();
-  if (["APPROVED", "RECEIVED", "REFUNDED", "FULFILLED", "PROCESSED"].includes(s))
+  if (["APPROVED", "RECEIVED", "INSPECTED", "REFUNDED", "FULFILLED", "PROCESSED"].includes(s))
     return "ok";
-  if (["REQUESTED", "INITIATED"].includes(s)) return "warn";
+  if (["REQUESTED", "INITIATED", "PROCESSING"].includes(s)) return "warn";
   if (["DENIED", "FAILED"].includes(s)) return "bad";
   return "";
 }
 
 function laneStatusOptions(lane) {
-  if (lane === "returns") return ["REQUESTED", "APPROVED", "RECEIVED", "REFUNDED", "DENIED"];
+  if (lane === "returns") return ["REQUESTED", "APPROVED", "RECEIVED", "INSPECTED", "REFUNDED", "DENIED"];
   if (lane === "exchanges") return ["REQUESTED", "APPROVED", "FULFILLED", "DENIED"];
-  if (lane === "refunds") return ["INITIATED", "PROCESSED", "FAILED"];
+  if (lane === "refunds") return ["INITIATED", "PROCESSING", "PROCESSED", "FAILED"];
   return [];
 }
 
@@ -465,6 +467,9 @@ function ManualEntryView({ loading, onCreate, onAfterCreate, setToast }) {
   const [mode, setMode] = useState("return"); // return | exchange | refund
   const [orderId, setOrderId] = useState("");
   const [amount, setAmount] = useState("");
+  const [refundTo, setRefundTo] = useState("ORIGINAL"); // ORIGINAL | STORE_CREDIT | SPLIT
+  const [creditPart, setCreditPart] = useState("");
+  const [refundable, setRefundable] = useState(null);
   const [reason, setReason] = useState("");
   const [note, setNote] = useState("");
 
@@ -545,6 +550,20 @@ function ManualEntryView({ loading, onCreate, onAfterCreate, setToast }) {
     };
   }, [orderId, resetSelection]);
 
+  // What is left to refund on the matched order (drives the hint and the split check).
+  const matchedOrderId = ol?.ok ? ol?.order?.id : null;
+  useEffect(() => {
+    setRefundable(null);
+    if (mode !== "refund" || !matchedOrderId) return;
+    let live = true;
+    jfetch(`/api/admin/rer/refunds/refundable?orderId=${encodeURIComponent(matchedOrderId)}`, { method: "GET" })
+      .then((d) => live && setRefundable(d?.summary || null))
+      .catch(() => {});
+    return () => {
+      live = false;
+    };
+  }, [mode, matchedOrderId]);
+
   const mustSelectItems = useMemo(() => {
     if (mode === "refund") return false;
     if (!ol?.ok || !ol?.order) return false;
@@ -565,12 +584,17 @@ function ManualEntryView({ loading, onCreate, onAfterCreate, setToast }) {
     // Prevent guaranteed server failure for numeric order numbers that could not be resolved
     if (numericInputNeedsResolution) return false;
 
-    if (mode === "refund") return n(amount, 0) > 0;
+    if (mode === "refund") {
+      if (!(n(amount, 0) > 0)) return false;
+      if (refundable && n(amount, 0) > n(refundable.refundable, 0)) return false;
+      if (refundTo === "SPLIT") return n(creditPart, 0) > 0 && n(creditPart, 0) < n(amount, 0);
+      return true;
+    }
 
     // If we have items, require explicit selection (prevents wrong manual records)
     if (mustSelectItems) return selectedItems.length > 0;
     return true;
-  }, [mode, orderId, amount, mustSelectItems, selectedItems.length, numericInputNeedsResolution]);
+  }, [mode, orderId, amount, refundTo, creditPart, refundable, mustSelectItems, selectedItems.length, numericInputNeedsResolution]);
 
   const submit = useCallback(async () => {
     const rawInput = String(orderId || "").trim();
@@ -586,6 +610,14 @@ function ManualEntryView({ loading, onCreate, onAfterCreate, setToast }) {
           ? {
               orderId: canonicalOrderId,
               amount: n(amount, 0),
+              ...(refundTo === "SPLIT"
+                ? {
+                    tenders: [
+                      { method: "STORE_CREDIT", amount: n(creditPart, 0) },
+                      { method: "ORIGINAL", amount: Number((n(amount, 0) - n(creditPart, 0)).toFixed(2)) },
+                    ],
+                  }
+                : { method: refundTo }),
               reason: reason.trim() || null,
               note: note.trim() || null,
             }
@@ -633,6 +665,8 @@ function ManualEntryView({ loading, onCreate, onAfterCreate, setToast }) {
 
       setOrderId("");
       setAmount("");
+      setRefundTo("ORIGINAL");
+      setCreditPart("");
       setReason("");
       setNote("");
       setOl({ loading: false, ok: false, error: "", order: null });
@@ -657,7 +691,7 @@ function ManualEntryView({ loading, onCreate, onAfterCreate, setToast }) {
         message: e?.message || "FAILED",
       });
     }
-  }, [mode, orderId, amount, reason, note, selectedItems, onCreate, onAfterCreate, setToast, ol]);
+  }, [mode, orderId, amount, refundTo, creditPart, reason, note, selectedItems, onCreate, onAfterCreate, setToast, ol]);
 
   const orderHeader = useMemo(() => {
     const o = ol?.order;
@@ -718,6 +752,11 @@ function ManualEntryView({ loading, onCreate, onAfterCreate, setToast }) {
               placeholder="e.g., 1500"
               disabled={loading}
             />
+            {refundable ? (
+              <div className="hint">
+                Refundable: {n(refundable.refundable, 0).toFixed(2)} of {n(refundable.paid, 0).toFixed(2)} paid
+              </div>
+            ) : null}
           </div>
         ) : (
           <div className="field">
@@ -732,6 +771,36 @@ function ManualEntryView({ loading, onCreate, onAfterCreate, setToast }) {
           </div>
         )}
 
+        {mode === "refund" ? (
+          <div className="field">
+            <div className="lbl">Refund to</div>
+            <select
+              className="inp"
+              value={refundTo}
+              onChange={(e) => setRefundTo(e.target.value)}
+              disabled={loading}
+            >
+              <option value="ORIGINAL">Original payment</option>
+              <option value="STORE_CREDIT" disabled={refundable ? !refundable.storeCredit : false}>
+                Store credit (wallet)
+              </option>
+              <option value="SPLIT" disabled={refundable ? !refundable.storeCredit : false}>
+                Split: store credit + original
+              </option>
+            </select>
+            {refundTo === "SPLIT" ? (
+              <input
+                className="inp"
+                style={{ marginTop: 6 }}
+                value={creditPart}
+                onChange={(e) => setCreditPart(e.target.value)}
+                placeholder="Store credit part (rest to original payment)"
+                disabled={loading}
+              />
+            ) : null}
+          </div>
+        ) : null}
+
         <div className="field">
           <div className="lbl">Note</div>
           <input
@@ -1334,6 +1403,21 @@ export default function RerPanel({ className, defaultTab = "overview", onOpenOrd
                     >
                       {orderId ? orderId.slice(0, 10) + "…" : "—"}
                     </button>
+                    {tab === "exchanges" && r?.replacementOrder ? (
+                      <div className="dim">
+                        Replacement{" "}
+                        <button
+                          className="link"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            if (onOpenOrderId) onOpenOrderId(r.replacementOrder.id);
+                          }}
+                          type="button"
+                        >
+                          #{r.replacementOrder.orderNumber}
+                        </button>
+                      </div>
+                    ) : null}
                   </div>
 
                   <div>
@@ -1405,6 +1489,12 @@ export default function RerPanel({ className, defaultTab = "overview", onOpenOrd
                           disabled={!allowed.fail || isBusy(`refunds:${id}:fail`) || loading}
                           onClick={() => doAction("refunds", id, "fail")}
                         />
+                        <PondAction
+                          label="Sync"
+                          tone="secondary"
+                          disabled={!allowed.sync || isBusy(`refunds:${id}:sync`) || loading}
+                          onClick={() => doAction("refunds", id, "sync")}
+                        />
                       </>
                     )}
                   </div>
@@ -1629,6 +1719,11 @@ export default function RerPanel({ className, defaultTab = "overview", onOpenOrd
           color:${MUTED};
           margin-bottom:6px;
         }
+        .field .hint{
+          font-size:11px;
+          color:${MUTED};
+          margin-top:6px;
+        }
         .inp{
           width:100%;
           border-radius:14px;
@@ -2006,6 +2101,24 @@ function DetailsView({ lane, record, loading, isBusy, doAction, onOpenOrderId, p
 
   const allowed = allowedActions(lane, st);
 
+  // exchanges: price difference of the replacement, settled on approval
+  const [settlement, setSettlement] = useState("GATEWAY");
+  const [quote, setQuote] = useState(null);
+  useEffect(() => {
+    if (lane !== "exchanges" || st !== "REQUESTED" || !id) {
+      setQuote(null);
+      return undefined;
+    }
+    let live = true;
+    jfetch(`/api/returns/${encodeURIComponent(id)}/exchange`)
+      .then((d) => live && setQuote(d?.item?.quote || null))
+      .catch(() => live && setQuote(null));
+    return () => {
+      live = false;
+    };
+  }, [lane, st, id]);
+  const replacement = record?.replacementOrder || null;
+
   const copy = async (text, label) => {
     try {
       await navigator.clipboard.writeText(String(text || ""));
@@ -2074,16 +2187,73 @@ function DetailsView({ lane, record, loading, isBusy, doAction, onOpenOrderId, p
         </div>
 
         {lane === "refunds" ? (
-          <div className="dv-card dv-wide">
-            <div className="dv-k">Amount</div>
-            <div className="dv-v mono">{amount}</div>
-          </div>
+          <>
+            <div className="dv-card">
+              <div className="dv-k">Amount</div>
+              <div className="dv-v mono">{amount}</div>
+            </div>
+            <div className="dv-card">
+              <div className="dv-k">Refund to</div>
+              <div className="dv-v">
+                {record?.method === "STORE_CREDIT" ? "Store credit" : record?.payment?.provider || "Original payment"}
+                {record?.gatewayRef ? <span className="mono"> • {record.gatewayRef}</span> : null}
+              </div>
+            </div>
+          </>
+        ) : null}
+
+        {lane === "exchanges" ? (
+          <>
+            <div className="dv-card">
+              <div className="dv-k">Replacement order</div>
+              <div className="dv-v mono">
+                {replacement ? `#${replacement.orderNumber} • ${replacement.paymentStatus} • ${replacement.fulfillmentStatus}` : "—"}
+              </div>
+              <div className="dv-actions">
+                <button
+                  className="pond pond-secondary"
+                  onClick={() => onOpenOrderId && replacement && onOpenOrderId(replacement.id)}
+                  disabled={!replacement}
+                >
+                  Open replacement
+                </button>
+              </div>
+            </div>
+            <div className="dv-card">
+              <div className="dv-k">Price difference</div>
+              <div className="dv-v mono">
+                {(() => {
+                  const diff = replacement ? Number(record?.priceDifference || 0) : quote?.difference;
+                  if (diff == null) return "—";
+                  if (diff === 0) return "None (even swap)";
+                  return diff > 0 ? `Customer pays ${moneyBDT(diff)}` : `Customer credited ${moneyBDT(-diff)}`;
+                })()}
+              </div>
+              <div className="dv-v">
+                {st === "REQUESTED" ? (
+                  <select value={settlement} onChange={(e) => setSettlement(e.target.value)}>
+                    <option value="GATEWAY">Via payment gateway / original payment</option>
+                    <option value="WALLET">Via store-credit wallet</option>
+                  </select>
+                ) : record?.settlement ? (
+                  `Settled via ${record.settlement === "WALLET" ? "store credit" : "gateway"}`
+                ) : null}
+              </div>
+            </div>
+          </>
         ) : null}
       </div>
 
       <div className="dv-acts">
         {lane === "returns" ? (
           <>
+            <Link
+              className="pond pond-secondary"
+              style={{ textDecoration: "none" }}
+              href={`/admin/returns/${encodeURIComponent(id)}`}
+            >
+              Receive &amp; QC
+            </Link>
             <PondAction
               label="Approve"
               tone="primary"
@@ -2115,7 +2285,7 @@ function DetailsView({ lane, record, loading, isBusy, doAction, onOpenOrderId, p
               label="Approve"
               tone="primary"
               disabled={!allowed.approve || isBusy(`exchanges:${id}:approve`) || loading}
-              onClick={() => doAction("exchanges", id, "approve")}
+              onClick={() => doAction("exchanges", id, "approve", { settlement })}
             />
             <PondAction
               label="Deny"
@@ -2144,6 +2314,12 @@ function DetailsView({ lane, record, loading, isBusy, doAction, onOpenOrderId, p
               disabled={!allowed.fail || isBusy(`refunds:${id}:fail`) || loading}
               onClick={() => doAction("refunds", id, "fail")}
             />
+            <PondAction
+              label="Sync"
+              tone="secondary"
+              disabled={!allowed.sync || isBusy(`refunds:${id}:sync`) || loading}
+              onClick={() => doAction("refunds", id, "sync")}
+            />
           </>
         )}
       </div>
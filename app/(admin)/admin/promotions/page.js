@@ -2,11 +2,11 @@
 "use client";
 
 import { useEffect, useMemo, useState } from "react";
+import CouponPanel from "@/components/admin/promotions/coupon-panel";
 
 export default function PromotionsAdminPage() {
   const [perms, setPerms] = useState(null);
   const [tab, setTab] = useState("coupons"); // coupons|banners
-  const [coupons, setCoupons] = useState([]);
   const [banners, setBanners] = useState([]);
   const [err, setErr] = useState("");
 
@@ -19,11 +19,8 @@ export default function PromotionsAdminPage() {
   async function load() {
     setErr("");
     try {
-      const [c, b] = await Promise.all([
-        fetch("/api/promotions/coupons", { cache: "no-store" }).then(r => r.json()),
-        fetch("/api/promotions/banners", { cache: "no-store" }).then(r => r.json())
-      ]);
-      setCoupons(c?.items || []); setBanners(b?.items || []);
+      const b = await fetch("/api/promotions/banners", { cache: "no-store" }).then(r => r.json());
+      setBanners(b?.items || []);
     } catch (e) { setErr(String(e.message || e)); }
   }
   useEffect(() => { load(); }, []);
@@ -45,32 +42,7 @@ export default function PromotionsAdminPage() {
       {err && <div className="text-sm text-red-600">{err}</div>}
 
       {tab === "coupons" ? (
-        <div className="rounded border bg-white overflow-hidden">
-          <div className="p-3 border-b font-medium">Coupons</div>
-          <div className="overflow-x-auto">
-            <table className="min-w-full text-sm">
-              <thead className="bg-neutral-50"><tr>
-                <th className="px-3 py-2 text-left">Code</th>
-                <th className="px-3 py-2 text-left">Type</th>
-                <th className="px-3 py-2 text-left">Value</th>
-                <th className="px-3 py-2 text-left">Active</th>
-                <th className="px-3 py-2 text-left">Window</th>
-              </tr></thead>
-              <tbody>
-                {coupons.map(c => (
-                  <tr key={c.id} className="border-t">
-                    <td className="px-3 py-2 font-medium">{c.code}</td>
-                    <td className="px-3 py-2">{c.type}</td>
-                    <td className="px-3 py-2">{c.value}</td>
-                    <td className="px-3 py-2">{String(c.enabled)}</td>
-                    <td className="px-3 py-2">{c.startAt ? new Date(c.startAt).toLocaleDateString() : "—"} → {c.endAt ? new Date(c.endAt).toLocaleDateString() : "—"}</td>
-                  </tr>
-                ))}
-                {coupons.length === 0 && <tr><td className="px-3 py-3 text-neutral-600" colSpan={5}>No coupons.</td></tr>}
-              </tbody>
-            </table>
-          </div>
-        </div>
+        <CouponPanel />
       ) : (
         <div className="rounded border bg-white overflow-hidden">
           <div className="p-3 border-b font-medium">Banners</div>
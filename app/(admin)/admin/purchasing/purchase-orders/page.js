@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/purchasing/purchase-orders/page.js
+import React from "react";
+import PurchaseOrdersPanel from "@/components/admin/purchasing/purchase-orders-panel";
+
+export default function PurchaseOrdersAdminPage() {
+  return <PurchaseOrdersPanel />;
+}
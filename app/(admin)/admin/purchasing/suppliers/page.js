@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/purchasing/suppliers/page.js
+import React from "react";
+import SuppliersPanel from "@/components/admin/purchasing/suppliers-panel";
+
+export default function SuppliersAdminPage() {
+  return <SuppliersPanel />;
+}
@@ -0,0 +1,10 @@
+// FILE: app/(admin)/admin/returns/[id]/page.js
+"use client";
+
+import React from "react";
+import RmaPanel from "@/components/admin/returns/rma-panel";
+
+export default function ReturnDetailAdminPage({ params }) {
+  const { id } = React.use(params);
+  return <RmaPanel id={id} />;
+}
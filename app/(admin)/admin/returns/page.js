@@ -104,7 +104,8 @@ export default async function ReturnCenterPage() {
           <p className="text-sm text-slate-600 max-w-4xl">
             Central control plane for <b>Returns</b>, <b>Exchanges</b>, and{" "}
             <b>Refunds</b> — unified view across website requests and showroom
-            manual entries. Stock is updated only after admin approval.
+            manual entries. Stock is updated only after QC: resellable units
+            are restocked, the rest written off.
           </p>
 
           <div className="flex flex-wrap gap-2 pt-1">
@@ -115,6 +116,18 @@ export default async function ReturnCenterPage() {
         </div>
 
         <div className="flex flex-col sm:flex-row gap-2 sm:items-center">
+          <Link
+            href="/admin/returns/policy"
+            className="inline-flex items-center justify-center rounded-2xl px-5 py-3 text-sm font-semibold shadow-sm border transition"
+            style={{
+              borderColor: BORDER,
+              background: "#fff",
+              color: NAVY,
+            }}
+          >
+            Restock policy
+          </Link>
+
           <Link
             href="/admin/orders"
             className="inline-flex items-center justify-center rounded-2xl px-5 py-3 text-sm font-semibold shadow-sm border transition"
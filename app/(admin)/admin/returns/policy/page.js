@@ -0,0 +1,7 @@
+// FILE: app/(admin)/admin/returns/policy/page.js
+import React from "react";
+import RestockPolicyPanel from "@/components/admin/returns/restock-policy-panel";
+
+export default function RestockPolicyAdminPage() {
+  return <RestockPolicyPanel />;
+}
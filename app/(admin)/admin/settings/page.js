@@ -46,6 +46,20 @@ export default function SettingsPage() {
           </span>
         </Link>
 
+        {/* Outbound webhooks */}
+        <Link
+          href="/admin/settings/webhooks"
+          className="group flex flex-col rounded-lg border bg-white p-4 text-sm shadow-sm hover:border-indigo-500 hover:shadow-md transition"
+        >
+          <div className="font-semibold text-neutral-900">Webhooks</div>
+          <p className="mt-1 text-xs text-neutral-600">
+            Send signed order, payment, shipment and return events to ERP, Slack and other systems.
+          </p>
+          <span className="mt-3 text-xs font-medium text-indigo-600 group-hover:underline">
+            Manage webhooks →
+          </span>
+        </Link>
+
         {/* Payment providers configuration (stub link for now) */}
         <div className="flex flex-col rounded-lg border bg-white p-4 text-sm opacity-70">
           <div className="font-semibold text-neutral-900">
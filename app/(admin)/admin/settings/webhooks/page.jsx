@@ -0,0 +1,8 @@
+// FILE: app/(admin)/admin/settings/webhooks/page.jsx
+
+import React from "react";
+import WebhooksPanel from "@/components/admin/settings/webhooks-panel";
+
+export default function AdminWebhooksSettingsPage() {
+  return <WebhooksPanel />;
+}
@@ -0,0 +1,91 @@
+// PATH: app/api/admin/catalog/price-lists/[id]/prices/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions, hasPermission } from "@/lib/rbac";
+import { parsePriceRows, priceListPermission, upsertPriceRows } from "@/lib/price-books";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/** → [list, denied]; writes need the permission for the list's kind. */
+async function guard(req, id, { write = false } = {}) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, {
+      permissions: [Permissions.MANAGE_PRICE_BOOKS, Permissions.MANAGE_MARKDOWNS],
+    });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+  const list = await prisma.priceList.findUnique({ where: { id } });
+  if (!list) return [null, json({ ok: false, error: "NOT_FOUND" }, 404)];
+  if (write && !hasPermission(admin.user, priceListPermission(list.kind))) {
+    return [null, json({ ok: false, error: "FORBIDDEN" }, 403)];
+  }
+  return [list, null];
+}
+
+/** GET → the list's price rows with the variant / product they price. */
+export async function GET(req, { params }) {
+  const [list, denied] = await guard(req, String(params?.id || ""));
+  if (denied) return denied;
+
+  const rows = await prisma.price.findMany({
+    where: { priceListId: list.id },
+    include: {
+      variant: { select: { sku: true, title: true, sizeName: true, colorName: true, product: { select: { title: true } } } },
+      product: { select: { title: true } },
+    },
+    orderBy: [{ createdAt: "asc" }],
+  });
+  const items = rows.map(({ variant, product, ...p }) => ({
+    ...p,
+    sku: variant?.sku || null,
+    product: variant?.product?.title || product?.title || null,
+    variant: [variant?.colorName, variant?.sizeName].filter(Boolean).join(" / ") || variant?.title || null,
+  }));
+  return json({ ok: true, items });
+}
+
+/**
+ * POST { rows: [{ variantId | sku | productId | categoryId | collectionId,
+ *                 amount? | percentOff?, compareAt?, minQty? }] }
+ * Sets prices in the list; an existing row for the same variant and minQty is replaced.
+ */
+export async function POST(req, { params }) {
+  const [list, denied] = await guard(req, String(params?.id || ""), { write: true });
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const [rows, error] = parsePriceRows(body);
+  if (error) return json({ ok: false, error }, 400);
+
+  const result = await upsertPriceRows(list, rows);
+  return json({ ok: true, ...result });
+}
+
+/** DELETE ?priceId= removes one row; ?all=1 empties the list. */
+export async function DELETE(req, { params }) {
+  const [list, denied] = await guard(req, String(params?.id || ""), { write: true });
+  if (denied) return denied;
+
+  const sp = new URL(req.url).searchParams;
+  const priceId = sp.get("priceId");
+  if (!priceId && sp.get("all") !== "1") return json({ ok: false, error: "ID_REQUIRED" }, 400);
+
+  const { count } = await prisma.price.deleteMany({
+    where: { priceListId: list.id, ...(priceId ? { id: priceId } : {}) },
+  });
+  if (priceId && !count) return json({ ok: false, error: "NOT_FOUND" }, 404);
+  return json({ ok: true, deleted: count });
+}
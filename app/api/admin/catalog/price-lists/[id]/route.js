@@ -0,0 +1,70 @@
+// PATH: app/api/admin/catalog/price-lists/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions, hasPermission } from "@/lib/rbac";
+import { clearPriceBookCache, parsePriceList, priceListPermission } from "@/lib/price-books";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/** → [list, denied]; the caller must manage lists of this list's kind. */
+async function guard(req, id) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, {
+      permissions: [Permissions.MANAGE_PRICE_BOOKS, Permissions.MANAGE_MARKDOWNS],
+    });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+  const list = await prisma.priceList.findUnique({ where: { id } });
+  if (!list) return [null, json({ ok: false, error: "NOT_FOUND" }, 404)];
+  if (!hasPermission(admin.user, priceListPermission(list.kind))) {
+    return [null, json({ ok: false, error: "FORBIDDEN" }, 403)];
+  }
+  return [{ admin, list }, null];
+}
+
+/** PATCH { name?, kind?, priority?, startsAt?, endsAt?, isActive?, taxInclusive?, description? } */
+export async function PATCH(req, { params }) {
+  const [ctx, denied] = await guard(req, String(params?.id || ""));
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  if (body?.currency !== undefined) return json({ ok: false, error: "CURRENCY_LOCKED" }, 400);
+  const [data, error] = parsePriceList(
+    { startsAt: ctx.list.startsAt, endsAt: ctx.list.endsAt, ...body },
+    { partial: true }
+  );
+  if (error) return json({ ok: false, error }, 400);
+  if (data.kind && !hasPermission(ctx.admin.user, priceListPermission(data.kind))) {
+    return json({ ok: false, error: "FORBIDDEN" }, 403);
+  }
+
+  const item = await prisma.priceList.update({ where: { id: ctx.list.id }, data });
+  clearPriceBookCache();
+  return json({ ok: true, item });
+}
+
+/** Deletes the list with its rows (Price.priceListId would otherwise null out into base prices). */
+export async function DELETE(req, { params }) {
+  const [ctx, denied] = await guard(req, String(params?.id || ""));
+  if (denied) return denied;
+
+  await prisma.$transaction([
+    prisma.price.deleteMany({ where: { priceListId: ctx.list.id } }),
+    prisma.priceList.delete({ where: { id: ctx.list.id } }),
+  ]);
+  clearPriceBookCache();
+  return json({ ok: true });
+}
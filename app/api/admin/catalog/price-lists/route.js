@@ -0,0 +1,75 @@
+// PATH: app/api/admin/catalog/price-lists/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions, hasPermission } from "@/lib/rbac";
+import { clearPriceBookCache, parsePriceList, priceListPermission, priceListStatus } from "@/lib/price-books";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    const admin = await requireAdmin(req, {
+      permissions: [Permissions.MANAGE_PRICE_BOOKS, Permissions.MANAGE_MARKDOWNS],
+    });
+    return [admin, null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+/** GET → price lists with live status, row count and what the caller may manage. */
+export async function GET(req) {
+  const [admin, denied] = await guard(req);
+  if (denied) return denied;
+
+  const rows = await prisma.priceList.findMany({
+    include: { _count: { select: { prices: true } } },
+    orderBy: [{ priority: "desc" }, { startsAt: "desc" }, { createdAt: "desc" }],
+  });
+  const now = new Date();
+  const items = rows.map(({ _count, ...l }) => ({
+    ...l,
+    status: priceListStatus(l, now),
+    priceCount: _count.prices,
+  }));
+  return json({
+    ok: true,
+    items,
+    can: {
+      PRICE_BOOK: hasPermission(admin.user, Permissions.MANAGE_PRICE_BOOKS),
+      MARKDOWN: hasPermission(admin.user, Permissions.MANAGE_MARKDOWNS),
+    },
+  });
+}
+
+/** POST { name, kind, currency?, priority?, startsAt?, endsAt?, isActive?, taxInclusive?, description? } */
+export async function POST(req) {
+  const [admin, denied] = await guard(req);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parsePriceList(body);
+  if (error) return json({ ok: false, error }, 400);
+  if (!hasPermission(admin.user, priceListPermission(data.kind))) {
+    return json({ ok: false, error: "FORBIDDEN" }, 403);
+  }
+
+  try {
+    const item = await prisma.priceList.create({ data });
+    clearPriceBookCache();
+    return json({ ok: true, item }, 201);
+  } catch {
+    return json({ ok: false, error: "INVALID_CURRENCY" }, 400);
+  }
+}
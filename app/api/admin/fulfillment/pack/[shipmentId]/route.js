@@ -0,0 +1,75 @@
+// PATH: app/api/admin/fulfillment/pack/[shipmentId]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { confirmPack, parsePackage, resetPackScans, scanPackItem } from "@/lib/logistics/packing";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permissions) {
+  try {
+    return [await requireAdmin(req, { permissions }), null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+/**
+ * PATCH { action: "scan", code, quantity? }   → 409 with the exception kind when the unit is refused
+ *     | { action: "reset" }
+ *     | { action: "confirm", weightKg, lengthCm?, widthCm?, heightCm?, courierCode, serviceCode? }
+ * Scanning takes MANAGE_PICK_PACK or MANAGE_BARCODE_FLOWS; confirming books
+ * the courier and needs MANAGE_PICK_PACK.
+ */
+export async function PATCH(req, { params }) {
+  const body = await req.json().catch(() => ({}));
+  const action = String(body?.action || "");
+  const [admin, denied] = await guard(
+    req,
+    action === "confirm" ? [Permissions.MANAGE_PICK_PACK] : [Permissions.MANAGE_PICK_PACK, Permissions.MANAGE_BARCODE_FLOWS]
+  );
+  if (denied) return denied;
+
+  const shipmentId = String(params?.shipmentId || "");
+  const actorId = admin.user?.id || admin.userId || null;
+
+  try {
+    switch (action) {
+      case "scan": {
+        const { shipment, exception } = await scanPackItem({ shipmentId, code: body.code, quantity: body.quantity ?? 1, actorId });
+        if (exception) {
+          return json(
+            { ok: false, error: exception.kind, sku: exception.sku, expectedSku: exception.expectedSku, shipment },
+            409
+          );
+        }
+        return json({ ok: true, shipment });
+      }
+      case "reset":
+        return json({ ok: true, shipment: await resetPackScans({ shipmentId }) });
+      case "confirm": {
+        const [data, error] = parsePackage(body);
+        if (error) return json({ ok: false, error }, 400);
+        return json({ ok: true, shipment: await confirmPack({ shipmentId, ...data, actorId }) });
+      }
+      default:
+        return json({ ok: false, error: "UNKNOWN_ACTION" }, 400);
+    }
+  } catch (err) {
+    if (err?.status) {
+      return json({ ok: false, error: err.message, current: err.current, missing: err.missing }, err.status);
+    }
+    // courier refused the booking: nothing was booked, the parcel stays PENDING
+    return json({ ok: false, error: String(err?.message || err) }, 502);
+  }
+}
@@ -0,0 +1,40 @@
+// PATH: app/api/admin/fulfillment/pack/exceptions/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { packExceptionReport } from "@/lib/logistics/packing";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permissions: [Permissions.VIEW_FULFILLMENT, Permissions.MANAGE_PICK_PACK] });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** GET ?days=30&warehouseId= → mis-pick / short-pick counts, worst SKUs and the latest exceptions. */
+export async function GET(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(req.url);
+  const days = Math.min(Math.max(Number(searchParams.get("days")) || 30, 1), 365);
+  const report = await packExceptionReport({
+    since: new Date(Date.now() - days * 24 * 3600 * 1000),
+    warehouseId: searchParams.get("warehouseId") || null,
+  });
+  return json({ ok: true, days, ...report });
+}
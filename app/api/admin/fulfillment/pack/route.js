@@ -0,0 +1,50 @@
+// PATH: app/api/admin/fulfillment/pack/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { couriers } from "@/lib/logistics/providers";
+import { loadPackJob } from "@/lib/logistics/packing";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permissions: [Permissions.MANAGE_PICK_PACK, Permissions.MANAGE_BARCODE_FLOWS] });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/**
+ * GET ?code=<scanned order barcode>&warehouseId= → the order's PENDING parcels
+ * with scan progress, the checkout courier as default, and the couriers a
+ * parcel can be booked with.
+ */
+export async function GET(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(req.url);
+  const code = searchParams.get("code") || "";
+  if (!code.trim()) return json({ ok: false, error: "CODE_REQUIRED" }, 400);
+
+  try {
+    const job = await loadPackJob({ code, warehouseId: searchParams.get("warehouseId") || null });
+    const options = Object.values(couriers).map((a) => ({ code: a.code, name: a.name }));
+    return json({ ok: true, ...job, couriers: options });
+  } catch (err) {
+    if (err?.status) return json({ ok: false, error: err.message, current: err.current }, err.status);
+    throw err;
+  }
+}
@@ -175,9 +175,11 @@ function coerceQueueShape(q, fallbackLabel) {
         : typeof q?.failedCount === "number"
         ? q.failedCount
         : 0,
+    running: typeof q?.running === "number" ? q.running : 0,
     paused: !!q?.paused,
     concurrency: typeof q?.concurrency === "number" ? q.concurrency : null,
     lastRunAt: q?.lastRunAt ? new Date(q.lastRunAt).toISOString() : null,
+    ...(Array.isArray(q?.allowedActions) ? { allowedActions: q.allowedActions } : {}),
   };
 }
 
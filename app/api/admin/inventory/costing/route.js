@@ -0,0 +1,58 @@
+// PATH: app/api/admin/inventory/costing/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { COSTING_METHODS, batchValuation, costingMethod } from "@/lib/inventory/costing";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/** GET ?variantId= → costing method + open batch lines with remaining units and value. */
+export async function GET(req) {
+  try {
+    await requireAdmin(req, { permissions: [Permissions.VIEW_INVENTORY, Permissions.VIEW_FINANCIALS] });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const variantId = new URL(req.url).searchParams.get("variantId") || null;
+  const [method, items] = await Promise.all([costingMethod(), batchValuation({ variantId })]);
+  const totals = items.reduce(
+    (acc, l) => ({ units: acc.units + l.remaining, value: Number((acc.value + l.value).toFixed(2)) }),
+    { units: 0, value: 0 }
+  );
+  return json({ ok: true, method, methods: COSTING_METHODS, items, totals });
+}
+
+/** PUT { method: "FIFO" | "WEIGHTED_AVERAGE" } — applies to units fulfilled from now on. */
+export async function PUT(req) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, { permission: Permissions.MANAGE_LEDGER });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const body = await req.json().catch(() => ({}));
+  const method = String(body?.method || "").toUpperCase();
+  if (!COSTING_METHODS.includes(method)) return json({ ok: false, error: "INVALID_METHOD" }, 400);
+
+  const updatedById = admin.user?.id || admin.userId || null;
+  await prisma.appSetting.upsert({
+    where: { key: "costing" },
+    create: { key: "costing", value: { method }, updatedById },
+    update: { value: { method }, updatedById },
+  });
+  return json({ ok: true, method });
+}
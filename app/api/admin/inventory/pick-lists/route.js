@@ -0,0 +1,36 @@
+// PATH: app/api/admin/inventory/pick-lists/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { pickLists } from "@/lib/inventory/allocation";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permissions: [Permissions.VIEW_FULFILLMENT, Permissions.VIEW_WAREHOUSES] });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** GET ?warehouseId= → per-warehouse pick lists for allocated, not yet booked shipments. */
+export async function GET(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const warehouseId = new URL(req.url).searchParams.get("warehouseId") || null;
+  const items = await pickLists({ warehouseId });
+  return json({ ok: true, items });
+}
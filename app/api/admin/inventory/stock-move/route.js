@@ -4,6 +4,7 @@ export const revalidate = 0;
 import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { auth } from "@/lib/auth";
+import { assertNotFrozen } from "@/lib/inventory/stock-takes";
 
 function isAdmin(session) {
   if (!session?.user) return false;
@@ -95,15 +96,18 @@ export async function POST(req) {
     }
 
     const result = await prisma.$transaction(async (tx) => {
-      // Get or create InventoryItem
-      let inventory = await tx.inventoryItem.findUnique({
-        where: {
-          variantId_warehouseId: {
-            variantId: variant.id,
-            warehouseId,
-          },
+      const where = {
+        variantId_warehouseId: {
+          variantId: variant.id,
+          warehouseId,
         },
-      });
+      };
+
+      // Rows under an open stock-take only change through its approval
+      await assertNotFrozen(tx, where, variant.sku);
+
+      // Get or create InventoryItem
+      let inventory = await tx.inventoryItem.findUnique({ where });
 
       if (!inventory) {
         inventory = await tx.inventoryItem.create({
@@ -187,6 +191,12 @@ export async function POST(req) {
       movement: result.movement,
     });
   } catch (err) {
+    if (err?.message === "STOCK_FROZEN") {
+      return NextResponse.json(
+        { error: err.message, sku: err.sku, stockTake: err.stockTake },
+        { status: 409 }
+      );
+    }
     console.error("Admin inventory stock-move POST error:", err);
     return NextResponse.json(
       { error: "Internal server error" },
@@ -0,0 +1,96 @@
+// PATH: app/api/admin/inventory/stock-takes/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import {
+  approveStockTake,
+  cancelStockTake,
+  loadStockTake,
+  recordCounts,
+  rejectStockTake,
+  submitStockTake,
+  varianceReport,
+} from "@/lib/inventory/stock-takes";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    return [await requireAdmin(req, { permission }), null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+const withReport = async (take) => {
+  const { lines, totals } = await varianceReport(take);
+  return { ...take, lines, totals };
+};
+
+/** GET → the take with its variance report (per-line variance and value, totals). */
+export async function GET(req, { params }) {
+  const [, denied] = await guard(req, Permissions.VIEW_INVENTORY);
+  if (denied) return denied;
+
+  const take = await loadStockTake(String(params?.id || ""));
+  if (!take) return json({ ok: false, error: "NOT_FOUND" }, 404);
+  return json({ ok: true, item: await withReport(take) });
+}
+
+/**
+ * PATCH { action: "count", counts: [{ lineId | sku | barcode, countedQty } | { …, add }] }
+ *     | { action: "submit" } | { action: "cancel" }                 (MANAGE_STOCK_ADJUSTMENTS)
+ *     | { action: "approve" } | { action: "reject", reason? }       (APPROVE_STOCK_ADJUSTMENTS)
+ */
+export async function PATCH(req, { params }) {
+  const body = await req.json().catch(() => ({}));
+  const action = String(body?.action || "");
+  const approving = action === "approve" || action === "reject";
+  const [admin, denied] = await guard(
+    req,
+    approving ? Permissions.APPROVE_STOCK_ADJUSTMENTS : Permissions.MANAGE_STOCK_ADJUSTMENTS
+  );
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  const actorId = admin.user?.id || admin.userId || null;
+
+  try {
+    let item;
+    switch (action) {
+      case "count":
+        item = await recordCounts({ id, counts: body.counts, actorId });
+        break;
+      case "submit":
+        item = await submitStockTake({ id, actorId });
+        break;
+      case "cancel":
+        item = await cancelStockTake({ id });
+        break;
+      case "approve":
+        item = await approveStockTake({ id, actorId });
+        break;
+      case "reject":
+        item = await rejectStockTake({ id, reason: body.reason });
+        break;
+      default:
+        return json({ ok: false, error: "UNKNOWN_ACTION" }, 400);
+    }
+    return json({ ok: true, item: await withReport(item) });
+  } catch (err) {
+    if (err?.status) {
+      return json({ ok: false, error: err.message, sku: err.sku, current: err.current }, err.status);
+    }
+    throw err;
+  }
+}
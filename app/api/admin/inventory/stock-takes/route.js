@@ -0,0 +1,81 @@
+// PATH: app/api/admin/inventory/stock-takes/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { parseStockTake, startStockTake } from "@/lib/inventory/stock-takes";
+
+const STATUSES = ["COUNTING", "SUBMITTED", "APPROVED", "CANCELLED"];
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    return [await requireAdmin(req, { permission }), null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+/** GET ?status=&warehouseId=&take= → newest takes first, with line counts; categories for scoping a new take. */
+export async function GET(req) {
+  const [, denied] = await guard(req, Permissions.VIEW_INVENTORY);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(req.url);
+  const status = String(searchParams.get("status") || "").toUpperCase();
+  const warehouseId = searchParams.get("warehouseId") || "";
+  const take = Math.min(Math.max(Number(searchParams.get("take")) || 50, 1), 200);
+
+  const [rows, categories] = await Promise.all([
+    prisma.stockTake.findMany({
+      where: {
+        ...(STATUSES.includes(status) ? { status } : {}),
+        ...(warehouseId ? { warehouseId } : {}),
+      },
+      include: {
+        warehouse: { select: { id: true, code: true, name: true } },
+        category: { select: { id: true, name: true } },
+        lines: { select: { countedQty: true, expectedQty: true, varianceQty: true } },
+      },
+      orderBy: { createdAt: "desc" },
+      take,
+    }),
+    prisma.category.findMany({ select: { id: true, name: true, parentId: true }, orderBy: { name: "asc" } }),
+  ]);
+  const items = rows.map(({ lines, ...t }) => ({
+    ...t,
+    lineCount: lines.length,
+    countedCount: lines.filter((l) => l.countedQty != null).length,
+    varianceLines: lines.filter((l) => l.countedQty != null && l.countedQty !== l.expectedQty).length,
+  }));
+  return json({ ok: true, items, categories });
+}
+
+/** POST { warehouseId, categoryId?, note? } → COUNTING, rows in scope frozen */
+export async function POST(req) {
+  const [admin, denied] = await guard(req, Permissions.MANAGE_STOCK_ADJUSTMENTS);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parseStockTake(body);
+  if (error) return json({ ok: false, error }, 400);
+
+  try {
+    const item = await startStockTake({ ...data, actorId: admin.user?.id || admin.userId || null });
+    return json({ ok: true, item }, 201);
+  } catch (err) {
+    if (err?.status) return json({ ok: false, error: err.message, sku: err.sku }, err.status);
+    throw err;
+  }
+}
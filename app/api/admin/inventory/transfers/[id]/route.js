@@ -0,0 +1,71 @@
+// PATH: app/api/admin/inventory/transfers/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { cancelTransfer, dispatchTransfer, loadTransfer, receiveTransfer } from "@/lib/inventory/transfers";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    await requireAdmin(req, { permission });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+export async function GET(req, { params }) {
+  const denied = await guard(req, Permissions.VIEW_INVENTORY);
+  if (denied) return denied;
+
+  const item = await loadTransfer(String(params?.id || ""));
+  if (!item) return json({ ok: false, error: "NOT_FOUND" }, 404);
+  return json({ ok: true, item });
+}
+
+/**
+ * PATCH { action: "dispatch" }
+ *     | { action: "receive", all?: true, lines?: [{ itemId, receivedQty?, discrepancyQty?, discrepancyNote? }] }
+ *     | { action: "cancel" }
+ */
+export async function PATCH(req, { params }) {
+  const denied = await guard(req, Permissions.MANAGE_INVENTORY);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  const body = await req.json().catch(() => ({}));
+
+  try {
+    let item;
+    switch (body?.action) {
+      case "dispatch":
+        item = await dispatchTransfer({ id });
+        break;
+      case "receive":
+        item = await receiveTransfer({ id, all: body.all === true, lines: Array.isArray(body.lines) ? body.lines : [] });
+        break;
+      case "cancel":
+        item = await cancelTransfer({ id });
+        break;
+      default:
+        return json({ ok: false, error: "UNKNOWN_ACTION" }, 400);
+    }
+    return json({ ok: true, item });
+  } catch (err) {
+    if (err?.status) {
+      return json({ ok: false, error: err.message, sku: err.sku, current: err.current }, err.status);
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,69 @@
+// PATH: app/api/admin/inventory/transfers/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { TRANSFER_INCLUDE, createTransfer, parseTransfer } from "@/lib/inventory/transfers";
+
+const STATUSES = ["DRAFT", "DISPATCHED", "PARTIALLY_RECEIVED", "RECEIVED", "CANCELLED"];
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    return [await requireAdmin(req, { permission }), null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+/** GET ?status=&warehouseId=&take= → newest transfers first, with their lines. */
+export async function GET(req) {
+  const [, denied] = await guard(req, Permissions.VIEW_INVENTORY);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(req.url);
+  const status = String(searchParams.get("status") || "").toUpperCase();
+  const warehouseId = searchParams.get("warehouseId") || "";
+  const take = Math.min(Math.max(Number(searchParams.get("take")) || 50, 1), 200);
+
+  const where = {
+    ...(STATUSES.includes(status) ? { status } : {}),
+    ...(warehouseId ? { OR: [{ fromWarehouseId: warehouseId }, { toWarehouseId: warehouseId }] } : {}),
+  };
+  const items = await prisma.stockTransfer.findMany({
+    where,
+    include: TRANSFER_INCLUDE,
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+  return json({ ok: true, items });
+}
+
+/** POST { fromWarehouseId, toWarehouseId, note?, lines: [{ variantId | sku, quantity }] } → DRAFT */
+export async function POST(req) {
+  const [admin, denied] = await guard(req, Permissions.MANAGE_INVENTORY);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parseTransfer(body);
+  if (error) return json({ ok: false, error }, 400);
+
+  try {
+    const item = await createTransfer({ ...data, actorId: admin.user?.id || admin.userId || null });
+    return json({ ok: true, item }, 201);
+  } catch (err) {
+    if (err?.status) return json({ ok: false, error: err.message, sku: err.sku }, err.status);
+    throw err;
+  }
+}
@@ -0,0 +1,71 @@
+// PATH: app/api/admin/inventory/warehouses/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { parseWarehouse } from "@/lib/inventory/allocation";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_WAREHOUSES });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** PATCH { name?, code?, priority?, status?, serviceZoneIds?, archived? } */
+export async function PATCH(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parseWarehouse(body, { partial: true });
+  if (error) return json({ ok: false, error }, 400);
+  if (body?.archived !== undefined) data.archivedAt = body.archived ? new Date() : null;
+
+  try {
+    const item = await prisma.warehouse.update({
+      where: { id },
+      data,
+      include: { serviceZones: { select: { id: true, name: true } } },
+    });
+    return json({ ok: true, item });
+  } catch (err) {
+    if (err?.code === "P2002") return json({ ok: false, error: "CODE_TAKEN" }, 409);
+    return json({ ok: false, error: "NOT_FOUND" }, 404);
+  }
+}
+
+/**
+ * Warehouses are archived, never deleted: deleting would cascade away their
+ * InventoryItem rows and stock history. Allocation skips archived ones.
+ */
+export async function DELETE(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  try {
+    const item = await prisma.warehouse.update({
+      where: { id },
+      data: { archivedAt: new Date(), status: "INACTIVE" },
+    });
+    return json({ ok: true, item });
+  } catch {
+    return json({ ok: false, error: "NOT_FOUND" }, 404);
+  }
+}
@@ -0,0 +1,94 @@
+// PATH: app/api/admin/inventory/warehouses/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { parseWarehouse, rankWarehouses } from "@/lib/inventory/allocation";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    await requireAdmin(req, { permission });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/**
+ * GET → warehouses in allocation order (archived last) with stock totals and
+ * parcels waiting to be picked, plus the shipping zones they can serve.
+ */
+export async function GET(req) {
+  const denied = await guard(req, Permissions.VIEW_WAREHOUSES);
+  if (denied) return denied;
+
+  const [warehouses, stock, pending, zones] = await Promise.all([
+    prisma.warehouse.findMany({
+      include: { serviceZones: { select: { id: true, name: true } } },
+    }),
+    prisma.inventoryItem.groupBy({
+      by: ["warehouseId"],
+      _sum: { onHand: true, reserved: true },
+      _count: { _all: true },
+    }),
+    prisma.shipment.groupBy({
+      by: ["warehouseId"],
+      where: { status: "PENDING", order: { status: { in: ["PLACED", "CONFIRMED"] } } },
+      _count: { _all: true },
+    }),
+    prisma.shippingZone.findMany({
+      select: { id: true, name: true, isActive: true },
+      orderBy: [{ priority: "asc" }, { name: "asc" }],
+    }),
+  ]);
+
+  const stockBy = new Map(stock.map((s) => [s.warehouseId, s]));
+  const pendingBy = new Map(pending.map((p) => [p.warehouseId, p._count._all]));
+  const ranked = rankWarehouses(warehouses.filter((w) => !w.archivedAt));
+  const items = [...ranked, ...warehouses.filter((w) => w.archivedAt)].map((w) => ({
+    id: w.id,
+    code: w.code,
+    name: w.name,
+    status: w.status,
+    priority: w.priority,
+    archivedAt: w.archivedAt,
+    serviceZones: w.serviceZones,
+    skus: stockBy.get(w.id)?._count._all || 0,
+    onHand: stockBy.get(w.id)?._sum.onHand || 0,
+    reserved: stockBy.get(w.id)?._sum.reserved || 0,
+    pendingShipments: pendingBy.get(w.id) || 0,
+  }));
+
+  return json({ ok: true, items, zones });
+}
+
+/** POST { name, code, priority?, status?, serviceZoneIds? } */
+export async function POST(req) {
+  const denied = await guard(req, Permissions.MANAGE_WAREHOUSES);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parseWarehouse(body);
+  if (error) return json({ ok: false, error }, 400);
+
+  try {
+    const item = await prisma.warehouse.create({ data, include: { serviceZones: { select: { id: true, name: true } } } });
+    return json({ ok: true, item }, 201);
+  } catch (err) {
+    if (err?.code === "P2002") return json({ ok: false, error: "CODE_TAKEN" }, 409);
+    if (err?.code === "P2025") return json({ ok: false, error: "ZONE_NOT_FOUND" }, 400);
+    throw err;
+  }
+}
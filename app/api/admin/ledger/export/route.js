@@ -0,0 +1,81 @@
+// PATH: app/api/admin/ledger/export/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { ledgerLines } from "@/lib/ledger";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+const COLUMNS = [
+  "date",
+  "journalId",
+  "source",
+  "reference",
+  "description",
+  "account",
+  "debit",
+  "credit",
+  "orderId",
+  "paymentId",
+  "refundId",
+];
+
+function toCsv(rows) {
+  const esc = (v) => {
+    const s = v == null ? "" : String(v);
+    if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+    return s;
+  };
+  return [COLUMNS.join(","), ...rows.map((r) => COLUMNS.map((c) => esc(r[c])).join(","))].join("\n");
+}
+
+/**
+ * GET ?from&to&account&source[&format=json] → journal lines, CSV by default
+ * (one row per JournalEntry, importable into the accountant's package).
+ */
+export async function GET(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.VIEW_LEDGER });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const { searchParams } = new URL(req.url);
+  const from = searchParams.get("from") || null;
+  const to = searchParams.get("to") || null;
+
+  try {
+    const rows = await ledgerLines({
+      from,
+      to,
+      account: searchParams.get("account") || null,
+      source: searchParams.get("source") || null,
+    });
+
+    if (String(searchParams.get("format") || "").toLowerCase() === "json") {
+      return json({ ok: true, items: rows }, 200);
+    }
+
+    const filename = `ledger_${from || "start"}_${to || "today"}.csv`;
+    return new NextResponse(toCsv(rows), {
+      status: 200,
+      headers: {
+        "content-type": "text/csv; charset=utf-8",
+        "content-disposition": `attachment; filename="${filename}"`,
+        "cache-control": "no-store",
+      },
+    });
+  } catch (err) {
+    return json({ ok: false, error: "SERVER_ERROR", detail: String(err?.message || err) }, 500);
+  }
+}
@@ -0,0 +1,92 @@
+// PATH: app/api/admin/ledger/journals/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { ensureChartOfAccounts, ledgerDateRange, postJournal } from "@/lib/ledger";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    const admin = await requireAdmin(req, { permission });
+    return [admin, null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+/** GET ?source&from&to&cursor&limit → journals with their lines, newest first. */
+export async function GET(req) {
+  const [, denied] = await guard(req, Permissions.VIEW_LEDGER);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(req.url);
+  const limit = Math.min(100, Math.max(1, Number(searchParams.get("limit")) || 50));
+  const cursor = searchParams.get("cursor") || null;
+  const source = searchParams.get("source") || null;
+  const date = ledgerDateRange(searchParams.get("from"), searchParams.get("to"));
+
+  const rows = await prisma.journal.findMany({
+    where: {
+      ...(source ? { source } : {}),
+      ...(date ? { date } : {}),
+    },
+    include: { entries: { orderBy: { debit: "desc" } } },
+    orderBy: [{ date: "desc" }, { id: "desc" }],
+    take: limit + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+  });
+
+  const items = rows.slice(0, limit);
+  return json({ ok: true, items, nextCursor: rows.length > limit ? items[items.length - 1].id : null }, 200);
+}
+
+/**
+ * POST { date, description, reference?, lines: [{ account, debit?, credit? }] }
+ * → manual journal (source MANUAL), e.g. opening balances or accruals.
+ */
+export async function POST(req) {
+  const [admin, denied] = await guard(req, Permissions.MANAGE_LEDGER);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const description = String(body?.description || "").trim();
+  if (!description) return json({ ok: false, error: "DESCRIPTION_REQUIRED" }, 400);
+  if (!Array.isArray(body?.lines) || body.lines.length < 2) {
+    return json({ ok: false, error: "AT_LEAST_TWO_LINES_REQUIRED" }, 400);
+  }
+  const date = body?.date ? new Date(body.date) : new Date();
+  if (Number.isNaN(date.getTime())) return json({ ok: false, error: "INVALID_DATE" }, 400);
+
+  try {
+    await ensureChartOfAccounts();
+    const journal = await postJournal({
+      source: "MANUAL",
+      reference: body?.reference ? String(body.reference) : null,
+      date,
+      description,
+      postedBy: admin.user?.id || admin.userId || null,
+      lines: body.lines.map((l) => ({
+        account: String(l?.account || "").trim(),
+        debit: Number(l?.debit || 0),
+        credit: Number(l?.credit || 0),
+      })),
+    });
+    if (!journal) return json({ ok: false, error: "EMPTY_JOURNAL" }, 400);
+    return json({ ok: true, item: journal }, 201);
+  } catch (err) {
+    if (err?.status) return json({ ok: false, error: err.message }, err.status);
+    return json({ ok: false, error: "SERVER_ERROR", detail: String(err?.message || err) }, 500);
+  }
+}
@@ -0,0 +1,34 @@
+// PATH: app/api/admin/ledger/sync/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { syncLedger } from "@/lib/ledger";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/** POST { since? } → post journals for documents that have none yet. */
+export async function POST(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_LEDGER });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const body = await req.json().catch(() => ({}));
+  try {
+    const result = await syncLedger({ since: body?.since || null });
+    return json({ ok: true, ...result }, 200);
+  } catch (err) {
+    return json({ ok: false, error: "SERVER_ERROR", detail: String(err?.message || err) }, 500);
+  }
+}
@@ -0,0 +1,37 @@
+// PATH: app/api/admin/ledger/trial-balance/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { trialBalance } from "@/lib/ledger";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/** GET ?from=YYYY-MM-DD&to=YYYY-MM-DD → per-account totals for the period. */
+export async function GET(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.VIEW_LEDGER });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const { searchParams } = new URL(req.url);
+  try {
+    const tb = await trialBalance({
+      from: searchParams.get("from") || null,
+      to: searchParams.get("to") || null,
+    });
+    return json({ ok: true, ...tb }, 200);
+  } catch (err) {
+    return json({ ok: false, error: "SERVER_ERROR", detail: String(err?.message || err) }, 500);
+  }
+}
@@ -0,0 +1,31 @@
+// PATH: app/api/admin/notifications/[id]/retry/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { retryNotification } from "@/lib/notifications";
+
+function json(body, status = 200) {
+  return NextResponse.json(body, { status, headers: { "cache-control": "no-store" } });
+}
+
+/** POST — one more attempt for a FAILED notification, sent now. */
+export async function POST(req, { params }) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_NOTIFICATION_CHANNELS });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  try {
+    const result = await retryNotification(String(params.id));
+    return json({ ok: true, result });
+  } catch (e) {
+    if (e?.status && e.status < 500) return json({ ok: false, error: e.message, current: e.current }, e.status);
+    return json({ ok: false, error: String(e?.message || e) }, 500);
+  }
+}
@@ -0,0 +1,35 @@
+// PATH: app/api/admin/notifications/deliverability/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { NOTIFICATION_CHANNELS, deliverabilitySummary, notificationSettings } from "@/lib/notifications";
+
+function json(body, status = 200) {
+  return NextResponse.json(body, { status, headers: { "cache-control": "no-store" } });
+}
+
+/** GET ?windowHours=24&channel=SMS — delivery outcomes per channel and provider, from the attempt log. */
+export async function GET(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.VIEW_NOTIFICATION_DELIVERABILITY });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const u = new URL(req.url);
+  const hours = Number.parseInt(u.searchParams.get("windowHours") || "24", 10);
+  const windowHours = Number.isFinite(hours) ? Math.min(Math.max(hours, 1), 24 * 90) : 24;
+  const channel = String(u.searchParams.get("channel") || "").toUpperCase();
+  if (channel && !NOTIFICATION_CHANNELS.includes(channel)) return json({ ok: false, error: "INVALID_CHANNEL" }, 400);
+
+  const [summary, settings] = await Promise.all([
+    deliverabilitySummary({ windowHours, channel: channel || null }),
+    notificationSettings(),
+  ]);
+  return json({ ok: true, ...summary, settings });
+}
@@ -0,0 +1,56 @@
+// PATH: app/api/admin/notifications/phone-preferences/route.js
+// Opt-outs for a phone number rather than an account — how guest customers
+// (no login, so no NotificationPreference) stop SMS / WhatsApp messages.
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { phonePreferences, setPhonePreferences } from "@/lib/notifications";
+
+function json(body, status = 200) {
+  return NextResponse.json(body, { status, headers: { "cache-control": "no-store" } });
+}
+
+function denied(err) {
+  const status = err?.status === 403 ? 403 : 401;
+  return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+}
+
+function failed(err) {
+  if (!err?.status) throw err;
+  return json({ ok: false, error: err.message, ...(err.channel !== undefined ? { channel: err.channel } : {}) }, err.status);
+}
+
+/** GET ?phone=01XXXXXXXXX → { preferences: [{ type, channel, enabled }] } */
+export async function GET(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_NOTIFICATIONS });
+  } catch (err) {
+    return denied(err);
+  }
+  try {
+    const phone = new URL(req.url).searchParams.get("phone");
+    return json({ ok: true, preferences: await phonePreferences(phone) });
+  } catch (err) {
+    return failed(err);
+  }
+}
+
+/** PUT { phone, changes: [{ type: "ORDER_SHIPPED", channel: "SMS", enabled: false }] } */
+export async function PUT(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_NOTIFICATIONS });
+  } catch (err) {
+    return denied(err);
+  }
+  try {
+    const body = await req.json().catch(() => ({}));
+    const preferences = await setPhonePreferences({ phone: body?.phone, changes: body?.changes });
+    return json({ ok: true, preferences });
+  } catch (err) {
+    return failed(err);
+  }
+}
@@ -0,0 +1,53 @@
+// PATH: app/api/admin/notifications/settings/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  notificationSettings,
+  parseNotificationSettings,
+  saveNotificationSettings,
+} from "@/lib/notifications";
+
+function json(body, status = 200) {
+  return NextResponse.json(body, { status, headers: { "cache-control": "no-store" } });
+}
+
+function denied(err) {
+  const status = err?.status === 403 ? 403 : 401;
+  return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+}
+
+export async function GET(req) {
+  try {
+    await requireAdmin(req, {
+      permissions: [Permissions.MANAGE_NOTIFICATION_CHANNELS, Permissions.VIEW_NOTIFICATION_DELIVERABILITY],
+    });
+  } catch (err) {
+    return denied(err);
+  }
+  return json({ ok: true, settings: await notificationSettings(), defaults: DEFAULT_NOTIFICATION_SETTINGS });
+}
+
+/**
+ * PUT { quietHours: { enabled, start: "22:00", end: "08:00", timezone, channels: ["SMS", ...] }, maxAttempts }
+ * Held messages are released when the window they were held for ends.
+ */
+export async function PUT(req) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, { permission: Permissions.MANAGE_NOTIFICATION_CHANNELS });
+  } catch (err) {
+    return denied(err);
+  }
+
+  const [value, error] = parseNotificationSettings(await req.json().catch(() => ({})));
+  if (error) return json({ ok: false, error }, 400);
+
+  const settings = await saveNotificationSettings({ value, actorId: admin.user?.id || admin.userId || null });
+  return json({ ok: true, settings });
+}
@@ -7,6 +7,8 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAdmin } from "@/lib/auth";
 import { Permissions } from "@/lib/rbac";
+import { capturePayment, recomputeOrderPaymentStatus } from "@/lib/payments/gateway";
+import { runOrderEffects } from "@/lib/order-transitions";
 
 function json(body, status = 200) {
   return new NextResponse(JSON.stringify(body ?? null), {
@@ -15,9 +17,6 @@ function json(body, status = 200) {
   });
 }
 
-// Statuses that are fully “paid/settled” (used for summing paid amounts)
-const PAID_SUM_STATUSES = new Set(["PAID", "SETTLED", "CAPTURED", "SUCCEEDED"]);
-
 // Non-paidlike statuses (candidates to capture)
 const NOT_YET_CAPTURED = new Set([
   "UNPAID",
@@ -68,54 +67,45 @@ export async function POST(req, { params }) {
     return json({ ok: false, error: "No capturable payment found" }, 400);
   }
 
+  // Talk to the provider first; the gateway persists PaymentEvent + Payment.status.
   // Gateways -> CAPTURED; COD/MANUAL -> PAID
-  const isCodOrManual =
-    target.provider === "CASH_ON_DELIVERY" || target.provider === "MANUAL";
-  const newStatus = isCodOrManual ? "PAID" : "CAPTURED";
-
-  await prisma.$transaction(async (tx) => {
-    // TODO: integrate real gateway capture flow here (SSLCommerz/bKash/Nagad/Stripe)
-    await tx.payment.update({
-      where: { id: target.id },
-      data: { status: newStatus, message: "Admin capture" },
-    });
+  let capture;
+  try {
+    capture = await capturePayment({ paymentId: target.id, actorId });
+  } catch (err) {
+    return json({ ok: false, error: String(err?.message || err) }, 400);
+  }
 
-    await tx.paymentEvent.create({
-      data: {
-        paymentId: target.id,
-        type: "CAPTURED",
-        payload: { by: "admin", userId: actorId },
+  if (!capture.ok) {
+    return json(
+      {
+        ok: false,
+        error: capture.message || "Capture failed",
+        providerStatus: capture.status,
       },
-    });
-
-    // Recompute order.paymentStatus from “settled” payments only
-    const fresh = await tx.payment.findMany({ where: { orderId } });
-    const paidSum = fresh.reduce((sum, p) => {
-      return PAID_SUM_STATUSES.has(String(p.status || ""))
-        ? sum + Number(p.amount || 0)
-        : sum;
-    }, 0);
-    const grand = Number(order.grandTotal || 0);
-
-    const nextPaymentStatus =
-      grand > 0 && paidSum >= grand ? "PAID" : "PENDING";
+      capture.status === "UNSUPPORTED" ? 400 : 502
+    );
+  }
 
-    await tx.order.update({
-      where: { id: orderId },
-      data: { paymentStatus: nextPaymentStatus },
-    });
+  const transition = await prisma.$transaction(async (tx) => {
+    const r = await recomputeOrderPaymentStatus(orderId, { db: tx, actor: { id: actorId, role: "admin" } });
 
     await tx.orderEvent.create({
       data: {
         orderId,
         kind: "PAYMENT_CAPTURED",
-        message: `Payment ${target.id} → ${newStatus}`,
-        metadata: { provider: target.provider },
+        message: `Payment ${target.id} → ${capture.payment.status}`,
+        metadata: {
+          provider: target.provider,
+          providerRef: capture.result?.providerRef || null,
+        },
         actorId,
         actorRole: "admin",
       },
     });
+    return r;
   });
+  await runOrderEffects(transition);
 
-  return json({ ok: true }, 200);
+  return json({ ok: true, status: capture.payment.status }, 200);
 }
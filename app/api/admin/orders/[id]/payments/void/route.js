@@ -0,0 +1,91 @@
+// PATH: app/api/admin/orders/[id]/payments/void/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { voidPayment, recomputeOrderPaymentStatus } from "@/lib/payments/gateway";
+import { runOrderEffects } from "@/lib/order-transitions";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+// Only money that has not moved yet can be voided; captured money needs a refund.
+const VOIDABLE = new Set(["AUTHORIZED", "PENDING", "INITIATED", "UNPAID"]);
+
+export async function POST(req, { params }) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, {
+      permission: Permissions.MANAGE_ORDERS,
+    });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json(
+      { ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" },
+      status
+    );
+  }
+
+  const actorId = admin.user?.id || admin.userId;
+
+  const orderId = String(params?.id || "");
+  if (!orderId) return json({ ok: false, error: "Order id required" }, 400);
+
+  const body = await req.json().catch(() => ({}));
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { payments: true },
+  });
+  if (!order) return json({ ok: false, error: "Not found" }, 404);
+
+  const candidates = (order.payments || []).filter((p) => VOIDABLE.has(String(p.status || "")));
+  const target = body?.paymentId
+    ? candidates.find((p) => p.id === body.paymentId)
+    : candidates.find((p) => p.status === "AUTHORIZED") || candidates[0];
+
+  if (!target) {
+    return json({ ok: false, error: "No voidable payment found" }, 400);
+  }
+
+  let result;
+  try {
+    result = await voidPayment({ paymentId: target.id, actorId });
+  } catch (err) {
+    return json({ ok: false, error: String(err?.message || err) }, 400);
+  }
+
+  if (!result.ok) {
+    return json(
+      { ok: false, error: result.message || "Void failed", providerStatus: result.status },
+      result.status === "UNSUPPORTED" ? 400 : 502
+    );
+  }
+
+  const transition = await prisma.$transaction(async (tx) => {
+    const r = await recomputeOrderPaymentStatus(orderId, { db: tx, actor: { id: actorId, role: "admin" } });
+
+    await tx.orderEvent.create({
+      data: {
+        orderId,
+        kind: "PAYMENT_VOIDED",
+        message: `Payment ${target.id} → ${result.payment.status}`,
+        metadata: { provider: target.provider },
+        actorId,
+        actorRole: "admin",
+      },
+    });
+    return r;
+  });
+  await runOrderEffects(transition);
+
+  return json({ ok: true, status: result.payment.status }, 200);
+}
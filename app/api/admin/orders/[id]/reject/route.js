@@ -7,6 +7,7 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAdmin } from "@/lib/auth";
 import { Permissions } from "@/lib/rbac";
+import { applyOrderEvent, runOrderEffects } from "@/lib/order-transitions";
 
 function json(body, status = 200) {
   return new NextResponse(JSON.stringify(body ?? null), {
@@ -116,68 +117,79 @@ export async function POST(req, { params }) {
     }
   }
 
-  // Transaction: status->CANCELLED (if not already), create event, create notification (best-effort in same tx).
-  const result = await prisma.$transaction(async (tx) => {
-    // Double-click safe status update:
-    // update only if not cancelled already
-    const updated =
-      order.status === "CANCELLED"
-        ? await tx.order.findUnique({ where: { id: orderId } })
-        : await tx.order.update({
-            where: { id: orderId },
-            data: { status: "CANCELLED" },
-          });
-
-    const event = await tx.orderEvent.create({
-      data: {
+  // Transaction: cancel through the lifecycle (no-op if already cancelled), create event,
+  // create notification (best-effort in same tx).
+  let transition;
+  let result;
+  try {
+    result = await prisma.$transaction(async (tx) => {
+      transition = await applyOrderEvent(tx, {
         orderId,
-        kind: "REJECTED",
-        message: eventMessageKey || "REJECTED",
-        metadata: {
-          reasons,
-          note: note || null,
-          by: actorId || null,
-          at: nowISO(),
-        },
-        actorId,
-        actorRole: "admin",
-      },
-    });
+        event: "cancel",
+        actor: { id: actorId, role: "admin" },
+        reason: reasons.join(", "),
+        metadata: { reasons, note: note || null },
+      });
+      const updated = transition.order;
 
-    // Customer-facing apology/in-app notification (DB-backed).
-    // If your customer UI reads notifications, this will appear immediately.
-    // Keep it deterministic and concise.
-    let notification = null;
-    if (updated?.userId) {
-      const title = `Order ${
-        updated.orderNumber ? `#${updated.orderNumber}` : updated.id
-      } rejected`;
-      const bodyText =
-        `We’re sorry—your order could not be processed.` +
-        (reasons.length ? ` Reason(s): ${reasons.join(", ")}.` : "") +
-        (note ? ` Note: ${note}` : "");
-
-      // These fields follow your existing Notification model approach in the plan.
-      notification = await tx.notification.create({
+      const event = await tx.orderEvent.create({
         data: {
-          userId: updated.userId,
-          orderId: updated.id,
-          channel: "IN_APP",
-          type: "ORDER_REJECTED",
-          title,
-          body: bodyText,
-          data: {
+          orderId,
+          kind: "REJECTED",
+          message: eventMessageKey || "REJECTED",
+          metadata: {
             reasons,
             note: note || null,
-            orderId: updated.id,
-            orderNumber: updated.orderNumber || null,
+            by: actorId || null,
+            at: nowISO(),
           },
+          actorId,
+          actorRole: "admin",
         },
       });
+
+      // Customer-facing apology/in-app notification (DB-backed).
+      // If your customer UI reads notifications, this will appear immediately.
+      // Keep it deterministic and concise.
+      let notification = null;
+      if (updated?.userId) {
+        const title = `Order ${
+          updated.orderNumber ? `#${updated.orderNumber}` : updated.id
+        } rejected`;
+        const bodyText =
+          `We’re sorry—your order could not be processed.` +
+          (reasons.length ? ` Reason(s): ${reasons.join(", ")}.` : "") +
+          (note ? ` Note: ${note}` : "");
+
+        // These fields follow your existing Notification model approach in the plan.
+        notification = await tx.notification.create({
+          data: {
+            userId: updated.userId,
+            orderId: updated.id,
+            channel: "IN_APP",
+            type: "ORDER_REJECTED",
+            title,
+            body: bodyText,
+            data: {
+              reasons,
+              note: note || null,
+              orderId: updated.id,
+              orderNumber: updated.orderNumber || null,
+            },
+          },
+        });
+      }
+
+      return { order: updated, event, notification };
+    });
+  } catch (err) {
+    if (err?.status === 409) {
+      return json({ ok: false, error: err.code, details: err.details || null }, 409);
     }
+    throw err;
+  }
 
-    return { order: updated, event, notification };
-  });
+  await runOrderEffects(transition);
 
   return json({ ok: true, ...result }, 200);
 }
@@ -8,6 +8,7 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAdminIndependent } from "@/lib/admin/requireAdminIndependent";
 import { Permissions } from "@/lib/rbac";
+import { transitionOrder } from "@/lib/order-transitions";
 
 /* ---------------- helpers ---------------- */
 
@@ -22,14 +23,6 @@ function json(body, status = 200) {
   });
 }
 
-class ApiError extends Error {
-  constructor(status, message, extra) {
-    super(message);
-    this.status = status;
-    this.extra = extra || null;
-  }
-}
-
 function getActorRole(admin) {
   return (
     admin?.user?.role ||
@@ -50,13 +43,16 @@ async function unwrapParams(params) {
   return params || {};
 }
 
-const VALID_TRANSITIONS = {
-  DRAFT: ["PLACED", "CANCELLED"],
-  PLACED: ["CONFIRMED", "CANCELLED"],
-  CONFIRMED: ["COMPLETED", "CANCELLED"],
-  COMPLETED: [],
-  CANCELLED: [],
-  ARCHIVED: [],
+// PATCH action → lifecycle event (see lib/order-transitions)
+const ACTION_EVENTS = {
+  place: "place",
+  confirm: "confirm",
+  complete: "complete",
+  cancel: "cancel",
+  archive: "archive",
+  fulfill: "fulfill",
+  fulfill_partial: "fulfillPartial",
+  return: "returned",
 };
 
 async function loadOrderFull(id) {
@@ -69,6 +65,13 @@ async function loadOrderFull(id) {
       items: true,
       payments: true,
       events: true,
+      shipments: {
+        include: {
+          warehouse: { select: { id: true, code: true, name: true } },
+          items: { select: { orderItemId: true, quantity: true } },
+        },
+        orderBy: { createdAt: "asc" },
+      },
     },
   });
 }
@@ -127,105 +130,25 @@ export async function PATCH(req, { params }) {
     req.headers.get("idempotency-key") ||
     null;
 
-  let targetStatus = null;
-  if (action === "place") targetStatus = "PLACED";
-  else if (action === "confirm") targetStatus = "CONFIRMED";
-  else if (action === "complete") targetStatus = "COMPLETED";
-  else if (action === "cancel") targetStatus = "CANCELLED";
-  else return json({ ok: false, error: "Unknown action" }, 400);
+  const event = ACTION_EVENTS[action];
+  if (!event) return json({ ok: false, error: "Unknown action" }, 400);
 
   const actorId = admin.user?.id || admin.userId || null;
   const actorRole = getActorRole(admin);
 
-  let outcome = {
-    idempotent: false,
-    updated: false,
-    fulfillmentAutoUpdated: false,
-    fromStatus: null,
-    toStatus: targetStatus,
-  };
-
+  let result;
   try {
-    await prisma.$transaction(async (tx) => {
-      const current = await tx.order.findUnique({
-        where: { id },
-        select: {
-          id: true,
-          status: true,
-          fulfillmentStatus: true,
-          paymentStatus: true,
-        },
-      });
-
-      if (!current) throw new ApiError(404, "Not found");
-
-      if (current.status === targetStatus) {
-        outcome.idempotent = true;
-        outcome.updated = false;
-        outcome.fromStatus = current.status;
-        return;
-      }
-
-      const allowed = VALID_TRANSITIONS[current.status] || [];
-      if (!allowed.includes(targetStatus)) {
-        throw new ApiError(
-          400,
-          `Invalid transition from ${current.status} -> ${targetStatus}`
-        );
-      }
-
-      await tx.order.update({
-        where: { id },
-        data: { status: targetStatus },
-      });
-
-      outcome.updated = true;
-      outcome.fromStatus = current.status;
-
-      if (targetStatus === "COMPLETED") {
-        const upd = await tx.order.updateMany({
-          where: {
-            id,
-            fulfillmentStatus: { in: ["UNFULFILLED", "PARTIAL"] },
-          },
-          data: { fulfillmentStatus: "FULFILLED" },
-        });
-
-        if (upd?.count === 1) {
-          outcome.fulfillmentAutoUpdated = true;
-
-          await tx.orderEvent.create({
-            data: {
-              orderId: id,
-              kind: "FULFILLMENT_STATUS",
-              message: "fulfillmentStatus → FULFILLED",
-              actorId,
-              actorRole,
-            },
-          });
-        }
-      }
-
-      await tx.orderEvent.create({
-        data: {
-          orderId: id,
-          kind: "STATUS_CHANGED",
-          message: `${current.status} → ${targetStatus}`,
-          metadata: {
-            action,
-            idempotencyKey: idemKey || undefined,
-          },
-          actorId,
-          actorRole,
-        },
-      });
+    result = await transitionOrder({
+      orderId: id,
+      event,
+      actor: { id: actorId, role: actorRole },
+      reason: payload?.reason ? String(payload.reason).slice(0, 500) : null,
+      metadata: { action, idempotencyKey: idemKey || undefined },
     });
   } catch (err) {
-    if (err instanceof ApiError) {
-      return json(
-        { ok: false, error: err.message, ...(err.extra || {}) },
-        err.status
-      );
+    if (err?.code === "ORDER_NOT_FOUND") return json({ ok: false, error: "Not found" }, 404);
+    if (err?.status === 409 || err?.status === 400) {
+      return json({ ok: false, error: err.code || err.message, details: err.details || null }, err.status);
     }
     return json({ ok: false, error: "Failed to update order" }, 500);
   }
@@ -237,9 +160,10 @@ export async function PATCH(req, { params }) {
     {
       ok: true,
       order: updated,
-      idempotent: outcome.idempotent,
-      updated: outcome.updated,
-      fulfillmentAutoUpdated: outcome.fulfillmentAutoUpdated,
+      idempotent: !result.changed,
+      updated: result.changed,
+      fulfillmentAutoUpdated:
+        event === "complete" && result.from.fulfillmentStatus !== result.to.fulfillmentStatus,
     },
     200
   );
@@ -7,6 +7,8 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAdmin } from "@/lib/auth";
 import { Permissions } from "@/lib/rbac";
+import { isSupportedCourier } from "@/lib/logistics/providers";
+import { bookShipment, quoteShipment } from "@/lib/logistics/shipments";
 
 function json(body, status = 200) {
   return new NextResponse(JSON.stringify(body ?? null), {
@@ -15,9 +17,11 @@ function json(body, status = 200) {
   });
 }
 
-// "Book Shipment" policy (stub):
-// - Ensure Courier & Service exist by code (auto-create placeholders if missing).
-// - Create Shipment in LABEL_CREATED status.
+// "Book Shipment" policy:
+// - Resolve the courier adapter by Courier.code (lib/logistics/providers).
+// - Book the consignment with the courier, then record Shipment (LABEL_CREATED)
+//   with tracking/consignment/COD, auto-creating Courier & Service rows if missing.
+// - Split orders (several allocated PENDING shipments) need `shipmentId`.
 // - Add OrderEvent.
 // - No fulfillment status change here (that should happen on pickup/scan confirmation).
 export async function POST(req, { params }) {
@@ -51,6 +55,9 @@ export async function POST(req, { params }) {
       400
     );
   }
+  if (!isSupportedCourier(courierCode)) {
+    return json({ ok: false, error: `Unsupported courier: ${courierCode}` }, 400);
+  }
 
   const order = await prisma.order.findUnique({
     where: { id: orderId },
@@ -58,52 +65,52 @@ export async function POST(req, { params }) {
   });
   if (!order) return json({ ok: false, error: "Not found" }, 404);
 
-  const shipment = await prisma.$transaction(async (tx) => {
-    let courier = await tx.courier.findUnique({ where: { code: courierCode } });
-    if (!courier) {
-      courier = await tx.courier.create({
-        data: { code: courierCode, name: courierCode.toUpperCase() },
-      });
-    }
-
-    let service = await tx.courierService.findFirst({
-      where: { courierId: courier.id, code: serviceCode },
-    });
-    if (!service) {
-      service = await tx.courierService.create({
-        data: {
-          courierId: courier.id,
-          code: serviceCode,
-          name: serviceCode.toUpperCase(),
-          baseFee: 0,
-          isActive: true,
-        },
-      });
-    }
-
-    // TODO: integrate real courier API and set trackingNumber/labelUrl
-    const shp = await tx.shipment.create({
-      data: {
-        orderId,
-        courierId: courier.id,
-        courierServiceId: service.id,
-        status: "LABEL_CREATED",
-      },
+  try {
+    const shipment = await bookShipment({
+      orderId,
+      shipmentId: body?.shipmentId || null,
+      courierCode,
+      serviceCode,
+      weightKg: body?.weightKg,
+      note: body?.note,
+      meta: body?.meta,
+      warehouseId: body?.warehouseId || null,
+      actorId,
     });
+    return json({ ok: true, shipment }, 200);
+  } catch (err) {
+    return json({ ok: false, error: String(err?.message || err) }, err?.status || 502);
+  }
+}
 
-    await tx.orderEvent.create({
-      data: {
-        orderId,
-        kind: "SHIPMENT_BOOKED",
-        message: `Shipment created with ${courier.code}/${service.code} → LABEL_CREATED`,
-        metadata: { courierCode, serviceCode, shipmentId: shp.id },
-        actorId,
-        actorRole: "admin",
-      },
-    });
+// Price a delivery before booking: ?courierCode=PATHAO&serviceCode=STANDARD&weightKg=0.5
+export async function GET(req, { params }) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_ORDERS });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json(
+      { ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" },
+      status
+    );
+  }
 
-    return shp;
-  });
+  const orderId = String(params?.id || "");
+  const url = new URL(req.url);
+  const courierCode = url.searchParams.get("courierCode") || "";
+  if (!orderId || !courierCode) {
+    return json({ ok: false, error: "order id and courierCode required" }, 400);
+  }
 
-  return json({ ok: true, shipment }, 200);
+  try {
+    const quote = await quoteShipment({
+      orderId,
+      courierCode,
+      serviceCode: url.searchParams.get("serviceCode") || "STANDARD",
+      weightKg: url.searchParams.get("weightKg") || undefined,
+    });
+    return json({ ok: true, quote }, 200);
+  } catch (err) {
+    return json({ ok: false, error: String(err?.message || err) }, err?.status || 502);
+  }
 }
@@ -7,6 +7,7 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAdminIndependent } from "@/lib/admin/requireAdminIndependent";
 import { Permissions } from "@/lib/rbac";
+import { eventForStatus, transitionOrder } from "@/lib/order-transitions";
 
 function json(body, status = 200) {
   return new NextResponse(JSON.stringify(body ?? null), {
@@ -26,15 +27,6 @@ async function unwrapParams(params) {
   return params || {};
 }
 
-const VALID_TRANSITIONS = {
-  DRAFT: ["PLACED", "CANCELLED"],
-  PLACED: ["CONFIRMED", "CANCELLED"],
-  CONFIRMED: ["COMPLETED", "CANCELLED"],
-  COMPLETED: [],
-  CANCELLED: [],
-  ARCHIVED: [],
-};
-
 export async function POST(req, { params }) {
   let admin;
   try {
@@ -60,74 +52,33 @@ export async function POST(req, { params }) {
   const to = String(payload?.to || "").toUpperCase().trim();
   if (!to) return json({ ok: false, error: "Target status (to) required" }, 400);
 
-  const order = await prisma.order.findUnique({
-    where: { id },
-    select: { id: true, status: true, fulfillmentStatus: true },
-  });
-  if (!order) return json({ ok: false, error: "Not found" }, 404);
-
-  const allowed = VALID_TRANSITIONS[order.status] || [];
-  if (!allowed.includes(to)) {
-    return json(
-      { ok: false, error: `Invalid transition from ${order.status} -> ${to}` },
-      400
-    );
-  }
+  const event = eventForStatus(to);
+  if (!event) return json({ ok: false, error: `Unknown status ${to}` }, 400);
 
   const actorId = admin.user?.id || admin.userId || null;
 
-  const updated = await prisma.$transaction(async (tx) => {
-    await tx.order.update({ where: { id }, data: { status: to } });
-
-    if (to === "COMPLETED") {
-      const fresh = await tx.order.findUnique({
-        where: { id },
-        select: { fulfillmentStatus: true },
-      });
-      if (
-        fresh &&
-        (fresh.fulfillmentStatus === "UNFULFILLED" ||
-          fresh.fulfillmentStatus === "PARTIAL")
-      ) {
-        await tx.order.update({
-          where: { id },
-          data: { fulfillmentStatus: "FULFILLED" },
-        });
-        await tx.orderEvent.create({
-          data: {
-            orderId: id,
-            kind: "FULFILLMENT_STATUS",
-            message: "fulfillmentStatus → FULFILLED",
-            actorId,
-            actorRole: "admin",
-          },
-        });
-      }
+  let result;
+  try {
+    result = await transitionOrder({ orderId: id, event, actor: { id: actorId, role: "admin" } });
+  } catch (err) {
+    if (err?.code === "ORDER_NOT_FOUND") return json({ ok: false, error: "Not found" }, 404);
+    if (err?.status === 409) {
+      return json({ ok: false, error: err.code, details: err.details || null }, 409);
     }
+    throw err;
+  }
 
-    await tx.orderEvent.create({
-      data: {
-        orderId: id,
-        kind: "STATUS_CHANGED",
-        message: `${order.status} → ${to}`,
-        metadata: { from: order.status, to },
-        actorId,
-        actorRole: "admin",
-      },
-    });
-
-    return tx.order.findUnique({
-      where: { id },
-      include: {
-        user: { select: { id: true, name: true, email: true, phone: true } },
-        shippingAddress: true,
-        billingAddress: true,
-        items: true,
-        payments: true,
-        events: true,
-      },
-    });
+  const updated = await prisma.order.findUnique({
+    where: { id },
+    include: {
+      user: { select: { id: true, name: true, email: true, phone: true } },
+      shippingAddress: true,
+      billingAddress: true,
+      items: true,
+      payments: true,
+      events: true,
+    },
   });
 
-  return json({ ok: true, order: updated }, 200);
+  return json({ ok: true, order: updated, changed: result.changed }, 200);
 }
@@ -0,0 +1,76 @@
+// PATH: app/api/admin/orders/[id]/tracking/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { pollShipment, recordShipmentStatus, trackingTimeline } from "@/lib/logistics/tracking";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permissions) {
+  try {
+    return [await requireAdmin(req, { permissions }), null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+/** GET → stored courier timeline per shipment ("where is my order"; no courier call). */
+export async function GET(req, { params }) {
+  const [, denied] = await guard(req, [Permissions.VIEW_ORDERS, Permissions.VIEW_FULFILLMENT]);
+  if (denied) return denied;
+
+  const timeline = await trackingTimeline(String(params?.id || ""));
+  if (!timeline) return json({ ok: false, error: "ORDER_NOT_FOUND" }, 404);
+  return json({ ok: true, ...timeline });
+}
+
+/**
+ * POST { action: "refresh", shipmentId }                       → poll the courier now
+ *    | { action: "status", shipmentId, status, note?, location? } → staff-entered update
+ */
+export async function POST(req, { params }) {
+  const [admin, denied] = await guard(req, [Permissions.MANAGE_FULFILLMENT, Permissions.MANAGE_ORDERS]);
+  if (denied) return denied;
+
+  const orderId = String(params?.id || "");
+  const body = await req.json().catch(() => ({}));
+  const shipmentId = String(body?.shipmentId || "");
+  const shipment = shipmentId
+    ? await prisma.shipment.findFirst({
+        where: { id: shipmentId, orderId },
+        include: { courier: true, service: true, order: { select: { id: true, orderNumber: true, userId: true } } },
+      })
+    : null;
+  if (!shipment) return json({ ok: false, error: "SHIPMENT_NOT_FOUND" }, 404);
+
+  try {
+    if (body.action === "refresh") {
+      await pollShipment(shipment);
+    } else if (body.action === "status") {
+      await recordShipmentStatus({
+        shipmentId,
+        status: body.status,
+        note: body.note,
+        location: body.location,
+        actorId: admin.user?.id || admin.userId || null,
+      });
+    } else {
+      return json({ ok: false, error: "UNKNOWN_ACTION" }, 400);
+    }
+  } catch (err) {
+    if (err?.status) return json({ ok: false, error: err.message, from: err.from, to: err.to }, err.status);
+    return json({ ok: false, error: String(err?.message || err) }, 502);
+  }
+  return json({ ok: true, ...(await trackingTimeline(orderId)) });
+}
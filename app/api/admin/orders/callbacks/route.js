@@ -0,0 +1,56 @@
+// PATH: app/api/admin/orders/callbacks/route.js
+// Support queue for "request a callback" from the public tracking page.
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { listCallbackRequests, resolveCallbackRequest } from "@/lib/order-tracking";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permissions) {
+  try {
+    return [await requireAdmin(req, { permissions }), null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+/** GET ?status=OPEN|DONE (default OPEN) */
+export async function GET(req) {
+  const [, denied] = await guard(req, [Permissions.VIEW_ORDERS, Permissions.VIEW_CUSTOMERS]);
+  if (denied) return denied;
+
+  const status = String(new URL(req.url).searchParams.get("status") || "OPEN").toUpperCase();
+  if (!["OPEN", "DONE"].includes(status)) return json({ ok: false, error: "INVALID_STATUS" }, 400);
+  return json({ ok: true, items: await listCallbackRequests({ status }) });
+}
+
+/** PATCH { id, note? } → mark called back */
+export async function PATCH(req) {
+  const [admin, denied] = await guard(req, [Permissions.MANAGE_ORDERS, Permissions.MANAGE_CUSTOMER_NOTES]);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  if (!body?.id) return json({ ok: false, error: "ID_REQUIRED" }, 400);
+  try {
+    const request = await resolveCallbackRequest({
+      id: String(body.id),
+      note: body.note ? String(body.note) : null,
+      actorId: admin.user?.id || admin.userId || null,
+    });
+    return json({ ok: true, request });
+  } catch (err) {
+    if (err?.status) return json({ ok: false, error: err.message }, err.status);
+    throw err;
+  }
+}
@@ -0,0 +1,50 @@
+// PATH: app/api/admin/purchasing/purchase-orders/[id]/receipts/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { receivePurchaseOrder } from "@/lib/purchasing";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/**
+ * POST { lines: [{ itemId, quantity, rejectedQty?, unitCost? }], landedCost?, supplierRef?, note? }
+ * → goods-received note: stock IN at the PO warehouse, InventoryBatch, cost snapshots.
+ */
+export async function POST(req, { params }) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, {
+      permissions: [Permissions.MANAGE_INBOUND_SHIPMENTS, Permissions.MANAGE_PURCHASE_ORDERS],
+    });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const body = await req.json().catch(() => ({}));
+  try {
+    const { receipt, order } = await receivePurchaseOrder({
+      id: String(params?.id || ""),
+      lines: body?.lines,
+      landedCost: body?.landedCost,
+      supplierRef: body?.supplierRef ? String(body.supplierRef).trim().slice(0, 120) : null,
+      note: body?.note ? String(body.note).trim().slice(0, 2000) : null,
+      actorId: admin.user?.id || admin.userId || null,
+    });
+    return json({ ok: true, receipt, item: order }, 201);
+  } catch (err) {
+    if (err?.status) {
+      return json({ ok: false, error: err.message, sku: err.sku, current: err.current }, err.status);
+    }
+    throw err;
+  }
+}
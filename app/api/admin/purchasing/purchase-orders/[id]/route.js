@@ -0,0 +1,60 @@
+// PATH: app/api/admin/purchasing/purchase-orders/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { loadPurchaseOrder, movePurchaseOrder, parsePurchaseOrder, updatePurchaseOrder } from "@/lib/purchasing";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    await requireAdmin(req, { permission });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+export async function GET(req, { params }) {
+  const denied = await guard(req, Permissions.VIEW_PURCHASE_ORDERS);
+  if (denied) return denied;
+
+  const item = await loadPurchaseOrder(String(params?.id || ""));
+  if (!item) return json({ ok: false, error: "NOT_FOUND" }, 404);
+  return json({ ok: true, item });
+}
+
+/**
+ * PATCH { action: "submit" | "cancel" | "close" }
+ *     | { supplierId?, warehouseId?, currency?, fxRate?, expectedAt?, note?, lines? }  (DRAFT only)
+ */
+export async function PATCH(req, { params }) {
+  const denied = await guard(req, Permissions.MANAGE_PURCHASE_ORDERS);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  const body = await req.json().catch(() => ({}));
+
+  try {
+    if (body?.action) return json({ ok: true, item: await movePurchaseOrder(id, String(body.action)) });
+
+    const [data, error] = parsePurchaseOrder(body, { partial: true });
+    if (error) return json({ ok: false, error }, 400);
+    return json({ ok: true, item: await updatePurchaseOrder(id, data) });
+  } catch (err) {
+    if (err?.status) {
+      return json({ ok: false, error: err.message, sku: err.sku, current: err.current }, err.status);
+    }
+    throw err;
+  }
+}
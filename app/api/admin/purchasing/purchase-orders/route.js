@@ -0,0 +1,68 @@
+// PATH: app/api/admin/purchasing/purchase-orders/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { PO_INCLUDE, createPurchaseOrder, parsePurchaseOrder } from "@/lib/purchasing";
+
+const STATUSES = ["DRAFT", "SUBMITTED", "PARTIALLY_RECEIVED", "RECEIVED", "CANCELLED", "CLOSED"];
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    return [await requireAdmin(req, { permission }), null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+/** GET ?status=&supplierId=&take= → newest purchase orders first. */
+export async function GET(req) {
+  const [, denied] = await guard(req, Permissions.VIEW_PURCHASE_ORDERS);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(req.url);
+  const status = String(searchParams.get("status") || "").toUpperCase();
+  const supplierId = searchParams.get("supplierId") || "";
+  const take = Math.min(Math.max(Number(searchParams.get("take")) || 50, 1), 200);
+
+  const items = await prisma.purchaseOrder.findMany({
+    where: {
+      ...(STATUSES.includes(status) ? { status } : {}),
+      ...(supplierId ? { supplierId } : {}),
+    },
+    include: PO_INCLUDE,
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+  return json({ ok: true, items });
+}
+
+/** POST { supplierId, warehouseId, currency?, fxRate?, expectedAt?, note?, lines: [{ variantId | sku, quantity, unitCost }] } → DRAFT */
+export async function POST(req) {
+  const [admin, denied] = await guard(req, Permissions.MANAGE_PURCHASE_ORDERS);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parsePurchaseOrder(body);
+  if (error) return json({ ok: false, error }, 400);
+
+  try {
+    const item = await createPurchaseOrder({ ...data, actorId: admin.user?.id || admin.userId || null });
+    return json({ ok: true, item }, 201);
+  } catch (err) {
+    if (err?.status) return json({ ok: false, error: err.message, sku: err.sku }, err.status);
+    throw err;
+  }
+}
@@ -0,0 +1,74 @@
+// PATH: app/api/admin/purchasing/suppliers/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { parseSupplier } from "@/lib/purchasing";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    await requireAdmin(req, { permission });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** GET ?q=&archived=1 → suppliers by name with open-PO counts. */
+export async function GET(req) {
+  const denied = await guard(req, Permissions.VIEW_SUPPLIERS);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(req.url);
+  const q = String(searchParams.get("q") || "").trim();
+  const archived = searchParams.get("archived") === "1";
+
+  const items = await prisma.supplier.findMany({
+    where: {
+      ...(archived ? {} : { archivedAt: null }),
+      ...(q
+        ? {
+            OR: [
+              { name: { contains: q, mode: "insensitive" } },
+              { code: { contains: q, mode: "insensitive" } },
+            ],
+          }
+        : {}),
+    },
+    include: {
+      _count: { select: { purchaseOrders: { where: { status: { in: ["SUBMITTED", "PARTIALLY_RECEIVED"] } } } } },
+    },
+    orderBy: { name: "asc" },
+  });
+  return json({ ok: true, items: items.map(({ _count, ...s }) => ({ ...s, openOrders: _count.purchaseOrders })) });
+}
+
+/** POST { name, code, contactName?, email?, phone?, address?, currency?, leadTimeDays?, paymentTerms?, notes? } */
+export async function POST(req) {
+  const denied = await guard(req, Permissions.MANAGE_SUPPLIERS);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parseSupplier(body);
+  if (error) return json({ ok: false, error }, 400);
+
+  try {
+    const item = await prisma.supplier.create({ data });
+    return json({ ok: true, item }, 201);
+  } catch (err) {
+    if (err?.code === "P2002") return json({ ok: false, error: "CODE_TAKEN" }, 409);
+    throw err;
+  }
+}
@@ -7,6 +7,7 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAdmin } from "@/lib/auth";
 import { Permissions } from "@/lib/rbac";
+import { approveExchange, denyExchange, exchangeView, fulfillExchange, loadExchange } from "@/lib/exchanges";
 
 function json(body, status = 200) {
   return new NextResponse(JSON.stringify(body ?? null), {
@@ -22,11 +23,14 @@ function str(v) {
   return String(v ?? "").trim();
 }
 
-// Schema enum: REQUESTED -> APPROVED -> FULFILLED/DENIED :contentReference[oaicite:5]{index=5}
+// Schema enum: REQUESTED -> APPROVED -> FULFILLED/DENIED; approve places the replacement order.
 const EXCHANGE_TRANSITIONS = {
-  approve: { from: ["REQUESTED"], to: "APPROVED" },
-  deny: { from: ["REQUESTED"], to: "DENIED" },
-  fulfilled: { from: ["APPROVED"], to: "FULFILLED" },
+  approve: {
+    to: "APPROVED",
+    run: ({ id, body, actorId }) => approveExchange({ id, settlement: str(body?.settlement) || "GATEWAY", actorId }),
+  },
+  deny: { to: "DENIED", run: ({ id, actorId }) => denyExchange({ id, actorId }) },
+  fulfilled: { to: "FULFILLED", run: ({ id, actorId }) => fulfillExchange({ id, actorId }) },
 };
 
 export async function GET(req, { params }) {
@@ -40,13 +44,9 @@ export async function GET(req, { params }) {
     );
   }
 
-  const id = str(params?.id);
-  const item = await prisma.exchangeRequest.findUnique({
-    where: { id },
-    include: { lines: true },
-  });
+  const item = await loadExchange(str(params?.id));
   if (!item) return json({ ok: false, error: "NOT_FOUND" }, 404);
-  return json({ ok: true, item }, 200);
+  return json({ ok: true, item: await exchangeView(item) }, 200);
 }
 
 export async function PATCH(req, { params }) {
@@ -78,32 +78,15 @@ export async function PATCH(req, { params }) {
   if (existing.status === rule.to) {
     return json({ ok: true, item: existing, deduped: true }, 200);
   }
-  if (!rule.from.includes(existing.status)) {
-    return json(
-      { ok: false, error: "INVALID_TRANSITION", status: existing.status },
-      409
-    );
+  try {
+    const item = await rule.run({ id, body, actorId: actorId || null });
+    return json({ ok: true, item }, 200);
+  } catch (err) {
+    if (err?.status && err.status < 500) {
+      const { message, status, ...extra } = err;
+      return json({ ok: false, error: message, ...extra }, status);
+    }
+    console.error("[rer/exchanges]", err);
+    return json({ ok: false, error: "SERVER_ERROR" }, 500);
   }
-
-  const item = await prisma.$transaction(async (tx) => {
-    const updated = await tx.exchangeRequest.update({
-      where: { id },
-      data: { status: rule.to },
-    });
-
-    await tx.orderEvent.create({
-      data: {
-        orderId: existing.orderId,
-        kind: "RER_EXCHANGE_STATUS",
-        message: `RER_EXCHANGE_STATUS:${rule.to}`,
-        metadata: { exchangeId: id, status: rule.to, action },
-        actorId: actorId || null,
-        actorRole: "admin",
-      },
-    });
-
-    return updated;
-  });
-
-  return json({ ok: true, item }, 200);
 }
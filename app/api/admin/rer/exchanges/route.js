@@ -107,6 +107,12 @@ export async function GET(req) {
           notes: true, // schema: notes (fix)
           createdAt: true,
           updatedAt: true,
+          priceDifference: true,
+          settlement: true,
+          replacementOrderId: true,
+          replacementOrder: {
+            select: { id: true, orderNumber: true, status: true, paymentStatus: true, fulfillmentStatus: true },
+          },
           order: {
             select: {
               id: true,
@@ -7,6 +7,7 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAdmin } from "@/lib/auth";
 import { Permissions } from "@/lib/rbac";
+import { processRefund, cancelRefund, syncRefund } from "@/lib/refunds";
 
 function json(body, status = 200) {
   return new NextResponse(JSON.stringify(body ?? null), {
@@ -31,22 +32,23 @@ function prismaErrShape(err) {
 function shapeRefund(row) {
   const payload = row?.payload ?? null;
   const note =
-    payload && typeof payload === "object" && payload !== null
-      ? (payload.note ?? null)
-      : null;
+    row?.notes ??
+    (payload && typeof payload === "object" && payload !== null ? (payload.note ?? null) : null);
 
-  // Refund schema has no updatedAt in your prisma (it has createdAt only).
-  // We provide updatedAt as createdAt for backward compatibility in clients.
+  // Refund has no updatedAt; processedAt (or createdAt) stands in for older clients.
   return {
     ...row,
     note,
-    updatedAt: row?.createdAt ?? null,
+    updatedAt: row?.processedAt ?? row?.createdAt ?? null,
   };
 }
 
-const REFUND_TRANSITIONS = {
-  process: { from: ["INITIATED"], to: "PROCESSED" },
-  fail: { from: ["INITIATED"], to: "FAILED" },
+// INITIATED -> (process) PROCESSING -> PROCESSED | FAILED; INITIATED -> (fail) FAILED
+// A refund the provider left pending stays PROCESSING; (sync) asks the provider again.
+const REFUND_ACTIONS = {
+  process: processRefund,
+  fail: cancelRefund,
+  sync: syncRefund,
 };
 
 export async function GET(req, { params }) {
@@ -74,16 +76,24 @@ export async function GET(req, { params }) {
         currency: true,
         reason: true,
         status: true,
+        method: true,
         gatewayRef: true,
         payload: true,
+        notes: true,
+        actorId: true,
+        processedAt: true,
         createdAt: true,
         order: { select: { orderNumber: true, invoiceNo: true } },
+        payment: { select: { provider: true, status: true, amount: true } },
       },
     });
 
     if (!item) return json({ ok: false, error: "NOT_FOUND" }, 404);
     return json({ ok: true, item: shapeRefund(item) }, 200);
   } catch (err) {
+    if (err?.status && err.status < 500) {
+      return json({ ok: false, error: err.message, current: err.current }, err.status);
+    }
     const { code, message } = prismaErrShape(err);
     return json(
       { ok: false, error: "SERVER_ERROR", code: code || "HTTP_500", detail: message },
@@ -110,72 +120,28 @@ export async function PATCH(req, { params }) {
     const body = await req.json().catch(() => ({}));
     const action = str(body?.action).toLowerCase();
 
-    const rule = REFUND_TRANSITIONS[action];
-    if (!rule) return json({ ok: false, error: "BAD_ACTION" }, 400);
-
-    const existing = await prisma.refund.findUnique({
-      where: { id },
-      select: {
-        id: true,
-        status: true,
-        orderId: true,
-        amount: true,
-        currency: true,
-      },
-    });
-    if (!existing) return json({ ok: false, error: "NOT_FOUND" }, 404);
-
-    if (existing.status === rule.to) {
-      return json({ ok: true, item: existing, deduped: true }, 200);
-    }
-    if (!rule.from.includes(existing.status)) {
-      return json(
-        { ok: false, error: "INVALID_TRANSITION", status: existing.status },
-        409
-      );
-    }
+    const run = REFUND_ACTIONS[action];
+    if (!run) return json({ ok: false, error: "BAD_ACTION" }, 400);
 
-    const item = await prisma.$transaction(async (tx) => {
-      const updated = await tx.refund.update({
-        where: { id },
-        data: { status: rule.to },
-        select: {
-          id: true,
-          orderId: true,
-          paymentId: true,
-          returnId: true,
-          amount: true,
-          currency: true,
-          reason: true,
-          status: true,
-          gatewayRef: true,
-          payload: true,
-          createdAt: true,
-        },
-      });
-
-      await tx.orderEvent.create({
-        data: {
-          orderId: existing.orderId,
-          kind: "RER_REFUND_STATUS",
-          message: `RER_REFUND_STATUS:${rule.to}`,
-          metadata: {
-            refundId: id,
-            status: rule.to,
-            action,
-            amount: existing.amount,
-            currency: existing.currency,
-          },
-          actorId: actorId,
-          actorRole: "admin",
-        },
-      });
-
-      return updated;
-    });
+    const res = await run({ id, actorId });
+    if (action === "fail") return json({ ok: true, item: shapeRefund(res) }, 200);
 
-    return json({ ok: true, item: shapeRefund(item) }, 200);
+    // A provider decline is a FAILED refund, not an HTTP error; surface it alongside the row.
+    return json(
+      {
+        ok: true,
+        item: shapeRefund(res.refund),
+        processed: res.ok,
+        pending: res.pending || undefined,
+        deduped: res.deduped || undefined,
+        gateway: res.refund?.payload?.gateway ?? null,
+      },
+      200
+    );
   } catch (err) {
+    if (err?.status && err.status < 500) {
+      return json({ ok: false, error: err.message, current: err.current }, err.status);
+    }
     const { code, message } = prismaErrShape(err);
     return json(
       { ok: false, error: "SERVER_ERROR", code: code || "HTTP_500", detail: message },
@@ -0,0 +1,44 @@
+// PATH: app/api/admin/rer/refunds/refundable/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { refundableSummary } from "@/lib/refunds";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store",
+    },
+  });
+}
+
+/** GET ?orderId=<id | order number> → paid, reserved and refundable amounts, per payment and overall */
+export async function GET(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_ORDERS });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const ref = String(new URL(req.url).searchParams.get("orderId") || "").trim().replace(/^#/, "");
+  if (!ref) return json({ ok: false, error: "ORDER_ID_REQUIRED" }, 400);
+
+  try {
+    const order = /^\d+$/.test(ref)
+      ? await prisma.order.findFirst({ where: { orderNumber: Number(ref) }, select: { id: true } })
+      : { id: ref };
+    const summary = order ? await refundableSummary(order.id) : null;
+    if (!summary) return json({ ok: false, error: "ORDER_NOT_FOUND" }, 404);
+    return json({ ok: true, summary });
+  } catch (err) {
+    return json({ ok: false, error: "SERVER_ERROR", detail: String(err?.message || err).slice(0, 600) }, 500);
+  }
+}
@@ -6,6 +6,7 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAdmin } from "@/lib/auth";
 import { Permissions } from "@/lib/rbac";
+import { createRefunds } from "@/lib/refunds";
 
 function json(body, status = 200) {
   return new NextResponse(JSON.stringify(body ?? null), {
@@ -108,10 +109,15 @@ export async function GET(req) {
           orderId: true,
           status: true,
           amount: true,
+          currency: true,
+          method: true,
+          paymentId: true,
+          gatewayRef: true,
           reason: true,
-          notes: true, // schema: notes (fix)
+          notes: true,
+          processedAt: true,
           createdAt: true,
-          updatedAt: true,
+          payment: { select: { provider: true } },
           order: {
             select: {
               id: true,
@@ -129,7 +135,11 @@ export async function GET(req) {
       prisma.refund.count({ where }),
     ]);
 
-    const shaped = items.map((it) => ({ ...it, note: it?.notes ?? null }));
+    const shaped = items.map((it) => ({
+      ...it,
+      note: it?.notes ?? null,
+      updatedAt: it?.processedAt ?? it?.createdAt ?? null,
+    }));
 
     return json({ ok: true, items: shaped, total, page, take }, 200);
   } catch (err) {
@@ -143,7 +153,10 @@ export async function GET(req) {
 
 /**
  * POST /api/admin/rer/refunds
- * Body: { orderId: string (UUID OR orderNumber), amount: number, reason?: string|null, note?: string|null, notes?: string|null }
+ * Body: { orderId: string (UUID OR orderNumber), amount: number, method?: "ORIGINAL"|"STORE_CREDIT",
+ *         tenders?: [{ paymentId?, method?, amount }], returnId?, reason?, note?|notes? }
+ * `tenders` splits one refund across payments and/or store credit; otherwise
+ * `amount` goes to `method` (ORIGINAL is spread over the order's paid payments).
  */
 export async function POST(req) {
   let admin;
@@ -156,68 +169,58 @@ export async function POST(req) {
       status
     );
   }
-  const actorId = admin.user?.id || admin.userId;
+  const actorId = admin.user?.id || admin.userId || null;
 
   try {
     const body = await req.json().catch(() => ({}));
     const orderRef = str(body?.orderId);
     const amount = num(body?.amount, 0);
+    const tenders = Array.isArray(body?.tenders) ? body.tenders : null;
     const reason = body?.reason == null ? null : str(body.reason);
     const noteIncoming =
       body?.notes != null ? str(body.notes) : body?.note != null ? str(body.note) : null;
     const idem = str(req.headers.get("x-idempotency-key"));
 
     if (!orderRef) return json({ ok: false, error: "ORDER_ID_REQUIRED" }, 400);
-    if (!(amount > 0)) return json({ ok: false, error: "AMOUNT_REQUIRED" }, 400);
+    if (!tenders && !(amount > 0)) return json({ ok: false, error: "AMOUNT_REQUIRED" }, 400);
 
     const order = await resolveOrderRef(orderRef);
     if (!order) return json({ ok: false, error: "ORDER_NOT_FOUND" }, 404);
 
-    if (idem) {
-      const existing = await prisma.refund.findFirst({
-        where: { orderId: order.id, notes: { startsWith: `IDEMP:${idem}` } },
-        select: { id: true },
-      });
-      if (existing) {
-        const found = await prisma.refund.findUnique({ where: { id: existing.id } });
-        return json(
-          { ok: true, item: { ...found, note: found?.notes ?? null }, deduped: true, message: "REFUND_CREATE_DEDUPED" },
-          200
-        );
-      }
-    }
-
-    const notesToSave = idem
-      ? `IDEMP:${idem}${noteIncoming ? `\n${noteIncoming}` : ""}`
-      : noteIncoming;
-
-    const item = await prisma.refund.create({
-      data: {
-        orderId: order.id,
-        status: "INITIATED",
-        amount,
-        reason,
-        notes: notesToSave, // schema: notes (fix)
-        actorId: actorId || null,
-      },
-    });
-
-    await prisma.orderEvent.create({
-      data: {
-        orderId: order.id,
-        kind: "RER_REFUND_CREATED",
-        message: "RER_REFUND_CREATED",
-        metadata: { refundId: item.id, amount, orderNumber: order.orderNumber },
-        actorId: actorId || null,
-        actorRole: "admin",
-      },
+    const { items, deduped } = await createRefunds({
+      orderId: order.id,
+      amount,
+      method: str(body?.method).toUpperCase() || "ORIGINAL",
+      tenders: tenders?.map((t) => ({
+        paymentId: str(t?.paymentId) || null,
+        method: str(t?.method).toUpperCase() || "ORIGINAL",
+        amount: num(t?.amount, 0),
+      })),
+      returnId: str(body?.returnId) || null,
+      reason,
+      note: noteIncoming,
+      idempotencyKey: idem || null,
+      actorId,
     });
 
+    const shaped = items.map((it) => ({ ...it, note: it?.notes ?? null }));
     return json(
-      { ok: true, item: { ...item, note: item?.notes ?? null }, message: "REFUND_CREATED" },
-      201
+      {
+        ok: true,
+        item: shaped[0],
+        items: shaped,
+        deduped: deduped || undefined,
+        message: deduped ? "REFUND_CREATE_DEDUPED" : "REFUND_CREATED",
+      },
+      deduped ? 200 : 201
     );
   } catch (err) {
+    if (err?.status && err.status < 500) {
+      return json(
+        { ok: false, error: err.message, refundable: err.refundable, paymentId: err.paymentId },
+        err.status
+      );
+    }
     const { code, message } = prismaErrShape(err);
     return json(
       { ok: false, error: "SERVER_ERROR", code: code || "HTTP_500", detail: message },
@@ -0,0 +1,47 @@
+// PATH: app/api/admin/rer/restock-policy/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { DEFAULT_RESTOCK_POLICY, QC_GRADES, parseRestockPolicy, restockPolicy, saveRestockPolicy } from "@/lib/rma";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  return requireAdmin(req, { permission: Permissions.MANAGE_RESTOCK_POLICIES });
+}
+
+export async function GET(req) {
+  try {
+    await guard(req);
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+  return json({ ok: true, policy: await restockPolicy(), defaults: DEFAULT_RESTOCK_POLICY, grades: QC_GRADES });
+}
+
+/** PUT { refundPercent: { RESELLABLE, DAMAGED, DEFECTIVE } } — applies to returns inspected from now on. */
+export async function PUT(req) {
+  let admin;
+  try {
+    admin = await guard(req);
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const [value, error] = parseRestockPolicy(await req.json().catch(() => ({})));
+  if (error) return json({ ok: false, error }, 400);
+
+  const policy = await saveRestockPolicy({ value, actorId: admin.user?.id || admin.userId || null });
+  return json({ ok: true, policy });
+}
@@ -7,6 +7,7 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAdmin } from "@/lib/auth";
 import { Permissions } from "@/lib/rbac";
+import { approveReturn, denyReturn, receiveReturn, refundReturn } from "@/lib/rma";
 
 function json(body, status = 200) {
   return new NextResponse(JSON.stringify(body ?? null), {
@@ -28,11 +29,22 @@ function prismaErrShape(err) {
   return { code, message };
 }
 
+// Each action runs the RMA step in lib/rma.js (which also writes the order event and webhook).
 const RETURN_TRANSITIONS = {
-  approve: { from: ["REQUESTED"], to: "APPROVED" },
-  deny: { from: ["REQUESTED"], to: "DENIED" },
-  received: { from: ["APPROVED"], to: "RECEIVED" },
-  refunded: { from: ["RECEIVED", "APPROVED"], to: "REFUNDED" },
+  approve: { to: "APPROVED", run: ({ id, actorId }) => approveReturn({ id, actorId }) },
+  deny: { to: "DENIED", run: ({ id, body, actorId }) => denyReturn({ id, reason: str(body?.reason) || null, actorId }) },
+  received: {
+    to: "RECEIVED",
+    run: ({ id, body, actorId }) =>
+      receiveReturn({ id, warehouseId: str(body?.warehouseId) || null, all: body?.all !== false, actorId }),
+  },
+  refunded: {
+    to: "REFUNDED",
+    run: ({ id, body, actorId }) =>
+      refundReturn({ id, method: str(body?.method).toUpperCase() || "ORIGINAL", tenders: body?.tenders, actorId }).then(
+        (r) => r.item
+      ),
+  },
 };
 
 export async function GET(req, { params }) {
@@ -89,10 +101,11 @@ export async function GET(req, { params }) {
 
 /**
  * PATCH /api/admin/rer/returns/:id
- * Body: { action: "approve"|"deny"|"received"|"refunded" }
+ * Body: { action: "approve"|"deny"|"received"|"refunded", warehouseId?, method?, tenders?, reason? }
  * Double-click safe:
  * - If already in target status, returns ok without duplicating events.
  * - If status doesn't allow transition, returns 409 with current status.
+ * "received" books every line in at warehouseId; "refunded" needs QC (INSPECTED) first.
  */
 export async function PATCH(req, { params }) {
   let admin;
@@ -127,45 +140,12 @@ export async function PATCH(req, { params }) {
       return json({ ok: true, item: existing, deduped: true }, 200);
     }
 
-    // Invalid transition
-    if (!rule.from.includes(existing.status)) {
-      return json(
-        { ok: false, error: "INVALID_TRANSITION", status: existing.status },
-        409
-      );
-    }
-
-    const item = await prisma.$transaction(async (tx) => {
-      const updated = await tx.returnRequest.update({
-        where: { id },
-        data: { status: rule.to },
-        select: {
-          id: true,
-          orderId: true,
-          status: true,
-          reason: true,
-          notes: true,
-          createdAt: true,
-          updatedAt: true,
-        },
-      });
-
-      await tx.orderEvent.create({
-        data: {
-          orderId: existing.orderId,
-          kind: "RER_RETURN_STATUS",
-          message: `RER_RETURN_STATUS:${rule.to}`,
-          metadata: { returnId: id, status: rule.to, action },
-          actorId: actorId || null,
-          actorRole: "admin",
-        },
-      });
-
-      return updated;
-    });
-
+    const item = await rule.run({ id, body, actorId: actorId || null });
     return json({ ok: true, item: { ...item, note: item?.notes ?? null } }, 200);
   } catch (err) {
+    if (err?.status && err.status < 500) {
+      return json({ ok: false, error: err.message, status: err.current, ...(err.lineId ? { lineId: err.lineId } : {}) }, err.status);
+    }
     const { code, message } = prismaErrShape(err);
     return json(
       { ok: false, error: "SERVER_ERROR", code: code || "HTTP_500", detail: message },
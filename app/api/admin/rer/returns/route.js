@@ -6,6 +6,7 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAdmin } from "@/lib/auth";
 import { Permissions } from "@/lib/rbac";
+import { emitWebhookEvent, returnWebhookData } from "@/lib/webhooks";
 
 function json(body, status = 200) {
   return new NextResponse(JSON.stringify(body ?? null), {
@@ -247,6 +248,8 @@ export async function POST(req) {
       },
     });
 
+    await emitWebhookEvent("return.requested", returnWebhookData(item));
+
     return json(
       { ok: true, item: { ...item, note: item?.notes ?? null }, message: "RETURN_CREATED" },
       201
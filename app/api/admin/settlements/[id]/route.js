@@ -0,0 +1,82 @@
+// PATH: app/api/admin/settlements/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import {
+  captureRemittance,
+  deleteRemittance,
+  loadRemittance,
+  postRemittance,
+  remittanceView,
+} from "@/lib/cod-remittance";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    return [await requireAdmin(req, { permission }), null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+function fail(err) {
+  if (err?.status) return json({ ok: false, error: err.message }, err.status);
+  throw err;
+}
+
+export async function GET(req, { params }) {
+  const [, denied] = await guard(req, Permissions.VIEW_FINANCIALS);
+  if (denied) return denied;
+
+  const remittance = await loadRemittance(String(params?.id || ""));
+  if (!remittance) return json({ ok: false, error: "REMITTANCE_NOT_FOUND" }, 404);
+  return json({ ok: true, item: remittanceView(remittance) });
+}
+
+/**
+ * PATCH { action: "post" }    → book the statement (payments paid, fees, warnings; SHORT lines held)
+ * PATCH { action: "capture", acceptShort?: [lineId] }
+ *                             → posted statement: retry failed captures, accepting those short remits first
+ */
+export async function PATCH(req, { params }) {
+  const [admin, denied] = await guard(req, Permissions.RUN_RECONCILIATION);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const run = { post: postRemittance, capture: captureRemittance }[body?.action];
+  if (!run) return json({ ok: false, error: "UNKNOWN_ACTION" }, 400);
+  try {
+    const r = await run({
+      id: String(params?.id || ""),
+      acceptShort: body?.acceptShort,
+      actorId: admin.user?.id || admin.userId || null,
+    });
+    return json({ ok: true, item: remittanceView(r.remittance), captured: r.captured, held: r.held, errors: r.errors });
+  } catch (err) {
+    return fail(err);
+  }
+}
+
+/** DELETE → discard a DRAFT statement */
+export async function DELETE(req, { params }) {
+  const [, denied] = await guard(req, Permissions.RUN_RECONCILIATION);
+  if (denied) return denied;
+
+  try {
+    await deleteRemittance(String(params?.id || ""));
+    return json({ ok: true });
+  } catch (err) {
+    return fail(err);
+  }
+}
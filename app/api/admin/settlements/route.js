@@ -0,0 +1,89 @@
+// PATH: app/api/admin/settlements/route.js
+// Courier COD remittance statements (lib/cod-remittance.js).
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import {
+  importRemittance,
+  listRemittances,
+  missingCodParcels,
+  remittanceView,
+} from "@/lib/cod-remittance";
+
+// Statements are a few thousand rows at most.
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    return [await requireAdmin(req, { permission }), null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
+  }
+}
+
+/** GET ?status=DRAFT|POSTED&courier=PATHAO → statements, couriers, delivered COD parcels not yet remitted */
+export async function GET(req) {
+  const [, denied] = await guard(req, Permissions.VIEW_FINANCIALS);
+  if (denied) return denied;
+
+  const url = new URL(req.url);
+  const status = String(url.searchParams.get("status") || "").toUpperCase();
+  const courierCode = url.searchParams.get("courier") || null;
+
+  const [items, couriers, unremitted] = await Promise.all([
+    listRemittances({ status: ["DRAFT", "POSTED"].includes(status) ? status : undefined, courierCode }),
+    prisma.courier.findMany({ select: { code: true, name: true }, orderBy: { code: "asc" } }),
+    missingCodParcels(),
+  ]);
+  return json({
+    ok: true,
+    items: items.map((r) => remittanceView(r)),
+    couriers,
+    unremitted: unremitted.map((s) => ({ ...s, codAmount: Number(s.codAmount) })),
+  });
+}
+
+/** POST multipart: file (CSV/XLSX), courierCode, reference?, statementDate?, note? → DRAFT statement */
+export async function POST(req) {
+  const [admin, denied] = await guard(req, Permissions.RUN_RECONCILIATION);
+  if (denied) return denied;
+
+  const form = await req.formData().catch(() => null);
+  const file = form?.get("file");
+  if (!file || typeof file.arrayBuffer !== "function") return json({ ok: false, error: "FILE_REQUIRED" }, 400);
+  if (file.size > MAX_UPLOAD_BYTES) return json({ ok: false, error: "FILE_TOO_LARGE" }, 413);
+
+  try {
+    const remittance = await importRemittance({
+      courierCode: form.get("courierCode"),
+      buffer: Buffer.from(await file.arrayBuffer()),
+      fileName: file.name || null,
+      reference: form.get("reference"),
+      statementDate: form.get("statementDate") || null,
+      note: form.get("note"),
+      actorId: admin.user?.id || admin.userId || null,
+    });
+    return json({ ok: true, item: remittanceView(remittance) }, 201);
+  } catch (err) {
+    if (err?.status) {
+      return json(
+        { ok: false, error: err.message, column: err.column, row: err.row, remittance: err.remittance },
+        err.status
+      );
+    }
+    throw err;
+  }
+}
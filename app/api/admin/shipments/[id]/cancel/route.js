@@ -0,0 +1,49 @@
+// PATH: app/api/admin/shipments/[id]/cancel/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { cancelShipment } from "@/lib/logistics/shipments";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+function authError(err) {
+  const status = err?.status === 403 ? 403 : 401;
+  return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+}
+
+// Withdraw the consignment from the courier (before pickup) → Shipment CANCELLED.
+export async function POST(req, { params }) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, {
+      permissions: [Permissions.MANAGE_ORDERS, Permissions.MANAGE_FULFILLMENT],
+    });
+  } catch (err) {
+    return authError(err);
+  }
+
+  const shipmentId = String(params?.id || "");
+  if (!shipmentId) return json({ ok: false, error: "Shipment id required" }, 400);
+
+  const body = await req.json().catch(() => ({}));
+
+  try {
+    const shipment = await cancelShipment({
+      shipmentId,
+      reason: body?.reason,
+      actorId: admin.user?.id || admin.userId,
+    });
+    return json({ ok: true, shipment }, 200);
+  } catch (err) {
+    return json({ ok: false, error: String(err?.message || err) }, err?.status || 502);
+  }
+}
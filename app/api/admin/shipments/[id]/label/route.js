@@ -0,0 +1,46 @@
+// PATH: app/api/admin/shipments/[id]/label/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { shipmentLabel } from "@/lib/logistics/shipments";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+function authError(err) {
+  const status = err?.status === 403 ? 403 : 401;
+  return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+}
+
+// Courier label: redirects to the label URL (?format=json to get it as JSON).
+export async function GET(req, { params }) {
+  try {
+    await requireAdmin(req, {
+      permissions: [Permissions.VIEW_ORDERS, Permissions.VIEW_FULFILLMENT],
+    });
+  } catch (err) {
+    return authError(err);
+  }
+
+  const shipmentId = String(params?.id || "");
+  if (!shipmentId) return json({ ok: false, error: "Shipment id required" }, 400);
+
+  try {
+    const { labelUrl } = await shipmentLabel({ shipmentId });
+    if (!labelUrl) return json({ ok: false, error: "Label not available yet" }, 404);
+
+    const format = new URL(req.url).searchParams.get("format");
+    if (format === "json") return json({ ok: true, labelUrl }, 200);
+    return NextResponse.redirect(new URL(labelUrl, req.url), 302);
+  } catch (err) {
+    return json({ ok: false, error: String(err?.message || err) }, err?.status || 502);
+  }
+}
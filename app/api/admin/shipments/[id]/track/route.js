@@ -0,0 +1,42 @@
+// PATH: app/api/admin/shipments/[id]/track/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { trackShipment } from "@/lib/logistics/shipments";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+function authError(err) {
+  const status = err?.status === 403 ? 403 : 401;
+  return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+}
+
+// Live courier status for one shipment (read-only; does not change Shipment.status).
+export async function GET(req, { params }) {
+  try {
+    await requireAdmin(req, {
+      permissions: [Permissions.VIEW_ORDERS, Permissions.VIEW_FULFILLMENT],
+    });
+  } catch (err) {
+    return authError(err);
+  }
+
+  const shipmentId = String(params?.id || "");
+  if (!shipmentId) return json({ ok: false, error: "Shipment id required" }, 400);
+
+  try {
+    const { shipment, courierCode, providerStatus, raw } = await trackShipment({ shipmentId });
+    return json({ ok: true, shipmentId: shipment.id, status: shipment.status, courierCode, providerStatus, raw }, 200);
+  } catch (err) {
+    return json({ ok: false, error: String(err?.message || err) }, err?.status || 502);
+  }
+}
@@ -0,0 +1,60 @@
+// PATH: app/api/admin/shipping/rates/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { clearShippingCache, parseShippingRate } from "@/lib/shipping";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_SHIPPING_RATES });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+export async function PATCH(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parseShippingRate(body, { partial: true });
+  if (error) return json({ ok: false, error }, 400);
+
+  try {
+    const item = await prisma.shippingRate.update({ where: { id }, data });
+    clearShippingCache();
+    return json({ ok: true, item });
+  } catch {
+    return json({ ok: false, error: "NOT_FOUND" }, 404);
+  }
+}
+
+/** Orders keep the id in Order.shippingRateId; the fee they paid is on the order itself. */
+export async function DELETE(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  try {
+    await prisma.shippingRate.delete({ where: { id } });
+  } catch {
+    return json({ ok: false, error: "NOT_FOUND" }, 404);
+  }
+  clearShippingCache();
+  return json({ ok: true });
+}
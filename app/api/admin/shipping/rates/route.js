@@ -0,0 +1,52 @@
+// PATH: app/api/admin/shipping/rates/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { clearShippingCache, parseShippingRate } from "@/lib/shipping";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_SHIPPING_RATES });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/**
+ * POST { zoneId, speed?, courierServiceId?, minWeightGrams?, maxWeightGrams?, fee,
+ *        perExtraKgFee?, freeThreshold?, codFee?, codFeePct?, etaMinDays?, etaMaxDays? }
+ */
+export async function POST(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const zoneId = String(body?.zoneId || "");
+  const [data, error] = parseShippingRate(body);
+  if (error) return json({ ok: false, error }, 400);
+
+  const zone = await prisma.shippingZone.findUnique({ where: { id: zoneId }, select: { id: true } });
+  if (!zone) return json({ ok: false, error: "ZONE_NOT_FOUND" }, 404);
+  if (data.courierServiceId) {
+    const service = await prisma.courierService.findUnique({ where: { id: data.courierServiceId }, select: { id: true } });
+    if (!service) return json({ ok: false, error: "COURIER_SERVICE_NOT_FOUND" }, 404);
+  }
+
+  const item = await prisma.shippingRate.create({ data: { ...data, zoneId } });
+  clearShippingCache();
+  return json({ ok: true, item }, 201);
+}
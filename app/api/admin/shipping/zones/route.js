@@ -0,0 +1,65 @@
+// PATH: app/api/admin/shipping/zones/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { clearShippingCache, parseShippingZone } from "@/lib/shipping";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    await requireAdmin(req, { permission });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** GET → zones with their rate tables, in matching order, plus the courier services rates can pin. */
+export async function GET(req) {
+  const denied = await guard(req, Permissions.VIEW_SHIPPING);
+  if (denied) return denied;
+
+  const [items, services] = await Promise.all([
+    prisma.shippingZone.findMany({
+      include: {
+        rates: {
+          include: { service: { select: { id: true, name: true, code: true, courier: { select: { code: true } } } } },
+          orderBy: [{ speed: "asc" }, { minWeightGrams: "asc" }],
+        },
+      },
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+    }),
+    prisma.courierService.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, code: true, courier: { select: { code: true } } },
+      orderBy: [{ name: "asc" }],
+    }),
+  ]);
+  return json({ ok: true, items, services });
+}
+
+/** POST { name, countryIso2?, divisions?, districts?, thanas?, postcodeRanges?, priority?, isActive? } */
+export async function POST(req) {
+  const denied = await guard(req, Permissions.MANAGE_SHIPPING_RATES);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parseShippingZone(body);
+  if (error) return json({ ok: false, error }, 400);
+
+  const item = await prisma.shippingZone.create({ data });
+  clearShippingCache();
+  return json({ ok: true, item: { ...item, rates: [] } }, 201);
+}
@@ -0,0 +1,54 @@
+// PATH: app/api/admin/tax/assign/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_TAX_RATES });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/**
+ * POST { taxClassId | null, productIds?: string[], categoryId?: string }
+ * → sets the class on the given products, or on every product in a category.
+ * null clears it (product falls back to the default class).
+ */
+export async function POST(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const taxClassId = body?.taxClassId ? String(body.taxClassId) : null;
+  const productIds = Array.isArray(body?.productIds) ? body.productIds.map(String).filter(Boolean) : [];
+  const categoryId = body?.categoryId ? String(body.categoryId) : null;
+  if (!productIds.length && !categoryId) return json({ ok: false, error: "PRODUCTS_OR_CATEGORY_REQUIRED" }, 400);
+
+  if (taxClassId) {
+    const cls = await prisma.taxClass.findUnique({ where: { id: taxClassId }, select: { id: true } });
+    if (!cls) return json({ ok: false, error: "TAX_CLASS_NOT_FOUND" }, 404);
+  }
+
+  const where = productIds.length
+    ? { id: { in: productIds } }
+    : { categories: { some: { categoryId } } };
+  const { count } = await prisma.product.updateMany({ where, data: { taxClassId } });
+
+  return json({ ok: true, updated: count });
+}
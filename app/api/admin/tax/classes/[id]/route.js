@@ -0,0 +1,60 @@
+// PATH: app/api/admin/tax/classes/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_TAX_RATES });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** PATCH { name } → rename. */
+export async function PATCH(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  const body = await req.json().catch(() => ({}));
+  const name = String(body?.name || "").trim();
+  if (!name) return json({ ok: false, error: "NAME_REQUIRED" }, 400);
+
+  try {
+    const item = await prisma.taxClass.update({ where: { id }, data: { name } });
+    return json({ ok: true, item });
+  } catch (err) {
+    if (err?.code === "P2002") return json({ ok: false, error: "NAME_TAKEN" }, 409);
+    if (err?.code === "P2025") return json({ ok: false, error: "NOT_FOUND" }, 404);
+    throw err;
+  }
+}
+
+/** Rates go with the class; its products fall back to the default class. */
+export async function DELETE(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  try {
+    await prisma.taxClass.delete({ where: { id } });
+  } catch {
+    return json({ ok: false, error: "NOT_FOUND" }, 404);
+  }
+  return json({ ok: true });
+}
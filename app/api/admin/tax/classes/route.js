@@ -0,0 +1,62 @@
+// PATH: app/api/admin/tax/classes/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { DEFAULT_TAX_CLASS } from "@/lib/tax";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_TAX_RATES });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** GET → tax classes with their rates and how many products use each. */
+export async function GET(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const items = await prisma.taxClass.findMany({
+    include: {
+      rates: { orderBy: [{ countryIso2: "asc" }, { region: "asc" }] },
+      _count: { select: { products: true } },
+    },
+    orderBy: { name: "asc" },
+  });
+  const unassigned = await prisma.product.count({ where: { taxClassId: null } });
+
+  return json({ ok: true, items, unassigned, defaultClass: DEFAULT_TAX_CLASS });
+}
+
+/** POST { name } → new class. Name it "" to make it the fallback for unassigned products. */
+export async function POST(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const name = String(body?.name || "").trim();
+  if (!name) return json({ ok: false, error: "NAME_REQUIRED" }, 400);
+
+  try {
+    const item = await prisma.taxClass.create({ data: { name } });
+    return json({ ok: true, item: { ...item, rates: [], _count: { products: 0 } } }, 201);
+  } catch (err) {
+    if (err?.code === "P2002") return json({ ok: false, error: "NAME_TAKEN" }, 409);
+    throw err;
+  }
+}
@@ -0,0 +1,59 @@
+// PATH: app/api/admin/tax/rates/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { parseTaxRate } from "@/lib/tax";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_TAX_RATES });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** PATCH { countryIso2?, region?, percentage?, name?, isActive? } */
+export async function PATCH(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parseTaxRate(body, { partial: true });
+  if (error) return json({ ok: false, error }, 400);
+
+  try {
+    const item = await prisma.taxRate.update({ where: { id }, data });
+    return json({ ok: true, item });
+  } catch {
+    return json({ ok: false, error: "NOT_FOUND" }, 404);
+  }
+}
+
+/** Past orders keep their rate on OrderItem.taxRatePct / taxBreakdown. */
+export async function DELETE(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  try {
+    await prisma.taxRate.delete({ where: { id } });
+  } catch {
+    return json({ ok: false, error: "NOT_FOUND" }, 404);
+  }
+  return json({ ok: true });
+}
@@ -0,0 +1,47 @@
+// PATH: app/api/admin/tax/rates/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { parseTaxRate } from "@/lib/tax";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_TAX_RATES });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/**
+ * POST { taxClassId, countryIso2, region?, percentage, name?, isActive? }
+ * region empty = whole country; a region rate wins over the country rate.
+ */
+export async function POST(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const taxClassId = String(body?.taxClassId || "");
+  const [data, error] = parseTaxRate(body);
+  if (error) return json({ ok: false, error }, 400);
+
+  const cls = await prisma.taxClass.findUnique({ where: { id: taxClassId }, select: { id: true } });
+  if (!cls) return json({ ok: false, error: "TAX_CLASS_NOT_FOUND" }, 404);
+
+  const item = await prisma.taxRate.create({ data: { ...data, taxClassId } });
+  return json({ ok: true, item }, 201);
+}
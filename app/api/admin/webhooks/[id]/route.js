@@ -0,0 +1,66 @@
+// PATH: app/api/admin/webhooks/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { generateWebhookSecret, maskWebhookSecret, parseWebhookSubscription } from "@/lib/webhooks";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_WEBHOOKS });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/**
+ * PATCH { name?, url?, eventTypes?, isActive?, rotateSecret? }
+ * Rotating returns the new secret once; receivers must be updated with it.
+ */
+export async function PATCH(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  const existing = await prisma.webhookSubscription.findUnique({ where: { id } });
+  if (!existing) return json({ ok: false, error: "NOT_FOUND" }, 404);
+
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parseWebhookSubscription(body, { partial: true });
+  if (error) return json({ ok: false, error }, 400);
+
+  const secret = body?.rotateSecret ? generateWebhookSecret() : null;
+  const item = await prisma.webhookSubscription.update({
+    where: { id },
+    data: { ...data, ...(secret ? { secret } : {}) },
+  });
+
+  return json({ ok: true, item: { ...item, secret: secret || maskWebhookSecret(item.secret) } });
+}
+
+/** Delivery logs are kept (subscriptionId → null) for the audit trail. */
+export async function DELETE(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  try {
+    await prisma.webhookSubscription.delete({ where: { id } });
+  } catch {
+    return json({ ok: false, error: "NOT_FOUND" }, 404);
+  }
+  return json({ ok: true });
+}
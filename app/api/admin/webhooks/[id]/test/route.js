@@ -0,0 +1,40 @@
+// PATH: app/api/admin/webhooks/[id]/test/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { pingWebhook } from "@/lib/webhooks";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_WEBHOOKS });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** Queue a signed "webhook.ping" so receivers can verify their endpoint. */
+export async function POST(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const id = String(params?.id || "");
+  const sub = await prisma.webhookSubscription.findUnique({ where: { id } });
+  if (!sub) return json({ ok: false, error: "NOT_FOUND" }, 404);
+
+  const item = await pingWebhook(sub.id);
+  return json({ ok: true, item }, 202);
+}
@@ -0,0 +1,40 @@
+// PATH: app/api/admin/webhooks/deliveries/[id]/replay/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { replayWebhook } from "@/lib/webhooks";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_WEBHOOKS });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** Re-send a logged event as a new delivery (same event id, new delivery id). */
+export async function POST(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  try {
+    const item = await replayWebhook(String(params?.id || ""));
+    return json({ ok: true, item }, 202);
+  } catch (err) {
+    const code = String(err?.message || err);
+    return json({ ok: false, error: code }, code === "delivery_not_found" ? 404 : 400);
+  }
+}
@@ -0,0 +1,55 @@
+// PATH: app/api/admin/webhooks/deliveries/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_WEBHOOKS });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/**
+ * GET ?subscriptionId=&status=&eventType=&cursor=&limit=
+ * Newest first; `nextCursor` pages backwards.
+ */
+export async function GET(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const q = new URL(req.url).searchParams;
+  const limit = Math.min(200, Math.max(1, Number(q.get("limit") || 50)));
+  const where = {
+    ...(q.get("subscriptionId") ? { subscriptionId: q.get("subscriptionId") } : {}),
+    ...(q.get("status") ? { status: q.get("status").toUpperCase() } : {}),
+    ...(q.get("eventType") ? { eventType: q.get("eventType") } : {}),
+  };
+  const cursor = q.get("cursor");
+
+  const rows = await prisma.webhookEventLog.findMany({
+    where,
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: limit + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    include: { subscription: { select: { id: true, name: true, url: true } } },
+  });
+
+  const items = rows.slice(0, limit);
+  return json({ ok: true, items, nextCursor: rows.length > limit ? items[items.length - 1].id : null });
+}
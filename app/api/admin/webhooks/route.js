@@ -0,0 +1,78 @@
+// PATH: app/api/admin/webhooks/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  maskWebhookSecret,
+  parseWebhookSubscription,
+} from "@/lib/webhooks";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_WEBHOOKS });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+export async function GET(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const subs = await prisma.webhookSubscription.findMany({ orderBy: { createdAt: "desc" } });
+
+  // last delivery + failure count per subscription
+  const [last, failed] = await Promise.all([
+    prisma.webhookEventLog.groupBy({
+      by: ["subscriptionId"],
+      where: { subscriptionId: { in: subs.map((s) => s.id) } },
+      _max: { lastAttemptAt: true },
+    }),
+    prisma.webhookEventLog.groupBy({
+      by: ["subscriptionId"],
+      where: { subscriptionId: { in: subs.map((s) => s.id) }, status: "FAILED" },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const items = subs.map((s) => ({
+    ...s,
+    secret: maskWebhookSecret(s.secret),
+    lastAttemptAt: last.find((x) => x.subscriptionId === s.id)?._max.lastAttemptAt || null,
+    failedCount: failed.find((x) => x.subscriptionId === s.id)?._count._all || 0,
+  }));
+
+  return json({ ok: true, items, events: WEBHOOK_EVENTS });
+}
+
+export async function POST(req) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  const [data, error] = parseWebhookSubscription(body);
+  if (error) return json({ ok: false, error }, 400);
+
+  const item = await prisma.webhookSubscription.create({
+    data: { ...data, secret: String(body?.secret || "").trim() || generateWebhookSecret() },
+  });
+
+  // the full secret is only ever returned here and on rotation
+  return json({ ok: true, item }, 201);
+}
@@ -0,0 +1,105 @@
+// PATH: app/api/cart/coupon/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { auth } from "@/lib/auth";
+import { computeTotalsCanonical } from "@/lib/cart-totals";
+import { applyCouponToCart, normalizeCouponCode } from "@/lib/coupons";
+
+// Must match the cookie name used in /api/cart/sync and other cart APIs
+const SID_COOKIE = "tdlc_sid";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function activeCart(req) {
+  const session = await auth().catch(() => null);
+  const userId = session?.user?.id || null;
+  const sid = req.cookies?.get(SID_COOKIE)?.value || null;
+
+  const or = [...(userId ? [{ userId }] : []), ...(sid ? [{ sessionId: sid }] : [])];
+  if (!or.length) return { cart: null, userId };
+
+  const cart = await prisma.cart.findFirst({
+    where: { status: "ACTIVE", OR: or },
+    orderBy: { updatedAt: "desc" },
+    include: { items: true, shippingAddress: true },
+  });
+  return { cart, userId };
+}
+
+const liveItems = (cart) => (cart.items || []).filter((it) => Number(it.quantity) > 0 && it.variantId);
+
+/** Recompute and store the cart totals; → { totals, promotions }. */
+async function refreshTotals(cart) {
+  const { shipping: _quote, promotions, ...totals } = await computeTotalsCanonical({
+    items: liveItems(cart),
+    shippingAddress: cart.shippingAddress || null,
+    cartId: cart.id,
+    shippingSpeed: cart.shippingSpeed,
+  });
+  await prisma.cart.update({
+    where: { id: cart.id },
+    data: {
+      subtotal: totals.subtotal,
+      discountTotal: totals.discountTotal,
+      taxTotal: totals.taxTotal,
+      shippingTotal: totals.shippingTotal,
+      grandTotal: totals.grandTotal,
+    },
+  });
+  return { totals, promotions };
+}
+
+/** GET → coupons on the active cart (applied with amounts, and those that no longer qualify). */
+export async function GET(req) {
+  const { cart } = await activeCart(req);
+  if (!cart) return json({ ok: true, totals: null, promotions: { applied: [], rejected: [] } });
+  return json({ ok: true, ...(await refreshTotals(cart)) });
+}
+
+/** POST { code } → applies a coupon to the active cart. */
+export async function POST(req) {
+  const body = await req.json().catch(() => ({}));
+  const code = normalizeCouponCode(body?.code);
+  if (!code) return json({ ok: false, error: "CODE_REQUIRED" }, 400);
+
+  const { cart, userId } = await activeCart(req);
+  if (!cart || !liveItems(cart).length) return json({ ok: false, error: "CART_EMPTY" }, 400);
+
+  const lines = liveItems(cart).map((it) => ({
+    variantId: it.variantId,
+    quantity: Number(it.quantity),
+    amount: Number(it.quantity) * Number(it.unitPrice || 0),
+  }));
+  const [, error, promotion] = await applyCouponToCart({ cartId: cart.id, code, lines, userId: userId || cart.userId });
+  if (error) {
+    const extra = error === "COUPON_MIN_SPEND" ? { minSubtotal: Number(promotion.minSubtotal) } : {};
+    return json({ ok: false, error, ...extra }, error === "COUPON_NOT_FOUND" ? 404 : 409);
+  }
+
+  return json({ ok: true, ...(await refreshTotals(cart)) });
+}
+
+/** DELETE ?code= → removes a coupon from the active cart. */
+export async function DELETE(req) {
+  const code = normalizeCouponCode(new URL(req.url).searchParams.get("code"));
+  if (!code) return json({ ok: false, error: "CODE_REQUIRED" }, 400);
+
+  const { cart } = await activeCart(req);
+  if (!cart) return json({ ok: false, error: "CART_NOT_FOUND" }, 404);
+
+  const { count } = await prisma.cartPromotion.deleteMany({
+    where: { cartId: cart.id, code: { equals: code, mode: "insensitive" } },
+  });
+  if (!count) return json({ ok: false, error: "COUPON_NOT_APPLIED" }, 404);
+
+  return json({ ok: true, ...(await refreshTotals(cart)) });
+}
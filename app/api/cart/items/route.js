@@ -6,6 +6,7 @@ import { NextResponse } from "next/server";
 import { cookies, headers } from "next/headers";
 import prisma from "@/lib/prisma";
 import { auth } from "@/lib/auth";
+import { resolveVariantPrices } from "@/lib/price-books";
 
 const DEFAULT_CURRENCY = "BDT";
 const SID_COOKIE = "tdlc_sid";
@@ -297,36 +298,6 @@ async function getActiveCart({ userId, sessionId, currency = DEFAULT_CURRENCY })
   return cart;
 }
 
-/** Choose a base price from Price[] in given currency; prefer variant prices, then product prices */
-function pickBasePrice({
-  variantPrices = [],
-  productPrices = [],
-  currency = DEFAULT_CURRENCY,
-}) {
-  const filterByCurrency = (rows) =>
-    (rows || []).filter((p) => String(p.currency) === currency);
-  const v = filterByCurrency(variantPrices);
-  const p = filterByCurrency(productPrices);
-
-  const list = v.length ? v : p;
-  if (!list.length) return null;
-
-  const retail = list.find((r) => r.minQty === 1) || list[0];
-  return list.reduce(
-    (best, r) => (num(r.amount) < num(best.amount) ? r : best),
-    retail
-  );
-}
-
-/** Resolve the frozen unit price using Strapi-synced discount fields */
-function resolveUnitPrice({ discountAllowed, discountPrice, baseAmount }) {
-  const base = num(baseAmount);
-  const dAllowed = !!discountAllowed;
-  const dPrice = num(discountPrice, 0);
-  if (dAllowed && dPrice > 0 && (base === 0 || dPrice < base)) return dPrice;
-  return base;
-}
-
 /**
  * Recalculate cart monetary totals (line prices already include per-product discount).
  * Also **hard-cleans** any 0 / negative quantity cart items so they can never ghost.
@@ -648,22 +619,11 @@ export async function POST(req) {
       );
     }
 
-    const basePriceRow = pickBasePrice({
-      variantPrices: variant.prices,
-      productPrices: variant.product?.prices || [],
-      currency,
-    });
-    const baseAmount = basePriceRow ? num(basePriceRow.amount, 0) : 0;
-
-    // Strapi-synced fields on variant (add to schema if not present yet)
-    const discountAllowed = !!variant.discountAllowed;
-    const discountPrice = num(variant.discountPrice, 0);
-
-    const frozenUnitPrice = resolveUnitPrice({
-      discountAllowed,
-      discountPrice,
-      baseAmount,
-    });
+    // Live price book / markdown first, then base price with the Strapi discount
+    const resolved =
+      (await resolveVariantPrices([variant.id], { currency })).get(variant.id) ||
+      null;
+    const frozenUnitPrice = resolved ? resolved.amount : 0;
 
     if (!Number.isFinite(frozenUnitPrice) || frozenUnitPrice <= 0) {
       return NextResponse.json(
@@ -744,12 +704,10 @@ export async function POST(req) {
           subtotal: frozenUnitPrice * finalQty,
           metadata: {
             currency,
-            baseAmount,
-            discountApplied:
-              discountAllowed &&
-              discountPrice > 0 &&
-              discountPrice < baseAmount,
-            compareAt: baseAmount > frozenUnitPrice ? baseAmount : null,
+            baseAmount: resolved.compareAt ?? frozenUnitPrice,
+            discountApplied: resolved.compareAt != null,
+            compareAt: resolved.compareAt,
+            priceListId: resolved.priceListId,
             ip,
             ua,
             addedAt: new Date().toISOString(),
@@ -7,7 +7,7 @@ import prisma from "@/lib/prisma";
 import { cookies as cookiesFn, headers as headersFn } from "next/headers";
 import { auth } from "@/lib/auth";
 // NOTE: leaving import here for other callers, but we no longer rely on it in this route
-import { computeTotalsCanonical as _unusedComputeTotalsCanonical } from "@/lib/cart-totals";
+import { computeTotalsCanonical } from "@/lib/cart-totals";
 import { randomUUID } from "crypto";
 
 /* ───────────────────────── helpers ───────────────────────── */
@@ -23,10 +23,6 @@ const n = (v) => {
   const x = Number(v ?? 0);
   return Number.isFinite(x) ? x : 0;
 };
-const nOr = (v, fallback) => {
-  const x = Number(v);
-  return Number.isFinite(x) ? x : fallback;
-};
 const nz = (v) => {
   const x = n(v);
   return x > 0 && Number.isFinite(x) ? x : 0;
@@ -312,207 +308,26 @@ function resolveImageFromVariantAndProduct(variant, product) {
   return undefined;
 }
 
-/* ───────────────────────── shipping / VAT / promo helpers ───────────────────────── */
-
-let _shippingCache = { value: null, fetchedAt: 0 };
-
-async function getShippingSettings() {
-  const now = Date.now();
-  const TTL = 5 * 60 * 1000;
-
-  if (_shippingCache.value && now - _shippingCache.fetchedAt < TTL) {
-    return _shippingCache.value;
-  }
-
-  let value;
-  try {
-    if (!prisma.appSetting?.findUnique) {
-      value = {
-        inside: [],
-        rateInside: 0,
-        rateOutside: 0,
-        thrInside: Infinity,
-        thrOutside: Infinity,
-      };
-    } else {
-      const s = await prisma.appSetting
-        .findUnique({ where: { key: "shipping" } })
-        .catch(() => null);
-      const v = s?.value ?? {};
-      value = {
-        inside: Array.isArray(v?.inside_dhaka_localities)
-          ? v.inside_dhaka_localities
-              .map((x) => String(x || "").trim().toLowerCase())
-              .filter(Boolean)
-          : [],
-        rateInside: nOr(v?.rate_inside, 0),
-        rateOutside: nOr(v?.rate_outside, 0),
-        thrInside: nOr(v?.free_threshold_inside, Infinity),
-        thrOutside: nOr(v?.free_threshold_outside, Infinity),
-      };
-    }
-  } catch {
-    value = {
-      inside: [],
-      rateInside: 0,
-      rateOutside: 0,
-      thrInside: Infinity,
-      thrOutside: Infinity,
-    };
-  }
-
-  _shippingCache = { value, fetchedAt: now };
-  return value;
-}
-
-function isInsideDhaka(address, insideList) {
-  const norm = (x) => String(x || "").trim().toLowerCase();
-
-  const fields = [
-    address?.city,
-    address?.state,
-    address?.adminLevel1,
-    address?.adminLevel2,
-    address?.adminLevel3,
-    address?.adminLevel4,
-    address?.locality,
-    address?.sublocality,
-  ].map(norm);
-
-  if (fields.some((f) => f && f.includes("dhaka"))) return true;
-
-  const overrideSet = new Set((insideList || []).map(norm));
-  if (overrideSet.size && fields.some((f) => f && overrideSet.has(f)))
-    return true;
-
-  return false;
-}
-
-/* VAT settings cache (5 min) */
-let _vatSettingsCache = { value: null, fetchedAt: 0 };
-
-async function getVatSettings() {
-  const now = Date.now();
-  const TTL = 5 * 60 * 1000;
-
-  if (_vatSettingsCache.value && now - _vatSettingsCache.fetchedAt < TTL) {
-    return _vatSettingsCache.value;
-  }
-
-  let value;
-  try {
-    if (prisma.appSetting?.findUnique) {
-      const vatSetting = await prisma.appSetting
-        .findUnique({ where: { key: "vat" } })
-        .catch(() => null);
-      if (vatSetting?.value) {
-        const v = vatSetting.value || {};
-        value = {
-          ratePct: nOr(v.rate_pct, 0),
-          inclusive: Boolean(v.inclusive),
-          applyOn: String(v.apply_on || "SUBTOTAL").toUpperCase(),
-        };
-      }
-    }
-
-    if (!value && prisma.financeConfig?.findMany) {
-      const fc = await prisma.financeConfig
-        .findMany({
-          where: { key: "VAT_DEFAULT" },
-          orderBy: [{ effectiveFrom: "desc" }],
-          take: 1,
-        })
-        .catch(() => []);
-      if (fc?.[0]?.valueJson) {
-        const v = fc[0].valueJson || {};
-        value = {
-          ratePct: nOr(v.rate_pct, 0),
-          inclusive: Boolean(v.inclusive),
-          applyOn: String(v.apply_on || "SUBTOTAL").toUpperCase(),
-        };
-      }
-    }
-
-    if (!value) value = { ratePct: 0, inclusive: false, applyOn: "SUBTOTAL" };
-  } catch {
-    value = { ratePct: 0, inclusive: false, applyOn: "SUBTOTAL" };
-  }
-
-  _vatSettingsCache = { value, fetchedAt: now };
-  return value;
-}
-
-async function getPromotionTotal(cartId) {
-  if (!cartId) return 0;
-  try {
-    if (!prisma.cartPromotion?.findMany) return 0;
-    const promos = await prisma.cartPromotion
-      .findMany({ where: { cartId } })
-      .catch(() => []);
-    return promos.reduce((s, p) => s + n(p.amountApplied), 0);
-  } catch {
-    return 0;
-  }
-}
+/* ───────────────────────── totals ───────────────────────── */
 
 /**
- * Canonical totals for this route – recomputed from DB cart lines.
+ * Canonical totals for this route – recomputed from DB cart lines by
+ * lib/cart-totals (promotions, zone shipping, line tax).
  * We DO NOT trust any stale cart.subtotal – this uses quantity × unitPrice.
  */
-async function computeTotalsFromCart({ items, shippingAddress, cartId }) {
+async function computeTotalsFromCart({ items, shippingAddress, cartId, shippingSpeed }) {
   // Filter out legacy / ghost lines: only positive-qty items with a real variantId
   const lineItems = (Array.isArray(items) ? items : []).filter(
     (it) => n(it.quantity) > 0 && it.variantId
   );
 
-  const subtotal = lineItems.reduce((sum, it) => {
-    const qty = Math.max(0, n(it.quantity));
-    const unit = n(it.unitPrice ?? it.price);
-    return sum + qty * unit;
-  }, 0);
-
-  const promoTotal = Math.abs(await getPromotionTotal(cartId));
-  const discountTotal = Math.min(subtotal, promoTotal);
-
-  const shipCfg = await getShippingSettings();
-  const insideDhaka = isInsideDhaka(shippingAddress || {}, shipCfg.inside);
-  const rate = insideDhaka ? shipCfg.rateInside : shipCfg.rateOutside;
-  const freeThr = insideDhaka ? shipCfg.thrInside : shipCfg.thrOutside;
-  const afterDiscount = Math.max(0, subtotal - discountTotal);
-  const shippingTotal = afterDiscount >= freeThr ? 0 : rate;
-
-  const vatCfg = await getVatSettings();
-  const base =
-    vatCfg.applyOn === "SUBTOTAL_PLUS_SHIPPING"
-      ? afterDiscount + shippingTotal
-      : afterDiscount;
-
-  let taxTotal = 0;
-  if (vatCfg.ratePct > 0) {
-    if (vatCfg.inclusive) {
-      const pct = vatCfg.ratePct / 100;
-      taxTotal = base > 0 ? (base * pct) / (1 + pct) : 0;
-    } else {
-      taxTotal = base * (vatCfg.ratePct / 100);
-    }
-  }
-
-  const grandTotal =
-    (vatCfg.inclusive ? afterDiscount : afterDiscount + taxTotal) +
-    shippingTotal;
-
-  const D = (x) => {
-    const v = Number(x);
-    return Number.isFinite(v) ? v.toFixed(2) : "0.00";
-  };
-
-  return {
-    subtotal: D(subtotal),
-    discountTotal: D(discountTotal),
-    taxTotal: D(taxTotal),
-    shippingTotal: D(shippingTotal),
-    grandTotal: D(grandTotal),
-  };
+  const { shipping: _quote, promotions: _promos, ...totals } = await computeTotalsCanonical({
+    items: lineItems,
+    shippingAddress,
+    cartId,
+    shippingSpeed,
+  });
+  return totals;
 }
 
 /** Shape response for the frontend. Also echo per-line discount. */
@@ -803,6 +618,7 @@ async function ensureTotals(cart) {
     items: cart.items || [],
     shippingAddress: cart.shippingAddress || null,
     cartId: cart.id,
+    shippingSpeed: cart.shippingSpeed,
   });
 
   const nextStatus =
@@ -888,6 +704,7 @@ async function resolveCartWithMerge() {
       items: guestNonTerminal.items || [],
       shippingAddress: guestNonTerminal.shippingAddress || null,
       cartId: guestNonTerminal.id,
+      shippingSpeed: guestNonTerminal.shippingSpeed,
     });
 
     const claimed = await prisma.cart.update({
@@ -1086,6 +903,7 @@ export async function POST(req) {
         items: fresh.items || [],
         shippingAddress: fresh.shippingAddress || null,
         cartId: fresh.id,
+        shippingSpeed: fresh.shippingSpeed,
       });
 
       const updated = await prisma.cart.update({
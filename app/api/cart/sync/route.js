@@ -6,6 +6,8 @@ export const runtime = "nodejs";
 import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { auth } from "@/lib/auth";
+import { computeTotalsCanonical } from "@/lib/cart-totals";
+import { resolveVariantPrices } from "@/lib/price-books";
 import crypto from "crypto";
 
 /* ───────────────── helpers: response & cookies ───────────────── */
@@ -72,22 +74,6 @@ function D(x) {
   return v.toFixed(2);
 }
 
-/* ───────────────── helpers: canonical subtotal (shared semantics) ───────────────── */
-
-/**
- * Canonical subtotal helper:
- *   subtotal = Σ (quantity × unitPrice) for each line
- *
- * We **do not** trust any incoming `subtotal` or `total` fields here – they can be stale.
- */
-function calcSubtotal(items = []) {
-  return items.reduce((s, it) => {
-    const qty = Math.max(0, Math.floor(N(it.quantity, 0)));
-    const unit = N(it.unitPrice, 0);
-    return s + qty * unit;
-  }, 0);
-}
-
 /* ───────────────── helpers: stock resolution ───────────────── */
 
 /**
@@ -412,197 +398,6 @@ async function getOrCreateCart(userId, sid) {
   return created;
 }
 
-/* ───────────────── helpers: settings (shipping, VAT, promos) ───────────────── */
-
-/* Shipping settings cache (5 min) */
-let _shippingCache = { value: null, fetchedAt: 0 };
-
-async function getShippingSettings() {
-  const now = Date.now();
-  const TTL = 5 * 60 * 1000;
-
-  if (_shippingCache.value && now - _shippingCache.fetchedAt < TTL) {
-    return _shippingCache.value;
-  }
-
-  let value;
-  try {
-    if (!prisma.appSetting?.findUnique) {
-      value = {
-        inside: [],
-        rateInside: 0,
-        rateOutside: 0,
-        thrInside: Infinity,
-        thrOutside: Infinity,
-      };
-    } else {
-      const s = await prisma.appSetting
-        .findUnique({ where: { key: "shipping" } })
-        .catch(() => null);
-      const v = s?.value ?? {};
-      value = {
-        inside: Array.isArray(v?.inside_dhaka_localities)
-          ? v.inside_dhaka_localities
-              .map((x) => String(x || "").trim().toLowerCase())
-              .filter(Boolean)
-          : [],
-        rateInside: N(v?.rate_inside, 0),
-        rateOutside: N(v?.rate_outside, 0),
-        thrInside: N(v?.free_threshold_inside, Infinity),
-        thrOutside: N(v?.free_threshold_outside, Infinity),
-      };
-    }
-  } catch {
-    value = {
-      inside: [],
-      rateInside: 0,
-      rateOutside: 0,
-      thrInside: Infinity,
-      thrOutside: Infinity,
-    };
-  }
-
-  _shippingCache = { value, fetchedAt: now };
-  return value;
-}
-
-function isInsideDhaka(address, insideList) {
-  const norm = (x) => String(x || "").trim().toLowerCase();
-
-  const fields = [
-    address?.city,
-    address?.state,
-    address?.adminLevel1,
-    address?.adminLevel2,
-    address?.adminLevel3,
-    address?.adminLevel4,
-    address?.locality,
-    address?.sublocality,
-  ].map(norm);
-
-  if (fields.some((f) => f && f.includes("dhaka"))) return true;
-
-  const overrideSet = new Set((insideList || []).map(norm));
-  if (overrideSet.size && fields.some((f) => f && overrideSet.has(f)))
-    return true;
-
-  return false;
-}
-
-/* VAT settings cache (5 min) */
-let _vatSettingsCache = { value: null, fetchedAt: 0 };
-
-async function getVatSettings() {
-  const now = Date.now();
-  const TTL = 5 * 60 * 1000;
-
-  if (_vatSettingsCache.value && now - _vatSettingsCache.fetchedAt < TTL) {
-    return _vatSettingsCache.value;
-  }
-
-  let value;
-  try {
-    if (prisma.appSetting?.findUnique) {
-      const vatSetting = await prisma.appSetting
-        .findUnique({ where: { key: "vat" } })
-        .catch(() => null);
-      if (vatSetting?.value) {
-        const v = vatSetting.value || {};
-        value = {
-          ratePct: N(v.rate_pct, 0),
-          inclusive: Boolean(v.inclusive),
-          applyOn: String(v.apply_on || "SUBTOTAL").toUpperCase(),
-        };
-      }
-    }
-
-    if (!value && prisma.financeConfig?.findMany) {
-      const fc = await prisma.financeConfig
-        .findMany({
-          where: { key: "VAT_DEFAULT" },
-          orderBy: [{ effectiveFrom: "desc" }],
-          take: 1,
-        })
-        .catch(() => []);
-      if (fc?.[0]?.valueJson) {
-        const v = fc[0].valueJson || {};
-        value = {
-          ratePct: N(v.rate_pct, 0),
-          inclusive: Boolean(v.inclusive),
-          applyOn: String(v.apply_on || "SUBTOTAL").toUpperCase(),
-        };
-      }
-    }
-
-    if (!value) value = { ratePct: 0, inclusive: false, applyOn: "SUBTOTAL" };
-  } catch {
-    value = { ratePct: 0, inclusive: false, applyOn: "SUBTOTAL" };
-  }
-
-  _vatSettingsCache = { value, fetchedAt: now };
-  return value;
-}
-
-async function getPromotionTotal(cartId) {
-  if (!cartId) return 0;
-  try {
-    if (!prisma.cartPromotion?.findMany) return 0;
-    const promos = await prisma.cartPromotion
-      .findMany({ where: { cartId } })
-      .catch(() => []);
-    return promos.reduce((s, p) => s + N(p.amountApplied, 0), 0);
-  } catch {
-    return 0;
-  }
-}
-
-async function computeTotalsCanonical({ items, shippingAddress, cartId }) {
-  const subtotal = calcSubtotal(
-    (items || []).map((x) => ({
-      quantity: x.quantity,
-      unitPrice: Number(x.unitPrice),
-    }))
-  );
-
-  const promoTotal = Math.abs(await getPromotionTotal(cartId));
-  const discountTotal = Math.min(subtotal, promoTotal);
-
-  const shipCfg = await getShippingSettings();
-  const insideDhaka = isInsideDhaka(shippingAddress || {}, shipCfg.inside);
-  const rate = insideDhaka ? shipCfg.rateInside : shipCfg.rateOutside;
-  const freeThr = insideDhaka ? shipCfg.thrInside : shipCfg.thrOutside;
-  const afterDiscount = Math.max(0, subtotal - discountTotal);
-  const shippingTotal = afterDiscount >= freeThr ? 0 : rate;
-
-  const vatCfg = await getVatSettings();
-  const base =
-    vatCfg.applyOn === "SUBTOTAL_PLUS_SHIPPING"
-      ? afterDiscount + shippingTotal
-      : afterDiscount;
-
-  let taxTotal = 0;
-  if (vatCfg.ratePct > 0) {
-    if (vatCfg.inclusive) {
-      const pct = vatCfg.ratePct / 100;
-      taxTotal = base > 0 ? (base * pct) / (1 + pct) : 0;
-    } else {
-      taxTotal = base * (vatCfg.ratePct / 100);
-    }
-  }
-
-  const grandTotal =
-    (vatCfg.inclusive ? afterDiscount : afterDiscount + taxTotal) +
-    shippingTotal;
-
-  return {
-    subtotal: D(subtotal),
-    discountTotal: D(discountTotal),
-    taxTotal: D(taxTotal),
-    shippingTotal: D(shippingTotal),
-    grandTotal: D(grandTotal),
-  };
-}
-
 /* ───────────────── route: POST /api/cart/sync ───────────────── */
 
 export async function POST(req) {
@@ -641,6 +436,7 @@ export async function POST(req) {
         items: [],
         shippingAddress: cart.shippingAddress || null,
         cartId: cart.id,
+        shippingSpeed: cart.shippingSpeed,
       });
 
       await prisma.cart.update({
@@ -698,6 +494,11 @@ export async function POST(req) {
 
     const stockMap = await batchResolveServerStockForVariants(dbVariantIdsForStock);
 
+    // A live price book / markdown overrides the client-sent price
+    const resolvedPrices = await resolveVariantPrices(dbVariantIdsForStock, {
+      currency: cart.currency,
+    });
+
     // track which variantIds we keep/update from this payload
     const touchedVariants = new Set();
     // track duplicate cartItem ids to delete (same variantId, extra rows)
@@ -739,13 +540,21 @@ export async function POST(req) {
         continue;
       }
 
-      const unitPrice = extractUnitPrice(raw);
+      const listPrice = resolvedPrices.get(vKey);
+      const fromList = !!listPrice?.priceListId;
+      const unitPrice = fromList ? listPrice.amount : extractUnitPrice(raw);
       const title = extractTitle(raw);
       const sku = extractSku(raw);
-      const subtotal = calcLineSubtotal(finalQty, unitPrice, raw);
-
-      const incomingMeta =
-        raw.metadata && typeof raw.metadata === "object" ? raw.metadata : {};
+      const subtotal = fromList
+        ? finalQty * unitPrice
+        : calcLineSubtotal(finalQty, unitPrice, raw);
+
+      const incomingMeta = {
+        ...(raw.metadata && typeof raw.metadata === "object" ? raw.metadata : {}),
+        ...(fromList
+          ? { priceListId: listPrice.priceListId, compareAt: listPrice.compareAt }
+          : { priceListId: null }),
+      };
 
       const primary = existingArr[0] || null;
       const extras = existingArr.slice(1);
@@ -859,6 +668,7 @@ export async function POST(req) {
       items: cart.items || [],
       shippingAddress: cart.shippingAddress || null,
       cartId: cart.id,
+      shippingSpeed: cart.shippingSpeed,
     });
 
     await prisma.cart.update({
@@ -6,6 +6,15 @@ export const revalidate = 0;
 
 import prisma from "@/lib/prisma";
 import { requireAuth } from "@/lib/auth";
+import { enqueue } from "@/lib/queue";
+import { emitWebhookEvent, orderWebhookData } from "@/lib/webhooks";
+import { queueLedgerPosting } from "@/lib/ledger";
+import { computeTaxes } from "@/lib/tax";
+import { quoteShipping, shippingAddressFromDraft } from "@/lib/shipping";
+import { priceCartPromotions, recordRedemptions } from "@/lib/coupons";
+import { resolveVariantPrices } from "@/lib/price-books";
+import { allocateOrder } from "@/lib/inventory/allocation";
+import { resolveMessageLocale, sendCustomerMessage } from "@/lib/customer-messages";
 
 /* --------------------------- helpers & constants --------------------------- */
 
@@ -584,6 +593,24 @@ export async function POST(req) {
           itemRows.push({ cartItem: ci, variant, unitPrice, subtotal });
         }
 
+        // 3b) Lines frozen at a price-book price follow the book: once the sale
+        // has ended (or another book now wins) they are re-priced.
+        const booked = itemRows.filter((r) => r.cartItem.metadata?.priceListId);
+        let repriced = false;
+        if (booked.length) {
+          const current = await resolveVariantPrices(
+            booked.map((r) => r.variant.id),
+            { currency: cart.currency, db: tx }
+          );
+          for (const r of booked) {
+            const price = current.get(r.variant.id);
+            if (!price || price.priceListId === r.cartItem.metadata.priceListId) continue;
+            r.unitPrice = round2(price.amount);
+            r.subtotal = round2(price.amount * (Number(r.cartItem.quantity) || 0));
+            repriced = true;
+          }
+        }
+
         // 4) Resolve / create user
         // ✅ Keep your existing behavior, but ensure guest flow never depends on auth session.
         // If userId exists (logged), use it. Otherwise create/attach minimal user by phone/email.
@@ -639,20 +666,63 @@ export async function POST(req) {
           });
         }
 
-        // 6) Totals (mirror cart snapshot; do not re-price)
+        // 6) Totals (mirror cart snapshot for prices; coupons, shipping and tax below)
         const computedSubtotal = round2(itemRows.reduce((a, r) => a + r.subtotal, 0));
         const subtotal = round2(
-          Number.isFinite(n2(cart.subtotal, NaN)) ? n2(cart.subtotal) : computedSubtotal
+          !repriced && Number.isFinite(n2(cart.subtotal, NaN)) ? n2(cart.subtotal) : computedSubtotal
         );
 
-        const discountTotal = round2(Number(cart.discountTotal || 0));
-        const taxTotal = round2(Number(cart.taxTotal || 0));
-        const shippingTotal = round2(Number(cart.shippingTotal || 0));
-
-        const computedGrand = round2(subtotal - discountTotal + taxTotal + shippingTotal);
-        const grandTotal = round2(
-          Number.isFinite(n2(cart.grandTotal, NaN)) ? n2(cart.grandTotal) : computedGrand
-        );
+        // Coupons are re-checked now that the customer is known (first order,
+        // per-customer limit, targeting). One the cart showed as applied that no
+        // longer holds fails the checkout rather than silently changing the total.
+        // Capped coupons stay locked until the redemptions below are committed.
+        const promos = await priceCartPromotions({
+          cartId: cart.id,
+          lines: itemRows.map((r) => ({ variantId: r.variant.id, quantity: r.cartItem.quantity, amount: r.subtotal })),
+          userId: linkedUserId,
+          persist: false,
+          lock: true,
+          db: tx,
+        });
+        const lost = promos.rejected.filter((r) => promos.previouslyApplied.includes(r.promotionId));
+        if (lost.length) {
+          const e = new Error("COUPON_REJECTED");
+          e.code = "COUPON_REJECTED";
+          e.coupons = lost;
+          throw e;
+        }
+        const discountTotal = round2(Math.min(subtotal, promos.discountTotal));
+
+        // Shipping is quoted for the real address, chosen speed and payment
+        // method (COD surcharge) – same lib/shipping quote the cart showed.
+        const shippingQuote = await quoteShipping({
+          address: shippingAddressFromDraft({ ...shipping, ...(body?.shipping || {}) }),
+          items: itemRows.map((r) => ({ variantId: r.variant.id, quantity: r.cartItem.quantity })),
+          orderValue: Math.max(0, subtotal - discountTotal),
+          speed: body?.shippingSpeed || cart.shippingSpeed,
+          cod: isCod(paymentMethod),
+          freeShipping: promos.freeShipping,
+          db: tx,
+        });
+        const shippingTotal = round2(shippingQuote.selected.total);
+
+        // Tax is re-resolved per line against the address actually shipped to
+        // (the cart may have been priced before one was entered).
+        const tax = await computeTaxes({
+          lines: itemRows.map((r, i) => ({
+            key: i,
+            variantId: r.variant.id,
+            amount: r.subtotal,
+            discount: promos.lineDiscounts[i],
+          })),
+          address: shipping,
+          discountTotal,
+          shippingTotal,
+          currency: cart.currency,
+          db: tx,
+        });
+        const taxTotal = round2(tax.taxTotal);
+        const grandTotal = round2(subtotal - discountTotal + tax.addedTax + shippingTotal);
 
         // 7) Create order
         const createdOrder = await tx.order.create({
@@ -673,6 +743,9 @@ export async function POST(req) {
             shippingTotal,
             grandTotal,
             shippingCustomerCharge: shippingTotal,
+            shippingSpeed: shippingQuote.selected.speed,
+            shippingRateId: shippingQuote.selected.rateId,
+            codFee: shippingQuote.selected.codFee,
             notes,
             metadata: {
               paymentMethod,
@@ -684,10 +757,14 @@ export async function POST(req) {
               contactName: shippingIn.contactName,
               contactPhone: normalizePhoneBD(shippingIn.phone),
               contactEmail: shippingIn.contactEmail,
+              // language of the automatic SMS / WhatsApp messages (lib/customer-messages.js)
+              locale: resolveMessageLocale(body?.locale || req.headers.get("accept-language")),
 
               cartSnapshot: {
                 currency: cart.currency,
                 totals: { subtotal, discountTotal, taxTotal, shippingTotal, grandTotal },
+                shipping: { ...shippingQuote.selected, zone: shippingQuote.zone, weightGrams: shippingQuote.weightGrams },
+                promotions: promos.applied,
                 items: itemRows.map((r) => ({
                   variantId: r.variant.id,
                   productId: r.variant.productId,
@@ -703,8 +780,10 @@ export async function POST(req) {
         });
 
         // 8) Create order items
-        for (const r of itemRows) {
-          await tx.orderItem.create({
+        const orderLines = [];
+        for (const [i, r] of itemRows.entries()) {
+          const lineTax = tax.lines[i];
+          const orderItem = await tx.orderItem.create({
             data: {
               orderId: createdOrder.id,
               variantId: r.variant.id,
@@ -713,40 +792,40 @@ export async function POST(req) {
               quantity: r.cartItem.quantity,
               unitPrice: r.unitPrice,
               subtotal: r.subtotal,
-              taxTotal: 0,
-              discountTotal: 0,
-              total: r.subtotal,
+              taxTotal: lineTax.tax,
+              discountTotal: promos.lineDiscounts[i],
+              total: round2(r.subtotal - promos.lineDiscounts[i] + (lineTax.inclusive ? 0 : lineTax.tax)),
+              taxClassId: lineTax.taxClassId,
+              taxRatePct: lineTax.ratePct,
+              taxInclusive: lineTax.inclusive,
+              taxBreakdown: lineTax.breakdown,
             },
           });
+          orderLines.push({
+            orderItemId: orderItem.id,
+            variantId: r.variant.id,
+            quantity: r.cartItem.quantity,
+            backorderAllowed: !!r.variant.backorderAllowed,
+          });
         }
 
-        // 9) Decrement stock
+        await recordRedemptions({ orderId: createdOrder.id, applied: promos.applied, db: tx });
+
+        // 9) Decrement stock: warehouse rows via allocation (which also splits the
+        // order into one PENDING shipment per warehouse), then the variant caches
+        await allocateOrder(tx, {
+          orderId: createdOrder.id,
+          lines: orderLines,
+          zoneId: shippingQuote.zone?.id || null,
+        });
+
         for (const [variantId, requestedQty] of qtyByVariant.entries()) {
           const state = stateById.get(variantId);
           if (!state) continue;
 
           const { variant, invRows, effectiveAvailable } = state;
-          const backorderAllowed = !!variant.backorderAllowed;
 
           if (invRows.length > 0) {
-            const inv = invRows[0];
-            const onHandBefore = num(inv.onHand, 0);
-            const newOnHand = onHandBefore - num(requestedQty, 0);
-
-            if (newOnHand < 0 && !backorderAllowed) {
-              const e = new Error("INSUFFICIENT_STOCK");
-              e.code = "INSUFFICIENT_STOCK";
-              throw e;
-            }
-
-            await tx.inventoryItem.update({
-              where: { id: inv.id },
-              data: {
-                onHand: newOnHand,
-                reserved: Math.max(num(inv.reserved, 0) - num(requestedQty, 0), 0),
-              },
-            });
-
             const newEffectiveAvailable = Math.max(0, num(effectiveAvailable, 0) - num(requestedQty, 0));
             await tx.productVariant.update({
               where: { id: variantId },
@@ -806,14 +885,28 @@ export async function POST(req) {
 
     const ms = Date.now() - startedAt;
 
-    // Prisma → Strapi inventory sync after success
+    await emitWebhookEvent("order.placed", {
+      ...orderWebhookData(order),
+      paymentMethod,
+      items: cart?.items?.length ?? 0,
+    });
+    await queueLedgerPosting("ORDER", order.id);
+    await sendCustomerMessage("order_placed", { orderId: order.id });
+
+    // Prisma → Strapi inventory sync after success: queued for the job worker
+    // (one pending sync covers a burst of orders); inline only if the queue is down
     try {
-      const syncResult = await triggerStrapiInventoryFullSync(req);
-      if (!syncResult?.ok) {
-        console.error("[checkout/create-order] Prisma→Strapi inventory sync failed (non-fatal):", syncResult);
+      await enqueue("strapi.inventory-sync", {}, { queue: "strapi", dedupeKey: "strapi.inventory-sync" });
+    } catch (queueErr) {
+      console.error("[checkout/create-order] Could not queue inventory sync, running inline:", queueErr?.message || queueErr);
+      try {
+        const syncResult = await triggerStrapiInventoryFullSync(req);
+        if (!syncResult?.ok) {
+          console.error("[checkout/create-order] Prisma→Strapi inventory sync failed (non-fatal):", syncResult);
+        }
+      } catch (syncErr) {
+        console.error("[checkout/create-order] Unexpected inventory sync error (non-fatal):", syncErr);
       }
-    } catch (syncErr) {
-      console.error("[checkout/create-order] Unexpected inventory sync error (non-fatal):", syncErr);
     }
 
     console.log(JSON.stringify({ route: "checkout/create-order", orderId: order.id, ms }));
@@ -831,6 +924,7 @@ export async function POST(req) {
     );
 
     if (err?.code === "INSUFFICIENT_STOCK") return bad("INSUFFICIENT_STOCK", 409);
+    if (err?.code === "COUPON_REJECTED") return bad("COUPON_REJECTED", 409, { coupons: err.coupons });
     return bad("UNKNOWN", 500);
   }
 }
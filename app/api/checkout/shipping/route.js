@@ -0,0 +1,65 @@
+// PATH: app/api/checkout/shipping/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { auth } from "@/lib/auth";
+import { computeTotalsCanonical } from "@/lib/cart-totals";
+import { normalizeSpeed, shippingAddressFromDraft } from "@/lib/shipping";
+
+// Must match the cookie name used in /api/cart/sync and other cart APIs
+const SID_COOKIE = "tdlc_sid";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function activeCart(req) {
+  const session = await auth().catch(() => null);
+  const userId = session?.user?.id || null;
+  const sid = req.cookies?.get(SID_COOKIE)?.value || null;
+
+  const or = [...(userId ? [{ userId }] : []), ...(sid ? [{ sessionId: sid }] : [])];
+  if (!or.length) return null;
+
+  return prisma.cart.findFirst({
+    where: { status: "ACTIVE", OR: or },
+    orderBy: { updatedAt: "desc" },
+    include: { items: true, shippingAddress: true },
+  });
+}
+
+/**
+ * POST { shipping?: <address draft>, shippingSpeed?, paymentMethod? }
+ * → { totals, shipping: { zone, weightGrams, options, selected }, promotions: { applied, rejected } }
+ *
+ * Checkout summary quote for the address being typed (it isn't saved yet).
+ * The chosen speed is remembered on the cart so create-order charges it.
+ */
+export async function POST(req) {
+  const body = await req.json().catch(() => ({}));
+  const cart = await activeCart(req);
+  if (!cart || !cart.items?.length) return json({ ok: false, error: "CART_EMPTY" }, 400);
+
+  const shippingSpeed = body?.shippingSpeed ? normalizeSpeed(body.shippingSpeed) : cart.shippingSpeed;
+  const method = String(body?.paymentMethod || "").toUpperCase();
+
+  const { shipping, promotions, ...totals } = await computeTotalsCanonical({
+    items: cart.items.filter((it) => Number(it.quantity) > 0 && it.variantId),
+    shippingAddress: body?.shipping ? shippingAddressFromDraft(body.shipping) : cart.shippingAddress,
+    cartId: cart.id,
+    shippingSpeed,
+    cod: method === "COD" || method === "CASH_ON_DELIVERY",
+  });
+
+  if (body?.shippingSpeed && shippingSpeed !== cart.shippingSpeed) {
+    await prisma.cart.update({ where: { id: cart.id }, data: { shippingSpeed } });
+  }
+
+  return json({ ok: true, currency: cart.currency, totals, shipping, promotions });
+}
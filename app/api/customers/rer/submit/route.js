@@ -2,6 +2,7 @@ export const dynamic = 'force-dynamic';
 
 import prisma from "@/lib/prisma";
 import { NextResponse } from 'next/server';
+import { emitWebhookEvent, returnWebhookData } from '@/lib/webhooks';
 
 async function readText(fd, key) {
   const v = fd.get(key);
@@ -111,5 +112,7 @@ export async function POST(req) {
     },
   });
 
+  await emitWebhookEvent('return.requested', returnWebhookData(rr));
+
   return NextResponse.json({ success: true, applicationId: rr.id, refund: lineRefund });
 }
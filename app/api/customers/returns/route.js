@@ -3,12 +3,12 @@ export const runtime = "nodejs";
 
 import { NextResponse } from "next/server";
 import prismaClient from "@/lib/prisma";
+import { emitWebhookEvent, returnWebhookData } from "@/lib/webhooks";
 
 // Keep the same singleton pattern, but use your project’s canonical prisma client
 const prisma = globalThis.__prisma__ ?? prismaClient;
 if (!globalThis.__prisma__) globalThis.__prisma__ = prisma;
 
-const CURRENCY = "BDT"; // align with your config/policy
 
 function to_num(v) {
   if (!v) return 0;
@@ -88,7 +88,7 @@ export async function POST(req) {
         data: {
           orderId: order.id,
           userId: user_id || order.userId || null,
-          status: "requested",
+          status: "REQUESTED",
           reason,
           notes: description,
           totalRefund: action_type === "refund" ? refundable : 0,
@@ -111,6 +111,7 @@ export async function POST(req) {
         include: { lines: true },
       });
       application_id = rr.id;
+      await emitWebhookEvent("return.requested", returnWebhookData(rr));
 
       // create a notification
       await prisma.notification.create({
@@ -134,20 +135,8 @@ export async function POST(req) {
         },
       });
 
-      // optional: seed refund row on "refund"
+      // the refund itself is raised after QC grading (lib/rma.js refundReturn)
       if (action_type === "refund") {
-        const pay = order.payments?.[0] || null;
-        await prisma.refund.create({
-          data: {
-            orderId: order.id,
-            paymentId: pay?.id || null,
-            returnId: rr.id,
-            amount: refundable,
-            currency: order.currency || CURRENCY,
-            reason,
-            status: "initiated",
-          },
-        });
         timeline.push({ step: "finance review", date: null, info: "verifying refund method & amount." });
       }
     } else if (action_type === "exchange") {
@@ -155,7 +144,7 @@ export async function POST(req) {
         data: {
           orderId: order.id,
           userId: user_id || order.userId || null,
-          status: "requested",
+          status: "REQUESTED",
           reason,
           notes: description,
           lines: {
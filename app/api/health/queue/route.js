@@ -6,6 +6,7 @@ export const revalidate = 0;
 import { NextResponse } from "next/server";
 import { requireAdmin } from "@/lib/auth";
 import { Permissions } from "@/lib/rbac";
+import queue from "@/lib/queue";
 
 function json(body, status = 200, extraHeaders = {}) {
   return new NextResponse(JSON.stringify(body ?? null), {
@@ -33,31 +34,6 @@ function concealNotFound() {
   return json({ ok: false, error: "NOT_FOUND" }, 404);
 }
 
-function buildSimulatedQueues() {
-  return [
-    {
-      name: "default",
-      label: "Default",
-      depth: 0,
-      delayed: 0,
-      failed: 0,
-      paused: false,
-      concurrency: 4,
-      lastRunAt: null,
-    },
-    {
-      name: "email",
-      label: "Email / Notifications",
-      depth: 0,
-      delayed: 0,
-      failed: 0,
-      paused: false,
-      concurrency: 2,
-      lastRunAt: null,
-    },
-  ];
-}
-
 function normAction(a) {
   return String(a || "")
     .trim()
@@ -70,7 +46,16 @@ function normQueue(q) {
 }
 
 const ALLOWED_ACTIONS = ["rerun", "drain", "retry", "pause", "resume", "clearfailed"];
-const SUPPORTED_QUEUES = ["default", "email"];
+const SUPPORTED_QUEUES = Object.keys(queue.QUEUES);
+
+const RUN_ACTION = {
+  rerun: queue.rerun,
+  drain: queue.drain,
+  retry: queue.retry,
+  pause: queue.pause,
+  resume: queue.resume,
+  clearfailed: queue.clearFailed,
+};
 
 /**
  * GET /api/health/queue
@@ -83,15 +68,19 @@ export async function GET(req) {
     return concealNotFound();
   }
 
-  // If you later wire a real queue, prefer using /api/admin/health/queue
-  // and keep this route as compat or remove it completely.
-  const queues = buildSimulatedQueues();
+  // Same data as /api/admin/health/queue, kept for compat.
+  let snap;
+  try {
+    snap = await queue.snapshot();
+  } catch (e) {
+    return json({ ok: false, error: "QUEUE_UNAVAILABLE", detail: String(e?.message || e) }, 503);
+  }
 
   return json({
     ok: true,
-    mode: "simulated",
+    mode: snap.mode,
     timestamp: new Date().toISOString(),
-    queues,
+    queues: snap.queues,
     supportedActions: ALLOWED_ACTIONS,
     supportedQueues: SUPPORTED_QUEUES,
   });
@@ -118,50 +107,31 @@ export async function POST(req) {
   }
 
   const action = normAction(payload?.action);
-  const queue = normQueue(payload?.queue);
+  const queueName = normQueue(payload?.queue);
 
   if (!ALLOWED_ACTIONS.includes(action)) {
     return json({ ok: false, error: "UNKNOWN_ACTION", allowedActions: ALLOWED_ACTIONS }, 400);
   }
 
-  if (!SUPPORTED_QUEUES.includes(queue)) {
+  if (!SUPPORTED_QUEUES.includes(queueName)) {
     return json({ ok: false, error: "UNKNOWN_QUEUE", supportedQueues: SUPPORTED_QUEUES }, 400);
   }
 
-  const humanLabel = queue === "email" ? "Email / Notifications queue" : "Default application queue";
-
-  let message = "";
-  switch (action) {
-    case "rerun":
-      message = `All pending jobs in "${humanLabel}" will be re-queued for immediate processing. (Simulated)`;
-      break;
-    case "drain":
-      message = `All pending jobs in "${humanLabel}" will be drained without running. (Simulated)`;
-      break;
-    case "retry":
-      message = `All failed jobs in "${humanLabel}" will be flagged for retry. (Simulated)`;
-      break;
-    case "pause":
-      message = `"${humanLabel}" will be paused; new jobs can enqueue but will not run. (Simulated)`;
-      break;
-    case "resume":
-      message = `"${humanLabel}" will resume processing jobs normally. (Simulated)`;
-      break;
-    case "clearfailed":
-      message = `All failed jobs in "${humanLabel}" will be cleared. (Simulated)`;
-      break;
-    default:
-      message = `Action "${action}" completed for "${humanLabel}". (Simulated)`;
-      break;
-  }
+  const humanLabel = queue.QUEUES[queueName].label;
 
-  return json({
-    ok: true,
-    mode: "simulated",
-    timestamp: new Date().toISOString(),
-    action,
-    queue,
-    humanLabel,
-    message,
-  });
+  try {
+    const result = await RUN_ACTION[action](queueName);
+    return json({
+      ok: true,
+      mode: "real",
+      timestamp: new Date().toISOString(),
+      action,
+      queue: queueName,
+      humanLabel,
+      message: result?.message || `Action "${action}" completed for "${humanLabel}".`,
+      result,
+    });
+  } catch (e) {
+    return json({ ok: false, error: "QUEUE_ACTION_FAILED", detail: String(e?.message || e) }, 500);
+  }
 }
@@ -0,0 +1,34 @@
+// FILE: app/api/internal/cron/track-shipments/route.js
+// Scheduler entrypoint for courier polling: queues one "shipment.track-sweep"
+// job (deduped, so overlapping ticks collapse) for the logistics worker.
+//
+//   POST /api/internal/cron/track-shipments   header x-cron-secret: INTERNAL_CRON_TOKEN
+//   body (optional): { limit?: 50, staleMinutes?: 30 }
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { enqueue } from "@/lib/queue";
+
+function json(data, status = 200) {
+  return NextResponse.json(data, { status, headers: { "cache-control": "no-store" } });
+}
+
+export async function POST(req) {
+  const secret = process.env.INTERNAL_CRON_TOKEN || process.env.CRON_SECRET || "";
+  const got = req.headers.get("x-cron-secret") || "";
+  if (!secret || got !== secret) return json({ error: "FORBIDDEN" }, 403);
+
+  const body = await req.json().catch(() => ({}));
+  try {
+    const job = await enqueue(
+      "shipment.track-sweep",
+      { limit: body?.limit ?? undefined, staleMinutes: body?.staleMinutes ?? undefined },
+      { queue: "logistics", dedupeKey: "shipment.track-sweep" }
+    );
+    return json({ ok: true, jobId: job?.id ?? null });
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, e?.status || 500);
+  }
+}
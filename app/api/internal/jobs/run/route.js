@@ -0,0 +1,43 @@
+// FILE: app/api/internal/jobs/run/route.js
+// One worker tick: claim due BackgroundJobs and run them in this server process.
+// Polled by scripts/jobs/worker.mjs (or any scheduler).
+//
+//   POST /api/internal/jobs/run   header x-cron-secret: INTERNAL_CRON_TOKEN
+//   body (optional): { queues?: ["email","strapi"], limit?: 5 }
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const revalidate = 0;
+
+import crypto from "crypto";
+import { NextResponse } from "next/server";
+import { QUEUES } from "@/lib/queue";
+import { runDueJobs } from "@/lib/jobs/runner";
+
+function json(data, status = 200) {
+  return NextResponse.json(data, { status, headers: { "cache-control": "no-store" } });
+}
+
+function safeTimingEqual(a, b) {
+  const A = Buffer.from(String(a || ""));
+  const B = Buffer.from(String(b || ""));
+  return A.length === B.length && crypto.timingSafeEqual(A, B);
+}
+
+export async function POST(req) {
+  const secret = process.env.INTERNAL_CRON_TOKEN || process.env.CRON_SECRET || "";
+  const got = req.headers.get("x-cron-secret") || "";
+  if (!secret || !safeTimingEqual(got, secret)) return json({ error: "FORBIDDEN" }, 403);
+
+  const body = await req.json().catch(() => ({}));
+  const queues = Array.isArray(body?.queues)
+    ? body.queues.map((q) => String(q).toLowerCase()).filter((q) => QUEUES[q])
+    : undefined;
+  const workerId = req.headers.get("x-worker-id") || "http";
+
+  try {
+    const ran = await runDueJobs({ queues, workerId, limit: body?.limit });
+    return json({ ok: true, ran: ran.length, jobs: ran });
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, e?.status || 500);
+  }
+}
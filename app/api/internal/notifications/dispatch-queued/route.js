@@ -1,35 +1,38 @@
 // FILE: app/api/internal/notifications/dispatch-queued/route.js
+// Scheduler safety net for the notification dispatcher: sends every QUEUED
+// notification that is due (scheduled sends, retries whose job was lost,
+// quiet-hours holds that have ended).
+//
+//   POST /api/internal/notifications/dispatch-queued   header x-cron-secret: NOTIFICATIONS_CRON_SECRET
+//   body (optional): { limit?: 100 }
 export const dynamic = "force-dynamic";
 export const runtime = "nodejs";
 export const revalidate = 0;
 
+import crypto from "crypto";
 import { NextResponse } from "next/server";
-import prisma from "@/lib/prisma";
+import { dispatchDue } from "@/lib/notifications";
 
 function json(data, status = 200) {
   return NextResponse.json(data, { status, headers: { "cache-control": "no-store" } });
 }
 
+function safeTimingEqual(a, b) {
+  const A = Buffer.from(String(a || ""));
+  const B = Buffer.from(String(b || ""));
+  return A.length === B.length && crypto.timingSafeEqual(A, B);
+}
+
 export async function POST(req) {
   const secret = process.env.NOTIFICATIONS_CRON_SECRET || "";
   const got = req.headers.get("x-cron-secret") || "";
-  if (!secret || got !== secret) return json({ error: "FORBIDDEN" }, 403);
-
-  const now = new Date();
-
-  // Due = createdAt <= now (we set createdAt = sendAt at schedule time)
-  const r = await prisma.notification.updateMany({
-    where: {
-      channel: "IN_APP",
-      status: "QUEUED",
-      queued: true,
-      createdAt: { lte: now },
-    },
-    data: {
-      status: "DELIVERED",
-      queued: false,
-    },
-  });
+  if (!secret || !safeTimingEqual(got, secret)) return json({ error: "FORBIDDEN" }, 403);
 
-  return json({ ok: true, dispatched: r.count || 0 });
+  const body = await req.json().catch(() => ({}));
+  try {
+    const r = await dispatchDue({ limit: body?.limit ?? undefined });
+    return json({ ok: true, dispatched: r.delivered, ...r });
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, e?.status || 500);
+  }
 }
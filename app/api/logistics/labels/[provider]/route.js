@@ -1,18 +1,54 @@
 // app/api/logistics/labels/[provider]/route.js
 import { NextResponse } from "next/server";
-import { providers, supported } from "@/lib/logistics/providers";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { getCourierAdapter } from "@/lib/logistics/providers";
+import { bookShipment } from "@/lib/logistics/shipments";
 
 export const dynamic = "force-dynamic";
 export const runtime = "nodejs";
 
+/**
+ * Two body shapes:
+ *  - { orderId, serviceCode?, weightKg?, meta? } → normalized booking through the
+ *    registry; records the Shipment exactly like /api/admin/orders/[id]/shipments.
+ *  - anything else → provider-native payload passed straight to createLabel()
+ *    (used by the admin label tool).
+ */
 export async function POST(req, { params }) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, { permission: Permissions.MANAGE_ORDERS });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return NextResponse.json({ error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, { status });
+  }
+
   try {
     const { provider } = params;
-    if (!supported.includes(provider)) return NextResponse.json({ error: "Unsupported provider" }, { status: 404 });
+    const adapter = getCourierAdapter(provider);
+    if (!adapter) return NextResponse.json({ error: "Unsupported provider" }, { status: 404 });
     const payload = await req.json();
-    const data = await providers[provider].createLabel(payload);
+
+    if (payload?.orderId) {
+      const shipment = await bookShipment({
+        orderId: String(payload.orderId),
+        courierCode: adapter.code,
+        serviceCode: payload.serviceCode || "STANDARD",
+        weightKg: payload.weightKg,
+        note: payload.note,
+        meta: payload.meta,
+        actorId: admin.user?.id || admin.userId || null,
+      });
+      return NextResponse.json({ provider, shipment }, { status: 200 });
+    }
+
+    if (typeof adapter.createLabel !== "function") {
+      return NextResponse.json({ error: "orderId required for this provider" }, { status: 400 });
+    }
+    const data = await adapter.createLabel(payload);
     return NextResponse.json({ provider, data }, { status: 200 });
   } catch (e) {
-    return NextResponse.json({ error: String(e?.message || e) }, { status: 500 });
+    return NextResponse.json({ error: String(e?.message || e) }, { status: e?.status || 500 });
   }
 }
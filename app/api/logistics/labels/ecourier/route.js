@@ -1,28 +1,26 @@
 // app/api/logistics/labels/ecourier/route.js
 import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { ecourier } from "@/lib/logistics/providers/ecourier";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
 
 /**
  * Create an eCourier order
- * Docs: POST /order-place with headers API-KEY, API-SECRET, USER-ID (JSON) 
+ * Docs: POST /order-place with headers API-KEY, API-SECRET, USER-ID (JSON)
+ * Transport/credentials live in the courier registry adapter.
  */
-const BASE = process.env.ECOURIER_BASE_URL; // e.g. https://ecourier.com.bd/api or https://staging.ecourier.com.bd/api
-const KEY = process.env.ECOURIER_API_KEY;
-const SECRET = process.env.ECOURIER_API_SECRET;
-const USER = process.env.ECOURIER_USER_ID;
 
-function ecHeaders() {
-  if (!BASE || !KEY || !SECRET || !USER) {
-    throw new Error("Missing ECOURIER_* environment variables");
+export async function POST(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_ORDERS });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return NextResponse.json({ error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, { status });
   }
-  return {
-    "API-KEY": KEY,
-    "API-SECRET": SECRET,
-    "USER-ID": USER,
-    "Content-Type": "application/json",
-  };
-}
 
-export async function POST(req) {
   try {
     const body = await req.json();
     // Required by eCourier for order-place:
@@ -50,15 +48,11 @@ export async function POST(req) {
       actual_product_price: body.actual_product_price ? Number(body.actual_product_price) : undefined,
     };
 
-    const res = await fetch(`${BASE}/order-place`, {
-      method: "POST",
-      headers: ecHeaders(),
-      body: JSON.stringify(payload),
-    });
-
-    const data = await res.json().catch(() => ({}));
-    if (!res.ok) {
-      return NextResponse.json({ error: "ecourier order failed", detail: data }, { status: res.status });
+    let data;
+    try {
+      data = await ecourier.createLabel(payload);
+    } catch (e) {
+      return NextResponse.json({ error: "ecourier order failed", detail: String(e?.message || e) }, { status: 502 });
     }
     // Successful response includes ECR id in key "ID" per docs.
     return NextResponse.json({ ok: true, ecr_id: data.ID, raw: data });
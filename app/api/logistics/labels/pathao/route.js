@@ -1,9 +1,13 @@
 // FILE: app/api/logistics/labels/pathao/route.js
 export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
 
+import { POST as providerPOST } from "../[provider]/route";
+
+/**
+ * Thin alias to generic /api/logistics/labels/[provider]
+ * Keeps UI simple while centralizing provider logic in the courier registry.
+ */
 export async function POST(req) {
-  const origin = new URL(req.url).origin;
-  const body = await req.text();
-  const r = await fetch(`${origin}/api/logistics/labels/pathao`, { method: "POST", headers: { "Content-Type": req.headers.get("content-type") || "application/json" }, body });
-  return new Response(await r.arrayBuffer(), { status: r.status, headers: r.headers });
+  return providerPOST(req, { params: { provider: "pathao" } });
 }
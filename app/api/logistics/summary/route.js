@@ -10,7 +10,7 @@ import prisma from "@/lib/prisma";
  */
 export async function GET() {
   try {
-    const statuses = ["PENDING","LABEL_CREATED","IN_TRANSIT","OUT_FOR_DELIVERY","DELIVERED","FAILED","RETURNED"];
+    const statuses = ["PENDING","LABEL_CREATED","IN_TRANSIT","OUT_FOR_DELIVERY","DELIVERED","FAILED","RETURNED","CANCELLED"];
     const counts = {};
     for (const s of statuses) {
       counts[s] = await prisma.shipment.count({ where: { status: s } });
@@ -1,21 +1,46 @@
 // app/api/logistics/track/[provider]/route.js
 import { NextResponse } from "next/server";
-import { providers, supported } from "@/lib/logistics/providers";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { getCourierAdapter } from "@/lib/logistics/providers";
+import { trackShipment } from "@/lib/logistics/shipments";
 
 export const dynamic = "force-dynamic";
 export const runtime = "nodejs";
 
 export async function GET(req, { params }) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_ORDERS });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return NextResponse.json({ error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, { status });
+  }
+
   try {
     const { provider } = params;
-    if (!supported.includes(provider)) return NextResponse.json({ error: "Unsupported provider" }, { status: 404 });
+    const adapter = getCourierAdapter(provider);
+    if (!adapter) return NextResponse.json({ error: "Unsupported provider" }, { status: 404 });
 
     const url = new URL(req.url);
     const q = Object.fromEntries(url.searchParams.entries());
+
+    // ?shipmentId=… → one of our shipments; otherwise provider-native query keys
+    if (q.shipmentId) {
+      const { providerStatus, raw } = await trackShipment({ shipmentId: q.shipmentId });
+      return NextResponse.json({ provider, status: providerStatus, data: raw }, { status: 200 });
+    }
+    if (q.trackingNumber) {
+      const t = await adapter.trackConsignment({ trackingNumber: q.trackingNumber, consignmentId: q.trackingNumber });
+      return NextResponse.json({ provider, status: t.status, data: t.raw }, { status: 200 });
+    }
+
     // each provider expects a specific key (documented in their helper)
-    const data = await providers[provider].track(q);
+    if (typeof adapter.track !== "function") {
+      return NextResponse.json({ error: "trackingNumber required for this provider" }, { status: 400 });
+    }
+    const data = await adapter.track(q);
     return NextResponse.json({ provider, data }, { status: 200 });
   } catch (e) {
-    return NextResponse.json({ error: String(e?.message || e) }, { status: 500 });
+    return NextResponse.json({ error: String(e?.message || e) }, { status: e?.status || 500 });
   }
 }
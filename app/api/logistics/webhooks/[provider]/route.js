@@ -0,0 +1,43 @@
+// PATH: app/api/logistics/webhooks/[provider]/route.js
+// Inbound courier status callbacks (PATHAO, REDX, STEADFAST, PAPERFLY, ECOURIER).
+// Auth: `${CODE}_WEBHOOK_SECRET` in the adapter's header or ?secret=.
+// Always 2xx once authenticated so couriers do not retry parcels we don't know.
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { getCourierAdapter } from "@/lib/logistics/providers";
+import { ingestCourierWebhook, verifyCourierWebhook } from "@/lib/logistics/tracking";
+
+function json(body, status = 200, headers = {}) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store", ...headers },
+  });
+}
+
+export async function POST(req, { params }) {
+  const adapter = getCourierAdapter(params?.provider);
+  if (!adapter || typeof adapter.parseWebhook !== "function") {
+    return json({ ok: false, error: "UNSUPPORTED_PROVIDER" }, 404);
+  }
+
+  try {
+    verifyCourierWebhook(adapter, req);
+  } catch (err) {
+    return json({ ok: false, error: err.message }, err.status || 401);
+  }
+
+  const body = await req.json().catch(() => null);
+  if (!body || typeof body !== "object") return json({ ok: false, error: "INVALID_BODY" }, 400);
+
+  const ack = adapter.webhookAck?.() || { status: 200, headers: {} };
+  try {
+    const r = await ingestCourierWebhook(adapter, body);
+    return json({ ok: true, ...r }, ack.status, ack.headers);
+  } catch (err) {
+    console.error("[courier-webhook] %s failed:", adapter.code, err?.message || err);
+    return json({ ok: false, error: String(err?.message || err) }, err?.status || 500);
+  }
+}
@@ -1,66 +1,84 @@
 // FILE: app/api/notifications/send/route.js
+export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
+export const revalidate = 0;
 
 import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { dispatchNotification, notify } from "@/lib/notifications";
 
-async function getPerms() {
-  try {
-    const r = await fetch("/api/admin/session", { cache: "no-store" });
-    const j = await r.json();
-    return j?.user?.permissions || [];
-  } catch { return []; }
+function json(body, status = 200) {
+  return NextResponse.json(body, { status, headers: { "cache-control": "no-store" } });
+}
+
+async function resolveUserId({ userId, to }) {
+  if (userId) return String(userId);
+  const s = String(to || "").trim();
+  if (!s) return null;
+  const user = await prisma.user.findFirst({
+    where: s.includes("@") ? { email: s.toLowerCase() } : { phone: s.replace(/\s+/g, "") },
+    select: { id: true },
+  });
+  return user?.id || null;
 }
 
 /**
- * POST { channel:"email|sms|whatsapp|push", to, templateKey, variables:{} }
- * RBAC: MANAGE_NOTIFICATIONS
- * Email via SMTP if configured; otherwise returns 503.
+ * POST {
+ *   userId? | to?,                    // customer, or their email / phone
+ *   channel? | channels?: ["EMAIL","SMS","WHATSAPP","IN_APP"],
+ *   type?: "SYSTEM", templateKey?, variables?: {}, title?, body?, html?, orderId?, sendAt?
+ * }
+ * Renders the template per channel and dispatches through lib/notifications.js
+ * (preferences, quiet hours, retries). Scheduled sends are left to the queue.
  */
 export async function POST(req) {
-  const perms = await getPerms();
-  if (!perms.includes("MANAGE_NOTIFICATIONS")) return NextResponse.json({ error: "forbidden" }, { status: 403 });
+  try {
+    await requireAdmin(req, { permission: Permissions.SEND_NOTIFICATIONS });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
 
-  let body; try { body = await req.json(); } catch { return NextResponse.json({ error: "invalid json" }, { status: 400 }); }
-  const { channel, to, templateKey, variables } = body || {};
-  if (!channel || !to) return NextResponse.json({ error: "channel and to required" }, { status: 400 });
+  const body = await req.json().catch(() => null);
+  if (!body) return json({ ok: false, error: "INVALID_JSON" }, 400);
 
-  // template lookup (optional)
-  let tpl;
-  try {
-    tpl = await prisma.notificationTemplate.findUnique({ where: { key_channel: { key: templateKey || "default", channel } } });
-  } catch {}
+  const channels = (body.channels || (body.channel ? [body.channel] : [])).map((c) => String(c).toUpperCase());
+  if (!channels.length) return json({ ok: false, error: "CHANNEL_REQUIRED" }, 400);
 
-  // EMAIL example via SMTP (nodemailer) if configured
-  if (channel === "email") {
-    const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM } = process.env;
-    if (!SMTP_HOST) return NextResponse.json({ error: "smtp not configured" }, { status: 503 });
+  const userId = await resolveUserId(body);
+  if (!userId) return json({ ok: false, error: "RECIPIENT_NOT_FOUND" }, 404);
 
-    let nodemailer; try { nodemailer = (await import("nodemailer")).default; } catch {
-      return NextResponse.json({ error: "nodemailer not installed. pnpm add nodemailer" }, { status: 503 });
-    }
+  const sendAt = body.sendAt ? new Date(body.sendAt) : null;
+  if (sendAt && Number.isNaN(sendAt.getTime())) return json({ ok: false, error: "INVALID_SEND_AT" }, 400);
 
-    const transport = nodemailer.createTransport({
-      host: SMTP_HOST,
-      port: Number(SMTP_PORT || 587),
-      secure: false,
-      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  try {
+    const rows = await notify({
+      userId,
+      type: body.type || "SYSTEM",
+      channels,
+      templateKey: body.templateKey || null,
+      variables: body.variables || {},
+      title: body.title || null,
+      body: body.body || null,
+      html: body.html || null,
+      to: body.userId ? body.to || null : null,
+      orderId: body.orderId || null,
+      sendAt,
     });
 
-    const subject = tpl?.subject || "TDLC Notification";
-    const bodyHtml = (tpl?.bodyHtml || "<p>Hello {{name}}, this is a test.</p>").replace(/\{\{(\w+)\}\}/g, (_, k) => (variables?.[k] ?? ""));
-    const bodyText = (tpl?.bodyText || "Hello {{name}}, this is a test.").replace(/\{\{(\w+)\}\}/g, (_, k) => (variables?.[k] ?? ""));
-
-    try {
-      const info = await transport.sendMail({ from: SMTP_FROM || "no-reply@tdlc", to, subject, text: bodyText, html: bodyHtml });
-      const rec = await prisma.notification.create({ data: { to, channel: "email", templateKey: templateKey || tpl?.key, status: "delivered" } });
-      return NextResponse.json({ ok: true, id: rec.id, messageId: info.messageId });
-    } catch (e) {
-      await prisma?.notification?.create?.({ data: { to, channel: "email", templateKey: templateKey || tpl?.key, status: "failed", bounced: true } }).catch(() => {});
-      return NextResponse.json({ error: "send failed", detail: String(e) }, { status: 500 });
+    const results = [];
+    for (const n of rows) {
+      results.push(
+        sendAt && sendAt > new Date()
+          ? { id: n.id, channel: n.channel, status: n.status, deferredUntil: sendAt }
+          : { channel: n.channel, ...(await dispatchNotification(n.id)) }
+      );
     }
+    return json({ ok: true, results });
+  } catch (e) {
+    if (e?.status && e.status < 500) return json({ ok: false, error: e.message }, e.status);
+    return json({ ok: false, error: String(e?.message || e) }, 500);
   }
-
-  // Other channels: rely on providers if present; else 503
-  return NextResponse.json({ error: `${channel} provider not configured` }, { status: 503 });
 }
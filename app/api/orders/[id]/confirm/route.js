@@ -5,6 +5,7 @@ export const revalidate = 0;
 import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { requireAuth } from "@/lib/auth";
+import { applyOrderEvent, runOrderEffects } from "@/lib/order-transitions";
 
 /** tiny helper */
 function j(body, status = 200) {
@@ -47,36 +48,28 @@ export async function POST(req, { params }) {
       });
     }
 
-    // Derive the desired paymentStatus transition safely:
-    // - If any payment is already "SUCCEEDED"/"PAID", lock order to PAID.
-    // - Otherwise keep existing paymentStatus (often PENDING for COD).
+    // If any payment already succeeded, record the order as paid (which also
+    // confirms it); otherwise just confirm and keep paymentStatus (often PENDING for COD).
     const hasPaid =
       Array.isArray(order.payments) &&
       order.payments.some((p) =>
         ["SUCCEEDED", "PAID", "CAPTURED"].includes(String(p.status || "").toUpperCase())
       );
 
-    const nextPaymentStatus = hasPaid ? "PAID" : order.paymentStatus || "PENDING";
-
+    const actor = { id: userId, role: "customer" };
+    const results = [];
     const updated = await prisma.$transaction(async (tx) => {
-      const o = await tx.order.update({
-        where: { id: order.id },
-        data: {
-          status: "CONFIRMED",
-          paymentStatus: nextPaymentStatus,
-        },
-      });
-
-      await tx.orderEvent.create({
-        data: {
-          orderId: o.id,
-          kind: "ORDER_CONFIRMED",
-          message: "Order confirmed by user action",
-        },
+      if (hasPaid) results.push(await applyOrderEvent(tx, { orderId: order.id, event: "pay", actor }));
+      const r = await applyOrderEvent(tx, {
+        orderId: order.id,
+        event: "confirm",
+        actor,
+        reason: "Order confirmed by user action",
       });
-
-      return o;
+      results.push(r);
+      return r.order;
     });
+    await runOrderEffects(...results);
 
     return j({
       ok: true,
@@ -85,6 +78,7 @@ export async function POST(req, { params }) {
       paymentStatus: updated.paymentStatus,
     });
   } catch (err) {
+    if (err?.status === 409) return j({ ok: false, error: err.code }, 409);
     console.error("[orders.confirm.POST] ", err);
     return j({ ok: false, error: "ORDER_CONFIRM_FAILED" }, 500);
   }
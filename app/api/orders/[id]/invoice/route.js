@@ -412,6 +412,24 @@ function deriveSizeColorFromVariantOptions(variant) {
   return out;
 }
 
+/**
+ * Per-rate totals from the line-level breakdown stored at checkout
+ * (OrderItem.taxBreakdown, see lib/tax.js). Orders placed before line tax
+ * existed have no breakdown and print only the Tax total.
+ */
+function taxSummary(items) {
+  const byName = new Map();
+  for (const it of items) {
+    for (const b of Array.isArray(it.taxBreakdown) ? it.taxBreakdown : []) {
+      const cur = byName.get(b.name) || { name: b.name, taxable: 0, amount: 0 };
+      cur.taxable += toNum(b.taxable, 0);
+      cur.amount += toNum(b.amount, 0);
+      byName.set(b.name, cur);
+    }
+  }
+  return [...byName.values()];
+}
+
 /* ---------- Guest access helpers ---------- */
 
 function getReqAccessKey(req) {
@@ -707,7 +725,7 @@ export async function GET(req, { params }) {
           0
         ) || unitPrice;
 
-      const lineTotal = toNum(it.total ?? it.subtotal ?? qty * unitPrice, qty * unitPrice);
+      const lineTotal = toNum(it.subtotal ?? it.total ?? qty * unitPrice, qty * unitPrice);
 
       const size = firstNonEmpty(
         it.size,
@@ -798,6 +816,13 @@ export async function GET(req, { params }) {
         lines.push(`   Base price : ${money(baseUnit, currency)}   You saved: ${money(lineDiscount, currency)}`);
       }
 
+      const lineTax = toNum(it.taxTotal, 0);
+      if (lineTax > 0) {
+        const rate = it.taxRatePct != null ? ` @ ${toNum(it.taxRatePct, 0)}%` : "";
+        const mode = it.taxInclusive ? "incl." : "added";
+        lines.push(`   Tax${rate} (${mode}): ${money(lineTax, currency)}`);
+      }
+
       if (size) lines.push(`   Size     : ${size}`);
       if (color) lines.push(`   Color    : ${color}`);
       if (fabric) lines.push(`   Fabric   : ${fabric}`);
@@ -822,6 +847,9 @@ export async function GET(req, { params }) {
     lines.push(`Shipping : ${money(shippingTotal, currency)}`);
     lines.push(`Discount : -${money(discountTotal, currency)}`);
     lines.push(`Tax      : ${money(taxTotal, currency)}`);
+    taxSummary(order.items || []).forEach((t) => {
+      lines.push(`  ${t.name} on ${money(t.taxable, currency)} : ${money(t.amount, currency)}`);
+    });
     lines.push("------------------------------------------------------------");
     lines.push(`TOTAL    : ${money(grandTotal, currency)}`);
     lines.push("");
@@ -0,0 +1,37 @@
+// FILE: app/api/orders/track/callback/route.js
+// Public "request a callback" from the tracking page:
+//   POST { orderNumber, phone, preferredWindow?, note? }
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { rateLimit, retryAfterSeconds } from "@/lib/ratelimit";
+import { requestCallback } from "@/lib/order-tracking";
+
+function json(body, status = 200, headers = {}) {
+  return NextResponse.json(body, { status, headers: { "cache-control": "no-store", ...headers } });
+}
+
+function clientIp(req) {
+  return req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() || req.headers.get("x-real-ip") || "local";
+}
+
+export async function POST(req) {
+  const rl = await rateLimit({ key: `track-callback:${clientIp(req)}`, limit: 5, windowSec: 3600 });
+  if (!rl.ok) {
+    const retry = retryAfterSeconds(rl.resetAtMs);
+    return json({ ok: false, error: "TOO_MANY_ATTEMPTS", retryAfter: retry }, 429, { "retry-after": String(retry) });
+  }
+
+  const body = await req.json().catch(() => ({}));
+  if (!body?.orderNumber || !body?.phone) return json({ ok: false, error: "ORDER_NUMBER_AND_PHONE_REQUIRED" }, 400);
+
+  try {
+    const { request, duplicate } = await requestCallback(body);
+    return json({ ok: true, duplicate, requestedAt: request.createdAt }, duplicate ? 200 : 201);
+  } catch (err) {
+    if (err?.status) return json({ ok: false, error: err.message }, err.status);
+    throw err;
+  }
+}
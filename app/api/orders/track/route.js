@@ -0,0 +1,35 @@
+// FILE: app/api/orders/track/route.js
+// Public order tracking: POST { orderNumber, phone } → timeline (no login).
+// Number/phone mismatches answer exactly like unknown orders, and lookups are
+// rate-limited per client IP so the endpoint cannot be used to walk order numbers.
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { rateLimit, retryAfterSeconds } from "@/lib/ratelimit";
+import { findTrackableOrder, publicTrackingView } from "@/lib/order-tracking";
+
+function json(body, status = 200, headers = {}) {
+  return NextResponse.json(body, { status, headers: { "cache-control": "no-store", ...headers } });
+}
+
+function clientIp(req) {
+  return req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() || req.headers.get("x-real-ip") || "local";
+}
+
+export async function POST(req) {
+  const rl = await rateLimit({ key: `track:${clientIp(req)}`, limit: 10, windowSec: 600 });
+  if (!rl.ok) {
+    const retry = retryAfterSeconds(rl.resetAtMs);
+    return json({ ok: false, error: "TOO_MANY_ATTEMPTS", retryAfter: retry }, 429, { "retry-after": String(retry) });
+  }
+
+  const body = await req.json().catch(() => ({}));
+  if (!body?.orderNumber || !body?.phone) return json({ ok: false, error: "ORDER_NUMBER_AND_PHONE_REQUIRED" }, 400);
+
+  const order = await findTrackableOrder({ orderNumber: body.orderNumber, phone: body.phone });
+  if (!order) return json({ ok: false, error: "ORDER_NOT_FOUND" }, 404);
+
+  return json({ ok: true, tracking: await publicTrackingView(order) });
+}
@@ -4,6 +4,8 @@ export const dynamic = "force-dynamic";
 export const revalidate = 0;
 
 import prisma from "@/lib/prisma";
+import { runOrderEffects, tryOrderEvent } from "@/lib/order-transitions";
+import { markGatewayPaid, paymentCaptured } from "@/lib/payments/gateway";
 
 const {
   BKASH_USERNAME,
@@ -69,21 +71,22 @@ export async function GET(req) {
     }
 
     // Success — mark Payment & Order
-    await prisma.$transaction(async (tx) => {
-      await tx.payment.update({
-        where: { id: payment.id },
-        data: {
-          status: "PAID",
-          transactionId: execData?.trxID || payment.transactionId, // replace gateway id with trxID
-          rawPayload: execData,
-          message: "bkash_paid",
-        },
+    let paid = null;
+    const result = await prisma.$transaction(async (tx) => {
+      paid = await markGatewayPaid(tx, payment.id, {
+        transactionId: execData?.trxID || payment.transactionId, // replace gateway id with trxID
+        rawPayload: execData,
+        message: "bkash_paid",
       });
-      await tx.order.update({
-        where: { id: payment.orderId },
-        data: { paymentStatus: "PAID", status: "CONFIRMED" },
+      return tryOrderEvent(tx, {
+        orderId: payment.orderId,
+        event: "pay",
+        actor: { role: "system" },
+        metadata: { provider: "BKASH", paymentId: payment.id },
       });
     });
+    await runOrderEffects(result);
+    await paymentCaptured(paid);
 
     return Response.redirect(new URL(`/account/orders/${payment.orderId}`, NEXT_PUBLIC_SITE_URL), 302);
   } catch (e) {
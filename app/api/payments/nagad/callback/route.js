@@ -4,6 +4,7 @@ export const dynamic = "force-dynamic";
 export const revalidate = 0;
 
 import prisma from "@/lib/prisma";
+import { runOrderEffects, tryOrderEvent } from "@/lib/order-transitions";
 import crypto from "crypto";
 
 const {
@@ -52,7 +53,7 @@ export async function GET(req) {
     }
 
     // Success — mark paid and confirm order
-    await prisma.$transaction(async (tx) => {
+    const result = await prisma.$transaction(async (tx) => {
       await tx.payment.update({
         where: { id: payment.id },
         data: {
@@ -62,11 +63,14 @@ export async function GET(req) {
           message: "nagad_paid",
         },
       });
-      await tx.order.update({
-        where: { id: payment.orderId },
-        data: { paymentStatus: "PAID", status: "CONFIRMED" },
+      return tryOrderEvent(tx, {
+        orderId: payment.orderId,
+        event: "pay",
+        actor: { role: "system" },
+        metadata: { provider: "NAGAD", paymentId: payment.id },
       });
     });
+    await runOrderEffects(result);
 
     return Response.redirect(new URL(`/account/orders/${payment.orderId}`, NEXT_PUBLIC_SITE_URL), 302);
   } catch (e) {
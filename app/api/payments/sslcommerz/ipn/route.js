@@ -5,6 +5,8 @@ export const revalidate = 0;
 
 import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
+import { failOrderPayment, runOrderEffects, tryOrderEvent } from "@/lib/order-transitions";
+import { markGatewayPaid, paymentCaptured } from "@/lib/payments/gateway";
 
 const {
   SSLCZ_STORE_ID,
@@ -66,10 +68,7 @@ export async function POST(req) {
       }).catch(() => {});
       // Mark order as failed too (if created)
       if (payment.orderId) {
-        await prisma.order.update({
-          where: { id: payment.orderId },
-          data: { paymentStatus: "FAILED", status: "CANCELLED" },
-        }).catch(() => {});
+        await failOrderPayment(payment.orderId, { provider: "SSL_COMMERZ", reason: status.toLowerCase() }).catch(() => {});
       }
       return new NextResponse("ok", { status: 200 });
     }
@@ -94,30 +93,26 @@ export async function POST(req) {
         data: { status: "FAILED", rawPayload: verify, message: String(verify?.status || "invalid").toLowerCase() },
       }).catch(() => {});
       if (payment.orderId) {
-        await prisma.order.update({
-          where: { id: payment.orderId },
-          data: { paymentStatus: "FAILED", status: "CANCELLED" },
-        }).catch(() => {});
+        await failOrderPayment(payment.orderId, { provider: "SSL_COMMERZ", reason: "validation_failed" }).catch(() => {});
       }
       return new NextResponse("ok", { status: 200 });
     }
 
     // Mark payment paid, then confirm order
+    let paid = null;
     try {
-      await prisma.$transaction(async (tx) => {
-        await tx.payment.update({
-          where: { id: payment.id },
-          data: {
-            status: "PAID",
-            transactionId: verify?.val_id || val_id,
-            rawPayload: verify,
-            message: "sslcommerz_paid",
-          },
+      const result = await prisma.$transaction(async (tx) => {
+        paid = await markGatewayPaid(tx, payment.id, {
+          transactionId: verify?.val_id || val_id,
+          rawPayload: verify,
+          message: "sslcommerz_paid",
         });
         if (payment.orderId) {
-          await tx.order.update({
-            where: { id: payment.orderId },
-            data: { paymentStatus: "PAID", status: "CONFIRMED" },
+          return tryOrderEvent(tx, {
+            orderId: payment.orderId,
+            event: "pay",
+            actor: { role: "system" },
+            metadata: { provider: "SSL_COMMERZ", paymentId: payment.id },
           });
         } else {
           // No order to mark — produce a slip so customer can confirm later
@@ -131,7 +126,10 @@ export async function POST(req) {
             rawPayload: verify,
           });
         }
+        return null;
       });
+      await runOrderEffects(result);
+      await paymentCaptured(paid);
     } catch (e) {
       // Payment marked but order update failed — create slip
       await createSlipIfOrderUpdateFailed({
@@ -6,6 +6,9 @@ export const revalidate = 0;
 import { NextResponse } from "next/server";
 import crypto from "crypto";
 import prisma from "@/lib/prisma";
+import { failOrderPayment, runOrderEffects, tryOrderEvent } from "@/lib/order-transitions";
+import { settleGatewayRefund } from "@/lib/refunds";
+import { markGatewayPaid, paymentCaptured } from "@/lib/payments/gateway";
 
 const { STRIPE_WEBHOOK_SECRET } = process.env;
 
@@ -83,21 +86,20 @@ export async function POST(req) {
     }
     if (!payment) return new NextResponse("ok", { status: 200 });
 
+    let paid = null;
     try {
-      await prisma.$transaction(async (tx) => {
-        await tx.payment.update({
-          where: { id: payment.id },
-          data: {
-            status: "PAID",
-            transactionId: paymentIntentId,
-            rawPayload: event,
-            message: "stripe_paid",
-          },
+      const result = await prisma.$transaction(async (tx) => {
+        paid = await markGatewayPaid(tx, payment.id, {
+          transactionId: paymentIntentId,
+          rawPayload: event,
+          message: "stripe_paid",
         });
         if (payment.orderId) {
-          await tx.order.update({
-            where: { id: payment.orderId },
-            data: { paymentStatus: "PAID", status: "CONFIRMED" },
+          return tryOrderEvent(tx, {
+            orderId: payment.orderId,
+            event: "pay",
+            actor: { role: "system" },
+            metadata: { provider: "STRIPE", paymentId: payment.id },
           });
         } else {
           await createSlipIfOrderUpdateFailed({
@@ -110,7 +112,10 @@ export async function POST(req) {
             rawPayload: event,
           });
         }
+        return null;
       });
+      await runOrderEffects(result);
+      await paymentCaptured(paid);
     } catch (e) {
       await createSlipIfOrderUpdateFailed({
         paymentId: payment.id,
@@ -140,10 +145,21 @@ export async function POST(req) {
         data: { status: "FAILED", rawPayload: event, message: "stripe_failed" },
       }).catch(() => {});
       if (payment.orderId) {
-        await prisma.order.update({
-          where: { id: payment.orderId },
-          data: { paymentStatus: "FAILED", status: "CANCELLED" },
-        }).catch(() => {});
+        await failOrderPayment(payment.orderId, { provider: "STRIPE" }).catch(() => {});
+      }
+    }
+    return new NextResponse("ok", { status: 200 });
+  }
+
+  // A refund that came back "pending" is decided later
+  if (event.type === "refund.updated" || event.type === "refund.failed" || event.type === "charge.refund.updated") {
+    const obj = event.data.object;
+    if (obj?.id && ["succeeded", "failed", "canceled"].includes(obj.status)) {
+      try {
+        await settleGatewayRefund({ providerRef: obj.id, ok: obj.status === "succeeded", message: obj.status, raw: event });
+      } catch (e) {
+        // let Stripe redeliver
+        return NextResponse.json({ ok: false, error: String(e?.message || e) }, { status: 500 });
       }
     }
     return new NextResponse("ok", { status: 200 });
@@ -6,6 +6,7 @@ export const revalidate = 0;
 import { NextResponse } from "next/server";
 import crypto from "crypto";
 import prisma from "@/lib/prisma";
+import { runOrderEffects, tryOrderEvent } from "@/lib/order-transitions";
 
 // —— ENV ————————————————————————————————————————————————————————
 const {
@@ -29,17 +30,20 @@ function sslczBase() {
 }
 
 async function updatePaid({ paymentId, provider, transactionId, rawPayload }) {
-  await prisma.$transaction(async (tx) => {
+  const result = await prisma.$transaction(async (tx) => {
     const pay = await tx.payment.update({
       where: { id: paymentId },
       data: { status: "PAID", transactionId, rawPayload, message: `${provider.toLowerCase()}_paid` },
       select: { id: true, orderId: true },
     });
-    await tx.order.update({
-      where: { id: pay.orderId },
-      data: { paymentStatus: "PAID", status: "CONFIRMED" },
+    return tryOrderEvent(tx, {
+      orderId: pay.orderId,
+      event: "pay",
+      actor: { role: "system" },
+      metadata: { provider, paymentId },
     });
   });
+  await runOrderEffects(result);
 }
 
 async function updateFailed({ paymentId, provider, rawPayload, message = "failed" }) {
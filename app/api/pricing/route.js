@@ -0,0 +1,44 @@
+// PATH: app/api/pricing/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { DEFAULT_CURRENCY, resolveProductPrices } from "@/lib/price-books";
+
+const MAX_PRODUCTS = 60;
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      // same answer for every visitor; short so a scheduled sale shows up on time
+      "cache-control": status === 200 ? "public, s-maxage=30, stale-while-revalidate=30" : "no-store",
+    },
+  });
+}
+
+/**
+ * GET /api/pricing?products=12,34&currency=BDT
+ * Current selling price per Strapi product id: the cheapest (`from`) and one per
+ * size (keyed by Strapi size id), each with compareAt and the winning price list.
+ */
+export async function GET(req) {
+  const params = new URL(req.url).searchParams;
+  const ids = String(params.get("products") || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!ids.length) return json({ ok: false, error: "PRODUCTS_REQUIRED" }, 400);
+  if (ids.length > MAX_PRODUCTS) return json({ ok: false, error: "TOO_MANY_PRODUCTS" }, 400);
+
+  const currency = String(params.get("currency") || DEFAULT_CURRENCY).toUpperCase();
+  try {
+    const prices = await resolveProductPrices(ids, { currency });
+    return json({ ok: true, currency, items: Object.fromEntries(prices) });
+  } catch (err) {
+    console.error("[api/pricing] failed:", err?.message || err);
+    return json({ ok: false, error: "PRICING_FAILED" }, 500);
+  }
+}
@@ -0,0 +1,102 @@
+// FILE: app/api/promotions/coupons/[id]/codes/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { generatePromotionCodes } from "@/lib/coupons";
+
+const MAX_BATCH = 5000;
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_PROMOTIONS });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/**
+ * GET ?batch&format=csv → generated codes with their use count; CSV is for
+ * handing a batch to a partner or printing.
+ */
+export async function GET(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const promotionId = String(params?.id || "");
+  const { searchParams } = new URL(req.url);
+  const batch = searchParams.get("batch") || null;
+
+  const [codes, uses] = await Promise.all([
+    prisma.promotionCode.findMany({
+      where: { promotionId, ...(batch ? { batch } : {}) },
+      orderBy: [{ createdAt: "asc" }, { code: "asc" }],
+    }),
+    prisma.orderDiscount.groupBy({
+      by: ["promotionCodeId"],
+      where: { promotionId, promotionCodeId: { not: null }, order: { status: { not: "CANCELLED" } } },
+      _count: { _all: true },
+    }),
+  ]);
+  const used = new Map(uses.map((u) => [u.promotionCodeId, u._count._all]));
+  const items = codes.map((c) => ({ ...c, uses: used.get(c.id) || 0 }));
+
+  if (String(searchParams.get("format") || "").toLowerCase() === "csv") {
+    const csv = ["code,batch,maxRedemptions,uses", ...items.map((c) => `${c.code},${c.batch || ""},${c.maxRedemptions},${c.uses}`)];
+    return new NextResponse(csv.join("\n"), {
+      status: 200,
+      headers: {
+        "content-type": "text/csv; charset=utf-8",
+        "content-disposition": `attachment; filename="coupon_codes_${batch || promotionId}.csv"`,
+        "cache-control": "no-store",
+      },
+    });
+  }
+  return json({ ok: true, items });
+}
+
+/** POST { count, prefix?, length?, maxRedemptions?, batch? } → generates unique codes. */
+export async function POST(req, { params }) {
+  const denied = await guard(req);
+  if (denied) return denied;
+
+  const promotionId = String(params?.id || "");
+  const promotion = await prisma.promotion.findUnique({ where: { id: promotionId }, select: { id: true } });
+  if (!promotion) return json({ ok: false, error: "NOT_FOUND" }, 404);
+
+  const body = await req.json().catch(() => ({}));
+  const count = Number(body?.count);
+  const length = body?.length == null ? 8 : Number(body.length);
+  const maxRedemptions = body?.maxRedemptions == null ? 1 : Number(body.maxRedemptions);
+  const prefix = String(body?.prefix || "").trim();
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH) return json({ ok: false, error: "INVALID_COUNT" }, 400);
+  if (!Number.isInteger(length) || length < 6 || length > 16) return json({ ok: false, error: "INVALID_LENGTH" }, 400);
+  if (!Number.isInteger(maxRedemptions) || maxRedemptions < 1) {
+    return json({ ok: false, error: "INVALID_MAXREDEMPTIONS" }, 400);
+  }
+  if (prefix && !/^[A-Za-z0-9_-]{1,12}$/.test(prefix)) return json({ ok: false, error: "INVALID_PREFIX" }, 400);
+
+  const result = await generatePromotionCodes({
+    promotionId,
+    count,
+    prefix,
+    length,
+    maxRedemptions,
+    batch: body?.batch ? String(body.batch).trim() : undefined,
+  });
+  return json({ ok: true, batch: result.batch, count: result.codes.length, codes: result.codes }, 201);
+}
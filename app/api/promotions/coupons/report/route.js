@@ -0,0 +1,37 @@
+// FILE: app/api/promotions/coupons/report/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { couponReport } from "@/lib/coupons";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/**
+ * GET ?from&to[&promotionId] → redemptions per coupon, or per code of one
+ * coupon: orders, unique customers, discount given, revenue, average order.
+ */
+export async function GET(req) {
+  try {
+    await requireAdmin(req, { permission: Permissions.MANAGE_PROMOTIONS });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const { searchParams } = new URL(req.url);
+  const items = await couponReport({
+    from: searchParams.get("from") || null,
+    to: searchParams.get("to") || null,
+    promotionId: searchParams.get("promotionId") || null,
+  });
+  return json({ ok: true, items });
+}
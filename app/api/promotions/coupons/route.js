@@ -1,52 +1,120 @@
 // FILE: app/api/promotions/coupons/route.js
+export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
+export const revalidate = 0;
 
 import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions, hasPermission } from "@/lib/rbac";
+import { TARGETING_FIELDS, parsePromotion } from "@/lib/coupons";
 
-async function canManage() {
-  try {
-    const r = await fetch("/api/admin/session", { cache: "no-store" });
-    const j = await r.json();
-    return (j?.user?.permissions || []).some(p => ["MANAGE_COUPONS","MANAGE_SETTINGS"].includes(p));
-  } catch { return false; }
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
 }
 
-export async function GET() {
+async function guard(req) {
   try {
-    const items = await prisma.coupon.findMany({ orderBy: { createdAt: "desc" } });
-    return NextResponse.json({ items });
-  } catch (e) {
-    return NextResponse.json({ error: "coupons unavailable (model missing)", detail: String(e) }, { status: 503 });
+    const admin = await requireAdmin(req, { permission: Permissions.MANAGE_PROMOTIONS });
+    return [admin, null];
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return [null, json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status)];
   }
 }
 
-/** POST upsert; DELETE by id */
+/** A code may exist once across shared promotion codes and generated codes. */
+async function codeTaken(code, exceptId) {
+  if (!code) return false;
+  const [promotion, generated] = await Promise.all([
+    prisma.promotion.findFirst({ where: { code, ...(exceptId ? { id: { not: exceptId } } : {}) }, select: { id: true } }),
+    prisma.promotionCode.findUnique({ where: { code }, select: { id: true } }),
+  ]);
+  return !!(promotion || generated);
+}
+
+/** GET → coupons (promotions) with scopes, generated-code count and redemptions. */
+export async function GET(req) {
+  const [, denied] = await guard(req);
+  if (denied) return denied;
+
+  const [rows, uses] = await Promise.all([
+    prisma.promotion.findMany({
+      include: {
+        productScopes: { select: { productId: true } },
+        collectionScopes: { select: { collectionId: true } },
+        _count: { select: { codes: true } },
+      },
+      orderBy: { createdAt: "desc" },
+    }),
+    prisma.orderDiscount.groupBy({
+      by: ["promotionId"],
+      where: { promotionId: { not: null }, order: { status: { not: "CANCELLED" } } },
+      _count: { _all: true },
+      _sum: { amount: true },
+    }),
+  ]);
+  const byPromotion = new Map(uses.map((u) => [u.promotionId, u]));
+
+  const items = rows.map(({ productScopes, collectionScopes, _count, ...p }) => ({
+    ...p,
+    productIds: productScopes.map((s) => s.productId),
+    collectionIds: collectionScopes.map((s) => s.collectionId),
+    generatedCodes: _count.codes,
+    redemptions: byPromotion.get(p.id)?._count._all || 0,
+    discountGiven: Number(byPromotion.get(p.id)?._sum.amount || 0),
+  }));
+  return json({ ok: true, items });
+}
+
+/**
+ * POST { id?, name, code?, type, value?, buyQty?, getQty?, status?, currency?,
+ *        minSubtotal?, maxRedemptions?, perCustomerLimit?, startsAt?, endsAt?,
+ *        firstOrderOnly?, stackable?, appliesToAllProducts?, appliesToAllCollections?,
+ *        productIds?, collectionIds?, customerTiers?, customerIds? }
+ * Creates, or updates when `id` is given. Targeting fields need MANAGE_COUPON_TARGETING.
+ */
 export async function POST(req) {
-  if (!(await canManage())) return NextResponse.json({ error: "forbidden" }, { status: 403 });
-  let body; try { body = await req.json(); } catch { return NextResponse.json({ error: "invalid json" }, { status: 400 }); }
-  const { id, ...data } = body || {};
-  try {
-    if (id) {
-      const c = await prisma.coupon.update({ where: { id }, data });
-      return NextResponse.json({ ok: true, item: c });
-    }
-    const c = await prisma.coupon.create({ data });
-    return NextResponse.json({ ok: true, item: c });
-  } catch (e) {
-    return NextResponse.json({ error: "coupon write failed", detail: String(e) }, { status: 503 });
+  const [admin, denied] = await guard(req);
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => ({}));
+  if (TARGETING_FIELDS.some((k) => body?.[k] !== undefined) && !hasPermission(admin.user, Permissions.MANAGE_COUPON_TARGETING)) {
+    return json({ ok: false, error: "FORBIDDEN_TARGETING" }, 403);
   }
+
+  const id = body?.id ? String(body.id) : null;
+  const existing = id ? await prisma.promotion.findUnique({ where: { id }, select: { id: true, type: true } }) : null;
+  if (id && !existing) return json({ ok: false, error: "NOT_FOUND" }, 404);
+
+  const [data, error] = parsePromotion(existing ? { type: existing.type, ...body } : body, { partial: !!existing });
+  if (error) return json({ ok: false, error }, 400);
+  if (await codeTaken(data.code, id)) return json({ ok: false, error: "CODE_TAKEN" }, 409);
+
+  const item = existing
+    ? await prisma.promotion.update({ where: { id }, data })
+    : await prisma.promotion.create({ data });
+  return json({ ok: true, item }, existing ? 200 : 201);
 }
 
+/** DELETE ?id= → removes a coupon that was never redeemed; redeemed ones should be set INACTIVE. */
 export async function DELETE(req) {
-  if (!(await canManage())) return NextResponse.json({ error: "forbidden" }, { status: 403 });
-  const u = new URL(req.url);
-  const id = u.searchParams.get("id");
-  if (!id) return NextResponse.json({ error: "id required" }, { status: 400 });
+  const [, denied] = await guard(req);
+  if (denied) return denied;
+
+  const id = new URL(req.url).searchParams.get("id");
+  if (!id) return json({ ok: false, error: "ID_REQUIRED" }, 400);
+
+  const used = await prisma.orderDiscount.count({ where: { promotionId: id } });
+  if (used) return json({ ok: false, error: "COUPON_REDEEMED", redemptions: used }, 409);
+
   try {
-    await prisma.coupon.delete({ where: { id } });
-    return NextResponse.json({ ok: true });
-  } catch (e) {
-    return NextResponse.json({ error: "coupon delete failed", detail: String(e) }, { status: 503 });
+    await prisma.promotion.delete({ where: { id } });
+  } catch {
+    return json({ ok: false, error: "NOT_FOUND" }, 404);
   }
+  return json({ ok: true });
 }
@@ -0,0 +1,36 @@
+// FILE: app/api/reports/inventory-aging/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { computeInventoryAging } from "@/lib/analytics/inventory";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+async function guard(req, permission) {
+  try {
+    await requireAdmin(req, { permission });
+    return null;
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+}
+
+/** GET ?shrinkageDays=90 → aging buckets, oldest stock lines and stock-take shrinkage. */
+export async function GET(req) {
+  const denied = await guard(req, Permissions.VIEW_FINANCIALS);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(req.url);
+  const shrinkageDays = Math.min(Math.max(Number(searchParams.get("shrinkageDays")) || 90, 1), 730);
+  return json(await computeInventoryAging({ shrinkageDays }));
+}
@@ -11,7 +11,7 @@ export async function GET(req) {
 
   try {
     const total = await prisma.returnRequest.count({ where: { createdAt: { gte: since } } });
-    const keys = ["pending", "approved", "denied", "exchanged", "refunded"];
+    const keys = ["REQUESTED", "APPROVED", "RECEIVED", "INSPECTED", "DENIED", "REFUNDED"];
     const counts = await Promise.all(
       keys.map((s) =>
         prisma.returnRequest.count({ where: { createdAt: { gte: since }, status: s } })
@@ -1,17 +1,39 @@
+// PATH: app/api/returns/[id]/approve/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
 import { NextResponse } from "next/server";
-import { getPrisma } from "@/lib/_dynamic_prisma";
-import { M } from "@/lib/_mapping";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { approveReturn, rmaView } from "@/lib/rma";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/** Approve a requested return (REQUESTED → APPROVED). */
+export async function POST(req, { params }) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, { permission: Permissions.MANAGE_RMA });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
 
-export async function POST(_req, { params }) {
   try {
-    const prisma = await getPrisma();
-    const RTN = M("Return");
-    const updated = await prisma[RTN.model].update({
-      where: { id: Number(params.id) },
-      data: { [RTN.status]: "approved" }
-    });
-    return NextResponse.json({ ok: true, return: updated });
-  } catch (e) {
-    return NextResponse.json({ ok: false, error: e.message }, { status: 500 });
+    const item = await approveReturn({ id: String(params.id), actorId: admin.user?.id || admin.userId || null });
+    return json({ ok: true, item: rmaView(item) });
+  } catch (err) {
+    if (err?.status && err.status < 500) {
+      const { message, status, ...extra } = err;
+      return json({ ok: false, error: message, ...extra }, status);
+    }
+    console.error("[returns:approve]", err);
+    return json({ ok: false, error: "SERVER_ERROR" }, 500);
   }
 }
@@ -1,24 +1,59 @@
+// PATH: app/api/returns/[id]/exchange/route.js
+// `id` is the ExchangeRequest — /api/returns handles both returns and exchanges.
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
 import { NextResponse } from "next/server";
-import { getPrisma } from "@/lib/_dynamic_prisma";
-import { M } from "@/lib/_mapping";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { EXCHANGE_SETTLEMENTS, approveExchange, exchangeView, loadExchange } from "@/lib/exchanges";
 
-export async function POST(req, { params }) {
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/** Exchange with its price-difference quote (while REQUESTED) and linked replacement order. */
+export async function GET(req, { params }) {
   try {
-    const { replacementVariantId, qty = 1 } = await req.json();
-    if (!replacementVariantId) return NextResponse.json({ ok: false, error: "replacementVariantId required" }, { status: 400 });
+    await requireAdmin(req, { permissions: [Permissions.MANAGE_EXCHANGES, Permissions.MANAGE_ORDERS] });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const item = await loadExchange(String(params.id));
+  if (!item) return json({ ok: false, error: "NOT_FOUND" }, 404);
+  return json({ ok: true, item: await exchangeView(item), settlements: EXCHANGE_SETTLEMENTS });
+}
 
-    const prisma = await getPrisma();
-    const RTN = M("Return");
-    const ORD = M("Order");
-    const row = await prisma[RTN.model].findUnique({ where: { id: Number(params.id) } });
-    if (!row) return NextResponse.json({ ok: false, error: "Return not found" }, { status: 404 });
+/** Approve and place the replacement order: { settlement: "WALLET" | "GATEWAY" }. */
+export async function POST(req, { params }) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, { permissions: [Permissions.MANAGE_EXCHANGES, Permissions.MANAGE_ORDERS] });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
 
-    const replacement = await prisma[ORD.model].create({
-      data: { [ORD.status]: "created", [ORD.customerId]: row[ORD.customerId] || null, note: `Exchange for return ${params.id}` }
+  const body = await req.json().catch(() => ({}));
+  try {
+    const item = await approveExchange({
+      id: String(params.id),
+      settlement: body?.settlement || "GATEWAY",
+      actorId: admin.user?.id || admin.userId || null,
     });
-
-    return NextResponse.json({ ok: true, replacementOrder: replacement });
-  } catch (e) {
-    return NextResponse.json({ ok: false, error: e.message }, { status: 500 });
+    return json({ ok: true, item, replacementOrder: item.replacementOrder });
+  } catch (err) {
+    if (err?.status && err.status < 500) {
+      const { message, status, ...extra } = err;
+      return json({ ok: false, error: message, ...extra }, status);
+    }
+    console.error("[returns:exchange]", err);
+    return json({ ok: false, error: "SERVER_ERROR" }, 500);
   }
 }
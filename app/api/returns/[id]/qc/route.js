@@ -0,0 +1,44 @@
+// PATH: app/api/returns/[id]/qc/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { inspectReturn, rmaView } from "@/lib/rma";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/** Grade received units: { lines: [{ lineId, resellable, damaged, defective, notes? }] } (RECEIVED → INSPECTED). */
+export async function POST(req, { params }) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, { permission: Permissions.MANAGE_RETURN_QC });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const body = await req.json().catch(() => ({}));
+  try {
+    const item = await inspectReturn({
+      id: String(params.id),
+      lines: Array.isArray(body?.lines) ? body.lines : [],
+      actorId: admin.user?.id || admin.userId || null,
+    });
+    return json({ ok: true, item: rmaView(item) });
+  } catch (err) {
+    if (err?.status && err.status < 500) {
+      const { message, status, ...extra } = err;
+      return json({ ok: false, error: message, ...extra }, status);
+    }
+    console.error("[returns:qc]", err);
+    return json({ ok: false, error: "SERVER_ERROR" }, 500);
+  }
+}
@@ -1,20 +1,46 @@
+// PATH: app/api/returns/[id]/receive/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
 import { NextResponse } from "next/server";
-import { getPrisma } from "@/lib/_dynamic_prisma";
-import { M } from "@/lib/_mapping";
-import { runAutomation } from "@/lib/automation";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { receiveReturn, rmaView } from "@/lib/rma";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
 
-export async function POST(_req, { params }) {
+/** Book the parcel in: { warehouseId, lines?: [{ lineId, receivedQty }], all? } (APPROVED → RECEIVED). */
+export async function POST(req, { params }) {
+  let admin;
   try {
-    const prisma = await getPrisma();
-    const RTN = M("Return");
-    const updated = await prisma[RTN.model].update({
-      where: { id: Number(params.id) },
-      data: { [RTN.status]: "received" }
-    });
+    admin = await requireAdmin(req, { permissions: [Permissions.MANAGE_RMA, Permissions.MANAGE_RETURN_QC] });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
 
-    await runAutomation("return.received", { returnId: Number(params.id) });
-    return NextResponse.json({ ok: true, return: updated });
-  } catch (e) {
-    return NextResponse.json({ ok: false, error: e.message }, { status: 500 });
+  const body = await req.json().catch(() => ({}));
+  try {
+    const item = await receiveReturn({
+      id: String(params.id),
+      warehouseId: body?.warehouseId || null,
+      lines: Array.isArray(body?.lines) ? body.lines : [],
+      all: body?.all === true,
+      actorId: admin.user?.id || admin.userId || null,
+    });
+    return json({ ok: true, item: rmaView(item) });
+  } catch (err) {
+    if (err?.status && err.status < 500) {
+      const { message, status, ...extra } = err;
+      return json({ ok: false, error: message, ...extra }, status);
+    }
+    console.error("[returns:receive]", err);
+    return json({ ok: false, error: "SERVER_ERROR" }, 500);
   }
 }
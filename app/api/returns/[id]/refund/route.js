@@ -0,0 +1,45 @@
+// PATH: app/api/returns/[id]/refund/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { refundReturn, rmaView } from "@/lib/rma";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/** Refund what QC settled on: { method?: "ORIGINAL" | "STORE_CREDIT", tenders? } (INSPECTED → REFUNDED). */
+export async function POST(req, { params }) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, { permission: Permissions.MANAGE_RMA });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const body = await req.json().catch(() => ({}));
+  try {
+    const { item, refunds } = await refundReturn({
+      id: String(params.id),
+      method: String(body?.method || "ORIGINAL").toUpperCase(),
+      tenders: body?.tenders,
+      actorId: admin.user?.id || admin.userId || null,
+    });
+    return json({ ok: true, item: rmaView(item), refunds });
+  } catch (err) {
+    if (err?.status && err.status < 500) {
+      const { message, status, ...extra } = err;
+      return json({ ok: false, error: message, ...extra }, status);
+    }
+    console.error("[returns:refund]", err);
+    return json({ ok: false, error: "SERVER_ERROR" }, 500);
+  }
+}
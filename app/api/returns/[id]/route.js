@@ -0,0 +1,39 @@
+// PATH: app/api/returns/[id]/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { couriers } from "@/lib/logistics/providers";
+import { loadReturn, restockPolicy, rmaView } from "@/lib/rma";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+/**
+ * RMA detail: lines with receipt / QC counts, pickup booking, refunds, the
+ * current restock policy and the couriers that can book a return pickup.
+ */
+export async function GET(req, { params }) {
+  try {
+    await requireAdmin(req, {
+      permissions: [Permissions.MANAGE_RETURNS, Permissions.MANAGE_RMA, Permissions.MANAGE_RETURN_QC],
+    });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
+
+  const [item, policy] = await Promise.all([loadReturn(String(params.id)), restockPolicy()]);
+  if (!item) return json({ ok: false, error: "NOT_FOUND" }, 404);
+  const returnCouriers = Object.values(couriers)
+    .filter((a) => typeof a.createReturn === "function")
+    .map((a) => ({ code: a.code, name: a.name }));
+  return json({ ok: true, item: rmaView(item), policy, couriers: returnCouriers });
+}
@@ -1,33 +1,39 @@
+// PATH: app/api/returns/[id]/scan/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
 import { NextResponse } from "next/server";
-import { getPrisma } from "@/lib/_dynamic_prisma";
-import { M } from "@/lib/_mapping";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { scanReturnItem } from "@/lib/rma";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
 
+/** Count a scanned unit in: { code (sku / barcode), quantity? }. */
 export async function POST(req, { params }) {
   try {
-    const { variantId, sku, qty = 1 } = await req.json();
-    if (!variantId && !sku) return NextResponse.json({ ok: false, error: "variantId or sku required" }, { status: 400 });
-
-    const prisma = await getPrisma();
-    const RTN = M("Return");
-    const RTNI = M("ReturnItem");
-    const INV = M("Inventory");
+    await requireAdmin(req, { permissions: [Permissions.MANAGE_RMA, Permissions.MANAGE_RETURN_QC] });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return json({ ok: false, error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, status);
+  }
 
-    let vId = variantId;
-    if (!vId && sku) {
-      const found = await prisma[INV.model].findFirst({ where: { [INV.sku]: sku } });
-      if (!found) return NextResponse.json({ ok: false, error: "SKU not recognized" }, { status: 404 });
-      vId = found[INV.variantId];
+  const body = await req.json().catch(() => ({}));
+  try {
+    const item = await scanReturnItem({ id: String(params.id), code: body?.code, quantity: body?.quantity ?? 1 });
+    return json({ ok: true, item });
+  } catch (err) {
+    if (err?.status && err.status < 500) {
+      const { message, status, ...extra } = err;
+      return json({ ok: false, error: message, ...extra }, status);
     }
-
-    const exists = await prisma[RTN.model].findUnique({ where: { id: Number(params.id) } });
-    if (!exists) return NextResponse.json({ ok: false, error: "Return not found" }, { status: 404 });
-
-    const created = await prisma[RTNI.model].create({
-      data: { [RTNI.returnId]: Number(params.id), [RTNI.variantId]: vId, [RTNI.qty]: Number(qty) }
-    });
-
-    return NextResponse.json({ ok: true, item: created });
-  } catch (e) {
-    return NextResponse.json({ ok: false, error: e.message }, { status: 500 });
+    console.error("[returns:scan]", err);
+    return json({ ok: false, error: "SERVER_ERROR" }, 500);
   }
 }
@@ -1,31 +1,40 @@
 // FILE: app/api/returns/actions/route.js
 import { NextResponse } from "next/server";
-import prisma from "@/lib/prisma";
+import { requireAdmin } from "@/lib/auth";
+import { Permissions } from "@/lib/rbac";
+import { approveReturn, denyReturn, refundReturn } from "@/lib/rma";
+
+// Status moves go through the RMA steps; receipt and QC have their own routes under /api/returns/[id].
+const ACTIONS = {
+  approve: ({ id, actorId }) => approveReturn({ id, actorId }),
+  deny: ({ id, note, actorId }) => denyReturn({ id, reason: note || null, actorId }),
+  mark_refunded: ({ id, actorId }) => refundReturn({ id, actorId }).then((r) => r.item),
+};
 
 export async function POST(req) {
+  let admin;
+  try {
+    admin = await requireAdmin(req, { permission: Permissions.MANAGE_RMA });
+  } catch (err) {
+    const status = err?.status === 403 ? 403 : 401;
+    return NextResponse.json({ error: status === 403 ? "FORBIDDEN" : "UNAUTHORIZED" }, { status });
+  }
+
   let body;
   try { body = await req.json(); } catch { return NextResponse.json({ error: "invalid json" }, { status: 400 }); }
   const { action, id, note } = body || {};
   if (!action || !id) return NextResponse.json({ error: "action and id required" }, { status: 400 });
 
-  const allowed = new Set(["approve","deny","mark_refunded","mark_exchanged"]);
-  if (!allowed.has(action)) return NextResponse.json({ error: "invalid action" }, { status: 400 });
+  const run = ACTIONS[action];
+  if (!run) return NextResponse.json({ error: "invalid action" }, { status: 400 });
 
   try {
-    const dataByAction = {
-      approve: { status: "approved" },
-      deny: { status: "denied" },
-      mark_refunded: { status: "refunded" },
-      mark_exchanged: { status: "exchanged" },
-    }[action];
-
-    const updated = await prisma.returnRequest.update({
-      where: { id },
-      data: { ...dataByAction, ...(note ? { adminNote: note } : {}) },
-    });
-
-    return NextResponse.json({ ok: true, item: updated });
+    const item = await run({ id: String(id), note, actorId: admin.user?.id || admin.userId || null });
+    return NextResponse.json({ ok: true, item });
   } catch (e) {
+    if (e?.status && e.status < 500) {
+      return NextResponse.json({ error: e.message, current: e.current }, { status: e.status });
+    }
     return NextResponse.json({ error: "returns action unavailable", detail: String(e) }, { status: 503 });
   }
 }
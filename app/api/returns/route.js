@@ -3,6 +3,7 @@ import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma-client";
 
 import { requireAuth } from "@/lib/auth";
+import { emitWebhookEvent, returnWebhookData } from "@/lib/webhooks";
 
 /**
  * Single endpoint for both "return" and "exchange" (UI combined).
@@ -32,7 +33,7 @@ export async function POST(req) {
     if (action === "return") {
       const result = await prisma.$transaction(async (tx) => {
         const rr = await tx.returnRequest.create({
-          data: { orderId, userId, status: "requested", reason: reason || null, notes: notes || null },
+          data: { orderId, userId, status: "REQUESTED", reason: reason || null, notes: notes || null },
         });
         // compute refundable totals from order items:
         let totalRefund = 0;
@@ -50,13 +51,14 @@ export async function POST(req) {
         const updated = await tx.returnRequest.update({ where: { id: rr.id }, data: { totalRefund } });
         return updated;
       });
+      await emitWebhookEvent("return.requested", returnWebhookData(result));
       return NextResponse.json({ ok: true, type: "return", return_request: result });
     }
 
     if (action === "exchange") {
       const ex = await prisma.$transaction(async (tx) => {
         const er = await tx.exchangeRequest.create({
-          data: { orderId, userId, status: "requested", reason: reason || null, notes: notes || null },
+          data: { orderId, userId, status: "REQUESTED", reason: reason || null, notes: notes || null },
         });
         for (const l of lines) {
           if (!l.toVariantId) continue;
@@ -66,13 +68,7 @@ export async function POST(req) {
           await tx.exchangeLine.create({
             data: { exchangeId: er.id, fromOrderItemId: item.id, toVariantId: l.toVariantId, quantity: qty, notes: l.notes || null },
           });
-          // soft-reserve target inventory if available
-          const inv = await tx.inventoryItem.findFirst({ where: { variantId: l.toVariantId }, orderBy: { onHand: "desc" } });
-          if (inv) {
-            await tx.stockReservation.create({
-              data: { inventoryItemId: inv.id, orderItemId: item.id, quantity: qty, warehouseId: inv.warehouseId },
-            });
-          }
+          // stock for the replacement is allocated when the exchange is approved (lib/exchanges.js)
         }
         return er;
       });
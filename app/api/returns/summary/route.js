@@ -38,11 +38,12 @@ export async function GET(req) {
     });
 
     const byStatusKeys = [
-      "pending",
-      "approved",
-      "denied",
-      "exchanged",
-      "refunded",
+      "REQUESTED",
+      "APPROVED",
+      "RECEIVED",
+      "INSPECTED",
+      "DENIED",
+      "REFUNDED",
     ];
 
     const byStatusCounts = await Promise.all(
@@ -57,11 +58,12 @@ export async function GET(req) {
       byStatusKeys.map((s, i) => [s, byStatusCounts[i] || 0])
     );
 
-    // "Open" cases = anything not final (here: pending + approved + exchanged)
+    // "Open" cases = anything not final (requested, approved, or in receipt / QC)
     const open =
-      (byStatus.pending || 0) +
-      (byStatus.approved || 0) +
-      (byStatus.exchanged || 0);
+      (byStatus.REQUESTED || 0) +
+      (byStatus.APPROVED || 0) +
+      (byStatus.RECEIVED || 0) +
+      (byStatus.INSPECTED || 0);
 
     return NextResponse.json({
       since: since.toISOString(),
@@ -0,0 +1,33 @@
+// PATH: app/api/search/route.js
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+import { NextResponse } from "next/server";
+import { parseSearchParams, searchProducts } from "@/lib/search";
+
+function json(body, status = 200) {
+  return new NextResponse(JSON.stringify(body ?? null), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      // same answer for every visitor; let the CDN absorb type-ahead bursts
+      "cache-control": status === 200 ? "public, s-maxage=60, stale-while-revalidate=300" : "no-store",
+    },
+  });
+}
+
+/**
+ * GET /api/search?q=&category=&size=&color=&price=&inStock=1&sort=&page=&pageSize=&facets=0
+ * List filters take comma-separated values; price takes PRICE_BANDS ids.
+ */
+export async function GET(req) {
+  const filters = parseSearchParams(new URL(req.url).searchParams);
+  try {
+    const result = await searchProducts(filters);
+    return json({ ok: true, ...result }, 200);
+  } catch (err) {
+    console.error("[api/search] failed:", err?.message || err);
+    return json({ ok: false, error: "SEARCH_FAILED" }, 500);
+  }
+}
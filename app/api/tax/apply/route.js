@@ -2,31 +2,21 @@
 /**
  * Purpose
  * -------
- * Single global VAT (%) input → automatically applied to carts/orders.
- * - Admin sets VAT once in Settings (AppSetting.key="settings", value.tax.vat.pct).
- * - This endpoint reads that single number and applies it to a Cart or an Order.
- * - No duplication: you don’t need per-product tax flags or UI changes.
+ * Re-run the tax engine (lib/tax.js) on an existing Cart or Order, e.g. after
+ * tax classes or rates were changed in admin.
  *
- * How to use (no UI change needed)
- * --------------------------------
- * Apply to a Cart:
- *   POST /api/tax/apply  { "entity": "cart", "id": "<cartId>" }
- *
- * Apply to an Order:
+ *   POST /api/tax/apply  { "entity": "cart",  "id": "<cartId>" }
  *   POST /api/tax/apply  { "entity": "order", "id": "<orderId>" }
  *
- * It will:
- *   1) Load global VAT % (defaults to 15 if not set yet).
- *   2) Compute tax from the monetary subtotal using standard formulas:
- *        - INCLUSIVE pricing (default BD): tax = subtotal * (vat / (100 + vat))
- *        - EXCLUSIVE pricing:             tax = subtotal * (vat / 100)
- *   3) Update taxTotal and grandTotal on the Cart/Order.
- *   4) Return the updated record (safe fields only).
+ * Tax is resolved per line from the product's tax class and the shipping
+ * address; order lines get their taxTotal / taxBreakdown rewritten too.
+ * taxTotal and grandTotal are updated and the safe fields returned.
  */
 
 import { NextResponse } from "next/server";
 import prisma from "@/lib/prisma";
 import { auth } from "@/auth";
+import { computeTaxes, getTaxDefaults } from "@/lib/tax";
 
 // ───────────────────────────────── helpers ─────────────────────────────────
 
@@ -36,47 +26,22 @@ const round = (n, d = 2) => {
   return Math.round(Number(n) * f) / f;
 };
 
-async function getGlobalVat() {
-  // Read the unified settings blob you already have at key="settings".
-  // Fallbacks keep things working on first run.
-  const rec = await prisma.appSetting.findUnique({ where: { key: "settings" } });
-  const val = rec?.value || {};
-  const vatPct = money(val?.tax?.vat?.pct ?? 15); // single number is all we need
-  const mode =
-    (val?.tax?.vat?.pricing_mode === "EXCLUSIVE" ? "EXCLUSIVE" : "INCLUSIVE") || "INCLUSIVE";
-  return { vatPct, mode };
-}
-
-function computeTax({ subtotal, discountTotal, shippingTotal, vatPct, mode }) {
-  const sub = money(subtotal);
-  const disc = money(discountTotal);
-  const ship = money(shippingTotal);
-
-  // Monetary base before tax (exclusive of discounts)
-  const effectiveSubtotal = Math.max(0, sub - disc);
-
-  let tax = 0;
-
-  if (mode === "EXCLUSIVE") {
-    // All prices are net; add VAT on top of effective subtotal
-    tax = effectiveSubtotal * (vatPct / 100);
-  } else {
-    // INCLUSIVE (default BD). Subtotal includes VAT already.
-    // Standard extraction formula: tax = inclusive * vat/(100+vat)
-    tax = effectiveSubtotal * (vatPct / (100 + vatPct));
-  }
-
-  tax = round(tax, 2);
-
-  // Grand total composition:
-  // - EXCLUSIVE: grand = effectiveSubtotal + tax + shipping
-  // - INCLUSIVE: grand = effectiveSubtotal + shipping (tax is part of inclusive subtotal)
-  const grand =
-    mode === "EXCLUSIVE"
-      ? round(effectiveSubtotal + tax + ship, 2)
-      : round(effectiveSubtotal + ship, 2);
-
-  return { taxTotal: tax, grandTotal: grand, effectiveSubtotal: round(effectiveSubtotal, 2) };
+async function taxFor(record) {
+  const tax = await computeTaxes({
+    lines: (record.items || []).map((it, i) => ({
+      key: i,
+      variantId: it.variantId,
+      amount: money(it.subtotal) || money(it.unitPrice) * money(it.quantity),
+    })),
+    address: record.shippingAddress,
+    discountTotal: money(record.discountTotal),
+    shippingTotal: money(record.shippingTotal),
+    currency: record.currency,
+  });
+  const grandTotal = round(
+    money(record.subtotal) - money(record.discountTotal) + tax.addedTax + money(record.shippingTotal)
+  );
+  return { tax, taxTotal: tax.taxTotal, grandTotal };
 }
 
 function safeCartResponse(c) {
@@ -130,8 +95,6 @@ export async function POST(req) {
     return NextResponse.json({ error: "forbidden" }, { status: 403 });
   }
 
-  const { vatPct, mode } = await getGlobalVat();
-
   if (entity === "cart") {
     const cart = await prisma.cart.findUnique({
       where: { id },
@@ -145,6 +108,8 @@ export async function POST(req) {
         taxTotal: true,
         grandTotal: true,
         updatedAt: true,
+        items: { select: { variantId: true, quantity: true, unitPrice: true, subtotal: true } },
+        shippingAddress: true,
       },
     });
 
@@ -155,13 +120,7 @@ export async function POST(req) {
       return NextResponse.json({ error: "forbidden" }, { status: 403 });
     }
 
-    const { taxTotal, grandTotal } = computeTax({
-      subtotal: cart.subtotal,
-      discountTotal: cart.discountTotal,
-      shippingTotal: cart.shippingTotal,
-      vatPct,
-      mode,
-    });
+    const { tax, taxTotal, grandTotal } = await taxFor(cart);
 
     const updated = await prisma.cart.update({
       where: { id: cart.id },
@@ -181,8 +140,7 @@ export async function POST(req) {
     return NextResponse.json({
       ok: true,
       entity: "cart",
-      vat_pct: vatPct,
-      pricing_mode: mode,
+      tax_summary: tax.summary,
       value: safeCartResponse(updated),
     });
   }
@@ -199,39 +157,50 @@ export async function POST(req) {
         taxTotal: true,
         grandTotal: true,
         updatedAt: true,
+        items: { select: { id: true, variantId: true, quantity: true, unitPrice: true, subtotal: true } },
+        shippingAddress: true,
       },
     });
 
     if (!order) return NextResponse.json({ error: "order_not_found" }, { status: 404 });
 
-    const { taxTotal, grandTotal } = computeTax({
-      subtotal: order.subtotal,
-      discountTotal: order.discountTotal,
-      shippingTotal: order.shippingTotal,
-      vatPct,
-      mode,
-    });
-
-    const updated = await prisma.order.update({
-      where: { id: order.id },
-      data: { taxTotal, grandTotal },
-      select: {
-        id: true,
-        currency: true,
-        subtotal: true,
-        discountTotal: true,
-        shippingTotal: true,
-        taxTotal: true,
-        grandTotal: true,
-        updatedAt: true,
-      },
-    });
+    const { tax, taxTotal, grandTotal } = await taxFor(order);
+
+    const [updated] = await prisma.$transaction([
+      prisma.order.update({
+        where: { id: order.id },
+        data: { taxTotal, grandTotal },
+        select: {
+          id: true,
+          currency: true,
+          subtotal: true,
+          discountTotal: true,
+          shippingTotal: true,
+          taxTotal: true,
+          grandTotal: true,
+          updatedAt: true,
+        },
+      }),
+      ...order.items.map((it, i) => {
+        const line = tax.lines[i];
+        return prisma.orderItem.update({
+          where: { id: it.id },
+          data: {
+            taxTotal: line.tax,
+            total: line.inclusive ? money(it.subtotal) : round(money(it.subtotal) + line.tax),
+            taxClassId: line.taxClassId,
+            taxRatePct: line.ratePct,
+            taxInclusive: line.inclusive,
+            taxBreakdown: line.breakdown,
+          },
+        });
+      }),
+    ]);
 
     return NextResponse.json({
       ok: true,
       entity: "order",
-      vat_pct: vatPct,
-      pricing_mode: mode,
+      tax_summary: tax.summary,
       value: safeOrderResponse(updated),
     });
   }
@@ -240,9 +209,13 @@ export async function POST(req) {
 }
 
 // ─────────────────────────────────── GET ───────────────────────────────────
-// Convenience read: expose current single VAT % and pricing mode for the UI
-// (e.g., checkout summary or receipt can read and display).
+// Convenience read: the store-wide fallback VAT % and pricing mode (products
+// with a tax class use their class rates instead).
 export async function GET() {
-  const { vatPct, mode } = await getGlobalVat();
-  return NextResponse.json({ ok: true, vat_pct: vatPct, pricing_mode: mode });
+  const d = await getTaxDefaults();
+  return NextResponse.json({
+    ok: true,
+    vat_pct: d.ratePct,
+    pricing_mode: d.inclusive ? "INCLUSIVE" : "EXCLUSIVE",
+  });
 }
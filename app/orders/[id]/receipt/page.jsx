@@ -957,6 +957,10 @@ export default async function ReceiptPage({ params }) {
                   </Link>
                 )}
 
+                <Link href={`/track?order=${encodeURIComponent(String(order.orderNumber || ""))}`} className="btn alt">
+                  Track Order
+                </Link>
+
                 <Link href="/product" className="btn">
                   Continue Shopping
                 </Link>
@@ -3,6 +3,7 @@ import prisma from "@/lib/prisma";
 import { fetchproductbyslug } from "@/lib/fetchproductbyslug";
 import { trackProductView } from "@/lib/trackview";
 import ClientUX from "@/components/product/clientux";
+import { resolveProductPrices } from "@/lib/price-books";
 
 /**
  * IMPORTANT (Mobile correctness):
@@ -317,6 +318,37 @@ async function loadStockFromPrisma({ product, slug }) {
   }
 }
 
+/**
+ * Live price-book / markdown prices from Prisma, keyed like stockByVariantKey.
+ * Returns null when no live list prices this product (ClientUX keeps the
+ * Strapi price), else { from, variants } limited to list-priced variants.
+ */
+async function loadLivePrice({ product, currency }) {
+  const strapiId = toInt(
+    product.id ??
+      product.strapiId ??
+      product.attributes?.strapiId ??
+      product.attributes?.id
+  );
+  if (strapiId == null) return null;
+
+  try {
+    const entry = (await resolveProductPrices([strapiId], { currency })).get(strapiId);
+    const variants = Object.fromEntries(
+      Object.entries(entry?.variants || {}).filter(([, p]) => p.priceList)
+    );
+    const booked = Object.values(variants);
+    if (!booked.length) return null;
+
+    const from = booked.reduce((a, b) => (b.amount < a.amount ? b : a));
+    // plain JSON for the client component
+    return JSON.parse(JSON.stringify({ from, variants }));
+  } catch (err) {
+    console.error("[loadLivePrice] failed:", err);
+    return null;
+  }
+}
+
 /**
  * Strapi-side stock fallback if DB has no info.
  */
@@ -473,6 +505,9 @@ export default async function ProductPage(ctx) {
 
   const priceCurrency = product.currency || product.attributes?.currency || "BDT";
 
+  // 🔹 PRICE: a live price book / markdown (Prisma) overrides the Strapi price
+  const livePrice = await loadLivePrice({ product, currency: String(priceCurrency).toUpperCase() });
+
   // 🔹 STOCK: DB (Prisma) is canonical, Strapi is only fallback
   const prismaStock = await loadStockFromPrisma({ product, slug });
   const stockQty =
@@ -504,7 +539,7 @@ export default async function ProductPage(ctx) {
     },
     offers: {
       "@type": "Offer",
-      price: price,
+      price: livePrice ? livePrice.from.amount : price,
       priceCurrency: priceCurrency,
       availability: isInStock
         ? "https://schema.org/InStock"
@@ -566,6 +601,8 @@ export default async function ProductPage(ctx) {
         options={scopedOptions}
         // Per-variant available stock keyed by strapiSizeId (if present) or variant.id
         stockByVariantKey={prismaStock.stockByVariantKey}
+        // Live price-book prices, same keys as stockByVariantKey (null = Strapi price)
+        livePrice={livePrice}
         // OPTIONAL: if ClientUX supports this, you can pass it too:
         isOutOfStock={!isInStock}
       />
@@ -1,50 +1,221 @@
 "use client";
 
-import { useSearchParams } from "next/navigation";
-import { useEffect, useState, useMemo } from "react";
+import Link from "next/link";
+import { useRouter, useSearchParams } from "next/navigation";
+import { useEffect, useRef, useState } from "react";
 
-const STRAPI_BASE =
-  process.env.NEXT_PUBLIC_STRAPI_API_URL?.replace(/\/+$/, "") || "http://localhost:1337";
+const SORT_LABELS = {
+  relevance: "Best match",
+  bestselling: "Best selling",
+  newest: "Newest",
+  price_asc: "Price: low to high",
+  price_desc: "Price: high to low",
+};
 
-export default function SearchClient() {
+const money = (v, currency = "BDT") =>
+  v == null ? "" : `${currency === "BDT" ? "৳" : `${currency} `}${Number(v).toLocaleString()}`;
+
+function FacetGroup({ title, name, options, selected, onToggle }) {
+  if (!options?.length) return null;
+  return (
+    <div className="border-t py-4">
+      <div className="mb-2 text-xs font-bold uppercase tracking-wider text-[#0c2340]">{title}</div>
+      <ul className="space-y-1.5">
+        {options.map((o) => (
+          <li key={o.value}>
+            <label className="flex cursor-pointer items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={selected.includes(name === "color" ? String(o.value).toLowerCase() : o.value)}
+                onChange={() => onToggle(name, o.value)}
+              />
+              <span className="flex-1">{o.label}</span>
+              <span className="text-xs text-gray-400">{o.count}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function SearchClient({ initial = null }) {
+  const router = useRouter();
   const searchParams = useSearchParams();
+  const qs = searchParams.toString();
   const q = searchParams.get("q") || "";
-  const [results, setResults] = useState([]);
-  const [loading, setLoading] = useState(false);
 
-  const queryUrl = useMemo(() => {
-    if (!q) return null;
-    return `${STRAPI_BASE}/api/products?filters[name][$containsi]=${encodeURIComponent(q)}&populate=*`;
-  }, [q]);
+  const [data, setData] = useState(initial);
+  const [loading, setLoading] = useState(!initial);
+  const [error, setError] = useState("");
+  const renderedQs = useRef(initial ? qs : null);
 
   useEffect(() => {
-    if (!queryUrl) {
-      setResults([]);
-      return;
-    }
-    setLoading(true);
+    if (renderedQs.current === qs) return;
+    renderedQs.current = qs;
 
-    fetch(queryUrl)
+    const ctrl = new AbortController();
+    setLoading(true);
+    setError("");
+    fetch(`/api/search?${qs}`, { signal: ctrl.signal })
       .then((res) => res.json())
-      .then((data) => {
-        setResults(Array.isArray(data?.data) ? data.data : []);
-        setLoading(false);
+      .then((json) => {
+        if (!json?.ok) throw new Error(json?.error || "Search failed");
+        setData(json);
       })
-      .catch(() => setLoading(false));
-  }, [queryUrl]);
+      .catch((err) => {
+        if (err?.name !== "AbortError") setError("Search is unavailable right now. Please try again.");
+      })
+      .finally(() => {
+        if (!ctrl.signal.aborted) setLoading(false);
+      });
+    return () => ctrl.abort();
+  }, [qs]);
+
+  const list = (key) =>
+    (searchParams.get(key) || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+  const update = (mutate) => {
+    const next = new URLSearchParams(searchParams.toString());
+    mutate(next);
+    next.delete("page");
+    router.replace(`/search?${next.toString()}`, { scroll: false });
+  };
+
+  const toggle = (name, value) =>
+    update((next) => {
+      const v = name === "color" ? String(value).toLowerCase() : String(value);
+      const cur = list(name);
+      const vals = cur.includes(v) ? cur.filter((x) => x !== v) : [...cur, v];
+      if (vals.length) next.set(name, vals.join(","));
+      else next.delete(name);
+    });
+
+  const goPage = (page) => {
+    const next = new URLSearchParams(searchParams.toString());
+    next.set("page", String(page));
+    router.push(`/search?${next.toString()}`);
+  };
+
+  const facets = data?.facets;
+  const items = data?.items || [];
+  const total = data?.total || 0;
+  const pages = data ? Math.ceil(total / data.pageSize) : 0;
+  const hasFilters = ["category", "size", "color", "price", "inStock"].some((k) => searchParams.get(k));
 
   return (
-    <div style={{ padding: 32 }}>
-      <h2>Search Results{q && ` for “${q}”`}</h2>
-      {loading && <div>Loading...</div>}
-      {!loading && results.length === 0 && q && <div>No results found.</div>}
-      {!loading && results.length > 0 && (
-        <ul>
-          {results.map((item) => (
-            <li key={item.id}>{item.attributes?.name || "No name"}</li>
+    <div>
+      <h1 className="text-2xl md:text-3xl font-bold tracking-wide text-[#0c2340]">
+        Search results{q ? ` for “${q}”` : ""}
+      </h1>
+      <div className="mt-2 flex flex-wrap items-center justify-between gap-3 text-sm text-gray-600">
+        <span>{loading ? "Searching…" : `${total} product${total === 1 ? "" : "s"}`}</span>
+        <select
+          className="rounded border bg-white px-2 py-1"
+          value={searchParams.get("sort") || "relevance"}
+          onChange={(e) => update((next) => next.set("sort", e.target.value))}
+        >
+          {Object.entries(SORT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
           ))}
-        </ul>
-      )}
+        </select>
+      </div>
+
+      {error && <p className="mt-6 text-red-700">{error}</p>}
+
+      <div className="mt-6 grid gap-8 md:grid-cols-[220px_1fr]">
+        <aside>
+          {facets && (
+            <>
+              <label className="flex items-center gap-2 py-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={searchParams.get("inStock") === "1"}
+                  onChange={(e) =>
+                    update((next) => (e.target.checked ? next.set("inStock", "1") : next.delete("inStock")))
+                  }
+                />
+                In stock only
+                <span className="ml-auto text-xs text-gray-400">{facets.inStock?.count ?? 0}</span>
+              </label>
+              <FacetGroup title="Category" name="category" options={facets.category} selected={list("category")} onToggle={toggle} />
+              <FacetGroup title="Size" name="size" options={facets.size} selected={list("size")} onToggle={toggle} />
+              <FacetGroup title="Colour" name="color" options={facets.color} selected={list("color")} onToggle={toggle} />
+              <FacetGroup title="Price" name="price" options={facets.price} selected={list("price")} onToggle={toggle} />
+              {hasFilters && (
+                <button
+                  className="mt-2 text-sm text-[#0c2340] underline"
+                  onClick={() =>
+                    update((next) => ["category", "size", "color", "price", "inStock"].forEach((k) => next.delete(k)))
+                  }
+                >
+                  Clear filters
+                </button>
+              )}
+            </>
+          )}
+        </aside>
+
+        <section>
+          {!loading && !error && items.length === 0 && (
+            <p className="text-gray-600">
+              {q ? "No products matched. Try another term or remove a filter." : "Type something in the search bar."}
+            </p>
+          )}
+
+          {items.length > 0 && (
+            <ul className={`grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-6 ${loading ? "opacity-60" : ""}`}>
+              {items.map((item) => (
+                <li key={item.id} className="group border rounded-xl bg-white p-4 hover:shadow-lg transition">
+                  <Link href={item.href} className="block">
+                    <div className="aspect-[4/3] w-full bg-gray-100 rounded-lg overflow-hidden mb-3">
+                      {item.image?.url && (
+                        // eslint-disable-next-line @next/next/no-img-element
+                        <img src={item.image.url} alt={item.image.alt} className="h-full w-full object-cover" loading="lazy" />
+                      )}
+                    </div>
+                    <div className="text-[#0c2340] font-semibold line-clamp-2">{item.title || "Untitled"}</div>
+                    <div className="mt-1 flex items-baseline gap-2 text-sm">
+                      <span className="font-semibold text-[#0c2340]">{money(item.price, item.currency)}</span>
+                      {item.priceMrp != null && item.price != null && item.priceMrp > item.price && (
+                        <span className="text-gray-400 line-through">{money(item.priceMrp, item.currency)}</span>
+                      )}
+                    </div>
+                    {!item.inStock && <div className="mt-1 text-xs text-gray-500">Out of stock</div>}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {pages > 1 && (
+            <div className="mt-8 flex items-center justify-center gap-3 text-sm">
+              <button
+                className="rounded border px-3 py-1 disabled:opacity-40"
+                disabled={data.page <= 1}
+                onClick={() => goPage(data.page - 1)}
+              >
+                Previous
+              </button>
+              <span>
+                Page {data.page} of {pages}
+              </span>
+              <button
+                className="rounded border px-3 py-1 disabled:opacity-40"
+                disabled={data.page >= pages}
+                onClick={() => goPage(data.page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
     </div>
   );
 }
@@ -0,0 +1,20 @@
+// app/track/page.jsx
+// Public order tracking: order number + phone, no login. ?order=1042 prefills
+// the number (links shared from WhatsApp / SMS support replies).
+import { Suspense } from "react";
+import TrackClient from "./track-client";
+
+export const dynamic = "force-dynamic";
+
+export const metadata = { title: "Track your order" };
+
+export default async function TrackPage({ searchParams }) {
+  const sp = (await searchParams) || {};
+  const orderNumber = sp.order ? String(sp.order) : "";
+
+  return (
+    <Suspense fallback={null}>
+      <TrackClient initialOrderNumber={orderNumber} />
+    </Suspense>
+  );
+}
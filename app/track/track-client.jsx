@@ -0,0 +1,292 @@
+// app/track/track-client.jsx
+"use client";
+
+import React, { useState } from "react";
+import Navbar from "@/components/common/navbar";
+import Bottomfloatingbar from "@/components/common/bottomfloatingbar";
+
+const NAVY = "#0f2147";
+const BORDER = "#E6EAF4";
+const SUBTEXT = "#6F7890";
+
+const ERRORS = {
+  ORDER_NOT_FOUND: "We couldn't find an order with that number and phone. Please check both and try again.",
+  ORDER_NUMBER_AND_PHONE_REQUIRED: "Please enter your order number and the phone number used at checkout.",
+  TOO_MANY_ATTEMPTS: "Too many attempts. Please wait a few minutes and try again.",
+};
+
+const WINDOWS = [
+  { value: "", label: "Any time" },
+  { value: "morning", label: "Morning (10am–1pm)" },
+  { value: "afternoon", label: "Afternoon (1pm–5pm)" },
+  { value: "evening", label: "Evening (5pm–9pm)" },
+];
+
+async function post(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    cache: "no-store",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) throw new Error(json?.error || "REQUEST_FAILED");
+  return json;
+}
+
+const fmtDate = (d) =>
+  d ? new Date(d).toLocaleDateString("en-GB", { day: "numeric", month: "short", timeZone: "Asia/Dhaka" }) : "";
+const fmtDateTime = (d) =>
+  d
+    ? new Date(d).toLocaleString("en-GB", {
+        day: "numeric",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone: "Asia/Dhaka",
+      })
+    : "";
+
+function EstimatedDelivery({ eta }) {
+  if (!eta) return null;
+  return (
+    <div className="text-sm" style={{ color: "#111827" }}>
+      {eta.delivered ? (
+        <>Delivered{eta.deliveredAt ? ` on ${fmtDate(eta.deliveredAt)}` : ""}</>
+      ) : (
+        <>
+          Estimated delivery: <span className="font-semibold">{fmtDate(eta.from)} – {fmtDate(eta.to)}</span>
+        </>
+      )}
+    </div>
+  );
+}
+
+function CallbackForm({ orderNumber, phone }) {
+  const [open, setOpen] = useState(false);
+  const [preferredWindow, setPreferredWindow] = useState("");
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState("");
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await post("/api/orders/track/callback", { orderNumber, phone, preferredWindow, note });
+      setDone(true);
+    } catch (err) {
+      setError(ERRORS[err.message] || "Could not send your request. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (done) {
+    return (
+      <div className="text-sm" style={{ color: NAVY }}>
+        Thanks — our team will call you on the number you entered.
+      </div>
+    );
+  }
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="rounded-full border px-4 py-2 text-sm font-semibold"
+        style={{ borderColor: NAVY, color: NAVY }}
+      >
+        Request a callback
+      </button>
+    );
+  }
+  return (
+    <form onSubmit={submit} className="space-y-2">
+      <select
+        className="w-full rounded-lg border px-3 py-2 text-sm"
+        style={{ borderColor: BORDER }}
+        value={preferredWindow}
+        onChange={(e) => setPreferredWindow(e.target.value)}
+      >
+        {WINDOWS.map((w) => (
+          <option key={w.value} value={w.value}>
+            {w.label}
+          </option>
+        ))}
+      </select>
+      <textarea
+        rows={2}
+        maxLength={500}
+        className="w-full rounded-lg border px-3 py-2 text-sm"
+        style={{ borderColor: BORDER }}
+        placeholder="Anything we should know? (optional)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+      />
+      {error && <div className="text-xs text-red-600">{error}</div>}
+      <button
+        type="submit"
+        disabled={busy}
+        className="rounded-full px-4 py-2 text-sm font-semibold text-white disabled:opacity-50"
+        style={{ background: NAVY }}
+      >
+        {busy ? "Sending…" : "Call me back"}
+      </button>
+    </form>
+  );
+}
+
+export default function TrackClient({ initialOrderNumber = "" }) {
+  const [orderNumber, setOrderNumber] = useState(initialOrderNumber);
+  const [phone, setPhone] = useState("");
+  const [tracking, setTracking] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function lookup(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const json = await post("/api/orders/track", { orderNumber, phone });
+      setTracking(json.tracking);
+    } catch (err) {
+      setTracking(null);
+      setError(ERRORS[err.message] || "Something went wrong. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="bg-[#FAFBFF] min-h-[100dvh]">
+      <Navbar />
+      <main className="mx-auto" style={{ maxWidth: 760, padding: "calc(var(--nav-h,80px) + 18px) 20px 80px" }}>
+        <h1 className="text-2xl font-bold mb-1" style={{ color: NAVY }}>
+          Track your order
+        </h1>
+        <p className="text-sm mb-5" style={{ color: SUBTEXT }}>
+          Enter your order number and the phone number you used at checkout.
+        </p>
+
+        <form
+          onSubmit={lookup}
+          className="rounded-xl p-4 mb-6 grid gap-3 sm:grid-cols-[1fr_1fr_auto]"
+          style={{ border: `1px solid ${BORDER}`, background: "#fff" }}
+        >
+          <input
+            inputMode="numeric"
+            className="rounded-lg border px-3 py-2 text-sm"
+            style={{ borderColor: BORDER }}
+            placeholder="Order number, e.g. 1042"
+            value={orderNumber}
+            onChange={(e) => setOrderNumber(e.target.value)}
+          />
+          <input
+            type="tel"
+            className="rounded-lg border px-3 py-2 text-sm"
+            style={{ borderColor: BORDER }}
+            placeholder="Phone, e.g. 01XXXXXXXXX"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+          />
+          <button
+            type="submit"
+            disabled={busy || !orderNumber.trim() || !phone.trim()}
+            className="rounded-full px-5 py-2 text-sm font-semibold text-white disabled:opacity-50"
+            style={{ background: NAVY }}
+          >
+            {busy ? "Checking…" : "Track"}
+          </button>
+          {error && <div className="sm:col-span-3 text-sm text-red-600">{error}</div>}
+        </form>
+
+        {tracking && (
+          <div className="space-y-6">
+            <section className="rounded-xl p-4" style={{ border: `1px solid ${BORDER}`, background: "#fff" }}>
+              <div className="flex flex-wrap items-baseline justify-between gap-2">
+                <div className="text-lg font-bold" style={{ color: NAVY }}>
+                  Order #{tracking.orderNumber}
+                </div>
+                <div className="text-xs" style={{ color: SUBTEXT }}>
+                  Placed {fmtDate(tracking.placedAt)}
+                  {tracking.city ? ` · Delivering to ${tracking.city}` : ""}
+                </div>
+              </div>
+              <div className="mt-2">
+                <EstimatedDelivery eta={tracking.estimatedDelivery} />
+              </div>
+
+              {tracking.shipments.map((s) => (
+                <div
+                  key={s.id}
+                  className="mt-3 pt-3 border-t flex flex-wrap items-center gap-x-3 gap-y-1 text-sm"
+                  style={{ borderColor: BORDER }}
+                >
+                  <span className="font-semibold" style={{ color: "#111827" }}>
+                    {s.courier || "Courier"}
+                  </span>
+                  {s.trackingNumber && <span className="font-mono text-xs">{s.trackingNumber}</span>}
+                  <span className="rounded-full px-2 py-0.5 text-xs font-semibold" style={{ background: "#EEF2FB", color: NAVY }}>
+                    {s.statusLabel}
+                  </span>
+                  {s.trackingUrl && (
+                    <a
+                      href={s.trackingUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="ml-auto text-xs font-semibold underline"
+                      style={{ color: NAVY }}
+                    >
+                      Track on {s.courier || "courier"} site
+                    </a>
+                  )}
+                </div>
+              ))}
+            </section>
+
+            <section className="rounded-xl p-4" style={{ border: `1px solid ${BORDER}`, background: "#fff" }}>
+              <div className="text-sm font-semibold mb-3" style={{ color: NAVY }}>
+                Timeline
+              </div>
+              <ol className="space-y-3">
+                {[...tracking.timeline].reverse().map((t, i) => (
+                  <li key={`${t.at}-${i}`} className="flex gap-3">
+                    <div className="mt-1.5 h-2 w-2 shrink-0 rounded-full" style={{ background: i === 0 ? NAVY : "#C4CBDB" }} />
+                    <div>
+                      <div className="text-sm font-medium" style={{ color: "#111827" }}>
+                        {t.title}
+                      </div>
+                      {t.detail && (
+                        <div className="text-xs" style={{ color: SUBTEXT }}>
+                          {t.detail}
+                        </div>
+                      )}
+                      <div className="text-[11px]" style={{ color: SUBTEXT }}>
+                        {fmtDateTime(t.at)}
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </section>
+
+            <section className="rounded-xl p-4" style={{ border: `1px solid ${BORDER}`, background: "#fff" }}>
+              <div className="text-sm font-semibold mb-1" style={{ color: NAVY }}>
+                Need help with this order?
+              </div>
+              <p className="text-xs mb-3" style={{ color: SUBTEXT }}>
+                Leave your preferred time and our support team will call you.
+              </p>
+              <CallbackForm orderNumber={orderNumber} phone={phone} />
+            </section>
+          </div>
+        )}
+      </main>
+      <Bottomfloatingbar />
+    </div>
+  );
+}
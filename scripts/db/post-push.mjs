@@ -0,0 +1,122 @@
+// FILE: scripts/db/post-push.mjs
+// Database objects `prisma db push` cannot express. Run after every push (the
+// app:push / db:push:* scripts do); every statement is idempotent.
+//
+// - Product."searchText" / "searchVector" (lib/search.js): triggers keep the
+//   search document and its tsvector current from the product's own columns,
+//   its category names and its live variant colours.
+// - BackgroundJob_dedupeKey_pending_key (lib/queue.js enqueue): at most one
+//   PENDING job per dedupeKey. Prisma cannot declare a partial index and push
+//   drops indexes it does not know about, so it is re-created here each time.
+//
+//   node scripts/db/post-push.mjs            # connects as APP_DB_OWNER_DIRECT (or DATABASE_URL)
+//   node scripts/db/post-push.mjs --reindex  # rebuild every product's search document
+import { PrismaClient } from "@prisma/client";
+
+const reindex = process.argv.includes("--reindex");
+
+const SEARCH = [
+  `CREATE OR REPLACE FUNCTION product_search_text(
+     pid TEXT, title TEXT, subtitle TEXT, brand TEXT, product_code TEXT, base_sku TEXT
+   ) RETURNS TEXT LANGUAGE sql STABLE AS $$
+     SELECT concat_ws(' ', title, subtitle, brand, product_code, base_sku,
+       (SELECT string_agg(c."name", ' ') FROM "ProductCategory" pc JOIN "Category" c ON c."id" = pc."categoryId"
+         WHERE pc."productId" = pid),
+       (SELECT string_agg(DISTINCT v."colorName", ' ') FROM "ProductVariant" v
+         WHERE v."productId" = pid AND v."archivedAt" IS NULL))
+   $$`,
+
+  `CREATE OR REPLACE FUNCTION product_search_refresh(pid TEXT) RETURNS void LANGUAGE sql AS $$
+     UPDATE "Product" p
+        SET "searchText" = product_search_text(p."id", p."title", p."subtitle", p."brand", p."productCode", p."baseSku")
+      WHERE p."id" = pid
+   $$`,
+
+  // Product's own columns; also derives the vector whenever the text is written
+  `CREATE OR REPLACE FUNCTION product_search_product_trg() RETURNS trigger LANGUAGE plpgsql AS $$
+   BEGIN
+     IF TG_OP = 'INSERT' OR NEW."searchText" IS NOT DISTINCT FROM OLD."searchText" THEN
+       NEW."searchText" := product_search_text(NEW."id", NEW."title", NEW."subtitle", NEW."brand", NEW."productCode", NEW."baseSku");
+     END IF;
+     NEW."searchVector" := to_tsvector('simple', NEW."searchText");
+     RETURN NEW;
+   END
+   $$`,
+  `DROP TRIGGER IF EXISTS "Product_search_text" ON "Product"`,
+  `CREATE TRIGGER "Product_search_text"
+     BEFORE INSERT OR UPDATE OF "title", "subtitle", "brand", "productCode", "baseSku", "searchText", "searchVector" ON "Product"
+     FOR EACH ROW EXECUTE FUNCTION product_search_product_trg()`,
+
+  // Category links and variant colours
+  `CREATE OR REPLACE FUNCTION product_search_child_trg() RETURNS trigger LANGUAGE plpgsql AS $$
+   BEGIN
+     IF TG_OP <> 'INSERT' THEN PERFORM product_search_refresh(OLD."productId"); END IF;
+     IF TG_OP <> 'DELETE' AND (TG_OP = 'INSERT' OR NEW."productId" <> OLD."productId") THEN
+       PERFORM product_search_refresh(NEW."productId");
+     END IF;
+     RETURN NULL;
+   END
+   $$`,
+  `DROP TRIGGER IF EXISTS "ProductCategory_search_text" ON "ProductCategory"`,
+  `CREATE TRIGGER "ProductCategory_search_text"
+     AFTER INSERT OR UPDATE OR DELETE ON "ProductCategory"
+     FOR EACH ROW EXECUTE FUNCTION product_search_child_trg()`,
+  `DROP TRIGGER IF EXISTS "ProductVariant_search_text" ON "ProductVariant"`,
+  `CREATE TRIGGER "ProductVariant_search_text"
+     AFTER INSERT OR DELETE OR UPDATE OF "productId", "colorName", "archivedAt" ON "ProductVariant"
+     FOR EACH ROW EXECUTE FUNCTION product_search_child_trg()`,
+
+  // Category renames
+  `CREATE OR REPLACE FUNCTION product_search_category_trg() RETURNS trigger LANGUAGE plpgsql AS $$
+   BEGIN
+     PERFORM product_search_refresh(pc."productId") FROM "ProductCategory" pc WHERE pc."categoryId" = NEW."id";
+     RETURN NULL;
+   END
+   $$`,
+  `DROP TRIGGER IF EXISTS "Category_search_text" ON "Category"`,
+  `CREATE TRIGGER "Category_search_text"
+     AFTER UPDATE OF "name" ON "Category"
+     FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+     EXECUTE FUNCTION product_search_category_trg()`,
+
+  // Products the triggers have not seen yet (new column), or all of them on --reindex
+  `UPDATE "Product" p
+      SET "searchText" = product_search_text(p."id", p."title", p."subtitle", p."brand", p."productCode", p."baseSku")
+    WHERE ${reindex ? "TRUE" : `p."searchVector" IS NULL`}`,
+];
+
+const JOBS = [
+  // collapse duplicates a race may have left while the index was missing: keep the oldest
+  `UPDATE "BackgroundJob" j
+      SET "status" = 'CANCELLED', "lastError" = 'duplicate dedupeKey', "updatedAt" = now()
+    WHERE j."status" = 'PENDING'
+      AND j."dedupeKey" IS NOT NULL
+      AND EXISTS (
+        SELECT 1 FROM "BackgroundJob" o
+         WHERE o."dedupeKey" = j."dedupeKey" AND o."status" = 'PENDING'
+           AND (o."createdAt", o."id") < (j."createdAt", j."id")
+      )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS "BackgroundJob_dedupeKey_pending_key"
+     ON "BackgroundJob" ("dedupeKey")
+     WHERE "status" = 'PENDING' AND "dedupeKey" IS NOT NULL`,
+];
+
+const prisma = new PrismaClient({
+  datasourceUrl: process.env.APP_DB_OWNER_DIRECT || process.env.DATABASE_URL,
+});
+
+try {
+  for (const [label, statements] of [
+    ["product search", SEARCH],
+    ["job dedupe", JOBS],
+  ]) {
+    for (const sql of statements) await prisma.$executeRawUnsafe(sql);
+    console.log(`post-push: ${label} OK`);
+  }
+  process.exit(0);
+} catch (e) {
+  console.error("post-push ERROR:", e);
+  process.exit(1);
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,81 @@
+// FILE: scripts/jobs/worker.mjs
+// Background job worker: polls /api/internal/jobs/run so handlers execute inside
+// the app (same Prisma client, env and "@/lib" modules as the request path).
+//
+// Usage:
+//   node scripts/jobs/worker.mjs
+//
+// Env:
+//   JOBS_BASE_URL        app origin (default AUTH_URL / NEXTAUTH_URL / http://localhost:3000)
+//   INTERNAL_CRON_TOKEN  or CRON_SECRET, must match the app
+//   JOBS_QUEUES          comma list to restrict this worker (default: all)
+//   JOBS_POLL_MS         idle sleep between ticks (default 2000)
+//   JOBS_WORKER_ID       shows up in BackgroundJob.lockedBy (default host:pid)
+
+import os from "node:os";
+
+const BASE = (
+  process.env.JOBS_BASE_URL ||
+  process.env.AUTH_URL ||
+  process.env.NEXTAUTH_URL ||
+  "http://localhost:3000"
+).replace(/\/+$/, "");
+const SECRET = process.env.INTERNAL_CRON_TOKEN || process.env.CRON_SECRET || "";
+const QUEUES = String(process.env.JOBS_QUEUES || "")
+  .split(",")
+  .map((q) => q.trim())
+  .filter(Boolean);
+const POLL_MS = Number(process.env.JOBS_POLL_MS || 2000);
+const WORKER_ID = process.env.JOBS_WORKER_ID || `${os.hostname()}:${process.pid}`;
+
+if (!SECRET) {
+  console.error("❌ INTERNAL_CRON_TOKEN / CRON_SECRET is not set");
+  process.exit(1);
+}
+
+let stopping = false;
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.on(sig, () => {
+    if (stopping) process.exit(1);
+    stopping = true;
+    console.log(`\n⏹  ${sig} received, finishing current tick…`);
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function tick() {
+  const res = await fetch(`${BASE}/api/internal/jobs/run`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "x-cron-secret": SECRET,
+      "x-worker-id": WORKER_ID,
+    },
+    body: JSON.stringify(QUEUES.length ? { queues: QUEUES } : {}),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || data?.ok !== true) throw new Error(data?.error || `HTTP ${res.status}`);
+  for (const j of data.jobs || []) {
+    console.log(`  ${j.status === "COMPLETED" ? "✔" : "✖"} [${j.queue}] ${j.name} ${j.id} → ${j.status}${j.error ? ` (${j.error})` : ""}`);
+  }
+  return data.ran || 0;
+}
+
+console.log(`🧵 Job worker ${WORKER_ID} → ${BASE} (queues: ${QUEUES.join(", ") || "all"})`);
+
+let failures = 0;
+while (!stopping) {
+  try {
+    const ran = await tick();
+    failures = 0;
+    // keep draining while there is work, idle-sleep otherwise
+    if (!ran) await sleep(POLL_MS);
+  } catch (err) {
+    failures += 1;
+    const wait = Math.min(60_000, POLL_MS * 2 ** failures);
+    console.error(`⚠️  tick failed (${err?.message || err}); retrying in ${Math.round(wait / 1000)}s`);
+    await sleep(wait);
+  }
+}
+console.log("👋 worker stopped");
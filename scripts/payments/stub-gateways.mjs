@@ -0,0 +1,322 @@
+// FILE: scripts/payments/stub-gateways.mjs
+// Local stand-in for Stripe / SSLCommerz / bKash / Nagad so the payment
+// adapters in src/lib/payments/gateway.js can be exercised end-to-end.
+//
+// Usage:
+//   node scripts/payments/stub-gateways.mjs            (port 4010, or STUB_GATEWAYS_PORT)
+//
+// Then point the app at it:
+//   STRIPE_API_BASE=http://127.0.0.1:4010/stripe
+//   SSLCZ_API_BASE=http://127.0.0.1:4010/sslcommerz
+//   BKASH_API_BASE=http://127.0.0.1:4010/bkash
+//   NAGAD_API_BASE=http://127.0.0.1:4010/nagad
+//
+// Behaviour knobs (all in-memory, reset on restart):
+//   - Stripe intents created with capture_method=manual stay in requires_capture.
+//   - bKash payments created with intent=authorization stay Authorized.
+//   - Any id / tran_id containing "fail" is answered as a failed transaction.
+//   - GET /__state dumps everything the stub has seen.
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.env.STUB_GATEWAYS_PORT || 4010);
+
+const state = {
+  stripe: new Map(), // pi id -> intent
+  stripeRefunds: [],
+  sslcz: new Map(), // tran_id -> transaction
+  sslczRefunds: [],
+  bkash: new Map(), // paymentID -> payment
+  nagad: new Map(), // paymentRefId -> payment
+};
+
+const rid = (prefix) => `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+const failing = (id) => String(id || "").toLowerCase().includes("fail");
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const c of req) chunks.push(c);
+  const raw = Buffer.concat(chunks).toString("utf8");
+  if (!raw) return {};
+  const type = String(req.headers["content-type"] || "");
+  if (type.includes("application/json")) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return {};
+    }
+  }
+  return Object.fromEntries(new URLSearchParams(raw).entries());
+}
+
+/* ───────────────────────── Stripe ───────────────────────── */
+
+function stripeIntent(id) {
+  if (!state.stripe.has(id) && failing(id)) {
+    return null;
+  }
+  if (!state.stripe.has(id)) {
+    // Unknown ids are treated as already-succeeded sale intents.
+    state.stripe.set(id, { id, object: "payment_intent", status: "succeeded", amount: 0, amount_received: 0 });
+  }
+  return state.stripe.get(id);
+}
+
+async function stripe(req, res, path) {
+  const body = await readBody(req);
+  let m;
+
+  if (req.method === "POST" && path === "/v1/payment_intents") {
+    const id = rid("pi");
+    const manual = body.capture_method === "manual";
+    const pi = {
+      id,
+      object: "payment_intent",
+      client_secret: `${id}_secret`,
+      amount: Number(body.amount || 0),
+      amount_received: manual ? 0 : Number(body.amount || 0),
+      currency: body.currency,
+      status: manual ? "requires_capture" : "succeeded",
+    };
+    state.stripe.set(id, pi);
+    return send(res, 200, pi);
+  }
+
+  if ((m = path.match(/^\/v1\/payment_intents\/([^/]+)$/)) && req.method === "GET") {
+    const pi = stripeIntent(m[1]);
+    if (!pi) return send(res, 404, { error: { message: "No such payment_intent" } });
+    return send(res, 200, pi);
+  }
+
+  if ((m = path.match(/^\/v1\/payment_intents\/([^/]+)\/capture$/))) {
+    const pi = stripeIntent(m[1]);
+    if (!pi) return send(res, 404, { error: { message: "No such payment_intent" } });
+    if (pi.status !== "requires_capture") {
+      return send(res, 400, { error: { message: `PaymentIntent is in status ${pi.status}` } });
+    }
+    pi.status = "succeeded";
+    pi.amount_received = Number(body.amount_to_capture || pi.amount);
+    return send(res, 200, pi);
+  }
+
+  if ((m = path.match(/^\/v1\/payment_intents\/([^/]+)\/cancel$/))) {
+    const pi = stripeIntent(m[1]);
+    if (!pi) return send(res, 404, { error: { message: "No such payment_intent" } });
+    if (pi.status === "succeeded") {
+      return send(res, 400, { error: { message: "Cannot cancel a succeeded PaymentIntent" } });
+    }
+    pi.status = "canceled";
+    return send(res, 200, pi);
+  }
+
+  if (req.method === "POST" && path === "/v1/refunds") {
+    const pi = stripeIntent(body.payment_intent);
+    if (!pi || pi.status !== "succeeded") {
+      return send(res, 400, { error: { message: "Charge has not been captured" } });
+    }
+    const refund = {
+      id: rid("re"),
+      object: "refund",
+      payment_intent: pi.id,
+      amount: Number(body.amount || pi.amount_received),
+      status: "succeeded",
+    };
+    state.stripeRefunds.push(refund);
+    return send(res, 200, refund);
+  }
+
+  return send(res, 404, { error: { message: `stub: unknown stripe route ${path}` } });
+}
+
+/* ──────────────────────── SSLCommerz ─────────────────────── */
+
+function sslczTxn(tranId) {
+  if (!state.sslcz.has(tranId)) {
+    state.sslcz.set(tranId, {
+      tran_id: tranId,
+      val_id: rid("val"),
+      bank_tran_id: rid("bank"),
+      amount: "0.00",
+      status: failing(tranId) ? "FAILED" : "VALID",
+    });
+  }
+  return state.sslcz.get(tranId);
+}
+
+async function sslcommerz(req, res, path, query) {
+  const body = await readBody(req);
+
+  if (path === "/gwprocess/v4/api.php") {
+    const txn = sslczTxn(body.tran_id);
+    txn.amount = Number(body.total_amount || 0).toFixed(2);
+    return send(res, 200, {
+      status: "SUCCESS",
+      sessionkey: rid("sess"),
+      GatewayPageURL: `http://127.0.0.1:${PORT}/sslcommerz/pay/${encodeURIComponent(body.tran_id)}`,
+    });
+  }
+
+  if (path === "/validator/api/validationserverAPI.php") {
+    const txn = [...state.sslcz.values()].find((t) => t.val_id === query.get("val_id"));
+    if (!txn) return send(res, 200, { status: "INVALID_TRANSACTION" });
+    return send(res, 200, txn);
+  }
+
+  if (path === "/validator/api/merchantTransIDvalidationAPI.php") {
+    if (query.get("refund_amount")) {
+      const bankTranId = query.get("bank_tran_id");
+      const txn = [...state.sslcz.values()].find((t) => t.bank_tran_id === bankTranId);
+      if (!txn || txn.status !== "VALID") {
+        return send(res, 200, { APIConnect: "DONE", status: "failed", errorReason: "Invalid bank_tran_id" });
+      }
+      const refund = { refund_ref_id: rid("ref"), bank_tran_id: bankTranId, amount: query.get("refund_amount") };
+      state.sslczRefunds.push(refund);
+      return send(res, 200, { APIConnect: "DONE", status: "success", ...refund });
+    }
+    const txn = sslczTxn(query.get("tran_id"));
+    return send(res, 200, { APIConnect: "DONE", no_of_trans_found: 1, element: [txn] });
+  }
+
+  return send(res, 404, { status: "FAILED", failedreason: `stub: unknown sslcommerz route ${path}` });
+}
+
+/* ────────────────────────── bKash ───────────────────────── */
+
+const BKASH_OK = { statusCode: "0000", statusMessage: "Successful" };
+
+function bkashPayment(paymentId) {
+  const p = state.bkash.get(paymentId);
+  if (p) return p;
+  if (failing(paymentId)) return null;
+  const fresh = { paymentID: paymentId, trxID: rid("TRX"), amount: "0.00", transactionStatus: "Completed" };
+  state.bkash.set(paymentId, fresh);
+  return fresh;
+}
+
+async function bkash(req, res, path) {
+  const body = await readBody(req);
+  const notFound = () => send(res, 200, { statusCode: "2056", statusMessage: "Invalid Payment State" });
+
+  switch (path) {
+    case "/tokenized/checkout/token/grant":
+      return send(res, 200, { ...BKASH_OK, id_token: rid("tok"), expires_in: 3600 });
+
+    case "/tokenized/checkout/create": {
+      const paymentID = rid("PAY");
+      state.bkash.set(paymentID, {
+        paymentID,
+        amount: body.amount,
+        intent: body.intent,
+        transactionStatus: "Initiated",
+      });
+      return send(res, 200, {
+        ...BKASH_OK,
+        paymentID,
+        bkashURL: `http://127.0.0.1:${PORT}/bkash/pay/${paymentID}`,
+      });
+    }
+
+    case "/tokenized/checkout/execute": {
+      const p = bkashPayment(body.paymentID);
+      if (!p) return notFound();
+      p.trxID = p.trxID || rid("TRX");
+      p.transactionStatus = p.intent === "authorization" ? "Authorized" : "Completed";
+      return send(res, 200, { ...BKASH_OK, ...p });
+    }
+
+    case "/tokenized/checkout/payment/status": {
+      const p = bkashPayment(body.paymentID);
+      if (!p) return notFound();
+      return send(res, 200, { ...BKASH_OK, ...p });
+    }
+
+    case "/tokenized/checkout/payment/confirm/capture": {
+      const p = bkashPayment(body.paymentID);
+      if (!p || p.transactionStatus !== "Authorized") return notFound();
+      p.trxID = p.trxID || rid("TRX");
+      p.transactionStatus = "Completed";
+      return send(res, 200, { ...BKASH_OK, ...p });
+    }
+
+    case "/tokenized/checkout/payment/confirm/void": {
+      const p = bkashPayment(body.paymentID);
+      if (!p || p.transactionStatus !== "Authorized") return notFound();
+      p.transactionStatus = "Cancelled";
+      return send(res, 200, { ...BKASH_OK, ...p });
+    }
+
+    case "/tokenized/checkout/payment/refund": {
+      const p = bkashPayment(body.paymentID);
+      if (!p || p.transactionStatus !== "Completed") return notFound();
+      return send(res, 200, {
+        ...BKASH_OK,
+        originalTrxID: body.trxID,
+        refundTrxID: rid("RTRX"),
+        amount: body.amount,
+        transactionStatus: "Completed",
+      });
+    }
+
+    default:
+      return send(res, 404, { statusCode: "9999", statusMessage: `stub: unknown bkash route ${path}` });
+  }
+}
+
+/* ────────────────────────── Nagad ───────────────────────── */
+
+async function nagad(req, res, path) {
+  const m = path.match(/^\/api\/dfs\/verify\/payment\/([^/]+)\/([^/]+)$/);
+  if (m) {
+    const ref = decodeURIComponent(m[2]);
+    if (!state.nagad.has(ref)) {
+      state.nagad.set(ref, {
+        merchantId: m[1],
+        paymentRefId: ref,
+        issuerPaymentRefNo: rid("NGD"),
+        amount: "0.00",
+        status: failing(ref) ? "Failed" : "Success",
+      });
+    }
+    return send(res, 200, state.nagad.get(ref));
+  }
+  return send(res, 404, { status: "Failed", message: `stub: unknown nagad route ${path}` });
+}
+
+/* ───────────────────────── Server ───────────────────────── */
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://127.0.0.1:${PORT}`);
+  const [, provider, ...rest] = url.pathname.split("/");
+  const path = `/${rest.join("/")}`;
+
+  try {
+    if (url.pathname === "/__state") {
+      return send(res, 200, {
+        stripe: [...state.stripe.values()],
+        stripeRefunds: state.stripeRefunds,
+        sslcommerz: [...state.sslcz.values()],
+        sslcommerzRefunds: state.sslczRefunds,
+        bkash: [...state.bkash.values()],
+        nagad: [...state.nagad.values()],
+      });
+    }
+    if (provider === "stripe") return await stripe(req, res, path);
+    if (provider === "sslcommerz") return await sslcommerz(req, res, path, url.searchParams);
+    if (provider === "bkash") return await bkash(req, res, path);
+    if (provider === "nagad") return await nagad(req, res, path);
+    return send(res, 404, { error: "unknown provider prefix" });
+  } catch (err) {
+    return send(res, 500, { error: String(err?.message || err) });
+  }
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`💳 Payment gateway stubs on http://127.0.0.1:${PORT}`);
+  console.log("   /stripe  /sslcommerz  /bkash  /nagad   (GET /__state to inspect)");
+});
@@ -0,0 +1,369 @@
+// FILE: src/components/admin/catalog/price-books-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    throw new Error(json?.error || `Request failed with ${res.status}`);
+  }
+  return json;
+}
+
+const fmt = (v) =>
+  v == null ? "—" : Number(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// <input type="datetime-local"> is in the admin's local time; the API takes ISO.
+const toIso = (v) => (v ? new Date(v).toISOString() : null);
+const when = (v) => (v ? new Date(v).toLocaleString() : "—");
+
+const KIND_LABEL = { PRICE_BOOK: "Price book", MARKDOWN: "Markdown" };
+const STATUS_CLASS = {
+  LIVE: "text-green-700",
+  SCHEDULED: "text-blue-700",
+  ENDED: "text-neutral-500",
+  OFF: "text-neutral-500",
+};
+
+const EMPTY_LIST = { name: "", kind: "PRICE_BOOK", priority: "0", startsAt: "", endsAt: "", description: "" };
+const EMPTY_ROW = { target: "sku", value: "", mode: "percentOff", amount: "", compareAt: "" };
+
+function ListForm({ can, onSubmit, disabled }) {
+  const [form, setForm] = useState(EMPTY_LIST);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const kinds = Object.keys(KIND_LABEL).filter((k) => can[k]);
+
+  return (
+    <form
+      className="flex flex-wrap items-end gap-2 text-sm"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        const ok = await onSubmit({
+          ...form,
+          kind: kinds.includes(form.kind) ? form.kind : kinds[0],
+          startsAt: toIso(form.startsAt),
+          endsAt: toIso(form.endsAt),
+        });
+        if (ok) setForm(EMPTY_LIST);
+      }}
+    >
+      <input className="w-48 rounded border px-2 py-1" placeholder="Name (e.g. Eid sale)" value={form.name} onChange={set("name")} />
+      <select className="rounded border px-2 py-1" value={form.kind} onChange={set("kind")}>
+        {kinds.map((k) => (
+          <option key={k} value={k}>
+            {KIND_LABEL[k]}
+          </option>
+        ))}
+      </select>
+      <input className="w-20 rounded border px-2 py-1" placeholder="Priority" value={form.priority} onChange={set("priority")} />
+      <label className="flex items-center gap-1 text-neutral-600">
+        Starts
+        <input type="datetime-local" className="rounded border px-2 py-1" value={form.startsAt} onChange={set("startsAt")} />
+      </label>
+      <label className="flex items-center gap-1 text-neutral-600">
+        Ends
+        <input type="datetime-local" className="rounded border px-2 py-1" value={form.endsAt} onChange={set("endsAt")} />
+      </label>
+      <input className="w-56 rounded border px-2 py-1" placeholder="Note" value={form.description} onChange={set("description")} />
+      <button disabled={disabled || !kinds.length} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+        Create list
+      </button>
+    </form>
+  );
+}
+
+function RowForm({ onSubmit, disabled }) {
+  const [form, setForm] = useState(EMPTY_ROW);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const group = form.target === "categoryId" || form.target === "collectionId";
+  const mode = group ? "percentOff" : form.mode;
+
+  return (
+    <form
+      className="flex flex-wrap items-end gap-2 text-sm"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        // several SKUs / ids may be pasted at once, comma or newline separated
+        const values = form.value
+          .split(/[\s,]+/)
+          .map((x) => x.trim())
+          .filter(Boolean);
+        const rows = values.map((v) => ({
+          [form.target]: v,
+          [mode]: form.amount,
+          compareAt: form.compareAt || null,
+        }));
+        if (await onSubmit({ rows })) setForm(EMPTY_ROW);
+      }}
+    >
+      <select className="rounded border px-2 py-1" value={form.target} onChange={set("target")}>
+        <option value="sku">SKUs</option>
+        <option value="productId">Product ids</option>
+        <option value="categoryId">Category id</option>
+        <option value="collectionId">Collection id</option>
+      </select>
+      <textarea className="h-8 w-64 rounded border px-2 py-1" placeholder="SKU-1, SKU-2 …" value={form.value} onChange={set("value")} />
+      <select className="rounded border px-2 py-1" value={mode} disabled={group} onChange={set("mode")}>
+        <option value="percentOff">% off regular</option>
+        <option value="amount">Fixed price</option>
+      </select>
+      <input className="w-24 rounded border px-2 py-1" placeholder={mode === "percentOff" ? "%" : "৳"} value={form.amount} onChange={set("amount")} />
+      <input className="w-28 rounded border px-2 py-1" placeholder="Compare-at ৳" value={form.compareAt} onChange={set("compareAt")} />
+      <button disabled={disabled} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+        Set prices
+      </button>
+    </form>
+  );
+}
+
+export default function PriceBooksPanel() {
+  const [lists, setLists] = useState([]);
+  const [can, setCan] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const selected = lists.find((l) => l.id === selectedId) || null;
+  const editable = !!(selected && can[selected.kind]);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const res = await api("/api/admin/catalog/price-lists");
+      setLists(res.items || []);
+      setCan(res.can || {});
+    } catch (err) {
+      setError(err?.message || "Failed to load price lists");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadRows = useCallback(async (id) => {
+    if (!id) return setRows([]);
+    try {
+      const res = await api(`/api/admin/catalog/price-lists/${id}/prices`);
+      setRows(res.items || []);
+    } catch (err) {
+      setError(err?.message || "Failed to load prices");
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    loadRows(selectedId);
+  }, [selectedId, loadRows]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await fn();
+      await load();
+      await loadRows(selectedId);
+      return true;
+    } catch (err) {
+      setError(err?.message || "Request failed");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const patch = (l, body) => run(() => api(`/api/admin/catalog/price-lists/${l.id}`, { method: "PATCH", body }));
+
+  return (
+    <div className="space-y-6">
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      {notice && <div className="text-sm text-green-700">{notice}</div>}
+
+      <div className="overflow-hidden rounded border bg-white">
+        <div className="border-b p-3">
+          <div className="font-medium">Price books &amp; markdowns</div>
+          <div className="text-xs text-neutral-500">
+            Lists switch on and off by their start / end time. When several live lists price the same item, the highest
+            priority wins.
+          </div>
+        </div>
+        <div className="border-b p-3">
+          <ListForm can={can} disabled={busy} onSubmit={(body) => run(() => api("/api/admin/catalog/price-lists", { method: "POST", body }))} />
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-neutral-50">
+              <tr>
+                <th className="px-3 py-2 text-left">List</th>
+                <th className="px-3 py-2 text-left">Window</th>
+                <th className="px-3 py-2 text-right">Priority</th>
+                <th className="px-3 py-2 text-right">Prices</th>
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {!loading &&
+                lists.map((l) => (
+                  <tr key={l.id} className={`border-t align-top ${l.id === selectedId ? "bg-neutral-50" : ""}`}>
+                    <td className="px-3 py-2">
+                      <button className="font-medium underline" onClick={() => setSelectedId(l.id)}>
+                        {l.name}
+                      </button>
+                      <div className="text-xs text-neutral-500">
+                        {KIND_LABEL[l.kind]} · {l.currency}
+                        {l.description ? ` · ${l.description}` : ""}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2">
+                      {when(l.startsAt)} → {when(l.endsAt)}
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      {can[l.kind] ? (
+                        <input
+                          className="w-16 rounded border px-1 py-0.5 text-right"
+                          defaultValue={l.priority}
+                          disabled={busy}
+                          onBlur={(e) => {
+                            if (String(l.priority) !== e.target.value) patch(l, { priority: e.target.value });
+                          }}
+                        />
+                      ) : (
+                        l.priority
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right">{l.priceCount}</td>
+                    <td className={`px-3 py-2 font-medium ${STATUS_CLASS[l.status] || ""}`}>{l.status}</td>
+                    <td className="whitespace-nowrap px-3 py-2 text-right">
+                      {can[l.kind] && (
+                        <>
+                          <button disabled={busy} className="mr-3 disabled:opacity-50" onClick={() => patch(l, { isActive: !l.isActive })}>
+                            {l.isActive ? "Switch off" : "Switch on"}
+                          </button>
+                          <button
+                            disabled={busy}
+                            className="text-red-600 disabled:opacity-50"
+                            onClick={() => {
+                              if (!confirm(`Delete "${l.name}" and its ${l.priceCount} prices?`)) return;
+                              if (l.id === selectedId) setSelectedId(null);
+                              run(() => api(`/api/admin/catalog/price-lists/${l.id}`, { method: "DELETE" }));
+                            }}
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              {!loading && lists.length === 0 && (
+                <tr>
+                  <td className="px-3 py-3 text-neutral-600" colSpan={6}>
+                    No price lists yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {selected && (
+        <div className="overflow-hidden rounded border bg-white">
+          <div className="flex items-center justify-between border-b p-3">
+            <div className="font-medium">
+              {selected.name} — {rows.length} prices
+            </div>
+            {editable && rows.length > 0 && (
+              <button
+                disabled={busy}
+                className="text-sm text-red-600 disabled:opacity-50"
+                onClick={() => {
+                  if (!confirm(`Remove all prices from "${selected.name}"?`)) return;
+                  run(() => api(`/api/admin/catalog/price-lists/${selected.id}/prices?all=1`, { method: "DELETE" }));
+                }}
+              >
+                Clear list
+              </button>
+            )}
+          </div>
+          {editable && (
+            <div className="border-b p-3">
+              <RowForm
+                disabled={busy}
+                onSubmit={(body) =>
+                  run(async () => {
+                    const res = await api(`/api/admin/catalog/price-lists/${selected.id}/prices`, { method: "POST", body });
+                    setNotice(`Set ${res.written} prices${res.skipped ? `, ${res.skipped} skipped (no match or no regular price)` : ""}.`);
+                  })
+                }
+              />
+            </div>
+          )}
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-neutral-50">
+                <tr>
+                  <th className="px-3 py-2 text-left">SKU</th>
+                  <th className="px-3 py-2 text-left">Product</th>
+                  <th className="px-3 py-2 text-left">Variant</th>
+                  <th className="px-3 py-2 text-right">Min qty</th>
+                  <th className="px-3 py-2 text-right">Price</th>
+                  <th className="px-3 py-2 text-right">Compare-at</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.id} className="border-t">
+                    <td className="px-3 py-2">{r.sku || "—"}</td>
+                    <td className="px-3 py-2">{r.product || "—"}</td>
+                    <td className="px-3 py-2">{r.variant || "All variants"}</td>
+                    <td className="px-3 py-2 text-right">{r.minQty}</td>
+                    <td className="px-3 py-2 text-right">৳{fmt(r.amount)}</td>
+                    <td className="px-3 py-2 text-right">{r.compareAt != null ? `৳${fmt(r.compareAt)}` : "regular"}</td>
+                    <td className="px-3 py-2 text-right">
+                      {editable && (
+                        <button
+                          disabled={busy}
+                          className="text-red-600 disabled:opacity-50"
+                          onClick={() =>
+                            run(() =>
+                              api(`/api/admin/catalog/price-lists/${selected.id}/prices?priceId=${r.id}`, { method: "DELETE" })
+                            )
+                          }
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {rows.length === 0 && (
+                  <tr className="border-t">
+                    <td className="px-3 py-3 text-neutral-600" colSpan={7}>
+                      No prices in this list.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+// FILE: src/components/admin/finance/ledger-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    throw new Error(json?.error || `Request failed with ${res.status}`);
+  }
+  return json;
+}
+
+const fmt = (v) =>
+  Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+function monthStart() {
+  const d = new Date();
+  return new Date(d.getFullYear(), d.getMonth(), 1).toISOString().slice(0, 10);
+}
+
+export default function LedgerPanel() {
+  const [range, setRange] = useState({ from: monthStart(), to: new Date().toISOString().slice(0, 10) });
+  const [tb, setTb] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const query = new URLSearchParams(Object.entries(range).filter(([, v]) => v)).toString();
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      setTb(await api(`/api/admin/ledger/trial-balance?${query}`));
+    } catch (err) {
+      setError(err?.message || "Failed to load trial balance");
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function sync() {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const r = await api("/api/admin/ledger/sync", { method: "POST", body: {} });
+      const total = Object.values(r.posted || {}).reduce((a, n) => a + n, 0);
+      setNotice(`${total} journal(s) posted${r.errors?.length ? `, ${r.errors.length} document(s) failed` : ""}.`);
+      await load();
+    } catch (err) {
+      setError(err?.message || "Sync failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-semibold">General ledger</h1>
+          <p className="mt-1 text-xs text-neutral-600">
+            Journals post automatically from orders, payments, fees, refunds, courier charges and payouts.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2 text-sm">
+          <label>
+            <div className="mb-1 text-xs text-neutral-600">From</div>
+            <input
+              type="date"
+              className="rounded border px-2 py-1"
+              value={range.from}
+              onChange={(e) => setRange({ ...range, from: e.target.value })}
+            />
+          </label>
+          <label>
+            <div className="mb-1 text-xs text-neutral-600">To</div>
+            <input
+              type="date"
+              className="rounded border px-2 py-1"
+              value={range.to}
+              onChange={(e) => setRange({ ...range, to: e.target.value })}
+            />
+          </label>
+          <a className="rounded border px-3 py-1 hover:bg-neutral-50" href={`/api/admin/ledger/export?${query}`}>
+            Export CSV
+          </a>
+          <button
+            className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-60"
+            disabled={busy}
+            onClick={sync}
+          >
+            {busy ? "Posting…" : "Post missing journals"}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="rounded border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+      {notice && <div className="rounded border border-green-200 bg-green-50 p-3 text-sm text-green-800">{notice}</div>}
+
+      <div className="rounded border bg-white overflow-x-auto">
+        <div className="flex items-center justify-between border-b p-4">
+          <div className="font-medium">Trial balance</div>
+          {tb?.totals && (
+            <span
+              className={`rounded border px-2 py-0.5 text-[11px] font-medium ${
+                tb.totals.balanced
+                  ? "bg-green-50 text-green-700 border-green-200"
+                  : "bg-red-50 text-red-700 border-red-200"
+              }`}
+            >
+              {tb.totals.balanced ? "BALANCED" : "OUT OF BALANCE"}
+            </span>
+          )}
+        </div>
+        <table className="min-w-full text-sm">
+          <thead className="bg-neutral-50">
+            <tr>
+              <th className="px-3 py-2 text-left">Account</th>
+              <th className="px-3 py-2 text-left">Type</th>
+              <th className="px-3 py-2 text-right">Debit</th>
+              <th className="px-3 py-2 text-right">Credit</th>
+              <th className="px-3 py-2 text-right">Balance</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {(tb?.rows || []).map((r) => (
+              <tr key={r.code}>
+                <td className="px-3 py-2">
+                  <span className="font-mono text-xs text-neutral-500">{r.code}</span> {r.name}
+                </td>
+                <td className="px-3 py-2 text-xs text-neutral-600">{r.type}</td>
+                <td className="px-3 py-2 text-right tabular-nums">{fmt(r.debit)}</td>
+                <td className="px-3 py-2 text-right tabular-nums">{fmt(r.credit)}</td>
+                <td className="px-3 py-2 text-right tabular-nums">{fmt(r.balance)}</td>
+              </tr>
+            ))}
+            {!loading && !tb?.rows?.length && (
+              <tr>
+                <td colSpan={5} className="px-3 py-4 text-neutral-600">
+                  No postings in this period.
+                </td>
+              </tr>
+            )}
+          </tbody>
+          {tb?.totals && (
+            <tfoot className="border-t bg-neutral-50 font-medium">
+              <tr>
+                <td className="px-3 py-2" colSpan={2}>
+                  Total
+                </td>
+                <td className="px-3 py-2 text-right tabular-nums">{fmt(tb.totals.debit)}</td>
+                <td className="px-3 py-2 text-right tabular-nums">{fmt(tb.totals.credit)}</td>
+                <td className="px-3 py-2"></td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+        {loading && <div className="p-4 text-sm">Loading…</div>}
+      </div>
+    </div>
+  );
+}
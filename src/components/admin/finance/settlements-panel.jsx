@@ -0,0 +1,387 @@
+// FILE: src/components/admin/finance/settlements-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body, form } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: form || (body ? JSON.stringify(body) : undefined),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    const extra = json?.column ? ` (${json.column})` : json?.row ? ` (row ${json.row})` : json?.remittance ? ` (${json.remittance})` : "";
+    throw new Error(`${json?.error || `Request failed with ${res.status}`}${extra}`);
+  }
+  return json;
+}
+
+const fmt = (v) =>
+  Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const day = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+
+const LINE_STYLE = {
+  MATCHED: "text-green-700",
+  OVER: "text-blue-700",
+  SHORT: "text-amber-700",
+  NOT_FOUND: "text-red-600",
+  DUPLICATE: "text-red-600",
+};
+
+function UploadForm({ couriers, busy, onUpload }) {
+  const [courierCode, setCourierCode] = useState("");
+  const [reference, setReference] = useState("");
+  const [statementDate, setStatementDate] = useState("");
+  const [note, setNote] = useState("");
+  const [file, setFile] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    const form = new FormData();
+    form.set("file", file);
+    form.set("courierCode", courierCode);
+    if (reference) form.set("reference", reference);
+    if (statementDate) form.set("statementDate", statementDate);
+    if (note) form.set("note", note);
+    if (await onUpload(form)) {
+      setReference("");
+      setNote("");
+      setFile(null);
+      e.target.reset();
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="flex flex-wrap items-end gap-2 p-3 text-sm">
+      <select className="rounded border px-2 py-1" value={courierCode} onChange={(e) => setCourierCode(e.target.value)}>
+        <option value="">Courier…</option>
+        {couriers.map((c) => (
+          <option key={c.code} value={c.code}>
+            {c.name || c.code}
+          </option>
+        ))}
+      </select>
+      <input className="w-40 rounded border px-2 py-1" placeholder="Statement / payment ref" value={reference} onChange={(e) => setReference(e.target.value)} />
+      <label className="text-xs text-neutral-500">
+        Paid on
+        <input type="date" className="ml-1 rounded border px-2 py-1 text-sm" value={statementDate} onChange={(e) => setStatementDate(e.target.value)} />
+      </label>
+      <input className="w-48 rounded border px-2 py-1" placeholder="Note (optional)" value={note} onChange={(e) => setNote(e.target.value)} />
+      <input type="file" accept=".csv,.xlsx,.xls" className="text-xs" onChange={(e) => setFile(e.target.files?.[0] || null)} />
+      <button disabled={busy || !file || !courierCode} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+        Import
+      </button>
+    </form>
+  );
+}
+
+function RemittanceDetail({ item, busy, onPost, onDiscard, onCapture }) {
+  const [filter, setFilter] = useState("");
+  const lines = (item.lines || []).filter((l) => !filter || l.status === filter);
+  const draft = item.status === "DRAFT";
+  const posted = item.status === "POSTED";
+
+  return (
+    <div className="space-y-3 bg-neutral-50 p-3 text-sm">
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => setFilter("")}
+          className={`rounded border px-2 py-1 text-xs ${filter === "" ? "bg-white font-semibold" : ""}`}
+        >
+          All {item.lines?.length || 0}
+        </button>
+        {Object.entries(item.byStatus || {}).map(([status, s]) => (
+          <button
+            key={status}
+            onClick={() => setFilter(status)}
+            className={`rounded border px-2 py-1 text-xs ${filter === status ? "bg-white font-semibold" : ""} ${LINE_STYLE[status] || ""}`}
+          >
+            {status} {s.count} · {fmt(s.collected)}
+          </button>
+        ))}
+        <div className="ml-auto flex gap-2">
+          {draft && (
+            <>
+              <button disabled={busy} onClick={onDiscard} className="rounded border bg-white px-3 py-1 text-xs hover:bg-neutral-100 disabled:opacity-50">
+                Discard
+              </button>
+              <button disabled={busy} onClick={onPost} className="rounded border bg-white px-3 py-1 text-xs font-semibold hover:bg-neutral-100 disabled:opacity-50">
+                Post statement
+              </button>
+            </>
+          )}
+          {posted && (
+            <button
+              disabled={busy}
+              onClick={() => onCapture()}
+              className="rounded border bg-white px-3 py-1 text-xs hover:bg-neutral-100 disabled:opacity-50"
+            >
+              Retry captures
+            </button>
+          )}
+        </div>
+      </div>
+      {draft && (
+        <div className="text-xs text-neutral-500">
+          Posting marks matched orders&apos; COD payments paid, records the courier&apos;s fees as shipment charges and
+          raises finance warnings for short, unknown, duplicate and missing parcels. Short lines stay unpaid until
+          accepted here.
+        </div>
+      )}
+      <div className="overflow-x-auto rounded border bg-white">
+        <table className="min-w-full text-xs">
+          <thead className="bg-neutral-50 text-left text-neutral-500">
+            <tr>
+              <th className="px-3 py-2">Row</th>
+              <th className="px-3 py-2">Consignment</th>
+              <th className="px-3 py-2">Order</th>
+              <th className="px-3 py-2 text-right">Expected</th>
+              <th className="px-3 py-2 text-right">Collected</th>
+              <th className="px-3 py-2 text-right">Fees</th>
+              <th className="px-3 py-2 text-right">Net</th>
+              <th className="px-3 py-2">Match</th>
+              {posted && <th className="px-3 py-2" />}
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((l) => (
+              <tr key={l.id} className="border-t">
+                <td className="px-3 py-1.5">{l.rowNumber}</td>
+                <td className="px-3 py-1.5 font-mono">{l.consignmentId}</td>
+                <td className="px-3 py-1.5">
+                  {l.shipment ? (
+                    <a href={`/admin/orders/${l.shipment.orderId}`} className="underline">
+                      #{l.shipment.order?.orderNumber}
+                    </a>
+                  ) : (
+                    l.invoice || "—"
+                  )}
+                </td>
+                <td className="px-3 py-1.5 text-right">{l.expectedAmount == null ? "—" : fmt(l.expectedAmount)}</td>
+                <td className="px-3 py-1.5 text-right">{fmt(l.collectedAmount)}</td>
+                <td className="px-3 py-1.5 text-right">{fmt(l.feeAmount)}</td>
+                <td className="px-3 py-1.5 text-right">{fmt(l.netAmount)}</td>
+                <td className={`px-3 py-1.5 font-semibold ${LINE_STYLE[l.status] || ""}`}>{l.status}</td>
+                {posted && (
+                  <td className="px-3 py-1.5 text-right">
+                    {l.status === "SHORT" &&
+                      (l.shortAcceptedAt ? (
+                        <span className="text-neutral-500">accepted</span>
+                      ) : (
+                        <button
+                          disabled={busy}
+                          onClick={() => onCapture([l.id])}
+                          className="rounded border bg-white px-2 py-0.5 hover:bg-neutral-100 disabled:opacity-50"
+                        >
+                          Accept short &amp; capture
+                        </button>
+                      ))}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default function SettlementsPanel() {
+  const [items, setItems] = useState([]);
+  const [couriers, setCouriers] = useState([]);
+  const [unremitted, setUnremitted] = useState([]);
+  const [status, setStatus] = useState("");
+  const [open, setOpen] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const res = await api(`/api/admin/settlements${status ? `?status=${status}` : ""}`);
+      setItems(res.items || []);
+      setCouriers(res.couriers || []);
+      setUnremitted(res.unremitted || []);
+    } catch (err) {
+      setError(err?.message || "Failed to load settlements");
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await fn();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err?.message || "Request failed");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const upload = (form) =>
+    run(async () => setOpen((await api("/api/admin/settlements", { method: "POST", form })).item));
+  const openItem = (r) =>
+    open?.id === r.id ? setOpen(null) : run(async () => setOpen((await api(`/api/admin/settlements/${r.id}`)).item));
+  const post = (r) =>
+    run(async () => {
+      const res = await api(`/api/admin/settlements/${r.id}`, { method: "PATCH", body: { action: "post" } });
+      setOpen(res.item);
+      setNotice(
+        `${res.item.label} posted: ${res.captured} COD payment(s) marked paid${res.errors?.length ? `, ${res.errors.length} failed` : ""}${res.held ? `, ${res.held} short line(s) held for review` : ""}.`
+      );
+    });
+  const capture = (r, acceptShort = []) =>
+    run(async () => {
+      const res = await api(`/api/admin/settlements/${r.id}`, {
+        method: "PATCH",
+        body: { action: "capture", acceptShort },
+      });
+      setOpen(res.item);
+      setNotice(
+        `${res.item.label}: ${res.captured} COD payment(s) marked paid${res.errors?.length ? `, ${res.errors.length} failed` : ""}${res.held ? `, ${res.held} short line(s) still held` : ""}.`
+      );
+    });
+  const discard = (r) =>
+    run(async () => {
+      await api(`/api/admin/settlements/${r.id}`, { method: "DELETE" });
+      setOpen(null);
+    });
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold">COD settlements</h1>
+        <p className="mt-1 text-xs text-neutral-600">
+          Import courier remittance statements (CSV or XLSX) and reconcile them against shipments by consignment id.
+        </p>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      {notice && <div className="text-sm text-green-700">{notice}</div>}
+
+      <div className="rounded border bg-white">
+        <div className="border-b p-3 font-medium">Import statement</div>
+        <UploadForm couriers={couriers} busy={busy} onUpload={upload} />
+      </div>
+
+      <div className="rounded border bg-white">
+        <div className="flex items-center justify-between border-b p-3">
+          <div className="font-medium">Statements</div>
+          <select className="rounded border px-2 py-1 text-sm" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="">All</option>
+            <option value="DRAFT">Draft</option>
+            <option value="POSTED">Posted</option>
+          </select>
+        </div>
+        <table className="min-w-full text-sm">
+          <thead className="bg-neutral-50 text-left text-xs text-neutral-500">
+            <tr>
+              <th className="px-3 py-2">No.</th>
+              <th className="px-3 py-2">Courier</th>
+              <th className="px-3 py-2">Reference</th>
+              <th className="px-3 py-2">Paid on</th>
+              <th className="px-3 py-2 text-right">Lines</th>
+              <th className="px-3 py-2 text-right">Collected</th>
+              <th className="px-3 py-2 text-right">Fees</th>
+              <th className="px-3 py-2 text-right">Net</th>
+              <th className="px-3 py-2">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((r) => (
+              <React.Fragment key={r.id}>
+                <tr className="cursor-pointer border-t hover:bg-neutral-50" onClick={() => openItem(r)}>
+                  <td className="px-3 py-2 font-mono">{r.label}</td>
+                  <td className="px-3 py-2">{r.courier?.code}</td>
+                  <td className="px-3 py-2">{r.reference || r.fileName || "—"}</td>
+                  <td className="px-3 py-2">{day(r.statementDate)}</td>
+                  <td className="px-3 py-2 text-right">{r.lineCount}</td>
+                  <td className="px-3 py-2 text-right">{fmt(r.totalCollected)}</td>
+                  <td className="px-3 py-2 text-right">{fmt(r.totalFees)}</td>
+                  <td className="px-3 py-2 text-right">{fmt(r.totalNet)}</td>
+                  <td className="px-3 py-2">{r.status}</td>
+                </tr>
+                {open?.id === r.id && (
+                  <tr>
+                    <td colSpan={9} className="p-0">
+                      <RemittanceDetail
+                        item={open}
+                        busy={busy}
+                        onPost={() => post(r)}
+                        onDiscard={() => discard(r)}
+                        onCapture={(acceptShort) => capture(r, acceptShort)}
+                      />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+            {!items.length && (
+              <tr>
+                <td colSpan={9} className="px-3 py-4 text-neutral-500">
+                  {loading ? "Loading…" : "No statements imported yet."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="rounded border bg-white">
+        <div className="border-b p-3">
+          <div className="font-medium">Delivered, not yet remitted</div>
+          <div className="text-xs text-neutral-500">COD parcels delivered per courier tracking that no posted statement has paid.</div>
+        </div>
+        <table className="min-w-full text-sm">
+          <thead className="bg-neutral-50 text-left text-xs text-neutral-500">
+            <tr>
+              <th className="px-3 py-2">Courier</th>
+              <th className="px-3 py-2">Consignment</th>
+              <th className="px-3 py-2">Order</th>
+              <th className="px-3 py-2">Delivered</th>
+              <th className="px-3 py-2 text-right">COD</th>
+            </tr>
+          </thead>
+          <tbody>
+            {unremitted.map((s) => (
+              <tr key={s.id} className="border-t">
+                <td className="px-3 py-2">{s.courier?.code}</td>
+                <td className="px-3 py-2 font-mono">{s.consignmentId || s.trackingNumber}</td>
+                <td className="px-3 py-2">
+                  <a href={`/admin/orders/${s.order?.id}`} className="underline">
+                    #{s.order?.orderNumber}
+                  </a>
+                </td>
+                <td className="px-3 py-2">{day(s.deliveredAt)}</td>
+                <td className="px-3 py-2 text-right">{fmt(s.codAmount)}</td>
+              </tr>
+            ))}
+            {!unremitted.length && (
+              <tr>
+                <td colSpan={5} className="px-3 py-4 text-neutral-500">
+                  {loading ? "Loading…" : "Every delivered COD parcel has been remitted."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
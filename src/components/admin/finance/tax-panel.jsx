@@ -0,0 +1,234 @@
+// FILE: src/components/admin/finance/tax-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    throw new Error(json?.error || `Request failed with ${res.status}`);
+  }
+  return json;
+}
+
+const fmt = (v) =>
+  Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const EMPTY_RATE = { countryIso2: "BD", region: "", percentage: "", name: "" };
+
+function RateForm({ onSubmit, disabled }) {
+  const [form, setForm] = useState(EMPTY_RATE);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <form
+      className="flex flex-wrap items-end gap-2 p-3 text-sm"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        if (await onSubmit(form)) setForm(EMPTY_RATE);
+      }}
+    >
+      <input className="w-16 rounded border px-2 py-1" placeholder="BD" value={form.countryIso2} onChange={set("countryIso2")} />
+      <input className="w-40 rounded border px-2 py-1" placeholder="Region (blank = country)" value={form.region} onChange={set("region")} />
+      <input className="w-20 rounded border px-2 py-1" placeholder="%" value={form.percentage} onChange={set("percentage")} />
+      <input className="w-40 rounded border px-2 py-1" placeholder="Invoice label" value={form.name} onChange={set("name")} />
+      <button disabled={disabled} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+        Add rate
+      </button>
+    </form>
+  );
+}
+
+export default function TaxPanel() {
+  const [classes, setClasses] = useState([]);
+  const [meta, setMeta] = useState({ unassigned: 0, defaultClass: "Standard" });
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [newClass, setNewClass] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const [c, s] = await Promise.all([
+        api("/api/admin/tax/classes"),
+        fetch("/api/tax/summary", { cache: "no-store" }).then((r) => r.json()).catch(() => null),
+      ]);
+      setClasses(c.items || []);
+      setMeta({ unassigned: c.unassigned || 0, defaultClass: c.defaultClass });
+      setSummary(s);
+    } catch (err) {
+      setError(err?.message || "Failed to load tax classes");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err?.message || "Request failed");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const hasDefault = classes.some((c) => c.name === meta.defaultClass);
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-xl font-semibold">Tax / VAT</h1>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      {summary && !summary.error && (
+        <div className="rounded border bg-white">
+          <div className="border-b p-4 font-medium">Last 30 days</div>
+          <div className="grid grid-cols-3 gap-3 p-4 text-sm">
+            <div>
+              <div className="text-neutral-500">Taxed orders</div>
+              <div className="font-medium">{summary.taxable_orders ?? "—"}</div>
+            </div>
+            <div>
+              <div className="text-neutral-500">Tax collected</div>
+              <div className="font-medium">৳{fmt(summary.collected)}</div>
+            </div>
+            <div>
+              <div className="text-neutral-500">Effective rate</div>
+              <div className="font-medium">{fmt(summary.effective_rate)}%</div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="rounded border bg-white p-4 text-sm text-neutral-600">
+        Products without a class use the <b>{meta.defaultClass}</b> class
+        {hasDefault ? "" : " (not created yet — the store-wide VAT setting applies instead)"}.{" "}
+        {meta.unassigned} product{meta.unassigned === 1 ? "" : "s"} unassigned. A rate with a region (division,
+        district or city) overrides the country-wide rate for addresses in that region.
+      </div>
+
+      <form
+        className="flex items-center gap-2 text-sm"
+        onSubmit={async (e) => {
+          e.preventDefault();
+          const name = newClass.trim();
+          if (!name) return;
+          if (await run(() => api("/api/admin/tax/classes", { method: "POST", body: { name } }))) setNewClass("");
+        }}
+      >
+        <input
+          className="w-56 rounded border px-2 py-1"
+          placeholder="New tax class"
+          value={newClass}
+          onChange={(e) => setNewClass(e.target.value)}
+        />
+        <button disabled={busy} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+          Add class
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="text-sm">Loading…</div>
+      ) : (
+        classes.map((c) => (
+          <div key={c.id} className="overflow-hidden rounded border bg-white">
+            <div className="flex items-center justify-between border-b p-4">
+              <div className="font-medium">
+                {c.name}
+                <span className="ml-2 text-sm font-normal text-neutral-500">
+                  {c._count?.products ?? 0} products
+                </span>
+              </div>
+              <button
+                disabled={busy}
+                className="text-sm text-red-600 disabled:opacity-50"
+                onClick={() => {
+                  if (!confirm(`Delete tax class "${c.name}" and its rates?`)) return;
+                  run(() => api(`/api/admin/tax/classes/${c.id}`, { method: "DELETE" }));
+                }}
+              >
+                Delete
+              </button>
+            </div>
+            <table className="min-w-full text-sm">
+              <thead className="bg-neutral-50">
+                <tr>
+                  <th className="px-3 py-2 text-left">Country</th>
+                  <th className="px-3 py-2 text-left">Region</th>
+                  <th className="px-3 py-2 text-right">Rate %</th>
+                  <th className="px-3 py-2 text-left">Label</th>
+                  <th className="px-3 py-2 text-left">Active</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {c.rates.map((r) => (
+                  <tr key={r.id} className="border-t">
+                    <td className="px-3 py-2">{r.countryIso2}</td>
+                    <td className="px-3 py-2">{r.region || "All"}</td>
+                    <td className="px-3 py-2 text-right">{fmt(r.percentage)}</td>
+                    <td className="px-3 py-2">{r.name || "—"}</td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={r.isActive}
+                        disabled={busy}
+                        onChange={(e) =>
+                          run(() =>
+                            api(`/api/admin/tax/rates/${r.id}`, { method: "PATCH", body: { isActive: e.target.checked } })
+                          )
+                        }
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        disabled={busy}
+                        className="text-red-600 disabled:opacity-50"
+                        onClick={() => run(() => api(`/api/admin/tax/rates/${r.id}`, { method: "DELETE" }))}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {c.rates.length === 0 && (
+                  <tr className="border-t">
+                    <td className="px-3 py-2 text-neutral-600" colSpan={6}>
+                      No rates — products in this class are zero-rated.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+            <div className="border-t">
+              <RateForm
+                disabled={busy}
+                onSubmit={(form) =>
+                  run(() => api("/api/admin/tax/rates", { method: "POST", body: { ...form, taxClassId: c.id } }))
+                }
+              />
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
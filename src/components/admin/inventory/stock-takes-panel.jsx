@@ -0,0 +1,395 @@
+// FILE: src/components/admin/inventory/stock-takes-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    const detail = json?.sku ? ` (${json.sku})` : "";
+    throw new Error(`${json?.error || `Request failed with ${res.status}`}${detail}`);
+  }
+  return json;
+}
+
+const STATUS_STYLE = {
+  COUNTING: "bg-amber-100 text-amber-800",
+  SUBMITTED: "bg-sky-100 text-sky-800",
+  APPROVED: "bg-green-100 text-green-800",
+  CANCELLED: "bg-red-100 text-red-700",
+};
+
+const stNo = (n) => `ST-${String(n).padStart(6, "0")}`;
+const fmtMoney = (v) => (v == null ? "—" : Number(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const signed = (v) => (v == null ? "—" : v > 0 ? `+${v}` : String(v));
+
+/** "SKU-1 5" / "SKU-1, 5" per line → [{ sku, countedQty }] */
+function parseCounts(text) {
+  return text
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((l) => {
+      const m = l.match(/^(\S+?)[\s,x×]+(\d+)$/i);
+      return m ? { sku: m[1], countedQty: Number(m[2]) } : { sku: l, countedQty: "" };
+    });
+}
+
+const EMPTY_TAKE = { warehouseId: "", categoryId: "", note: "" };
+
+function StartForm({ warehouses, categories, onSubmit, disabled }) {
+  const [form, setForm] = useState(EMPTY_TAKE);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <form
+      className="flex flex-wrap items-end gap-2 text-sm"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        if (await onSubmit({ ...form, categoryId: form.categoryId || null })) setForm(EMPTY_TAKE);
+      }}
+    >
+      <select className="rounded border px-2 py-1" value={form.warehouseId} onChange={set("warehouseId")}>
+        <option value="">Warehouse…</option>
+        {warehouses
+          .filter((w) => !w.archivedAt)
+          .map((w) => (
+            <option key={w.id} value={w.id}>
+              {w.code} · {w.name}
+            </option>
+          ))}
+      </select>
+      <select className="rounded border px-2 py-1" value={form.categoryId} onChange={set("categoryId")}>
+        <option value="">Whole warehouse</option>
+        {categories.map((c) => (
+          <option key={c.id} value={c.id}>
+            {c.name}
+          </option>
+        ))}
+      </select>
+      <input className="w-64 rounded border px-2 py-1" placeholder="Note (optional)" value={form.note} onChange={set("note")} />
+      <button disabled={disabled} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+        Start count
+      </button>
+    </form>
+  );
+}
+
+function TakeDetail({ take, busy, act, onClose }) {
+  const [scan, setScan] = useState("");
+  const [bulk, setBulk] = useState("");
+  const scanRef = useRef(null);
+  const counting = take.status === "COUNTING";
+  const submitted = take.status === "SUBMITTED";
+
+  const count = (counts) => act(take, { action: "count", counts });
+
+  return (
+    <div className="space-y-3 bg-neutral-50 p-3 text-sm">
+      {take.rejectedReason && counting && (
+        <div className="text-xs text-red-600">Sent back for recount: {take.rejectedReason}</div>
+      )}
+      {counting && (
+        <div className="grid gap-3 md:grid-cols-2">
+          <form
+            className="flex gap-2"
+            onSubmit={async (e) => {
+              e.preventDefault();
+              const code = scan.trim();
+              if (!code) return;
+              await count([{ sku: code, add: 1 }]);
+              setScan("");
+              scanRef.current?.focus();
+            }}
+          >
+            <input
+              ref={scanRef}
+              autoFocus
+              className="w-full rounded border px-2 py-1 font-mono"
+              placeholder="Scan barcode or type SKU (+1 per scan)"
+              value={scan}
+              onChange={(e) => setScan(e.target.value)}
+            />
+            <button disabled={busy} className="rounded border bg-white px-3 py-1 hover:bg-neutral-100 disabled:opacity-50">
+              +1
+            </button>
+          </form>
+          <form
+            className="space-y-2"
+            onSubmit={async (e) => {
+              e.preventDefault();
+              if (await count(parseCounts(bulk))) setBulk("");
+            }}
+          >
+            <textarea
+              rows={3}
+              className="w-full rounded border px-2 py-1 font-mono text-xs"
+              placeholder={"Counted quantities, one per line: SKU quantity\nTSHIRT-RED-M 12"}
+              value={bulk}
+              onChange={(e) => setBulk(e.target.value)}
+            />
+            <button disabled={busy || !bulk.trim()} className="rounded border bg-white px-3 py-1 hover:bg-neutral-100 disabled:opacity-50">
+              Set counts
+            </button>
+          </form>
+        </div>
+      )}
+
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-xs text-neutral-500">
+            <th className="px-2 py-1 text-left">SKU</th>
+            <th className="px-2 py-1 text-right">Expected</th>
+            <th className="px-2 py-1 text-right">Counted</th>
+            <th className="px-2 py-1 text-right">Variance</th>
+            <th className="px-2 py-1 text-right">Value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {take.lines.map((l) => (
+            <tr key={l.id} className={l.varianceQty ? (l.varianceQty < 0 ? "text-red-700" : "text-green-700") : ""}>
+              <td className="px-2 py-1">
+                <span className="font-mono text-xs">{l.variant?.sku || l.variantId}</span>
+                {l.variant?.product?.name && <span className="ml-2 text-xs text-neutral-500">{l.variant.product.name}</span>}
+              </td>
+              <td className="px-2 py-1 text-right">{l.expectedQty}</td>
+              <td className="px-2 py-1 text-right">
+                {counting ? (
+                  <input
+                    className="w-16 rounded border px-1 py-0.5 text-right"
+                    defaultValue={l.countedQty ?? ""}
+                    key={`${l.id}:${l.countedQty}`}
+                    onBlur={(e) => {
+                      const v = e.target.value.trim();
+                      if (v !== "" && Number(v) !== l.countedQty) count([{ lineId: l.id, countedQty: v }]);
+                    }}
+                  />
+                ) : (
+                  l.countedQty ?? "—"
+                )}
+              </td>
+              <td className="px-2 py-1 text-right">{signed(l.varianceQty)}</td>
+              <td className="px-2 py-1 text-right">{fmtMoney(l.varianceValue)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t text-xs text-neutral-600">
+            <td className="px-2 py-1" colSpan={3}>
+              {take.totals.counted} counted · {take.totals.uncounted} not counted (left unchanged)
+            </td>
+            <td className="px-2 py-1 text-right">
+              −{take.totals.shrinkUnits} / +{take.totals.surplusUnits}
+            </td>
+            <td className="px-2 py-1 text-right font-medium">{fmtMoney(take.totals.netValue)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      <div className="flex flex-wrap gap-2">
+        {counting && (
+          <button
+            disabled={busy}
+            className="rounded border bg-white px-3 py-1 hover:bg-neutral-100 disabled:opacity-50"
+            onClick={() => act(take, { action: "submit" })}
+          >
+            Submit for approval
+          </button>
+        )}
+        {submitted && (
+          <>
+            <button
+              disabled={busy}
+              className="rounded border bg-white px-3 py-1 hover:bg-neutral-100 disabled:opacity-50"
+              onClick={() => {
+                if (confirm(`Approve ${stNo(take.number)}? Variances post as stock adjustments.`)) act(take, { action: "approve" });
+              }}
+            >
+              Approve
+            </button>
+            <button
+              disabled={busy}
+              className="rounded border bg-white px-3 py-1 hover:bg-neutral-100 disabled:opacity-50"
+              onClick={() => {
+                const reason = prompt("What should be recounted?");
+                if (reason !== null) act(take, { action: "reject", reason });
+              }}
+            >
+              Send back
+            </button>
+          </>
+        )}
+        {(counting || submitted) && (
+          <button
+            disabled={busy}
+            className="px-3 py-1 text-red-600 disabled:opacity-50"
+            onClick={() => {
+              if (confirm(`Cancel ${stNo(take.number)}? Nothing is adjusted and the stock is released.`)) act(take, { action: "cancel" });
+            }}
+          >
+            Cancel take
+          </button>
+        )}
+        <button type="button" className="px-3 py-1 text-neutral-600" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function StockTakesPanel() {
+  const [takes, setTakes] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [status, setStatus] = useState("");
+  const [open, setOpen] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const qs = status ? `?status=${status}` : "";
+      const [res, wh] = await Promise.all([
+        api(`/api/admin/inventory/stock-takes${qs}`),
+        api("/api/admin/inventory/warehouses"),
+      ]);
+      setTakes(res.items || []);
+      setCategories(res.categories || []);
+      setWarehouses(wh.items || []);
+    } catch (err) {
+      setError(err?.message || "Failed to load stock-takes");
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err?.message || "Request failed");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const openTake = (t) => run(async () => setOpen((await api(`/api/admin/inventory/stock-takes/${t.id}`)).item));
+  const act = (t, body) =>
+    run(async () => setOpen((await api(`/api/admin/inventory/stock-takes/${t.id}`, { method: "PATCH", body })).item));
+
+  return (
+    <div className="space-y-6">
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="rounded border bg-white">
+        <div className="border-b p-3">
+          <div className="font-medium">New stock-take</div>
+          <div className="text-xs text-neutral-500">
+            Starting a count freezes the rows in scope: they are not allocated to orders and cannot be moved, transferred or
+            received into until the take is approved or cancelled. Approval needs someone other than the person who
+            submitted the counts.
+          </div>
+        </div>
+        <div className="p-3">
+          <StartForm
+            warehouses={warehouses}
+            categories={categories}
+            disabled={busy}
+            onSubmit={(body) => run(async () => setOpen((await api("/api/admin/inventory/stock-takes", { method: "POST", body })).item))}
+          />
+        </div>
+      </div>
+
+      <div className="overflow-hidden rounded border bg-white">
+        <div className="flex items-center justify-between border-b p-3">
+          <div className="font-medium">Stock-takes</div>
+          <select className="rounded border px-2 py-1 text-sm" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_STYLE).map((s) => (
+              <option key={s} value={s}>
+                {s.toLowerCase()}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-neutral-50">
+              <tr>
+                <th className="px-3 py-2 text-left">Take</th>
+                <th className="px-3 py-2 text-left">Scope</th>
+                <th className="px-3 py-2 text-right">Counted</th>
+                <th className="px-3 py-2 text-right">Variances</th>
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {!loading &&
+                takes.map((t) => (
+                  <React.Fragment key={t.id}>
+                    <tr className="border-t align-top">
+                      <td className="px-3 py-2">
+                        <div className="font-mono text-xs font-medium">{stNo(t.number)}</div>
+                        <div className="text-xs text-neutral-500">{new Date(t.createdAt).toLocaleString()}</div>
+                        {t.note && <div className="text-xs text-neutral-600">{t.note}</div>}
+                      </td>
+                      <td className="px-3 py-2">
+                        {t.warehouse.code}
+                        <div className="text-xs text-neutral-500">{t.category?.name || "All categories"}</div>
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        {t.countedCount} / {t.lineCount}
+                      </td>
+                      <td className="px-3 py-2 text-right">{t.varianceLines}</td>
+                      <td className="px-3 py-2">
+                        <span className={`rounded px-2 py-0.5 text-xs ${STATUS_STYLE[t.status] || ""}`}>{t.status.toLowerCase()}</span>
+                      </td>
+                      <td className="whitespace-nowrap px-3 py-2 text-right">
+                        <button disabled={busy} className="disabled:opacity-50" onClick={() => openTake(t)}>
+                          {t.status === "COUNTING" ? "Count" : t.status === "SUBMITTED" ? "Review" : "Report"}
+                        </button>
+                      </td>
+                    </tr>
+                    {open?.id === t.id && (
+                      <tr className="border-t">
+                        <td colSpan={6}>
+                          <TakeDetail take={open} busy={busy} act={act} onClose={() => setOpen(null)} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              {!loading && takes.length === 0 && (
+                <tr>
+                  <td className="px-3 py-3 text-neutral-600" colSpan={6}>
+                    No stock-takes yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
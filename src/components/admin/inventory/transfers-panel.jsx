@@ -0,0 +1,354 @@
+// FILE: src/components/admin/inventory/transfers-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    const detail = json?.sku ? ` (${json.sku})` : "";
+    throw new Error(`${json?.error || `Request failed with ${res.status}`}${detail}`);
+  }
+  return json;
+}
+
+const STATUS_STYLE = {
+  DRAFT: "bg-neutral-100 text-neutral-700",
+  DISPATCHED: "bg-amber-100 text-amber-800",
+  PARTIALLY_RECEIVED: "bg-sky-100 text-sky-800",
+  RECEIVED: "bg-green-100 text-green-800",
+  CANCELLED: "bg-red-100 text-red-700",
+};
+
+const trNo = (n) => `TR-${String(n).padStart(6, "0")}`;
+const outstanding = (it) => it.quantity - it.receivedQty - it.discrepancyQty;
+
+/** "SKU-1 5" / "SKU-1, 5" / "SKU-1 x5" per line → [{ sku, quantity }] */
+function parseLines(text) {
+  return text
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((l) => {
+      const m = l.match(/^(\S+?)[\s,x×]+(\d+)$/i);
+      return m ? { sku: m[1], quantity: Number(m[2]) } : { sku: l, quantity: 0 };
+    });
+}
+
+const EMPTY_TRANSFER = { fromWarehouseId: "", toWarehouseId: "", lines: "", note: "" };
+
+function TransferForm({ warehouses, onSubmit, disabled }) {
+  const [form, setForm] = useState(EMPTY_TRANSFER);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const options = warehouses.filter((w) => !w.archivedAt);
+
+  return (
+    <form
+      className="grid gap-2 text-sm md:grid-cols-[1fr_1fr_2fr_auto]"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        const ok = await onSubmit({
+          fromWarehouseId: form.fromWarehouseId,
+          toWarehouseId: form.toWarehouseId,
+          note: form.note,
+          lines: parseLines(form.lines),
+        });
+        if (ok) setForm(EMPTY_TRANSFER);
+      }}
+    >
+      <select className="rounded border px-2 py-1" value={form.fromWarehouseId} onChange={set("fromWarehouseId")}>
+        <option value="">From…</option>
+        {options.map((w) => (
+          <option key={w.id} value={w.id}>
+            {w.code} · {w.name}
+          </option>
+        ))}
+      </select>
+      <select className="rounded border px-2 py-1" value={form.toWarehouseId} onChange={set("toWarehouseId")}>
+        <option value="">To…</option>
+        {options.map((w) => (
+          <option key={w.id} value={w.id}>
+            {w.code} · {w.name}
+          </option>
+        ))}
+      </select>
+      <div className="space-y-2">
+        <textarea
+          rows={3}
+          className="w-full rounded border px-2 py-1 font-mono text-xs"
+          placeholder={"One line per SKU: SKU quantity\nTSHIRT-RED-M 10"}
+          value={form.lines}
+          onChange={set("lines")}
+        />
+        <input className="w-full rounded border px-2 py-1" placeholder="Note (optional)" value={form.note} onChange={set("note")} />
+      </div>
+      <div>
+        <button disabled={disabled} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+          Create draft
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function ReceiveForm({ transfer, onSubmit, onClose, disabled }) {
+  const open = transfer.items.filter((it) => outstanding(it) > 0);
+  const [rows, setRows] = useState(() =>
+    Object.fromEntries(open.map((it) => [it.id, { receivedQty: String(outstanding(it)), discrepancyQty: "", discrepancyNote: "" }]))
+  );
+  const set = (id, k) => (e) => setRows((r) => ({ ...r, [id]: { ...r[id], [k]: e.target.value } }));
+
+  return (
+    <form
+      className="space-y-2 bg-neutral-50 p-3 text-sm"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit(Object.entries(rows).map(([itemId, r]) => ({ itemId, ...r })));
+      }}
+    >
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-xs text-neutral-500">
+            <th className="px-2 py-1 text-left">SKU</th>
+            <th className="px-2 py-1 text-right">In transit</th>
+            <th className="px-2 py-1 text-right">Received</th>
+            <th className="px-2 py-1 text-right">Short / damaged</th>
+            <th className="px-2 py-1 text-left">Discrepancy note</th>
+          </tr>
+        </thead>
+        <tbody>
+          {open.map((it) => (
+            <tr key={it.id}>
+              <td className="px-2 py-1 font-mono text-xs">{it.variant?.sku || it.variantId}</td>
+              <td className="px-2 py-1 text-right">{outstanding(it)}</td>
+              <td className="px-2 py-1 text-right">
+                <input className="w-16 rounded border px-1 py-0.5 text-right" value={rows[it.id].receivedQty} onChange={set(it.id, "receivedQty")} />
+              </td>
+              <td className="px-2 py-1 text-right">
+                <input className="w-16 rounded border px-1 py-0.5 text-right" value={rows[it.id].discrepancyQty} onChange={set(it.id, "discrepancyQty")} />
+              </td>
+              <td className="px-2 py-1">
+                <input className="w-full rounded border px-1 py-0.5" value={rows[it.id].discrepancyNote} onChange={set(it.id, "discrepancyNote")} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex gap-2">
+        <button disabled={disabled} className="rounded border bg-white px-3 py-1 hover:bg-neutral-100 disabled:opacity-50">
+          Book receipt
+        </button>
+        <button type="button" className="px-3 py-1 text-neutral-600" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function TransfersPanel() {
+  const [transfers, setTransfers] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [status, setStatus] = useState("");
+  const [receiving, setReceiving] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const qs = status ? `?status=${status}` : "";
+      const [res, wh] = await Promise.all([
+        api(`/api/admin/inventory/transfers${qs}`),
+        api("/api/admin/inventory/warehouses"),
+      ]);
+      setTransfers(res.items || []);
+      setWarehouses(wh.items || []);
+    } catch (err) {
+      setError(err?.message || "Failed to load transfers");
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err?.message || "Request failed");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const act = (t, body) => run(() => api(`/api/admin/inventory/transfers/${t.id}`, { method: "PATCH", body }));
+
+  return (
+    <div className="space-y-6">
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="rounded border bg-white">
+        <div className="border-b p-3">
+          <div className="font-medium">New transfer</div>
+          <div className="text-xs text-neutral-500">
+            Drafts move no stock. Dispatching takes the units off the source warehouse; they count as in transit until
+            received (or written off as short / damaged) at the destination.
+          </div>
+        </div>
+        <div className="p-3">
+          <TransferForm
+            warehouses={warehouses}
+            disabled={busy}
+            onSubmit={(body) => run(() => api("/api/admin/inventory/transfers", { method: "POST", body }))}
+          />
+        </div>
+      </div>
+
+      <div className="overflow-hidden rounded border bg-white">
+        <div className="flex items-center justify-between border-b p-3">
+          <div className="font-medium">Transfers</div>
+          <select className="rounded border px-2 py-1 text-sm" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_STYLE).map((s) => (
+              <option key={s} value={s}>
+                {s.replace("_", " ").toLowerCase()}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-neutral-50">
+              <tr>
+                <th className="px-3 py-2 text-left">Transfer</th>
+                <th className="px-3 py-2 text-left">Route</th>
+                <th className="px-3 py-2 text-left">Lines</th>
+                <th className="px-3 py-2 text-right">Units</th>
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {!loading &&
+                transfers.map((t) => {
+                  const units = t.items.reduce((s, it) => s + it.quantity, 0);
+                  const received = t.items.reduce((s, it) => s + it.receivedQty, 0);
+                  const short = t.items.reduce((s, it) => s + it.discrepancyQty, 0);
+                  const inTransit = t.status === "DISPATCHED" || t.status === "PARTIALLY_RECEIVED";
+                  return (
+                    <React.Fragment key={t.id}>
+                      <tr className="border-t align-top">
+                        <td className="px-3 py-2">
+                          <div className="font-mono text-xs font-medium">{trNo(t.number)}</div>
+                          <div className="text-xs text-neutral-500">{new Date(t.createdAt).toLocaleString()}</div>
+                          {t.note && <div className="text-xs text-neutral-600">{t.note}</div>}
+                        </td>
+                        <td className="px-3 py-2">
+                          {t.fromWarehouse.code} → {t.toWarehouse.code}
+                        </td>
+                        <td className="px-3 py-2 text-xs">
+                          {t.items.map((it) => (
+                            <div key={it.id}>
+                              <span className="font-mono">{it.variant?.sku || it.variantId}</span> × {it.quantity}
+                              {it.discrepancyQty > 0 && (
+                                <span className="text-red-600" title={it.discrepancyNote || ""}>
+                                  {" "}
+                                  ({it.discrepancyQty} short)
+                                </span>
+                              )}
+                            </div>
+                          ))}
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          {units}
+                          {t.status !== "DRAFT" && t.status !== "CANCELLED" && (
+                            <div className="text-xs text-neutral-500">
+                              {received} received{short ? ` · ${short} short` : ""}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-3 py-2">
+                          <span className={`rounded px-2 py-0.5 text-xs ${STATUS_STYLE[t.status] || ""}`}>
+                            {t.status.replace("_", " ").toLowerCase()}
+                          </span>
+                        </td>
+                        <td className="whitespace-nowrap px-3 py-2 text-right">
+                          <Link className="mr-3 underline" href={`/admin/inventory/transfers/${t.id}/manifest`}>
+                            Manifest
+                          </Link>
+                          {t.status === "DRAFT" && (
+                            <button disabled={busy} className="mr-3 disabled:opacity-50" onClick={() => act(t, { action: "dispatch" })}>
+                              Dispatch
+                            </button>
+                          )}
+                          {inTransit && (
+                            <button disabled={busy} className="mr-3 disabled:opacity-50" onClick={() => setReceiving(t.id)}>
+                              Receive
+                            </button>
+                          )}
+                          {(t.status === "DRAFT" || (t.status === "DISPATCHED" && received + short === 0)) && (
+                            <button
+                              disabled={busy}
+                              className="text-red-600 disabled:opacity-50"
+                              onClick={() => {
+                                const msg =
+                                  t.status === "DRAFT"
+                                    ? `Cancel ${trNo(t.number)}?`
+                                    : `Cancel ${trNo(t.number)}? Its units go back to ${t.fromWarehouse.code}.`;
+                                if (confirm(msg)) act(t, { action: "cancel" });
+                              }}
+                            >
+                              Cancel
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {receiving === t.id && inTransit && (
+                        <tr className="border-t">
+                          <td colSpan={6}>
+                            <ReceiveForm
+                              transfer={t}
+                              disabled={busy}
+                              onClose={() => setReceiving(null)}
+                              onSubmit={async (lines) => {
+                                if (await act(t, { action: "receive", lines })) setReceiving(null);
+                              }}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              {!loading && transfers.length === 0 && (
+                <tr>
+                  <td className="px-3 py-3 text-neutral-600" colSpan={6}>
+                    No transfers yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
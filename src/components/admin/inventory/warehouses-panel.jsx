@@ -0,0 +1,287 @@
+// FILE: src/components/admin/inventory/warehouses-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    throw new Error(json?.error || `Request failed with ${res.status}`);
+  }
+  return json;
+}
+
+const EMPTY_WAREHOUSE = { name: "", code: "", priority: "100" };
+
+function WarehouseForm({ onSubmit, disabled }) {
+  const [form, setForm] = useState(EMPTY_WAREHOUSE);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <form
+      className="flex flex-wrap items-end gap-2 text-sm"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        if (await onSubmit(form)) setForm(EMPTY_WAREHOUSE);
+      }}
+    >
+      <input className="w-48 rounded border px-2 py-1" placeholder="Name (e.g. Chattogram store)" value={form.name} onChange={set("name")} />
+      <input className="w-28 rounded border px-2 py-1" placeholder="Code (CTG)" value={form.code} onChange={set("code")} />
+      <input className="w-20 rounded border px-2 py-1" placeholder="Priority" value={form.priority} onChange={set("priority")} />
+      <button disabled={disabled} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+        Add warehouse
+      </button>
+    </form>
+  );
+}
+
+function ZonePicker({ zones, value, onChange, disabled }) {
+  const selected = new Set(value.map((z) => z.id));
+  return (
+    <div className="flex flex-wrap gap-x-3 gap-y-1">
+      {zones.map((z) => (
+        <label key={z.id} className={`inline-flex items-center gap-1 text-xs ${z.isActive ? "" : "text-neutral-400"}`}>
+          <input
+            type="checkbox"
+            disabled={disabled}
+            checked={selected.has(z.id)}
+            onChange={(e) => {
+              const next = new Set(selected);
+              if (e.target.checked) next.add(z.id);
+              else next.delete(z.id);
+              onChange([...next]);
+            }}
+          />
+          {z.name}
+        </label>
+      ))}
+      {zones.length === 0 && <span className="text-xs text-neutral-500">No shipping zones yet.</span>}
+    </div>
+  );
+}
+
+function PickList({ list }) {
+  return (
+    <div className="overflow-hidden rounded border bg-white print:break-after-page">
+      <div className="flex items-center justify-between border-b p-3">
+        <div className="font-medium">
+          {list.warehouse ? `${list.warehouse.name} (${list.warehouse.code})` : "No warehouse"}
+        </div>
+        <div className="text-xs text-neutral-500">
+          {list.shipments.length} parcel(s) · {list.units} unit(s)
+        </div>
+      </div>
+      <table className="min-w-full text-sm">
+        <thead className="bg-neutral-50">
+          <tr>
+            <th className="px-3 py-2 text-left">SKU</th>
+            <th className="px-3 py-2 text-left">Item</th>
+            <th className="px-3 py-2 text-right">Qty</th>
+            <th className="px-3 py-2 text-left">Orders</th>
+          </tr>
+        </thead>
+        <tbody>
+          {list.lines.map((l) => (
+            <tr key={l.variantId || l.sku} className="border-t">
+              <td className="px-3 py-2 font-mono text-xs">{l.sku || "—"}</td>
+              <td className="px-3 py-2">{l.title || "—"}</td>
+              <td className="px-3 py-2 text-right font-medium">{l.quantity}</td>
+              <td className="px-3 py-2 text-xs text-neutral-600">{l.orders.map((o) => `#${o}`).join(", ")}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function WarehousesPanel() {
+  const [warehouses, setWarehouses] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [picks, setPicks] = useState([]);
+  const [pickWarehouseId, setPickWarehouseId] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const qs = pickWarehouseId ? `?warehouseId=${encodeURIComponent(pickWarehouseId)}` : "";
+      const [res, pl] = await Promise.all([
+        api("/api/admin/inventory/warehouses"),
+        api(`/api/admin/inventory/pick-lists${qs}`),
+      ]);
+      setWarehouses(res.items || []);
+      setZones(res.zones || []);
+      setPicks(pl.items || []);
+    } catch (err) {
+      setError(err?.message || "Failed to load warehouses");
+    } finally {
+      setLoading(false);
+    }
+  }, [pickWarehouseId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err?.message || "Request failed");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const patch = (w, body) => run(() => api(`/api/admin/inventory/warehouses/${w.id}`, { method: "PATCH", body }));
+
+  return (
+    <div className="space-y-6">
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="overflow-hidden rounded border bg-white print:hidden">
+        <div className="border-b p-3">
+          <div className="font-medium">Warehouses</div>
+          <div className="text-xs text-neutral-500">
+            Orders are allocated to warehouses serving the customer&apos;s shipping zone first, then by priority (lower
+            first). An order no single warehouse can cover is split into one shipment per warehouse.
+          </div>
+        </div>
+        <div className="border-b p-3">
+          <WarehouseForm disabled={busy} onSubmit={(body) => run(() => api("/api/admin/inventory/warehouses", { method: "POST", body }))} />
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-neutral-50">
+              <tr>
+                <th className="px-3 py-2 text-left">Warehouse</th>
+                <th className="px-3 py-2 text-right">Priority</th>
+                <th className="px-3 py-2 text-left">Serves zones</th>
+                <th className="px-3 py-2 text-right">SKUs</th>
+                <th className="px-3 py-2 text-right">On hand</th>
+                <th className="px-3 py-2 text-right">To pick</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {!loading &&
+                warehouses.map((w) => (
+                  <tr key={w.id} className={`border-t align-top ${w.archivedAt ? "text-neutral-400" : ""}`}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium">{w.name}</div>
+                      <div className="text-xs text-neutral-500">
+                        {w.code} · {w.archivedAt ? "ARCHIVED" : w.status}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <input
+                        className="w-16 rounded border px-1 py-0.5 text-right"
+                        defaultValue={w.priority}
+                        disabled={busy || !!w.archivedAt}
+                        onBlur={(e) => {
+                          if (String(w.priority) !== e.target.value) patch(w, { priority: e.target.value });
+                        }}
+                      />
+                    </td>
+                    <td className="max-w-md px-3 py-2">
+                      <ZonePicker
+                        zones={zones}
+                        value={w.serviceZones}
+                        disabled={busy || !!w.archivedAt}
+                        onChange={(ids) => patch(w, { serviceZoneIds: ids })}
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-right">{w.skus}</td>
+                    <td className="px-3 py-2 text-right">
+                      {w.onHand}
+                      {w.reserved ? <div className="text-xs text-neutral-500">{w.reserved} reserved</div> : null}
+                    </td>
+                    <td className="px-3 py-2 text-right">{w.pendingShipments}</td>
+                    <td className="whitespace-nowrap px-3 py-2 text-right">
+                      {w.archivedAt ? (
+                        <button disabled={busy} className="disabled:opacity-50" onClick={() => patch(w, { archived: false, status: "ACTIVE" })}>
+                          Restore
+                        </button>
+                      ) : (
+                        <>
+                          <button
+                            disabled={busy}
+                            className="mr-3 disabled:opacity-50"
+                            onClick={() => patch(w, { status: w.status === "ACTIVE" ? "INACTIVE" : "ACTIVE" })}
+                          >
+                            {w.status === "ACTIVE" ? "Stop allocating" : "Allocate again"}
+                          </button>
+                          <button
+                            disabled={busy}
+                            className="text-red-600 disabled:opacity-50"
+                            onClick={() => {
+                              if (!confirm(`Archive ${w.name}? Its stock stays on record but is no longer allocated.`)) return;
+                              run(() => api(`/api/admin/inventory/warehouses/${w.id}`, { method: "DELETE" }));
+                            }}
+                          >
+                            Archive
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              {!loading && warehouses.length === 0 && (
+                <tr>
+                  <td className="px-3 py-3 text-neutral-600" colSpan={7}>
+                    No warehouses yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex items-center justify-between print:hidden">
+          <div>
+            <div className="font-medium">Pick lists</div>
+            <div className="text-xs text-neutral-500">Allocated shipments not yet booked with a courier.</div>
+          </div>
+          <div className="flex items-center gap-2 text-sm">
+            <select
+              className="rounded border px-2 py-1"
+              value={pickWarehouseId}
+              onChange={(e) => setPickWarehouseId(e.target.value)}
+            >
+              <option value="">All warehouses</option>
+              {warehouses
+                .filter((w) => !w.archivedAt)
+                .map((w) => (
+                  <option key={w.id} value={w.id}>
+                    {w.code} · {w.name}
+                  </option>
+                ))}
+            </select>
+            <button className="rounded border px-3 py-1 hover:bg-neutral-50" onClick={() => window.print()}>
+              Print
+            </button>
+          </div>
+        </div>
+        {!loading && picks.map((list) => <PickList key={list.warehouse?.id || "none"} list={list} />)}
+        {!loading && picks.length === 0 && <div className="text-sm text-neutral-600">Nothing to pick.</div>}
+      </div>
+    </div>
+  );
+}
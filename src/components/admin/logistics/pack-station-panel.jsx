@@ -0,0 +1,376 @@
+// FILE: src/components/admin/logistics/pack-station-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    const err = new Error(json?.error || `Request failed with ${res.status}`);
+    err.payload = json;
+    throw err;
+  }
+  return json;
+}
+
+const EXCEPTION_LABEL = {
+  MISPICK: "Not on this order",
+  WRONG_VARIANT: "Wrong size / colour",
+  OVER_PICK: "Already packed — one too many",
+  SHORT_PICK: "Short pick",
+};
+
+const EMPTY_PACKAGE = { weightKg: "", lengthCm: "", widthCm: "", heightCm: "", courierCode: "", serviceCode: "STANDARD" };
+
+function ScanInput({ placeholder, onScan, disabled, inputRef }) {
+  const [value, setValue] = useState("");
+  return (
+    <form
+      className="flex gap-2"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        const code = value.trim();
+        if (!code) return;
+        setValue("");
+        await onScan(code);
+        inputRef?.current?.focus();
+      }}
+    >
+      <input
+        ref={inputRef}
+        autoFocus
+        disabled={disabled}
+        className="w-full rounded border px-3 py-2 font-mono text-base"
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+      />
+    </form>
+  );
+}
+
+function ExceptionsSummary({ refreshKey }) {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    api("/api/admin/fulfillment/pack/exceptions?days=30")
+      .then(setReport)
+      .catch(() => setReport(null));
+  }, [refreshKey]);
+
+  if (!report) return null;
+  return (
+    <div className="rounded border bg-white">
+      <div className="border-b p-3">
+        <div className="font-medium">Caught at the bench (last {report.days} days)</div>
+        <div className="text-xs text-neutral-500">Scans refused before dispatch, and parcels confirmed with units missing.</div>
+      </div>
+      <div className="grid grid-cols-2 gap-3 p-3 text-sm md:grid-cols-4">
+        {Object.entries(report.kinds).map(([kind, v]) => (
+          <div key={kind} className="rounded border p-3">
+            <div className="text-xs text-neutral-500">{EXCEPTION_LABEL[kind] || kind}</div>
+            <div className="text-lg font-semibold">{v.events}</div>
+          </div>
+        ))}
+      </div>
+      {report.topSkus.length > 0 && (
+        <div className="border-t p-3 text-xs">
+          <span className="text-neutral-500">Most confused SKUs: </span>
+          {report.topSkus.slice(0, 10).map((s) => (
+            <span key={s.sku} className="mr-3 font-mono">
+              {s.sku} ({s.events})
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function PackStationPanel() {
+  const [warehouses, setWarehouses] = useState([]);
+  const [warehouseId, setWarehouseId] = useState("");
+  const [job, setJob] = useState(null);
+  const [shipmentId, setShipmentId] = useState("");
+  const [pkg, setPkg] = useState(EMPTY_PACKAGE);
+  const [lastScan, setLastScan] = useState(null);
+  const [booked, setBooked] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [refreshKey, setRefreshKey] = useState(0);
+  const orderRef = useRef(null);
+  const itemRef = useRef(null);
+
+  useEffect(() => {
+    api("/api/admin/inventory/warehouses")
+      .then((wh) => setWarehouses((wh.items || []).filter((w) => !w.archivedAt)))
+      .catch(() => setWarehouses([]));
+  }, []);
+
+  const shipment = job?.shipments.find((s) => s.id === shipmentId) || null;
+  const setShipment = (next) =>
+    setJob((j) => (j ? { ...j, shipments: j.shipments.map((s) => (s.id === next.id ? next : s)) } : j));
+
+  const clear = useCallback(() => {
+    setJob(null);
+    setShipmentId("");
+    setPkg(EMPTY_PACKAGE);
+    setLastScan(null);
+    orderRef.current?.focus();
+  }, []);
+
+  async function loadOrder(code) {
+    setBusy(true);
+    setError("");
+    setBooked(null);
+    setLastScan(null);
+    try {
+      const qs = new URLSearchParams({ code });
+      if (warehouseId) qs.set("warehouseId", warehouseId);
+      const res = await api(`/api/admin/fulfillment/pack?${qs}`);
+      setJob(res);
+      setShipmentId(res.shipments[0]?.id || "");
+      setPkg({ ...EMPTY_PACKAGE, courierCode: res.courier?.courierCode || "", serviceCode: res.courier?.serviceCode || "STANDARD" });
+      setTimeout(() => itemRef.current?.focus(), 0);
+    } catch (err) {
+      setJob(null);
+      setError(err?.message || "Order could not be loaded");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function scanItem(code) {
+    if (!shipment) return;
+    setBusy(true);
+    setError("");
+    try {
+      const res = await api(`/api/admin/fulfillment/pack/${shipment.id}`, { method: "PATCH", body: { action: "scan", code } });
+      setShipment(res.shipment);
+      setLastScan({ ok: true, code });
+    } catch (err) {
+      const p = err?.payload || {};
+      if (p.shipment) setShipment(p.shipment);
+      if (EXCEPTION_LABEL[p.error]) {
+        setLastScan({ ok: false, code, kind: p.error, expectedSku: p.expectedSku });
+        setRefreshKey((k) => k + 1);
+      } else {
+        setError(err?.message || "Scan failed");
+      }
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function patch(body) {
+    setBusy(true);
+    setError("");
+    try {
+      return await api(`/api/admin/fulfillment/pack/${shipment.id}`, { method: "PATCH", body });
+    } catch (err) {
+      const missing = err?.payload?.missing;
+      setError(
+        missing?.length
+          ? `Short pick — still missing ${missing.map((m) => `${m.sku} × ${m.quantity}`).join(", ")}`
+          : err?.message || "Request failed"
+      );
+      if (missing?.length) setRefreshKey((k) => k + 1);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const set = (k) => (e) => setPkg((p) => ({ ...p, [k]: e.target.value }));
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded border bg-white">
+        <div className="flex flex-wrap items-center justify-between gap-3 border-b p-3">
+          <div>
+            <div className="font-medium">Pack station</div>
+            <div className="text-xs text-neutral-500">
+              Scan the order barcode, then every unit going into the box. Confirming books the courier and prints the label.
+            </div>
+          </div>
+          <select className="rounded border px-2 py-1 text-sm" value={warehouseId} onChange={(e) => setWarehouseId(e.target.value)}>
+            <option value="">Any warehouse</option>
+            {warehouses.map((w) => (
+              <option key={w.id} value={w.id}>
+                {w.code} · {w.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="p-3">
+          <ScanInput inputRef={orderRef} placeholder="Scan order barcode (or type order number)" onScan={loadOrder} disabled={busy} />
+        </div>
+      </div>
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      {booked && (
+        <div className="rounded border border-green-300 bg-green-50 p-3 text-sm">
+          Booked — tracking <span className="font-mono">{booked.trackingNumber || "—"}</span>
+          {booked.labelUrl && (
+            <a className="ml-3 underline" href={booked.labelUrl} target="_blank" rel="noreferrer">
+              Print label
+            </a>
+          )}
+        </div>
+      )}
+
+      {job && (
+        <div className="rounded border bg-white">
+          <div className="flex flex-wrap items-center justify-between gap-3 border-b p-3">
+            <div className="font-medium">Order #{job.order.orderNumber}</div>
+            {job.shipments.length > 1 && (
+              <div className="flex gap-2 text-xs">
+                {job.shipments.map((s, i) => (
+                  <button
+                    key={s.id}
+                    className={`rounded border px-2 py-1 ${s.id === shipmentId ? "bg-neutral-900 text-white" : ""}`}
+                    onClick={() => setShipmentId(s.id)}
+                  >
+                    Parcel {i + 1} · {s.warehouse?.code || "—"}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {shipment && (
+            <div className="space-y-4 p-3">
+              <ScanInput inputRef={itemRef} placeholder="Scan item barcode / SKU" onScan={scanItem} disabled={busy} />
+
+              {lastScan && (
+                <div
+                  className={`rounded px-3 py-2 text-sm font-medium ${
+                    lastScan.ok ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+                  }`}
+                >
+                  {lastScan.ok ? (
+                    <>✓ {lastScan.code}</>
+                  ) : (
+                    <>
+                      ✗ {EXCEPTION_LABEL[lastScan.kind]}: <span className="font-mono">{lastScan.code}</span>
+                      {lastScan.expectedSku && (
+                        <>
+                          {" "}
+                          — order wants <span className="font-mono">{lastScan.expectedSku}</span>
+                        </>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+
+              <table className="min-w-full text-sm">
+                <thead className="bg-neutral-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Item</th>
+                    <th className="px-3 py-2 text-left">Size / colour</th>
+                    <th className="px-3 py-2 text-right">Scanned</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shipment.items.map((it) => (
+                    <tr key={it.shipmentItemId} className={`border-t ${it.scanned >= it.quantity ? "bg-green-50" : ""}`}>
+                      <td className="px-3 py-2">
+                        <div className="font-mono text-xs">{it.sku}</div>
+                        <div className="text-xs text-neutral-600">{it.title}</div>
+                      </td>
+                      <td className="px-3 py-2 text-xs">{[it.size, it.color].filter(Boolean).join(" · ") || "—"}</td>
+                      <td className="px-3 py-2 text-right font-medium">
+                        {it.scanned} / {it.quantity}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <form
+                className="flex flex-wrap items-end gap-2 border-t pt-3 text-sm"
+                onSubmit={async (e) => {
+                  e.preventDefault();
+                  const res = await patch({ action: "confirm", ...pkg });
+                  if (res) {
+                    setBooked(res.shipment);
+                    setRefreshKey((k) => k + 1);
+                    const rest = job.shipments.filter((s) => s.id !== shipment.id);
+                    if (rest.length) {
+                      setJob({ ...job, shipments: rest });
+                      setShipmentId(rest[0].id);
+                      setLastScan(null);
+                    } else {
+                      clear();
+                    }
+                  }
+                }}
+              >
+                <label className="text-xs">
+                  Weight (kg)
+                  <input className="block w-24 rounded border px-2 py-1" value={pkg.weightKg} onChange={set("weightKg")} />
+                </label>
+                {["lengthCm", "widthCm", "heightCm"].map((k) => (
+                  <label key={k} className="text-xs">
+                    {k.replace("Cm", "")} (cm)
+                    <input className="block w-20 rounded border px-2 py-1" value={pkg[k]} onChange={set(k)} />
+                  </label>
+                ))}
+                <label className="text-xs">
+                  Courier
+                  <select className="block rounded border px-2 py-1" value={pkg.courierCode} onChange={set("courierCode")}>
+                    <option value="">Choose…</option>
+                    {(job.couriers || []).map((c) => (
+                      <option key={c.code} value={c.code}>
+                        {c.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs">
+                  Service
+                  <input className="block w-28 rounded border px-2 py-1" value={pkg.serviceCode} onChange={set("serviceCode")} />
+                </label>
+                <button
+                  disabled={busy}
+                  className="rounded border bg-neutral-900 px-4 py-1.5 text-white disabled:opacity-50"
+                  title={shipment.complete ? "" : "Units not scanned are logged as a short pick and nothing is booked"}
+                >
+                  Confirm pack &amp; book
+                </button>
+                <button
+                  type="button"
+                  disabled={busy || !shipment.scanned}
+                  className="px-3 py-1.5 text-neutral-600 disabled:opacity-50"
+                  onClick={async () => {
+                    if (!confirm("Clear the scans for this parcel and start over?")) return;
+                    const res = await patch({ action: "reset" });
+                    if (res) {
+                      setShipment(res.shipment);
+                      setLastScan(null);
+                    }
+                  }}
+                >
+                  Reset scans
+                </button>
+                <button type="button" className="px-3 py-1.5 text-neutral-600" onClick={clear}>
+                  Close
+                </button>
+              </form>
+            </div>
+          )}
+        </div>
+      )}
+
+      <ExceptionsSummary refreshKey={refreshKey} />
+    </div>
+  );
+}
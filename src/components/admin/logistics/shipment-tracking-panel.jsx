@@ -0,0 +1,121 @@
+// FILE: src/components/admin/logistics/shipment-tracking-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) throw new Error(json?.error || `Request failed with ${res.status}`);
+  return json;
+}
+
+// Manual moves offered per current status (mirrors SHIPMENT_FLOW in lib/logistics/tracking.js).
+const NEXT = {
+  LABEL_CREATED: ["IN_TRANSIT", "OUT_FOR_DELIVERY", "DELIVERED", "FAILED", "RETURNED"],
+  IN_TRANSIT: ["OUT_FOR_DELIVERY", "DELIVERED", "FAILED", "RETURNED"],
+  OUT_FOR_DELIVERY: ["IN_TRANSIT", "DELIVERED", "FAILED", "RETURNED"],
+  FAILED: ["IN_TRANSIT", "OUT_FOR_DELIVERY", "DELIVERED", "RETURNED"],
+};
+
+const fmt = (d) => (d ? new Date(d).toLocaleString() : "—");
+
+/** Courier tracking per parcel, read from stored events ("where is my order"). */
+export default function ShipmentTrackingPanel({ orderId, onChange }) {
+  const [data, setData] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      setData(await api(`/api/admin/orders/${orderId}/tracking`));
+    } catch (e) {
+      setError(String(e.message || e));
+    }
+  }, [orderId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(body) {
+    setBusy(true);
+    setError("");
+    try {
+      setData(await api(`/api/admin/orders/${orderId}/tracking`, { method: "POST", body }));
+      onChange?.();
+    } catch (e) {
+      setError(String(e.message || e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const shipments = (data?.shipments || []).filter((s) => s.status !== "PENDING");
+
+  return (
+    <div className="rounded border bg-white p-4 text-sm">
+      <div className="mb-2 text-xs font-semibold text-neutral-600">Courier tracking</div>
+      {error && <div className="mb-2 text-xs text-red-600">{error}</div>}
+      {!shipments.length && <div className="text-xs text-neutral-600">No booked shipments yet.</div>}
+      <div className="space-y-4">
+        {shipments.map((s) => (
+          <div key={s.id} className="border-t pt-3 first:border-t-0 first:pt-0">
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              <span className="font-semibold">{s.courierName || s.courier || "Courier"}</span>
+              <span className="font-mono">{s.trackingNumber || "—"}</span>
+              <span className="rounded-full bg-neutral-100 px-2 py-0.5 text-[11px] font-semibold">{s.status}</span>
+              {s.providerStatus && <span className="text-neutral-500">“{s.providerStatus}”</span>}
+              <span className="ml-auto text-[11px] text-neutral-500">Last checked {fmt(s.lastTrackedAt)}</span>
+            </div>
+            <div className="mt-2 flex flex-wrap gap-2">
+              {s.courier !== "MANUAL" && NEXT[s.status] && (
+                <button
+                  type="button"
+                  disabled={busy}
+                  onClick={() => run({ action: "refresh", shipmentId: s.id })}
+                  className="rounded-full border px-3 py-1 text-[11px] hover:bg-neutral-50 disabled:opacity-40"
+                >
+                  Check courier now
+                </button>
+              )}
+              {(NEXT[s.status] || []).map((to) => (
+                <button
+                  key={to}
+                  type="button"
+                  disabled={busy}
+                  onClick={() => run({ action: "status", shipmentId: s.id, status: to })}
+                  className="rounded-full border px-3 py-1 text-[11px] hover:bg-neutral-50 disabled:opacity-40"
+                >
+                  Mark {to.replace(/_/g, " ").toLowerCase()}
+                </button>
+              ))}
+            </div>
+            <table className="mt-2 min-w-full text-xs">
+              <tbody>
+                {s.events.map((e, i) => (
+                  <tr key={i} className="border-t">
+                    <td className="px-2 py-1 whitespace-nowrap text-neutral-500">{fmt(e.at)}</td>
+                    <td className="px-2 py-1">{e.providerStatus}</td>
+                    <td className="px-2 py-1 text-neutral-600">{[e.location, e.note].filter(Boolean).join(" · ")}</td>
+                    <td className="px-2 py-1 text-right text-[10px] uppercase text-neutral-400">{e.source}</td>
+                  </tr>
+                ))}
+                {!s.events.length && (
+                  <tr>
+                    <td className="px-2 py-1 text-neutral-600">No courier updates yet.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,310 @@
+// FILE: src/components/admin/logistics/shipping-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    throw new Error(json?.error || `Request failed with ${res.status}`);
+  }
+  return json;
+}
+
+const fmt = (v) =>
+  v == null ? "—" : Number(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const list = (s) =>
+  String(s || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+// "1000-1399, 1400" → [{ from, to }]
+const ranges = (s) =>
+  list(s).map((r) => {
+    const [from, to] = r.split("-").map((x) => x.trim());
+    return { from, to: to || from };
+  });
+
+const EMPTY_ZONE = { name: "", divisions: "", districts: "", thanas: "", postcodes: "", priority: "100" };
+const EMPTY_RATE = {
+  speed: "STANDARD",
+  courierServiceId: "",
+  minWeightGrams: "0",
+  maxWeightGrams: "",
+  fee: "",
+  perExtraKgFee: "",
+  freeThreshold: "",
+  codFee: "",
+  codFeePct: "",
+  etaMinDays: "",
+  etaMaxDays: "",
+};
+
+function ZoneForm({ onSubmit, disabled }) {
+  const [form, setForm] = useState(EMPTY_ZONE);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <form
+      className="flex flex-wrap items-end gap-2 text-sm"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        const ok = await onSubmit({
+          name: form.name,
+          divisions: list(form.divisions),
+          districts: list(form.districts),
+          thanas: list(form.thanas),
+          postcodeRanges: form.postcodes.trim() ? ranges(form.postcodes) : null,
+          priority: form.priority,
+        });
+        if (ok) setForm(EMPTY_ZONE);
+      }}
+    >
+      <input className="w-40 rounded border px-2 py-1" placeholder="Zone name" value={form.name} onChange={set("name")} />
+      <input className="w-40 rounded border px-2 py-1" placeholder="Divisions (comma)" value={form.divisions} onChange={set("divisions")} />
+      <input className="w-40 rounded border px-2 py-1" placeholder="Districts (comma)" value={form.districts} onChange={set("districts")} />
+      <input className="w-40 rounded border px-2 py-1" placeholder="Thanas (comma)" value={form.thanas} onChange={set("thanas")} />
+      <input className="w-40 rounded border px-2 py-1" placeholder="Postcodes 1000-1399" value={form.postcodes} onChange={set("postcodes")} />
+      <input className="w-20 rounded border px-2 py-1" placeholder="Priority" value={form.priority} onChange={set("priority")} />
+      <button disabled={disabled} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+        Add zone
+      </button>
+    </form>
+  );
+}
+
+function RateForm({ services, onSubmit, disabled }) {
+  const [form, setForm] = useState(EMPTY_RATE);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const num = (k, placeholder, w = "w-24") => (
+    <input className={`${w} rounded border px-2 py-1`} placeholder={placeholder} value={form[k]} onChange={set(k)} />
+  );
+
+  return (
+    <form
+      className="flex flex-wrap items-end gap-2 p-3 text-sm"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        const body = Object.fromEntries(Object.entries(form).filter(([k, v]) => v !== "" || k === "courierServiceId"));
+        if (await onSubmit(body)) setForm(EMPTY_RATE);
+      }}
+    >
+      <select className="rounded border px-2 py-1" value={form.speed} onChange={set("speed")}>
+        <option value="STANDARD">Standard</option>
+        <option value="EXPRESS">Express</option>
+      </select>
+      <select className="w-40 rounded border px-2 py-1" value={form.courierServiceId} onChange={set("courierServiceId")}>
+        <option value="">Any courier</option>
+        {services.map((s) => (
+          <option key={s.id} value={s.id}>
+            {s.courier?.code} · {s.name}
+          </option>
+        ))}
+      </select>
+      {num("minWeightGrams", "From g")}
+      {num("maxWeightGrams", "To g (blank = ∞)")}
+      {num("fee", "Fee")}
+      {num("perExtraKgFee", "+/kg over")}
+      {num("freeThreshold", "Free from")}
+      {num("codFee", "COD fee")}
+      {num("codFeePct", "COD %", "w-20")}
+      {num("etaMinDays", "ETA min", "w-20")}
+      {num("etaMaxDays", "ETA max", "w-20")}
+      <button disabled={disabled} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+        Add rate
+      </button>
+    </form>
+  );
+}
+
+export default function ShippingPanel() {
+  const [zones, setZones] = useState([]);
+  const [services, setServices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const data = await api("/api/admin/shipping/zones");
+      setZones(data.items || []);
+      setServices(data.services || []);
+    } catch (err) {
+      setError(err?.message || "Failed to load shipping zones");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err?.message || "Request failed");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const where = (z) =>
+    [
+      z.postcodeRanges?.length ? `Postcodes ${z.postcodeRanges.map((r) => (r.from === r.to ? r.from : `${r.from}–${r.to}`)).join(", ")}` : "",
+      z.thanas.length ? `Thanas: ${z.thanas.join(", ")}` : "",
+      z.districts.length ? `Districts: ${z.districts.join(", ")}` : "",
+      z.divisions.length ? `Divisions: ${z.divisions.join(", ")}` : "",
+    ]
+      .filter(Boolean)
+      .join(" · ") || `All of ${z.countryIso2}`;
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-xl font-semibold">Shipping zones &amp; rates</h1>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="rounded border bg-white p-4 text-sm text-neutral-600">
+        An address uses the most specific matching zone (postcode, then thana, district, division, then a zone with
+        no areas); ties go to the lower priority number. Within a zone the rate whose weight band fits the parcel is
+        used for each speed. With no zones configured the legacy inside/outside Dhaka settings apply.
+      </div>
+
+      <ZoneForm disabled={busy} onSubmit={(body) => run(() => api("/api/admin/shipping/zones", { method: "POST", body }))} />
+
+      {loading ? (
+        <div className="text-sm">Loading…</div>
+      ) : (
+        zones.map((z) => (
+          <div key={z.id} className="overflow-hidden rounded border bg-white">
+            <div className="flex items-center justify-between border-b p-4">
+              <div>
+                <div className="font-medium">
+                  {z.name}
+                  <span className="ml-2 text-sm font-normal text-neutral-500">priority {z.priority}</span>
+                </div>
+                <div className="text-sm text-neutral-500">{where(z)}</div>
+              </div>
+              <div className="flex items-center gap-4 text-sm">
+                <label className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={z.isActive}
+                    disabled={busy}
+                    onChange={(e) =>
+                      run(() =>
+                        api(`/api/admin/shipping/zones/${z.id}`, { method: "PATCH", body: { isActive: e.target.checked } })
+                      )
+                    }
+                  />
+                  Active
+                </label>
+                <button
+                  disabled={busy}
+                  className="text-red-600 disabled:opacity-50"
+                  onClick={() => {
+                    if (!confirm(`Delete zone "${z.name}" and its rates?`)) return;
+                    run(() => api(`/api/admin/shipping/zones/${z.id}`, { method: "DELETE" }));
+                  }}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+            <table className="min-w-full text-sm">
+              <thead className="bg-neutral-50">
+                <tr>
+                  <th className="px-3 py-2 text-left">Speed</th>
+                  <th className="px-3 py-2 text-left">Courier</th>
+                  <th className="px-3 py-2 text-left">Weight</th>
+                  <th className="px-3 py-2 text-right">Fee</th>
+                  <th className="px-3 py-2 text-right">+/kg</th>
+                  <th className="px-3 py-2 text-right">Free from</th>
+                  <th className="px-3 py-2 text-right">COD</th>
+                  <th className="px-3 py-2 text-left">ETA</th>
+                  <th className="px-3 py-2 text-left">Active</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {z.rates.map((r) => (
+                  <tr key={r.id} className="border-t">
+                    <td className="px-3 py-2">{r.speed}</td>
+                    <td className="px-3 py-2">{r.service ? `${r.service.courier?.code} · ${r.service.name}` : "Any"}</td>
+                    <td className="px-3 py-2">
+                      {r.minWeightGrams}–{r.maxWeightGrams ?? "∞"} g
+                    </td>
+                    <td className="px-3 py-2 text-right">{fmt(r.fee)}</td>
+                    <td className="px-3 py-2 text-right">{fmt(r.perExtraKgFee)}</td>
+                    <td className="px-3 py-2 text-right">{fmt(r.freeThreshold)}</td>
+                    <td className="px-3 py-2 text-right">
+                      {r.codFee != null ? fmt(r.codFee) : ""}
+                      {r.codFeePct != null ? ` + ${fmt(r.codFeePct)}%` : ""}
+                      {r.codFee == null && r.codFeePct == null ? "—" : ""}
+                    </td>
+                    <td className="px-3 py-2">
+                      {r.etaMinDays != null ? `${r.etaMinDays}–${r.etaMaxDays ?? r.etaMinDays} days` : "—"}
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={r.isActive}
+                        disabled={busy}
+                        onChange={(e) =>
+                          run(() =>
+                            api(`/api/admin/shipping/rates/${r.id}`, { method: "PATCH", body: { isActive: e.target.checked } })
+                          )
+                        }
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        disabled={busy}
+                        className="text-red-600 disabled:opacity-50"
+                        onClick={() => run(() => api(`/api/admin/shipping/rates/${r.id}`, { method: "DELETE" }))}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {z.rates.length === 0 && (
+                  <tr className="border-t">
+                    <td className="px-3 py-2 text-neutral-600" colSpan={10}>
+                      No rates — addresses in this zone fall back to the legacy settings.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+            <div className="border-t">
+              <RateForm
+                services={services}
+                disabled={busy}
+                onSubmit={(body) =>
+                  run(() => api("/api/admin/shipping/rates", { method: "POST", body: { ...body, zoneId: z.id } }))
+                }
+              />
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
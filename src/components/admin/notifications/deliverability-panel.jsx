@@ -0,0 +1,324 @@
+// FILE: src/components/admin/notifications/deliverability-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) throw new Error(json?.error || `Request failed with ${res.status}`);
+  return json;
+}
+
+const WINDOWS = [
+  [24, "Last 24 hours"],
+  [24 * 7, "Last 7 days"],
+  [24 * 30, "Last 30 days"],
+];
+const QUIET_CHANNELS = ["EMAIL", "SMS", "WHATSAPP", "PUSH"];
+
+function rate(v) {
+  return v == null ? "—" : `${v}%`;
+}
+
+function QuietHoursForm({ initial, onSaved }) {
+  const [form, setForm] = useState(initial);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => setForm(initial), [initial]);
+
+  const q = form.quietHours;
+  const setQ = (patch) => setForm((f) => ({ ...f, quietHours: { ...f.quietHours, ...patch } }));
+
+  async function save(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    setSaved(false);
+    try {
+      const res = await api("/api/admin/notifications/settings", {
+        method: "PUT",
+        body: { quietHours: q, maxAttempts: Number(form.maxAttempts) },
+      });
+      onSaved(res.settings);
+      setSaved(true);
+    } catch (err) {
+      setError(err?.message || "Save failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={save} className="space-y-3 rounded border bg-white p-4">
+      <div className="font-medium">Quiet hours &amp; retries</div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={!!q.enabled} onChange={(e) => setQ({ enabled: e.target.checked })} />
+        Hold messages during quiet hours
+      </label>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <input
+          type="time"
+          className="rounded border px-2 py-1"
+          value={q.start}
+          onChange={(e) => setQ({ start: e.target.value })}
+        />
+        to
+        <input type="time" className="rounded border px-2 py-1" value={q.end} onChange={(e) => setQ({ end: e.target.value })} />
+        <input
+          className="w-40 rounded border px-2 py-1"
+          value={q.timezone}
+          onChange={(e) => setQ({ timezone: e.target.value })}
+          placeholder="Asia/Dhaka"
+        />
+      </div>
+      <div className="flex flex-wrap gap-3 text-sm">
+        {QUIET_CHANNELS.map((c) => (
+          <label key={c} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={q.channels.includes(c)}
+              onChange={(e) =>
+                setQ({ channels: e.target.checked ? [...q.channels, c] : q.channels.filter((x) => x !== c) })
+              }
+            />
+            {c}
+          </label>
+        ))}
+      </div>
+      <label className="flex items-center gap-2 text-sm">
+        Attempts before a message is marked failed
+        <input
+          type="number"
+          min={1}
+          max={10}
+          className="w-20 rounded border px-2 py-1"
+          value={form.maxAttempts}
+          onChange={(e) => setForm((f) => ({ ...f, maxAttempts: e.target.value }))}
+        />
+      </label>
+      <div className="text-xs text-neutral-500">Security alerts ignore quiet hours and opt-outs.</div>
+      <div className="flex items-center gap-3">
+        <button disabled={busy} className="rounded bg-neutral-900 px-3 py-1 text-sm text-white disabled:opacity-50">
+          Save
+        </button>
+        {saved && <span className="text-sm text-emerald-700">Saved.</span>}
+      </div>
+    </form>
+  );
+}
+
+export default function DeliverabilityPanel() {
+  const [windowHours, setWindowHours] = useState(24);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [retrying, setRetrying] = useState("");
+
+  const load = useCallback(async () => {
+    setError("");
+    try {
+      setData(await api(`/api/admin/notifications/deliverability?windowHours=${windowHours}`));
+    } catch (err) {
+      setError(err?.message || "Failed to load deliverability");
+    }
+  }, [windowHours]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function retry(id) {
+    setRetrying(id);
+    setError("");
+    try {
+      await api(`/api/admin/notifications/${id}/retry`, { method: "POST" });
+      await load();
+    } catch (err) {
+      setError(err?.message || "Retry failed");
+    } finally {
+      setRetrying("");
+    }
+  }
+
+  return (
+    <div className="space-y-5 p-6">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <Link href="/admin/notifications" className="text-sm text-neutral-500 hover:underline">
+            ← Notifications
+          </Link>
+          <h1 className="text-xl font-semibold">Deliverability</h1>
+          <div className="text-sm text-neutral-500">
+            Outcomes per channel and provider. {data ? `${data.queued} queued, ${data.deferred} held for later.` : ""}
+          </div>
+        </div>
+        <select
+          className="rounded border px-2 py-1 text-sm"
+          value={windowHours}
+          onChange={(e) => setWindowHours(Number(e.target.value))}
+        >
+          {WINDOWS.map(([h, label]) => (
+            <option key={h} value={h}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="overflow-x-auto rounded border bg-white">
+        <table className="min-w-full text-sm">
+          <thead className="bg-neutral-50 text-left">
+            <tr>
+              <th className="px-3 py-2">Channel</th>
+              <th className="px-3 py-2 text-right">Total</th>
+              <th className="px-3 py-2 text-right">Delivered</th>
+              <th className="px-3 py-2 text-right">Failed</th>
+              <th className="px-3 py-2 text-right">Skipped</th>
+              <th className="px-3 py-2 text-right">Queued</th>
+              <th className="px-3 py-2 text-right">Delivery rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(data?.channels || []).map((c) => (
+              <tr key={c.channel} className="border-t">
+                <td className="px-3 py-2 font-medium">{c.channel}</td>
+                <td className="px-3 py-2 text-right">{c.total}</td>
+                <td className="px-3 py-2 text-right text-emerald-700">{c.delivered}</td>
+                <td className="px-3 py-2 text-right text-red-600">{c.failed}</td>
+                <td className="px-3 py-2 text-right">{c.skipped}</td>
+                <td className="px-3 py-2 text-right">{c.queued}</td>
+                <td className="px-3 py-2 text-right">{rate(c.deliveryRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid gap-5 lg:grid-cols-2">
+        <div className="rounded border bg-white">
+          <div className="border-b px-3 py-2 font-medium">Providers</div>
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-neutral-500">
+              <tr>
+                <th className="px-3 py-2">Channel</th>
+                <th className="px-3 py-2">Provider</th>
+                <th className="px-3 py-2 text-right">Sent</th>
+                <th className="px-3 py-2 text-right">Failed calls</th>
+                <th className="px-3 py-2 text-right">Avg ms</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(data?.providers || []).map((p) => (
+                <tr key={`${p.channel}:${p.provider}`} className="border-t">
+                  <td className="px-3 py-2">{p.channel}</td>
+                  <td className="px-3 py-2">{p.provider || "—"}</td>
+                  <td className="px-3 py-2 text-right">{p.sent}</td>
+                  <td className="px-3 py-2 text-right">{p.failed}</td>
+                  <td className="px-3 py-2 text-right">{p.avgMs ?? "—"}</td>
+                </tr>
+              ))}
+              {!data?.providers?.length && (
+                <tr>
+                  <td colSpan={5} className="px-3 py-3 text-neutral-500">
+                    No provider calls in this window.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="space-y-5">
+          <div className="rounded border bg-white">
+            <div className="border-b px-3 py-2 font-medium">Commonest errors</div>
+            {(data?.topErrors || []).map((e) => (
+              <div key={`${e.channel}:${e.error}`} className="flex justify-between gap-3 border-b px-3 py-2 text-sm last:border-b-0">
+                <span className="truncate">
+                  <span className="text-neutral-500">{e.channel}</span> {e.error}
+                </span>
+                <span>{e.count}</span>
+              </div>
+            ))}
+            {!data?.topErrors?.length && <div className="px-3 py-3 text-sm text-neutral-500">No errors.</div>}
+          </div>
+          <div className="rounded border bg-white">
+            <div className="border-b px-3 py-2 font-medium">Skipped</div>
+            {(data?.skipped || []).map((s) => (
+              <div key={`${s.channel}:${s.reason}`} className="flex justify-between border-b px-3 py-2 text-sm last:border-b-0">
+                <span>
+                  <span className="text-neutral-500">{s.channel}</span> {s.reason || "—"}
+                </span>
+                <span>{s.count}</span>
+              </div>
+            ))}
+            {!data?.skipped?.length && <div className="px-3 py-3 text-sm text-neutral-500">Nothing skipped.</div>}
+          </div>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto rounded border bg-white">
+        <div className="border-b px-3 py-2 font-medium">Recent failures</div>
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-neutral-500">
+            <tr>
+              <th className="px-3 py-2">Time</th>
+              <th className="px-3 py-2">Channel</th>
+              <th className="px-3 py-2">Type</th>
+              <th className="px-3 py-2">To</th>
+              <th className="px-3 py-2 text-right">Attempts</th>
+              <th className="px-3 py-2">Last error</th>
+              <th className="px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {(data?.recentFailures || []).map((n) => (
+              <tr key={n.id} className="border-t">
+                <td className="whitespace-nowrap px-3 py-2">{new Date(n.createdAt).toLocaleString()}</td>
+                <td className="px-3 py-2">{n.channel}</td>
+                <td className="px-3 py-2">{n.type}</td>
+                <td className="px-3 py-2">{n.to || n.userId}</td>
+                <td className="px-3 py-2 text-right">{n.attemptCount}</td>
+                <td className="max-w-xs truncate px-3 py-2 text-red-600" title={n.lastError || ""}>
+                  {n.lastError || "—"}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  <button
+                    onClick={() => retry(n.id)}
+                    disabled={!!retrying}
+                    className="rounded border px-2 py-0.5 text-xs disabled:opacity-50"
+                  >
+                    {retrying === n.id ? "Retrying…" : "Retry"}
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {!data?.recentFailures?.length && (
+              <tr>
+                <td colSpan={7} className="px-3 py-3 text-neutral-500">
+                  No failed notifications.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {data?.settings && (
+        <QuietHoursForm
+          initial={data.settings}
+          onSaved={(settings) => setData((d) => (d ? { ...d, settings } : d))}
+        />
+      )}
+    </div>
+  );
+}
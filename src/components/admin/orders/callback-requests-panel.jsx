@@ -0,0 +1,141 @@
+// FILE: src/components/admin/orders/callback-requests-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) throw new Error(json?.error || `Request failed with ${res.status}`);
+  return json;
+}
+
+const fmt = (d) => (d ? new Date(d).toLocaleString() : "—");
+
+export default function CallbackRequestsPanel() {
+  const [items, setItems] = useState([]);
+  const [status, setStatus] = useState("OPEN");
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      setItems((await api(`/api/admin/orders/callbacks?status=${status}`)).items || []);
+    } catch (err) {
+      setError(err?.message || "Failed to load callback requests");
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+      await load();
+    } catch (err) {
+      setError(err?.message || "Request failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const resolve = (r) =>
+    run(() => api("/api/admin/orders/callbacks", { method: "PATCH", body: { id: r.id, note: notes[r.id] || "" } }));
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="rounded border bg-white">
+        <div className="flex items-center justify-between border-b p-3">
+          <div>
+            <div className="font-medium">Callback requests</div>
+            <div className="text-xs text-neutral-500">Customers who asked for a call from the order tracking page.</div>
+          </div>
+          <select className="rounded border px-2 py-1 text-sm" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="OPEN">Open</option>
+            <option value="DONE">Done</option>
+          </select>
+        </div>
+        <table className="min-w-full text-sm">
+          <thead className="bg-neutral-50 text-left text-xs text-neutral-500">
+            <tr>
+              <th className="px-3 py-2">Requested</th>
+              <th className="px-3 py-2">Order</th>
+              <th className="px-3 py-2">Phone</th>
+              <th className="px-3 py-2">When</th>
+              <th className="px-3 py-2">Note</th>
+              <th className="px-3 py-2">{status === "OPEN" ? "" : "Handled"}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((r) => (
+              <tr key={r.id} className="border-t align-top">
+                <td className="px-3 py-2 whitespace-nowrap">{fmt(r.createdAt)}</td>
+                <td className="px-3 py-2">
+                  <Link href={`/admin/orders/${r.order.id}`} className="underline">
+                    #{r.order.orderNumber}
+                  </Link>
+                  <div className="text-xs text-neutral-500">
+                    {r.order.status} · {r.order.fulfillmentStatus}
+                  </div>
+                </td>
+                <td className="px-3 py-2 font-mono">
+                  <a href={`tel:+${r.phone}`} className="underline">
+                    +{r.phone}
+                  </a>
+                </td>
+                <td className="px-3 py-2">{r.preferredWindow || "Any time"}</td>
+                <td className="px-3 py-2 text-xs">{r.note || "—"}</td>
+                <td className="px-3 py-2">
+                  {status === "OPEN" ? (
+                    <div className="flex gap-2">
+                      <input
+                        className="w-48 rounded border px-2 py-1 text-xs"
+                        placeholder="Outcome (optional)"
+                        value={notes[r.id] || ""}
+                        onChange={(e) => setNotes((n) => ({ ...n, [r.id]: e.target.value }))}
+                      />
+                      <button
+                        disabled={busy}
+                        onClick={() => resolve(r)}
+                        className="rounded border px-3 py-1 text-xs hover:bg-neutral-50 disabled:opacity-50"
+                      >
+                        Called
+                      </button>
+                    </div>
+                  ) : (
+                    <span className="text-xs text-neutral-500">{fmt(r.handledAt)}</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {!items.length && (
+              <tr>
+                <td colSpan={6} className="px-3 py-4 text-neutral-500">
+                  {loading ? "Loading…" : "Nothing here."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
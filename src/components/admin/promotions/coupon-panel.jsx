@@ -0,0 +1,322 @@
+// FILE: src/components/admin/promotions/coupon-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    throw new Error(json?.error || `Request failed with ${res.status}`);
+  }
+  return json;
+}
+
+const fmt = (v) =>
+  Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const TIERS = ["MEMBER", "BRONZE", "SILVER", "GOLD", "PLATINUM", "VIP"];
+
+const EMPTY = {
+  code: "",
+  name: "",
+  type: "PERCENTAGE",
+  value: "",
+  buyQty: "",
+  getQty: "",
+  minSubtotal: "",
+  maxRedemptions: "",
+  perCustomerLimit: "",
+  startsAt: "",
+  endsAt: "",
+  firstOrderOnly: false,
+  stackable: false,
+  customerTiers: [],
+};
+
+function describe(c) {
+  if (c.type === "PERCENTAGE") return `${Number(c.value)}% off`;
+  if (c.type === "FIXED") return `৳${fmt(c.value)} off`;
+  if (c.type === "FREE_SHIPPING") return "Free shipping";
+  return `Buy ${c.buyQty} get ${c.getQty}`;
+}
+
+function rules(c) {
+  return [
+    c.minSubtotal != null && `min ৳${fmt(c.minSubtotal)}`,
+    c.firstOrderOnly && "first order",
+    c.perCustomerLimit != null && `${c.perCustomerLimit}/customer`,
+    c.maxRedemptions != null && `cap ${c.maxRedemptions}`,
+    c.customerTiers?.length && c.customerTiers.join("/"),
+    c.customerIds?.length && `${c.customerIds.length} customers`,
+    c.stackable && "stackable",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function CouponForm({ onSubmit, disabled }) {
+  const [form, setForm] = useState(EMPTY);
+  const set = (k) => (e) =>
+    setForm((f) => ({ ...f, [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+  const toggleTier = (t) =>
+    setForm((f) => ({
+      ...f,
+      customerTiers: f.customerTiers.includes(t) ? f.customerTiers.filter((x) => x !== t) : [...f.customerTiers, t],
+    }));
+  const input = (k, placeholder, w = "w-28", type = "text") => (
+    <input type={type} className={`${w} rounded border px-2 py-1`} placeholder={placeholder} value={form[k]} onChange={set(k)} />
+  );
+
+  return (
+    <form
+      className="space-y-2 rounded border bg-white p-4 text-sm"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        const body = Object.fromEntries(
+          Object.entries(form).filter(([k, v]) => v !== "" && !(k === "customerTiers" && !v.length))
+        );
+        if (await onSubmit(body)) setForm(EMPTY);
+      }}
+    >
+      <div className="font-medium">New coupon</div>
+      <div className="flex flex-wrap items-end gap-2">
+        {input("code", "CODE (blank = generated only)", "w-56")}
+        {input("name", "Name", "w-48")}
+        <select className="rounded border px-2 py-1" value={form.type} onChange={set("type")}>
+          <option value="PERCENTAGE">% off</option>
+          <option value="FIXED">Amount off</option>
+          <option value="FREE_SHIPPING">Free shipping</option>
+          <option value="BUY_X_GET_Y">Buy X get Y</option>
+        </select>
+        {(form.type === "PERCENTAGE" || form.type === "FIXED") && input("value", form.type === "PERCENTAGE" ? "%" : "৳", "w-20")}
+        {form.type === "BUY_X_GET_Y" && (
+          <>
+            {input("buyQty", "Buy", "w-16")}
+            {input("getQty", "Get", "w-16")}
+          </>
+        )}
+      </div>
+      <div className="flex flex-wrap items-end gap-2">
+        {input("minSubtotal", "Min spend")}
+        {input("maxRedemptions", "Total cap")}
+        {input("perCustomerLimit", "Per customer")}
+        <label className="flex items-center gap-1 text-neutral-600">
+          From {input("startsAt", "", "w-36", "date")}
+        </label>
+        <label className="flex items-center gap-1 text-neutral-600">
+          To {input("endsAt", "", "w-36", "date")}
+        </label>
+      </div>
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={form.firstOrderOnly} onChange={set("firstOrderOnly")} /> First order only
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={form.stackable} onChange={set("stackable")} /> Stackable
+        </label>
+        <span className="text-neutral-500">Tiers:</span>
+        {TIERS.map((t) => (
+          <label key={t} className="flex items-center gap-1">
+            <input type="checkbox" checked={form.customerTiers.includes(t)} onChange={() => toggleTier(t)} /> {t}
+          </label>
+        ))}
+      </div>
+      <button disabled={disabled} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+        Create coupon
+      </button>
+    </form>
+  );
+}
+
+export default function CouponPanel() {
+  const [items, setItems] = useState([]);
+  const [report, setReport] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const from = new Date(Date.now() - 30 * 864e5).toISOString().slice(0, 10);
+      const [c, r] = await Promise.all([
+        api("/api/promotions/coupons"),
+        api(`/api/promotions/coupons/report?from=${from}`),
+      ]);
+      setItems(c.items || []);
+      setReport(r.items || []);
+    } catch (err) {
+      setError(err?.message || "Failed to load coupons");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await fn();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err?.message || "Request failed");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function generate(c) {
+    const count = Number(prompt(`How many unique codes for "${c.name}"?`, "100"));
+    if (!count) return;
+    const prefix = prompt("Prefix (optional)", c.code ? `${c.code}-` : "") || "";
+    run(async () => {
+      const res = await api(`/api/promotions/coupons/${c.id}/codes`, { method: "POST", body: { count, prefix } });
+      setNotice(`Generated ${res.count} codes in batch ${res.batch}.`);
+    });
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      {notice && <div className="text-sm text-green-700">{notice}</div>}
+
+      <CouponForm disabled={busy} onSubmit={(body) => run(() => api("/api/promotions/coupons", { method: "POST", body }))} />
+
+      <div className="overflow-hidden rounded border bg-white">
+        <div className="border-b p-3 font-medium">Coupons</div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-neutral-50">
+              <tr>
+                <th className="px-3 py-2 text-left">Code</th>
+                <th className="px-3 py-2 text-left">Offer</th>
+                <th className="px-3 py-2 text-left">Rules</th>
+                <th className="px-3 py-2 text-left">Window</th>
+                <th className="px-3 py-2 text-right">Used</th>
+                <th className="px-3 py-2 text-right">Given</th>
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {!loading &&
+                items.map((c) => (
+                  <tr key={c.id} className="border-t align-top">
+                    <td className="px-3 py-2">
+                      <div className="font-medium">{c.code || "—"}</div>
+                      <div className="text-xs text-neutral-500">
+                        {c.name}
+                        {c.generatedCodes ? ` · ${c.generatedCodes} unique codes` : ""}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2">{describe(c)}</td>
+                    <td className="px-3 py-2 text-neutral-600">{rules(c) || "—"}</td>
+                    <td className="px-3 py-2">
+                      {c.startsAt ? new Date(c.startsAt).toLocaleDateString() : "—"} →{" "}
+                      {c.endsAt ? new Date(c.endsAt).toLocaleDateString() : "—"}
+                    </td>
+                    <td className="px-3 py-2 text-right">{c.redemptions}</td>
+                    <td className="px-3 py-2 text-right">৳{fmt(c.discountGiven)}</td>
+                    <td className="px-3 py-2">
+                      <select
+                        className="rounded border px-1 py-0.5"
+                        value={c.status}
+                        disabled={busy}
+                        onChange={(e) =>
+                          run(() => api("/api/promotions/coupons", { method: "POST", body: { id: c.id, status: e.target.value } }))
+                        }
+                      >
+                        <option value="ACTIVE">Active</option>
+                        <option value="SCHEDULED">Scheduled</option>
+                        <option value="INACTIVE">Inactive</option>
+                        <option value="EXPIRED">Expired</option>
+                      </select>
+                    </td>
+                    <td className="whitespace-nowrap px-3 py-2 text-right">
+                      <button disabled={busy} className="mr-3 disabled:opacity-50" onClick={() => generate(c)}>
+                        Generate codes
+                      </button>
+                      {c.generatedCodes > 0 && (
+                        <a className="mr-3 underline" href={`/api/promotions/coupons/${c.id}/codes?format=csv`}>
+                          CSV
+                        </a>
+                      )}
+                      {c.redemptions === 0 && (
+                        <button
+                          disabled={busy}
+                          className="text-red-600 disabled:opacity-50"
+                          onClick={() => {
+                            if (!confirm(`Delete coupon "${c.code || c.name}"?`)) return;
+                            run(() => api(`/api/promotions/coupons?id=${c.id}`, { method: "DELETE" }));
+                          }}
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              {!loading && items.length === 0 && (
+                <tr>
+                  <td className="px-3 py-3 text-neutral-600" colSpan={8}>
+                    No coupons.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="overflow-hidden rounded border bg-white">
+        <div className="border-b p-3 font-medium">Redemptions — last 30 days</div>
+        <table className="min-w-full text-sm">
+          <thead className="bg-neutral-50">
+            <tr>
+              <th className="px-3 py-2 text-left">Coupon</th>
+              <th className="px-3 py-2 text-right">Orders</th>
+              <th className="px-3 py-2 text-right">Customers</th>
+              <th className="px-3 py-2 text-right">Discount</th>
+              <th className="px-3 py-2 text-right">Revenue</th>
+              <th className="px-3 py-2 text-right">Avg order</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.map((r) => (
+              <tr key={r.key} className="border-t">
+                <td className="px-3 py-2">{r.code || r.name}</td>
+                <td className="px-3 py-2 text-right">{r.redemptions}</td>
+                <td className="px-3 py-2 text-right">{r.customers}</td>
+                <td className="px-3 py-2 text-right">৳{fmt(r.discount)}</td>
+                <td className="px-3 py-2 text-right">৳{fmt(r.revenue)}</td>
+                <td className="px-3 py-2 text-right">৳{fmt(r.avgOrderValue)}</td>
+              </tr>
+            ))}
+            {report.length === 0 && (
+              <tr className="border-t">
+                <td className="px-3 py-3 text-neutral-600" colSpan={6}>
+                  No redemptions in this period.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,404 @@
+// FILE: src/components/admin/purchasing/purchase-orders-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    const detail = json?.sku ? ` (${json.sku})` : "";
+    throw new Error(`${json?.error || `Request failed with ${res.status}`}${detail}`);
+  }
+  return json;
+}
+
+const STATUS_STYLE = {
+  DRAFT: "bg-neutral-100 text-neutral-700",
+  SUBMITTED: "bg-amber-100 text-amber-800",
+  PARTIALLY_RECEIVED: "bg-sky-100 text-sky-800",
+  RECEIVED: "bg-green-100 text-green-800",
+  CANCELLED: "bg-red-100 text-red-700",
+  CLOSED: "bg-neutral-200 text-neutral-700",
+};
+const CURRENCIES = ["BDT", "USD", "EUR", "GBP", "INR", "AUD"];
+
+const poNo = (n) => `PO-${String(n).padStart(6, "0")}`;
+const openQty = (it) => it.quantity - it.receivedQty - it.rejectedQty;
+const fmt = (n) => Number(n || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/** "SKU qty unitCost" per line → [{ sku, quantity, unitCost }] */
+function parseLines(text) {
+  return text
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((l) => {
+      const [sku, quantity, unitCost] = l.split(/[\s,]+/);
+      return { sku, quantity: Number(quantity), unitCost: unitCost ?? "" };
+    });
+}
+
+const EMPTY_PO = { supplierId: "", warehouseId: "", currency: "", fxRate: "", expectedAt: "", lines: "", note: "" };
+
+function PurchaseOrderForm({ suppliers, warehouses, onSubmit, disabled }) {
+  const [form, setForm] = useState(EMPTY_PO);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const supplier = suppliers.find((s) => s.id === form.supplierId);
+  const currency = form.currency || supplier?.currency || "BDT";
+
+  return (
+    <form
+      className="space-y-2 text-sm"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        const ok = await onSubmit({
+          supplierId: form.supplierId,
+          warehouseId: form.warehouseId,
+          currency,
+          fxRate: currency === "BDT" ? 1 : form.fxRate,
+          expectedAt: form.expectedAt || null,
+          note: form.note,
+          lines: parseLines(form.lines),
+        });
+        if (ok) setForm(EMPTY_PO);
+      }}
+    >
+      <div className="flex flex-wrap items-end gap-2">
+        <select className="rounded border px-2 py-1" value={form.supplierId} onChange={set("supplierId")}>
+          <option value="">Supplier…</option>
+          {suppliers.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.code} · {s.name}
+            </option>
+          ))}
+        </select>
+        <select className="rounded border px-2 py-1" value={form.warehouseId} onChange={set("warehouseId")}>
+          <option value="">Deliver to…</option>
+          {warehouses
+            .filter((w) => !w.archivedAt)
+            .map((w) => (
+              <option key={w.id} value={w.id}>
+                {w.code} · {w.name}
+              </option>
+            ))}
+        </select>
+        <select className="rounded border px-2 py-1" value={currency} onChange={set("currency")}>
+          {CURRENCIES.map((c) => (
+            <option key={c}>{c}</option>
+          ))}
+        </select>
+        {currency !== "BDT" && (
+          <input className="w-32 rounded border px-2 py-1" placeholder={`BDT per ${currency}`} value={form.fxRate} onChange={set("fxRate")} />
+        )}
+        <label className="inline-flex items-center gap-1 text-xs text-neutral-600">
+          Expected
+          <input type="date" className="rounded border px-2 py-1 text-sm" value={form.expectedAt} onChange={set("expectedAt")} />
+        </label>
+      </div>
+      <textarea
+        rows={4}
+        className="w-full rounded border px-2 py-1 font-mono text-xs"
+        placeholder={"One line per SKU: SKU quantity unit-cost\nTSHIRT-RED-M 200 185.50"}
+        value={form.lines}
+        onChange={set("lines")}
+      />
+      <div className="flex gap-2">
+        <input className="flex-1 rounded border px-2 py-1" placeholder="Note (optional)" value={form.note} onChange={set("note")} />
+        <button disabled={disabled} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+          Create draft
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function ReceiveForm({ po, onSubmit, onClose, disabled }) {
+  const open = po.items.filter((it) => openQty(it) > 0);
+  const [rows, setRows] = useState(() =>
+    Object.fromEntries(open.map((it) => [it.id, { quantity: String(openQty(it)), rejectedQty: "", unitCost: "" }]))
+  );
+  const [landedCost, setLandedCost] = useState("");
+  const [supplierRef, setSupplierRef] = useState("");
+  const set = (id, k) => (e) => setRows((r) => ({ ...r, [id]: { ...r[id], [k]: e.target.value } }));
+
+  return (
+    <form
+      className="space-y-2 bg-neutral-50 p-3 text-sm"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit({
+          landedCost: landedCost || 0,
+          supplierRef,
+          lines: Object.entries(rows).map(([itemId, r]) => ({ itemId, ...r })),
+        });
+      }}
+    >
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-xs text-neutral-500">
+            <th className="px-2 py-1 text-left">SKU</th>
+            <th className="px-2 py-1 text-right">Open</th>
+            <th className="px-2 py-1 text-right">Accepted</th>
+            <th className="px-2 py-1 text-right">Rejected</th>
+            <th className="px-2 py-1 text-right">Invoice unit cost ({po.currency})</th>
+          </tr>
+        </thead>
+        <tbody>
+          {open.map((it) => (
+            <tr key={it.id}>
+              <td className="px-2 py-1 font-mono text-xs">{it.variant?.sku || it.variantId}</td>
+              <td className="px-2 py-1 text-right">{openQty(it)}</td>
+              <td className="px-2 py-1 text-right">
+                <input className="w-16 rounded border px-1 py-0.5 text-right" value={rows[it.id].quantity} onChange={set(it.id, "quantity")} />
+              </td>
+              <td className="px-2 py-1 text-right">
+                <input className="w-16 rounded border px-1 py-0.5 text-right" value={rows[it.id].rejectedQty} onChange={set(it.id, "rejectedQty")} />
+              </td>
+              <td className="px-2 py-1 text-right">
+                <input
+                  className="w-24 rounded border px-1 py-0.5 text-right"
+                  placeholder={fmt(it.unitCost)}
+                  value={rows[it.id].unitCost}
+                  onChange={set(it.id, "unitCost")}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex flex-wrap items-end gap-2">
+        <input className="w-40 rounded border px-2 py-1" placeholder="Landed cost (BDT)" value={landedCost} onChange={(e) => setLandedCost(e.target.value)} />
+        <input className="w-48 rounded border px-2 py-1" placeholder="Challan / invoice no." value={supplierRef} onChange={(e) => setSupplierRef(e.target.value)} />
+        <button disabled={disabled} className="rounded border bg-white px-3 py-1 hover:bg-neutral-100 disabled:opacity-50">
+          Book GRN
+        </button>
+        <button type="button" className="px-3 py-1 text-neutral-600" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <div className="text-xs text-neutral-500">
+        Landed cost (freight, duty, clearing) is spread over the accepted lines by value and added to their unit cost.
+      </div>
+    </form>
+  );
+}
+
+export default function PurchaseOrdersPanel() {
+  const [orders, setOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [status, setStatus] = useState("");
+  const [receiving, setReceiving] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const qs = status ? `?status=${status}` : "";
+      const [res, sup, wh] = await Promise.all([
+        api(`/api/admin/purchasing/purchase-orders${qs}`),
+        api("/api/admin/purchasing/suppliers"),
+        api("/api/admin/inventory/warehouses"),
+      ]);
+      setOrders(res.items || []);
+      setSuppliers(sup.items || []);
+      setWarehouses(wh.items || []);
+    } catch (err) {
+      setError(err?.message || "Failed to load purchase orders");
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await fn();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err?.message || "Request failed");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const act = (po, action) =>
+    run(() => api(`/api/admin/purchasing/purchase-orders/${po.id}`, { method: "PATCH", body: { action } }));
+
+  return (
+    <div className="space-y-6">
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      {notice && <div className="text-sm text-green-700">{notice}</div>}
+
+      <div className="rounded border bg-white">
+        <div className="border-b p-3">
+          <div className="font-medium">New purchase order</div>
+          <div className="text-xs text-neutral-500">
+            Unit costs are in the PO currency; receipts convert them to BDT at the PO&apos;s rate.
+          </div>
+        </div>
+        <div className="p-3">
+          <PurchaseOrderForm
+            suppliers={suppliers}
+            warehouses={warehouses}
+            disabled={busy}
+            onSubmit={(body) => run(() => api("/api/admin/purchasing/purchase-orders", { method: "POST", body }))}
+          />
+        </div>
+      </div>
+
+      <div className="overflow-hidden rounded border bg-white">
+        <div className="flex items-center justify-between border-b p-3">
+          <div className="font-medium">Purchase orders</div>
+          <select className="rounded border px-2 py-1 text-sm" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_STYLE).map((s) => (
+              <option key={s} value={s}>
+                {s.replace("_", " ").toLowerCase()}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-neutral-50">
+              <tr>
+                <th className="px-3 py-2 text-left">PO</th>
+                <th className="px-3 py-2 text-left">Supplier</th>
+                <th className="px-3 py-2 text-left">Lines</th>
+                <th className="px-3 py-2 text-right">Value</th>
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {!loading &&
+                orders.map((po) => {
+                  const value = po.items.reduce((s, it) => s + Number(it.unitCost) * it.quantity, 0);
+                  const open = po.status === "SUBMITTED" || po.status === "PARTIALLY_RECEIVED";
+                  return (
+                    <React.Fragment key={po.id}>
+                      <tr className="border-t align-top">
+                        <td className="px-3 py-2">
+                          <div className="font-mono text-xs font-medium">{poNo(po.number)}</div>
+                          <div className="text-xs text-neutral-500">→ {po.warehouse.code}</div>
+                          {po.expectedAt && (
+                            <div className="text-xs text-neutral-500">due {new Date(po.expectedAt).toLocaleDateString()}</div>
+                          )}
+                        </td>
+                        <td className="px-3 py-2">{po.supplier.name}</td>
+                        <td className="px-3 py-2 text-xs">
+                          {po.items.map((it) => (
+                            <div key={it.id}>
+                              <span className="font-mono">{it.variant?.sku || it.variantId}</span> · {it.receivedQty}/{it.quantity}
+                              {it.rejectedQty > 0 && <span className="text-red-600"> ({it.rejectedQty} rejected)</span>}
+                            </div>
+                          ))}
+                          {po.receipts.length > 0 && (
+                            <div className="mt-1 text-neutral-500">Batches: {po.receipts.map((r) => r.batch.code).join(", ")}</div>
+                          )}
+                        </td>
+                        <td className="whitespace-nowrap px-3 py-2 text-right">
+                          {po.currency} {fmt(value)}
+                          {po.currency !== "BDT" && <div className="text-xs text-neutral-500">@ {Number(po.fxRate)}</div>}
+                        </td>
+                        <td className="px-3 py-2">
+                          <span className={`rounded px-2 py-0.5 text-xs ${STATUS_STYLE[po.status] || ""}`}>
+                            {po.status.replace("_", " ").toLowerCase()}
+                          </span>
+                        </td>
+                        <td className="whitespace-nowrap px-3 py-2 text-right">
+                          {po.status === "DRAFT" && (
+                            <button disabled={busy} className="mr-3 disabled:opacity-50" onClick={() => act(po, "submit")}>
+                              Submit
+                            </button>
+                          )}
+                          {open && (
+                            <button disabled={busy} className="mr-3 disabled:opacity-50" onClick={() => setReceiving(po.id)}>
+                              Receive
+                            </button>
+                          )}
+                          {po.status === "PARTIALLY_RECEIVED" && (
+                            <button
+                              disabled={busy}
+                              className="mr-3 disabled:opacity-50"
+                              onClick={() => {
+                                if (confirm(`Short-close ${poNo(po.number)}? The remaining quantity will not be received.`)) act(po, "close");
+                              }}
+                            >
+                              Close
+                            </button>
+                          )}
+                          {(po.status === "DRAFT" || po.status === "SUBMITTED") && (
+                            <button
+                              disabled={busy}
+                              className="text-red-600 disabled:opacity-50"
+                              onClick={() => {
+                                if (confirm(`Cancel ${poNo(po.number)}?`)) act(po, "cancel");
+                              }}
+                            >
+                              Cancel
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {receiving === po.id && open && (
+                        <tr className="border-t">
+                          <td colSpan={6}>
+                            <ReceiveForm
+                              po={po}
+                              disabled={busy}
+                              onClose={() => setReceiving(null)}
+                              onSubmit={async (body) => {
+                                let code = "";
+                                const ok = await run(async () => {
+                                  const res = await api(`/api/admin/purchasing/purchase-orders/${po.id}/receipts`, {
+                                    method: "POST",
+                                    body,
+                                  });
+                                  code = res.receipt?.batch?.code || "";
+                                });
+                                if (ok) {
+                                  setReceiving(null);
+                                  setNotice(`Received into batch ${code}.`);
+                                }
+                              }}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              {!loading && orders.length === 0 && (
+                <tr>
+                  <td className="px-3 py-3 text-neutral-600" colSpan={6}>
+                    No purchase orders yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
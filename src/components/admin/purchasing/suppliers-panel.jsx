@@ -0,0 +1,228 @@
+// FILE: src/components/admin/purchasing/suppliers-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    throw new Error(json?.error || `Request failed with ${res.status}`);
+  }
+  return json;
+}
+
+const CURRENCIES = ["BDT", "USD", "EUR", "GBP", "INR", "AUD"];
+const EMPTY_SUPPLIER = {
+  name: "",
+  code: "",
+  contactName: "",
+  phone: "",
+  email: "",
+  currency: "BDT",
+  leadTimeDays: "",
+  paymentTerms: "",
+};
+
+function SupplierForm({ initial = EMPTY_SUPPLIER, submitLabel, onSubmit, onCancel, disabled }) {
+  const [form, setForm] = useState(initial);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <form
+      className="flex flex-wrap items-end gap-2 text-sm"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        if ((await onSubmit(form)) && !onCancel) setForm(EMPTY_SUPPLIER);
+      }}
+    >
+      <input className="w-48 rounded border px-2 py-1" placeholder="Name" value={form.name} onChange={set("name")} />
+      <input className="w-28 rounded border px-2 py-1" placeholder="Code" value={form.code} onChange={set("code")} />
+      <input className="w-40 rounded border px-2 py-1" placeholder="Contact person" value={form.contactName || ""} onChange={set("contactName")} />
+      <input className="w-36 rounded border px-2 py-1" placeholder="Phone" value={form.phone || ""} onChange={set("phone")} />
+      <input className="w-48 rounded border px-2 py-1" placeholder="Email" value={form.email || ""} onChange={set("email")} />
+      <select className="rounded border px-2 py-1" value={form.currency} onChange={set("currency")}>
+        {CURRENCIES.map((c) => (
+          <option key={c}>{c}</option>
+        ))}
+      </select>
+      <input className="w-24 rounded border px-2 py-1" placeholder="Lead days" value={form.leadTimeDays ?? ""} onChange={set("leadTimeDays")} />
+      <input className="w-32 rounded border px-2 py-1" placeholder="Terms" value={form.paymentTerms || ""} onChange={set("paymentTerms")} />
+      <button disabled={disabled} className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50">
+        {submitLabel}
+      </button>
+      {onCancel && (
+        <button type="button" className="px-2 py-1 text-neutral-600" onClick={onCancel}>
+          Cancel
+        </button>
+      )}
+    </form>
+  );
+}
+
+export default function SuppliersPanel() {
+  const [suppliers, setSuppliers] = useState([]);
+  const [q, setQ] = useState("");
+  const [showArchived, setShowArchived] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const qs = new URLSearchParams();
+      if (q.trim()) qs.set("q", q.trim());
+      if (showArchived) qs.set("archived", "1");
+      const res = await api(`/api/admin/purchasing/suppliers?${qs}`);
+      setSuppliers(res.items || []);
+    } catch (err) {
+      setError(err?.message || "Failed to load suppliers");
+    } finally {
+      setLoading(false);
+    }
+  }, [q, showArchived]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err?.message || "Request failed");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const patch = (s, body) => run(() => api(`/api/admin/purchasing/suppliers/${s.id}`, { method: "PATCH", body }));
+
+  return (
+    <div className="space-y-6">
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="overflow-hidden rounded border bg-white">
+        <div className="border-b p-3">
+          <div className="font-medium">Suppliers</div>
+          <div className="text-xs text-neutral-500">
+            Factories and vendors purchase orders are raised against. New POs default to the supplier&apos;s currency.
+          </div>
+        </div>
+        <div className="border-b p-3">
+          <SupplierForm
+            submitLabel="Add supplier"
+            disabled={busy}
+            onSubmit={(body) => run(() => api("/api/admin/purchasing/suppliers", { method: "POST", body }))}
+          />
+        </div>
+        <div className="flex items-center gap-3 border-b p-3 text-sm">
+          <input className="w-64 rounded border px-2 py-1" placeholder="Search name or code" value={q} onChange={(e) => setQ(e.target.value)} />
+          <label className="inline-flex items-center gap-1 text-xs">
+            <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+            Show archived
+          </label>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-neutral-50">
+              <tr>
+                <th className="px-3 py-2 text-left">Supplier</th>
+                <th className="px-3 py-2 text-left">Contact</th>
+                <th className="px-3 py-2 text-left">Terms</th>
+                <th className="px-3 py-2 text-right">Open POs</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {!loading &&
+                suppliers.map((s) =>
+                  editing === s.id ? (
+                    <tr key={s.id} className="border-t">
+                      <td className="p-3" colSpan={5}>
+                        <SupplierForm
+                          initial={s}
+                          submitLabel="Save"
+                          disabled={busy}
+                          onCancel={() => setEditing(null)}
+                          onSubmit={async (form) => {
+                            const { name, code, contactName, phone, email, currency, leadTimeDays, paymentTerms } = form;
+                            const ok = await patch(s, { name, code, contactName, phone, email, currency, leadTimeDays, paymentTerms });
+                            if (ok) setEditing(null);
+                            return ok;
+                          }}
+                        />
+                      </td>
+                    </tr>
+                  ) : (
+                    <tr key={s.id} className={`border-t align-top ${s.archivedAt ? "text-neutral-400" : ""}`}>
+                      <td className="px-3 py-2">
+                        <div className="font-medium">{s.name}</div>
+                        <div className="text-xs text-neutral-500">
+                          {s.code} · {s.currency}
+                          {s.archivedAt ? " · ARCHIVED" : ""}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2 text-xs">
+                        {s.contactName && <div>{s.contactName}</div>}
+                        {s.phone && <div>{s.phone}</div>}
+                        {s.email && <div>{s.email}</div>}
+                      </td>
+                      <td className="px-3 py-2 text-xs">
+                        {s.paymentTerms || "—"}
+                        {s.leadTimeDays != null && <div className="text-neutral-500">{s.leadTimeDays} day lead time</div>}
+                      </td>
+                      <td className="px-3 py-2 text-right">{s.openOrders}</td>
+                      <td className="whitespace-nowrap px-3 py-2 text-right">
+                        {s.archivedAt ? (
+                          <button disabled={busy} className="disabled:opacity-50" onClick={() => patch(s, { archived: false })}>
+                            Restore
+                          </button>
+                        ) : (
+                          <>
+                            <button disabled={busy} className="mr-3 disabled:opacity-50" onClick={() => setEditing(s.id)}>
+                              Edit
+                            </button>
+                            <button
+                              disabled={busy}
+                              className="text-red-600 disabled:opacity-50"
+                              onClick={() => {
+                                if (!confirm(`Archive ${s.name}? Existing purchase orders are kept.`)) return;
+                                run(() => api(`/api/admin/purchasing/suppliers/${s.id}`, { method: "DELETE" }));
+                              }}
+                            >
+                              Archive
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                )}
+              {!loading && suppliers.length === 0 && (
+                <tr>
+                  <td className="px-3 py-3 text-neutral-600" colSpan={5}>
+                    No suppliers yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
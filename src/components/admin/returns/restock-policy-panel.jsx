@@ -0,0 +1,104 @@
+// FILE: src/components/admin/returns/restock-policy-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) throw new Error(json?.error || `Request failed with ${res.status}`);
+  return json;
+}
+
+const HINTS = {
+  RESELLABLE: "Back on the shelf at the receiving warehouse.",
+  DAMAGED: "Customer-caused damage; written off.",
+  DEFECTIVE: "Manufacturing fault; written off.",
+};
+
+export default function RestockPolicyPanel() {
+  const [grades, setGrades] = useState([]);
+  const [pct, setPct] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  const load = useCallback(async () => {
+    setError("");
+    try {
+      const res = await api("/api/admin/rer/restock-policy");
+      setGrades(res.grades || []);
+      setPct(res.policy?.refundPercent || {});
+    } catch (err) {
+      setError(err?.message || "Failed to load restock policy");
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function save(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    setSaved(false);
+    try {
+      const res = await api("/api/admin/rer/restock-policy", {
+        method: "PUT",
+        body: { refundPercent: Object.fromEntries(grades.map((g) => [g, Number(pct[g])])) },
+      });
+      setPct(res.policy.refundPercent);
+      setSaved(true);
+    } catch (err) {
+      setError(err?.message || "Save failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={save} className="max-w-xl space-y-4 p-6">
+      <div>
+        <h1 className="text-xl font-semibold">Restock &amp; refund policy</h1>
+        <div className="text-sm text-neutral-500">
+          Share of the price paid that is refunded for each unit, by QC grade. Applies to returns inspected after saving.
+        </div>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <div className="rounded border bg-white">
+        {grades.map((g) => (
+          <div key={g} className="flex items-center justify-between border-b p-3 last:border-b-0">
+            <div>
+              <div className="font-medium">{g}</div>
+              <div className="text-xs text-neutral-500">{HINTS[g]}</div>
+            </div>
+            <label className="flex items-center gap-1 text-sm">
+              <input
+                type="number"
+                min={0}
+                max={100}
+                step="0.01"
+                className="w-24 rounded border px-2 py-1"
+                value={pct[g] ?? ""}
+                onChange={(e) => setPct((p) => ({ ...p, [g]: e.target.value }))}
+              />
+              %
+            </label>
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center gap-3">
+        <button disabled={busy} className="rounded bg-neutral-900 px-3 py-1 text-sm text-white disabled:opacity-50">
+          Save
+        </button>
+        {saved && <span className="text-sm text-emerald-700">Saved.</span>}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,455 @@
+// FILE: src/components/admin/returns/rma-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) throw new Error(json?.error || `Request failed with ${res.status}`);
+  return json;
+}
+
+const fmt = (d) => (d ? new Date(d).toLocaleString() : "—");
+const money = (v) => `৳${Number(v || 0).toFixed(2)}`;
+
+const STEPS = ["REQUESTED", "APPROVED", "RECEIVED", "INSPECTED", "REFUNDED"];
+
+function Steps({ status }) {
+  const at = STEPS.indexOf(status);
+  return (
+    <div className="flex flex-wrap gap-2 text-xs">
+      {status === "DENIED" ? (
+        <span className="rounded bg-red-100 px-2 py-1 text-red-700">DENIED</span>
+      ) : (
+        STEPS.map((s, i) => (
+          <span
+            key={s}
+            className={`rounded px-2 py-1 ${i <= at ? "bg-emerald-100 text-emerald-800" : "bg-neutral-100 text-neutral-500"}`}
+          >
+            {s}
+          </span>
+        ))
+      )}
+    </div>
+  );
+}
+
+function PickupCard({ item, couriers, warehouses, busy, onBook }) {
+  const [courierCode, setCourierCode] = useState("");
+  const [warehouseId, setWarehouseId] = useState(item.warehouseId || "");
+
+  if (item.returnConsignmentId) {
+    return (
+      <div className="text-sm">
+        <div>
+          {item.returnCourierCode} · <span className="font-mono">{item.returnTrackingNumber}</span>
+        </div>
+        <div className="text-xs text-neutral-500">Booked {fmt(item.returnBookedAt)}</div>
+        {item.returnLabelUrl && (
+          <a href={item.returnLabelUrl} target="_blank" rel="noreferrer" className="text-xs underline">
+            Return label
+          </a>
+        )}
+      </div>
+    );
+  }
+  if (item.status !== "APPROVED") return <div className="text-sm text-neutral-500">No pickup booked.</div>;
+
+  return (
+    <div className="flex flex-wrap items-end gap-2 text-sm">
+      <label className="flex flex-col text-xs text-neutral-500">
+        Courier
+        <select className="rounded border px-2 py-1 text-sm" value={courierCode} onChange={(e) => setCourierCode(e.target.value)}>
+          <option value="">Delivering courier</option>
+          {couriers.map((c) => (
+            <option key={c.code} value={c.code}>
+              {c.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col text-xs text-neutral-500">
+        Return to
+        <select className="rounded border px-2 py-1 text-sm" value={warehouseId} onChange={(e) => setWarehouseId(e.target.value)}>
+          <option value="">—</option>
+          {warehouses.map((w) => (
+            <option key={w.id} value={w.id}>
+              {w.code} · {w.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button
+        disabled={busy}
+        onClick={() => onBook({ courierCode: courierCode || null, warehouseId: warehouseId || null })}
+        className="rounded border px-3 py-1 hover:bg-neutral-50 disabled:opacity-50"
+      >
+        Book pickup
+      </button>
+    </div>
+  );
+}
+
+function ReceiveForm({ item, warehouses, busy, onScan, onReceive }) {
+  const [code, setCode] = useState("");
+  const [warehouseId, setWarehouseId] = useState(item.warehouseId || "");
+  const [counts, setCounts] = useState(() => Object.fromEntries(item.lines.map((l) => [l.id, l.receivedQty])));
+
+  useEffect(() => {
+    setCounts(Object.fromEntries(item.lines.map((l) => [l.id, l.receivedQty])));
+  }, [item.lines]);
+
+  const scan = (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    onScan(code.trim());
+    setCode("");
+  };
+
+  return (
+    <div className="space-y-3">
+      <form onSubmit={scan} className="flex gap-2">
+        <input
+          autoFocus
+          className="w-64 rounded border px-2 py-1 font-mono text-sm"
+          placeholder="Scan SKU / barcode"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+        />
+        <button disabled={busy} className="rounded border px-3 py-1 text-sm hover:bg-neutral-50 disabled:opacity-50">
+          Add
+        </button>
+      </form>
+      <table className="min-w-full text-sm">
+        <thead className="bg-neutral-50 text-left text-xs text-neutral-500">
+          <tr>
+            <th className="px-3 py-2">Item</th>
+            <th className="px-3 py-2">SKU</th>
+            <th className="px-3 py-2">Requested</th>
+            <th className="px-3 py-2">Received</th>
+          </tr>
+        </thead>
+        <tbody>
+          {item.lines.map((l) => (
+            <tr key={l.id} className="border-t">
+              <td className="px-3 py-2">{l.orderItem?.title || "—"}</td>
+              <td className="px-3 py-2 font-mono text-xs">{l.sku || "—"}</td>
+              <td className="px-3 py-2">{l.quantity}</td>
+              <td className="px-3 py-2">
+                <input
+                  type="number"
+                  min={0}
+                  max={l.quantity}
+                  className="w-20 rounded border px-2 py-1"
+                  value={counts[l.id] ?? 0}
+                  onChange={(e) => setCounts((c) => ({ ...c, [l.id]: e.target.value }))}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex items-end gap-2">
+        <label className="flex flex-col text-xs text-neutral-500">
+          Receiving warehouse
+          <select className="rounded border px-2 py-1 text-sm" value={warehouseId} onChange={(e) => setWarehouseId(e.target.value)}>
+            <option value="">Select…</option>
+            {warehouses.map((w) => (
+              <option key={w.id} value={w.id}>
+                {w.code} · {w.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          disabled={busy || !warehouseId}
+          onClick={() =>
+            onReceive({
+              warehouseId,
+              lines: item.lines.map((l) => ({ lineId: l.id, receivedQty: Number(counts[l.id] || 0) })),
+            })
+          }
+          className="rounded bg-neutral-900 px-3 py-1 text-sm text-white disabled:opacity-50"
+        >
+          Confirm receipt
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function QcForm({ item, policy, busy, onInspect }) {
+  const [grades, setGrades] = useState(() =>
+    Object.fromEntries(
+      item.lines.map((l) => [l.id, { resellable: l.receivedQty, damaged: 0, defective: 0, notes: "" }])
+    )
+  );
+  const set = (id, k, v) => setGrades((g) => ({ ...g, [id]: { ...g[id], [k]: v } }));
+  const pct = policy?.refundPercent || {};
+
+  const estimate = item.lines.reduce((sum, l) => {
+    const g = grades[l.id];
+    return (
+      sum +
+      l.unitPaid *
+        ((Number(g.resellable || 0) * (pct.RESELLABLE ?? 100) +
+          Number(g.damaged || 0) * (pct.DAMAGED ?? 100) +
+          Number(g.defective || 0) * (pct.DEFECTIVE ?? 100)) /
+          100)
+    );
+  }, 0);
+
+  return (
+    <div className="space-y-3">
+      <table className="min-w-full text-sm">
+        <thead className="bg-neutral-50 text-left text-xs text-neutral-500">
+          <tr>
+            <th className="px-3 py-2">Item</th>
+            <th className="px-3 py-2">Received</th>
+            <th className="px-3 py-2">Resellable ({pct.RESELLABLE}%)</th>
+            <th className="px-3 py-2">Damaged ({pct.DAMAGED}%)</th>
+            <th className="px-3 py-2">Defective ({pct.DEFECTIVE}%)</th>
+            <th className="px-3 py-2">Notes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {item.lines.map((l) => {
+            const g = grades[l.id];
+            const sum = Number(g.resellable || 0) + Number(g.damaged || 0) + Number(g.defective || 0);
+            return (
+              <tr key={l.id} className={`border-t ${sum !== l.receivedQty ? "bg-amber-50" : ""}`}>
+                <td className="px-3 py-2">
+                  {l.orderItem?.title || "—"}
+                  <div className="font-mono text-xs text-neutral-500">{l.sku || "no variant — written off"}</div>
+                </td>
+                <td className="px-3 py-2">{l.receivedQty}</td>
+                {["resellable", "damaged", "defective"].map((k) => (
+                  <td key={k} className="px-3 py-2">
+                    <input
+                      type="number"
+                      min={0}
+                      max={l.receivedQty}
+                      className="w-20 rounded border px-2 py-1"
+                      value={g[k]}
+                      onChange={(e) => set(l.id, k, e.target.value)}
+                    />
+                  </td>
+                ))}
+                <td className="px-3 py-2">
+                  <input
+                    className="w-48 rounded border px-2 py-1 text-xs"
+                    value={g.notes}
+                    onChange={(e) => set(l.id, "notes", e.target.value)}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="flex items-center gap-3">
+        <button
+          disabled={busy}
+          onClick={() => onInspect(item.lines.map((l) => ({ lineId: l.id, ...grades[l.id] })))}
+          className="rounded bg-neutral-900 px-3 py-1 text-sm text-white disabled:opacity-50"
+        >
+          Complete QC
+        </button>
+        <span className="text-sm text-neutral-500">Estimated refund {money(estimate)}</span>
+      </div>
+    </div>
+  );
+}
+
+function QcResult({ item }) {
+  return (
+    <table className="min-w-full text-sm">
+      <thead className="bg-neutral-50 text-left text-xs text-neutral-500">
+        <tr>
+          <th className="px-3 py-2">Item</th>
+          <th className="px-3 py-2">Received</th>
+          <th className="px-3 py-2">Resellable / damaged / defective</th>
+          <th className="px-3 py-2">Restocked</th>
+          <th className="px-3 py-2">Written off</th>
+          <th className="px-3 py-2">Refund</th>
+        </tr>
+      </thead>
+      <tbody>
+        {item.lines.map((l) => (
+          <tr key={l.id} className="border-t align-top">
+            <td className="px-3 py-2">
+              {l.orderItem?.title || "—"}
+              {l.qcNotes && <div className="text-xs text-neutral-500">{l.qcNotes}</div>}
+            </td>
+            <td className="px-3 py-2">{l.receivedQty}</td>
+            <td className="px-3 py-2">
+              {l.resellableQty} / {l.damagedQty} / {l.defectiveQty}
+            </td>
+            <td className="px-3 py-2">{l.restockedQty}</td>
+            <td className="px-3 py-2">
+              {l.writtenOffQty}
+              {l.writeOffValue != null && <span className="text-xs text-neutral-500"> ({money(l.writeOffValue)})</span>}
+            </td>
+            <td className="px-3 py-2">{money(l.lineRefund)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function RmaPanel({ id }) {
+  const [item, setItem] = useState(null);
+  const [policy, setPolicy] = useState(null);
+  const [couriers, setCouriers] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [method, setMethod] = useState("ORIGINAL");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const base = `/api/returns/${encodeURIComponent(id)}`;
+
+  const load = useCallback(async () => {
+    setError("");
+    try {
+      const [res, wh] = await Promise.all([api(base), api("/api/admin/inventory/warehouses")]);
+      setItem(res.item);
+      setPolicy(res.policy);
+      setCouriers(res.couriers || []);
+      setWarehouses((wh.items || []).filter((w) => !w.archivedAt));
+    } catch (err) {
+      setError(err?.message || "Failed to load return");
+    }
+  }, [base]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+      await load();
+    } catch (err) {
+      setError(err?.message || "Request failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const post = (path, body = {}) => run(() => api(`${base}/${path}`, { method: "POST", body }));
+
+  if (!item) return <div className="p-6 text-sm text-neutral-500">{error || "Loading…"}</div>;
+
+  return (
+    <div className="space-y-4 p-6">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-semibold">{item.label}</h1>
+          <div className="text-sm text-neutral-500">
+            <Link href={`/admin/orders/${item.order.id}`} className="underline">
+              Order #{item.order.orderNumber}
+            </Link>{" "}
+            · requested {fmt(item.createdAt)}
+            {item.warehouse && ` · ${item.warehouse.code}`}
+          </div>
+          {item.reason && <div className="mt-1 text-sm">{item.reason}</div>}
+        </div>
+        <Steps status={item.status} />
+      </div>
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      {item.status === "REQUESTED" && (
+        <div className="flex gap-2">
+          <button
+            disabled={busy}
+            onClick={() => post("approve")}
+            className="rounded bg-neutral-900 px-3 py-1 text-sm text-white disabled:opacity-50"
+          >
+            Approve
+          </button>
+        </div>
+      )}
+
+      <div className="rounded border bg-white p-3">
+        <div className="mb-2 font-medium">Return pickup</div>
+        <PickupCard item={item} couriers={couriers} warehouses={warehouses} busy={busy} onBook={(b) => post("label", b)} />
+      </div>
+
+      {item.status === "APPROVED" && (
+        <div className="rounded border bg-white p-3">
+          <div className="mb-2 font-medium">Receive parcel</div>
+          <ReceiveForm
+            item={item}
+            warehouses={warehouses}
+            busy={busy}
+            onScan={(code) => post("scan", { code })}
+            onReceive={(b) => post("receive", b)}
+          />
+        </div>
+      )}
+
+      {item.status === "RECEIVED" && (
+        <div className="rounded border bg-white p-3">
+          <div className="mb-2 font-medium">Quality check</div>
+          <div className="mb-2 text-xs text-neutral-500">
+            Only resellable units go back on hand at {item.warehouse?.code}; damaged and defective units are written off.
+          </div>
+          <QcForm item={item} policy={policy} busy={busy} onInspect={(lines) => post("qc", { lines })} />
+        </div>
+      )}
+
+      {["INSPECTED", "REFUNDED"].includes(item.status) && (
+        <div className="rounded border bg-white p-3">
+          <div className="mb-2 font-medium">QC result</div>
+          <QcResult item={item} />
+          <div className="mt-3 flex items-center gap-3 text-sm">
+            <span>
+              Refund due <b>{money(item.totalRefund)}</b>
+            </span>
+            {item.status === "INSPECTED" && (
+              <>
+                <select className="rounded border px-2 py-1" value={method} onChange={(e) => setMethod(e.target.value)}>
+                  <option value="ORIGINAL">Original payment</option>
+                  <option value="STORE_CREDIT">Store credit</option>
+                </select>
+                <button
+                  disabled={busy}
+                  onClick={() => post("refund", { method })}
+                  className="rounded bg-neutral-900 px-3 py-1 text-white disabled:opacity-50"
+                >
+                  Raise refund
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {item.refunds.length > 0 && (
+        <div className="rounded border bg-white p-3 text-sm">
+          <div className="mb-2 font-medium">Refunds</div>
+          {item.refunds.map((r) => (
+            <div key={r.id} className="flex gap-3">
+              <span>{money(r.amount)}</span>
+              <span>{r.method === "STORE_CREDIT" ? "Store credit" : "Original payment"}</span>
+              <span className="text-neutral-500">{r.status}</span>
+              <span className="text-neutral-500">{fmt(r.createdAt)}</span>
+            </div>
+          ))}
+          <div className="mt-1 text-xs text-neutral-500">Process them from the Refunds tab of the Return Center.</div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,336 @@
+// FILE: src/components/admin/settings/webhooks-panel.jsx
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+
+async function api(url, { method = "GET", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.ok === false) {
+    throw new Error(json?.error || `Request failed with ${res.status}`);
+  }
+  return json;
+}
+
+function fmt(d) {
+  return d ? new Date(d).toLocaleString() : "—";
+}
+
+const STATUS_STYLE = {
+  DELIVERED: "bg-green-50 text-green-700 border-green-200",
+  FAILED: "bg-red-50 text-red-700 border-red-200",
+  PENDING: "bg-amber-50 text-amber-700 border-amber-200",
+  SKIPPED: "bg-neutral-50 text-neutral-600 border-neutral-200",
+};
+
+function StatusPill({ status }) {
+  const s = String(status || "PENDING").toUpperCase();
+  return (
+    <span className={`rounded border px-2 py-0.5 text-[11px] font-medium ${STATUS_STYLE[s] || STATUS_STYLE.SKIPPED}`}>
+      {s}
+    </span>
+  );
+}
+
+export default function WebhooksPanel() {
+  const [subs, setSubs] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [filter, setFilter] = useState({ subscriptionId: "", status: "" });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busy, setBusy] = useState("");
+
+  const [form, setForm] = useState({ name: "", url: "", eventTypes: [] });
+
+  const loadSubs = useCallback(async () => {
+    const j = await api("/api/admin/webhooks");
+    setSubs(j.items || []);
+    setEvents(j.events || []);
+  }, []);
+
+  const loadDeliveries = useCallback(async () => {
+    const q = new URLSearchParams();
+    if (filter.subscriptionId) q.set("subscriptionId", filter.subscriptionId);
+    if (filter.status) q.set("status", filter.status);
+    const j = await api(`/api/admin/webhooks/deliveries?${q.toString()}`);
+    setDeliveries(j.items || []);
+  }, [filter]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        setLoading(true);
+        setError("");
+        await Promise.all([loadSubs(), loadDeliveries()]);
+      } catch (err) {
+        if (!cancelled) setError(err?.message || "Failed to load webhooks");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [loadSubs, loadDeliveries]);
+
+  async function run(key, fn, message) {
+    setBusy(key);
+    setError("");
+    setNotice("");
+    try {
+      const out = await fn();
+      if (message) setNotice(typeof message === "function" ? message(out) : message);
+      await Promise.all([loadSubs(), loadDeliveries()]);
+    } catch (err) {
+      setError(err?.message || "Action failed");
+    } finally {
+      setBusy("");
+    }
+  }
+
+  function toggleEvent(type) {
+    setForm((f) => ({
+      ...f,
+      eventTypes: f.eventTypes.includes(type) ? f.eventTypes.filter((t) => t !== type) : [...f.eventTypes, type],
+    }));
+  }
+
+  async function create(e) {
+    e.preventDefault();
+    await run(
+      "create",
+      () => api("/api/admin/webhooks", { method: "POST", body: form }),
+      (j) => `Subscription created. Signing secret (shown once): ${j.item?.secret}`
+    );
+    setForm({ name: "", url: "", eventTypes: [] });
+  }
+
+  const inputCls = "w-full rounded border px-2 py-1.5 text-sm";
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold">Webhooks</h1>
+        <p className="mt-1 text-xs text-neutral-600">
+          Signed POSTs for order, payment, shipment and return events. Verify{" "}
+          <code>x-tdls-signature</code> as <code>sha256=HMAC(secret, timestamp + &quot;.&quot; + body)</code>.
+        </p>
+      </div>
+
+      {error && <div className="rounded border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+      {notice && (
+        <div className="rounded border border-green-200 bg-green-50 p-3 text-sm text-green-800 break-all">{notice}</div>
+      )}
+
+      <form onSubmit={create} className="rounded border bg-white">
+        <div className="border-b p-4 font-medium">New subscription</div>
+        <div className="grid gap-3 p-4 md:grid-cols-2">
+          <label className="text-sm">
+            <div className="mb-1 text-neutral-600">Name</div>
+            <input className={inputCls} value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+          </label>
+          <label className="text-sm">
+            <div className="mb-1 text-neutral-600">Endpoint URL</div>
+            <input
+              className={inputCls}
+              placeholder="https://erp.example.com/hooks/tdls"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+            />
+          </label>
+          <div className="md:col-span-2">
+            <div className="mb-1 text-sm text-neutral-600">Events</div>
+            <div className="flex flex-wrap gap-2">
+              {["*", ...events].map((t) => (
+                <label key={t} className="flex items-center gap-1 rounded border px-2 py-1 text-xs">
+                  <input type="checkbox" checked={form.eventTypes.includes(t)} onChange={() => toggleEvent(t)} />
+                  {t === "*" ? "All events" : t}
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="border-t p-4">
+          <button
+            type="submit"
+            disabled={busy === "create"}
+            className="rounded border px-3 py-1 text-sm hover:bg-neutral-50 disabled:opacity-60"
+          >
+            {busy === "create" ? "Creating…" : "Create subscription"}
+          </button>
+        </div>
+      </form>
+
+      <div className="rounded border bg-white overflow-hidden">
+        <div className="border-b p-4 font-medium">Subscriptions</div>
+        {loading ? (
+          <div className="p-4 text-sm">Loading…</div>
+        ) : subs.length === 0 ? (
+          <div className="p-4 text-sm text-neutral-600">No subscriptions yet.</div>
+        ) : (
+          <div className="divide-y">
+            {subs.map((s) => (
+              <div key={s.id} className="flex flex-wrap items-start justify-between gap-3 p-4">
+                <div className="min-w-0">
+                  <div className="font-medium">
+                    {s.name}{" "}
+                    {!s.isActive && <span className="text-xs text-neutral-500">(disabled)</span>}
+                  </div>
+                  <div className="truncate text-xs text-neutral-600">{s.url}</div>
+                  <div className="mt-1 text-xs text-neutral-600">
+                    Events: {(s.eventTypes || []).join(", ")} • Secret: <code>{s.secret || "—"}</code>
+                  </div>
+                  <div className="text-xs text-neutral-600">
+                    Last attempt: {fmt(s.lastAttemptAt)} • Failed deliveries: {s.failedCount}
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    className="rounded border px-3 py-1 text-xs hover:bg-neutral-50"
+                    disabled={!!busy}
+                    onClick={() => run(`test:${s.id}`, () => api(`/api/admin/webhooks/${s.id}/test`, { method: "POST" }), "Test ping queued.")}
+                  >
+                    Send test
+                  </button>
+                  <button
+                    className="rounded border px-3 py-1 text-xs hover:bg-neutral-50"
+                    disabled={!!busy}
+                    onClick={() =>
+                      run(
+                        `toggle:${s.id}`,
+                        () => api(`/api/admin/webhooks/${s.id}`, { method: "PATCH", body: { isActive: !s.isActive } }),
+                        s.isActive ? "Subscription disabled." : "Subscription enabled."
+                      )
+                    }
+                  >
+                    {s.isActive ? "Disable" : "Enable"}
+                  </button>
+                  <button
+                    className="rounded border px-3 py-1 text-xs hover:bg-neutral-50"
+                    disabled={!!busy}
+                    onClick={() => {
+                      if (!confirm("Rotate the signing secret? The receiver must be updated.")) return;
+                      run(
+                        `rotate:${s.id}`,
+                        () => api(`/api/admin/webhooks/${s.id}`, { method: "PATCH", body: { rotateSecret: true } }),
+                        (j) => `New signing secret (shown once): ${j.item?.secret}`
+                      );
+                    }}
+                  >
+                    Rotate secret
+                  </button>
+                  <button
+                    className="rounded border px-3 py-1 text-xs text-red-700 hover:bg-red-50"
+                    disabled={!!busy}
+                    onClick={() => {
+                      if (!confirm(`Delete "${s.name}"? Delivery logs are kept.`)) return;
+                      run(`delete:${s.id}`, () => api(`/api/admin/webhooks/${s.id}`, { method: "DELETE" }), "Subscription deleted.");
+                    }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="rounded border bg-white overflow-hidden">
+        <div className="flex flex-wrap items-center justify-between gap-2 border-b p-4">
+          <div className="font-medium">Delivery log</div>
+          <div className="flex gap-2">
+            <select
+              className="rounded border px-2 py-1 text-xs"
+              value={filter.subscriptionId}
+              onChange={(e) => setFilter({ ...filter, subscriptionId: e.target.value })}
+            >
+              <option value="">All subscriptions</option>
+              {subs.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.name}
+                </option>
+              ))}
+            </select>
+            <select
+              className="rounded border px-2 py-1 text-xs"
+              value={filter.status}
+              onChange={(e) => setFilter({ ...filter, status: e.target.value })}
+            >
+              <option value="">Any status</option>
+              {Object.keys(STATUS_STYLE).map((s) => (
+                <option key={s} value={s}>
+                  {s}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-neutral-50">
+              <tr>
+                <th className="px-3 py-2 text-left">Created</th>
+                <th className="px-3 py-2 text-left">Event</th>
+                <th className="px-3 py-2 text-left">Subscription</th>
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2 text-left">Attempts</th>
+                <th className="px-3 py-2 text-left">Response</th>
+                <th className="px-3 py-2 text-left"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {deliveries.map((d) => (
+                <tr key={d.id}>
+                  <td className="px-3 py-2 whitespace-nowrap">{fmt(d.createdAt)}</td>
+                  <td className="px-3 py-2">
+                    {d.eventType}
+                    {d.replayOfId && <span className="ml-1 text-xs text-neutral-500">(replay)</span>}
+                  </td>
+                  <td className="px-3 py-2">{d.subscription?.name || "—"}</td>
+                  <td className="px-3 py-2">
+                    <StatusPill status={d.status} />
+                  </td>
+                  <td className="px-3 py-2">{d.attempts}</td>
+                  <td className="px-3 py-2 max-w-xs truncate" title={d.error || ""}>
+                    {d.responseCode ?? "—"} {d.error ? `· ${d.error}` : ""}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    <button
+                      className="rounded border px-2 py-0.5 text-xs hover:bg-neutral-50 disabled:opacity-60"
+                      disabled={!!busy || !d.subscription}
+                      onClick={() =>
+                        run(
+                          `replay:${d.id}`,
+                          () => api(`/api/admin/webhooks/deliveries/${d.id}/replay`, { method: "POST" }),
+                          "Replay queued."
+                        )
+                      }
+                    >
+                      Replay
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {!loading && deliveries.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-3 py-4 text-neutral-600">
+                    No deliveries yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -78,6 +78,38 @@ export default function InventoryAgingPanel() {
         </table>
       </div>
 
+      <div className="rounded-xl border overflow-x-auto">
+        <div className="px-4 py-3 font-semibold border-b">
+          Shrinkage (approved stock-takes, last {data?.shrinkage?.days ?? 90} days)
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-4 p-4">
+          <Kpi label="Units Lost" value={fmt(data?.shrinkage?.units)} />
+          <Kpi label="Units Found" value={fmt(data?.shrinkage?.surplusUnits)} />
+          <Kpi label="Net Value" value={fmt(data?.shrinkage?.value)} />
+        </div>
+        {(data?.shrinkage?.lines || []).length > 0 && (
+          <table className="min-w-[640px] text-sm">
+            <thead>
+              <tr className="bg-gray-50">
+                {["SKU", "Lost", "Found", "Value"].map((h) => (
+                  <th key={h} className="text-left px-4 py-2 border-b">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {data.shrinkage.lines.slice(0, 200).map((r) => (
+                <tr key={r.variantId} className="odd:bg-white even:bg-gray-50">
+                  <td className="px-4 py-2 border-b">{r.sku || r.variantId}</td>
+                  <td className="px-4 py-2 border-b">{fmt(r.shrinkUnits)}</td>
+                  <td className="px-4 py-2 border-b">{fmt(r.surplusUnits)}</td>
+                  <td className="px-4 py-2 border-b">{fmt(r.value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
       {isLoading && <p className="text-sm text-gray-500">Loading…</p>}
       {error && <p className="text-sm text-red-600">Failed to load inventory aging.</p>}
     </div>
@@ -119,6 +151,15 @@ function exportCsv(data) {
     lines.push([r.id, r.sku, r.qty, r.ageDays, r.cost, r.stockValue, r.bucket].join(","))
   );
 
+  if (data.shrinkage) {
+    lines.push("");
+    lines.push(`SHRINKAGE (last ${data.shrinkage.days} days)`);
+    lines.push("SKU,Lost,Found,Value");
+    (data.shrinkage.lines || []).forEach((r) =>
+      lines.push([r.sku || r.variantId, r.shrinkUnits, r.surplusUnits, r.value].join(","))
+    );
+  }
+
   const csv = lines.join("\r\n");
   const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
   const url = URL.createObjectURL(blob);
@@ -3239,6 +3239,7 @@ if (sessionUser?.id) {
               code: otpRes.code,
               purpose: COD_OTP_PURPOSE,
             },
+            shippingSpeed: payload?.shippingSpeed || undefined,
             cartId: cartId || undefined,
             cartSnapshot: snapshot,
             items: snapshot.items,
@@ -3258,6 +3259,10 @@ if (sessionUser?.id) {
               setToast("Your cart appears empty. Please refresh and try again.");
               return;
             }
+            if (r.j?.error === "COUPON_REJECTED") {
+              setToast("A coupon on your order no longer applies. Please review the summary and try again.");
+              return;
+            }
             setToast(r.j?.error || "Could not confirm COD order.");
             return;
           }
@@ -3314,6 +3319,7 @@ if (sessionUser?.id) {
             code: otpRes.code,
             purpose: COD_OTP_PURPOSE,
           },
+          shippingSpeed: payload?.shippingSpeed || undefined,
           cartId: cartId || undefined,
           cartSnapshot: snapshot,
           items: snapshot.items,
@@ -3335,6 +3341,10 @@ if (sessionUser?.id) {
         }
 
         if (!r.ok) {
+          if (r.j?.error === "COUPON_REJECTED") {
+            setToast("A coupon on your order no longer applies. Please review the summary and try again.");
+            return;
+          }
           setToast(r.j?.error || "Could not place guest COD order.");
           return;
         }
@@ -8,6 +8,25 @@ const NAVY = "#0F2147";
 const MUTED = "#6B7280";
 const BORDER = "#DFE3EC"; // align with checkout page
 
+const SPEED_LABELS = { STANDARD: "Standard delivery", EXPRESS: "Express delivery" };
+
+const COUPON_MESSAGES = {
+  COUPON_NOT_FOUND: "That code isn’t valid.",
+  COUPON_ALREADY_APPLIED: "That coupon is already applied.",
+  COUPON_INACTIVE: "This coupon is no longer active.",
+  COUPON_NOT_STARTED: "This coupon isn’t active yet.",
+  COUPON_EXPIRED: "This coupon has expired.",
+  COUPON_CURRENCY: "This coupon can’t be used with this currency.",
+  COUPON_EXHAUSTED: "This coupon has been fully redeemed.",
+  COUPON_LIMIT_REACHED: "You’ve already used this coupon.",
+  COUPON_FIRST_ORDER_ONLY: "This coupon is for first orders only.",
+  COUPON_NOT_ELIGIBLE: "This coupon isn’t available for your account.",
+  COUPON_MIN_SPEND: "Your order doesn’t reach the minimum spend for this coupon.",
+  COUPON_NOT_STACKABLE: "This coupon can’t be combined with the one already applied.",
+  COUPON_NOT_APPLICABLE: "None of the items in your bag qualify for this coupon.",
+};
+const couponMessage = (code) => COUPON_MESSAGES[code] || "This coupon can’t be applied.";
+
 export default function Summary({
   shipping,
   billing,
@@ -21,6 +40,15 @@ export default function Summary({
   const [cartFallback, setCartFallback] = useState(null);
   const [showMethodWarning, setShowMethodWarning] = useState(false);
   const [inlineError, setInlineError] = useState(""); // written warning on page
+  // Shipping quote for the address on screen (/api/checkout/shipping)
+  const [quote, setQuote] = useState(null);
+  const [speed, setSpeed] = useState(null);
+  // Coupons on the cart (/api/cart/coupon); couponRev re-runs the quotes after a change
+  const [coupons, setCoupons] = useState({ applied: [], rejected: [] });
+  const [couponCode, setCouponCode] = useState("");
+  const [couponBusy, setCouponBusy] = useState(false);
+  const [couponError, setCouponError] = useState("");
+  const [couponRev, setCouponRev] = useState(0);
   const liveRef = useRef(null);
 
   // ───────────────────────── helpers ─────────────────────────
@@ -98,6 +126,11 @@ export default function Summary({
         if (!json || typeof json !== "object") return;
 
         setCartFallback(json);
+
+        const c = await fetch("/api/cart/coupon", { cache: "no-store", credentials: "include", signal: ac?.signal })
+          .then((res) => res.json())
+          .catch(() => null);
+        if (alive && c?.ok && c.promotions) setCoupons(c.promotions);
       } catch (e) {
         // If aborted, do nothing.
         if (ac?.signal?.aborted) return;
@@ -113,7 +146,93 @@ export default function Summary({
         ac?.abort();
       } catch {}
     };
-  }, [itemsSig]);
+  }, [itemsSig, couponRev]);
+
+  // ───────────────────────── shipping options for the entered address ─────────────────────────
+  const shipSig = JSON.stringify(shipping || null);
+  useEffect(() => {
+    const draft = JSON.parse(shipSig);
+    if (!hasItems || !draft) {
+      setQuote(null);
+      return;
+    }
+
+    let alive = true;
+    const ac =
+      typeof AbortController !== "undefined" ? new AbortController() : null;
+
+    const t = setTimeout(async () => {
+      try {
+        const r = await fetch("/api/checkout/shipping", {
+          method: "POST",
+          cache: "no-store",
+          credentials: "include",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            shipping: draft,
+            shippingSpeed: speed,
+            paymentMethod: methodSelected,
+          }),
+          signal: ac?.signal,
+        });
+        const json = await r.json().catch(() => null);
+        if (alive) setQuote(r.ok && json?.ok ? json : null);
+        if (alive && json?.promotions) setCoupons(json.promotions);
+      } catch (e) {
+        if (ac?.signal?.aborted) return;
+        console.error("[Summary] /api/checkout/shipping error:", e);
+        if (alive) setQuote(null);
+      }
+    }, 300);
+
+    return () => {
+      alive = false;
+      clearTimeout(t);
+      try {
+        ac?.abort();
+      } catch {}
+    };
+  }, [shipSig, methodSelected, speed, itemsSig, hasItems, couponRev]);
+
+  async function couponRequest(url, init) {
+    setCouponBusy(true);
+    setCouponError("");
+    try {
+      const r = await fetch(url, { cache: "no-store", credentials: "include", ...init });
+      const json = await r.json().catch(() => null);
+      if (!r.ok || !json?.ok) {
+        setCouponError(couponMessage(json?.error));
+        return false;
+      }
+      if (json.promotions) setCoupons(json.promotions);
+      setCouponRev((n) => n + 1);
+      return true;
+    } catch {
+      setCouponError("Couldn’t reach the server. Please try again.");
+      return false;
+    } finally {
+      setCouponBusy(false);
+    }
+  }
+
+  async function applyCoupon(e) {
+    e?.preventDefault?.();
+    const code = couponCode.trim();
+    if (!code || couponBusy) return;
+    const ok = await couponRequest("/api/cart/coupon", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ code }),
+    });
+    if (ok) setCouponCode("");
+  }
+
+  const removeCoupon = (code) =>
+    couponRequest(`/api/cart/coupon?code=${encodeURIComponent(code)}`, { method: "DELETE" });
+
+  const quoteTotals = quote?.totals || null;
+  const shipOptions = quote?.shipping?.options || [];
+  const shipSelected = quote?.shipping?.selected || null;
 
   // Prefer /api/cart totals if present, fall back to context totals
   const serverTotals = useMemo(() => {
@@ -199,6 +318,7 @@ export default function Summary({
   const rawDiscount = useMemo(
     () =>
       pickFinite(
+        quoteTotals?.discountTotal,
         serverTotals?.discountTotal,
         serverTotals?.discount,
         cartFallback?.discountTotal,
@@ -207,7 +327,7 @@ export default function Summary({
         ctxTotals?.discountTotal,
         ctxTotals?.discount
       ),
-    [serverTotals, cartFallback, ctxTotals]
+    [quoteTotals, serverTotals, cartFallback, ctxTotals]
   );
   const discountAbs =
     rawDiscount != null ? Math.max(0, Math.abs(rawDiscount)) : null;
@@ -215,6 +335,7 @@ export default function Summary({
   const tax = useMemo(
     () =>
       pickFinite(
+        quoteTotals?.taxTotal,
         serverTotals?.taxTotal,
         serverTotals?.tax,
         cartFallback?.taxTotal,
@@ -223,12 +344,13 @@ export default function Summary({
         ctxTotals?.taxTotal,
         ctxTotals?.tax
       ),
-    [serverTotals, cartFallback, ctxTotals]
+    [quoteTotals, serverTotals, cartFallback, ctxTotals]
   );
 
   const shippingTotal = useMemo(
     () =>
       pickFinite(
+        quoteTotals?.shippingTotal,
         serverTotals?.shippingTotal,
         serverTotals?.shipping,
         cartFallback?.shippingTotal,
@@ -238,17 +360,20 @@ export default function Summary({
         ctxTotals?.shippingTotal,
         ctxTotals?.shipping
       ),
-    [serverTotals, cartFallback, ctxTotals]
+    [quoteTotals, serverTotals, cartFallback, ctxTotals]
   );
 
   // ───────────────────────── grand total: ALWAYS recompute from visible math ─────────────────────────
   const grandTotal = useMemo(() => {
+    // the quote already knows whether VAT is inside the prices
+    const quoted = toNum(quoteTotals?.grandTotal);
+    if (quoted !== null) return quoted;
     const sub = subtotal != null ? subtotal : 0;
     const disc = discountAbs != null ? discountAbs : 0;
     const ship = shippingTotal != null ? shippingTotal : 0;
     const t = tax != null ? tax : 0;
     return Number((sub - disc + ship + t).toFixed(2));
-  }, [subtotal, discountAbs, shippingTotal, tax]);
+  }, [quoteTotals, subtotal, discountAbs, shippingTotal, tax]);
 
   // ───────────────────────── address / payment validation ─────────────────────────
   const hasShip = !!shipping;
@@ -349,6 +474,7 @@ export default function Summary({
     const payload = {
       intent: "PLACE_ORDER",
       methodSelected,
+      shippingSpeed: shipSelected?.speed || undefined,
       cartId:
         baseCart.id ||
         baseCart.cartId ||
@@ -654,6 +780,66 @@ export default function Summary({
           )}
         </div>
 
+        {/* Coupon code */}
+        {hasItems ? (
+          <div className="mt-2 mb-3">
+            <div className="flex gap-2">
+              <input
+                className="flex-1 rounded-lg border px-3 py-2 text-[15px] uppercase"
+                style={{ borderColor: BORDER }}
+                placeholder="Coupon code"
+                value={couponCode}
+                onChange={(e) => setCouponCode(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") applyCoupon(e);
+                }}
+                aria-label="Coupon code"
+              />
+              <button
+                type="button"
+                className="rounded-lg border px-4 py-2 text-[15px] font-bold disabled:opacity-50"
+                style={{ borderColor: NAVY, color: NAVY }}
+                disabled={couponBusy || !couponCode.trim()}
+                onClick={applyCoupon}
+              >
+                Apply
+              </button>
+            </div>
+            {couponError ? (
+              <div className="mt-1 text-[13px] text-red-700" role="alert">
+                {couponError}
+              </div>
+            ) : null}
+            {coupons.applied.map((c) => (
+              <div key={c.promotionId} className="mt-1 flex items-center justify-between text-[14px]">
+                <span>
+                  <b>{c.code || c.name}</b>
+                  {c.freeShipping ? " · free shipping" : c.amount ? ` · -${money(c.amount, currency)}` : ""}
+                </span>
+                <button
+                  type="button"
+                  className="underline"
+                  style={{ color: MUTED }}
+                  disabled={couponBusy}
+                  onClick={() => removeCoupon(c.code)}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            {coupons.rejected.map((c) => (
+              <div key={c.promotionId} className="mt-1 flex items-center justify-between text-[13px]" style={{ color: MUTED }}>
+                <span>
+                  <b>{c.code}</b> · {couponMessage(c.error)}
+                </span>
+                <button type="button" className="underline" disabled={couponBusy} onClick={() => removeCoupon(c.code)}>
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : null}
+
         {/* Totals – from ITEMS + server fees only */}
         <div className="mt-2 space-y-1 totals-block">
           <Row k="Subtotal" v={money(subtotal, currency)} />
@@ -671,6 +857,43 @@ export default function Summary({
               v={shippingTotal != null ? money(shippingTotal, currency) : "—"}
             />
           ) : null}
+          {hasItems && shipOptions.length > 1 ? (
+            <div
+              className="space-y-1 pb-1"
+              role="radiogroup"
+              aria-label="Delivery speed"
+            >
+              {shipOptions.map((o) => (
+                <label
+                  key={o.speed}
+                  className="flex items-center justify-between text-[14px] cursor-pointer"
+                >
+                  <span className="flex items-center gap-2">
+                    <input
+                      type="radio"
+                      name="shipping-speed"
+                      checked={shipSelected?.speed === o.speed}
+                      onChange={() => setSpeed(o.speed)}
+                    />
+                    {SPEED_LABELS[o.speed] || o.speed}
+                    {o.etaMinDays != null ? (
+                      <span style={{ color: MUTED }}>
+                        {o.etaMaxDays != null && o.etaMaxDays !== o.etaMinDays
+                          ? `${o.etaMinDays}–${o.etaMaxDays} days`
+                          : `${o.etaMinDays} day${o.etaMinDays === 1 ? "" : "s"}`}
+                      </span>
+                    ) : null}
+                  </span>
+                  <span>{o.free && !o.codFee ? "Free" : money(o.total, currency)}</span>
+                </label>
+              ))}
+            </div>
+          ) : null}
+          {hasItems && shipSelected?.codFee > 0 ? (
+            <div className="text-[13px]" style={{ color: MUTED }}>
+              Includes {money(shipSelected.codFee, currency)} cash-on-delivery fee
+            </div>
+          ) : null}
           <Row k="VAT" v={tax != null ? money(tax, currency) : "—"} />
           <hr className="my-3" style={{ borderColor: "#ECEFF6" }} />
           <Row k="Total" v={money(grandTotal, currency)} bold isTotal />
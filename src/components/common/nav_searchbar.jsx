@@ -63,6 +63,10 @@ const HTML_CRAWL_MAX_QUEUE = 14000;
 
 // show more; panel is scrollable
 const SUGGESTION_LIMIT = 28;
+
+// catalog matches from /api/search (typo tolerant, synonym aware) shown above pages
+const PRODUCT_SEARCH_DEBOUNCE_MS = 180;
+const PRODUCT_SUGGESTION_LIMIT = 6;
 const ENRICH_VISIBLE_MAX = 8;
 
 /** Pinned safe routes (these exist in your app and are public). */
@@ -89,6 +93,9 @@ const SITEMAP_ENTRYPOINTS_FALLBACK = [
 
 const safeWindow = () => (typeof window !== "undefined" ? window : null);
 
+// "page" = navigate to href; "search" = open /search?q= with the full result list
+const isSelectable = (it) => it?.type === "page" || it?.type === "search";
+
 const norm = (s) =>
   String(s ?? "")
     .toLowerCase()
@@ -717,6 +724,7 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
   const popRef = useRef({});
   const [suggestions, setSuggestions] = useState([]);
   const [activeIdx, setActiveIdx] = useState(-1);
+  const [productHits, setProductHits] = useState([]);
 
   const composingRef = useRef(false);
   const rankTimerRef = useRef(null);
@@ -750,6 +758,19 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
     [router]
   );
 
+  const gotoSearch = useCallback(
+    (query) => {
+      const term = String(query || "").trim();
+      if (!term) return;
+      navAfterPaint(() => router.push(`/search?q=${encodeURIComponent(term)}`));
+      bumpPopularity(`l:${norm(term)}`);
+      popRef.current = readPopularity();
+      setFocused(false);
+      setActiveIdx(-1);
+    },
+    [router]
+  );
+
   const clear = () => {
     setQ("");
     setSuggestions([]);
@@ -779,39 +800,11 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
   const firstSelectableIdx = useCallback((arr) => {
     const n = arr?.length || 0;
     for (let i = 0; i < n; i += 1) {
-      if (arr[i]?.type === "page") return i;
+      if (isSelectable(arr[i])) return i;
     }
     return -1;
   }, []);
 
-  const bestMatchNow = useCallback(
-    (query) => {
-      const raw = String(query || "").trim();
-      if (!raw) return null;
-      const qNorm = norm(raw);
-      if (!qNorm) return null;
-
-      const qTokens = new Set(tokenize(qNorm));
-      const pop = popRef.current || {};
-
-      let best = null;
-      let bestScore = -1;
-
-      for (const it of pageIndex || []) {
-        if (!it || it.type !== "page" || !it.href) continue;
-        const s = scoreItem(it, qNorm, qTokens, pop);
-        if (s > bestScore) {
-          bestScore = s;
-          best = it;
-        }
-      }
-
-      if (!best || bestScore <= 0) return null;
-      return best;
-    },
-    [pageIndex]
-  );
-
   // ✅ Build index from REAL sitemaps + fallback HTML crawl (no guessing)
   useEffect(() => {
     let alive = true;
@@ -1151,6 +1144,41 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
     };
   }, []);
 
+  // ✅ Catalog matches (DB search) for the current query
+  useEffect(() => {
+    const query = q.trim();
+    if (!showPanel || query.length < 2) {
+      setProductHits([]);
+      return;
+    }
+
+    const ctrl = new AbortController();
+    const t = setTimeout(async () => {
+      try {
+        const qs = new URLSearchParams({ q: query, pageSize: String(PRODUCT_SUGGESTION_LIMIT), facets: "0" });
+        const res = await fetch(`/api/search?${qs.toString()}`, { signal: ctrl.signal });
+        const json = await res.json().catch(() => null);
+        if (!json?.ok) return;
+        setProductHits(
+          (json.items || []).map((it) => ({
+            type: "page",
+            label: it.title,
+            href: it.href,
+            source: "catalog",
+            _labelSource: "product",
+          }))
+        );
+      } catch {
+        // aborted or offline: page suggestions still work
+      }
+    }, PRODUCT_SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(t);
+      ctrl.abort();
+    };
+  }, [q, showPanel]);
+
   // ✅ Alphabetical default list + relevance list for query
   useEffect(() => {
     const query = q.trim();
@@ -1203,19 +1231,20 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
       });
 
       const pages = scored.slice(0, SUGGESTION_LIMIT).map((x) => x.it);
+      const searchAll = { type: "search", label: `See all results for “${query}”`, q: query };
 
-      if (!pages.length) {
+      if (!pages.length && !productHits.length) {
         const info = {
           type: "info",
-          label: `No verified public page found for “${query}”. We will not guess a destination.`,
+          label: `No product or page matched “${query}” yet.`,
         };
-        const safe = dedupeIndex([info, ...SAFE_PINNED_PAGES]);
+        const safe = [searchAll, ...dedupeIndex([info, ...SAFE_PINNED_PAGES])];
         setSuggestions(safe);
-        setActiveIdx(-1);
+        setActiveIdx(0);
         return;
       }
 
-      const merged = dedupeIndex(pages);
+      const merged = [searchAll, ...dedupeIndex([...productHits, ...pages])];
       setSuggestions(merged);
       setActiveIdx(firstSelectableIdx(merged));
     }, RANK_DEBOUNCE_MS);
@@ -1223,7 +1252,7 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
     return () => {
       if (rankTimerRef.current) clearTimeout(rankTimerRef.current);
     };
-  }, [q, showPanel, pageIndex, firstSelectableIdx]);
+  }, [q, showPanel, pageIndex, productHits, firstSelectableIdx]);
 
   // ✅ Fetch HTML title (used by visible enrich + background prefetch)
   const fetchHtmlTitle = useCallback(async (href) => {
@@ -1466,6 +1495,10 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
     (item) => {
       if (!item) return;
       if (item.type === "info") return;
+      if (item.type === "search") {
+        gotoSearch(item.q);
+        return;
+      }
       if (item.type !== "page") return;
 
       const href = item.href;
@@ -1474,7 +1507,7 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
       setQ(item.label || "");
       gotoPage(href, item.label);
     },
-    [gotoPage]
+    [gotoPage, gotoSearch]
   );
 
   const containerStyle = useMemo(
@@ -1532,16 +1565,14 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
 
           // If user has actively selected a suggestion, respect it.
           const selected = activeIdx >= 0 ? suggestions[activeIdx] : null;
-          if (selected && selected.type === "page" && selected.href) {
+          if (isSelectable(selected)) {
             onPickSuggestion(selected);
             return;
           }
 
-          // ✅ Critical fix: compute best match NOW (no stale routing to pinned).
+          // no (fresh) selection: full results for what was typed
           if (query) {
-            const best = bestMatchNow(query);
-            if (best) onPickSuggestion(best);
-            else setFocused(true); // no navigation if no verified match
+            gotoSearch(query);
             return;
           }
 
@@ -1589,7 +1620,7 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
                   if (!n) return -1;
                   let next = i < 0 ? 0 : (i + 1) % n;
                   for (let k = 0; k < n; k++) {
-                    if (suggestions[next]?.type === "page") return next;
+                    if (isSelectable(suggestions[next])) return next;
                     next = (next + 1) % n;
                   }
                   return -1;
@@ -1601,32 +1632,21 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
                   if (!n) return -1;
                   let next = i < 0 ? n - 1 : (i - 1 + n) % n;
                   for (let k = 0; k < n; k++) {
-                    if (suggestions[next]?.type === "page") return next;
+                    if (isSelectable(suggestions[next])) return next;
                     next = (next - 1 + n) % n;
                   }
                   return -1;
                 });
               } else if (e.key === "Enter") {
                 const selected = activeIdx >= 0 ? suggestions[activeIdx] : null;
-                if (selected && selected.type === "page" && selected.href) {
-                  e.preventDefault();
+                e.preventDefault();
+                if (isSelectable(selected)) {
                   onPickSuggestion(selected);
                   return;
                 }
 
-                // ✅ same "best match now" fix for Enter
                 const query = q.trim();
-                if (query) {
-                  const best = bestMatchNow(query);
-                  if (best) {
-                    e.preventDefault();
-                    onPickSuggestion(best);
-                  } else {
-                    e.preventDefault();
-                  }
-                } else {
-                  e.preventDefault();
-                }
+                if (query) gotoSearch(query);
               }
             }}
             inputMode="search"
@@ -1660,7 +1680,7 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
         style={{ display: showPanel ? "block" : "none" }}
       >
         <div className="tdls-hints-head">
-          <div className="tdls-hints-title">{q.trim() ? "Verified matches" : "Pages (A–Z)"}</div>
+          <div className="tdls-hints-title">{q.trim() ? "Matches" : "Pages (A–Z)"}</div>
           <div className="tdls-hints-meta">
             {indexReady && !isIndexing ? `Ready · ${indexedCount || pageIndex.length} indexed` : "Indexing…"}
           </div>
@@ -1677,8 +1697,36 @@ export default function NavSearchbar({ className = "", placeholder = "Search pro
             }
 
             const isActive = i === activeIdx;
+
+            if (item.type === "search") {
+              return (
+                <div
+                  key={`search:${i}`}
+                  className={`tdls-hint ${isActive ? "active" : ""}`}
+                  role="option"
+                  aria-selected={isActive}
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    onPickSuggestion(item);
+                  }}
+                >
+                  <span className="tdls-hint-main" title={item.label}>
+                    {item.label}
+                  </span>
+                  <span className="tdls-hint-sub">Search</span>
+                </div>
+              );
+            }
+
             const isPinned = item.source === "pinned";
-            const labelSource = item._labelSource === "title" ? "Title" : isPinned ? "Safe" : "Verified";
+            const labelSource =
+              item._labelSource === "product"
+                ? "Product"
+                : item._labelSource === "title"
+                  ? "Title"
+                  : isPinned
+                    ? "Safe"
+                    : "Verified";
 
             return (
               <div
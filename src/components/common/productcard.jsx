@@ -4,6 +4,7 @@
 import React, { useEffect, useMemo, useState, useRef, useCallback } from "react";
 import Link from "next/link";
 import { useCart as use_cart } from "@/components/common/cart_context";
+import { useLivePrice } from "@/hooks/use_live_price";
 import styles from "./productcard.module.css";
 
 /* ---------------- helpers (copied from quickview) ---------------- */
@@ -867,6 +868,16 @@ export default function ProductCard({ product, onQuickView, siteBaseUrl }) {
     [variants, selection]
   );
 
+  // A live price book / markdown (Prisma) wins over the Strapi price
+  const livePrice = useLivePrice(product?.id, currencyCode);
+  const bookPrice = useMemo(() => {
+    if (!livePrice) return null;
+    const hit = selection.size
+      ? livePrice.variants?.[String(selectedVariant?.id ?? "")]
+      : livePrice.from;
+    return hit?.priceList ? hit : null;
+  }, [livePrice, selection.size, selectedVariant]);
+
   /* ---- Tier (compatible with QuickView) ---- */
   const tiers = product?.brand_tiers_slugs || product?.attributes?.brand_tiers_slugs || [];
   const brandTierSlug = Array.isArray(tiers) && tiers.length ? tiers[0] : null;
@@ -1070,7 +1081,7 @@ export default function ProductCard({ product, onQuickView, siteBaseUrl }) {
       slug,
       name,
       image: images[0],
-      price: Number(price) || 0,
+      price: Number(bookPrice ? bookPrice.amount : price) || 0,
       currency: currencyCode,
 
       size: metadata.size,
@@ -1362,12 +1373,15 @@ export default function ProductCard({ product, onQuickView, siteBaseUrl }) {
 
   const showFromPrefix = priceRange?.hasRange && !selection.size; // if user hasn't pinned size, show "From"
   const displayPriceText = useMemo(() => {
+    if (bookPrice) {
+      return `${showFromPrefix ? "From " : ""}${money(currencyCode, bookPrice.amount)}`;
+    }
     if (price == null) return money(currencyCode, price);
     if (showFromPrefix && typeof priceRange?.min === "number") {
       return `From ${money(currencyCode, priceRange.min)}`;
     }
     return money(currencyCode, price);
-  }, [price, currencyCode, showFromPrefix, priceRange?.min]);
+  }, [bookPrice, price, currencyCode, showFromPrefix, priceRange?.min]);
 
   const helperHintStyle = {
     marginTop: 6,
@@ -1519,6 +1533,11 @@ export default function ProductCard({ product, onQuickView, siteBaseUrl }) {
 
         <div className={`${styles.priceRow} tdlsPcPriceRow`}>
           <span className={`${styles.price} tdlsPcPrice`}>{displayPriceText}</span>
+          {bookPrice?.compareAt ? (
+            <s className={`${styles.compareAt} tdlsPcCompareAt`} aria-label="Regular price">
+              {money(currencyCode, bookPrice.compareAt)}
+            </s>
+          ) : null}
 
           {/* Optional subtle range hint (only when range exists and size not chosen) */}
           {priceRange?.hasRange && !selection.size && typeof priceRange.max === "number" ? (
@@ -740,7 +740,7 @@ const pickAnyRaw = (obj, keys) => {
 };
 
 /* ---------------- component ---------------- */
-export default function ClientUX({ product }) {
+export default function ClientUX({ product, livePrice = null }) {
   const router = useRouter();
   const cartCtx = use_cart();
 
@@ -987,7 +987,7 @@ export default function ClientUX({ product }) {
     "BDT"
   ).toUpperCase();
 
-  const price = useMemo(() => (product ? derivePrice(product, variants, selection) : null), [product, variants, selection]);
+  const strapiPrice = useMemo(() => (product ? derivePrice(product, variants, selection) : null), [product, variants, selection]);
   const stock = useMemo(() => (product ? deriveStock(product, variants, selection) : null), [product, variants, selection]);
 
   const name = product?.name || A?.name || product?.title || A?.title || "Product";
@@ -1033,6 +1033,14 @@ export default function ClientUX({ product }) {
 
   const selectedVariant = useMemo(() => pickVariantForSelection(variants, selection), [variants, selection]);
 
+  // A live price book / markdown (resolved by the page, keyed by Strapi size id) wins over Strapi
+  const bookPrice = useMemo(() => {
+    if (!livePrice) return null;
+    if (!selection.size) return livePrice.from || null;
+    return livePrice.variants?.[String(selectedVariant?.size_stock_id ?? "")] || null;
+  }, [livePrice, selection.size, selectedVariant]);
+  const price = bookPrice ? bookPrice.amount : strapiPrice;
+
   const displaySku = selectedVariant?.sku || baseSku || null;
   const displayBarcode = selectedVariant?.barcode || productBarcode || null;
 
@@ -2071,6 +2079,7 @@ export default function ClientUX({ product }) {
     },
     priceRow: { display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap", minWidth: 0 },
     price: { color: "#0f2147", fontWeight: 950, fontSize: 20, letterSpacing: "-0.01em" },
+    compareAt: { color: "#6b7280", fontWeight: 700, fontSize: 15 },
     badge: (ok) => ({
       fontSize: 12,
       fontWeight: 900,
@@ -2934,6 +2943,14 @@ export default function ClientUX({ product }) {
 
                 <div style={S.priceRow}>
                   <span style={S.price}>{money(currencyCode, price)}</span>
+                  {bookPrice?.compareAt ? (
+                    <s style={S.compareAt} aria-label="Regular price">
+                      {money(currencyCode, bookPrice.compareAt)}
+                    </s>
+                  ) : null}
+                  {bookPrice?.priceList?.kind === "PRICE_BOOK" ? (
+                    <span style={S.subtleMeta}>{bookPrice.priceList.name}</span>
+                  ) : null}
                   {stock != null && <span style={S.badge(stock > 0)}>{stock > 0 ? `In stock (${stock})` : "Out of stock"}</span>}
                   {reviewStats.count > 0 ? (
                     <span style={S.subtleMeta}>
@@ -325,6 +325,7 @@ exports.Prisma.ProductScalarFieldEnum = {
   strapiUpdatedAt: 'strapiUpdatedAt',
   strapiSlug: 'strapiSlug',
   taxClassId: 'taxClassId',
+  searchText: 'searchText',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt'
 };
@@ -439,6 +440,9 @@ exports.Prisma.PriceListScalarFieldEnum = {
   description: 'description',
   currency: 'currency',
   isActive: 'isActive',
+  taxInclusive: 'taxInclusive',
+  kind: 'kind',
+  priority: 'priority',
   startsAt: 'startsAt',
   endsAt: 'endsAt',
   createdAt: 'createdAt',
@@ -455,7 +459,9 @@ exports.Prisma.TaxRateScalarFieldEnum = {
   taxClassId: 'taxClassId',
   countryIso2: 'countryIso2',
   region: 'region',
-  percentage: 'percentage'
+  percentage: 'percentage',
+  name: 'name',
+  isActive: 'isActive'
 };
 
 exports.Prisma.PromotionScalarFieldEnum = {
@@ -474,10 +480,24 @@ exports.Prisma.PromotionScalarFieldEnum = {
   endsAt: 'endsAt',
   appliesToAllProducts: 'appliesToAllProducts',
   appliesToAllCollections: 'appliesToAllCollections',
+  minSubtotal: 'minSubtotal',
+  firstOrderOnly: 'firstOrderOnly',
+  stackable: 'stackable',
+  customerTiers: 'customerTiers',
+  customerIds: 'customerIds',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt'
 };
 
+exports.Prisma.PromotionCodeScalarFieldEnum = {
+  id: 'id',
+  promotionId: 'promotionId',
+  code: 'code',
+  batch: 'batch',
+  maxRedemptions: 'maxRedemptions',
+  createdAt: 'createdAt'
+};
+
 exports.Prisma.PromotionProductScalarFieldEnum = {
   promotionId: 'promotionId',
   productId: 'productId'
@@ -495,6 +515,7 @@ exports.Prisma.WarehouseScalarFieldEnum = {
   addressId: 'addressId',
   status: 'status',
   archivedAt: 'archivedAt',
+  priority: 'priority',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt'
 };
@@ -506,6 +527,7 @@ exports.Prisma.InventoryItemScalarFieldEnum = {
   onHand: 'onHand',
   reserved: 'reserved',
   safetyStock: 'safetyStock',
+  frozenByTakeId: 'frozenByTakeId',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt'
 };
@@ -536,7 +558,8 @@ exports.Prisma.StockMovementScalarFieldEnum = {
   reason: 'reason',
   reference: 'reference',
   createdAt: 'createdAt',
-  batchId: 'batchId'
+  batchId: 'batchId',
+  transferId: 'transferId'
 };
 
 exports.Prisma.StockSyncLogScalarFieldEnum = {
@@ -556,6 +579,63 @@ exports.Prisma.StockSyncLogScalarFieldEnum = {
   summaryJson: 'summaryJson'
 };
 
+exports.Prisma.StockTakeScalarFieldEnum = {
+  id: 'id',
+  number: 'number',
+  warehouseId: 'warehouseId',
+  categoryId: 'categoryId',
+  status: 'status',
+  note: 'note',
+  createdById: 'createdById',
+  submittedById: 'submittedById',
+  submittedAt: 'submittedAt',
+  approvedById: 'approvedById',
+  approvedAt: 'approvedAt',
+  rejectedReason: 'rejectedReason',
+  cancelledAt: 'cancelledAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.StockTakeLineScalarFieldEnum = {
+  id: 'id',
+  stockTakeId: 'stockTakeId',
+  inventoryItemId: 'inventoryItemId',
+  variantId: 'variantId',
+  expectedQty: 'expectedQty',
+  countedQty: 'countedQty',
+  countedAt: 'countedAt',
+  countedById: 'countedById',
+  varianceQty: 'varianceQty',
+  unitCost: 'unitCost',
+  note: 'note'
+};
+
+exports.Prisma.StockTransferScalarFieldEnum = {
+  id: 'id',
+  number: 'number',
+  fromWarehouseId: 'fromWarehouseId',
+  toWarehouseId: 'toWarehouseId',
+  status: 'status',
+  note: 'note',
+  createdById: 'createdById',
+  dispatchedAt: 'dispatchedAt',
+  receivedAt: 'receivedAt',
+  cancelledAt: 'cancelledAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.StockTransferItemScalarFieldEnum = {
+  id: 'id',
+  transferId: 'transferId',
+  variantId: 'variantId',
+  quantity: 'quantity',
+  receivedQty: 'receivedQty',
+  discrepancyQty: 'discrepancyQty',
+  discrepancyNote: 'discrepancyNote'
+};
+
 exports.Prisma.StockReservationScalarFieldEnum = {
   id: 'id',
   inventoryItemId: 'inventoryItemId',
@@ -580,6 +660,7 @@ exports.Prisma.CartScalarFieldEnum = {
   taxTotal: 'taxTotal',
   shippingTotal: 'shippingTotal',
   grandTotal: 'grandTotal',
+  shippingSpeed: 'shippingSpeed',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt'
 };
@@ -602,7 +683,10 @@ exports.Prisma.CartItemScalarFieldEnum = {
 exports.Prisma.CartPromotionScalarFieldEnum = {
   cartId: 'cartId',
   promotionId: 'promotionId',
-  amountApplied: 'amountApplied'
+  amountApplied: 'amountApplied',
+  code: 'code',
+  promotionCodeId: 'promotionCodeId',
+  appliedAt: 'appliedAt'
 };
 
 exports.Prisma.IdempotencyKeyScalarFieldEnum = {
@@ -660,6 +744,9 @@ exports.Prisma.OrderScalarFieldEnum = {
   shippingTotal: 'shippingTotal',
   grandTotal: 'grandTotal',
   shippingCustomerCharge: 'shippingCustomerCharge',
+  shippingSpeed: 'shippingSpeed',
+  shippingRateId: 'shippingRateId',
+  codFee: 'codFee',
   notes: 'notes',
   metadata: 'metadata',
   fraudStatus: 'fraudStatus',
@@ -691,6 +778,10 @@ exports.Prisma.OrderItemScalarFieldEnum = {
   costChosen: 'costChosen',
   costSource: 'costSource',
   batchId: 'batchId',
+  taxClassId: 'taxClassId',
+  taxRatePct: 'taxRatePct',
+  taxInclusive: 'taxInclusive',
+  taxBreakdown: 'taxBreakdown',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt'
 };
@@ -710,7 +801,10 @@ exports.Prisma.OrderDiscountScalarFieldEnum = {
   id: 'id',
   orderId: 'orderId',
   promotionId: 'promotionId',
-  amount: 'amount'
+  amount: 'amount',
+  code: 'code',
+  promotionCodeId: 'promotionCodeId',
+  createdAt: 'createdAt'
 };
 
 exports.Prisma.PaymentScalarFieldEnum = {
@@ -787,6 +881,7 @@ exports.Prisma.JournalScalarFieldEnum = {
   source: 'source',
   reference: 'reference',
   description: 'description',
+  postedBy: 'postedBy',
   createdAt: 'createdAt'
 };
 
@@ -828,6 +923,37 @@ exports.Prisma.CourierServiceScalarFieldEnum = {
   isActive: 'isActive'
 };
 
+exports.Prisma.ShippingZoneScalarFieldEnum = {
+  id: 'id',
+  name: 'name',
+  countryIso2: 'countryIso2',
+  divisions: 'divisions',
+  districts: 'districts',
+  thanas: 'thanas',
+  postcodeRanges: 'postcodeRanges',
+  priority: 'priority',
+  isActive: 'isActive',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.ShippingRateScalarFieldEnum = {
+  id: 'id',
+  zoneId: 'zoneId',
+  speed: 'speed',
+  courierServiceId: 'courierServiceId',
+  minWeightGrams: 'minWeightGrams',
+  maxWeightGrams: 'maxWeightGrams',
+  fee: 'fee',
+  perExtraKgFee: 'perExtraKgFee',
+  freeThreshold: 'freeThreshold',
+  codFee: 'codFee',
+  codFeePct: 'codFeePct',
+  etaMinDays: 'etaMinDays',
+  etaMaxDays: 'etaMaxDays',
+  isActive: 'isActive'
+};
+
 exports.Prisma.ShipmentScalarFieldEnum = {
   id: 'id',
   orderId: 'orderId',
@@ -837,10 +963,71 @@ exports.Prisma.ShipmentScalarFieldEnum = {
   status: 'status',
   trackingNumber: 'trackingNumber',
   labelUrl: 'labelUrl',
+  consignmentId: 'consignmentId',
+  codAmount: 'codAmount',
+  providerPayload: 'providerPayload',
+  packScans: 'packScans',
+  weightKg: 'weightKg',
+  lengthCm: 'lengthCm',
+  widthCm: 'widthCm',
+  heightCm: 'heightCm',
+  packedAt: 'packedAt',
+  packedById: 'packedById',
+  providerStatus: 'providerStatus',
+  statusAt: 'statusAt',
+  lastTrackedAt: 'lastTrackedAt',
+  deliveredAt: 'deliveredAt',
+  codRemittedAt: 'codRemittedAt',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt'
 };
 
+exports.Prisma.ShipmentItemScalarFieldEnum = {
+  id: 'id',
+  shipmentId: 'shipmentId',
+  orderItemId: 'orderItemId',
+  inventoryItemId: 'inventoryItemId',
+  quantity: 'quantity',
+  createdAt: 'createdAt'
+};
+
+exports.Prisma.ShipmentTrackingEventScalarFieldEnum = {
+  id: 'id',
+  shipmentId: 'shipmentId',
+  providerStatus: 'providerStatus',
+  status: 'status',
+  note: 'note',
+  location: 'location',
+  occurredAt: 'occurredAt',
+  source: 'source',
+  raw: 'raw',
+  createdAt: 'createdAt'
+};
+
+exports.Prisma.CallbackRequestScalarFieldEnum = {
+  id: 'id',
+  orderId: 'orderId',
+  phone: 'phone',
+  preferredWindow: 'preferredWindow',
+  note: 'note',
+  status: 'status',
+  handledById: 'handledById',
+  handledAt: 'handledAt',
+  createdAt: 'createdAt'
+};
+
+exports.Prisma.PackExceptionScalarFieldEnum = {
+  id: 'id',
+  shipmentId: 'shipmentId',
+  kind: 'kind',
+  scannedCode: 'scannedCode',
+  variantId: 'variantId',
+  expectedSku: 'expectedSku',
+  quantity: 'quantity',
+  actorId: 'actorId',
+  createdAt: 'createdAt'
+};
+
 exports.Prisma.AddressScalarFieldEnum = {
   id: 'id',
   userId: 'userId',
@@ -908,7 +1095,20 @@ exports.Prisma.ReturnRequestScalarFieldEnum = {
   notes: 'notes',
   totalRefund: 'totalRefund',
   createdAt: 'createdAt',
-  updatedAt: 'updatedAt'
+  updatedAt: 'updatedAt',
+  warehouseId: 'warehouseId',
+  returnCourierCode: 'returnCourierCode',
+  returnConsignmentId: 'returnConsignmentId',
+  returnTrackingNumber: 'returnTrackingNumber',
+  returnLabelUrl: 'returnLabelUrl',
+  returnBookedAt: 'returnBookedAt',
+  returnPayload: 'returnPayload',
+  approvedAt: 'approvedAt',
+  approvedById: 'approvedById',
+  receivedAt: 'receivedAt',
+  receivedById: 'receivedById',
+  inspectedAt: 'inspectedAt',
+  inspectedById: 'inspectedById'
 };
 
 exports.Prisma.ReturnLineScalarFieldEnum = {
@@ -918,7 +1118,17 @@ exports.Prisma.ReturnLineScalarFieldEnum = {
   quantity: 'quantity',
   lineRefund: 'lineRefund',
   reason: 'reason',
-  conditionNotes: 'conditionNotes'
+  conditionNotes: 'conditionNotes',
+  costReversedAt: 'costReversedAt',
+  receivedQty: 'receivedQty',
+  resellableQty: 'resellableQty',
+  damagedQty: 'damagedQty',
+  defectiveQty: 'defectiveQty',
+  qcNotes: 'qcNotes',
+  restockedQty: 'restockedQty',
+  writtenOffQty: 'writtenOffQty',
+  writeOffValue: 'writeOffValue',
+  inspectedAt: 'inspectedAt'
 };
 
 exports.Prisma.ExchangeRequestScalarFieldEnum = {
@@ -929,7 +1139,13 @@ exports.Prisma.ExchangeRequestScalarFieldEnum = {
   reason: 'reason',
   notes: 'notes',
   createdAt: 'createdAt',
-  updatedAt: 'updatedAt'
+  updatedAt: 'updatedAt',
+  replacementOrderId: 'replacementOrderId',
+  priceDifference: 'priceDifference',
+  settlement: 'settlement',
+  approvedAt: 'approvedAt',
+  approvedById: 'approvedById',
+  fulfilledAt: 'fulfilledAt'
 };
 
 exports.Prisma.ExchangeLineScalarFieldEnum = {
@@ -950,8 +1166,12 @@ exports.Prisma.RefundScalarFieldEnum = {
   currency: 'currency',
   reason: 'reason',
   status: 'status',
+  method: 'method',
   gatewayRef: 'gatewayRef',
   payload: 'payload',
+  notes: 'notes',
+  actorId: 'actorId',
+  processedAt: 'processedAt',
   createdAt: 'createdAt'
 };
 
@@ -1016,7 +1236,39 @@ exports.Prisma.WebhookEventLogScalarFieldEnum = {
   deliveredAt: 'deliveredAt',
   status: 'status',
   error: 'error',
-  createdAt: 'createdAt'
+  createdAt: 'createdAt',
+  attempts: 'attempts',
+  responseCode: 'responseCode',
+  lastAttemptAt: 'lastAttemptAt',
+  replayOfId: 'replayOfId'
+};
+
+exports.Prisma.BackgroundJobScalarFieldEnum = {
+  id: 'id',
+  queue: 'queue',
+  name: 'name',
+  payload: 'payload',
+  status: 'status',
+  priority: 'priority',
+  attempts: 'attempts',
+  maxAttempts: 'maxAttempts',
+  runAt: 'runAt',
+  lockedAt: 'lockedAt',
+  lockedBy: 'lockedBy',
+  lastError: 'lastError',
+  result: 'result',
+  dedupeKey: 'dedupeKey',
+  completedAt: 'completedAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.JobQueueScalarFieldEnum = {
+  name: 'name',
+  paused: 'paused',
+  concurrency: 'concurrency',
+  lastRunAt: 'lastRunAt',
+  updatedAt: 'updatedAt'
 };
 
 exports.Prisma.IngestionLogScalarFieldEnum = {
@@ -1152,7 +1404,46 @@ exports.Prisma.ShipmentChargeScalarFieldEnum = {
   actualCost: 'actualCost',
   isReship: 'isReship',
   reason: 'reason',
-  createdAt: 'createdAt'
+  createdAt: 'createdAt',
+  codRemittanceLineId: 'codRemittanceLineId'
+};
+
+exports.Prisma.CodRemittanceScalarFieldEnum = {
+  id: 'id',
+  number: 'number',
+  courierId: 'courierId',
+  reference: 'reference',
+  fileName: 'fileName',
+  statementDate: 'statementDate',
+  status: 'status',
+  totalCollected: 'totalCollected',
+  totalFees: 'totalFees',
+  totalNet: 'totalNet',
+  lineCount: 'lineCount',
+  note: 'note',
+  createdById: 'createdById',
+  postedById: 'postedById',
+  postedAt: 'postedAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.CodRemittanceLineScalarFieldEnum = {
+  id: 'id',
+  remittanceId: 'remittanceId',
+  rowNumber: 'rowNumber',
+  consignmentId: 'consignmentId',
+  invoice: 'invoice',
+  collectedAmount: 'collectedAmount',
+  feeAmount: 'feeAmount',
+  netAmount: 'netAmount',
+  expectedAmount: 'expectedAmount',
+  status: 'status',
+  shipmentId: 'shipmentId',
+  paymentId: 'paymentId',
+  raw: 'raw',
+  shortAcceptedAt: 'shortAcceptedAt',
+  shortAcceptedById: 'shortAcceptedById'
 };
 
 exports.Prisma.FinanceWarningScalarFieldEnum = {
@@ -1173,7 +1464,8 @@ exports.Prisma.NotificationTemplateScalarFieldEnum = {
   bodyHtml: 'bodyHtml',
   enabled: 'enabled',
   createdAt: 'createdAt',
-  updatedAt: 'updatedAt'
+  updatedAt: 'updatedAt',
+  whatsappTemplate: 'whatsappTemplate'
 };
 
 exports.Prisma.NotificationScalarFieldEnum = {
@@ -1192,6 +1484,26 @@ exports.Prisma.NotificationScalarFieldEnum = {
   queued: 'queued',
   emailSentAt: 'emailSentAt',
   readAt: 'readAt',
+  createdAt: 'createdAt',
+  attemptCount: 'attemptCount',
+  nextAttemptAt: 'nextAttemptAt',
+  sentAt: 'sentAt',
+  provider: 'provider',
+  providerMessageId: 'providerMessageId',
+  lastError: 'lastError',
+  skippedReason: 'skippedReason'
+};
+
+exports.Prisma.NotificationAttemptScalarFieldEnum = {
+  id: 'id',
+  notificationId: 'notificationId',
+  attempt: 'attempt',
+  channel: 'channel',
+  provider: 'provider',
+  status: 'status',
+  providerMessageId: 'providerMessageId',
+  error: 'error',
+  durationMs: 'durationMs',
   createdAt: 'createdAt'
 };
 
@@ -1203,6 +1515,15 @@ exports.Prisma.NotificationPreferenceScalarFieldEnum = {
   enabled: 'enabled'
 };
 
+exports.Prisma.NotificationPhonePreferenceScalarFieldEnum = {
+  id: 'id',
+  phone: 'phone',
+  type: 'type',
+  channel: 'channel',
+  enabled: 'enabled',
+  updatedAt: 'updatedAt'
+};
+
 exports.Prisma.AppSettingScalarFieldEnum = {
   key: 'key',
   value: 'value',
@@ -1231,9 +1552,80 @@ exports.Prisma.InventoryBatchLineScalarFieldEnum = {
   currency: 'currency',
   metadata: 'metadata',
   createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  quantityConsumed: 'quantityConsumed'
+};
+
+exports.Prisma.BatchConsumptionScalarFieldEnum = {
+  id: 'id',
+  batchLineId: 'batchLineId',
+  orderItemId: 'orderItemId',
+  quantity: 'quantity',
+  unitCost: 'unitCost',
+  method: 'method',
+  reversedQty: 'reversedQty',
+  createdAt: 'createdAt'
+};
+
+exports.Prisma.SupplierScalarFieldEnum = {
+  id: 'id',
+  code: 'code',
+  name: 'name',
+  contactName: 'contactName',
+  email: 'email',
+  phone: 'phone',
+  address: 'address',
+  currency: 'currency',
+  leadTimeDays: 'leadTimeDays',
+  paymentTerms: 'paymentTerms',
+  notes: 'notes',
+  archivedAt: 'archivedAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.PurchaseOrderScalarFieldEnum = {
+  id: 'id',
+  number: 'number',
+  supplierId: 'supplierId',
+  warehouseId: 'warehouseId',
+  status: 'status',
+  currency: 'currency',
+  fxRate: 'fxRate',
+  expectedAt: 'expectedAt',
+  note: 'note',
+  createdById: 'createdById',
+  submittedAt: 'submittedAt',
+  receivedAt: 'receivedAt',
+  cancelledAt: 'cancelledAt',
+  closedAt: 'closedAt',
+  createdAt: 'createdAt',
   updatedAt: 'updatedAt'
 };
 
+exports.Prisma.PurchaseOrderItemScalarFieldEnum = {
+  id: 'id',
+  purchaseOrderId: 'purchaseOrderId',
+  variantId: 'variantId',
+  quantity: 'quantity',
+  unitCost: 'unitCost',
+  receivedQty: 'receivedQty',
+  rejectedQty: 'rejectedQty'
+};
+
+exports.Prisma.GoodsReceiptScalarFieldEnum = {
+  id: 'id',
+  number: 'number',
+  purchaseOrderId: 'purchaseOrderId',
+  warehouseId: 'warehouseId',
+  batchId: 'batchId',
+  landedCost: 'landedCost',
+  supplierRef: 'supplierRef',
+  note: 'note',
+  receivedById: 'receivedById',
+  receivedAt: 'receivedAt'
+};
+
 exports.Prisma.CustomerNotificationBroadcastScalarFieldEnum = {
   id: 'id',
   createdById: 'createdById',
@@ -1484,6 +1876,11 @@ exports.Currency = exports.$Enums.Currency = {
   SGD: 'SGD'
 };
 
+exports.PriceListKind = exports.$Enums.PriceListKind = {
+  PRICE_BOOK: 'PRICE_BOOK',
+  MARKDOWN: 'MARKDOWN'
+};
+
 exports.PromotionType = exports.$Enums.PromotionType = {
   PERCENTAGE: 'PERCENTAGE',
   FIXED: 'FIXED',
@@ -1498,6 +1895,15 @@ exports.PromotionStatus = exports.$Enums.PromotionStatus = {
   EXPIRED: 'EXPIRED'
 };
 
+exports.CustomerTier = exports.$Enums.CustomerTier = {
+  MEMBER: 'MEMBER',
+  BRONZE: 'BRONZE',
+  SILVER: 'SILVER',
+  GOLD: 'GOLD',
+  PLATINUM: 'PLATINUM',
+  VIP: 'VIP'
+};
+
 exports.InvoiceStatus = exports.$Enums.InvoiceStatus = {
   pending: 'pending',
   paid: 'paid',
@@ -1512,7 +1918,24 @@ exports.StockMovementType = exports.$Enums.StockMovementType = {
   ADJUST: 'ADJUST',
   RESERVE: 'RESERVE',
   RELEASE: 'RELEASE',
-  CANCEL_RESERVATION: 'CANCEL_RESERVATION'
+  CANCEL_RESERVATION: 'CANCEL_RESERVATION',
+  TRANSFER_OUT: 'TRANSFER_OUT',
+  TRANSFER_IN: 'TRANSFER_IN'
+};
+
+exports.StockTakeStatus = exports.$Enums.StockTakeStatus = {
+  COUNTING: 'COUNTING',
+  SUBMITTED: 'SUBMITTED',
+  APPROVED: 'APPROVED',
+  CANCELLED: 'CANCELLED'
+};
+
+exports.StockTransferStatus = exports.$Enums.StockTransferStatus = {
+  DRAFT: 'DRAFT',
+  DISPATCHED: 'DISPATCHED',
+  PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+  RECEIVED: 'RECEIVED',
+  CANCELLED: 'CANCELLED'
 };
 
 exports.CartStatus = exports.$Enums.CartStatus = {
@@ -1521,6 +1944,11 @@ exports.CartStatus = exports.$Enums.CartStatus = {
   CONVERTED: 'CONVERTED'
 };
 
+exports.ShippingSpeed = exports.$Enums.ShippingSpeed = {
+  STANDARD: 'STANDARD',
+  EXPRESS: 'EXPRESS'
+};
+
 exports.OrderStatus = exports.$Enums.OrderStatus = {
   DRAFT: 'DRAFT',
   PLACED: 'PLACED',
@@ -1592,7 +2020,20 @@ exports.ShipmentStatus = exports.$Enums.ShipmentStatus = {
   OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
   DELIVERED: 'DELIVERED',
   FAILED: 'FAILED',
-  RETURNED: 'RETURNED'
+  RETURNED: 'RETURNED',
+  CANCELLED: 'CANCELLED'
+};
+
+exports.CallbackRequestStatus = exports.$Enums.CallbackRequestStatus = {
+  OPEN: 'OPEN',
+  DONE: 'DONE'
+};
+
+exports.PackExceptionKind = exports.$Enums.PackExceptionKind = {
+  MISPICK: 'MISPICK',
+  WRONG_VARIANT: 'WRONG_VARIANT',
+  OVER_PICK: 'OVER_PICK',
+  SHORT_PICK: 'SHORT_PICK'
 };
 
 exports.AddressType = exports.$Enums.AddressType = {
@@ -1603,6 +2044,8 @@ exports.AddressType = exports.$Enums.AddressType = {
 exports.ReturnStatus = exports.$Enums.ReturnStatus = {
   REQUESTED: 'REQUESTED',
   APPROVED: 'APPROVED',
+  RECEIVED: 'RECEIVED',
+  INSPECTED: 'INSPECTED',
   REFUNDED: 'REFUNDED',
   DENIED: 'DENIED'
 };
@@ -1614,19 +2057,21 @@ exports.ExchangeStatus = exports.$Enums.ExchangeStatus = {
   DENIED: 'DENIED'
 };
 
+exports.ExchangeSettlement = exports.$Enums.ExchangeSettlement = {
+  WALLET: 'WALLET',
+  GATEWAY: 'GATEWAY'
+};
+
 exports.RefundStatus = exports.$Enums.RefundStatus = {
   INITIATED: 'INITIATED',
+  PROCESSING: 'PROCESSING',
   PROCESSED: 'PROCESSED',
   FAILED: 'FAILED'
 };
 
-exports.CustomerTier = exports.$Enums.CustomerTier = {
-  MEMBER: 'MEMBER',
-  BRONZE: 'BRONZE',
-  SILVER: 'SILVER',
-  GOLD: 'GOLD',
-  PLATINUM: 'PLATINUM',
-  VIP: 'VIP'
+exports.RefundMethod = exports.$Enums.RefundMethod = {
+  ORIGINAL: 'ORIGINAL',
+  STORE_CREDIT: 'STORE_CREDIT'
 };
 
 exports.LoyaltyEventType = exports.$Enums.LoyaltyEventType = {
@@ -1635,6 +2080,14 @@ exports.LoyaltyEventType = exports.$Enums.LoyaltyEventType = {
   ADJUST: 'ADJUST'
 };
 
+exports.JobStatus = exports.$Enums.JobStatus = {
+  PENDING: 'PENDING',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  DEAD: 'DEAD',
+  CANCELLED: 'CANCELLED'
+};
+
 exports.CostComponentType = exports.$Enums.CostComponentType = {
   OVERHEAD: 'OVERHEAD',
   VARIABLE: 'VARIABLE',
@@ -1689,11 +2142,28 @@ exports.ShipmentChargeReason = exports.$Enums.ShipmentChargeReason = {
   OTHER: 'OTHER'
 };
 
+exports.CodRemittanceStatus = exports.$Enums.CodRemittanceStatus = {
+  DRAFT: 'DRAFT',
+  POSTED: 'POSTED'
+};
+
+exports.CodRemittanceLineStatus = exports.$Enums.CodRemittanceLineStatus = {
+  MATCHED: 'MATCHED',
+  SHORT: 'SHORT',
+  OVER: 'OVER',
+  NOT_FOUND: 'NOT_FOUND',
+  DUPLICATE: 'DUPLICATE'
+};
+
 exports.FinanceWarningKind = exports.$Enums.FinanceWarningKind = {
   COST_CONFLICT: 'COST_CONFLICT',
   MISSING_TAX_RATE: 'MISSING_TAX_RATE',
   RATE_TABLE_GAP: 'RATE_TABLE_GAP',
-  OTHER: 'OTHER'
+  OTHER: 'OTHER',
+  COD_SHORT_REMIT: 'COD_SHORT_REMIT',
+  COD_UNKNOWN_PARCEL: 'COD_UNKNOWN_PARCEL',
+  COD_DUPLICATE_REMIT: 'COD_DUPLICATE_REMIT',
+  COD_MISSING_PARCEL: 'COD_MISSING_PARCEL'
 };
 
 exports.NotificationChannel = exports.$Enums.NotificationChannel = {
@@ -1706,6 +2176,9 @@ exports.NotificationChannel = exports.$Enums.NotificationChannel = {
 
 exports.NotificationType = exports.$Enums.NotificationType = {
   ORDER_PLACED: 'ORDER_PLACED',
+  ORDER_CONFIRMED: 'ORDER_CONFIRMED',
+  ORDER_SHIPPED: 'ORDER_SHIPPED',
+  ORDER_OUT_FOR_DELIVERY: 'ORDER_OUT_FOR_DELIVERY',
   ORDER_PAID: 'ORDER_PAID',
   ORDER_FULFILLED: 'ORDER_FULFILLED',
   ORDER_DELIVERED: 'ORDER_DELIVERED',
@@ -1726,13 +2199,30 @@ exports.NotificationType = exports.$Enums.NotificationType = {
   CAMPAIGN: 'CAMPAIGN',
   SECURITY_ALERT: 'SECURITY_ALERT',
   SUPPORT_REPLY: 'SUPPORT_REPLY',
-  SYSTEM: 'SYSTEM'
+  SYSTEM: 'SYSTEM',
+  SHIPMENT_UPDATE: 'SHIPMENT_UPDATE'
 };
 
 exports.NotificationStatus = exports.$Enums.NotificationStatus = {
   QUEUED: 'QUEUED',
   DELIVERED: 'DELIVERED',
-  FAILED: 'FAILED'
+  FAILED: 'FAILED',
+  SKIPPED: 'SKIPPED'
+};
+
+exports.NotificationAttemptStatus = exports.$Enums.NotificationAttemptStatus = {
+  SENT: 'SENT',
+  FAILED: 'FAILED',
+  SKIPPED: 'SKIPPED'
+};
+
+exports.PurchaseOrderStatus = exports.$Enums.PurchaseOrderStatus = {
+  DRAFT: 'DRAFT',
+  SUBMITTED: 'SUBMITTED',
+  PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+  RECEIVED: 'RECEIVED',
+  CANCELLED: 'CANCELLED',
+  CLOSED: 'CLOSED'
 };
 
 exports.CustomerNotificationSeverity = exports.$Enums.CustomerNotificationSeverity = {
@@ -1791,6 +2281,7 @@ exports.Prisma.ModelName = {
   TaxClass: 'TaxClass',
   TaxRate: 'TaxRate',
   Promotion: 'Promotion',
+  PromotionCode: 'PromotionCode',
   PromotionProduct: 'PromotionProduct',
   PromotionCollection: 'PromotionCollection',
   Warehouse: 'Warehouse',
@@ -1798,6 +2289,10 @@ exports.Prisma.ModelName = {
   Invoice: 'Invoice',
   StockMovement: 'StockMovement',
   StockSyncLog: 'StockSyncLog',
+  StockTake: 'StockTake',
+  StockTakeLine: 'StockTakeLine',
+  StockTransfer: 'StockTransfer',
+  StockTransferItem: 'StockTransferItem',
   StockReservation: 'StockReservation',
   Cart: 'Cart',
   CartItem: 'CartItem',
@@ -1818,7 +2313,13 @@ exports.Prisma.ModelName = {
   PaymentEvent: 'PaymentEvent',
   Courier: 'Courier',
   CourierService: 'CourierService',
+  ShippingZone: 'ShippingZone',
+  ShippingRate: 'ShippingRate',
   Shipment: 'Shipment',
+  ShipmentItem: 'ShipmentItem',
+  ShipmentTrackingEvent: 'ShipmentTrackingEvent',
+  CallbackRequest: 'CallbackRequest',
+  PackException: 'PackException',
   Address: 'Address',
   AdminSessionLog: 'AdminSessionLog',
   AddressVersion: 'AddressVersion',
@@ -1833,6 +2334,8 @@ exports.Prisma.ModelName = {
   WalletTransaction: 'WalletTransaction',
   WebhookSubscription: 'WebhookSubscription',
   WebhookEventLog: 'WebhookEventLog',
+  BackgroundJob: 'BackgroundJob',
+  JobQueue: 'JobQueue',
   IngestionLog: 'IngestionLog',
   FinanceConfig: 'FinanceConfig',
   FraudCheck: 'FraudCheck',
@@ -1844,13 +2347,22 @@ exports.Prisma.ModelName = {
   PaymentFee: 'PaymentFee',
   PaymentSlip: 'PaymentSlip',
   ShipmentCharge: 'ShipmentCharge',
+  CodRemittance: 'CodRemittance',
+  CodRemittanceLine: 'CodRemittanceLine',
   FinanceWarning: 'FinanceWarning',
   NotificationTemplate: 'NotificationTemplate',
   Notification: 'Notification',
+  NotificationAttempt: 'NotificationAttempt',
   NotificationPreference: 'NotificationPreference',
+  NotificationPhonePreference: 'NotificationPhonePreference',
   AppSetting: 'AppSetting',
   InventoryBatch: 'InventoryBatch',
   InventoryBatchLine: 'InventoryBatchLine',
+  BatchConsumption: 'BatchConsumption',
+  Supplier: 'Supplier',
+  PurchaseOrder: 'PurchaseOrder',
+  PurchaseOrderItem: 'PurchaseOrderItem',
+  GoodsReceipt: 'GoodsReceipt',
   CustomerNotificationBroadcast: 'CustomerNotificationBroadcast',
   CustomerNotification: 'CustomerNotification',
   Wishlist: 'Wishlist',
@@ -0,0 +1,76 @@
+// FILE: src/hooks/use_live_price.js
+"use client";
+import { useEffect, useState } from "react";
+
+// Current price-book price for a Strapi product, from /api/pricing.
+// Cards on a listing page ask within the same tick, so lookups are batched
+// into one request per currency and kept for a minute.
+const TTL_MS = 60 * 1000;
+const BATCH = 60; // /api/pricing limit
+const cache = new Map(); // "BDT:12" → { value, at }
+const pending = new Map(); // "BDT:12" → [resolve]
+let timer = null;
+
+async function flush() {
+  timer = null;
+  const keys = [...pending.keys()];
+  const byCurrency = new Map();
+  for (const key of keys) {
+    const [currency, id] = key.split(":");
+    if (!byCurrency.has(currency)) byCurrency.set(currency, []);
+    byCurrency.get(currency).push(id);
+  }
+
+  for (const [currency, ids] of byCurrency) {
+    for (let i = 0; i < ids.length; i += BATCH) {
+      const chunk = ids.slice(i, i + BATCH);
+      let items = {};
+      try {
+        const res = await fetch(`/api/pricing?currency=${currency}&products=${chunk.join(",")}`);
+        const json = await res.json().catch(() => ({}));
+        if (res.ok && json?.ok) items = json.items || {};
+      } catch {
+        // keep the Strapi price on network errors
+      }
+      for (const id of chunk) {
+        const key = `${currency}:${id}`;
+        const value = items[id] || null;
+        cache.set(key, { value, at: Date.now() });
+        (pending.get(key) || []).forEach((resolve) => resolve(value));
+        pending.delete(key);
+      }
+    }
+  }
+}
+
+function lookup(id, currency) {
+  const key = `${currency}:${id}`;
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < TTL_MS) return Promise.resolve(hit.value);
+  return new Promise((resolve) => {
+    pending.set(key, [...(pending.get(key) || []), resolve]);
+    if (!timer) timer = setTimeout(flush, 30);
+  });
+}
+
+/**
+ * → { from, variants } where each price is { amount, compareAt, priceList },
+ *   or null while loading / when the product has no Prisma price.
+ */
+export function useLivePrice(productId, currency = "BDT") {
+  const [value, setValue] = useState(null);
+
+  useEffect(() => {
+    const id = Number(productId);
+    if (!Number.isInteger(id) || id <= 0) return undefined;
+    let alive = true;
+    lookup(id, String(currency || "BDT").toUpperCase()).then((v) => {
+      if (alive) setValue(v);
+    });
+    return () => {
+      alive = false;
+    };
+  }, [productId, currency]);
+
+  return value;
+}
@@ -0,0 +1,86 @@
+// FILE: src/lib/__tests__/cod-remittance.test.js
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("@/lib/prisma", () => import("./helpers/fake-db").then((m) => m.prismaModule));
+vi.mock("@/lib/payments/gateway", () =>
+  import("./helpers/fake-db").then(({ PAID_SUM_STATUSES }) => ({
+    PAID_SUM_STATUSES,
+    capturePayment: vi.fn(),
+    recomputeOrderPaymentStatus: vi.fn(),
+  }))
+);
+vi.mock("@/lib/order-transitions", () => ({ runOrderEffects: vi.fn() }));
+vi.mock("@/lib/ledger", () => ({ queueLedgerPosting: vi.fn() }));
+
+import { parseStatement } from "@/lib/cod-remittance";
+
+const csv = (...lines) => Buffer.from(lines.join("\n"), "utf8");
+
+const amounts = (rows) => rows.map((r) => [r.consignmentId, r.collected, r.fees, r.net]);
+
+describe("parseStatement", () => {
+  it("finds columns by any alias, whatever the case and punctuation", () => {
+    const rows = parseStatement(
+      csv("Tracking-Code,Merchant Invoice ID,CASH COLLECTED,Delivery_Charge,COD Fee,Net Payable", "T1,INV-9,500,60,5,435")
+    );
+    expect(rows).toEqual([
+      expect.objectContaining({ rowNumber: 2, consignmentId: "T1", invoice: "INV-9", collected: 50000, fees: 6500, net: 43500 }),
+    ]);
+  });
+
+  it("reads taka signs, Tk prefixes and thousands separators", () => {
+    const rows = parseStatement(
+      csv(
+        "Consignment ID,COD Amount,Delivery Fee",
+        'C1,"৳ 1,250.50",৳60',
+        'C2,"Tk 2,000",Tk 60',
+        'C3,"BDT 10,000.25",0'
+      )
+    );
+    expect(amounts(rows)).toEqual([
+      ["C1", 125050, 6000, 119050],
+      ["C2", 200000, 6000, 194000],
+      ["C3", 1000025, 0, 1000025],
+    ]);
+  });
+
+  it("derives whichever of collected, fees and net the statement leaves out", () => {
+    // no net: collected − fee columns
+    expect(amounts(parseStatement(csv("CN,Collected,COD Charge,Return Charge", "C1,1000,10,50")))).toEqual([
+      ["C1", 100000, 6000, 94000],
+    ]);
+    // net only: collected is net + fee columns
+    expect(amounts(parseStatement(csv("CN,Net Amount,Delivery Charge", "C1,940,60")))).toEqual([["C1", 100000, 6000, 94000]]);
+    // collected and net but no fee columns: the difference is the fee
+    expect(amounts(parseStatement(csv("CN,COD,Payable", "C1,1000,930")))).toEqual([["C1", 100000, 7000, 93000]]);
+    // all three given: taken as they are
+    expect(amounts(parseStatement(csv("CN,COD,Charge,Net", "C1,1000,60,900")))).toEqual([["C1", 100000, 6000, 90000]]);
+  });
+
+  it("skips blank and totals rows but keeps sheet row numbers", () => {
+    const rows = parseStatement(csv("Consignment,COD", "C1,100", ",", ",300", "C2,200"));
+    expect(rows.map((r) => [r.rowNumber, r.consignmentId])).toEqual([
+      [2, "C1"],
+      [5, "C2"],
+    ]);
+  });
+
+  it("names the sheet row of an amount it cannot read", () => {
+    expect(() => parseStatement(csv("Consignment,COD", "C1,100", "C2,n/a"))).toThrow(
+      expect.objectContaining({ message: "INVALID_AMOUNT", status: 422, row: 3, consignmentId: "C2" })
+    );
+    expect(() => parseStatement(csv("Consignment,COD", "C1,100", ",", "C2,12.5.0"))).toThrow(
+      expect.objectContaining({ message: "INVALID_AMOUNT", row: 4 })
+    );
+  });
+
+  it("refuses a statement without a consignment or amount column", () => {
+    expect(() => parseStatement(csv("Invoice,COD", "INV-1,100"))).toThrow(
+      expect.objectContaining({ message: "MISSING_COLUMN", column: "consignment id" })
+    );
+    expect(() => parseStatement(csv("Consignment,Delivery Fee", "C1,60"))).toThrow(
+      expect.objectContaining({ message: "MISSING_COLUMN", column: "collected amount" })
+    );
+    expect(() => parseStatement(csv("Consignment,COD", ",0"))).toThrow("EMPTY_STATEMENT");
+  });
+});
@@ -0,0 +1,172 @@
+// FILE: src/lib/__tests__/coupons.test.js
+import { describe, it, expect, vi } from "vitest";
+import { cents, fakeDb } from "./helpers/fake-db";
+
+vi.mock("@/lib/prisma", () => import("./helpers/fake-db").then((m) => m.prismaModule));
+
+import { evaluateCoupons } from "@/lib/coupons";
+
+const NOW = new Date("2026-03-01T12:00:00Z");
+
+/** variants: { [variantId]: productId }; used: redemptions already on record. */
+function couponDb({ variants = {}, used = 0, usedByCustomer = 0, orders = 0, tier = null } = {}) {
+  return fakeDb({
+    productVariant: {
+      findMany: async ({ where }) =>
+        where.id.in.map((id) => ({ id, productId: variants[id] ?? `p-${id}`, product: { collections: [] } })),
+    },
+    orderDiscount: {
+      count: async ({ where }) => (where.order?.userId ? usedByCustomer : used),
+    },
+    order: { count: async () => orders },
+    loyaltyAccount: { findUnique: async () => (tier ? { tier } : null) },
+  });
+}
+
+function promo(overrides = {}) {
+  return {
+    id: overrides.id || "promo",
+    name: "Promo",
+    status: "ACTIVE",
+    type: "PERCENTAGE",
+    value: 10,
+    stackable: false,
+    productScopes: [],
+    collectionScopes: [],
+    ...overrides,
+  };
+}
+
+const entry = (promotion, code = promotion.id.toUpperCase()) => ({ promotion, promotionCode: null, code });
+
+const lines = [
+  { variantId: "v1", quantity: 1, amount: 10 },
+  { variantId: "v2", quantity: 1, amount: 10 },
+  { variantId: "v3", quantity: 1, amount: 10.01 },
+];
+
+function evaluate(entries, opts = {}) {
+  return evaluateCoupons({ entries, lines, now: NOW, db: couponDb(), ...opts });
+}
+
+describe("evaluateCoupons pricing", () => {
+  it("spreads a percentage over the lines so the line discounts add up to the total", async () => {
+    const r = await evaluate([entry(promo({ value: 33 }))]);
+
+    expect(r.rejected).toEqual([]);
+    expect(r.discountTotal).toBe(9.9);
+    expect(r.applied[0].amount).toBe(9.9);
+    expect(r.lineDiscounts.reduce((a, c) => a + cents(c), 0)).toBe(990);
+  });
+
+  it("caps a fixed discount at the eligible subtotal", async () => {
+    const r = await evaluate([entry(promo({ type: "FIXED", value: 500 }))]);
+    expect(r.discountTotal).toBe(30.01);
+    expect(r.lineDiscounts).toEqual([10, 10, 10.01]);
+  });
+
+  it("only discounts lines in a product-scoped promotion's scope", async () => {
+    const r = await evaluate([entry(promo({ type: "FIXED", value: 5, productScopes: [{ productId: "p-v2" }] }))]);
+    expect(r.lineDiscounts).toEqual([0, 5, 0]);
+
+    const none = await evaluate([entry(promo({ productScopes: [{ productId: "elsewhere" }] }))]);
+    expect(none.rejected[0].error).toBe("COUPON_NOT_APPLICABLE");
+    expect(none.discountTotal).toBe(0);
+  });
+
+  it("gives the cheapest unit of every buy-2-get-1 group away", async () => {
+    const r = await evaluateCoupons({
+      entries: [entry(promo({ type: "BUY_X_GET_Y", buyQty: 2, getQty: 1 }))],
+      lines: [
+        { variantId: "v1", quantity: 2, amount: 40 },
+        { variantId: "v2", quantity: 1, amount: 5 },
+      ],
+      now: NOW,
+      db: couponDb(),
+    });
+    expect(r.discountTotal).toBe(5);
+    expect(r.lineDiscounts).toEqual([0, 5]);
+  });
+
+  it("marks free shipping without a line discount", async () => {
+    const r = await evaluate([entry(promo({ type: "FREE_SHIPPING" }))]);
+    expect(r.freeShipping).toBe(true);
+    expect(r.discountTotal).toBe(0);
+  });
+});
+
+describe("evaluateCoupons rules", () => {
+  it("rejects a promotion outside its window", async () => {
+    const r = await evaluate([
+      entry(promo({ id: "late", endsAt: new Date("2026-02-01") })),
+      entry(promo({ id: "early", startsAt: new Date("2026-04-01") })),
+    ]);
+    expect(r.rejected.map((x) => x.error)).toEqual(["COUPON_EXPIRED", "COUPON_NOT_STARTED"]);
+    expect(r.applied).toEqual([]);
+  });
+
+  it("rejects below the minimum spend", async () => {
+    const r = await evaluate([entry(promo({ minSubtotal: 30.02 }))]);
+    expect(r.rejected[0].error).toBe("COUPON_MIN_SPEND");
+  });
+
+  it("enforces redemption caps, and per-customer limits only once the customer is known", async () => {
+    const capped = await evaluate([entry(promo({ maxRedemptions: 3 }))], { db: couponDb({ used: 3 }) });
+    expect(capped.rejected[0].error).toBe("COUPON_EXHAUSTED");
+
+    const limited = promo({ perCustomerLimit: 1 });
+    const guest = await evaluate([entry(limited)], { db: couponDb({ usedByCustomer: 1 }) });
+    expect(guest.applied).toHaveLength(1);
+    const known = await evaluate([entry(limited)], { userId: "u1", db: couponDb({ usedByCustomer: 1 }) });
+    expect(known.rejected[0].error).toBe("COUPON_LIMIT_REACHED");
+  });
+
+  it("rejects first-order-only and tier-targeted promotions for customers who do not qualify", async () => {
+    const first = await evaluate([entry(promo({ firstOrderOnly: true }))], { userId: "u1", db: couponDb({ orders: 1 }) });
+    expect(first.rejected[0].error).toBe("COUPON_FIRST_ORDER_ONLY");
+
+    const gold = promo({ customerTiers: ["GOLD"] });
+    const member = await evaluate([entry(gold)], { userId: "u1", db: couponDb() });
+    expect(member.rejected[0].error).toBe("COUPON_NOT_ELIGIBLE");
+    const goldMember = await evaluate([entry(gold)], { userId: "u1", db: couponDb({ tier: "GOLD" }) });
+    expect(goldMember.applied).toHaveLength(1);
+  });
+
+  it("keeps a non-stackable promotion alone on the cart", async () => {
+    const r = await evaluate([entry(promo({ id: "a" })), entry(promo({ id: "b", stackable: true }))]);
+    expect(r.applied.map((a) => a.promotionId)).toEqual(["a"]);
+    expect(r.rejected).toEqual([{ promotionId: "b", code: "B", error: "COUPON_NOT_STACKABLE" }]);
+  });
+
+  it("prices stacked promotions on what the earlier ones left", async () => {
+    const r = await evaluate([
+      entry(promo({ id: "fixed", type: "FIXED", value: 10.01, stackable: true })),
+      entry(promo({ id: "pct", value: 50, stackable: true })),
+    ]);
+    expect(r.applied.map((a) => a.amount)).toEqual([10.01, 10]);
+    expect(r.discountTotal).toBe(20.01);
+    expect(r.lineDiscounts.every((d, i) => d <= lines[i].amount)).toBe(true);
+  });
+});
+
+describe("evaluateCoupons locking", () => {
+  it("locks each capped promotion and code once, in sorted order, before counting", async () => {
+    const db = couponDb();
+    const code = { id: "code-1", maxRedemptions: 1 };
+    await evaluate(
+      [
+        entry(promo({ id: "z", maxRedemptions: 10, stackable: true })),
+        { promotion: promo({ id: "a", perCustomerLimit: 1, stackable: true }), promotionCode: code, code: "A1" },
+        entry(promo({ id: "open", stackable: true })),
+      ],
+      { db, lock: true }
+    );
+    expect(db.raw).toEqual(["coupon:code:code-1", "coupon:promotion:a", "coupon:promotion:z"]);
+  });
+
+  it("takes no locks unless asked to", async () => {
+    const db = couponDb();
+    await evaluate([entry(promo({ maxRedemptions: 3 }))], { db });
+    expect(db.raw).toEqual([]);
+  });
+});
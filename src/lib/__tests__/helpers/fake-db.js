@@ -0,0 +1,46 @@
+// FILE: src/lib/__tests__/helpers/fake-db.js
+// In-memory stand-in for the Prisma client in src/lib unit tests.
+//
+//   vi.mock("@/lib/prisma", () => import("./helpers/fake-db").then((m) => m.prismaModule));
+//   const db = useDb(fakeDb({ order: { findUnique: async ({ where }) => ... } }));
+//
+// Only the delegates a test passes exist; every method is a vi.fn so calls can
+// be asserted. Pass the db to the function under test, or useDb() it for code
+// that reaches for the default client.
+import { vi } from "vitest";
+
+export const cents = (v) => Math.round(Number(v || 0) * 100);
+
+// lib/payments/gateway.js — the one export most modules need from it
+export const PAID_SUM_STATUSES = new Set(["PAID", "SETTLED", "CAPTURED", "SUCCEEDED"]);
+
+/**
+ * models: { [delegate]: { [method]: async (args) => result } }. $transaction
+ * runs callbacks (and arrays) against the same db; $executeRaw records the
+ * values it was given in `db.raw` (advisory lock keys, mostly).
+ */
+export function fakeDb(models = {}) {
+  const db = { raw: [] };
+  for (const [name, methods] of Object.entries(models)) {
+    db[name] = Object.fromEntries(Object.entries(methods).map(([method, fn]) => [method, vi.fn(fn)]));
+  }
+  db.$transaction = vi.fn(async (arg) => (typeof arg === "function" ? arg(db) : Promise.all(arg)));
+  db.$executeRaw = vi.fn(async (_sql, ...values) => {
+    db.raw.push(...values);
+    return 1;
+  });
+  return db;
+}
+
+let current = fakeDb();
+
+/** Make `db` what the mocked default client (prismaModule) talks to. → db */
+export function useDb(db) {
+  current = db;
+  return db;
+}
+
+// Module shape of @/lib/prisma; delegates to the db last passed to useDb()
+export const prismaModule = {
+  default: new Proxy({}, { get: (_, key) => current[key] }),
+};
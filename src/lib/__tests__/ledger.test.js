@@ -0,0 +1,218 @@
+// FILE: src/lib/__tests__/ledger.test.js
+import { describe, it, expect, vi } from "vitest";
+import { cents, fakeDb } from "./helpers/fake-db";
+
+vi.mock("@/lib/prisma", () => import("./helpers/fake-db").then((m) => m.prismaModule));
+vi.mock("@/lib/queue", () => ({ enqueue: vi.fn() }));
+vi.mock("@/lib/payments/gateway", () =>
+  import("./helpers/fake-db").then(({ PAID_SUM_STATUSES }) => ({ PAID_SUM_STATUSES }))
+);
+
+import { ACCOUNTS, postJournal, postOrderSale, reverseOrderSale, postRefund } from "@/lib/ledger";
+
+/** Chart of accounts seeded; journals kept by (source, reference). */
+function ledgerDb({ orders = {}, refunds = {} } = {}) {
+  const journals = new Map();
+  const key = (source, reference) => `${source}:${reference}`;
+  return fakeDb({
+    accountCode: {
+      findMany: async ({ where }) =>
+        Object.values(ACCOUNTS)
+          .filter((a) => where.code.in.includes(a.code))
+          .map((a) => ({ code: a.code })),
+    },
+    journal: {
+      findUnique: async ({ where }) =>
+        journals.get(key(where.source_reference.source, where.source_reference.reference)) || null,
+      create: async ({ data }) => {
+        const { entries, ...rest } = data;
+        const journal = { id: `j${journals.size + 1}`, ...rest, entries: entries.create };
+        journals.set(key(data.source, data.reference), journal);
+        return journal;
+      },
+    },
+    order: {
+      findUnique: async ({ where }) => orders[where.id] || null,
+    },
+    refund: {
+      findUnique: async ({ where }) => refunds[where.id] || null,
+    },
+    costSnapshot: {
+      findFirst: async () => null,
+    },
+  });
+}
+
+function totals(journal) {
+  return journal.entries.reduce(
+    (t, e) => ({ debit: t.debit + cents(e.debit), credit: t.credit + cents(e.credit) }),
+    { debit: 0, credit: 0 }
+  );
+}
+
+const lineOf = (journal, code) => journal.entries.find((e) => e.accountCode === code);
+
+describe("postJournal", () => {
+  it("rejects a journal whose debits and credits differ by a cent", async () => {
+    const db = ledgerDb();
+    await expect(
+      postJournal(
+        {
+          source: "MANUAL",
+          lines: [
+            { account: ACCOUNTS.BANK.code, debit: 100.01 },
+            { account: ACCOUNTS.SALES.code, credit: 100 },
+          ],
+        },
+        db
+      )
+    ).rejects.toThrow("journal_unbalanced:100.01≠100");
+    expect(db.journal.create).not.toHaveBeenCalled();
+  });
+
+  it("balances in cents, not floats", async () => {
+    const db = ledgerDb();
+    const journal = await postJournal(
+      {
+        source: "MANUAL",
+        lines: [
+          { account: ACCOUNTS.BANK.code, debit: 0.1 },
+          { account: ACCOUNTS.BANK.code, debit: 0.2 },
+          { account: ACCOUNTS.SALES.code, credit: 0.3 },
+        ],
+      },
+      db
+    );
+    expect(totals(journal)).toEqual({ debit: 30, credit: 30 });
+  });
+
+  it("drops zero lines and posts nothing when every line is zero", async () => {
+    const db = ledgerDb();
+    const journal = await postJournal(
+      {
+        source: "MANUAL",
+        lines: [
+          { account: ACCOUNTS.BANK.code, debit: 50 },
+          { account: ACCOUNTS.DISCOUNTS.code, debit: 0 },
+          { account: ACCOUNTS.SALES.code, credit: 50 },
+        ],
+      },
+      db
+    );
+    expect(journal.entries.map((e) => e.accountCode)).toEqual([ACCOUNTS.BANK.code, ACCOUNTS.SALES.code]);
+
+    expect(await postJournal({ source: "MANUAL", lines: [{ account: ACCOUNTS.BANK.code, debit: 0 }] }, db)).toBeNull();
+  });
+
+  it("rejects negative amounts and unknown accounts", async () => {
+    const db = ledgerDb();
+    await expect(
+      postJournal(
+        {
+          source: "MANUAL",
+          lines: [
+            { account: ACCOUNTS.BANK.code, debit: -10 },
+            { account: ACCOUNTS.SALES.code, credit: -10 },
+          ],
+        },
+        db
+      )
+    ).rejects.toThrow("negative_amount");
+    await expect(
+      postJournal(
+        {
+          source: "MANUAL",
+          lines: [
+            { account: "9999", debit: 10 },
+            { account: ACCOUNTS.SALES.code, credit: 10 },
+          ],
+        },
+        db
+      )
+    ).rejects.toThrow("unknown_account:9999");
+  });
+
+  it("returns the existing journal for a (source, reference) already posted", async () => {
+    const db = ledgerDb();
+    const lines = [
+      { account: ACCOUNTS.BANK.code, debit: 10 },
+      { account: ACCOUNTS.AR.code, credit: 10 },
+    ];
+    const first = await postJournal({ source: "PAYMENT", reference: "p1", lines }, db);
+    const again = await postJournal({ source: "PAYMENT", reference: "p1", lines }, db);
+    expect(again).toBe(first);
+    expect(db.journal.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("document journals", () => {
+  const order = {
+    id: "o1",
+    orderNumber: 1001,
+    status: "CONFIRMED",
+    createdAt: new Date("2026-01-05T10:00:00Z"),
+    // header totals that do not add up to the cent on their own
+    grandTotal: 1150.55,
+    taxTotal: 50.03,
+    shippingTotal: 60,
+    discountTotal: 9.99,
+    items: [
+      { variantId: "v1", quantity: 3, costChosen: 120.33, variant: { productId: "p1" } },
+      { variantId: "v2", quantity: 1, costChosen: null, variant: { productId: "p2" } },
+    ],
+  };
+
+  it("posts a balanced sale with sales revenue as the plug", async () => {
+    const db = ledgerDb({ orders: { o1: order } });
+    const sale = await postOrderSale("o1", db);
+
+    expect(totals(sale).debit).toBe(totals(sale).credit);
+    expect(cents(lineOf(sale, ACCOUNTS.SALES.code).credit)).toBe(115055 - 5003 - 6000 + 999);
+    expect(cents(lineOf(sale, ACCOUNTS.COGS.code).debit)).toBe(36099);
+    expect(cents(lineOf(sale, ACCOUNTS.INVENTORY.code).credit)).toBe(36099);
+  });
+
+  it("reverses a sale so the pair nets to zero per account", async () => {
+    const db = ledgerDb({ orders: { o1: { ...order, status: "CANCELLED", cancelledAt: new Date() } } });
+    const sale = await postOrderSale("o1", db);
+    const reversal = await reverseOrderSale("o1", db);
+
+    expect(totals(reversal).debit).toBe(totals(reversal).credit);
+    const net = new Map();
+    for (const e of [...sale.entries, ...reversal.entries]) {
+      net.set(e.accountCode, (net.get(e.accountCode) || 0) + cents(e.debit) - cents(e.credit));
+    }
+    expect([...net.values()].every((v) => v === 0)).toBe(true);
+  });
+
+  it("splits a refund into returns and the order's VAT share and stays balanced", async () => {
+    const db = ledgerDb({
+      refunds: {
+        r1: {
+          id: "r1",
+          orderId: "o1",
+          paymentId: "pay1",
+          status: "PROCESSED",
+          method: "ORIGINAL",
+          amount: 333.33,
+          reason: null,
+          createdAt: new Date(),
+          processedAt: new Date(),
+          order,
+          payment: { provider: "STRIPE" },
+        },
+      },
+    });
+    const journal = await postRefund("r1", db);
+
+    expect(totals(journal)).toEqual({ debit: 33333, credit: 33333 });
+    expect(cents(lineOf(journal, ACCOUNTS.VAT_PAYABLE.code).debit)).toBe(Math.round((33333 * 5003) / 115055));
+    expect(lineOf(journal, ACCOUNTS.GATEWAY_CLEARING.code)).toBeTruthy();
+  });
+
+  it("does not post a refund that has not been processed", async () => {
+    const db = ledgerDb({ refunds: { r2: { id: "r2", status: "PROCESSING", order, payment: null } } });
+    expect(await postRefund("r2", db)).toBeNull();
+    expect(db.journal.create).not.toHaveBeenCalled();
+  });
+});
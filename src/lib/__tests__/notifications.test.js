@@ -0,0 +1,60 @@
+// FILE: src/lib/__tests__/notifications.test.js
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("@/lib/prisma", () => import("./helpers/fake-db").then((m) => m.prismaModule));
+vi.mock("@/lib/queue", () => ({ backoffMs: vi.fn(), enqueue: vi.fn() }));
+vi.mock("@/lib/email", () => ({ sendNotificationEmail: vi.fn() }));
+vi.mock("@/lib/sms", () => ({ sendSms: vi.fn() }));
+vi.mock("@/lib/whatsapp", () => ({ sendWhatsApp: vi.fn(), sendWhatsAppTemplate: vi.fn(), whatsAppProvider: vi.fn() }));
+
+import { quietHoursEnd } from "@/lib/notifications";
+
+const settings = (quietHours) => ({
+  quietHours: { enabled: true, timezone: "Asia/Dhaka", channels: ["SMS"], ...quietHours },
+});
+
+// Asia/Dhaka is UTC+6 all year
+const at = (iso) => new Date(iso);
+const end = (quietHours, iso, channel = "SMS") => quietHoursEnd(settings(quietHours), channel, at(iso))?.toISOString() ?? null;
+
+describe("quietHoursEnd", () => {
+  const overnight = { start: "22:00", end: "08:00" };
+
+  it("holds an overnight window until 08:00 Dhaka time, across midnight", () => {
+    expect(end(overnight, "2026-03-01T17:30:00Z")).toBe("2026-03-02T02:00:00.000Z"); // 23:30
+    expect(end(overnight, "2026-03-01T21:00:00Z")).toBe("2026-03-02T02:00:00.000Z"); // 03:00 next day
+    expect(end(overnight, "2026-03-02T06:00:00Z")).toBeNull(); // 12:00
+  });
+
+  it("starts the window on its first minute and ends it on its last", () => {
+    expect(end(overnight, "2026-03-01T15:59:59Z")).toBeNull(); // 21:59:59
+    expect(end(overnight, "2026-03-01T16:00:00Z")).toBe("2026-03-02T02:00:00.000Z"); // 22:00
+    expect(end(overnight, "2026-03-02T01:59:30Z")).toBe("2026-03-02T02:00:00.000Z"); // 07:59:30
+    expect(end(overnight, "2026-03-02T02:00:00Z")).toBeNull(); // 08:00
+  });
+
+  it("holds a same-day window only between its start and end", () => {
+    const lunch = { start: "13:00", end: "15:00" };
+    expect(end(lunch, "2026-03-01T06:59:00Z")).toBeNull(); // 12:59
+    expect(end(lunch, "2026-03-01T07:00:00Z")).toBe("2026-03-01T09:00:00.000Z"); // 13:00
+    expect(end(lunch, "2026-03-01T08:59:59Z")).toBe("2026-03-01T09:00:00.000Z"); // 14:59:59
+    expect(end(lunch, "2026-03-01T09:00:00Z")).toBeNull(); // 15:00
+    expect(end(lunch, "2026-03-01T15:00:00Z")).toBeNull(); // 21:00
+  });
+
+  it("reads the clock in the configured timezone, not the server's", () => {
+    // 20:00 UTC is 02:00 in Dhaka
+    expect(end(overnight, "2026-03-01T20:00:00Z")).toBe("2026-03-02T02:00:00.000Z");
+    expect(end({ ...overnight, timezone: "UTC" }, "2026-03-01T20:00:00Z")).toBeNull();
+    expect(end({ ...overnight, timezone: "UTC" }, "2026-03-01T23:00:00Z")).toBe("2026-03-02T08:00:00.000Z");
+  });
+
+  it("lets the message through when quiet hours are off, skip the channel or are empty", () => {
+    const night = "2026-03-01T17:30:00Z";
+    expect(end({ ...overnight, enabled: false }, night)).toBeNull();
+    expect(end(overnight, night, "EMAIL")).toBeNull();
+    expect(end({ start: "22:00", end: "22:00" }, night)).toBeNull();
+    expect(end({ start: "late", end: "08:00" }, night)).toBeNull();
+    expect(quietHoursEnd(null, "SMS", at(night))).toBeNull();
+  });
+});
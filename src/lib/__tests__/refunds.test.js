@@ -0,0 +1,193 @@
+// FILE: src/lib/__tests__/refunds.test.js
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { fakeDb, useDb } from "./helpers/fake-db";
+
+vi.mock("@/lib/prisma", () => import("./helpers/fake-db").then((m) => m.prismaModule));
+vi.mock("@/lib/payments/gateway", () =>
+  import("./helpers/fake-db").then(({ PAID_SUM_STATUSES }) => ({
+    PAID_SUM_STATUSES,
+    refundPayment: vi.fn(),
+    queryRefundStatus: vi.fn(),
+    settleRefund: vi.fn(),
+    recomputeOrderPaymentStatus: vi.fn(),
+  }))
+);
+vi.mock("@/lib/order-transitions", () => ({ runOrderEffects: vi.fn() }));
+vi.mock("@/lib/webhooks", () => ({ emitWebhookEvent: vi.fn() }));
+vi.mock("@/lib/ledger", () => ({ queueLedgerPosting: vi.fn() }));
+vi.mock("@/lib/customer-messages", () => ({ sendCustomerMessage: vi.fn() }));
+
+import { refundableSummary, createRefunds } from "@/lib/refunds";
+
+/** One order; honours the status filters refundableSummary puts on payments and refunds. */
+function orderDb({ userId = "u1", payments = [], refunds = [] } = {}) {
+  const created = [];
+  const pick = (rows, where) => rows.filter((r) => !where?.status?.in || where.status.in.includes(r.status));
+  const db = fakeDb({
+    order: {
+      findUnique: async ({ where, select }) =>
+        where.id !== "o1"
+          ? null
+          : {
+              id: "o1",
+              orderNumber: 1001,
+              userId,
+              currency: "BDT",
+              payments: pick(payments, select.payments.where),
+              refunds: pick(refunds, select.refunds.where),
+            },
+    },
+    refund: {
+      findMany: async ({ where }) => created.filter((r) => r.notes?.startsWith(where.notes.startsWith)),
+      create: async ({ data }) => {
+        const row = { id: `r${created.length + 1}`, ...data };
+        created.push(row);
+        return row;
+      },
+    },
+    orderEvent: { create: async () => ({}) },
+  });
+  return Object.assign(db, { created });
+}
+
+const payment = (id, amount, status = "PAID") => ({
+  id,
+  provider: "SSLCOMMERZ",
+  status,
+  amount,
+  currency: "BDT",
+  createdAt: new Date(),
+});
+
+function expectError(promise, code, status, extra = {}) {
+  return expect(promise).rejects.toMatchObject({ message: code, status, ...extra });
+}
+
+describe("refundableSummary", () => {
+  it("subtracts reservations per payment and store credit from the total", async () => {
+    const db = orderDb({
+      payments: [payment("p1", 100), payment("p2", 50)],
+      refunds: [
+        { paymentId: "p1", method: "ORIGINAL", amount: 30, status: "PROCESSED" },
+        { paymentId: null, method: "STORE_CREDIT", amount: 10, status: "INITIATED" },
+        { paymentId: "p2", method: "ORIGINAL", amount: 50, status: "FAILED" },
+      ],
+    });
+    const s = await refundableSummary("o1", db);
+
+    expect(s.payments.map((p) => p.refundable)).toEqual([70, 50]);
+    expect(s).toMatchObject({ paid: 150, reserved: 40, refundable: 110 });
+  });
+
+  it("leaves a fully refunded payment out together with its refunds", async () => {
+    const db = orderDb({
+      payments: [payment("p1", 100, "REFUNDED"), payment("p2", 50)],
+      refunds: [{ paymentId: "p1", method: "ORIGINAL", amount: 100, status: "PROCESSED" }],
+    });
+    const s = await refundableSummary("o1", db);
+
+    expect(s.payments.map((p) => p.id)).toEqual(["p2"]);
+    expect(s).toMatchObject({ paid: 50, reserved: 0, refundable: 50 });
+  });
+
+  it("returns null for an unknown order", async () => {
+    expect(await refundableSummary("nope", orderDb())).toBeNull();
+  });
+});
+
+describe("createRefunds allocation", () => {
+  let db;
+  beforeEach(() => {
+    db = useDb(
+      orderDb({
+        payments: [payment("p1", 100), payment("p2", 50)],
+        refunds: [{ paymentId: "p1", method: "ORIGINAL", amount: 30, status: "PROCESSED" }],
+      })
+    );
+  });
+
+  const rows = () => db.created.map((r) => [r.method, r.paymentId, r.amount]);
+
+  it("spreads an ORIGINAL amount over the payments, oldest first", async () => {
+    await createRefunds({ orderId: "o1", amount: 100.5 });
+    expect(rows()).toEqual([
+      ["ORIGINAL", "p1", 70],
+      ["ORIGINAL", "p2", 30.5],
+    ]);
+  });
+
+  it("splits across tenders and keeps each within what is left on its payment", async () => {
+    await createRefunds({
+      orderId: "o1",
+      tenders: [
+        { method: "ORIGINAL", paymentId: "p2", amount: 50 },
+        { method: "STORE_CREDIT", amount: 20 },
+        { method: "ORIGINAL", amount: 50 },
+      ],
+    });
+    expect(rows()).toEqual([
+      ["ORIGINAL", "p2", 50],
+      ["STORE_CREDIT", null, 20],
+      ["ORIGINAL", "p1", 50],
+    ]);
+  });
+
+  it("refuses more than is left on a named payment", async () => {
+    await expectError(
+      createRefunds({ orderId: "o1", tenders: [{ paymentId: "p1", amount: 70.01 }] }),
+      "REFUND_EXCEEDS_PAYMENT",
+      409,
+      { paymentId: "p1", refundable: 70 }
+    );
+    expect(db.created).toEqual([]);
+  });
+
+  it("refuses a total above the order's refundable balance, store credit included", async () => {
+    await expectError(createRefunds({ orderId: "o1", amount: 120.01 }), "REFUND_EXCEEDS_PAID", 409);
+    await expectError(
+      createRefunds({
+        orderId: "o1",
+        tenders: [
+          { amount: 120 },
+          { method: "STORE_CREDIT", amount: 0.01 },
+        ],
+      }),
+      "REFUND_EXCEEDS_PAID",
+      409,
+      { refundable: 120 }
+    );
+  });
+
+  it("validates each tender", async () => {
+    await expectError(createRefunds({ orderId: "o1", tenders: [{ method: "CASH", amount: 5 }] }), "INVALID_REFUND_METHOD", 400);
+    await expectError(createRefunds({ orderId: "o1", amount: 0 }), "AMOUNT_REQUIRED", 400);
+    await expectError(
+      createRefunds({ orderId: "o1", tenders: [{ paymentId: "p9", amount: 5 }] }),
+      "PAYMENT_NOT_REFUNDABLE",
+      409
+    );
+
+    db = useDb(orderDb({ userId: null, payments: [payment("p1", 100)] }));
+    await expectError(
+      createRefunds({ orderId: "o1", method: "STORE_CREDIT", amount: 5 }),
+      "STORE_CREDIT_NEEDS_CUSTOMER_ACCOUNT",
+      422
+    );
+  });
+
+  it("returns the first rows again for a repeated idempotency key", async () => {
+    const first = await createRefunds({ orderId: "o1", amount: 10, idempotencyKey: "k1" });
+    const again = await createRefunds({ orderId: "o1", amount: 10, idempotencyKey: "k1" });
+
+    expect(first.deduped).toBe(false);
+    expect(again).toEqual({ items: first.items, deduped: true });
+    expect(db.created).toHaveLength(1);
+  });
+
+  it("turns a serialization failure into a retryable conflict", async () => {
+    db.order.findUnique = async () => {
+      throw Object.assign(new Error("write conflict"), { code: "P2034" });
+    };
+    await expectError(createRefunds({ orderId: "o1", amount: 10 }), "REFUND_CONFLICT", 409);
+  });
+});
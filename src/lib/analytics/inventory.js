@@ -1,6 +1,8 @@
 // FILE: src/lib/analytics/inventory.js
 import prisma from "@/lib/prisma";
 import { n } from "./_utils";
+import { batchValuation } from "@/lib/inventory/costing";
+import { latestUnitCosts, shrinkageByVariant } from "@/lib/inventory/stock-takes";
 
 /**
  * Inventory:
@@ -239,3 +241,110 @@ export async function computeInventory({ take = 25 } = {}) {
 
   return { totals, lowStock, source: "productVariant", mode };
 }
+
+const AGING_BUCKETS = [
+  [30, "0-30"],
+  [60, "31-60"],
+  [90, "61-90"],
+  [180, "91-180"],
+  [Infinity, "181+"],
+];
+const DAY = 24 * 3600 * 1000;
+
+/**
+ * Inventory aging: on-hand units by how long they have been in stock.
+ * Units are matched to open InventoryBatch lines newest receipt first (what
+ * FIFO leaves on the shelf); on-hand units no batch explains are aged from the
+ * variant's creation and valued at its latest CostSnapshot. Also returns the
+ * shrinkage approved stock-takes recorded in the last `shrinkageDays`.
+ */
+export async function computeInventoryAging({ shrinkageDays = 90, take = 500 } = {}) {
+  const now = Date.now();
+  const [stock, open] = await Promise.all([
+    prisma.inventoryItem.groupBy({ by: ["variantId"], _sum: { onHand: true } }),
+    batchValuation(),
+  ]);
+  const onHand = new Map(stock.map((s) => [s.variantId, n(s._sum.onHand, 0)]).filter(([, q]) => q > 0));
+
+  const variantIds = [...onHand.keys()];
+  const [variants, costs, shrink] = await Promise.all([
+    prisma.productVariant.findMany({
+      where: { id: { in: variantIds } },
+      select: { id: true, sku: true, createdAt: true },
+    }),
+    latestUnitCosts(variantIds),
+    shrinkageByVariant({ since: new Date(now - shrinkageDays * DAY) }),
+  ]);
+  const vById = new Map(variants.map((v) => [v.id, v]));
+
+  const lines = [];
+  const push = (variantId, qty, since, cost, batchCode = null) => {
+    const ageDays = Math.max(0, Math.floor((now - new Date(since).getTime()) / DAY));
+    lines.push({
+      id: batchCode ? `${variantId}:${batchCode}` : variantId,
+      variantId,
+      sku: vById.get(variantId)?.sku ?? null,
+      batch: batchCode,
+      qty,
+      ageDays,
+      cost,
+      stockValue: Number((qty * cost).toFixed(2)),
+      bucket: AGING_BUCKETS.find(([max]) => ageDays <= max)[1],
+    });
+  };
+
+  const left = new Map(onHand);
+  for (const b of [...open].reverse()) {
+    const want = left.get(b.variant.id) || 0;
+    const qty = Math.min(want, b.remaining);
+    if (qty <= 0) continue;
+    left.set(b.variant.id, want - qty);
+    push(b.variant.id, qty, b.batch.receivedAt || b.batch.createdAt, b.unitCost, b.batch.code);
+  }
+  for (const [variantId, qty] of left) {
+    if (qty <= 0) continue;
+    push(variantId, qty, vById.get(variantId)?.createdAt || now, (costs.get(variantId) ?? 0) / 100);
+  }
+  lines.sort((a, b) => b.ageDays - a.ageDays);
+
+  const buckets = Object.fromEntries(AGING_BUCKETS.map(([, k]) => [k, 0]));
+  const totals = { units: 0, stockValue: 0 };
+  for (const l of lines) {
+    buckets[l.bucket] += l.qty;
+    totals.units += l.qty;
+    totals.stockValue += l.stockValue;
+  }
+  totals.stockValue = Number(totals.stockValue.toFixed(2));
+
+  const skus = new Map(
+    (
+      await prisma.productVariant.findMany({
+        where: { id: { in: [...shrink.keys()] } },
+        select: { id: true, sku: true },
+      })
+    ).map((v) => [v.id, v.sku])
+  );
+  const shrinkLines = [...shrink]
+    .map(([variantId, s]) => ({
+      variantId,
+      sku: skus.get(variantId) ?? null,
+      shrinkUnits: s.shrinkUnits,
+      surplusUnits: s.surplusUnits,
+      value: s.valueCents / 100,
+    }))
+    .sort((a, b) => a.value - b.value);
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    buckets,
+    totals,
+    lines: lines.slice(0, Math.max(1, take)),
+    shrinkage: {
+      days: shrinkageDays,
+      units: shrinkLines.reduce((s, l) => s + l.shrinkUnits, 0),
+      surplusUnits: shrinkLines.reduce((s, l) => s + l.surplusUnits, 0),
+      value: shrinkLines.reduce((s, l) => s + Math.round(l.value * 100), 0) / 100,
+      lines: shrinkLines,
+    },
+  };
+}
@@ -115,6 +115,8 @@ function buildCostTimeline(costSnapshotsAsc) {
  * Notes:
  * - Sales: uses OrderItem.subtotal - discountTotal (excludes tax/shipping).
  * - Refund impact: uses ReturnLine.lineRefund, attributed by refund_date (default) or sale_date.
+ * - COGS: OrderItem.costChosen (batch FIFO/average, frozen at fulfilment), else the CostSnapshot
+ *   in force; returned units reversed to their batches come back off COGS.
  */
 export async function computeProfit({
   start,
@@ -259,33 +261,49 @@ export async function computeProfit({
     return b.get(dimKey);
   }
 
+  /**
+   * By batch, an item drawn from several batches (lib/inventory/costing.js) is
+   * split into one slice per batch at that batch's unit cost; sales follow units.
+   */
+  function slicesFor(it) {
+    const qty = Number(it?.quantity || 0) || 0;
+    const draws = dim === "batch" ? it?.batchConsumptions || [] : [];
+    if (!draws.length || !qty) return [{ it, share: 1, units: qty, cost: unitCostFor(it) }];
+    return draws.map((c) => ({
+      it: { ...it, batch: c.batchLine?.batch || null, batchId: c.batchLine?.batch?.id || null },
+      share: c.quantity / qty,
+      units: c.quantity,
+      cost: { unit: toNum(c.unitCost, 0), source: it?.costSource || "BATCH", label: null },
+    }));
+  }
+
   // Sales + COGS
-  for (const it of items) {
-    if (paidOnly && !isPaid(it?.order?.paymentStatus)) continue;
+  for (const item of items) {
+    if (paidOnly && !isPaid(item?.order?.paymentStatus)) continue;
 
-    const bucket = timeBucketKey(it?.order?.createdAt || it?.createdAt, group);
-    const dimKey = pickDimensionKey(it);
-    const m = ensure(bucket, dimKey, it);
+    const bucket = timeBucketKey(item?.order?.createdAt || item?.createdAt, group);
 
-    const qty = Number(it?.quantity || 0) || 0;
-    const subtotal = toNum(it?.subtotal, 0);
-    const discount = toNum(it?.discountTotal, 0);
-    const tax = toNum(it?.taxTotal, 0);
-    const total = toNum(it?.total, 0);
+    for (const { it, share, units, cost } of slicesFor(item)) {
+      const dimKey = pickDimensionKey(it);
+      const m = ensure(bucket, dimKey, it);
 
-    const salesNet = Math.max(0, subtotal - discount);
+      const subtotal = toNum(it?.subtotal, 0) * share;
+      const discount = toNum(it?.discountTotal, 0) * share;
+      const tax = toNum(it?.taxTotal, 0) * share;
+      const total = toNum(it?.total, 0) * share;
 
-    const cost = unitCostFor(it);
-    const lineCogs = qty * toNum(cost.unit, 0);
+      const salesNet = Math.max(0, subtotal - discount);
+      const lineCogs = units * toNum(cost.unit, 0);
 
-    m.units += qty;
-    m.salesNet += salesNet;
-    m.tax += tax;
-    m.salesGross += total;
-    m.cogs += lineCogs;
+      m.units += units;
+      m.salesNet += salesNet;
+      m.tax += tax;
+      m.salesGross += total;
+      m.cogs += lineCogs;
 
-    const src = String(cost.source || "UNKNOWN");
-    m.costSources[src] = (m.costSources[src] || 0) + 1;
+      const src = String(cost.source || "UNKNOWN");
+      m.costSources[src] = (m.costSources[src] || 0) + 1;
+    }
   }
 
   // Refunds (ReturnLine.lineRefund)
@@ -303,6 +321,11 @@ export async function computeProfit({
 
     const m = ensure(bucket, dimKey, li);
     m.refunds += toNum(rl?.lineRefund, 0);
+    // units handed back to their batches no longer count as sold cost
+    if (rl?.costReversedAt) {
+      const back = rl?.inspectedAt ? rl?.restockedQty : rl?.quantity;
+      m.cogs -= (Number(back || 0) || 0) * toNum(li?.costChosen, 0);
+    }
   }
 
   // Finalize rows
@@ -411,6 +434,13 @@ async function findOrderItemsSchemaSafe({ orderWhere, wantsBatch, limit }) {
           ...baseSelect,
           batchId: true,
           batch: { select: { id: true, code: true } },
+          batchConsumptions: {
+            select: {
+              quantity: true,
+              unitCost: true,
+              batchLine: { select: { batch: { select: { id: true, code: true } } } },
+            },
+          },
         },
         orderBy: { createdAt: "asc" },
         take,
@@ -433,9 +463,13 @@ async function findReturnLinesSchemaSafe({ startAt, endExclusive, wantsBatch })
     quantity: true,
     lineRefund: true,
     orderItemId: true,
+    costReversedAt: true,
+    restockedQty: true,
+    inspectedAt: true,
     returnRequest: { select: { createdAt: true, status: true } },
     orderItem: {
       select: {
+        costChosen: true,
         variantId: true,
         sku: true,
         title: true,
@@ -0,0 +1,547 @@
+// PATH: src/lib/cod-remittance.js
+// Courier COD remittance statements (/admin/finance/settlements).
+//
+//   upload CSV/XLSX ──import──▶ DRAFT (lines matched to shipments) ──post──▶ POSTED
+//
+// Couriers pay out the cash they collected in batches, net of their delivery /
+// COD charges. Importing a statement matches each line to a Shipment by
+// consignment id (or tracking number) of that courier; posting it marks the
+// orders' COD payments paid, records the deducted fees as ShipmentCharge,
+// stamps Shipment.codRemittedAt and raises FinanceWarnings for short remits,
+// unknown or duplicate consignments and delivered parcels nobody has paid for.
+// The statement itself posts one COD_REMITTANCE journal (lib/ledger.js).
+// Posting re-checks every parcel: one another statement has paid for since the
+// import (Shipment.codRemittedAt) is booked as a DUPLICATE instead.
+//
+// A SHORT line's payment is not captured until finance accepts the short
+// remit; captures that failed on post (or were held) are retried with
+// captureRemittance().
+import * as XLSX from "xlsx";
+import prisma from "@/lib/prisma";
+import { capturePayment, recomputeOrderPaymentStatus, PAID_SUM_STATUSES } from "@/lib/payments/gateway";
+import { runOrderEffects } from "@/lib/order-transitions";
+import { queueLedgerPosting } from "@/lib/ledger";
+
+// Lines whose money we book against a parcel.
+export const BOOKED_LINE_STATUSES = ["MATCHED", "SHORT", "OVER"];
+
+// Delivered COD parcels older than this (before the statement date) and still
+// unremitted are flagged as missing when a statement for their courier posts.
+const MISSING_AFTER_DAYS = Number(process.env.COD_MISSING_AFTER_DAYS || 7);
+
+// Header aliases (normalized: lowercase, words separated by one space).
+const COLUMNS = {
+  consignmentId: [
+    "consignment id", "consignment", "consignment no", "cn", "tracking id", "tracking code",
+    "tracking number", "tracking", "parcel id", "ecr", "ecr number",
+  ],
+  invoice: ["invoice", "invoice id", "merchant invoice", "merchant invoice id", "merchant order id", "reference", "ref"],
+  collected: [
+    "collected amount", "cod amount", "cod", "cash collection", "cash collected", "cash collection amount",
+    "collected", "collection amount", "amount collected",
+  ],
+  deliveryFee: ["delivery charge", "delivery fee", "shipping charge", "charge", "delivery cost"],
+  codFee: ["cod charge", "cod fee", "cod commission"],
+  otherFee: ["return charge", "other charge", "other charges", "other fee", "adjustment"],
+  net: ["net payable", "net amount", "payable", "net", "payout amount", "paid amount"],
+};
+
+const cents = (v) => Math.round(Number(v || 0) * 100);
+const money = (c) => Number((c / 100).toFixed(2));
+
+function remittanceError(code, status = 422, extra = {}) {
+  const err = new Error(code);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+export function remittanceNumber(number) {
+  return `CR-${String(number ?? "").padStart(6, "0")}`;
+}
+
+const normHeader = (h) => String(h || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+/** "৳ 1,250.00" / "Tk 1250" / 1250 → cents (NaN when not a number). */
+function amountCents(v) {
+  if (v == null || v === "") return 0;
+  if (typeof v === "number") return cents(v);
+  const s = String(v).replace(/[৳,\s]|tk|bdt/gi, "");
+  if (!s) return 0;
+  const x = Number(s);
+  return Number.isFinite(x) ? cents(x) : NaN;
+}
+
+/**
+ * Statement rows from a CSV/XLSX buffer (first sheet).
+ * → [{ rowNumber, consignmentId, invoice, collected, fees, net, raw }] in cents.
+ */
+export function parseStatement(buffer) {
+  let wb;
+  try {
+    // CSV exports carry no BOM; read them as UTF-8 so "৳" survives
+    wb = XLSX.read(buffer, { type: "buffer", cellDates: true, codepage: 65001 });
+  } catch {
+    throw remittanceError("UNREADABLE_FILE");
+  }
+  const sheet = wb.Sheets[wb.SheetNames[0]];
+  if (!sheet) throw remittanceError("EMPTY_STATEMENT");
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: "", raw: true });
+  if (!rows.length) throw remittanceError("EMPTY_STATEMENT");
+
+  const headers = Object.keys(rows[0]);
+  const col = {};
+  for (const [field, aliases] of Object.entries(COLUMNS)) {
+    col[field] = headers.find((h) => aliases.includes(normHeader(h))) || null;
+  }
+  if (!col.consignmentId) throw remittanceError("MISSING_COLUMN", 422, { column: "consignment id" });
+  if (!col.collected && !col.net) throw remittanceError("MISSING_COLUMN", 422, { column: "collected amount" });
+
+  const out = [];
+  rows.forEach((row) => {
+    const rowNumber = row.__rowNum__ + 1; // sheet row: blank rows are not in `rows`
+    const consignmentId = String(row[col.consignmentId] ?? "").trim();
+    if (!consignmentId) return; // totals / blank rows
+    const fee = ["deliveryFee", "codFee", "otherFee"].reduce(
+      (sum, f) => sum + (col[f] ? amountCents(row[col[f]]) : 0),
+      0
+    );
+    let collected = col.collected ? amountCents(row[col.collected]) : NaN;
+    let net = col.net ? amountCents(row[col.net]) : NaN;
+    let fees = fee;
+    if (!col.collected) collected = net + fees;
+    if (!col.net) net = collected - fees;
+    else if (!col.deliveryFee && !col.codFee && !col.otherFee) fees = collected - net;
+    if ([collected, net, fees].some((x) => !Number.isFinite(x))) {
+      throw remittanceError("INVALID_AMOUNT", 422, { row: rowNumber, consignmentId });
+    }
+    out.push({
+      rowNumber,
+      consignmentId,
+      invoice: col.invoice ? String(row[col.invoice] ?? "").trim() || null : null,
+      collected,
+      fees,
+      net,
+      raw: row,
+    });
+  });
+  if (!out.length) throw remittanceError("EMPTY_STATEMENT");
+  return out;
+}
+
+/** Parse + match a statement and store it as a DRAFT for review. */
+export async function importRemittance({ courierCode, buffer, fileName = null, reference, statementDate, note, actorId = null }) {
+  const code = String(courierCode || "").trim().toUpperCase();
+  const courier = code ? await prisma.courier.findUnique({ where: { code } }) : null;
+  if (!courier) throw remittanceError("COURIER_NOT_FOUND", 404);
+
+  const ref = String(reference || "").trim() || null;
+  if (ref) {
+    const existing = await prisma.codRemittance.findUnique({
+      where: { courierId_reference: { courierId: courier.id, reference: ref } },
+      select: { id: true, number: true },
+    });
+    if (existing) {
+      throw remittanceError("STATEMENT_ALREADY_IMPORTED", 409, { remittance: remittanceNumber(existing.number) });
+    }
+  }
+  const date = statementDate ? new Date(statementDate) : null;
+  if (date && Number.isNaN(date.getTime())) throw remittanceError("INVALID_STATEMENT_DATE");
+
+  const rows = parseStatement(buffer);
+  const ids = [...new Set(rows.map((r) => r.consignmentId))];
+
+  const shipments = await prisma.shipment.findMany({
+    where: { courierId: courier.id, OR: [{ consignmentId: { in: ids } }, { trackingNumber: { in: ids } }] },
+    select: { id: true, consignmentId: true, trackingNumber: true, codAmount: true, codRemittedAt: true },
+  });
+  // Paid on a posted statement, whichever of consignment id / tracking number it used
+  const remitted = await prisma.codRemittanceLine.findMany({
+    where: {
+      OR: [{ consignmentId: { in: ids } }, { shipmentId: { in: shipments.map((s) => s.id) } }],
+      status: { in: BOOKED_LINE_STATUSES },
+      remittance: { courierId: courier.id, status: "POSTED" },
+    },
+    select: { consignmentId: true, shipmentId: true },
+  });
+  const byRef = new Map();
+  for (const s of shipments) {
+    if (s.consignmentId) byRef.set(s.consignmentId, s);
+    if (s.trackingNumber && !byRef.has(s.trackingNumber)) byRef.set(s.trackingNumber, s);
+  }
+  const paidRefs = new Set(remitted.map((l) => l.consignmentId));
+  const paidShipments = new Set(remitted.map((l) => l.shipmentId).filter(Boolean));
+  const seen = new Set();
+
+  const lines = rows.map((r) => {
+    const shipment = byRef.get(r.consignmentId) || null;
+    const expected = shipment ? cents(shipment.codAmount) : null;
+    const key = shipment?.id || r.consignmentId;
+    const alreadyPaid =
+      paidRefs.has(r.consignmentId) || (shipment && (shipment.codRemittedAt || paidShipments.has(shipment.id)));
+    let status;
+    if (seen.has(key) || alreadyPaid) status = "DUPLICATE";
+    else if (!shipment) status = "NOT_FOUND";
+    else if (r.collected < expected) status = "SHORT";
+    else if (r.collected > expected) status = "OVER";
+    else status = "MATCHED";
+    seen.add(key);
+    return {
+      rowNumber: r.rowNumber,
+      consignmentId: r.consignmentId,
+      invoice: r.invoice,
+      collectedAmount: money(r.collected),
+      feeAmount: money(r.fees),
+      netAmount: money(r.net),
+      expectedAmount: expected == null ? null : money(expected),
+      status,
+      shipmentId: shipment?.id || null,
+      raw: r.raw,
+    };
+  });
+
+  const total = (k) => lines.reduce((sum, l) => sum + cents(l[k]), 0);
+  return prisma.$transaction(async (tx) => {
+    const remittance = await tx.codRemittance.create({
+      data: {
+        courierId: courier.id,
+        reference: ref,
+        fileName: fileName ? String(fileName).slice(0, 200) : null,
+        statementDate: date,
+        totalCollected: money(total("collectedAmount")),
+        totalFees: money(total("feeAmount")),
+        totalNet: money(total("netAmount")),
+        lineCount: lines.length,
+        note: note ? String(note).slice(0, 500) : null,
+        createdById: actorId,
+      },
+    });
+    await tx.codRemittanceLine.createMany({ data: lines.map((l) => ({ ...l, remittanceId: remittance.id })) });
+    return loadRemittance(remittance.id, tx);
+  });
+}
+
+export async function loadRemittance(id, db = prisma) {
+  return db.codRemittance.findUnique({
+    where: { id },
+    include: {
+      courier: { select: { code: true, name: true } },
+      lines: {
+        orderBy: { rowNumber: "asc" },
+        include: {
+          shipment: {
+            select: {
+              id: true,
+              status: true,
+              orderId: true,
+              order: { select: { orderNumber: true } },
+            },
+          },
+        },
+      },
+    },
+  });
+}
+
+const warning = (kind, scope, referenceId, details) => ({ kind, scope, referenceId, detailsJson: details });
+
+/** Delivered COD parcels of a courier that no posted statement has paid yet. */
+export async function missingCodParcels({ courierId = null, before = new Date() } = {}, db = prisma) {
+  return db.shipment.findMany({
+    where: {
+      ...(courierId ? { courierId } : {}),
+      status: "DELIVERED",
+      codAmount: { gt: 0 },
+      codRemittedAt: null,
+      deliveredAt: { lt: before },
+    },
+    select: {
+      id: true,
+      consignmentId: true,
+      trackingNumber: true,
+      codAmount: true,
+      deliveredAt: true,
+      courier: { select: { code: true } },
+      order: { select: { id: true, orderNumber: true } },
+    },
+    orderBy: { deliveredAt: "asc" },
+    take: 500,
+  });
+}
+
+/**
+ * Book a DRAFT statement: fees → ShipmentCharge, parcels stamped remitted,
+ * warnings raised, then the COD payments captured (PAID) and order payment
+ * status recomputed — except SHORT lines, which are `held` for finance, and
+ * parcels already remitted on another statement, which become DUPLICATE.
+ * → { remittance, captured, held, errors }
+ */
+export async function postRemittance({ id, actorId = null }) {
+  const remittance = await loadRemittance(id);
+  if (!remittance) throw remittanceError("REMITTANCE_NOT_FOUND", 404);
+  if (remittance.status !== "DRAFT") throw remittanceError("REMITTANCE_ALREADY_POSTED", 409);
+
+  const now = new Date();
+  const label = remittanceNumber(remittance.number);
+  const booked = remittance.lines.filter((l) => BOOKED_LINE_STATUSES.includes(l.status) && l.shipmentId);
+  const orderIds = [...new Set(booked.map((l) => l.shipment?.orderId).filter(Boolean))];
+  const codPayments = orderIds.length
+    ? await prisma.payment.findMany({
+        where: { orderId: { in: orderIds }, provider: "CASH_ON_DELIVERY" },
+        orderBy: { createdAt: "asc" },
+      })
+    : [];
+  const paymentFor = (orderId) => {
+    const mine = codPayments.filter((p) => p.orderId === orderId);
+    return mine.find((p) => !PAID_SUM_STATUSES.has(p.status) && p.status !== "REFUNDED") || mine[0] || null;
+  };
+
+  const missingBefore = new Date((remittance.statementDate || now).getTime() - MISSING_AFTER_DAYS * 86_400_000);
+  const charges = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.codRemittance.updateMany({
+      where: { id, status: "DRAFT" },
+      data: { status: "POSTED", postedById: actorId, postedAt: now },
+    });
+    if (!count) throw remittanceError("REMITTANCE_ALREADY_POSTED", 409);
+
+    const charges = [];
+    for (const line of booked) {
+      // Another statement (a second draft of the same parcels, maybe keyed by
+      // tracking number instead) may have been posted since this one was
+      // imported: the stamp on the shipment decides who paid for it.
+      const paidElsewhere = await tx.codRemittanceLine.findFirst({
+        where: {
+          shipmentId: line.shipmentId,
+          status: { in: BOOKED_LINE_STATUSES },
+          remittance: { status: "POSTED", id: { not: id } },
+        },
+        select: { id: true },
+      });
+      const { count: stamped } = paidElsewhere
+        ? { count: 0 }
+        : await tx.shipment.updateMany({
+            where: { id: line.shipmentId, codRemittedAt: null },
+            data: { codRemittedAt: remittance.statementDate || now },
+          });
+      if (!stamped) {
+        await tx.codRemittanceLine.update({ where: { id: line.id }, data: { status: "DUPLICATE" } });
+        line.status = "DUPLICATE";
+        line.alreadyRemitted = true;
+        continue;
+      }
+
+      const payment = paymentFor(line.shipment.orderId);
+      if (payment) await tx.codRemittanceLine.update({ where: { id: line.id }, data: { paymentId: payment.id } });
+      if (cents(line.feeAmount) > 0) {
+        charges.push(
+          await tx.shipmentCharge.create({
+            data: { shipmentId: line.shipmentId, actualCost: line.feeAmount, codRemittanceLineId: line.id },
+          })
+        );
+      }
+    }
+
+    const warnings = [];
+    const details = (line, extra = {}) => ({
+      remittanceId: id,
+      remittance: label,
+      courier: remittance.courier.code,
+      row: line.rowNumber,
+      consignmentId: line.consignmentId,
+      collected: Number(line.collectedAmount),
+      ...extra,
+    });
+    for (const line of remittance.lines) {
+      if (line.status === "SHORT") {
+        warnings.push(
+          warning("COD_SHORT_REMIT", "SHIPMENT", line.shipmentId, details(line, {
+            expected: Number(line.expectedAmount),
+            short: money(cents(line.expectedAmount) - cents(line.collectedAmount)),
+          }))
+        );
+      } else if (line.status === "NOT_FOUND") {
+        warnings.push(warning("COD_UNKNOWN_PARCEL", "COD_REMITTANCE", id, details(line)));
+      } else if (line.status === "DUPLICATE") {
+        warnings.push(
+          warning(
+            "COD_DUPLICATE_REMIT",
+            line.shipmentId ? "SHIPMENT" : "COD_REMITTANCE",
+            line.shipmentId || id,
+            details(line, line.alreadyRemitted ? { alreadyRemitted: true } : {})
+          )
+        );
+      }
+    }
+
+    const paidNow = new Set(booked.filter((l) => l.status !== "DUPLICATE").map((l) => l.shipmentId));
+    const missing = (await missingCodParcels({ courierId: remittance.courierId, before: missingBefore }, tx)).filter(
+      (s) => !paidNow.has(s.id)
+    );
+    const flagged = new Set(
+      (
+        await tx.financeWarning.findMany({
+          where: { kind: "COD_MISSING_PARCEL", referenceId: { in: missing.map((s) => s.id) } },
+          select: { referenceId: true },
+        })
+      ).map((w) => w.referenceId)
+    );
+    for (const s of missing) {
+      if (flagged.has(s.id)) continue;
+      warnings.push(
+        warning("COD_MISSING_PARCEL", "SHIPMENT", s.id, {
+          remittanceId: id,
+          remittance: label,
+          courier: remittance.courier.code,
+          consignmentId: s.consignmentId || s.trackingNumber,
+          orderNumber: s.order?.orderNumber ?? null,
+          codAmount: Number(s.codAmount),
+          deliveredAt: s.deliveredAt,
+        })
+      );
+    }
+    if (warnings.length) await tx.financeWarning.createMany({ data: warnings });
+    return charges;
+  });
+
+  const { captured, errors } = await captureLines(
+    remittance,
+    booked.filter((l) => l.status !== "SHORT" && l.status !== "DUPLICATE"),
+    (line) => paymentFor(line.shipment.orderId),
+    actorId
+  );
+  const held = booked.filter((l) => l.status === "SHORT").length;
+
+  for (const ch of charges) await queueLedgerPosting("SHIPMENT", ch.id);
+  await queueLedgerPosting("COD_REMITTANCE", id);
+
+  return { remittance: await loadRemittance(id), captured, held, errors };
+}
+
+// Cash is in: capture each line's COD payment and let the order follow.
+async function captureLines(remittance, lines, paymentOf, actorId) {
+  const label = remittanceNumber(remittance.number);
+  let captured = 0;
+  const errors = [];
+  const capturedPayments = new Set();
+  for (const line of lines) {
+    const payment = paymentOf(line);
+    if (!payment || capturedPayments.has(payment.id) || PAID_SUM_STATUSES.has(payment.status)) continue;
+    capturedPayments.add(payment.id);
+    try {
+      const r = await capturePayment({ paymentId: payment.id, actorId });
+      if (!r.ok) throw new Error(r.message || "capture_failed");
+      const transition = await prisma.$transaction(async (tx) => {
+        const t = await recomputeOrderPaymentStatus(payment.orderId, {
+          db: tx,
+          actor: actorId ? { id: actorId, role: "admin" } : { role: "system" },
+        });
+        await tx.orderEvent.create({
+          data: {
+            orderId: payment.orderId,
+            kind: "COD_REMITTED",
+            message: `COD remitted by ${remittance.courier.code} on ${label} (consignment ${line.consignmentId})`,
+            metadata: {
+              remittanceId: remittance.id,
+              paymentId: payment.id,
+              collected: Number(line.collectedAmount),
+              fees: Number(line.feeAmount),
+            },
+            actorId,
+            actorRole: actorId ? "admin" : "system",
+          },
+        });
+        return t;
+      });
+      await runOrderEffects(transition);
+      captured += 1;
+    } catch (err) {
+      errors.push({ consignmentId: line.consignmentId, paymentId: payment.id, error: String(err?.message || err) });
+    }
+  }
+  return { captured, errors };
+}
+
+/**
+ * Capture what a POSTED statement left uncaptured: payments whose capture
+ * failed, and SHORT lines once accepted. `acceptShort` (line ids) records
+ * finance accepting those short remits first.
+ * → { remittance, captured, held, errors }
+ */
+export async function captureRemittance({ id, acceptShort = [], actorId = null }) {
+  const remittance = await loadRemittance(id);
+  if (!remittance) throw remittanceError("REMITTANCE_NOT_FOUND", 404);
+  if (remittance.status !== "POSTED") throw remittanceError("REMITTANCE_NOT_POSTED", 409);
+
+  const accept = (Array.isArray(acceptShort) ? acceptShort : []).map(String);
+  if (accept.length) {
+    const now = new Date();
+    await prisma.codRemittanceLine.updateMany({
+      where: { id: { in: accept }, remittanceId: id, status: "SHORT", shortAcceptedAt: null },
+      data: { shortAcceptedAt: now, shortAcceptedById: actorId },
+    });
+    for (const line of remittance.lines) {
+      if (accept.includes(line.id) && line.status === "SHORT" && !line.shortAcceptedAt) line.shortAcceptedAt = now;
+    }
+  }
+
+  const booked = remittance.lines.filter((l) => BOOKED_LINE_STATUSES.includes(l.status) && l.paymentId);
+  const ready = booked.filter((l) => l.status !== "SHORT" || l.shortAcceptedAt);
+  const payments = new Map(
+    (
+      await prisma.payment.findMany({ where: { id: { in: [...new Set(ready.map((l) => l.paymentId))] } } })
+    ).map((p) => [p.id, p])
+  );
+  const { captured, errors } = await captureLines(remittance, ready, (line) => payments.get(line.paymentId), actorId);
+  const held = booked.filter((l) => l.status === "SHORT" && !l.shortAcceptedAt).length;
+
+  return { remittance: await loadRemittance(id), captured, held, errors };
+}
+
+/** Throw away a DRAFT (wrong file, wrong courier). */
+export async function deleteRemittance(id) {
+  const { count } = await prisma.codRemittance.deleteMany({ where: { id, status: "DRAFT" } });
+  if (!count) {
+    const exists = await prisma.codRemittance.count({ where: { id } });
+    throw exists ? remittanceError("REMITTANCE_ALREADY_POSTED", 409) : remittanceError("REMITTANCE_NOT_FOUND", 404);
+  }
+}
+
+export async function listRemittances({ status, courierCode, take = 100 } = {}) {
+  return prisma.codRemittance.findMany({
+    where: {
+      ...(status ? { status } : {}),
+      ...(courierCode ? { courier: { code: String(courierCode).toUpperCase() } } : {}),
+    },
+    include: { courier: { select: { code: true, name: true } } },
+    orderBy: { createdAt: "desc" },
+    take: Math.min(Math.max(Number(take) || 100, 1), 500),
+  });
+}
+
+/** API shape: totals per line status next to the statement totals. */
+export function remittanceView(r) {
+  if (!r) return null;
+  const byStatus = {};
+  for (const l of r.lines || []) {
+    const s = (byStatus[l.status] ||= { count: 0, collected: 0, fees: 0, net: 0 });
+    s.count += 1;
+    s.collected = money(cents(s.collected) + cents(l.collectedAmount));
+    s.fees = money(cents(s.fees) + cents(l.feeAmount));
+    s.net = money(cents(s.net) + cents(l.netAmount));
+  }
+  return {
+    ...r,
+    label: remittanceNumber(r.number),
+    totalCollected: Number(r.totalCollected),
+    totalFees: Number(r.totalFees),
+    totalNet: Number(r.totalNet),
+    byStatus,
+    lines: r.lines?.map((l) => ({
+      ...l,
+      collectedAmount: Number(l.collectedAmount),
+      feeAmount: Number(l.feeAmount),
+      netAmount: Number(l.netAmount),
+      expectedAmount: l.expectedAmount == null ? null : Number(l.expectedAmount),
+    })),
+  };
+}
@@ -0,0 +1,617 @@
+// lib/coupons.js
+// Coupons on the Promotion model.
+//
+// A code resolves to a Promotion either through Promotion.code (one shared
+// code) or a PromotionCode row (bulk-generated unique codes). A cart holds one
+// CartPromotion per applied promotion; its amount is re-priced against the
+// current lines whenever totals are computed, and re-checked with the customer
+// known inside create-order, which records the redemption as OrderDiscount.
+//
+// Rules, in the order they are checked: status / window / currency, usage caps
+// (maxRedemptions, per code, perCustomerLimit), first-order-only, customer
+// targeting (loyalty tiers or explicit customers), minimum spend, stacking — a
+// non-stackable promotion must be alone on the cart — then scope.
+//
+// Caps are counted, not reserved: create-order prices with `lock`, which holds
+// an advisory lock per capped promotion / code until its transaction commits
+// the OrderDiscount rows, so concurrent checkouts cannot both take the last use.
+import crypto from "crypto";
+import prisma from "@/lib/prisma";
+
+export const CUSTOMER_TIERS = ["MEMBER", "BRONZE", "SILVER", "GOLD", "PLATINUM", "VIP"];
+const PROMOTION_TYPES = ["PERCENTAGE", "FIXED", "FREE_SHIPPING", "BUY_X_GET_Y"];
+const PROMOTION_STATUSES = ["ACTIVE", "INACTIVE", "SCHEDULED", "EXPIRED"];
+
+const N = (x, d = 0) => {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : d;
+};
+const cents = (x) => Math.round(N(x) * 100);
+const money = (c) => Number((c / 100).toFixed(2));
+
+// Orders that count as a use of a promotion / code / customer history
+const LIVE_ORDER = { status: { not: "CANCELLED" } };
+
+export function normalizeCouponCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, "");
+}
+
+const PROMOTION_INCLUDE = {
+  productScopes: { select: { productId: true } },
+  collectionScopes: { select: { collectionId: true } },
+};
+
+/** Code → { promotion, promotionCode, code } or null. Shared codes win over generated ones. */
+export async function findCoupon(code, db = prisma) {
+  const c = normalizeCouponCode(code);
+  if (!c) return null;
+
+  const promotion = await db.promotion.findFirst({
+    where: { code: { equals: c, mode: "insensitive" } },
+    include: PROMOTION_INCLUDE,
+  });
+  if (promotion) return { promotion, promotionCode: null, code: promotion.code };
+
+  const row = await db.promotionCode.findUnique({
+    where: { code: c },
+    include: { promotion: { include: PROMOTION_INCLUDE } },
+  });
+  if (!row) return null;
+  const { promotion: p, ...promotionCode } = row;
+  return { promotion: p, promotionCode, code: promotionCode.code };
+}
+
+/* ---------------- checks ---------------- */
+
+function windowIssue(promotion, { now, currency }) {
+  if (promotion.status === "INACTIVE" || promotion.status === "EXPIRED") return "COUPON_INACTIVE";
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) return "COUPON_NOT_STARTED";
+  if (promotion.endsAt && new Date(promotion.endsAt) < now) return "COUPON_EXPIRED";
+  if (promotion.currency && currency && promotion.currency !== currency) return "COUPON_CURRENCY";
+  return null;
+}
+
+async function usageIssue(entry, { userId, db }) {
+  const { promotion, promotionCode } = entry;
+
+  if (promotion.maxRedemptions != null) {
+    const used = await db.orderDiscount.count({ where: { promotionId: promotion.id, order: LIVE_ORDER } });
+    if (used >= promotion.maxRedemptions) return "COUPON_EXHAUSTED";
+  }
+  if (promotionCode) {
+    const used = await db.orderDiscount.count({ where: { promotionCodeId: promotionCode.id, order: LIVE_ORDER } });
+    if (used >= promotionCode.maxRedemptions) return "COUPON_EXHAUSTED";
+  }
+
+  // Customer rules need a customer; guests are checked at checkout once the
+  // order is linked to a user by phone / email.
+  if (!userId) return null;
+
+  if (promotion.perCustomerLimit != null) {
+    const used = await db.orderDiscount.count({
+      where: { promotionId: promotion.id, order: { ...LIVE_ORDER, userId } },
+    });
+    if (used >= promotion.perCustomerLimit) return "COUPON_LIMIT_REACHED";
+  }
+  if (promotion.firstOrderOnly) {
+    const orders = await db.order.count({ where: { userId, ...LIVE_ORDER } });
+    if (orders > 0) return "COUPON_FIRST_ORDER_ONLY";
+  }
+  if (promotion.customerIds?.length && !promotion.customerIds.includes(userId)) return "COUPON_NOT_ELIGIBLE";
+  if (promotion.customerTiers?.length) {
+    const account = await db.loyaltyAccount.findUnique({ where: { userId }, select: { tier: true } });
+    if (!promotion.customerTiers.includes(account?.tier || "MEMBER")) return "COUPON_NOT_ELIGIBLE";
+  }
+  return null;
+}
+
+// Taken in sorted order so two carts holding the same coupons never deadlock
+async function lockRedemptions(entries, db) {
+  const keys = new Set();
+  for (const { promotion, promotionCode } of entries) {
+    if (promotion.maxRedemptions != null || promotion.perCustomerLimit != null) keys.add(`coupon:promotion:${promotion.id}`);
+    if (promotionCode) keys.add(`coupon:code:${promotionCode.id}`);
+  }
+  for (const key of [...keys].sort()) {
+    await db.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${key}))`;
+  }
+}
+
+/* ---------------- pricing ---------------- */
+
+async function loadLineScopes(lines, db) {
+  const ids = [...new Set(lines.map((l) => l.variantId).filter(Boolean))];
+  if (!ids.length) return new Map();
+  const variants = await db.productVariant.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, productId: true, product: { select: { collections: { select: { collectionId: true } } } } },
+  });
+  return new Map(
+    variants.map((v) => [
+      v.id,
+      { productId: v.productId, collectionIds: (v.product?.collections || []).map((c) => c.collectionId) },
+    ])
+  );
+}
+
+function inScope(promotion, scope) {
+  const products = promotion.productScopes || [];
+  const collections = promotion.collectionScopes || [];
+  const unscoped =
+    !promotion.appliesToAllProducts && !promotion.appliesToAllCollections && !products.length && !collections.length;
+  if (unscoped || promotion.appliesToAllProducts) return true;
+  if (!scope) return false;
+  if (products.some((p) => p.productId === scope.productId)) return true;
+  if (promotion.appliesToAllCollections && scope.collectionIds.length) return true;
+  return collections.some((c) => scope.collectionIds.includes(c.collectionId));
+}
+
+/** Spread a discount over lines pro rata; the last line takes the rounding. */
+function allocate(totalCents, weights) {
+  const sum = weights.reduce((a, w) => a + w, 0);
+  if (!sum || !totalCents) return weights.map(() => 0);
+  let left = totalCents;
+  return weights.map((w, i) => {
+    if (i === weights.length - 1) return left;
+    const share = Math.round((totalCents * w) / sum);
+    left -= share;
+    return share;
+  });
+}
+
+/**
+ * Discount of one promotion over the eligible lines, given what earlier
+ * promotions left of each line (`remaining`, cents by line index).
+ * → [{ total, perLine, freeShipping }, error]
+ */
+function priceDiscount(promotion, lines, scopes, remaining) {
+  const eligible = lines
+    .map((l, i) => i)
+    .filter((i) => remaining[i] > 0 && inScope(promotion, scopes.get(lines[i].variantId)));
+  const perLine = lines.map(() => 0);
+
+  if (promotion.type === "FREE_SHIPPING") return [{ total: 0, perLine, freeShipping: true }, null];
+  if (!eligible.length) return [null, "COUPON_NOT_APPLICABLE"];
+
+  const base = eligible.reduce((a, i) => a + remaining[i], 0);
+  let total = 0;
+
+  if (promotion.type === "PERCENTAGE") {
+    total = Math.round((base * Math.min(100, Math.max(0, N(promotion.value)))) / 100);
+  } else if (promotion.type === "FIXED") {
+    total = Math.min(base, cents(promotion.value));
+  } else if (promotion.type === "BUY_X_GET_Y") {
+    // every (buy + get) eligible units, the cheapest `get` of them are free
+    const buy = Math.max(1, N(promotion.buyQty, 1));
+    const get = Math.max(1, N(promotion.getQty, 1));
+    const units = eligible
+      .flatMap((i) => {
+        const qty = Math.max(0, Math.floor(N(lines[i].quantity)));
+        const unit = qty ? Math.floor(remaining[i] / qty) : 0;
+        return Array.from({ length: qty }, () => ({ i, unit }));
+      })
+      .sort((a, b) => b.unit - a.unit);
+    const groups = Math.floor(units.length / (buy + get));
+    if (!groups) return [null, "COUPON_NOT_APPLICABLE"];
+    for (let g = 0; g < groups; g++) {
+      for (const u of units.slice(g * (buy + get) + buy, (g + 1) * (buy + get))) {
+        perLine[u.i] += u.unit;
+        total += u.unit;
+      }
+    }
+    return [{ total, perLine, freeShipping: false }, null];
+  }
+
+  const shares = allocate(total, eligible.map((i) => remaining[i]));
+  eligible.forEach((i, k) => {
+    perLine[i] = shares[k];
+  });
+  return [{ total, perLine, freeShipping: false }, null];
+}
+
+/**
+ * Price a list of coupon entries ({ promotion, promotionCode, code }, in the
+ * order they were applied) against basket lines [{ variantId, quantity, amount }].
+ *
+ * Returns { applied, rejected, discountTotal, freeShipping, lineDiscounts }:
+ * applied entries carry their amount; rejected ones the error code;
+ * lineDiscounts is aligned with `lines` (for line-level tax and order items).
+ *
+ * `lock` (inside a transaction that goes on to record the redemptions)
+ * serializes the usage-cap counts per promotion and code.
+ */
+export async function evaluateCoupons({ entries = [], lines = [], currency = null, userId = null, db = prisma, now = new Date(), lock = false }) {
+  if (lock) await lockRedemptions(entries, db);
+  const scopes = await loadLineScopes(lines, db);
+  const subtotal = lines.reduce((a, l) => a + Math.max(0, cents(l.amount)), 0);
+  const remaining = lines.map((l) => Math.max(0, cents(l.amount)));
+  const lineDiscounts = lines.map(() => 0);
+
+  const applied = [];
+  const rejected = [];
+  let freeShipping = false;
+
+  for (const entry of entries) {
+    const { promotion, promotionCode } = entry;
+    const reject = (error) => rejected.push({ promotionId: promotion.id, code: entry.code || null, error });
+
+    const issue = windowIssue(promotion, { now, currency }) || (await usageIssue(entry, { userId, db }));
+    if (issue) {
+      reject(issue);
+      continue;
+    }
+    if (promotion.minSubtotal != null && subtotal < cents(promotion.minSubtotal)) {
+      reject("COUPON_MIN_SPEND");
+      continue;
+    }
+    if (applied.length && (!promotion.stackable || applied.some((a) => !a.stackable))) {
+      reject("COUPON_NOT_STACKABLE");
+      continue;
+    }
+
+    const [priced, error] = priceDiscount(promotion, lines, scopes, remaining);
+    if (error) {
+      reject(error);
+      continue;
+    }
+
+    priced.perLine.forEach((c, i) => {
+      remaining[i] -= c;
+      lineDiscounts[i] += c;
+    });
+    freeShipping = freeShipping || priced.freeShipping;
+    applied.push({
+      promotionId: promotion.id,
+      promotionCodeId: promotionCode?.id || null,
+      code: entry.code || null,
+      name: promotion.name,
+      type: promotion.type,
+      stackable: promotion.stackable,
+      amount: money(priced.total),
+      freeShipping: priced.freeShipping,
+    });
+  }
+
+  return {
+    applied,
+    rejected,
+    discountTotal: money(lineDiscounts.reduce((a, c) => a + c, 0)),
+    freeShipping,
+    lineDiscounts: lineDiscounts.map(money),
+  };
+}
+
+async function cartEntries(cartId, db) {
+  const rows = await db.cartPromotion.findMany({
+    where: { cartId },
+    include: { promotion: { include: PROMOTION_INCLUDE } },
+    orderBy: { appliedAt: "asc" },
+  });
+  const codeIds = rows.map((r) => r.promotionCodeId).filter(Boolean);
+  const codes = codeIds.length ? await db.promotionCode.findMany({ where: { id: { in: codeIds } } }) : [];
+  return rows.map((r) => ({
+    promotion: r.promotion,
+    promotionCode: codes.find((c) => c.id === r.promotionCodeId) || null,
+    code: r.code || r.promotion.code || null,
+    amountApplied: N(r.amountApplied),
+  }));
+}
+
+/**
+ * Re-price the promotions on a cart against its current lines.
+ *
+ * `userId` overrides the cart's owner (checkout, after guest linking).
+ * Unless `persist` is false the stored CartPromotion amounts are refreshed —
+ * rejected coupons stay on the cart at 0 so they come back if the basket
+ * qualifies again (e.g. minimum spend). `lock` is passed to evaluateCoupons.
+ */
+export async function priceCartPromotions({ cartId, lines = [], userId, persist = true, lock = false, db = prisma }) {
+  const empty = { applied: [], rejected: [], discountTotal: 0, freeShipping: false, lineDiscounts: lines.map(() => 0) };
+  if (!cartId) return empty;
+
+  const cart = await db.cart.findUnique({ where: { id: cartId }, select: { userId: true, currency: true } });
+  if (!cart) return empty;
+
+  const entries = await cartEntries(cartId, db);
+  if (!entries.length) return empty;
+
+  const result = await evaluateCoupons({
+    entries,
+    lines,
+    currency: cart.currency,
+    userId: userId !== undefined ? userId : cart.userId,
+    db,
+    lock,
+  });
+
+  if (persist) {
+    for (const e of entries) {
+      const amount = result.applied.find((a) => a.promotionId === e.promotion.id)?.amount || 0;
+      if (amount === e.amountApplied) continue;
+      await db.cartPromotion.update({
+        where: { cartId_promotionId: { cartId, promotionId: e.promotion.id } },
+        data: { amountApplied: amount },
+      });
+    }
+  }
+
+  // what the customer last saw applied (checkout refuses to silently drop these)
+  result.previouslyApplied = entries.filter((e) => e.amountApplied > 0).map((e) => e.promotion.id);
+  return result;
+}
+
+/**
+ * Apply a code to a cart → [result, error]. The new coupon is priced together
+ * with those already on the cart so stacking rules hold.
+ */
+export async function applyCouponToCart({ cartId, code, lines = [], userId = null, db = prisma }) {
+  const coupon = await findCoupon(code, db);
+  if (!coupon) return [null, "COUPON_NOT_FOUND"];
+
+  const cart = await db.cart.findUnique({ where: { id: cartId }, select: { currency: true } });
+  if (!cart) return [null, "CART_NOT_FOUND"];
+
+  const entries = await cartEntries(cartId, db);
+  if (entries.some((e) => e.promotion.id === coupon.promotion.id)) return [null, "COUPON_ALREADY_APPLIED"];
+
+  const result = await evaluateCoupons({ entries: [...entries, coupon], lines, currency: cart.currency, userId, db });
+  const mine = result.rejected.find((r) => r.promotionId === coupon.promotion.id);
+  if (mine) return [null, mine.error, coupon.promotion];
+
+  const amount = result.applied.find((a) => a.promotionId === coupon.promotion.id).amount;
+  await db.cartPromotion.create({
+    data: {
+      cartId,
+      promotionId: coupon.promotion.id,
+      amountApplied: amount,
+      code: coupon.code,
+      promotionCodeId: coupon.promotionCode?.id || null,
+    },
+  });
+  return [result, null, coupon.promotion];
+}
+
+/** OrderDiscount rows for the coupons applied to an order (inside create-order's transaction). */
+export async function recordRedemptions({ orderId, applied = [], db = prisma }) {
+  for (const a of applied) {
+    await db.orderDiscount.create({
+      data: {
+        orderId,
+        promotionId: a.promotionId,
+        amount: a.amount,
+        code: a.code,
+        promotionCodeId: a.promotionCodeId,
+      },
+    });
+  }
+}
+
+/* ---------------- bulk codes ---------------- */
+
+// no 0/O/1/I — codes get read out over the phone
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export function randomCouponCode(prefix = "", length = 8) {
+  const bytes = crypto.randomBytes(length);
+  const body = Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+  return `${normalizeCouponCode(prefix)}${body}`;
+}
+
+/**
+ * Generate `count` unique codes for a promotion. Collisions (with each other,
+ * generated codes of other promotions or shared codes) are skipped and
+ * re-drawn. → { batch, codes }
+ */
+export async function generatePromotionCodes({ promotionId, count, prefix = "", length = 8, maxRedemptions = 1, batch, db = prisma }) {
+  const label = batch || `B${Date.now().toString(36).toUpperCase()}`;
+  const created = [];
+
+  for (let attempt = 0; created.length < count && attempt < 5; attempt++) {
+    const want = new Set();
+    while (want.size < count - created.length) want.add(randomCouponCode(prefix, length));
+    const candidates = [...want];
+
+    const [taken, shared] = await Promise.all([
+      db.promotionCode.findMany({ where: { code: { in: candidates } }, select: { code: true } }),
+      db.promotion.findMany({ where: { code: { in: candidates } }, select: { code: true } }),
+    ]);
+    const clash = new Set([...taken, ...shared].map((r) => r.code));
+    const fresh = candidates.filter((c) => !clash.has(c));
+
+    const res = await db.promotionCode.createMany({
+      data: fresh.map((code) => ({ promotionId, code, batch: label, maxRedemptions })),
+      skipDuplicates: true,
+    });
+    if (res.count === fresh.length) created.push(...fresh);
+    else {
+      const rows = await db.promotionCode.findMany({
+        where: { promotionId, batch: label, code: { in: fresh } },
+        select: { code: true },
+      });
+      created.push(...rows.map((r) => r.code));
+    }
+  }
+
+  return { batch: label, codes: created };
+}
+
+/* ---------------- reporting ---------------- */
+
+function dateRange(from, to) {
+  const r = {};
+  if (from) r.gte = new Date(from);
+  if (to) {
+    r.lte = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) r.lte.setUTCHours(23, 59, 59, 999);
+  }
+  return Object.keys(r).length ? r : undefined;
+}
+
+/**
+ * Redemptions per promotion (or, with `promotionId`, per code) between two
+ * dates: orders, unique customers, discount given and order revenue.
+ * Cancelled orders are left out.
+ */
+export async function couponReport({ from = null, to = null, promotionId = null, db = prisma } = {}) {
+  const createdAt = dateRange(from, to);
+  const rows = await db.orderDiscount.findMany({
+    where: {
+      promotionId: promotionId || { not: null },
+      ...(createdAt ? { createdAt } : {}),
+      order: LIVE_ORDER,
+    },
+    select: {
+      promotionId: true,
+      code: true,
+      amount: true,
+      order: { select: { userId: true, grandTotal: true } },
+      promotion: { select: { name: true, code: true, type: true } },
+    },
+  });
+
+  const groups = new Map();
+  for (const r of rows) {
+    const key = promotionId ? r.code || r.promotion?.code || "—" : r.promotionId;
+    const g =
+      groups.get(key) ||
+      {
+        key,
+        promotionId: r.promotionId,
+        name: r.promotion?.name || null,
+        code: promotionId ? key : r.promotion?.code || null,
+        type: r.promotion?.type || null,
+        redemptions: 0,
+        customers: new Set(),
+        discount: 0,
+        revenue: 0,
+      };
+    g.redemptions += 1;
+    if (r.order?.userId) g.customers.add(r.order.userId);
+    g.discount += cents(r.amount);
+    g.revenue += cents(r.order?.grandTotal);
+    groups.set(key, g);
+  }
+
+  return [...groups.values()]
+    .map(({ customers, discount, revenue, ...g }) => ({
+      ...g,
+      customers: customers.size,
+      discount: money(discount),
+      revenue: money(revenue),
+      avgOrderValue: g.redemptions ? money(Math.round(revenue / g.redemptions)) : 0,
+    }))
+    .sort((a, b) => b.redemptions - a.redemptions);
+}
+
+/* ---------------- admin payloads ---------------- */
+
+/** Fields that need MANAGE_COUPON_TARGETING on top of MANAGE_PROMOTIONS. */
+export const TARGETING_FIELDS = ["customerTiers", "customerIds"];
+
+const intOrNull = (v) => {
+  if (v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+};
+const amountOrNull = (v) => {
+  if (v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+};
+const dateOrNull = (v) => {
+  if (v === null || v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+/**
+ * Validate an admin coupon (Promotion) payload → [data, error]. `partial` is
+ * for updates; pass the stored `type` along so value rules still apply.
+ * Scope ids (productIds / collectionIds) are returned as nested writes.
+ */
+export function parsePromotion(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body?.code !== undefined) {
+    const code = body.code ? normalizeCouponCode(body.code) : null;
+    if (code && !/^[A-Z0-9_-]{3,40}$/.test(code)) return [null, "INVALID_CODE"];
+    data.code = code;
+  }
+  if (!partial || body?.name !== undefined) {
+    const name = String(body?.name || "").trim() || data.code || "";
+    if (!name) return [null, "NAME_REQUIRED"];
+    data.name = name;
+  }
+
+  const type = String(body?.type || "").toUpperCase();
+  if (!partial || body?.type !== undefined) {
+    if (!PROMOTION_TYPES.includes(type)) return [null, "INVALID_TYPE"];
+    data.type = type;
+  }
+  if (body?.status !== undefined) {
+    const status = String(body.status || "").toUpperCase();
+    if (!PROMOTION_STATUSES.includes(status)) return [null, "INVALID_STATUS"];
+    data.status = status;
+  }
+  if (body?.currency !== undefined) data.currency = body.currency ? String(body.currency).toUpperCase() : null;
+
+  if (body?.value !== undefined || (!partial && (type === "PERCENTAGE" || type === "FIXED"))) {
+    const value = amountOrNull(body?.value ?? "");
+    if (Number.isNaN(value) || ((type === "PERCENTAGE" || type === "FIXED") && !value)) return [null, "INVALID_VALUE"];
+    if (type === "PERCENTAGE" && value > 100) return [null, "INVALID_VALUE"];
+    data.value = value;
+  }
+  for (const key of ["buyQty", "getQty", "maxRedemptions", "perCustomerLimit"]) {
+    if (body?.[key] === undefined) continue;
+    const v = intOrNull(body[key]);
+    if (Number.isNaN(v)) return [null, `INVALID_${key.toUpperCase()}`];
+    data[key] = v;
+  }
+  if (!partial && type === "BUY_X_GET_Y" && (!data.buyQty || !data.getQty)) return [null, "INVALID_BUY_X_GET_Y"];
+
+  if (body?.minSubtotal !== undefined) {
+    const v = amountOrNull(body.minSubtotal);
+    if (Number.isNaN(v)) return [null, "INVALID_MINSUBTOTAL"];
+    data.minSubtotal = v;
+  }
+  for (const key of ["startsAt", "endsAt"]) {
+    if (body?.[key] === undefined) continue;
+    const d = dateOrNull(body[key]);
+    if (d === undefined) return [null, `INVALID_${key.toUpperCase()}`];
+    data[key] = d;
+  }
+  if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) return [null, "INVALID_WINDOW"];
+
+  for (const key of ["appliesToAllProducts", "appliesToAllCollections", "firstOrderOnly", "stackable"]) {
+    if (body?.[key] !== undefined) data[key] = !!body[key];
+  }
+
+  if (body?.customerTiers !== undefined) {
+    const tiers = Array.isArray(body.customerTiers) ? body.customerTiers.map((t) => String(t).toUpperCase()) : null;
+    if (!tiers || tiers.some((t) => !CUSTOMER_TIERS.includes(t))) return [null, "INVALID_CUSTOMERTIERS"];
+    data.customerTiers = [...new Set(tiers)];
+  }
+  if (body?.customerIds !== undefined) {
+    if (!Array.isArray(body.customerIds)) return [null, "INVALID_CUSTOMERIDS"];
+    data.customerIds = [...new Set(body.customerIds.map((x) => String(x || "").trim()).filter(Boolean))];
+  }
+
+  if (body?.productIds !== undefined) {
+    if (!Array.isArray(body.productIds)) return [null, "INVALID_PRODUCTIDS"];
+    const ids = [...new Set(body.productIds.map(String))];
+    data.productScopes = { ...(partial ? { deleteMany: {} } : {}), create: ids.map((productId) => ({ productId })) };
+  }
+  if (body?.collectionIds !== undefined) {
+    if (!Array.isArray(body.collectionIds)) return [null, "INVALID_COLLECTIONIDS"];
+    const ids = [...new Set(body.collectionIds.map(String))];
+    data.collectionScopes = {
+      ...(partial ? { deleteMany: {} } : {}),
+      create: ids.map((collectionId) => ({ collectionId })),
+    };
+  }
+
+  return [data, null];
+}
@@ -0,0 +1,239 @@
+// PATH: src/lib/customer-messages.js
+// Automatic customer messages at order, return and refund milestones, sent
+// through the notification dispatcher (lib/notifications.js) to the phone on
+// the order — the checkout contact phone, the account's, else the shipping
+// address's, so guest orders are messaged too.
+//
+//   placed · confirmed · shipped · out for delivery · delivered · return approved · refund processed
+//
+// Copy is Bangla or English — the order's metadata.locale (captured at
+// checkout), else CUSTOMER_MESSAGE_LOCALE, else Bangla. The built-in copy
+// below can be overridden per channel with NotificationTemplate rows keyed
+// "<event>.<locale>" (e.g. "order_shipped.bn"); disabling the SMS row turns
+// that SMS off.
+//
+// Channel: a WhatsApp template message when the WHATSAPP row for the event
+// names an approved template and the Cloud API is configured, falling back to
+// SMS if it cannot be delivered; SMS otherwise. Cash-on-delivery orders always
+// get the SMS as well — customers who were not texted tend to refuse the
+// parcel at the door. Opt-outs (NotificationPreference, and
+// NotificationPhonePreference for the number itself) are applied by the
+// dispatcher; every message is a Notification row.
+import prisma from "@/lib/prisma";
+import { notify, renderTemplate } from "@/lib/notifications";
+import { whatsAppProvider } from "@/lib/whatsapp";
+
+export const MESSAGE_LOCALES = ["bn", "en"];
+
+const BRAND_NAME = process.env.BRAND_NAME || "TDLC";
+const BRAND_URL = process.env.BRAND_URL || "https://thednalabstore.com";
+const DEFAULT_LOCALE = MESSAGE_LOCALES.includes(process.env.CUSTOMER_MESSAGE_LOCALE)
+  ? process.env.CUSTOMER_MESSAGE_LOCALE
+  : "bn";
+
+// Meta language codes for the approved templates
+const WHATSAPP_LANGUAGE = { bn: "bn", en: "en" };
+
+/**
+ * event → NotificationType (what opt-outs are keyed on) and the variables, in
+ * order, that fill an approved WhatsApp template's {{1}}, {{2}}, …
+ */
+export const CUSTOMER_MESSAGES = {
+  order_placed: { type: "ORDER_PLACED", params: ["name", "orderNumber", "total", "trackingUrl"] },
+  order_confirmed: { type: "ORDER_CONFIRMED", params: ["name", "orderNumber"] },
+  order_shipped: { type: "ORDER_SHIPPED", params: ["name", "orderNumber", "courier", "trackingUrl"] },
+  order_out_for_delivery: { type: "ORDER_OUT_FOR_DELIVERY", params: ["name", "orderNumber"] },
+  order_delivered: { type: "ORDER_DELIVERED", params: ["name", "orderNumber"] },
+  return_approved: { type: "RETURN_APPROVED", params: ["name", "orderNumber", "rma"] },
+  refund_processed: { type: "REFUND_COMPLETED", params: ["name", "amount", "orderNumber"] },
+};
+
+const COPY = {
+  en: {
+    customer: "there",
+    courier: "our courier",
+    codNote: " Please keep {{codAmount}} ready for cash on delivery.",
+    toWallet: "to your {{brand}} wallet",
+    toPayment: "to your original payment method",
+    order_placed: {
+      title: "Order #{{orderNumber}} received",
+      body: "Hi {{name}}, thanks for your {{brand}} order #{{orderNumber}} of {{total}}. We will confirm it shortly. Track: {{trackingUrl}}",
+    },
+    order_confirmed: {
+      title: "Order #{{orderNumber}} confirmed",
+      body: "Hi {{name}}, your {{brand}} order #{{orderNumber}} is confirmed and being packed.{{codNote}}",
+    },
+    order_shipped: {
+      title: "Order #{{orderNumber}} shipped",
+      body: "Your {{brand}} order #{{orderNumber}} is on its way with {{courier}}. Track it: {{trackingUrl}}{{codNote}}",
+    },
+    order_out_for_delivery: {
+      title: "Order #{{orderNumber}} out for delivery",
+      body: "Your {{brand}} order #{{orderNumber}} is out for delivery today.{{codNote}} Please keep your phone reachable.",
+    },
+    order_delivered: {
+      title: "Order #{{orderNumber}} delivered",
+      body: "Your {{brand}} order #{{orderNumber}} has been delivered. Thank you for shopping with us!",
+    },
+    return_approved: {
+      title: "Return {{rma}} approved",
+      body: "Hi {{name}}, your return {{rma}} for order #{{orderNumber}} is approved. We will arrange the pickup and keep you posted.",
+    },
+    refund_processed: {
+      title: "Refund of {{amount}} processed",
+      body: "Hi {{name}}, your refund of {{amount}} for order #{{orderNumber}} has been sent {{destination}}.",
+    },
+  },
+  bn: {
+    customer: "গ্রাহক",
+    courier: "কুরিয়ার",
+    codNote: " ক্যাশ অন ডেলিভারির জন্য {{codAmount}} প্রস্তুত রাখুন।",
+    toWallet: "আপনার {{brand}} ওয়ালেটে",
+    toPayment: "আপনার পেমেন্ট মাধ্যমে",
+    order_placed: {
+      title: "অর্ডার #{{orderNumber}} গৃহীত হয়েছে",
+      body: "প্রিয় {{name}}, {{brand}}-এ আপনার অর্ডার #{{orderNumber}} ({{total}}) আমরা পেয়েছি। শীঘ্রই কনফার্ম করা হবে। ট্র্যাক করুন: {{trackingUrl}}",
+    },
+    order_confirmed: {
+      title: "অর্ডার #{{orderNumber}} কনফার্ম হয়েছে",
+      body: "প্রিয় {{name}}, আপনার {{brand}} অর্ডার #{{orderNumber}} কনফার্ম হয়েছে এবং প্যাক করা হচ্ছে।{{codNote}}",
+    },
+    order_shipped: {
+      title: "অর্ডার #{{orderNumber}} পাঠানো হয়েছে",
+      body: "আপনার {{brand}} অর্ডার #{{orderNumber}} {{courier}}-এর মাধ্যমে পাঠানো হয়েছে। ট্র্যাক করুন: {{trackingUrl}}{{codNote}}",
+    },
+    order_out_for_delivery: {
+      title: "অর্ডার #{{orderNumber}} ডেলিভারিতে",
+      body: "আপনার {{brand}} অর্ডার #{{orderNumber}} আজ ডেলিভারির জন্য বের হয়েছে।{{codNote}} অনুগ্রহ করে ফোন খোলা রাখুন।",
+    },
+    order_delivered: {
+      title: "অর্ডার #{{orderNumber}} ডেলিভারি হয়েছে",
+      body: "আপনার {{brand}} অর্ডার #{{orderNumber}} ডেলিভারি হয়েছে। আমাদের সাথে কেনাকাটার জন্য ধন্যবাদ!",
+    },
+    return_approved: {
+      title: "রিটার্ন {{rma}} অনুমোদিত",
+      body: "প্রিয় {{name}}, অর্ডার #{{orderNumber}}-এর রিটার্ন {{rma}} অনুমোদিত হয়েছে। পিকআপের ব্যবস্থা করে আমরা আপনাকে জানাব।",
+    },
+    refund_processed: {
+      title: "{{amount}} রিফান্ড সম্পন্ন",
+      body: "প্রিয় {{name}}, অর্ডার #{{orderNumber}}-এর {{amount}} রিফান্ড {{destination}} পাঠানো হয়েছে।",
+    },
+  },
+};
+
+/** "bn", "bn-BD", an Accept-Language header… → "bn" | "en" (default when unknown). */
+export function resolveMessageLocale(input) {
+  const tag = String(input || "").split(",")[0].trim().toLowerCase().slice(0, 2);
+  return MESSAGE_LOCALES.includes(tag) ? tag : DEFAULT_LOCALE;
+}
+
+function money(amount, currency) {
+  const n = Number(amount || 0).toLocaleString("en-IN", { maximumFractionDigits: 2 });
+  return !currency || currency === "BDT" ? `৳${n}` : `${currency} ${n}`;
+}
+
+/**
+ * Queue the `event` message for an order's customer. `key` makes it once-only
+ * (defaults to the order; pass the shipment / return / refund id for events
+ * that can happen more than once per order). `variables` fill event-specific
+ * placeholders: courier, rma, amount (a number, formatted in the order's
+ * currency), destination ("WALLET" or "PAYMENT").
+ *
+ * Never throws — a messaging problem must not fail the flow that triggered
+ * it. → the Notification rows queued, or null.
+ */
+export async function sendCustomerMessage(event, { orderId, key = null, variables = {} } = {}) {
+  try {
+    const def = CUSTOMER_MESSAGES[event];
+    if (!def) throw new Error(`UNKNOWN_CUSTOMER_MESSAGE:${event}`);
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        orderNumber: true,
+        userId: true,
+        currency: true,
+        grandTotal: true,
+        metadata: true,
+        user: { select: { name: true, phone: true } },
+        shippingAddress: { select: { phone: true } },
+      },
+    });
+    if (!order) return null;
+    const phone = order.metadata?.contactPhone || order.user?.phone || order.shippingAddress?.phone || null;
+    if (!phone) return null;
+
+    const messageKey = `${event}:${key || order.id}`;
+    const sent = await prisma.notification.findFirst({
+      where: { orderId: order.id, type: def.type, data: { path: ["messageKey"], equals: messageKey } },
+      select: { id: true },
+    });
+    if (sent) return null;
+
+    const locale = resolveMessageLocale(order.metadata?.locale);
+    const copy = COPY[locale];
+    const cod = !!order.metadata?.isCod;
+    const vars = {
+      brand: BRAND_NAME,
+      name: order.metadata?.contactName || order.user?.name || copy.customer,
+      orderNumber: order.orderNumber,
+      total: money(order.grandTotal, order.currency),
+      trackingUrl: `${BRAND_URL}/track?order=${order.orderNumber}`,
+      courier: copy.courier,
+      ...variables,
+    };
+    if (typeof variables.amount === "number") vars.amount = money(variables.amount, order.currency);
+    vars.codNote = cod ? renderTemplate(copy.codNote, { codAmount: money(order.grandTotal, order.currency) }) : "";
+    vars.destination = renderTemplate(vars.destination === "WALLET" ? copy.toWallet : copy.toPayment, vars);
+
+    const templateKey = `${event}.${locale}`;
+    const templates = await prisma.notificationTemplate.findMany({
+      where: { key: templateKey, channel: { in: ["SMS", "WHATSAPP"] } },
+    });
+    const smsTpl = templates.find((t) => t.channel === "SMS");
+    const waTpl = templates.find((t) => t.channel === "WHATSAPP" && t.enabled && t.whatsappTemplate);
+    const useWhatsApp = !!waTpl && whatsAppProvider() === "WA_CLOUD";
+
+    const title = renderTemplate(smsTpl?.subject ?? copy[event].title, vars);
+    const body = renderTemplate(smsTpl?.bodyText ?? copy[event].body, vars);
+    const base = {
+      userId: order.userId || null,
+      type: def.type,
+      templateKey,
+      variables: vars,
+      title: copy[event].title,
+      body: copy[event].body,
+      to: phone,
+      orderId: order.id,
+    };
+    const data = { messageKey, event, locale };
+
+    const rows = [];
+    if (useWhatsApp) {
+      const smsOff = !!smsTpl && !smsTpl.enabled;
+      rows.push(
+        ...(await notify({
+          ...base,
+          channels: ["WHATSAPP"],
+          data: {
+            ...data,
+            whatsappTemplate: {
+              name: waTpl.whatsappTemplate,
+              language: WHATSAPP_LANGUAGE[locale],
+              // WhatsApp refuses empty parameters
+              params: def.params.map((p) => String(vars[p] ?? "").trim() || "-"),
+            },
+            // COD orders get the SMS regardless (below), so there is nothing to fall back to
+            fallback: cod || smsOff ? null : { channel: "SMS", title, body, data },
+          },
+        }))
+      );
+    }
+    if (!useWhatsApp || cod) rows.push(...(await notify({ ...base, channels: ["SMS"], data })));
+    return rows;
+  } catch (err) {
+    console.error("[customer-messages] %s for order %s failed:", event, orderId, err?.message || err);
+    return null;
+  }
+}
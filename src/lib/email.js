@@ -331,6 +331,43 @@ export async function sendOrderConfirmation({
   return sendWithFailover(mail);
 }
 
+/**
+ * Templated message from the notification dispatcher (lib/notifications.js).
+ * `seed` (the Notification id) keeps the Message-ID stable across retries.
+ * Resolves to { provider: "SMTP" | "RESEND", messageId }.
+ */
+export async function sendNotificationEmail({ to, subject, text, html, type, seed }) {
+  requireFromAddr();
+
+  const alignedDomain = domainOf(FROM_ADDR);
+  const messageId = makeMessageId(alignedDomain, seed ? `notification:${seed}` : null);
+
+  const mail = {
+    from: `${BRAND_NAME} <${FROM_ADDR}>`,
+    sender: FROM_ADDR,
+    to,
+    subject: subject || BRAND_NAME,
+    text: text || undefined,
+    html: html || undefined,
+    envelope: { from: RETURN_PATH, to },
+    headers: {
+      "X-TDLC-Mail-Purpose": "transactional",
+      "X-TDLC-Type": String(type || "notification").toLowerCase(),
+      "X-TDLC-Brand": BRAND_NAME,
+      "Auto-Submitted": "auto-generated",
+      "List-Unsubscribe": `<mailto:unsubscribe@${alignedDomain}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+    replyTo: SUPPORT_ADDRESS,
+    messageId,
+  };
+
+  const info = await sendWithFailover(mail);
+  // nodemailer answers with { messageId }, the Resend API with { id }
+  if (info?.id && !info?.messageId) return { provider: "RESEND", messageId: String(info.id) };
+  return { provider: "SMTP", messageId: info?.messageId || messageId };
+}
+
 // Optional export to keep wording consistent across the app
 export const purposeLabel = (key) => {
   const k = String(key || "").toLowerCase().trim();
@@ -0,0 +1,387 @@
+// PATH: src/lib/exchanges.js
+// Exchange fulfilment: approving an ExchangeRequest ships the wanted
+// size / colour as a linked replacement order.
+//
+//   REQUESTED ──approve──▶ APPROVED (replacement order placed) ──fulfilled──▶ FULFILLED
+//       └──deny──▶ DENIED
+//
+// The returned lines are credited at what the customer paid for them; the
+// replacement lines are priced as today. The replacement order carries the
+// credit as its discount, so it totals 0 or the price difference. Settlement:
+//   difference > 0  WALLET  → paid from store credit at approval
+//                   GATEWAY → left outstanding on the replacement order (pay link / COD)
+//   difference < 0  WALLET  → store credit, processed at approval
+//                   GATEWAY → refund on the original order's payment (lib/refunds.js)
+import prisma from "@/lib/prisma";
+import { recomputeVariantStock } from "@/lib/inventory";
+import { allocateOrder } from "@/lib/inventory/allocation";
+import { resolveVariantPrices } from "@/lib/price-books";
+import { createRefunds, processRefund, refundableSummary } from "@/lib/refunds";
+import { recomputeOrderPaymentStatus } from "@/lib/payments/gateway";
+import { applyOrderEvent, runOrderEffects } from "@/lib/order-transitions";
+import { queueLedgerPosting } from "@/lib/ledger";
+import { emitWebhookEvent, orderWebhookData } from "@/lib/webhooks";
+import { enqueue } from "@/lib/queue";
+
+export const EXCHANGE_SETTLEMENTS = ["WALLET", "GATEWAY"];
+
+const cents = (v) => Math.round(Number(v || 0) * 100);
+const money = (c) => Number((c / 100).toFixed(2));
+
+function exchangeError(code, status = 400, extra = {}) {
+  const err = new Error(code);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+const ORDER_LINK = {
+  select: {
+    id: true,
+    orderNumber: true,
+    status: true,
+    paymentStatus: true,
+    fulfillmentStatus: true,
+    grandTotal: true,
+  },
+};
+
+export const EXCHANGE_INCLUDE = {
+  order: ORDER_LINK,
+  replacementOrder: ORDER_LINK,
+  lines: {
+    include: {
+      fromOrderItem: {
+        select: { id: true, title: true, sku: true, variantId: true, quantity: true, total: true },
+      },
+      toVariant: {
+        select: { id: true, sku: true, title: true, sizeName: true, colorName: true, backorderAllowed: true },
+      },
+    },
+    orderBy: { id: "asc" },
+  },
+};
+
+export function loadExchange(id, db = prisma) {
+  return db.exchangeRequest.findUnique({ where: { id }, include: EXCHANGE_INCLUDE });
+}
+
+/**
+ * Credit for the returned units vs. today's price of the replacements.
+ * → { currency, lines: [{ lineId, quantity, credit, price }], credit, price, difference }
+ */
+export async function quoteExchange(ex, db = prisma) {
+  const original = await db.order.findUnique({ where: { id: ex.orderId }, select: { currency: true } });
+  const currency = original?.currency || "BDT";
+  const prices = await resolveVariantPrices(
+    ex.lines.map((l) => l.toVariantId),
+    { currency, db }
+  );
+
+  const lines = ex.lines.map((l) => {
+    const from = l.fromOrderItem;
+    const paidUnit = from?.quantity > 0 ? cents(from.total) / from.quantity : 0;
+    const credit = Math.round(paidUnit * l.quantity);
+    // a variant without a price of its own swaps at the price paid
+    const unit = prices.get(l.toVariantId);
+    const price = unit ? cents(unit.amount) * l.quantity : credit;
+    return { lineId: l.id, quantity: l.quantity, credit, price };
+  });
+  const credit = lines.reduce((s, l) => s + l.credit, 0);
+  const price = lines.reduce((s, l) => s + l.price, 0);
+
+  return {
+    currency,
+    lines: lines.map((l) => ({ ...l, credit: money(l.credit), price: money(l.price) })),
+    credit: money(credit),
+    price: money(price),
+    difference: money(price - credit),
+  };
+}
+
+/** Exchange with the quote, for the admin views. */
+export async function exchangeView(ex, db = prisma) {
+  if (!ex) return null;
+  return {
+    ...ex,
+    priceDifference: Number(ex.priceDifference),
+    quote: ex.status === "REQUESTED" ? await quoteExchange(ex, db) : null,
+  };
+}
+
+async function event(tx, orderId, kind, message, actorId, metadata) {
+  await tx.orderEvent.create({
+    data: { orderId, kind, message, metadata, actorId, actorRole: actorId ? "admin" : "system" },
+  });
+}
+
+/** Split `total` cents over lines in proportion to `weights` (remainder on the last line). */
+function spread(total, weights) {
+  const sum = weights.reduce((s, w) => s + w, 0);
+  let left = total;
+  return weights.map((w, i) => {
+    if (i === weights.length - 1) return left;
+    const part = sum ? Math.round((total * w) / sum) : 0;
+    left -= part;
+    return part;
+  });
+}
+
+async function payFromWallet(tx, { userId, order, amount, exchangeId, actorId }) {
+  const wallet = await tx.wallet.findUnique({ where: { userId }, select: { id: true } });
+  const { count } = wallet
+    ? await tx.wallet.updateMany({
+        where: { id: wallet.id, balance: { gte: money(amount) } },
+        data: { balance: { decrement: money(amount) } },
+      })
+    : { count: 0 };
+  if (!count) throw exchangeError("INSUFFICIENT_STORE_CREDIT", 422, { needed: money(amount) });
+
+  const txn = await tx.walletTransaction.create({
+    data: {
+      walletId: wallet.id,
+      delta: -money(amount),
+      reason: "EXCHANGE",
+      reference: order.id,
+      metadata: { exchangeId, orderNumber: order.orderNumber, actorId },
+    },
+  });
+  return tx.payment.create({
+    data: {
+      orderId: order.id,
+      provider: "MANUAL",
+      amount: money(amount),
+      currency: order.currency,
+      status: "PAID",
+      transactionId: txn.id,
+      message: "Paid from store credit (exchange price difference)",
+      rawPayload: { wallet: { walletId: wallet.id, transactionId: txn.id } },
+    },
+  });
+}
+
+/**
+ * Approve a requested exchange: place the replacement order (allocated, with
+ * its PENDING shipment) and settle the price difference `settlement`-wise.
+ * → exchange (EXCHANGE_INCLUDE) with `refunds` raised for a credit.
+ */
+export async function approveExchange({ id, settlement = "GATEWAY", actorId = null }) {
+  const how = String(settlement || "").toUpperCase();
+  if (!EXCHANGE_SETTLEMENTS.includes(how)) throw exchangeError("INVALID_SETTLEMENT", 400);
+
+  const ex = await loadExchange(id);
+  if (!ex) throw exchangeError("NOT_FOUND", 404);
+  if (ex.status !== "REQUESTED") throw exchangeError("INVALID_TRANSITION", 409, { current: ex.status });
+  if (!ex.lines.length) throw exchangeError("EXCHANGE_HAS_NO_LINES", 422);
+
+  const original = await prisma.order.findUnique({
+    where: { id: ex.orderId },
+    select: {
+      id: true,
+      orderNumber: true,
+      userId: true,
+      currency: true,
+      source: true,
+      shippingAddressId: true,
+      billingAddressId: true,
+      metadata: true,
+    },
+  });
+  const quote = await quoteExchange(ex);
+  const difference = cents(quote.difference);
+  const userId = original.userId || ex.userId || null;
+
+  // check the credit can be paid out before anything ships
+  if (difference !== 0 && how === "WALLET" && !userId) {
+    throw exchangeError("STORE_CREDIT_NEEDS_CUSTOMER_ACCOUNT", 422);
+  }
+  if (difference < 0 && how === "GATEWAY") {
+    const summary = await refundableSummary(original.id);
+    if (cents(summary?.refundable) < -difference) {
+      throw exchangeError("REFUND_EXCEEDS_PAID", 422, { refundable: summary?.refundable ?? 0 });
+    }
+  }
+
+  const md = original.metadata && typeof original.metadata === "object" ? original.metadata : {};
+  const actor = actorId ? { id: actorId, role: "admin" } : { role: "system" };
+  const { replacement, payment, paid, variantIds } = await prisma.$transaction(
+    async (tx) => {
+      const weights = quote.lines.map((l) => cents(l.price));
+      const subtotal = weights.reduce((s, w) => s + w, 0);
+      const discount = Math.min(cents(quote.credit), subtotal);
+      const discounts = spread(discount, weights);
+      const payable = subtotal - discount;
+
+      const replacement = await tx.order.create({
+        data: {
+          userId,
+          currency: original.currency,
+          status: "PLACED",
+          paymentStatus: "UNPAID",
+          fulfillmentStatus: "UNFULFILLED",
+          shippingAddressId: original.shippingAddressId,
+          billingAddressId: original.billingAddressId,
+          channel: "ADMIN",
+          source: original.source,
+          placedAt: new Date(),
+          subtotal: money(subtotal),
+          discountTotal: money(discount),
+          grandTotal: money(payable),
+          notes: `Exchange replacement for order #${original.orderNumber}`,
+          metadata: {
+            exchangeId: ex.id,
+            originalOrderId: original.id,
+            originalOrderNumber: original.orderNumber,
+            exchangeCredit: quote.credit,
+            priceDifference: quote.difference,
+            settlement: how,
+            paymentMethod: how === "WALLET" ? "wallet" : md.paymentMethod || null,
+            isCod: how === "GATEWAY" && payable > 0 ? !!md.isCod : false,
+            contactName: md.contactName || null,
+            contactPhone: md.contactPhone || null,
+            contactEmail: md.contactEmail || null,
+          },
+        },
+      });
+
+      const lines = [];
+      for (const [i, l] of ex.lines.entries()) {
+        const v = l.toVariant;
+        const item = await tx.orderItem.create({
+          data: {
+            orderId: replacement.id,
+            variantId: v.id,
+            title: v.title || l.fromOrderItem?.title || v.sku || null,
+            sku: v.sku || null,
+            quantity: l.quantity,
+            unitPrice: money(Math.round(weights[i] / l.quantity)),
+            subtotal: money(weights[i]),
+            discountTotal: money(discounts[i]),
+            total: money(weights[i] - discounts[i]),
+          },
+        });
+        lines.push({ orderItemId: item.id, variantId: v.id, quantity: l.quantity, backorderAllowed: !!v.backorderAllowed });
+      }
+
+      const allocation = await allocateOrder(tx, { orderId: replacement.id, lines });
+      for (const variantId of new Set(lines.map((l) => l.variantId))) await recomputeVariantStock(tx, variantId);
+
+      const payment =
+        payable > 0 && how === "WALLET"
+          ? await payFromWallet(tx, { userId, order: replacement, amount: payable, exchangeId: ex.id, actorId })
+          : null;
+      // Paid through the order lifecycle (confirms the replacement): from its
+      // wallet payment, or outright when the credit covers it all.
+      const paid = payment
+        ? await recomputeOrderPaymentStatus(replacement.id, { db: tx, actor })
+        : payable === 0
+        ? await applyOrderEvent(tx, {
+            orderId: replacement.id,
+            event: "pay",
+            actor,
+            reason: "Covered by exchange credit",
+            metadata: { exchangeId: ex.id },
+          })
+        : null;
+
+      const { count } = await tx.exchangeRequest.updateMany({
+        where: { id: ex.id, status: "REQUESTED" },
+        data: {
+          status: "APPROVED",
+          replacementOrderId: replacement.id,
+          priceDifference: quote.difference,
+          settlement: how,
+          approvedAt: new Date(),
+          approvedById: actorId,
+        },
+      });
+      if (!count) throw exchangeError("INVALID_TRANSITION", 409, { current: ex.status });
+
+      const link = { exchangeId: ex.id, originalOrderId: original.id, replacementOrderId: replacement.id };
+      await event(
+        tx,
+        original.id,
+        "RER_EXCHANGE_STATUS",
+        `Exchange approved → replacement order #${replacement.orderNumber}`,
+        actorId,
+        { ...link, status: "APPROVED", action: "approve", priceDifference: quote.difference, settlement: how }
+      );
+      await event(
+        tx,
+        replacement.id,
+        "CREATED",
+        `Replacement for order #${original.orderNumber} (exchange)`,
+        actorId,
+        { ...link, shipments: allocation.shipments.map((s) => s.id), paymentId: payment?.id || null }
+      );
+
+      return { replacement: paid?.order || replacement, payment, paid, variantIds: allocation.variantIds };
+    },
+    { maxWait: 20000, timeout: 20000 }
+  );
+
+  let refunds = [];
+  if (difference < 0) {
+    ({ items: refunds } = await createRefunds({
+      orderId: original.id,
+      amount: money(-difference),
+      method: how === "WALLET" ? "STORE_CREDIT" : "ORIGINAL",
+      reason: `Exchange price difference (replacement #${replacement.orderNumber})`,
+      idempotencyKey: `exchange:${ex.id}`,
+      actorId,
+    }));
+    // store credit is ours to give; gateway refunds wait for finance in the Refunds tab
+    if (how === "WALLET") {
+      for (const r of refunds) await processRefund({ id: r.id, actorId });
+    }
+  }
+
+  await emitWebhookEvent("order.placed", { ...orderWebhookData(replacement), exchangeId: ex.id });
+  await runOrderEffects(paid);
+  await queueLedgerPosting("ORDER", replacement.id);
+  if (payment) await queueLedgerPosting("PAYMENT", payment.id);
+  if (variantIds.length) {
+    try {
+      await enqueue("strapi.inventory-sync", {}, { queue: "strapi", dedupeKey: "strapi.inventory-sync" });
+    } catch (err) {
+      console.error("[exchanges] could not queue inventory sync:", err?.message || err);
+    }
+  }
+
+  return { ...(await loadExchange(id)), refunds };
+}
+
+export async function denyExchange({ id, actorId = null }) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.exchangeRequest.updateMany({ where: { id, status: "REQUESTED" }, data: { status: "DENIED" } });
+    const ex = await loadExchange(id, tx);
+    if (!ex) throw exchangeError("NOT_FOUND", 404);
+    if (!count) throw exchangeError("INVALID_TRANSITION", 409, { current: ex.status });
+    await event(tx, ex.orderId, "RER_EXCHANGE_STATUS", "RER_EXCHANGE_STATUS:DENIED", actorId, {
+      exchangeId: id,
+      status: "DENIED",
+      action: "deny",
+    });
+    return ex;
+  });
+}
+
+/** Close an approved exchange once its replacement has gone out. */
+export async function fulfillExchange({ id, actorId = null }) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.exchangeRequest.updateMany({
+      where: { id, status: "APPROVED" },
+      data: { status: "FULFILLED", fulfilledAt: new Date() },
+    });
+    const ex = await loadExchange(id, tx);
+    if (!ex) throw exchangeError("NOT_FOUND", 404);
+    if (!count) throw exchangeError("INVALID_TRANSITION", 409, { current: ex.status });
+    await event(tx, ex.orderId, "RER_EXCHANGE_STATUS", "RER_EXCHANGE_STATUS:FULFILLED", actorId, {
+      exchangeId: id,
+      status: "FULFILLED",
+      action: "fulfilled",
+      replacementOrderId: ex.replacementOrderId,
+    });
+    return ex;
+  });
+}
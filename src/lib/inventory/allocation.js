@@ -0,0 +1,381 @@
+// PATH: src/lib/inventory/allocation.js
+// Multi-warehouse allocation: which InventoryItem rows an order's units come
+// from, and how the order splits into Shipments (one per warehouse).
+//
+// Warehouses are ranked by whether they serve the customer's shipping zone
+// (Warehouse.serviceZones), then `priority` (lower first), then code. An order
+// ships whole from the first ranked warehouse that can cover every line; when
+// none can, the warehouse covering the most remaining units is taken next
+// until the order is covered — as few parcels as possible, local first.
+import prisma from "@/lib/prisma";
+import { recomputeVariantStock } from "@/lib/inventory";
+
+const n = (v) => {
+  const x = Number(v ?? 0);
+  return Number.isFinite(x) ? x : 0;
+};
+
+/** Units a warehouse row can give: onHand − reserved − safetyStock (never negative). */
+export function allocatableQty(inv) {
+  return Math.max(0, n(inv?.onHand) - n(inv?.reserved) - n(inv?.safetyStock));
+}
+
+/** Sort warehouses for allocation; each gets `local` = serves the zone. */
+export function rankWarehouses(warehouses, zoneId = null) {
+  return (warehouses || [])
+    .map((w) => ({ ...w, local: !!zoneId && (w.serviceZones || []).some((z) => z.id === zoneId) }))
+    .sort(
+      (a, b) =>
+        Number(b.local) - Number(a.local) ||
+        n(a.priority) - n(b.priority) ||
+        String(a.code).localeCompare(String(b.code))
+    );
+}
+
+/** ACTIVE, non-archived warehouses in allocation order. */
+export async function allocatableWarehouses({ zoneId = null, db = prisma } = {}) {
+  const rows = await db.warehouse.findMany({
+    where: { status: "ACTIVE", archivedAt: null },
+    select: { id: true, code: true, name: true, priority: true, serviceZones: { select: { id: true } } },
+  });
+  return rankWarehouses(rows, zoneId);
+}
+
+/**
+ * Plan (no writes) where each line's units come from.
+ * lines: [{ key, variantId, quantity }]
+ * → {
+ *     groups:     [{ warehouse, lines: [{ key, variantId, inventoryItemId, quantity }] }],
+ *     shortfalls: [{ key, variantId, quantity }]   // units no warehouse has
+ *     untracked:  [{ key, variantId, quantity }]   // variants with no InventoryItem at all
+ *     warehouses: ranked warehouse list
+ *   }
+ */
+export async function planAllocation({ lines, zoneId = null, db = prisma }) {
+  const wanted = (lines || []).filter((l) => l.variantId && n(l.quantity) > 0);
+  const warehouses = await allocatableWarehouses({ zoneId, db });
+  const variantIds = [...new Set(wanted.map((l) => l.variantId))];
+
+  const rows = variantIds.length
+    ? await db.inventoryItem.findMany({ where: { variantId: { in: variantIds } } })
+    : [];
+  const tracked = new Set(rows.map((r) => r.variantId));
+
+  // warehouseId → variantId → { inventoryItemId, free }
+  const stock = new Map(warehouses.map((w) => [w.id, new Map()]));
+  // a row being counted (stock-take) gives nothing until the take closes
+  for (const r of rows) {
+    stock.get(r.warehouseId)?.set(r.variantId, { inventoryItemId: r.id, free: r.frozenByTakeId ? 0 : allocatableQty(r) });
+  }
+
+  const untracked = wanted.filter((l) => !tracked.has(l.variantId)).map((l) => ({ ...l }));
+  let remaining = wanted.filter((l) => tracked.has(l.variantId)).map((l) => ({ ...l, quantity: n(l.quantity) }));
+
+  // units of a variant asked for by earlier lines still come out of the same row
+  const canCover = (w, ls) => {
+    const free = new Map();
+    for (const l of ls) {
+      const row = stock.get(w.id).get(l.variantId);
+      const left = free.has(l.variantId) ? free.get(l.variantId) : row?.free || 0;
+      if (left < l.quantity) return false;
+      free.set(l.variantId, left - l.quantity);
+    }
+    return true;
+  };
+  const coverable = (w, ls) => {
+    const free = new Map();
+    let units = 0;
+    for (const l of ls) {
+      const row = stock.get(w.id).get(l.variantId);
+      const left = free.has(l.variantId) ? free.get(l.variantId) : row?.free || 0;
+      const take = Math.min(left, l.quantity);
+      free.set(l.variantId, left - take);
+      units += take;
+    }
+    return units;
+  };
+  const take = (w, ls) => {
+    const group = { warehouse: w, lines: [] };
+    for (const l of ls) {
+      const row = stock.get(w.id).get(l.variantId);
+      const q = Math.min(row?.free || 0, l.quantity);
+      if (q <= 0) continue;
+      row.free -= q;
+      l.quantity -= q;
+      group.lines.push({ key: l.key, variantId: l.variantId, inventoryItemId: row.inventoryItemId, quantity: q });
+    }
+    return group;
+  };
+
+  const groups = [];
+  const whole = remaining.length ? warehouses.find((w) => canCover(w, remaining)) : null;
+  if (whole) {
+    groups.push(take(whole, remaining));
+    remaining = [];
+  }
+  while (remaining.length) {
+    let best = null;
+    let bestUnits = 0;
+    for (const w of warehouses) {
+      if (groups.some((g) => g.warehouse.id === w.id)) continue;
+      const units = coverable(w, remaining);
+      if (units > bestUnits) {
+        best = w;
+        bestUnits = units;
+      }
+    }
+    if (!best) break;
+    groups.push(take(best, remaining));
+    remaining = remaining.filter((l) => l.quantity > 0);
+  }
+
+  return { groups, shortfalls: remaining, untracked, warehouses, rows };
+}
+
+function allocationError(code, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = 409;
+  Object.assign(e, extra);
+  return e;
+}
+
+/**
+ * Allocate a freshly created order inside the checkout transaction: take the
+ * units off the chosen InventoryItem rows (StockMovement OUT) and create one
+ * PENDING Shipment per warehouse with its ShipmentItems.
+ *
+ * lines: [{ orderItemId, variantId, quantity, backorderAllowed }]
+ * Units no warehouse has fail with INSUFFICIENT_STOCK unless the variant allows
+ * backorders (then they go to the best ranked warehouse stocking it, onHand
+ * going negative). Variants without any InventoryItem row ride along in the
+ * first shipment; their stock is the caller's business (stockAvailable).
+ * → { shipments, split, shortfalls, variantIds }  (variantIds: rows that moved)
+ */
+export async function allocateOrder(tx, { orderId, lines, zoneId = null }) {
+  const byKey = new Map(lines.map((l) => [l.orderItemId, l]));
+  const plan = await planAllocation({
+    lines: lines.map((l) => ({ key: l.orderItemId, variantId: l.variantId, quantity: l.quantity })),
+    zoneId,
+    db: tx,
+  });
+
+  for (const s of plan.shortfalls) {
+    if (!byKey.get(s.key)?.backorderAllowed) {
+      throw allocationError("INSUFFICIENT_STOCK", { variantId: s.variantId, missing: s.quantity });
+    }
+    const home = plan.warehouses
+      .map((w) => ({ w, row: plan.rows.find((r) => r.warehouseId === w.id && r.variantId === s.variantId) }))
+      .find((x) => x.row);
+    if (!home) throw allocationError("INSUFFICIENT_STOCK", { variantId: s.variantId, missing: s.quantity });
+    let group = plan.groups.find((g) => g.warehouse.id === home.w.id);
+    if (!group) plan.groups.push((group = { warehouse: home.w, lines: [] }));
+    group.lines.push({ key: s.key, variantId: s.variantId, inventoryItemId: home.row.id, quantity: s.quantity });
+  }
+
+  if (plan.untracked.length) {
+    if (!plan.groups.length) plan.groups.push({ warehouse: null, lines: [] });
+    plan.groups[0].lines.push(...plan.untracked.map((u) => ({ ...u, inventoryItemId: null })));
+  }
+
+  const touched = new Set();
+  const shipments = [];
+  for (const g of plan.groups) {
+    for (const l of g.lines) {
+      if (!l.inventoryItemId) continue;
+      const row = plan.rows.find((r) => r.id === l.inventoryItemId);
+      await tx.inventoryItem.update({
+        where: { id: l.inventoryItemId },
+        data: {
+          onHand: { decrement: l.quantity },
+          reserved: Math.max(0, n(row?.reserved) - l.quantity),
+        },
+      });
+      if (row) row.reserved = Math.max(0, n(row.reserved) - l.quantity);
+      await tx.stockMovement.create({
+        data: {
+          inventoryItemId: l.inventoryItemId,
+          type: "OUT",
+          quantity: l.quantity,
+          reason: "ORDER_ALLOCATED",
+          reference: orderId,
+        },
+      });
+      touched.add(l.variantId);
+    }
+
+    const shipment = await tx.shipment.create({
+      data: {
+        orderId,
+        warehouseId: g.warehouse?.id || null,
+        status: "PENDING",
+        items: {
+          create: g.lines.map((l) => ({
+            orderItemId: l.key,
+            inventoryItemId: l.inventoryItemId,
+            quantity: l.quantity,
+          })),
+        },
+      },
+    });
+    shipments.push({ ...shipment, warehouseCode: g.warehouse?.code || null, units: g.lines.reduce((a, l) => a + l.quantity, 0) });
+  }
+
+  if (shipments.length) {
+    await tx.orderEvent.create({
+      data: {
+        orderId,
+        kind: "ALLOCATED",
+        message:
+          shipments.length > 1
+            ? `Split into ${shipments.length} shipments (${shipments.map((s) => s.warehouseCode || "—").join(", ")})`
+            : `Allocated to ${shipments[0].warehouseCode || "default stock"}`,
+        metadata: {
+          zoneId,
+          shipments: shipments.map((s) => ({ shipmentId: s.id, warehouseCode: s.warehouseCode, units: s.units })),
+          backordered: plan.shortfalls.map((s) => ({ orderItemId: s.key, quantity: s.quantity })),
+        },
+        actorRole: "system",
+      },
+    });
+  }
+
+  return { shipments, split: shipments.length > 1, shortfalls: plan.shortfalls, variantIds: [...touched] };
+}
+
+/**
+ * Cancelled order: put its units back on the rows they were allocated from and
+ * withdraw the shipments not yet handed to a courier. Lines without
+ * allocation (orders placed before it existed) go back to their variant's first
+ * row, or to stockAvailable when it has none. → true when any stock moved.
+ */
+export async function releaseOrderStock(tx, orderId) {
+  const items = await tx.orderItem.findMany({
+    where: { orderId, variantId: { not: null } },
+    select: {
+      id: true,
+      variantId: true,
+      quantity: true,
+      // cancel is only legal while nothing has shipped, so every allocated unit is still on the shelf
+      shipmentItems: { select: { inventoryItemId: true, quantity: true } },
+    },
+  });
+
+  const putBack = async (inventoryItemId, variantId, qty) => {
+    await tx.inventoryItem.update({ where: { id: inventoryItemId }, data: { onHand: { increment: qty } } });
+    await tx.stockMovement.create({
+      data: { inventoryItemId, type: "IN", quantity: qty, reason: "ORDER_CANCELLED", reference: orderId },
+    });
+    await recomputeVariantStock(tx, variantId);
+  };
+
+  let moved = false;
+  for (const it of items) {
+    if (it.shipmentItems.length) {
+      for (const si of it.shipmentItems) {
+        if (!si.inventoryItemId || si.quantity <= 0) continue;
+        await putBack(si.inventoryItemId, it.variantId, si.quantity);
+        moved = true;
+      }
+      continue;
+    }
+
+    const qty = n(it.quantity);
+    if (qty <= 0) continue;
+    const inv = await tx.inventoryItem.findFirst({ where: { variantId: it.variantId }, orderBy: { id: "asc" } });
+    if (inv) {
+      await putBack(inv.id, it.variantId, qty);
+    } else {
+      await tx.productVariant.update({ where: { id: it.variantId }, data: { stockAvailable: { increment: qty } } });
+    }
+    moved = true;
+  }
+
+  await tx.shipment.updateMany({ where: { orderId, status: "PENDING" }, data: { status: "CANCELLED" } });
+  return moved;
+}
+
+/**
+ * Pick lists: what each warehouse has to pull off the shelves for shipments
+ * still PENDING (allocated, not yet booked with a courier).
+ * → [{ warehouse, shipments, units, lines: [{ variantId, sku, title, quantity, orders: [orderNumber] }] }]
+ */
+export async function pickLists({ warehouseId = null, db = prisma } = {}) {
+  const shipments = await db.shipment.findMany({
+    where: {
+      status: "PENDING",
+      order: { status: { in: ["PLACED", "CONFIRMED"] } },
+      ...(warehouseId ? { warehouseId } : {}),
+    },
+    include: {
+      warehouse: { select: { id: true, code: true, name: true } },
+      order: { select: { id: true, orderNumber: true, status: true } },
+      items: { include: { orderItem: { select: { variantId: true, sku: true, title: true } } } },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const lists = new Map();
+  for (const s of shipments) {
+    const key = s.warehouseId || "none";
+    if (!lists.has(key)) {
+      lists.set(key, { warehouse: s.warehouse || null, shipments: [], units: 0, lines: new Map() });
+    }
+    const list = lists.get(key);
+    list.shipments.push({ id: s.id, orderId: s.order.id, orderNumber: s.order.orderNumber, orderStatus: s.order.status });
+    for (const it of s.items) {
+      const v = it.orderItem;
+      const lineKey = v.variantId || v.sku || it.orderItemId;
+      if (!list.lines.has(lineKey)) {
+        list.lines.set(lineKey, { variantId: v.variantId, sku: v.sku, title: v.title, quantity: 0, orders: [] });
+      }
+      const line = list.lines.get(lineKey);
+      line.quantity += it.quantity;
+      if (!line.orders.includes(s.order.orderNumber)) line.orders.push(s.order.orderNumber);
+      list.units += it.quantity;
+    }
+  }
+
+  return [...lists.values()].map((l) => ({
+    ...l,
+    lines: [...l.lines.values()].sort((a, b) => String(a.sku || "").localeCompare(String(b.sku || ""))),
+  }));
+}
+
+/* ---------------- admin payloads ---------------- */
+
+export const WAREHOUSE_STATUSES = ["ACTIVE", "INACTIVE"];
+
+/** Validate an admin Warehouse payload → [data, error]. */
+export function parseWarehouse(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body?.name !== undefined) {
+    const name = String(body?.name || "").trim();
+    if (!name) return [null, "NAME_REQUIRED"];
+    data.name = name;
+  }
+  if (!partial || body?.code !== undefined) {
+    const code = String(body?.code || "").trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{2,20}$/.test(code)) return [null, "INVALID_CODE"];
+    data.code = code;
+  }
+  if (body?.priority !== undefined) {
+    const p = Number(body.priority);
+    if (!Number.isInteger(p)) return [null, "INVALID_PRIORITY"];
+    data.priority = p;
+  }
+  if (body?.status !== undefined) {
+    const status = String(body.status || "").trim().toUpperCase();
+    if (!WAREHOUSE_STATUSES.includes(status)) return [null, "INVALID_STATUS"];
+    data.status = status;
+  }
+  if (body?.serviceZoneIds !== undefined) {
+    if (!Array.isArray(body.serviceZoneIds)) return [null, "INVALID_SERVICE_ZONES"];
+    const ids = [...new Set(body.serviceZoneIds.map((x) => String(x || "").trim()).filter(Boolean))];
+    // create connects, update replaces the set
+    data.serviceZones = { [partial ? "set" : "connect"]: ids.map((id) => ({ id })) };
+  }
+
+  return [data, null];
+}
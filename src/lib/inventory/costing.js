@@ -0,0 +1,204 @@
+// PATH: src/lib/inventory/costing.js
+// Batch costing: which InventoryBatch lines an order's sold units came out of,
+// and the COGS frozen on each OrderItem (costChosen / costSource / batchId).
+//
+// Runs when an order is (partially) fulfilled. FIFO draws the oldest received
+// batch first and charges each unit that batch's cost (unitCogs + unitOverhead);
+// WEIGHTED_AVERAGE draws batches in the same order — so remaining quantities stay
+// traceable — but charges the average cost of every open batch of the variant.
+// Units no batch covers (stock that predates purchase orders) fall back to the
+// CostSnapshot in force. Returns put units back into the batches they came from,
+// newest draw first.
+import prisma from "@/lib/prisma";
+
+export const COSTING_METHODS = ["FIFO", "WEIGHTED_AVERAGE"];
+
+const SOURCE = { FIFO: "BATCH_FIFO", WEIGHTED_AVERAGE: "BATCH_AVERAGE" };
+
+const cents = (v) => Math.round(Number(v || 0) * 100);
+const money = (c) => Number((c / 100).toFixed(2));
+
+/** Method from AppSetting "costing" ({ method }), else env COSTING_METHOD, else FIFO. */
+export async function costingMethod(db = prisma) {
+  const s = await db.appSetting.findUnique({ where: { key: "costing" } }).catch(() => null);
+  const m = String(s?.value?.method || process.env.COSTING_METHOD || "").toUpperCase();
+  return COSTING_METHODS.includes(m) ? m : "FIFO";
+}
+
+export const batchUnitCents = (line) => cents(line.unitCogs) + cents(line.unitOverhead);
+export const remainingQty = (line) => Math.max(0, line.quantityIn - line.quantityConsumed);
+
+/** Batch lines of a variant with units left, oldest receipt first. */
+async function openLines(tx, variantId) {
+  const lines = await tx.inventoryBatchLine.findMany({
+    where: { variantId },
+    include: { batch: { select: { id: true, receivedAt: true, createdAt: true } } },
+  });
+  const at = (l) => new Date(l.batch.receivedAt || l.batch.createdAt).getTime();
+  return lines
+    .filter((l) => remainingQty(l) > 0)
+    .sort((a, b) => at(a) - at(b) || new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+}
+
+/**
+ * Take up to `want` units from a line. The guard on quantityConsumed keeps two
+ * concurrent fulfilments from over-drawing it; the loser re-reads and takes what is left.
+ */
+async function draw(tx, line, want) {
+  let cur = line;
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const take = Math.min(want, remainingQty(cur));
+    if (take <= 0) return 0;
+    const { count } = await tx.inventoryBatchLine.updateMany({
+      where: { id: cur.id, quantityConsumed: { lte: cur.quantityIn - take } },
+      data: { quantityConsumed: { increment: take } },
+    });
+    if (count) return take;
+    cur = await tx.inventoryBatchLine.findUnique({ where: { id: cur.id } });
+    if (!cur) return 0;
+  }
+  return 0;
+}
+
+/** Cost one OrderItem; returns the update written, or null when nothing could be costed. */
+async function costItem(tx, item, method) {
+  const lines = await openLines(tx, item.variantId);
+  let avgCents = null;
+  if (method === "WEIGHTED_AVERAGE") {
+    const units = lines.reduce((s, l) => s + remainingQty(l), 0);
+    const value = lines.reduce((s, l) => s + remainingQty(l) * batchUnitCents(l), 0);
+    avgCents = units ? Math.round(value / units) : null;
+  }
+
+  let need = item.quantity;
+  let costCents = 0;
+  const parts = [];
+  for (const line of lines) {
+    if (need <= 0) break;
+    const took = await draw(tx, line, need);
+    if (!took) continue;
+    const unit = avgCents ?? batchUnitCents(line);
+    await tx.batchConsumption.create({
+      data: { batchLineId: line.id, orderItemId: item.id, quantity: took, unitCost: money(unit), method },
+    });
+    parts.push({ batchId: line.batchId, quantity: took });
+    costCents += unit * took;
+    need -= took;
+  }
+
+  let costedQty = item.quantity - need;
+  if (need > 0) {
+    const snap = await tx.costSnapshot.findFirst({
+      where: { variantId: item.variantId, createdAt: { lte: new Date() } },
+      orderBy: { createdAt: "desc" },
+    });
+    if (snap) {
+      costCents += cents(snap.cogsUnit) * need;
+      costedQty += need;
+    }
+  }
+  if (!costedQty) return null;
+
+  const main = parts.sort((a, b) => b.quantity - a.quantity)[0];
+  const data = {
+    costChosen: money(Math.round(costCents / costedQty)),
+    costSource: parts.length ? SOURCE[method] : "SNAPSHOT",
+    batchId: main?.batchId ?? null,
+  };
+  await tx.orderItem.update({ where: { id: item.id }, data });
+  return data;
+}
+
+/**
+ * Freeze COGS on an order's items that have none yet. With `shippedOnly`
+ * (partial fulfilment) only items on a shipment that has left the warehouse
+ * are costed; the rest wait for the next fulfilment event.
+ */
+export async function costOrderItems(tx, orderId, { shippedOnly = false } = {}) {
+  const items = await tx.orderItem.findMany({
+    where: { orderId, costChosen: null, variantId: { not: null }, batchConsumptions: { none: {} } },
+    select: {
+      id: true,
+      variantId: true,
+      quantity: true,
+      shipmentItems: { select: { shipment: { select: { status: true } } } },
+    },
+  });
+  const due = shippedOnly
+    ? items.filter((it) => it.shipmentItems.some((si) => !["PENDING", "CANCELLED"].includes(si.shipment.status)))
+    : items;
+  if (!due.length) return 0;
+
+  const method = await costingMethod(tx);
+  let costed = 0;
+  for (const it of due) {
+    if (it.quantity > 0 && (await costItem(tx, it, method))) costed += 1;
+  }
+  return costed;
+}
+
+/** Hand `quantity` units of an item back to their batches (newest draw first) → units reversed. */
+export async function reverseItemConsumption(tx, orderItemId, quantity) {
+  const draws = await tx.batchConsumption.findMany({ where: { orderItemId }, orderBy: { createdAt: "desc" } });
+  let left = quantity;
+  for (const c of draws) {
+    if (left <= 0) break;
+    const back = Math.min(left, c.quantity - c.reversedQty);
+    if (back <= 0) continue;
+    await tx.batchConsumption.update({ where: { id: c.id }, data: { reversedQty: { increment: back } } });
+    await tx.inventoryBatchLine.update({ where: { id: c.batchLineId }, data: { quantityConsumed: { decrement: back } } });
+    left -= back;
+  }
+  return quantity - left;
+}
+
+/** Whole order came back (RTO / fulfilment RETURNED): reverse every outstanding draw. */
+export async function reverseOrderConsumption(tx, orderId) {
+  const items = await tx.orderItem.findMany({ where: { orderId }, select: { id: true, quantity: true } });
+  let units = 0;
+  for (const it of items) units += await reverseItemConsumption(tx, it.id, it.quantity);
+  return units;
+}
+
+/**
+ * Reverse the lines of a return request once; later calls are no-ops. QC'd
+ * lines (lib/rma.js) hand back only their restocked units — written-off units
+ * stay consumed.
+ */
+export async function reverseReturnConsumption(tx, returnId) {
+  const lines = await tx.returnLine.findMany({
+    where: { returnId, costReversedAt: null },
+    select: { id: true, orderItemId: true, quantity: true, restockedQty: true, inspectedAt: true },
+  });
+  let units = 0;
+  for (const l of lines) {
+    const qty = l.inspectedAt ? l.restockedQty : l.quantity;
+    if (qty > 0) units += await reverseItemConsumption(tx, l.orderItemId, qty);
+    await tx.returnLine.update({ where: { id: l.id }, data: { costReversedAt: new Date() } });
+  }
+  return units;
+}
+
+/** Open batch lines with remaining units and their value, oldest first (stock valuation). */
+export async function batchValuation({ variantId = null, db = prisma } = {}) {
+  const lines = await db.inventoryBatchLine.findMany({
+    where: variantId ? { variantId } : {},
+    include: {
+      batch: { select: { id: true, code: true, source: true, receivedAt: true, createdAt: true } },
+      variant: { select: { id: true, sku: true, title: true } },
+    },
+  });
+  const at = (l) => new Date(l.batch.receivedAt || l.batch.createdAt).getTime();
+  return lines
+    .filter((l) => remainingQty(l) > 0)
+    .sort((a, b) => at(a) - at(b))
+    .map((l) => ({
+      batchLineId: l.id,
+      batch: l.batch,
+      variant: l.variant,
+      quantityIn: l.quantityIn,
+      remaining: remainingQty(l),
+      unitCost: money(batchUnitCents(l)),
+      value: money(batchUnitCents(l) * remainingQty(l)),
+    }));
+}
@@ -1,7 +1,8 @@
-// FILE: src/lib/reservations.js
-import prisma from "../prisma";
-import { recomputeVariantStock } from "./inventory";
-import { syncVariantStockToStrapiById } from "./strapi-stock";
+// FILE: src/lib/inventory/reservations.js
+import prisma from "@/lib/prisma";
+import { recomputeVariantStock } from "@/lib/inventory";
+import { syncVariantStockToStrapiById } from "@/lib/strapi-stock";
+import { planAllocation } from "@/lib/inventory/allocation";
 
 const n = (v) => {
   const x = Number(v ?? 0);
@@ -10,48 +11,76 @@ const n = (v) => {
 
 /**
  * Reserve stock against a cart item.
- * Ensures InventoryItem exists and has available qty (onHand - reserved - safetyStock).
+ * With `warehouseId` the units come from that warehouse's InventoryItem;
+ * without it they are spread over warehouses by lib/inventory/allocation
+ * (customer zone, then priority) — one reservation per row used.
+ * Available qty is onHand - reserved - safetyStock.
  */
 export async function reserveStock({
   variantId,
-  warehouseId,
+  warehouseId = null,
   quantity,
   cartItemId,
   expiresAt = null,
+  zoneId = null,
 }) {
   if (quantity <= 0) return;
 
   await prisma.$transaction(async (tx) => {
-    const inv = await tx.inventoryItem.findUnique({
-      where: { variantId_warehouseId: { variantId, warehouseId } },
-      select: { id: true, onHand: true, reserved: true, safetyStock: true },
-    });
+    let picks;
 
-    if (!inv) {
-      throw new Error("inventory_item_missing");
-    }
+    if (warehouseId) {
+      const inv = await tx.inventoryItem.findUnique({
+        where: { variantId_warehouseId: { variantId, warehouseId } },
+        select: { id: true, onHand: true, reserved: true, safetyStock: true },
+      });
+
+      if (!inv) {
+        throw new Error("inventory_item_missing");
+      }
+
+      const available =
+        n(inv.onHand) - n(inv.reserved) - n(inv.safetyStock || 0);
 
-    const available =
-      n(inv.onHand) - n(inv.reserved) - n(inv.safetyStock || 0);
+      if (available < quantity) {
+        throw new Error("insufficient_stock");
+      }
 
-    if (available < quantity) {
-      throw new Error("insufficient_stock");
+      picks = [{ inventoryItemId: inv.id, warehouseId, quantity }];
+    } else {
+      const plan = await planAllocation({
+        lines: [{ key: cartItemId, variantId, quantity }],
+        zoneId,
+        db: tx,
+      });
+      if (plan.untracked.length) throw new Error("inventory_item_missing");
+      if (plan.shortfalls.length) throw new Error("insufficient_stock");
+
+      picks = plan.groups.flatMap((g) =>
+        g.lines.map((l) => ({
+          inventoryItemId: l.inventoryItemId,
+          warehouseId: g.warehouse.id,
+          quantity: l.quantity,
+        }))
+      );
     }
 
-    await tx.inventoryItem.update({
-      where: { id: inv.id },
-      data: { reserved: n(inv.reserved) + quantity },
-    });
+    for (const p of picks) {
+      await tx.inventoryItem.update({
+        where: { id: p.inventoryItemId },
+        data: { reserved: { increment: p.quantity } },
+      });
 
-    await tx.stockReservation.create({
-      data: {
-        inventoryItemId: inv.id,
-        cartItemId,
-        quantity,
-        warehouseId,
-        expiresAt,
-      },
-    });
+      await tx.stockReservation.create({
+        data: {
+          inventoryItemId: p.inventoryItemId,
+          cartItemId,
+          quantity: p.quantity,
+          warehouseId: p.warehouseId,
+          expiresAt,
+        },
+      });
+    }
   });
 }
 
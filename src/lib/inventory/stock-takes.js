@@ -0,0 +1,360 @@
+// PATH: src/lib/inventory/stock-takes.js
+// Stock-takes / cycle counts.
+//
+//   start (rows frozen) ─▶ COUNTING ──submit──▶ SUBMITTED ──approve (someone else)──▶ APPROVED
+//                            ▲                      │
+//                            └──reject (recount)────┘          cancel from either ─▶ CANCELLED
+//
+// Starting a take snapshots InventoryItem.onHand for every row of the warehouse
+// (optionally one category and its sub-categories) and freezes those rows:
+// allocation skips them and manual moves, transfers and receipts are refused,
+// so the count is compared against a number that cannot drift. Counts are
+// typed or scanned (SKU / barcode, +1 per scan). Approval posts one ADJUST
+// movement per line with a variance and records its BDT value — the shrinkage
+// figure the inventory-aging report shows.
+import prisma from "@/lib/prisma";
+import { recomputeVariantStock } from "@/lib/inventory";
+import { enqueue } from "@/lib/queue";
+
+export const TAKE_OPEN = ["COUNTING", "SUBMITTED"];
+
+const cents = (v) => Math.round(Number(v || 0) * 100);
+const money = (c) => Number((c / 100).toFixed(2));
+
+export function takeNumber(number) {
+  return `ST-${String(number ?? "").padStart(6, "0")}`;
+}
+
+function takeError(code, status = 400, extra = {}) {
+  const err = new Error(code);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+export const TAKE_INCLUDE = {
+  warehouse: { select: { id: true, code: true, name: true } },
+  category: { select: { id: true, name: true } },
+  lines: {
+    include: { variant: { select: { id: true, sku: true, barcode: true, title: true, product: { select: { name: true } } } } },
+    orderBy: { id: "asc" },
+  },
+};
+
+export function loadStockTake(id, db = prisma) {
+  return db.stockTake.findUnique({ where: { id }, include: TAKE_INCLUDE });
+}
+
+/** Refuse a manual stock change on a row that is being counted. */
+export async function assertNotFrozen(db, where, sku = undefined) {
+  const row = await db.inventoryItem.findUnique({
+    where,
+    select: { frozenByTakeId: true, frozenByTake: { select: { number: true } } },
+  });
+  if (row?.frozenByTakeId) {
+    throw takeError("STOCK_FROZEN", 409, { sku, stockTake: takeNumber(row.frozenByTake?.number) });
+  }
+}
+
+/** Latest CostSnapshot cogsUnit per variant, in cents. */
+export async function latestUnitCosts(variantIds, db = prisma) {
+  const ids = [...new Set(variantIds)].filter(Boolean);
+  if (!ids.length) return new Map();
+  const snaps = await db.costSnapshot.findMany({
+    where: { variantId: { in: ids } },
+    select: { variantId: true, cogsUnit: true },
+    orderBy: { createdAt: "desc" },
+  });
+  const out = new Map();
+  for (const s of snaps) if (!out.has(s.variantId)) out.set(s.variantId, cents(s.cogsUnit));
+  return out;
+}
+
+/** A category and all of its descendants. */
+async function categoryTree(db, categoryId) {
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i += 1) {
+    const kids = await db.category.findMany({ where: { parentId: ids[i] }, select: { id: true } });
+    for (const k of kids) if (!ids.includes(k.id)) ids.push(k.id);
+  }
+  return ids;
+}
+
+const scopeWhere = (categoryIds) =>
+  categoryIds ? { product: { categories: { some: { categoryId: { in: categoryIds } } } } } : {};
+
+/** Validate a new take → [data, error]. */
+export function parseStockTake(body) {
+  const warehouseId = String(body?.warehouseId || "").trim();
+  if (!warehouseId) return [null, "WAREHOUSE_REQUIRED"];
+  const categoryId = body?.categoryId ? String(body.categoryId).trim() : null;
+  const note = body?.note ? String(body.note).trim().slice(0, 1000) : null;
+  return [{ warehouseId, categoryId, note }, null];
+}
+
+/** Open a take: snapshot and freeze the rows in scope. */
+export async function startStockTake({ warehouseId, categoryId = null, note = null, actorId = null }) {
+  const take = await prisma.$transaction(async (tx) => {
+    const w = await tx.warehouse.findUnique({ where: { id: warehouseId }, select: { archivedAt: true } });
+    if (!w || w.archivedAt) throw takeError("WAREHOUSE_NOT_FOUND", 404);
+    let categoryIds = null;
+    if (categoryId) {
+      if (!(await tx.category.findUnique({ where: { id: categoryId }, select: { id: true } }))) {
+        throw takeError("CATEGORY_NOT_FOUND", 404);
+      }
+      categoryIds = await categoryTree(tx, categoryId);
+    }
+
+    const rows = await tx.inventoryItem.findMany({
+      where: { warehouseId, variant: scopeWhere(categoryIds) },
+      select: { id: true, variantId: true, onHand: true, frozenByTakeId: true },
+    });
+    if (!rows.length) throw takeError("NOTHING_TO_COUNT", 400);
+    if (rows.some((r) => r.frozenByTakeId)) throw takeError("ALREADY_COUNTING", 409);
+
+    const created = await tx.stockTake.create({
+      data: {
+        warehouseId,
+        categoryId,
+        note,
+        createdById: actorId,
+        lines: {
+          create: rows.map((r) => ({ inventoryItemId: r.id, variantId: r.variantId, expectedQty: r.onHand })),
+        },
+      },
+    });
+    const { count } = await tx.inventoryItem.updateMany({
+      where: { id: { in: rows.map((r) => r.id) }, frozenByTakeId: null },
+      data: { frozenByTakeId: created.id },
+    });
+    if (count !== rows.length) throw takeError("ALREADY_COUNTING", 409);
+    return created;
+  });
+  return loadStockTake(take.id);
+}
+
+/**
+ * Enter counts. counts: [{ lineId | sku | barcode, countedQty } | { …, add }].
+ * `add` accumulates (one scan = add 1); a SKU in scope with no row at the
+ * warehouse (found stock) gets a frozen row and a line expecting 0.
+ */
+export async function recordCounts({ id, counts, actorId = null }) {
+  if (!Array.isArray(counts) || !counts.length) throw takeError("COUNTS_REQUIRED", 400);
+
+  await prisma.$transaction(async (tx) => {
+    const take = await loadStockTake(id, tx);
+    if (!take) throw takeError("NOT_FOUND", 404);
+    if (take.status !== "COUNTING") throw takeError("INVALID_STATUS", 409, { current: take.status });
+
+    const byId = new Map(take.lines.map((l) => [l.id, l]));
+    const byCode = new Map();
+    for (const l of take.lines) {
+      if (l.variant?.sku) byCode.set(l.variant.sku, l);
+      if (l.variant?.barcode) byCode.set(l.variant.barcode, l);
+    }
+    const categoryIds = take.categoryId ? await categoryTree(tx, take.categoryId) : null;
+    const now = new Date();
+
+    for (const c of counts) {
+      const code = String(c?.sku || c?.barcode || "").trim();
+      let line = c?.lineId ? byId.get(String(c.lineId)) : byCode.get(code);
+      if (!line && !c?.lineId && code) line = await addFoundLine(tx, take, code, categoryIds);
+      if (!line) throw takeError("UNKNOWN_LINE", 400, { sku: code || c?.lineId });
+
+      const add = c?.add == null || c.add === "" ? null : Number(c.add);
+      const set = c?.countedQty == null || c.countedQty === "" ? null : Number(c.countedQty);
+      const next = add != null ? (line.countedQty ?? 0) + add : set;
+      if (!Number.isInteger(next) || next < 0) throw takeError("INVALID_QUANTITY", 400, { sku: line.variant?.sku });
+
+      await tx.stockTakeLine.update({
+        where: { id: line.id },
+        data: {
+          countedQty: next,
+          countedAt: now,
+          countedById: actorId,
+          ...(c?.note !== undefined ? { note: c.note ? String(c.note).trim().slice(0, 500) : null } : {}),
+        },
+      });
+      line.countedQty = next;
+      byId.set(line.id, line);
+      if (line.variant?.sku) byCode.set(line.variant.sku, line);
+      if (line.variant?.barcode) byCode.set(line.variant.barcode, line);
+    }
+  });
+  return loadStockTake(id);
+}
+
+async function addFoundLine(tx, take, code, categoryIds) {
+  const variant = await tx.productVariant.findFirst({
+    where: { OR: [{ sku: code }, { barcode: code }], ...scopeWhere(categoryIds) },
+    select: { id: true, sku: true, barcode: true, title: true, product: { select: { name: true } } },
+  });
+  if (!variant) return null;
+
+  const row = await tx.inventoryItem.upsert({
+    where: { variantId_warehouseId: { variantId: variant.id, warehouseId: take.warehouseId } },
+    update: {},
+    create: { variantId: variant.id, warehouseId: take.warehouseId, onHand: 0, frozenByTakeId: take.id },
+  });
+  if (row.frozenByTakeId && row.frozenByTakeId !== take.id) throw takeError("ALREADY_COUNTING", 409, { sku: variant.sku });
+  if (!row.frozenByTakeId) {
+    await tx.inventoryItem.update({ where: { id: row.id }, data: { frozenByTakeId: take.id } });
+  }
+  const line = await tx.stockTakeLine.create({
+    data: { stockTakeId: take.id, inventoryItemId: row.id, variantId: variant.id, expectedQty: row.onHand },
+  });
+  return { ...line, variant };
+}
+
+async function move(tx, take, from, data) {
+  const { count } = await tx.stockTake.updateMany({ where: { id: take.id, status: { in: from } }, data });
+  if (!count) throw takeError("STOCK_TAKE_CONFLICT", 409);
+}
+
+async function unfreeze(tx, takeId) {
+  await tx.inventoryItem.updateMany({ where: { frozenByTakeId: takeId }, data: { frozenByTakeId: null } });
+}
+
+export async function submitStockTake({ id, actorId = null }) {
+  await prisma.$transaction(async (tx) => {
+    const take = await loadStockTake(id, tx);
+    if (!take) throw takeError("NOT_FOUND", 404);
+    if (take.status !== "COUNTING") throw takeError("INVALID_STATUS", 409, { current: take.status });
+    if (!take.lines.some((l) => l.countedQty != null)) throw takeError("NOTHING_COUNTED", 400);
+    await move(tx, take, ["COUNTING"], { status: "SUBMITTED", submittedById: actorId, submittedAt: new Date() });
+  });
+  return loadStockTake(id);
+}
+
+/** Send a submitted take back for recount. */
+export async function rejectStockTake({ id, reason = null }) {
+  await prisma.$transaction(async (tx) => {
+    const take = await loadStockTake(id, tx);
+    if (!take) throw takeError("NOT_FOUND", 404);
+    if (take.status !== "SUBMITTED") throw takeError("INVALID_STATUS", 409, { current: take.status });
+    await move(tx, take, ["SUBMITTED"], {
+      status: "COUNTING",
+      rejectedReason: reason ? String(reason).trim().slice(0, 1000) : null,
+      submittedById: null,
+      submittedAt: null,
+    });
+  });
+  return loadStockTake(id);
+}
+
+export async function cancelStockTake({ id }) {
+  await prisma.$transaction(async (tx) => {
+    const take = await loadStockTake(id, tx);
+    if (!take) throw takeError("NOT_FOUND", 404);
+    if (!TAKE_OPEN.includes(take.status)) throw takeError("INVALID_STATUS", 409, { current: take.status });
+    await move(tx, take, TAKE_OPEN, { status: "CANCELLED", cancelledAt: new Date() });
+    await unfreeze(tx, take.id);
+  });
+  return loadStockTake(id);
+}
+
+/**
+ * Approve: post the variances. The approver must not be the person who
+ * submitted the counts. Uncounted lines are left alone.
+ */
+export async function approveStockTake({ id, actorId }) {
+  let adjusted = 0;
+  await prisma.$transaction(async (tx) => {
+    const take = await loadStockTake(id, tx);
+    if (!take) throw takeError("NOT_FOUND", 404);
+    if (take.status !== "SUBMITTED") throw takeError("INVALID_STATUS", 409, { current: take.status });
+    if (!actorId || actorId === take.submittedById) throw takeError("SECOND_APPROVER_REQUIRED", 409);
+
+    const counted = take.lines.filter((l) => l.countedQty != null);
+    const costs = await latestUnitCosts(
+      counted.map((l) => l.variantId),
+      tx
+    );
+    const reference = takeNumber(take.number);
+
+    for (const l of counted) {
+      const variance = l.countedQty - l.expectedQty;
+      const unit = costs.get(l.variantId);
+      if (variance !== 0) {
+        // relative, so an order cancellation restocked into the row meanwhile is kept
+        const inv = await tx.inventoryItem.findUnique({ where: { id: l.inventoryItemId } });
+        const onHand = Math.max(0, inv.onHand + variance);
+        await tx.inventoryItem.update({ where: { id: inv.id }, data: { onHand } });
+        await tx.stockMovement.create({
+          data: { inventoryItemId: inv.id, type: "ADJUST", quantity: onHand, reason: "STOCK_TAKE", reference },
+        });
+        await recomputeVariantStock(tx, l.variantId);
+        adjusted += 1;
+      }
+      await tx.stockTakeLine.update({
+        where: { id: l.id },
+        data: { varianceQty: variance, unitCost: unit == null ? null : money(unit) },
+      });
+    }
+
+    await move(tx, take, ["SUBMITTED"], { status: "APPROVED", approvedById: actorId, approvedAt: new Date() });
+    await unfreeze(tx, take.id);
+  });
+
+  if (adjusted) {
+    try {
+      await enqueue("strapi.inventory-sync", {}, { queue: "strapi", dedupeKey: "strapi.inventory-sync" });
+    } catch (err) {
+      console.error("[stock-takes] could not queue inventory sync:", err?.message || err);
+    }
+  }
+  return loadStockTake(id);
+}
+
+/**
+ * Variance report for a take: per counted line the variance and its value.
+ * Approved takes use the variance / cost recorded at approval.
+ */
+export async function varianceReport(take, db = prisma) {
+  const costs = await latestUnitCosts(
+    take.lines.map((l) => l.variantId),
+    db
+  );
+  const lines = take.lines.map((l) => {
+    const variance = l.varianceQty ?? (l.countedQty == null ? null : l.countedQty - l.expectedQty);
+    const unit = l.unitCost != null ? cents(l.unitCost) : costs.get(l.variantId) ?? null;
+    return {
+      ...l,
+      varianceQty: variance,
+      unitCost: unit == null ? null : money(unit),
+      varianceValue: variance == null || unit == null ? null : money(variance * unit),
+    };
+  });
+  const totals = lines.reduce(
+    (t, l) => {
+      if (l.countedQty == null) t.uncounted += 1;
+      else t.counted += 1;
+      if (l.varianceQty < 0) t.shrinkUnits += -l.varianceQty;
+      if (l.varianceQty > 0) t.surplusUnits += l.varianceQty;
+      if (l.varianceValue != null) t.netValue = money(cents(t.netValue) + cents(l.varianceValue));
+      return t;
+    },
+    { counted: 0, uncounted: 0, shrinkUnits: 0, surplusUnits: 0, netValue: 0 }
+  );
+  return { lines, totals };
+}
+
+/** Approved variances since `since`, per variant: { shrinkUnits, surplusUnits, value }. */
+export async function shrinkageByVariant({ since = null, db = prisma } = {}) {
+  const lines = await db.stockTakeLine.findMany({
+    where: {
+      varianceQty: { not: 0 },
+      stockTake: { status: "APPROVED", ...(since ? { approvedAt: { gte: since } } : {}) },
+    },
+    select: { variantId: true, varianceQty: true, unitCost: true },
+  });
+  const out = new Map();
+  for (const l of lines) {
+    const row = out.get(l.variantId) || { shrinkUnits: 0, surplusUnits: 0, valueCents: 0 };
+    if (l.varianceQty < 0) row.shrinkUnits += -l.varianceQty;
+    else row.surplusUnits += l.varianceQty;
+    row.valueCents += l.varianceQty * cents(l.unitCost);
+    out.set(l.variantId, row);
+  }
+  return out;
+}
@@ -0,0 +1,283 @@
+// PATH: src/lib/inventory/transfers.js
+// Inter-warehouse stock transfers.
+//
+//   DRAFT ──dispatch──▶ DISPATCHED ──receive──▶ PARTIALLY_RECEIVED ──receive──▶ RECEIVED
+//     └──cancel──▶ CANCELLED ◀──cancel (nothing received yet)──┘
+//
+// Dispatch takes the units off the source InventoryItem (TRANSFER_OUT); each
+// receipt books what arrived into the destination (TRANSFER_IN, the row is
+// created on first receipt) and may write units off as a discrepancy (short /
+// damaged). Both movements carry transferId, so the pair is one audit trail.
+import prisma from "@/lib/prisma";
+import { recomputeVariantStock } from "@/lib/inventory";
+import { allocatableQty } from "@/lib/inventory/allocation";
+import { assertNotFrozen } from "@/lib/inventory/stock-takes";
+import { enqueue } from "@/lib/queue";
+
+export const TRANSFER_IN_TRANSIT = ["DISPATCHED", "PARTIALLY_RECEIVED"];
+
+const int = (v) => {
+  const x = Number(v);
+  return Number.isInteger(x) ? x : NaN;
+};
+
+export function transferNumber(number) {
+  return `TR-${String(number ?? "").padStart(6, "0")}`;
+}
+
+function transferError(code, status = 400, extra = {}) {
+  const err = new Error(code);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+export const TRANSFER_INCLUDE = {
+  fromWarehouse: { select: { id: true, code: true, name: true } },
+  toWarehouse: { select: { id: true, code: true, name: true } },
+  items: {
+    include: { variant: { select: { id: true, sku: true, title: true, product: { select: { name: true } } } } },
+    orderBy: { id: "asc" },
+  },
+};
+
+export function loadTransfer(id, db = prisma) {
+  return db.stockTransfer.findUnique({ where: { id }, include: TRANSFER_INCLUDE });
+}
+
+/** Units still on the road for a line. */
+export const outstandingQty = (item) => item.quantity - item.receivedQty - item.discrepancyQty;
+
+async function syncStock() {
+  try {
+    await enqueue("strapi.inventory-sync", {}, { queue: "strapi", dedupeKey: "strapi.inventory-sync" });
+  } catch (err) {
+    console.error("[transfers] could not queue inventory sync:", err?.message || err);
+  }
+}
+
+/**
+ * Validate a new transfer → [data, error]. Lines name the variant by id or SKU;
+ * SKUs are resolved in createTransfer.
+ */
+export function parseTransfer(body) {
+  const fromWarehouseId = String(body?.fromWarehouseId || "").trim();
+  const toWarehouseId = String(body?.toWarehouseId || "").trim();
+  if (!fromWarehouseId || !toWarehouseId) return [null, "WAREHOUSES_REQUIRED"];
+  if (fromWarehouseId === toWarehouseId) return [null, "SAME_WAREHOUSE"];
+
+  if (!Array.isArray(body?.lines) || !body.lines.length) return [null, "LINES_REQUIRED"];
+  const lines = [];
+  for (const l of body.lines) {
+    const quantity = int(l?.quantity);
+    const variantId = l?.variantId ? String(l.variantId).trim() : null;
+    const sku = l?.sku ? String(l.sku).trim() : null;
+    if (!variantId && !sku) return [null, "LINE_VARIANT_REQUIRED"];
+    if (!(quantity > 0)) return [null, "INVALID_QUANTITY"];
+    lines.push({ variantId, sku, quantity });
+  }
+
+  const note = body?.note ? String(body.note).trim().slice(0, 1000) : null;
+  return [{ fromWarehouseId, toWarehouseId, lines, note }, null];
+}
+
+/** Create a DRAFT transfer (no stock moves yet). Duplicate variants are merged. */
+export async function createTransfer({ fromWarehouseId, toWarehouseId, lines, note = null, actorId = null }) {
+  const warehouses = await prisma.warehouse.findMany({
+    where: { id: { in: [fromWarehouseId, toWarehouseId] }, archivedAt: null },
+    select: { id: true },
+  });
+  if (warehouses.length !== 2) throw transferError("WAREHOUSE_NOT_FOUND", 404);
+
+  const skus = lines.filter((l) => !l.variantId).map((l) => l.sku);
+  const bySku = new Map(
+    skus.length
+      ? (await prisma.productVariant.findMany({ where: { sku: { in: skus } }, select: { id: true, sku: true } })).map(
+          (v) => [v.sku, v.id]
+        )
+      : []
+  );
+
+  const qtyByVariant = new Map();
+  for (const l of lines) {
+    const variantId = l.variantId || bySku.get(l.sku);
+    if (!variantId) throw transferError("UNKNOWN_SKU", 400, { sku: l.sku });
+    qtyByVariant.set(variantId, (qtyByVariant.get(variantId) || 0) + l.quantity);
+  }
+
+  return prisma.stockTransfer.create({
+    data: {
+      fromWarehouseId,
+      toWarehouseId,
+      note,
+      createdById: actorId,
+      items: { create: [...qtyByVariant].map(([variantId, quantity]) => ({ variantId, quantity })) },
+    },
+    include: TRANSFER_INCLUDE,
+  });
+}
+
+/** Move the transfer's status, failing if someone else moved it first. */
+async function setStatus(tx, transfer, from, data) {
+  const { count } = await tx.stockTransfer.updateMany({ where: { id: transfer.id, status: { in: from } }, data });
+  if (!count) throw transferError("TRANSFER_CONFLICT", 409);
+}
+
+/** DRAFT → DISPATCHED: every line must be free at the source (onHand − reserved − safety). */
+export async function dispatchTransfer({ id }) {
+  await prisma.$transaction(async (tx) => {
+    const t = await loadTransfer(id, tx);
+    if (!t) throw transferError("NOT_FOUND", 404);
+    if (t.status !== "DRAFT") throw transferError("INVALID_STATUS", 409, { current: t.status });
+
+    const reference = transferNumber(t.number);
+    for (const it of t.items) {
+      const where = { variantId_warehouseId: { variantId: it.variantId, warehouseId: t.fromWarehouseId } };
+      await assertNotFrozen(tx, where, it.variant?.sku || it.variantId);
+      const inv = await tx.inventoryItem.findUnique({ where });
+      if (allocatableQty(inv) < it.quantity) {
+        throw transferError("INSUFFICIENT_STOCK", 409, { sku: it.variant?.sku || it.variantId });
+      }
+      await tx.inventoryItem.update({ where: { id: inv.id }, data: { onHand: { decrement: it.quantity } } });
+      await tx.stockMovement.create({
+        data: {
+          inventoryItemId: inv.id,
+          type: "TRANSFER_OUT",
+          quantity: it.quantity,
+          reason: "TRANSFER",
+          reference,
+          transferId: t.id,
+        },
+      });
+      await recomputeVariantStock(tx, it.variantId);
+    }
+
+    await setStatus(tx, t, ["DRAFT"], { status: "DISPATCHED", dispatchedAt: new Date() });
+  });
+
+  await syncStock();
+  return loadTransfer(id);
+}
+
+/**
+ * Book a receipt. lines: [{ itemId, receivedQty?, discrepancyQty?, discrepancyNote? }];
+ * `all: true` receives everything still outstanding. Received + written-off
+ * units may not exceed what is still in transit per line.
+ */
+export async function receiveTransfer({ id, lines = [], all = false }) {
+  await prisma.$transaction(async (tx) => {
+    const t = await loadTransfer(id, tx);
+    if (!t) throw transferError("NOT_FOUND", 404);
+    if (!TRANSFER_IN_TRANSIT.includes(t.status)) throw transferError("INVALID_STATUS", 409, { current: t.status });
+
+    const wanted = all
+      ? t.items.map((it) => ({ itemId: it.id, receivedQty: outstandingQty(it), discrepancyQty: 0 }))
+      : lines;
+    const byId = new Map(t.items.map((it) => [it.id, it]));
+    const reference = transferNumber(t.number);
+    let booked = 0;
+
+    for (const l of wanted) {
+      const it = byId.get(String(l?.itemId || ""));
+      if (!it) throw transferError("UNKNOWN_LINE", 400, { itemId: l?.itemId });
+      const rq = l.receivedQty == null || l.receivedQty === "" ? 0 : int(l.receivedQty);
+      const dq = l.discrepancyQty == null || l.discrepancyQty === "" ? 0 : int(l.discrepancyQty);
+      if (!(rq >= 0) || !(dq >= 0)) throw transferError("INVALID_QUANTITY", 400);
+      if (rq + dq === 0) continue;
+      if (rq + dq > outstandingQty(it)) {
+        throw transferError("OVER_RECEIPT", 400, { sku: it.variant?.sku || it.variantId });
+      }
+      if (dq > 0 && !String(l.discrepancyNote || "").trim() && !it.discrepancyNote) {
+        throw transferError("DISCREPANCY_NOTE_REQUIRED", 400, { sku: it.variant?.sku || it.variantId });
+      }
+
+      if (rq > 0) {
+        const where = { variantId_warehouseId: { variantId: it.variantId, warehouseId: t.toWarehouseId } };
+        await assertNotFrozen(tx, where, it.variant?.sku || it.variantId);
+        const inv = await tx.inventoryItem.upsert({
+          where,
+          update: { onHand: { increment: rq } },
+          create: { variantId: it.variantId, warehouseId: t.toWarehouseId, onHand: rq },
+        });
+        await tx.stockMovement.create({
+          data: {
+            inventoryItemId: inv.id,
+            type: "TRANSFER_IN",
+            quantity: rq,
+            reason: "TRANSFER",
+            reference,
+            transferId: t.id,
+          },
+        });
+        await recomputeVariantStock(tx, it.variantId);
+      }
+
+      const note = String(l.discrepancyNote || "").trim();
+      await tx.stockTransferItem.update({
+        where: { id: it.id },
+        data: {
+          receivedQty: { increment: rq },
+          discrepancyQty: { increment: dq },
+          ...(note ? { discrepancyNote: it.discrepancyNote ? `${it.discrepancyNote}; ${note}` : note } : {}),
+        },
+      });
+      it.receivedQty += rq;
+      it.discrepancyQty += dq;
+      booked += rq + dq;
+    }
+    if (!booked) throw transferError("NOTHING_TO_RECEIVE", 400);
+
+    const done = t.items.every((it) => outstandingQty(it) === 0);
+    await setStatus(
+      tx,
+      t,
+      TRANSFER_IN_TRANSIT,
+      done ? { status: "RECEIVED", receivedAt: new Date() } : { status: "PARTIALLY_RECEIVED" }
+    );
+  });
+
+  await syncStock();
+  return loadTransfer(id);
+}
+
+/**
+ * Cancel a DRAFT, or a DISPATCHED transfer nothing has been received on yet —
+ * its units go back to the source (TRANSFER_IN there).
+ */
+export async function cancelTransfer({ id }) {
+  let moved = false;
+  await prisma.$transaction(async (tx) => {
+    const t = await loadTransfer(id, tx);
+    if (!t) throw transferError("NOT_FOUND", 404);
+    if (t.status !== "DRAFT" && t.status !== "DISPATCHED") {
+      throw transferError("INVALID_STATUS", 409, { current: t.status });
+    }
+
+    if (t.status === "DISPATCHED") {
+      const reference = transferNumber(t.number);
+      for (const it of t.items) {
+        const inv = await tx.inventoryItem.update({
+          where: { variantId_warehouseId: { variantId: it.variantId, warehouseId: t.fromWarehouseId } },
+          data: { onHand: { increment: it.quantity } },
+        });
+        await tx.stockMovement.create({
+          data: {
+            inventoryItemId: inv.id,
+            type: "TRANSFER_IN",
+            quantity: it.quantity,
+            reason: "TRANSFER_CANCELLED",
+            reference,
+            transferId: t.id,
+          },
+        });
+        await recomputeVariantStock(tx, it.variantId);
+      }
+      moved = true;
+    }
+
+    await setStatus(tx, t, [t.status], { status: "CANCELLED", cancelledAt: new Date() });
+  });
+
+  if (moved) await syncStock();
+  return loadTransfer(id);
+}
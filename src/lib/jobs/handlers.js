@@ -0,0 +1,69 @@
+// lib/jobs/handlers.js
+// Job name → handler(payload, job). Handlers throw to retry (see lib/queue.js);
+// whatever they return is stored on BackgroundJob.result, so keep it small.
+import { triggerStrapiInventoryFullSync } from "@/lib/trigger-strapi-inventory-sync";
+import { sendOrderConfirmation } from "@/lib/email";
+import { bookShipment } from "@/lib/logistics/shipments";
+import { trackingSweep } from "@/lib/logistics/tracking";
+import { deliverWebhook } from "@/lib/webhooks";
+import { postDocument, syncLedger } from "@/lib/ledger";
+import { earnForOrder } from "@/lib/loyalty";
+import { dispatchNotification } from "@/lib/notifications";
+
+export const jobHandlers = {
+  // queue: strapi — Prisma → Strapi stock mirror after checkout / stock edits
+  async "strapi.inventory-sync"() {
+    const r = await triggerStrapiInventoryFullSync();
+    if (r?.skipped) return { skipped: r.skipped };
+    if (!r?.ok) throw new Error(r?.error || "strapi_sync_failed");
+    return { ok: true, summary: r.summary || null };
+  },
+
+  // queue: email — one Notification; provider failures are retried by the dispatcher itself
+  async "notification.dispatch"(payload) {
+    const r = await dispatchNotification(payload.id);
+    return { id: payload.id, status: r.status, attempt: r.attempt ?? null };
+  },
+
+  // queue: email
+  async "email.order-confirmation"(payload) {
+    if (!payload?.to) throw new Error("recipient_required");
+    await sendOrderConfirmation(payload);
+    return { to: payload.to, orderId: payload.orderId };
+  },
+
+  // queue: logistics — same arguments as bookShipment()
+  async "shipment.book"(payload) {
+    const shipment = await bookShipment(payload);
+    return { shipmentId: shipment.id, trackingNumber: shipment.trackingNumber };
+  },
+
+  // queue: logistics — poll couriers for parcels still on the road (see lib/logistics/tracking.js)
+  async "shipment.track-sweep"(payload) {
+    const r = await trackingSweep({ limit: payload?.limit, staleMinutes: payload?.staleMinutes });
+    return { checked: r.checked, moved: r.moved, errors: r.errors.length };
+  },
+
+  // queue: webhooks — one WebhookEventLog row per job
+  async "webhook.deliver"(payload) {
+    return deliverWebhook(payload.logId);
+  },
+
+  // queue: default — one journal per document; idempotent, safe to retry
+  async "ledger.post"(payload) {
+    const journal = await postDocument(payload.source, payload.id);
+    return { source: payload.source, id: payload.id, journalId: journal?.id ?? null };
+  },
+
+  // queue: default — backfill / safety-net sweep (see syncLedger)
+  async "ledger.sync"(payload) {
+    const r = await syncLedger({ since: payload?.since ?? null });
+    return { posted: r.posted, errors: r.errors.length };
+  },
+
+  // queue: default — points for a COMPLETED order; idempotent per order
+  async "loyalty.order-earn"(payload) {
+    const r = await earnForOrder(payload.orderId);
+    return { orderId: payload.orderId, points: r?.txn?.points ?? 0, duplicate: !!r?.duplicate };
+  },
+};
@@ -0,0 +1,42 @@
+// lib/jobs/runner.js
+// One polling pass over the queues; called by /api/internal/jobs/run, which
+// scripts/jobs/worker.mjs hits in a loop.
+import { QUEUES, claimJobs, completeJob, failJob } from "@/lib/queue";
+import { jobHandlers } from "@/lib/jobs/handlers";
+
+async function runJob(job) {
+  const handler = jobHandlers[job.name];
+  if (!handler) {
+    await failJob(job, `no handler registered for "${job.name}"`, { fatal: true });
+    return { id: job.id, name: job.name, status: "DEAD" };
+  }
+  // a stale lock was released after the last attempt had already been counted
+  if (job.attempts > job.maxAttempts) {
+    await failJob(job, job.lastError || "attempts exhausted", { fatal: true });
+    return { id: job.id, name: job.name, status: "DEAD" };
+  }
+
+  try {
+    const result = await handler(job.payload || {}, job);
+    await completeJob(job, result ?? null);
+    return { id: job.id, name: job.name, status: "COMPLETED" };
+  } catch (err) {
+    const updated = await failJob(job, err);
+    console.error("[jobs] %s (%s) attempt %d failed:", job.name, job.id, job.attempts, err?.message || err);
+    return { id: job.id, name: job.name, status: updated.status, error: updated.lastError };
+  }
+}
+
+/**
+ * Claim and run due jobs. Jobs of one queue run in parallel up to the queue's
+ * concurrency; queues are processed one after another.
+ */
+export async function runDueJobs({ queues = Object.keys(QUEUES), workerId = "worker", limit } = {}) {
+  const ran = [];
+  for (const queue of queues) {
+    const jobs = await claimJobs(queue, { workerId, limit });
+    if (!jobs.length) continue;
+    ran.push(...(await Promise.all(jobs.map(runJob))).map((r) => ({ queue, ...r })));
+  }
+  return ran;
+}
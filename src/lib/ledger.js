@@ -0,0 +1,577 @@
+// lib/ledger.js
+// Double-entry general ledger (AccountCode / Journal / JournalEntry).
+//
+// Every business document posts exactly one balanced Journal, keyed by
+// (source, reference = document id), so posting is idempotent and a sweep can
+// safely re-run:
+//
+//   ORDER          sale at checkout       Dr AR + discounts      Cr sales, shipping income, VAT
+//                                         Dr COGS                Cr inventory (cost known)
+//   ORDER_REVERSAL order cancelled        mirror of ORDER
+//   PAYMENT        money received         Dr gateway clearing / COD receivable / bank   Cr AR
+//   PAYMENT_FEE    gateway fee            Dr gateway fees        Cr gateway clearing
+//   REFUND         refund processed       Dr sales returns + VAT Cr clearing (or bank, or store credit)
+//   SHIPMENT       courier invoice line   Dr courier expense     Cr courier payable
+//   PAYOUT         provider settlement    Dr bank (+ unposted fees)   Cr gateway clearing
+//   COD_REMITTANCE courier COD statement  Dr bank, courier payable (fees withheld)   Cr COD receivable
+//
+// Amounts are in BDT, like the P&L in lib/analytics/pnl.js.
+import prisma from "@/lib/prisma";
+import { enqueue } from "@/lib/queue";
+import { PAID_SUM_STATUSES } from "@/lib/payments/gateway";
+
+export const ACCOUNTS = {
+  BANK: { code: "1000", name: "Cash at bank", type: "ASSET" },
+  GATEWAY_CLEARING: { code: "1100", name: "Payment gateway clearing", type: "ASSET" },
+  COD_RECEIVABLE: { code: "1110", name: "COD receivable (couriers)", type: "ASSET" },
+  AR: { code: "1150", name: "Accounts receivable (customers)", type: "ASSET" },
+  INVENTORY: { code: "1200", name: "Inventory", type: "ASSET" },
+  VAT_PAYABLE: { code: "2100", name: "VAT payable", type: "LIABILITY" },
+  STORE_CREDIT: { code: "2200", name: "Customer store credit (wallets)", type: "LIABILITY" },
+  COURIER_PAYABLE: { code: "2300", name: "Courier payable", type: "LIABILITY" },
+  SALES: { code: "4000", name: "Sales revenue", type: "REVENUE" },
+  DISCOUNTS: { code: "4010", name: "Sales discounts", type: "REVENUE" },
+  SHIPPING_INCOME: { code: "4100", name: "Shipping income", type: "REVENUE" },
+  SALES_RETURNS: { code: "4900", name: "Sales returns & refunds", type: "REVENUE" },
+  COGS: { code: "5000", name: "Cost of goods sold", type: "EXPENSE" },
+  GATEWAY_FEES: { code: "6100", name: "Payment gateway fees", type: "EXPENSE" },
+  COURIER_EXPENSE: { code: "6200", name: "Courier & shipment charges", type: "EXPENSE" },
+};
+
+const A = Object.fromEntries(Object.entries(ACCOUNTS).map(([k, v]) => [k, v.code]));
+
+const cents = (v) => Math.round(Number(v || 0) * 100);
+const money = (c) => Number((c / 100).toFixed(2));
+
+function ledgerError(code, status = 422) {
+  const err = new Error(code);
+  err.status = status;
+  return err;
+}
+
+/** Upsert the chart above; custom accounts created by finance are left alone. */
+export async function ensureChartOfAccounts(db = prisma) {
+  for (const a of Object.values(ACCOUNTS)) {
+    await db.accountCode.upsert({
+      where: { code: a.code },
+      create: a,
+      update: {},
+    });
+  }
+}
+
+/**
+ * Post one balanced journal. `lines` = [{ account, debit?, credit?, orderId?, ... }].
+ * Zero lines are dropped; debits must equal credits to the cent. When
+ * (source, reference) already exists the existing journal is returned.
+ */
+export async function postJournal({ source, reference = null, date = new Date(), description = null, postedBy = null, lines }, db = prisma) {
+  const clean = (lines || [])
+    .map((l) => ({ ...l, d: cents(l.debit), c: cents(l.credit) }))
+    .filter((l) => l.d !== 0 || l.c !== 0);
+
+  if (clean.some((l) => !Number.isFinite(l.d) || !Number.isFinite(l.c))) throw ledgerError("invalid_amount");
+  if (clean.some((l) => l.d < 0 || l.c < 0)) throw ledgerError("negative_amount");
+  const debit = clean.reduce((s, l) => s + l.d, 0);
+  const credit = clean.reduce((s, l) => s + l.c, 0);
+  if (!clean.length) return null;
+  if (debit !== credit) throw ledgerError(`journal_unbalanced:${money(debit)}≠${money(credit)}`);
+
+  const known = await db.accountCode.findMany({
+    where: { code: { in: [...new Set(clean.map((l) => l.account))] }, isActive: true },
+    select: { code: true },
+  });
+  const missing = clean.map((l) => l.account).filter((c) => !known.some((k) => k.code === c));
+  if (missing.length) throw ledgerError(`unknown_account:${[...new Set(missing)].join(",")}`);
+
+  if (reference) {
+    const existing = await db.journal.findUnique({
+      where: { source_reference: { source, reference } },
+      include: { entries: true },
+    });
+    if (existing) return existing;
+  }
+
+  return db.journal.create({
+    data: {
+      source,
+      reference,
+      date: new Date(date),
+      description,
+      postedBy,
+      entries: {
+        create: clean.map((l) => ({
+          accountCode: l.account,
+          debit: money(l.d),
+          credit: money(l.c),
+          orderId: l.orderId ?? null,
+          paymentId: l.paymentId ?? null,
+          refundId: l.refundId ?? null,
+          variantId: l.variantId ?? null,
+          productId: l.productId ?? null,
+        })),
+      },
+    },
+    include: { entries: true },
+  });
+}
+
+/* ───────────────────────────── documents ───────────────────────────── */
+
+/** Unit cost for a line: frozen costChosen, else the snapshot in force at order time. */
+async function unitCost(item, at, db) {
+  if (item.costChosen != null) return Number(item.costChosen);
+  if (!item.variantId) return null;
+  const snap =
+    (await db.costSnapshot.findFirst({
+      where: { variantId: item.variantId, createdAt: { lte: at } },
+      orderBy: { createdAt: "desc" },
+    })) ||
+    (await db.costSnapshot.findFirst({ where: { variantId: item.variantId }, orderBy: { createdAt: "asc" } }));
+  return snap ? Number(snap.cogsUnit) : null;
+}
+
+async function saleLines(order, db) {
+  const grand = cents(order.grandTotal);
+  const tax = cents(order.taxTotal);
+  const shipping = cents(order.shippingTotal);
+  const discount = cents(order.discountTotal);
+  // sales credit is the plug so header rounding can never unbalance the journal
+  const sales = grand - tax - shipping + discount;
+
+  const lines = [
+    { account: A.AR, debit: money(grand), orderId: order.id },
+    { account: A.DISCOUNTS, debit: money(discount), orderId: order.id },
+    { account: A.SALES, credit: money(sales), orderId: order.id },
+    { account: A.SHIPPING_INCOME, credit: money(shipping), orderId: order.id },
+    { account: A.VAT_PAYABLE, credit: money(tax), orderId: order.id },
+  ];
+
+  for (const item of order.items || []) {
+    const unit = await unitCost(item, order.createdAt, db);
+    if (unit == null) continue;
+    const cost = money(cents(unit) * Number(item.quantity || 0));
+    lines.push(
+      { account: A.COGS, debit: cost, orderId: order.id, variantId: item.variantId, productId: item.variant?.productId },
+      { account: A.INVENTORY, credit: cost, orderId: order.id, variantId: item.variantId, productId: item.variant?.productId }
+    );
+  }
+  return lines;
+}
+
+async function loadOrder(orderId, db) {
+  const order = await db.order.findUnique({
+    where: { id: orderId },
+    include: { items: { include: { variant: { select: { productId: true } } } } },
+  });
+  if (!order) throw ledgerError("order_not_found", 404);
+  return order;
+}
+
+export async function postOrderSale(orderId, db = prisma) {
+  const order = await loadOrder(orderId, db);
+  if (order.status === "DRAFT") return null;
+  return postJournal(
+    {
+      source: "ORDER",
+      reference: order.id,
+      date: order.createdAt,
+      description: `Sale — order #${order.orderNumber}`,
+      lines: await saleLines(order, db),
+    },
+    db
+  );
+}
+
+/** Mirror the sale journal when an order is cancelled. */
+export async function reverseOrderSale(orderId, db = prisma) {
+  // the sale may still be queued; post it first so the pair always nets to zero
+  const sale =
+    (await db.journal.findUnique({
+      where: { source_reference: { source: "ORDER", reference: orderId } },
+      include: { entries: true },
+    })) || (await postOrderSale(orderId, db));
+  if (!sale) return null;
+  const order = await db.order.findUnique({ where: { id: orderId }, select: { orderNumber: true, cancelledAt: true } });
+  return postJournal(
+    {
+      source: "ORDER_REVERSAL",
+      reference: orderId,
+      date: order?.cancelledAt || new Date(),
+      description: `Cancellation — order #${order?.orderNumber ?? orderId}`,
+      lines: sale.entries.map((e) => ({
+        account: e.accountCode,
+        debit: e.credit,
+        credit: e.debit,
+        orderId: e.orderId,
+        variantId: e.variantId,
+        productId: e.productId,
+      })),
+    },
+    db
+  );
+}
+
+function receiptAccount(p) {
+  // paid out of a customer's wallet (lib/exchanges.js): the store-credit liability goes down
+  if (p.rawPayload?.wallet) return A.STORE_CREDIT;
+  if (p.provider === "CASH_ON_DELIVERY") return A.COD_RECEIVABLE;
+  if (p.provider === "MANUAL") return A.BANK;
+  return A.GATEWAY_CLEARING;
+}
+
+export async function postPaymentReceipt(paymentId, db = prisma) {
+  const p = await db.payment.findUnique({ where: { id: paymentId } });
+  if (!p) throw ledgerError("payment_not_found", 404);
+  if (!PAID_SUM_STATUSES.has(p.status) && !["REFUNDED", "PARTIALLY_REFUNDED"].includes(p.status)) return null;
+  const amount = Number(p.amount);
+  return postJournal(
+    {
+      source: "PAYMENT",
+      reference: p.id,
+      date: p.updatedAt,
+      description: `${p.provider} payment for order ${p.orderId}`,
+      lines: [
+        { account: receiptAccount(p), debit: amount, orderId: p.orderId, paymentId: p.id },
+        { account: A.AR, credit: amount, orderId: p.orderId, paymentId: p.id },
+      ],
+    },
+    db
+  );
+}
+
+export async function postPaymentFee(feeId, db = prisma) {
+  const fee = await db.paymentFee.findUnique({ where: { id: feeId }, include: { payment: true } });
+  if (!fee) throw ledgerError("fee_not_found", 404);
+  const amount = Number(fee.amount);
+  return postJournal(
+    {
+      source: "PAYMENT_FEE",
+      reference: fee.id,
+      date: fee.createdAt,
+      description: `${fee.provider} fee on payment ${fee.paymentId}`,
+      lines: [
+        { account: A.GATEWAY_FEES, debit: amount, orderId: fee.payment?.orderId, paymentId: fee.paymentId },
+        { account: A.GATEWAY_CLEARING, credit: amount, orderId: fee.payment?.orderId, paymentId: fee.paymentId },
+      ],
+    },
+    db
+  );
+}
+
+/** Refunds reverse revenue and the VAT share of the order, paid out of clearing or bank. */
+export async function postRefund(refundId, db = prisma) {
+  const r = await db.refund.findUnique({
+    where: { id: refundId },
+    include: { order: true, payment: true },
+  });
+  if (!r) throw ledgerError("refund_not_found", 404);
+  if (r.status !== "PROCESSED") return null;
+
+  const amount = cents(r.amount);
+  const grand = cents(r.order?.grandTotal);
+  const vat = grand > 0 ? Math.round((amount * cents(r.order?.taxTotal)) / grand) : 0;
+  const via =
+    r.method === "STORE_CREDIT"
+      ? A.STORE_CREDIT
+      : r.payment && r.payment.provider !== "CASH_ON_DELIVERY" && r.payment.provider !== "MANUAL"
+      ? A.GATEWAY_CLEARING
+      : A.BANK;
+
+  return postJournal(
+    {
+      source: "REFUND",
+      reference: r.id,
+      date: r.processedAt || r.createdAt,
+      description: `Refund for order #${r.order?.orderNumber ?? r.orderId}${r.reason ? ` — ${r.reason}` : ""}`,
+      lines: [
+        { account: A.SALES_RETURNS, debit: money(amount - vat), orderId: r.orderId, refundId: r.id },
+        { account: A.VAT_PAYABLE, debit: money(vat), orderId: r.orderId, refundId: r.id },
+        { account: via, credit: money(amount), orderId: r.orderId, refundId: r.id, paymentId: r.paymentId },
+      ],
+    },
+    db
+  );
+}
+
+export async function postShipmentCharge(chargeId, db = prisma) {
+  const ch = await db.shipmentCharge.findUnique({ where: { id: chargeId }, include: { shipment: true } });
+  if (!ch) throw ledgerError("shipment_charge_not_found", 404);
+  const amount = Number(ch.actualCost);
+  return postJournal(
+    {
+      source: "SHIPMENT",
+      reference: ch.id,
+      date: ch.createdAt,
+      description: `Courier charge${ch.isReship ? " (reship)" : ""} — shipment ${ch.shipmentId}`,
+      lines: [
+        { account: A.COURIER_EXPENSE, debit: amount, orderId: ch.shipment?.orderId },
+        { account: A.COURIER_PAYABLE, credit: amount, orderId: ch.shipment?.orderId },
+      ],
+    },
+    db
+  );
+}
+
+/**
+ * Provider payout: clear what the batch settled into the bank. Fees already
+ * posted per payment (PaymentFee) are not expensed twice.
+ */
+export async function postPayoutBatch(batchId, db = prisma) {
+  const batch = await db.payoutBatch.findUnique({
+    where: { id: batchId },
+    include: { payments: { select: { id: true } } },
+  });
+  if (!batch) throw ledgerError("payout_batch_not_found", 404);
+  if (!batch.paidAt) return null;
+
+  const paymentIds = batch.payments.map((p) => p.id);
+  const feeJournals = paymentIds.length
+    ? await db.journalEntry.aggregate({
+        where: { paymentId: { in: paymentIds }, accountCode: A.GATEWAY_FEES, journal: { source: "PAYMENT_FEE" } },
+        _sum: { debit: true },
+      })
+    : null;
+  const postedFees = cents(feeJournals?._sum?.debit);
+  const gross = cents(batch.totalGross);
+  const fees = cents(batch.totalFees);
+  const net = cents(batch.totalNet);
+  if (gross !== net + fees) throw ledgerError("payout_totals_mismatch");
+
+  return postJournal(
+    {
+      source: "PAYOUT",
+      reference: batch.id,
+      date: batch.paidAt,
+      description: `${batch.provider} payout${batch.reference ? ` ${batch.reference}` : ""} (${batch.count} payments)`,
+      lines: [
+        { account: A.BANK, debit: money(net) },
+        { account: A.GATEWAY_FEES, debit: money(Math.max(0, fees - postedFees)) },
+        { account: A.GATEWAY_CLEARING, credit: money(gross - Math.min(fees, postedFees)) },
+      ],
+    },
+    db
+  );
+}
+
+/**
+ * Courier COD statement (lib/cod-remittance.js): the cash lands net of the
+ * courier's charges, which settle the payable their ShipmentCharges raised.
+ */
+export async function postCodRemittance(remittanceId, db = prisma) {
+  const r = await db.codRemittance.findUnique({ where: { id: remittanceId }, include: { courier: true } });
+  if (!r) throw ledgerError("cod_remittance_not_found", 404);
+  if (r.status !== "POSTED") return null;
+
+  const collected = cents(r.totalCollected);
+  const fees = cents(r.totalFees);
+  const net = cents(r.totalNet);
+  if (collected !== net + fees) throw ledgerError("cod_remittance_totals_mismatch");
+
+  return postJournal(
+    {
+      source: "COD_REMITTANCE",
+      reference: r.id,
+      date: r.statementDate || r.postedAt || r.createdAt,
+      description: `${r.courier?.code || "Courier"} COD remittance CR-${String(r.number).padStart(6, "0")}${r.reference ? ` (${r.reference})` : ""}`,
+      lines: [
+        net >= 0 ? { account: A.BANK, debit: money(net) } : { account: A.BANK, credit: money(-net) },
+        fees >= 0 ? { account: A.COURIER_PAYABLE, debit: money(fees) } : { account: A.COURIER_PAYABLE, credit: money(-fees) },
+        { account: A.COD_RECEIVABLE, credit: money(collected) },
+      ],
+    },
+    db
+  );
+}
+
+const POSTERS = {
+  ORDER: postOrderSale,
+  ORDER_REVERSAL: reverseOrderSale,
+  PAYMENT: postPaymentReceipt,
+  PAYMENT_FEE: postPaymentFee,
+  REFUND: postRefund,
+  SHIPMENT: postShipmentCharge,
+  PAYOUT: postPayoutBatch,
+  COD_REMITTANCE: postCodRemittance,
+};
+
+export async function postDocument(source, id) {
+  const poster = POSTERS[source];
+  if (!poster) throw ledgerError(`unknown_source:${source}`, 400);
+  await ensureChartOfAccounts();
+  return poster(id);
+}
+
+/** Queue a posting for the job worker ("ledger.post"); never fails the caller. */
+export async function queueLedgerPosting(source, id) {
+  try {
+    await enqueue("ledger.post", { source, id }, { queue: "default", dedupeKey: `ledger:${source}:${id}` });
+  } catch (err) {
+    console.error("[ledger] could not queue %s %s:", source, id, err?.message || err);
+  }
+}
+
+/* ─────────────────────────────── sweep ─────────────────────────────── */
+
+async function unposted(source, ids) {
+  if (!ids.length) return [];
+  const done = await prisma.journal.findMany({
+    where: { source, reference: { in: ids } },
+    select: { reference: true },
+  });
+  const seen = new Set(done.map((j) => j.reference));
+  return ids.filter((id) => !seen.has(id));
+}
+
+/**
+ * Up to `limit` ids from `page` (a findMany taking paging args) with no
+ * `source` journal yet. Pages on by id past rows that are already posted, so
+ * a backfill keeps moving however many of the oldest rows are done.
+ */
+async function unpostedIds(source, page, limit) {
+  const found = [];
+  let cursor = null;
+  for (;;) {
+    const rows = await page({
+      select: { id: true },
+      orderBy: { id: "asc" },
+      take: limit,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    const ids = rows.map((x) => x.id);
+    found.push(...(await unposted(source, ids)));
+    if (found.length >= limit || ids.length < limit) return found.slice(0, limit);
+    cursor = ids[ids.length - 1];
+  }
+}
+
+/**
+ * Post every document since `since` that has no journal yet (backfill and
+ * safety net for paths that don't queue postings), up to `limit` per source.
+ * Returns counts + errors.
+ */
+export async function syncLedger({ since = null, limit = 500 } = {}) {
+  await ensureChartOfAccounts();
+  const after = since ? { gte: new Date(since) } : undefined;
+
+  const pages = {
+    ORDER: (args) =>
+      prisma.order.findMany({ where: { status: { not: "DRAFT" }, ...(after ? { createdAt: after } : {}) }, ...args }),
+    ORDER_REVERSAL: (args) =>
+      prisma.order.findMany({ where: { status: "CANCELLED", ...(after ? { updatedAt: after } : {}) }, ...args }),
+    PAYMENT: (args) =>
+      prisma.payment.findMany({
+        where: {
+          status: { in: [...PAID_SUM_STATUSES, "REFUNDED", "PARTIALLY_REFUNDED"] },
+          ...(after ? { updatedAt: after } : {}),
+        },
+        ...args,
+      }),
+    PAYMENT_FEE: (args) => prisma.paymentFee.findMany({ where: after ? { createdAt: after } : {}, ...args }),
+    REFUND: (args) =>
+      prisma.refund.findMany({
+        where: {
+          status: "PROCESSED",
+          ...(after ? { OR: [{ processedAt: after }, { processedAt: null, createdAt: after }] } : {}),
+        },
+        ...args,
+      }),
+    SHIPMENT: (args) => prisma.shipmentCharge.findMany({ where: after ? { createdAt: after } : {}, ...args }),
+    PAYOUT: (args) => prisma.payoutBatch.findMany({ where: { paidAt: after || { not: null } }, ...args }),
+    COD_REMITTANCE: (args) =>
+      prisma.codRemittance.findMany({ where: { status: "POSTED", ...(after ? { postedAt: after } : {}) }, ...args }),
+  };
+
+  const posted = {};
+  const errors = [];
+  // ORDER first so reversals find the sale they mirror
+  for (const source of Object.keys(pages)) {
+    posted[source] = 0;
+    for (const id of await unpostedIds(source, pages[source], limit)) {
+      try {
+        if (await POSTERS[source](id)) posted[source] += 1;
+      } catch (err) {
+        errors.push({ source, id, error: String(err?.message || err) });
+      }
+    }
+  }
+  return { posted, errors };
+}
+
+/* ────────────────────────────── reports ────────────────────────────── */
+
+/** Prisma date filter; a bare YYYY-MM-DD `to` includes that whole day. */
+export function ledgerDateRange(from, to) {
+  const r = {};
+  if (from) r.gte = new Date(from);
+  if (to) {
+    r.lte = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) r.lte.setUTCHours(23, 59, 59, 999);
+  }
+  return Object.keys(r).length ? r : undefined;
+}
+
+/** Per-account debit/credit totals; `balance` is debit-normal for assets/expenses. */
+export async function trialBalance({ from = null, to = null } = {}) {
+  const range = ledgerDateRange(from, to);
+  const [sums, accounts] = await Promise.all([
+    prisma.journalEntry.groupBy({
+      by: ["accountCode"],
+      where: range ? { journal: { date: range } } : {},
+      _sum: { debit: true, credit: true },
+    }),
+    prisma.accountCode.findMany({ orderBy: { code: "asc" } }),
+  ]);
+
+  const rows = accounts
+    .map((a) => {
+      const s = sums.find((x) => x.accountCode === a.code);
+      const debit = cents(s?._sum?.debit);
+      const credit = cents(s?._sum?.credit);
+      const debitNormal = a.type === "ASSET" || a.type === "EXPENSE";
+      return {
+        code: a.code,
+        name: a.name,
+        type: a.type,
+        debit: money(debit),
+        credit: money(credit),
+        balance: money(debitNormal ? debit - credit : credit - debit),
+      };
+    })
+    .filter((r) => r.debit || r.credit);
+
+  const totalDebit = rows.reduce((s, r) => s + cents(r.debit), 0);
+  const totalCredit = rows.reduce((s, r) => s + cents(r.credit), 0);
+  return {
+    from,
+    to,
+    rows,
+    totals: { debit: money(totalDebit), credit: money(totalCredit), balanced: totalDebit === totalCredit },
+  };
+}
+
+/** Flat journal lines for export (oldest first). */
+export async function ledgerLines({ from = null, to = null, account = null, source = null } = {}) {
+  const range = ledgerDateRange(from, to);
+  const entries = await prisma.journalEntry.findMany({
+    where: {
+      ...(account ? { accountCode: account } : {}),
+      journal: { ...(range ? { date: range } : {}), ...(source ? { source } : {}) },
+    },
+    include: { journal: true },
+    orderBy: [{ journal: { date: "asc" } }, { journalId: "asc" }],
+  });
+  return entries.map((e) => ({
+    date: e.journal.date.toISOString().slice(0, 10),
+    journalId: e.journalId,
+    source: e.journal.source,
+    reference: e.journal.reference,
+    description: e.journal.description,
+    account: e.accountCode,
+    debit: Number(e.debit),
+    credit: Number(e.credit),
+    orderId: e.orderId,
+    paymentId: e.paymentId,
+    refundId: e.refundId,
+  }));
+}
@@ -0,0 +1,310 @@
+// lib/logistics/packing.js
+// Pack station: verify an allocated (PENDING) parcel unit by unit before it is
+// booked with the courier.
+//
+//   scan order barcode ─▶ parcel(s) loaded ─▶ scan every unit ─▶ weigh / measure ─▶ confirm
+//                                                                           └─▶ bookShipment → LABEL_CREATED
+//
+// Progress lives on Shipment.packScans so a parcel can be picked up at another
+// bench. A scan that is not on the parcel (MISPICK), is the same product in
+// another size / colour (WRONG_VARIANT) or is one unit too many (OVER_PICK) is
+// refused and logged as a PackException; confirming with units missing logs
+// SHORT_PICK and books nothing.
+import prisma from "@/lib/prisma";
+import { bookShipment } from "@/lib/logistics/shipments";
+
+export const PACK_EXCEPTION_KINDS = ["MISPICK", "WRONG_VARIANT", "OVER_PICK", "SHORT_PICK"];
+
+function packError(code, status, extra = {}) {
+  const err = new Error(code);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+const PACK_INCLUDE = {
+  warehouse: { select: { id: true, code: true, name: true } },
+  items: {
+    include: {
+      orderItem: {
+        select: {
+          id: true,
+          sku: true,
+          title: true,
+          variantId: true,
+          variant: { select: { sku: true, barcode: true, sizeName: true, colorName: true, productId: true } },
+        },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  },
+};
+
+const scansOf = (shipment) =>
+  shipment.packScans && typeof shipment.packScans === "object" && !Array.isArray(shipment.packScans)
+    ? shipment.packScans
+    : {};
+
+const codesOf = (it) =>
+  [it.orderItem?.variant?.sku, it.orderItem?.variant?.barcode, it.orderItem?.sku].filter(Boolean).map(String);
+
+const skuOf = (it) => it.orderItem?.variant?.sku || it.orderItem?.sku || it.orderItemId;
+
+/** What the packer sees: one row per ShipmentItem with units scanned so far. */
+export function packView(shipment) {
+  const scans = scansOf(shipment);
+  const items = shipment.items.map((it) => ({
+    shipmentItemId: it.id,
+    orderItemId: it.orderItemId,
+    sku: skuOf(it),
+    barcode: it.orderItem?.variant?.barcode || null,
+    title: it.orderItem?.title || null,
+    size: it.orderItem?.variant?.sizeName || null,
+    color: it.orderItem?.variant?.colorName || null,
+    quantity: it.quantity,
+    scanned: Math.min(Number(scans[it.id] || 0), it.quantity),
+  }));
+  return {
+    id: shipment.id,
+    status: shipment.status,
+    warehouse: shipment.warehouse || null,
+    items,
+    units: items.reduce((s, i) => s + i.quantity, 0),
+    scanned: items.reduce((s, i) => s + i.scanned, 0),
+    complete: items.every((i) => i.scanned >= i.quantity),
+  };
+}
+
+/** The order a scanned code points at: order id, shipment id or order number (digits, e.g. "#1042"). */
+async function orderForCode(code) {
+  const c = String(code || "").trim();
+  if (!c) return null;
+  const select = { id: true, orderNumber: true, status: true, shippingRateId: true };
+
+  const byId = await prisma.order.findUnique({ where: { id: c }, select });
+  if (byId) return byId;
+  const shipment = await prisma.shipment.findUnique({ where: { id: c }, select: { orderId: true } });
+  if (shipment) return prisma.order.findUnique({ where: { id: shipment.orderId }, select });
+  const digits = c.replace(/\D+/g, "");
+  if (digits && digits.length < 10) {
+    return prisma.order.findUnique({ where: { orderNumber: Number(digits) }, select });
+  }
+  return null;
+}
+
+/**
+ * Load what there is to pack for a scanned order barcode. With `warehouseId`
+ * only that warehouse's parcels of a split order are returned.
+ * → { order, courier: { courierCode, serviceCode } | null, shipments: [packView] }
+ */
+export async function loadPackJob({ code, warehouseId = null }) {
+  const order = await orderForCode(code);
+  if (!order) throw packError("ORDER_NOT_FOUND", 404);
+  if (!["PLACED", "CONFIRMED"].includes(order.status)) {
+    throw packError("ORDER_NOT_SHIPPABLE", 409, { current: order.status });
+  }
+
+  const shipments = await prisma.shipment.findMany({
+    where: { orderId: order.id, status: "PENDING", ...(warehouseId ? { warehouseId } : {}) },
+    include: PACK_INCLUDE,
+    orderBy: { createdAt: "asc" },
+  });
+  if (!shipments.length) throw packError("NOTHING_TO_PACK", 409);
+
+  // the courier service behind the rate quoted at checkout, as the bench's default
+  const rate = order.shippingRateId
+    ? await prisma.shippingRate.findUnique({
+        where: { id: order.shippingRateId },
+        select: { service: { select: { code: true, courier: { select: { code: true } } } } },
+      })
+    : null;
+  const service = rate?.service;
+  return {
+    order: { id: order.id, orderNumber: order.orderNumber, status: order.status },
+    courier: service?.courier?.code ? { courierCode: service.courier.code, serviceCode: service.code } : null,
+    shipments: shipments.map(packView),
+  };
+}
+
+async function pendingShipment(shipmentId) {
+  const shipment = await prisma.shipment.findUnique({ where: { id: shipmentId }, include: PACK_INCLUDE });
+  if (!shipment) throw packError("SHIPMENT_NOT_FOUND", 404);
+  if (shipment.status !== "PENDING") throw packError("SHIPMENT_NOT_PENDING", 409, { current: shipment.status });
+  return shipment;
+}
+
+/**
+ * Verify one scanned unit (or `quantity` of them, for multi-packs typed in).
+ * → { shipment: packView, exception: null | { kind, sku, expectedSku } }
+ * A refused scan is logged and changes nothing on the parcel.
+ */
+export async function scanPackItem({ shipmentId, code, quantity = 1, actorId = null }) {
+  const scannedCode = String(code || "").trim();
+  const qty = Number(quantity);
+  if (!scannedCode) throw packError("CODE_REQUIRED", 400);
+  if (!Number.isInteger(qty) || qty < 1) throw packError("INVALID_QUANTITY", 400);
+
+  const shipment = await pendingShipment(shipmentId);
+  const scans = scansOf(shipment);
+  const matches = shipment.items.filter((it) => codesOf(it).includes(scannedCode));
+  const open = matches.find((it) => Number(scans[it.id] || 0) + qty <= it.quantity);
+
+  if (!open) {
+    let kind = "OVER_PICK";
+    let expected = matches[0] || null;
+    let variantId = expected?.orderItem?.variantId || null;
+    if (!matches.length) {
+      const variant = await prisma.productVariant.findFirst({
+        where: { OR: [{ sku: scannedCode }, { barcode: scannedCode }] },
+        select: { id: true, productId: true },
+      });
+      expected = variant ? shipment.items.find((it) => it.orderItem?.variant?.productId === variant.productId) : null;
+      kind = expected ? "WRONG_VARIANT" : "MISPICK";
+      variantId = variant?.id || null;
+    }
+    const exception = await prisma.packException.create({
+      data: {
+        shipmentId,
+        kind,
+        scannedCode,
+        variantId,
+        expectedSku: expected ? skuOf(expected) : null,
+        quantity: qty,
+        actorId,
+      },
+    });
+    return {
+      shipment: packView(shipment),
+      exception: { id: exception.id, kind, sku: scannedCode, expectedSku: exception.expectedSku },
+    };
+  }
+
+  const next = { ...scans, [open.id]: Number(scans[open.id] || 0) + qty };
+  // guard on the progress we read so two benches scanning one parcel cannot both count a unit
+  const { count } = await prisma.shipment.updateMany({
+    where: { id: shipmentId, status: "PENDING", updatedAt: shipment.updatedAt },
+    data: { packScans: next },
+  });
+  if (!count) throw packError("PACK_CONFLICT", 409);
+  return { shipment: packView({ ...shipment, packScans: next }), exception: null };
+}
+
+/** Start the parcel over (e.g. the box was emptied to re-check). */
+export async function resetPackScans({ shipmentId }) {
+  await pendingShipment(shipmentId);
+  await prisma.shipment.update({ where: { id: shipmentId }, data: { packScans: {} } });
+  return packView(await pendingShipment(shipmentId));
+}
+
+const positive = (v) => {
+  if (v == null || v === "") return null;
+  const x = Number(v);
+  return Number.isFinite(x) && x > 0 ? x : NaN;
+};
+
+/** Validate the confirm payload → [data, error]. Weight is required, dimensions optional. */
+export function parsePackage(body) {
+  const weightKg = positive(body?.weightKg);
+  if (weightKg == null) return [null, "WEIGHT_REQUIRED"];
+  if (Number.isNaN(weightKg) || weightKg > 100) return [null, "INVALID_WEIGHT"];
+  const dims = {};
+  for (const k of ["lengthCm", "widthCm", "heightCm"]) {
+    const v = positive(body?.[k]);
+    if (Number.isNaN(v) || v > 500) return [null, "INVALID_DIMENSIONS"];
+    dims[k] = v;
+  }
+  const courierCode = String(body?.courierCode || "").trim();
+  const serviceCode = String(body?.serviceCode || "").trim() || "STANDARD";
+  if (!courierCode) return [null, "COURIER_REQUIRED"];
+  return [{ weightKg, ...dims, courierCode, serviceCode }, null];
+}
+
+/**
+ * Confirm a fully scanned parcel: record weight / dimensions, book it with the
+ * courier (Shipment → LABEL_CREATED) and stamp who packed it. Units not scanned
+ * are logged as SHORT_PICK and the parcel stays PENDING.
+ */
+export async function confirmPack({ shipmentId, weightKg, lengthCm, widthCm, heightCm, courierCode, serviceCode, actorId = null }) {
+  const shipment = await pendingShipment(shipmentId);
+  const view = packView(shipment);
+
+  const missing = view.items
+    .filter((i) => i.scanned < i.quantity)
+    .map((i) => ({ sku: i.sku, quantity: i.quantity - i.scanned }));
+  if (missing.length) {
+    await prisma.packException.createMany({
+      data: missing.map((m) => ({ shipmentId, kind: "SHORT_PICK", expectedSku: m.sku, quantity: m.quantity, actorId })),
+    });
+    throw packError("SHORT_PICK", 409, { missing });
+  }
+
+  await prisma.shipment.update({ where: { id: shipmentId }, data: { weightKg, lengthCm, widthCm, heightCm } });
+
+  const booked = await bookShipment({
+    orderId: shipment.orderId,
+    shipmentId,
+    courierCode,
+    serviceCode,
+    weightKg,
+    meta: lengthCm && widthCm && heightCm ? { dimensionsCm: { length: lengthCm, width: widthCm, height: heightCm } } : undefined,
+    actorId,
+  });
+
+  const exceptions = await prisma.packException.count({ where: { shipmentId } });
+  await prisma.$transaction([
+    prisma.shipment.update({ where: { id: shipmentId }, data: { packedAt: new Date(), packedById: actorId } }),
+    prisma.orderEvent.create({
+      data: {
+        orderId: shipment.orderId,
+        kind: "SHIPMENT_PACKED",
+        message: `Packed ${view.units} unit(s), ${weightKg} kg${exceptions ? ` · ${exceptions} scan exception(s) caught` : ""}`,
+        metadata: { shipmentId, weightKg, lengthCm, widthCm, heightCm, exceptions },
+        actorId,
+        actorRole: actorId ? "admin" : "system",
+      },
+    }),
+  ]);
+
+  return { ...booked, packedAt: new Date(), packedById: actorId };
+}
+
+/**
+ * Pack exceptions since `since`: counts per kind, the SKUs most often
+ * mis-picked, and the latest entries.
+ */
+export async function packExceptionReport({ since = null, warehouseId = null, take = 100 } = {}) {
+  const where = {
+    ...(since ? { createdAt: { gte: since } } : {}),
+    ...(warehouseId ? { shipment: { warehouseId } } : {}),
+  };
+  const [byKind, bySku, latest] = await Promise.all([
+    prisma.packException.groupBy({ by: ["kind"], where, _sum: { quantity: true }, _count: { _all: true } }),
+    prisma.packException.groupBy({
+      by: ["expectedSku"],
+      where: { ...where, expectedSku: { not: null } },
+      _count: { _all: true },
+      orderBy: { _count: { expectedSku: "desc" } },
+      take: 20,
+    }),
+    prisma.packException.findMany({
+      where,
+      include: {
+        shipment: {
+          select: { id: true, order: { select: { id: true, orderNumber: true } }, warehouse: { select: { code: true } } },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+      take,
+    }),
+  ]);
+  return {
+    kinds: Object.fromEntries(
+      PACK_EXCEPTION_KINDS.map((k) => {
+        const row = byKind.find((r) => r.kind === k);
+        return [k, { events: row?._count._all || 0, units: row?._sum.quantity || 0 }];
+      })
+    ),
+    topSkus: bySku.map((r) => ({ sku: r.expectedSku, events: r._count._all })),
+    latest,
+  };
+}
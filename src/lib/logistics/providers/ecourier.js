@@ -13,6 +13,91 @@ function hdr() {
 const BASE = () => must("ECOURIER_BASE_URL"); // e.g., https://staging.ecourier.com.bd/api
 
 export const ecourier = {
+  code: "ECOURIER",
+  name: "eCourier",
+
+  // ── common contract ──
+  async createConsignment(c) {
+    const data = await ecourier.createLabel({
+      recipient_name: c.recipient.name,
+      recipient_mobile: c.recipient.phone,
+      recipient_city: c.meta?.city || c.recipient.city,
+      recipient_thana: c.meta?.thana || c.recipient.area,
+      recipient_area: c.meta?.area || c.recipient.area,
+      recipient_address: c.recipient.address,
+      recipient_zip: c.recipient.postalCode || "",
+      package_code: c.meta?.package_code || process.env.ECOURIER_PACKAGE_CODE,
+      product_price: c.codAmount,
+      payment_method: c.codAmount > 0 ? "COD" : "MPAY",
+      parcel_type: "BOX",
+      number_of_item: c.itemCount,
+      comments: c.note || "",
+      product_id: c.reference,
+    });
+    if (!data?.ID) throw new Error(data?.message || "ecourier_create_failed");
+    return {
+      consignmentId: String(data.ID),
+      trackingNumber: String(data.ID),
+      labelUrl: null,
+      fee: null,
+      raw: data,
+    };
+  },
+  async cancelConsignment({ trackingNumber, reason }) {
+    const data = await http(`${BASE()}/cancel-order`, {
+      method: "POST",
+      headers: hdr(),
+      body: JSON.stringify({ tracking: trackingNumber, comment: reason || "Cancelled by merchant" }),
+    });
+    return { ok: data?.success !== false, raw: data };
+  },
+  async trackConsignment({ trackingNumber }) {
+    const data = await ecourier.track({ ecr: trackingNumber });
+    const q = data?.query_data || {};
+    return { status: q.status?.[0] || q.last_status || null, raw: data };
+  },
+  trackingUrl: (trackingNumber) => `https://ecourier.com.bd/track/?ecr=${encodeURIComponent(trackingNumber)}`,
+  // Tracking ingestion (lib/logistics/tracking.js), keyed by status[0] wording.
+  statusMap: {
+    initiated: null,
+    received_at_pickup_hub: "IN_TRANSIT",
+    picked_up: "IN_TRANSIT",
+    received_at_hub: "IN_TRANSIT",
+    in_transit: "IN_TRANSIT",
+    received_at_destination_hub: "IN_TRANSIT",
+    out_for_delivery: "OUT_FOR_DELIVERY",
+    delivered: "DELIVERED",
+    partial_delivered: "DELIVERED",
+    on_hold: "FAILED",
+    undelivered: "FAILED",
+    returned: "RETURNED",
+    returned_to_merchant: "RETURNED",
+    cancelled: "CANCELLED",
+  },
+  parseWebhook(body) {
+    const id = body?.ecr || body?.tracking || body?.ID;
+    if (!id) return [];
+    return [{
+      consignmentId: String(id),
+      trackingNumber: String(id),
+      status: body.status,
+      at: body.time || body.updated_at || null,
+      note: body.comment || null,
+      location: body.location || null,
+      raw: body,
+    }];
+  },
+  async printLabel({ trackingNumber }) {
+    const data = await http(`${BASE()}/label-print`, {
+      method: "POST",
+      headers: hdr(),
+      body: JSON.stringify({ tracking: trackingNumber }),
+    });
+    return { labelUrl: data?.label || data?.url || null, raw: data };
+  },
+  codAmount: (amount) => Math.round(amount),
+
+  // ── provider-native helpers ──
   async createLabel(payload) {
     // maps 1:1 to eCourier "order-place" spec
     // ref. Place Order: POST /order-place  :contentReference[oaicite:5]{index=5}
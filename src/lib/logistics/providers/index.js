@@ -1,9 +1,63 @@
 // lib/logistics/providers/index.js
+//
+// Single courier registry, keyed by `Courier.code`. Adding a courier means one
+// adapter file here; /api/admin/orders/[id]/shipments and /api/logistics/*
+// both resolve through getCourierAdapter().
+//
+// Common contract (optional methods throw a 501 via unsupported() when absent):
+//   quote(c)                → { fee, raw }            (fallback: CourierService.baseFee)
+//   createConsignment(c)    → { consignmentId, trackingNumber, labelUrl, fee, raw }
+//   cancelConsignment(ref)  → { ok, raw }
+//   trackConsignment(ref)   → { status, raw }         (status = provider's own wording)
+//   printLabel(ref)         → { labelUrl, raw }
+//   codAmount(amount)       → amount the courier accepts (e.g. whole taka)
+//   createReturn(r)         → { consignmentId, trackingNumber, labelUrl, fee, raw }  reverse pickup (lib/rma.js)
+//   cancelReturn(ref)       → { ok, raw }             call off a booked reverse pickup
+//
+// Tracking ingestion (lib/logistics/tracking.js) additionally reads:
+//   statusMap               { lower_snake provider status → ShipmentStatus | null }
+//   parseWebhook(body)      → [{ consignmentId, trackingNumber, status, at, note, location, raw }]
+//   webhookAuthHeader       header carrying the shared secret (default x-webhook-secret)
+//   webhookAck()            → { status, headers } for providers that expect a special reply
+//   trackingUrl(number)     → courier's public tracking page (customer deep link)
+//
+// `c` is the normalized consignment built by lib/logistics/shipments.js:
+//   { reference, serviceCode, recipient: { name, phone, address, city, area, postalCode },
+//     codAmount, declaredValue, weightKg, itemCount, note, meta }
+// `meta` carries courier-specific ids (Pathao city/zone/area ids, REDX area id, …).
+// `ref` = { consignmentId, trackingNumber, reason? }
+// `r` = { reference, original: ref of the delivered parcel | null, sender (recipient-shaped
+//         customer), deliverTo: { name, address }, itemCount, reason }
+//
+// Provider-native helpers (createLabel/track with raw payloads, meta lists)
+// stay on each adapter for the label tool and meta routes.
 import { ecourier } from "./ecourier";
 import { pathao } from "./pathao";
 import { redx } from "./redx";
 import { steadfast } from "./steadfast";
 import { paperfly } from "./paperfly";
+import { manual } from "./manual";
+import { outstandingAmount } from "../utils";
 
+const registry = [ecourier, pathao, redx, steadfast, paperfly, manual];
+
+export const couriers = Object.fromEntries(registry.map((a) => [a.code, a]));
+
+// Legacy lowercase map used by /api/logistics/{labels,track}/[provider]
 export const providers = { ecourier, pathao, redx, steadfast, paperfly };
 export const supported = Object.keys(providers);
+
+export function getCourierAdapter(code) {
+  return couriers[String(code || "").trim().toUpperCase()] || null;
+}
+
+export function isSupportedCourier(code) {
+  return !!getCourierAdapter(code);
+}
+
+/** COD the given courier should collect for this order (payments must be loaded). */
+export function codAmountFor(code, order) {
+  const adapter = getCourierAdapter(code);
+  const due = outstandingAmount(order);
+  return adapter?.codAmount ? adapter.codAmount(due) : due;
+}
@@ -0,0 +1,26 @@
+// lib/logistics/providers/manual.js
+// In-house / walk-in delivery: nothing to call, we mint our own tracking number.
+
+export const manual = {
+  code: "MANUAL",
+  name: "In-house delivery",
+
+  async createConsignment(c) {
+    const tracking = `TDLS-${c.reference}-${Math.floor(Math.random() * 1e6)
+      .toString()
+      .padStart(6, "0")}`;
+    return { consignmentId: tracking, trackingNumber: tracking, labelUrl: null, fee: null, raw: null };
+  },
+  async cancelConsignment() {
+    return { ok: true, raw: null };
+  },
+  async createReturn(r) {
+    const tracking = `TDLS-R${r.reference}-${Math.floor(Math.random() * 1e6)
+      .toString()
+      .padStart(6, "0")}`;
+    return { consignmentId: tracking, trackingNumber: tracking, labelUrl: null, fee: null, raw: null };
+  },
+  async cancelReturn() {
+    return { ok: true, raw: null };
+  },
+};
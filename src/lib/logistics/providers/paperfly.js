@@ -14,6 +14,80 @@ function hdr() {
 }
 
 export const paperfly = {
+  code: "PAPERFLY",
+  name: "Paperfly",
+
+  // ── common contract ──
+  async createConsignment(c) {
+    const data = await paperfly.createLabel({
+      merOrderRef: c.reference,
+      pickMerchantName: process.env.PAPERFLY_PICKUP_NAME || "TDLS",
+      pickMerchantAddress: process.env.PAPERFLY_PICKUP_ADDRESS || "",
+      pickMerchantThana: process.env.PAPERFLY_PICKUP_THANA || "",
+      pickMerchantDistrict: process.env.PAPERFLY_PICKUP_DISTRICT || "",
+      pickupMerchantPhone: process.env.PAPERFLY_PICKUP_PHONE || "",
+      productSizeWeight: "standard",
+      productBrief: c.note || "Apparel",
+      packagePrice: c.codAmount,
+      deliveryOption: c.serviceCode === "EXPRESS" ? "express" : "regular",
+      custname: c.recipient.name,
+      custaddress: c.recipient.address,
+      customerThana: c.meta?.thana || c.recipient.area || "",
+      customerDistrict: c.meta?.district || c.recipient.city || "",
+      custPhone: c.recipient.phone,
+      max_weight: String(c.weightKg || 1),
+    });
+    const tracking = data?.success?.tracking_number || data?.tracking_number;
+    if (!tracking) throw new Error("paperfly_create_failed");
+    return {
+      consignmentId: String(tracking),
+      trackingNumber: String(tracking),
+      labelUrl: data?.label_url || null,
+      fee: null,
+      raw: data,
+    };
+  },
+  async trackConsignment({ trackingNumber }) {
+    const data = await paperfly.track({ tracking_number: trackingNumber });
+    const rows = data?.success?.trackingStatus || [];
+    const latest = Array.isArray(rows) && rows.length ? rows[rows.length - 1] : null;
+    return { status: latest?.status || data?.status || null, raw: data };
+  },
+  trackingUrl: (trackingNumber) => `https://go.paperfly.com.bd/track/order/${encodeURIComponent(trackingNumber)}`,
+  // Tracking ingestion (lib/logistics/tracking.js), keyed by trackingStatus wording.
+  statusMap: {
+    order_placed: null,
+    pick: "IN_TRANSIT",
+    picked: "IN_TRANSIT",
+    in_transit: "IN_TRANSIT",
+    received_at_point: "IN_TRANSIT",
+    shuttle: "IN_TRANSIT",
+    out_for_delivery: "OUT_FOR_DELIVERY",
+    assigned_for_delivery: "OUT_FOR_DELIVERY",
+    delivered: "DELIVERED",
+    partial_delivered: "DELIVERED",
+    on_hold: "FAILED",
+    delivery_failed: "FAILED",
+    return: "RETURNED",
+    returned: "RETURNED",
+    returned_to_merchant: "RETURNED",
+    cancelled: "CANCELLED",
+  },
+  parseWebhook(body) {
+    const id = body?.tracking_number || body?.trackingNumber;
+    if (!id) return [];
+    return [{
+      consignmentId: String(id),
+      trackingNumber: String(id),
+      status: body.status || body.orderStatus,
+      at: body.updated_at || body.dateTime || null,
+      note: body.comment || null,
+      location: body.location || body.pointName || null,
+      raw: body,
+    }];
+  },
+
+  // ── provider-native helpers ──
   async createLabel(payload) {
     // SDK’s create fields (merOrderRef, pickMerchantName, ..., custname, custPhone, etc.)  :contentReference[oaicite:21]{index=21}
     return http(`${BASE()}/order`, { method: "POST", headers: hdr(), body: JSON.stringify(payload) });
@@ -1,6 +1,9 @@
 // lib/logistics/providers/pathao.js
 import { must, http } from "../../logistics/utils";
 
+// Pathao delivery_type: 48 = normal, 12 = on-demand (express). item_type: 2 = parcel.
+const DELIVERY_TYPE = { STANDARD: 48, EXPRESS: 12 };
+
 const BASE = () => must("PATHAO_BASE_URL"); // e.g. https://hermes-api.p-stageenv.xyz/aladdin/api/v1  :contentReference[oaicite:10]{index=10}
 
 let tokenCache = { access_token: null, exp: 0 };
@@ -27,6 +30,105 @@ async function token() {
 function authHdr(t) { return { Authorization: `Bearer ${t}`, "Content-Type": "application/json" }; }
 
 export const pathao = {
+  code: "PATHAO",
+  name: "Pathao Courier",
+
+  // ── common contract ──
+  async quote(c) {
+    const t = await token();
+    const data = await http(`${BASE()}/merchant/price-plan`, {
+      method: "POST",
+      headers: authHdr(t),
+      body: JSON.stringify({
+        store_id: Number(c.meta?.store_id || must("PATHAO_STORE_ID")),
+        item_type: 2,
+        delivery_type: DELIVERY_TYPE[c.serviceCode] || DELIVERY_TYPE.STANDARD,
+        item_weight: c.weightKg || 0.5,
+        recipient_city: Number(c.meta?.city_id),
+        recipient_zone: Number(c.meta?.zone_id),
+      }),
+    });
+    const d = data?.data || {};
+    return { fee: Number(d.final_price ?? d.price ?? 0), raw: data };
+  },
+  async createConsignment(c) {
+    const data = await pathao.createLabel({
+      store_id: Number(c.meta?.store_id || must("PATHAO_STORE_ID")),
+      merchant_order_id: c.reference,
+      recipient_name: c.recipient.name,
+      recipient_phone: c.recipient.phone,
+      recipient_address: c.recipient.address,
+      recipient_city: c.meta?.city_id ? Number(c.meta.city_id) : undefined,
+      recipient_zone: c.meta?.zone_id ? Number(c.meta.zone_id) : undefined,
+      recipient_area: c.meta?.area_id ? Number(c.meta.area_id) : undefined,
+      delivery_type: DELIVERY_TYPE[c.serviceCode] || DELIVERY_TYPE.STANDARD,
+      item_type: 2,
+      item_quantity: c.itemCount,
+      item_weight: c.weightKg || 0.5,
+      amount_to_collect: c.codAmount,
+      special_instruction: c.note || undefined,
+    });
+    const d = data?.data || {};
+    if (!d.consignment_id) throw new Error("pathao_create_failed");
+    return {
+      consignmentId: String(d.consignment_id),
+      trackingNumber: String(d.consignment_id),
+      labelUrl: null,
+      fee: d.delivery_fee != null ? Number(d.delivery_fee) : null,
+      raw: data,
+    };
+  },
+  async trackConsignment({ consignmentId, trackingNumber }) {
+    const data = await pathao.track({ consignment_id: consignmentId || trackingNumber });
+    const d = data?.data || {};
+    return { status: d.order_status || null, raw: data };
+  },
+  trackingUrl: (trackingNumber) => `https://merchant.pathao.com/tracking?consignment_id=${encodeURIComponent(trackingNumber)}`,
+  // Tracking ingestion (lib/logistics/tracking.js). Keys are order_status / event
+  // names normalized to lower_snake; unmapped wording is recorded but moves nothing.
+  statusMap: {
+    pickup_requested: null,
+    assigned_for_pickup: null,
+    pickup_cancelled: "CANCELLED",
+    pickup_failed: null,
+    picked: "IN_TRANSIT",
+    at_the_sorting_hub: "IN_TRANSIT",
+    in_transit: "IN_TRANSIT",
+    received_at_last_mile_hub: "IN_TRANSIT",
+    assigned_for_delivery: "OUT_FOR_DELIVERY",
+    delivered: "DELIVERED",
+    partial_delivery: "DELIVERED",
+    delivery_failed: "FAILED",
+    on_hold: "FAILED",
+    return: "RETURNED",
+    returned: "RETURNED",
+    paid_return: "RETURNED",
+    exchange: "DELIVERED",
+  },
+  webhookAuthHeader: "x-pathao-signature",
+  // Pathao's webhook integration check expects 202 + the integration secret echoed back.
+  webhookAck: () => ({
+    status: 202,
+    headers: process.env.PATHAO_WEBHOOK_INTEGRATION_SECRET
+      ? { "X-Pathao-Merchant-Webhook-Integration-Secret": process.env.PATHAO_WEBHOOK_INTEGRATION_SECRET }
+      : {},
+  }),
+  parseWebhook(body) {
+    if (!body?.consignment_id || body.event === "webhook_integration") return [];
+    return [{
+      consignmentId: String(body.consignment_id),
+      trackingNumber: String(body.consignment_id),
+      status: body.order_status || String(body.event || "").replace(/^order\./, ""),
+      at: body.updated_at || body.timestamp || null,
+      note: body.reason || null,
+      location: null,
+      raw: body,
+    }];
+  },
+  // Whole taka only.
+  codAmount: (amount) => Math.round(amount),
+
+  // ── provider-native helpers ──
   async createLabel(payload) {
     const t = await token();
     // Pathao create order fields (store_id, merchant_order_id, recipient/addr + city_id/zone_id/area_id etc.)  :contentReference[oaicite:11]{index=11}
@@ -7,6 +7,95 @@ const BASE = () => must("REDX_BASE_URL"); // e.g., https://openapi.redx.com.bd/v
 function hdr() { return { Authorization: `Bearer ${must("REDX_ACCESS_TOKEN")}`, "Content-Type": "application/json" }; }
 
 export const redx = {
+  code: "REDX",
+  name: "REDX",
+
+  // ── common contract ──
+  async quote(c) {
+    const qs = new URLSearchParams({
+      delivery_area_id: String(c.meta?.delivery_area_id || ""),
+      pickup_area_id: String(c.meta?.pickup_area_id || process.env.REDX_PICKUP_AREA_ID || ""),
+      cash_collection_amount: String(c.codAmount || 0),
+      weight: String(Math.round((c.weightKg || 0.5) * 1000)),
+    });
+    const data = await http(`${BASE()}/charge/charge_calculator?${qs}`, { headers: hdr() });
+    return { fee: Number(data?.deliveryCharge || 0) + Number(data?.codCharge || 0), raw: data };
+  },
+  async createConsignment(c) {
+    const data = await redx.createLabel({
+      customer_name: c.recipient.name,
+      customer_phone: c.recipient.phone,
+      delivery_area: c.meta?.delivery_area || c.recipient.area || c.recipient.city,
+      delivery_area_id: c.meta?.delivery_area_id ? Number(c.meta.delivery_area_id) : undefined,
+      customer_address: c.recipient.address,
+      merchant_invoice_id: c.reference,
+      cash_collection_amount: c.codAmount,
+      parcel_weight: Math.round((c.weightKg || 0.5) * 1000), // grams
+      value: c.declaredValue,
+      instruction: c.note || "",
+      pickup_store_id: c.meta?.pickup_store_id ? Number(c.meta.pickup_store_id) : undefined,
+    });
+    if (!data?.tracking_id) throw new Error("redx_create_failed");
+    return {
+      consignmentId: String(data.tracking_id),
+      trackingNumber: String(data.tracking_id),
+      labelUrl: data?.label_url || null,
+      fee: null,
+      raw: data,
+    };
+  },
+  async cancelConsignment({ trackingNumber, reason }) {
+    const data = await http(`${BASE()}/parcels`, {
+      method: "PATCH",
+      headers: hdr(),
+      body: JSON.stringify({
+        entity_type: "parcel-tracking-id",
+        entity_id: trackingNumber,
+        update_details: { property_name: "status", new_value: "cancelled", reason: reason || "" },
+      }),
+    });
+    return { ok: true, raw: data };
+  },
+  async trackConsignment({ trackingNumber }) {
+    const data = await http(`${BASE()}/parcel/info/${encodeURIComponent(trackingNumber)}`, {
+      headers: hdr(),
+    });
+    return { status: data?.parcel?.status || null, raw: data };
+  },
+  trackingUrl: (trackingNumber) => `https://redx.com.bd/track-parcel/?trackingId=${encodeURIComponent(trackingNumber)}`,
+  // Tracking ingestion (lib/logistics/tracking.js), keyed by normalized parcel status.
+  statusMap: {
+    pickup_pending: null,
+    ready_for_delivery: null,
+    picked_up: "IN_TRANSIT",
+    in_transit: "IN_TRANSIT",
+    received_at_hub: "IN_TRANSIT",
+    delivery_in_progress: "OUT_FOR_DELIVERY",
+    agent_area_change: "IN_TRANSIT",
+    delivered: "DELIVERED",
+    partial_delivered: "DELIVERED",
+    hold: "FAILED",
+    agent_hold: "FAILED",
+    agent_returning: "FAILED",
+    returned: "RETURNED",
+    cancelled: "CANCELLED",
+  },
+  parseWebhook(body) {
+    const id = body?.tracking_number || body?.tracking_id;
+    if (!id) return [];
+    return [{
+      consignmentId: String(id),
+      trackingNumber: String(id),
+      status: body.status,
+      at: body.timestamp || null,
+      note: body.message_en || null,
+      location: null,
+      raw: body,
+    }];
+  },
+  codAmount: (amount) => Math.round(amount),
+
+  // ── provider-native helpers ──
   async createLabel(payload) {
     // Create parcel (Redx wording “parcel”)
     return http(`${BASE()}/parcel`, { method: "POST", headers: hdr(), body: JSON.stringify(payload) });
@@ -13,10 +13,93 @@ function hdr() {
 }
 
 export const steadfast = {
+  code: "STEADFAST",
+  name: "Steadfast Courier",
+
+  // ── common contract ──
+  async createConsignment(c) {
+    const data = await steadfast.createLabel({
+      invoice: c.reference,
+      recipient_name: c.recipient.name,
+      recipient_phone: c.recipient.phone,
+      recipient_address: [c.recipient.address, c.recipient.area, c.recipient.city, c.recipient.postalCode]
+        .filter(Boolean)
+        .join(", "),
+      cod_amount: c.codAmount,
+      note: c.note || "",
+    });
+    const d = data?.consignment || {};
+    if (!d.consignment_id && !d.tracking_code) throw new Error("steadfast_create_failed");
+    return {
+      consignmentId: String(d.consignment_id || d.tracking_code),
+      trackingNumber: String(d.tracking_code || d.consignment_id),
+      labelUrl: null,
+      fee: null,
+      raw: data,
+    };
+  },
+  async trackConsignment({ trackingNumber }) {
+    const data = await steadfast.track({ tracking_code: trackingNumber });
+    return { status: data?.delivery_status || null, raw: data };
+  },
+  trackingUrl: (trackingNumber) => `https://steadfast.com.bd/t/${encodeURIComponent(trackingNumber)}`,
+  // Tracking ingestion (lib/logistics/tracking.js), keyed by delivery_status.
+  statusMap: {
+    pending: null,
+    in_review: null,
+    unknown: null,
+    hold: "FAILED",
+    delivered_approval_pending: "DELIVERED",
+    partial_delivered_approval_pending: "DELIVERED",
+    cancelled_approval_pending: "FAILED",
+    delivered: "DELIVERED",
+    partial_delivered: "DELIVERED",
+    cancelled: "RETURNED",
+    in_transit: "IN_TRANSIT",
+  },
+  // Steadfast sends the callback token as `Authorization: Bearer <token>`.
+  webhookAuthHeader: "authorization",
+  parseWebhook(body) {
+    if (!body?.consignment_id && !body?.tracking_code) return [];
+    return [{
+      consignmentId: body.consignment_id != null ? String(body.consignment_id) : null,
+      trackingNumber: body.tracking_code ? String(body.tracking_code) : null,
+      // tracking_update notifications carry only a message; keep the last known wording.
+      status: body.status || body.delivery_status || null,
+      at: body.updated_at || null,
+      note: body.tracking_message || null,
+      location: null,
+      raw: body,
+    }];
+  },
+  codAmount: (amount) => Math.round(amount),
+  // Steadfast collects returns against the original consignment; the request id is the reference.
+  async createReturn(r) {
+    if (!r.original?.consignmentId && !r.original?.trackingNumber) throw new Error("steadfast_return_needs_consignment");
+    const data = await steadfast.returnRequest({
+      ...(r.original.consignmentId
+        ? { consignment_id: r.original.consignmentId }
+        : { tracking_code: r.original.trackingNumber }),
+      reason: r.reason || "Customer return",
+    });
+    if (!data?.id) throw new Error("steadfast_return_failed");
+    return {
+      consignmentId: String(data.id),
+      trackingNumber: r.original.trackingNumber || r.original.consignmentId,
+      labelUrl: null,
+      fee: null,
+      raw: data,
+    };
+  },
+
+  // ── provider-native helpers ──
   async createLabel(payload) {
     // “place order” — the Laravel package wraps this; HTTP is POST /create-order   :contentReference[oaicite:18]{index=18}
     return http(`${BASE()}/create-order`, { method: "POST", headers: hdr(), body: JSON.stringify(payload) });
   },
+  async returnRequest(payload) {
+    return http(`${BASE()}/create_return_request`, { method: "POST", headers: hdr(), body: JSON.stringify(payload) });
+  },
   async track({ tracking_code }) {
     // Check status by tracking code (per package docs)   :contentReference[oaicite:19]{index=19}
     return http(`${BASE()}/status-by-tracking-code/${encodeURIComponent(tracking_code)}`, { headers: hdr() });
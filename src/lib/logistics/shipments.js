@@ -0,0 +1,286 @@
+// lib/logistics/shipments.js
+// Shipment operations on top of the courier registry: every route that books,
+// cancels, tracks or prints a label goes through here, so they all behave the
+// same for every courier.
+import prisma from "@/lib/prisma";
+import { getCourierAdapter, codAmountFor } from "@/lib/logistics/providers";
+import { unsupported } from "@/lib/logistics/utils";
+import { emitWebhookEvent, shipmentWebhookData } from "@/lib/webhooks";
+
+const ORDER_INCLUDE = {
+  items: { select: { quantity: true, title: true } },
+  payments: { select: { provider: true, status: true, amount: true } },
+  shippingAddress: true,
+  user: { select: { name: true, phone: true } },
+};
+
+const SHIPMENT_INCLUDE = { courier: true, service: true };
+
+function resolveAdapter(code) {
+  const adapter = getCourierAdapter(code);
+  if (!adapter) {
+    const err = new Error("unsupported_courier");
+    err.status = 400;
+    throw err;
+  }
+  return adapter;
+}
+
+function ref(shipment, extra = {}) {
+  return {
+    consignmentId: shipment.consignmentId || shipment.trackingNumber,
+    trackingNumber: shipment.trackingNumber || shipment.consignmentId,
+    ...extra,
+  };
+}
+
+/**
+ * Normalized consignment for adapters (see lib/logistics/providers/index.js).
+ * Courier-specific ids come from `meta` or the address' granular.couriers[code].
+ */
+export function buildConsignment(order, { courierCode, serviceCode, weightKg, note, meta, itemCount } = {}) {
+  const a = order.shippingAddress || {};
+  const md = order.metadata && typeof order.metadata === "object" ? order.metadata : {};
+  const code = String(courierCode || "").toUpperCase();
+  const addressMeta = a.granular?.couriers?.[code] || a.granular?.couriers?.[code.toLowerCase()] || {};
+
+  return {
+    reference: String(order.orderNumber ?? order.id),
+    serviceCode: String(serviceCode || "STANDARD").toUpperCase(),
+    recipient: {
+      name: md.contactName || order.user?.name || "Customer",
+      phone: a.phone || md.contactPhone || order.user?.phone || "",
+      address: [a.line1, a.line2].filter(Boolean).join(", "),
+      city: a.city || a.adminLevel2 || "",
+      area: a.adminLevel3 || a.locality || a.sublocality || "",
+      postalCode: a.postalCode || "",
+    },
+    codAmount: codAmountFor(code, order),
+    declaredValue: Number(order.grandTotal || 0),
+    weightKg: weightKg != null ? Number(weightKg) : null,
+    itemCount: itemCount || (order.items || []).reduce((sum, i) => sum + Number(i.quantity || 0), 0) || 1,
+    note: note || `Order #${order.orderNumber}`,
+    meta: { ...addressMeta, ...(meta || {}) },
+  };
+}
+
+/** Ensure Courier/CourierService rows exist for a registry code. */
+async function ensureCourierRows(tx, adapter, serviceCode) {
+  let courier = await tx.courier.findUnique({ where: { code: adapter.code } });
+  if (!courier) {
+    courier = await tx.courier.create({ data: { code: adapter.code, name: adapter.name } });
+  }
+
+  let service = await tx.courierService.findFirst({
+    where: { courierId: courier.id, code: serviceCode },
+  });
+  if (!service) {
+    service = await tx.courierService.create({
+      data: {
+        courierId: courier.id,
+        code: serviceCode,
+        name: serviceCode.toUpperCase(),
+        baseFee: 0,
+        isActive: true,
+      },
+    });
+  }
+  return { courier, service };
+}
+
+/**
+ * Price a delivery. Couriers without a rate API fall back to CourierService.baseFee.
+ */
+export async function quoteShipment({ orderId, courierCode, serviceCode = "STANDARD", weightKg, meta }) {
+  const adapter = resolveAdapter(courierCode);
+  const order = await prisma.order.findUnique({ where: { id: orderId }, include: ORDER_INCLUDE });
+  if (!order) throw new Error("order_not_found");
+
+  const c = buildConsignment(order, { courierCode, serviceCode, weightKg, meta });
+
+  if (typeof adapter.quote === "function") {
+    const q = await adapter.quote(c);
+    return { courierCode: adapter.code, serviceCode: c.serviceCode, fee: q.fee, codAmount: c.codAmount, source: "provider", raw: q.raw };
+  }
+
+  const service = await prisma.courierService.findFirst({
+    where: { code: c.serviceCode, courier: { code: adapter.code }, isActive: true },
+  });
+  return {
+    courierCode: adapter.code,
+    serviceCode: c.serviceCode,
+    fee: service ? Number(service.baseFee) : null,
+    codAmount: c.codAmount,
+    source: "base_fee",
+  };
+}
+
+function shipmentError(code, status) {
+  const err = new Error(code);
+  err.status = status;
+  return err;
+}
+
+/**
+ * The allocated (PENDING) shipment a booking fills: the one asked for, else the
+ * order's pending one for `warehouseId`, else its only pending one. Null when
+ * the order has none (placed before allocation) and the booking creates it.
+ */
+async function pendingShipmentFor({ orderId, shipmentId, warehouseId }) {
+  if (shipmentId) {
+    const s = await prisma.shipment.findUnique({ where: { id: shipmentId }, include: { items: true } });
+    if (!s || s.orderId !== orderId) throw shipmentError("shipment_not_found", 404);
+    if (s.status !== "PENDING") throw shipmentError("shipment_already_booked", 409);
+    return s;
+  }
+  const pending = await prisma.shipment.findMany({
+    where: { orderId, status: "PENDING", ...(warehouseId ? { warehouseId } : {}) },
+    include: { items: true },
+  });
+  // split order: the caller has to say which parcel this booking is for
+  if (pending.length > 1) throw shipmentError("shipment_required", 400);
+  return pending[0] || null;
+}
+
+/**
+ * Book a consignment with the courier and record the Shipment (LABEL_CREATED),
+ * filling the allocated PENDING shipment when there is one. On a split order
+ * the COD amount is collected by the first parcel booked; the others carry 0.
+ * Nothing is written when the courier refuses the booking.
+ */
+export async function bookShipment({
+  orderId,
+  shipmentId = null,
+  courierCode,
+  serviceCode = "STANDARD",
+  weightKg,
+  note,
+  meta,
+  warehouseId = null,
+  actorId = null,
+}) {
+  const adapter = resolveAdapter(courierCode);
+  const order = await prisma.order.findUnique({ where: { id: orderId }, include: ORDER_INCLUDE });
+  if (!order) throw new Error("order_not_found");
+  if (!["PLACED", "CONFIRMED"].includes(order.status)) throw shipmentError("order_not_shippable", 409);
+
+  const pending = await pendingShipmentFor({ orderId, shipmentId, warehouseId });
+  const itemCount = pending?.items?.reduce((sum, i) => sum + i.quantity, 0) || undefined;
+  const c = buildConsignment(order, { courierCode, serviceCode, weightKg, note, meta, itemCount });
+
+  const codElsewhere = await prisma.shipment.count({
+    where: {
+      orderId,
+      ...(pending ? { id: { not: pending.id } } : {}),
+      codAmount: { gt: 0 },
+      status: { notIn: ["CANCELLED", "RETURNED"] },
+    },
+  });
+  if (codElsewhere) c.codAmount = 0;
+
+  const booked = await adapter.createConsignment(c);
+
+  const shipment = await prisma.$transaction(async (tx) => {
+    const { courier, service } = await ensureCourierRows(tx, adapter, c.serviceCode);
+
+    const data = {
+      warehouseId: pending?.warehouseId ?? warehouseId,
+      courierId: courier.id,
+      courierServiceId: service.id,
+      status: "LABEL_CREATED",
+      trackingNumber: booked.trackingNumber,
+      consignmentId: booked.consignmentId,
+      labelUrl: booked.labelUrl,
+      codAmount: c.codAmount,
+      providerPayload: booked.raw ?? undefined,
+    };
+    const shipment = pending
+      ? await tx.shipment.update({ where: { id: pending.id }, data, include: SHIPMENT_INCLUDE })
+      : await tx.shipment.create({ data: { orderId, ...data }, include: SHIPMENT_INCLUDE });
+
+    await tx.orderEvent.create({
+      data: {
+        orderId,
+        kind: "SHIPMENT_BOOKED",
+        message: `Shipment booked with ${courier.code}/${service.code} → ${booked.trackingNumber}`,
+        metadata: {
+          courierCode: courier.code,
+          serviceCode: service.code,
+          shipmentId: shipment.id,
+          trackingNumber: booked.trackingNumber,
+          codAmount: c.codAmount,
+        },
+        actorId,
+        actorRole: actorId ? "admin" : "system",
+      },
+    });
+
+    return shipment;
+  });
+
+  await emitWebhookEvent("shipment.updated", shipmentWebhookData(shipment));
+  return shipment;
+}
+
+async function loadShipment(shipmentId) {
+  const shipment = await prisma.shipment.findUnique({
+    where: { id: shipmentId },
+    include: SHIPMENT_INCLUDE,
+  });
+  if (!shipment) throw new Error("shipment_not_found");
+  return { shipment, adapter: resolveAdapter(shipment.courier?.code) };
+}
+
+export async function cancelShipment({ shipmentId, reason, actorId = null }) {
+  const { shipment, adapter } = await loadShipment(shipmentId);
+  if (["DELIVERED", "RETURNED", "CANCELLED"].includes(shipment.status)) {
+    throw new Error("shipment_already_closed");
+  }
+  if (typeof adapter.cancelConsignment !== "function") throw unsupported(adapter.code, "cancel");
+
+  const res = await adapter.cancelConsignment(ref(shipment, { reason }));
+  if (!res.ok) throw new Error(`${adapter.code.toLowerCase()}_cancel_failed`);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const updated = await tx.shipment.update({
+      where: { id: shipment.id },
+      data: { status: "CANCELLED" },
+      include: SHIPMENT_INCLUDE,
+    });
+    await tx.orderEvent.create({
+      data: {
+        orderId: shipment.orderId,
+        kind: "SHIPMENT_CANCELLED",
+        message: `Consignment ${shipment.trackingNumber} cancelled with ${adapter.code}`,
+        metadata: { shipmentId: shipment.id, reason: reason || null },
+        actorId,
+        actorRole: actorId ? "admin" : "system",
+      },
+    });
+    return updated;
+  });
+
+  await emitWebhookEvent("shipment.updated", shipmentWebhookData(updated));
+  return updated;
+}
+
+/** Live courier status (provider wording) for a shipment; read-only. */
+export async function trackShipment({ shipmentId }) {
+  const { shipment, adapter } = await loadShipment(shipmentId);
+  if (typeof adapter.trackConsignment !== "function") throw unsupported(adapter.code, "track");
+  const t = await adapter.trackConsignment(ref(shipment));
+  return { shipment, courierCode: adapter.code, providerStatus: t.status, raw: t.raw };
+}
+
+/** Courier label URL; fetched once from the provider and cached on the Shipment. */
+export async function shipmentLabel({ shipmentId }) {
+  const { shipment, adapter } = await loadShipment(shipmentId);
+  if (shipment.labelUrl) return { labelUrl: shipment.labelUrl, shipment };
+  if (typeof adapter.printLabel !== "function") throw unsupported(adapter.code, "label");
+
+  const { labelUrl } = await adapter.printLabel(ref(shipment));
+  if (labelUrl) {
+    await prisma.shipment.update({ where: { id: shipment.id }, data: { labelUrl } });
+  }
+  return { labelUrl: labelUrl || null, shipment };
+}
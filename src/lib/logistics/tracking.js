@@ -0,0 +1,420 @@
+// lib/logistics/tracking.js
+// Courier tracking ingestion. Webhooks (/api/logistics/webhooks/[provider]),
+// the polling sweep (job "shipment.track-sweep") and manual updates all land in
+// ingestTracking(), which records the courier's own wording as a
+// ShipmentTrackingEvent, moves Shipment.status along SHIPMENT_FLOW, writes an
+// OrderEvent, notifies the customer (in-app, plus SMS / WhatsApp for pickup,
+// out for delivery and delivered) and rolls the order's fulfilment forward.
+// Support reads trackingTimeline() from the DB; it never calls the courier.
+import crypto from "node:crypto";
+import prisma from "@/lib/prisma";
+import { getCourierAdapter } from "@/lib/logistics/providers";
+import { emitWebhookEvent, shipmentWebhookData } from "@/lib/webhooks";
+import { tryOrderEvent, runOrderEffects } from "@/lib/order-transitions";
+import { sendCustomerMessage } from "@/lib/customer-messages";
+
+/** Allowed Shipment.status moves from courier updates (from → [to]). */
+export const SHIPMENT_FLOW = {
+  PENDING: [],
+  LABEL_CREATED: ["IN_TRANSIT", "OUT_FOR_DELIVERY", "DELIVERED", "FAILED", "RETURNED", "CANCELLED"],
+  IN_TRANSIT: ["OUT_FOR_DELIVERY", "DELIVERED", "FAILED", "RETURNED"],
+  OUT_FOR_DELIVERY: ["IN_TRANSIT", "DELIVERED", "FAILED", "RETURNED"],
+  FAILED: ["IN_TRANSIT", "OUT_FOR_DELIVERY", "DELIVERED", "RETURNED"],
+  DELIVERED: [],
+  RETURNED: [],
+  CANCELLED: [],
+};
+
+/** Statuses the sweep keeps polling. */
+export const TRACKABLE = ["LABEL_CREATED", "IN_TRANSIT", "OUT_FOR_DELIVERY", "FAILED"];
+
+const SHIPMENT_INCLUDE = {
+  courier: true,
+  service: true,
+  order: { select: { id: true, orderNumber: true, userId: true } },
+};
+
+// Customer-facing copy per status; statuses without copy notify nobody.
+const STATUS_COPY = {
+  IN_TRANSIT: { title: "is on its way", body: "The courier has picked up your parcel." },
+  OUT_FOR_DELIVERY: { title: "is out for delivery", body: "Your parcel is with the delivery agent today." },
+  DELIVERED: { title: "has been delivered", body: "Your parcel has been delivered. Enjoy!" },
+  FAILED: { title: "could not be delivered", body: "The courier could not complete delivery and will try again." },
+  RETURNED: { title: "is being returned", body: "Your parcel is on its way back to us. We will be in touch." },
+};
+
+// Statuses that also text the customer (lib/customer-messages.js), once per parcel.
+const STATUS_MESSAGE = {
+  IN_TRANSIT: "order_shipped",
+  OUT_FOR_DELIVERY: "order_out_for_delivery",
+  DELIVERED: "order_delivered",
+};
+
+function trackingError(code, status, extra = {}) {
+  const err = new Error(code);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+/** "Delivered Approval Pending" / "delivered-approval-pending" → "delivered_approval_pending" */
+export function normalizeProviderStatus(s) {
+  return String(s || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/** Provider wording → ShipmentStatus, or null when it does not move the parcel. */
+export function mapProviderStatus(adapter, s) {
+  const key = normalizeProviderStatus(s);
+  if (!key) return null;
+  return adapter?.statusMap?.[key] ?? null;
+}
+
+function parseAt(v) {
+  if (!v) return null;
+  const d = new Date(typeof v === "number" && v < 1e12 ? v * 1000 : v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+const orderLabel = (order) => (order?.orderNumber ? `#${order.orderNumber}` : order?.id);
+
+/**
+ * Record courier updates for one shipment (loaded with SHIPMENT_INCLUDE).
+ * updates = [{ status, at, note, location, raw }] in provider wording.
+ * → { shipment, recorded, moved: [{ from, to }] }
+ */
+export async function ingestTracking({ shipment, updates, source = "POLL", actorId = null }) {
+  const adapter = getCourierAdapter(shipment.courier?.code);
+  const now = new Date();
+  const rows = (updates || [])
+    .map((u) => ({ ...u, providerStatus: String(u?.status || "").trim(), occurredAt: parseAt(u?.at) }))
+    .filter((u) => u.providerStatus)
+    .sort((a, b) => (a.occurredAt?.getTime() ?? now.getTime()) - (b.occurredAt?.getTime() ?? now.getTime()));
+
+  const { current, recorded, moved } = await prisma.$transaction(async (tx) => {
+    let current = shipment;
+    let recorded = 0;
+    const moved = [];
+
+    for (const u of rows) {
+      // Undated repeats (every poll, webhook retries) carry no news.
+      if (!u.occurredAt && u.providerStatus === current.providerStatus) continue;
+      const occurredAt = u.occurredAt || now;
+      const mapped =
+        source === "MANUAL" ? u.status : mapProviderStatus(adapter, u.providerStatus);
+
+      const { count } = await tx.shipmentTrackingEvent.createMany({
+        data: [{
+          shipmentId: shipment.id,
+          providerStatus: u.providerStatus,
+          status: mapped || null,
+          note: u.note || null,
+          location: u.location || null,
+          occurredAt,
+          source,
+          raw: u.raw ?? undefined,
+        }],
+        skipDuplicates: true,
+      });
+      if (!count) continue;
+      recorded += 1;
+
+      // Out-of-order delivery: an older event is history, not the current state.
+      if (current.statusAt && occurredAt < current.statusAt) continue;
+
+      const canMove = mapped && mapped !== current.status && (SHIPMENT_FLOW[current.status] || []).includes(mapped);
+      const data = { providerStatus: u.providerStatus, lastTrackedAt: now };
+      if (canMove) {
+        data.status = mapped;
+        data.statusAt = occurredAt;
+        if (mapped === "DELIVERED") data.deliveredAt = occurredAt;
+      }
+      const res = await tx.shipment.updateMany({ where: { id: shipment.id, status: current.status }, data });
+      if (!res.count) throw trackingError("SHIPMENT_CONFLICT", 409, { shipmentId: shipment.id });
+      const from = current.status;
+      current = { ...current, ...data };
+      if (!canMove) continue;
+      moved.push({ from, to: mapped });
+
+      await tx.orderEvent.create({
+        data: {
+          orderId: shipment.orderId,
+          kind: "SHIPMENT_STATUS",
+          message: `${shipment.courier?.code || "Courier"} ${shipment.trackingNumber || ""}: ${from} → ${mapped} (${u.providerStatus})`,
+          metadata: {
+            shipmentId: shipment.id,
+            from,
+            to: mapped,
+            providerStatus: u.providerStatus,
+            source,
+            location: u.location || undefined,
+          },
+          at: occurredAt,
+          actorId,
+          actorRole: actorId ? "admin" : "system",
+        },
+      });
+
+      const copy = STATUS_COPY[mapped];
+      if (copy && shipment.order?.userId) {
+        await tx.notification.create({
+          data: {
+            userId: shipment.order.userId,
+            orderId: shipment.orderId,
+            channel: "IN_APP",
+            type: mapped === "DELIVERED" ? "ORDER_DELIVERED" : "SHIPMENT_UPDATE",
+            title: `Your order ${orderLabel(shipment.order)} ${copy.title}`,
+            body: u.note ? `${copy.body} ${u.note}` : copy.body,
+            data: {
+              orderId: shipment.orderId,
+              orderNumber: shipment.order.orderNumber ?? null,
+              shipmentId: shipment.id,
+              status: mapped,
+              trackingNumber: shipment.trackingNumber || null,
+            },
+          },
+        });
+      }
+    }
+
+    if (!rows.length || current === shipment) {
+      await tx.shipment.update({ where: { id: shipment.id }, data: { lastTrackedAt: now } });
+    }
+    return { current, recorded, moved };
+  });
+
+  if (moved.length) {
+    try {
+      await emitWebhookEvent("shipment.updated", shipmentWebhookData({ ...current, updatedAt: now }));
+    } catch (err) {
+      console.error("[tracking] shipment.updated for %s failed:", shipment.id, err?.message || err);
+    }
+    await syncOrderFulfilment(shipment.orderId);
+    for (const event of new Set(moved.map((m) => STATUS_MESSAGE[m.to]).filter(Boolean))) {
+      await sendCustomerMessage(event, {
+        orderId: shipment.orderId,
+        key: shipment.id,
+        variables: shipment.courier?.name ? { courier: shipment.courier.name } : {},
+      });
+    }
+  }
+  return { shipment: current, recorded, moved };
+}
+
+/**
+ * Roll Order.fulfillmentStatus (and COMPLETED) forward from its parcels:
+ * some left → PARTIAL, all left → FULFILLED, all delivered → complete,
+ * all back → RETURNED. Refusals (unpaid prepaid order, …) are logged only.
+ */
+export async function syncOrderFulfilment(orderId) {
+  const results = await prisma.$transaction(async (tx) => {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      select: {
+        status: true,
+        fulfillmentStatus: true,
+        items: { select: { quantity: true } },
+        shipments: {
+          where: { status: { not: "CANCELLED" } },
+          select: { id: true, status: true, items: { select: { quantity: true } } },
+        },
+      },
+    });
+    const parcels = order?.shipments || [];
+    if (!parcels.length) return [];
+
+    // Line-level parcels must carry every unit before the order counts as shipped.
+    const itemised = parcels.some((s) => s.items.length);
+    const ordered = order.items.reduce((sum, i) => sum + i.quantity, 0);
+    const shipped = parcels.reduce((sum, s) => sum + s.items.reduce((n, i) => n + i.quantity, 0), 0);
+    const covered = !itemised || shipped >= ordered;
+
+    const left = parcels.filter((s) => !["PENDING", "LABEL_CREATED"].includes(s.status));
+    const all = (st) => covered && parcels.every((s) => s.status === st);
+    const actor = { role: "system" };
+    const metadata = { source: "tracking" };
+    const out = [];
+    const apply = async (event) => {
+      const r = await tryOrderEvent(tx, { orderId, event, actor, metadata });
+      out.push(r);
+      return r?.order || null;
+    };
+
+    let state = order;
+    if (!left.length) return out;
+    if (covered && left.length === parcels.length) {
+      if (state.fulfillmentStatus === "UNFULFILLED" || state.fulfillmentStatus === "PARTIAL") {
+        state = (await apply("fulfill")) || state;
+      }
+    } else if (state.fulfillmentStatus === "UNFULFILLED") {
+      state = (await apply("fulfillPartial")) || state;
+    }
+
+    if (all("RETURNED") && ["PARTIAL", "FULFILLED"].includes(state.fulfillmentStatus)) {
+      await apply("returned");
+    } else if (all("DELIVERED") && state.status === "CONFIRMED") {
+      await apply("complete");
+    }
+    return out;
+  });
+  await runOrderEffects(...results);
+}
+
+/** Ask the courier for the latest status and ingest it. */
+export async function pollShipment(shipment) {
+  const adapter = getCourierAdapter(shipment.courier?.code);
+  if (typeof adapter?.trackConsignment !== "function") {
+    await prisma.shipment.update({ where: { id: shipment.id }, data: { lastTrackedAt: new Date() } });
+    return { shipment, recorded: 0, moved: [] };
+  }
+  const t = await adapter.trackConsignment({
+    consignmentId: shipment.consignmentId || shipment.trackingNumber,
+    trackingNumber: shipment.trackingNumber || shipment.consignmentId,
+  });
+  return ingestTracking({
+    shipment,
+    updates: t.status ? [{ status: t.status, at: null, raw: t.raw ?? null }] : [],
+    source: "POLL",
+  });
+}
+
+/**
+ * Poll the parcels still on the road, least recently tracked first.
+ * A courier error is counted and the parcel goes to the back of the rotation.
+ */
+export async function trackingSweep({ limit = 50, staleMinutes = 30 } = {}) {
+  const cutoff = new Date(Date.now() - Math.max(0, Number(staleMinutes) || 0) * 60_000);
+  const shipments = await prisma.shipment.findMany({
+    where: {
+      status: { in: TRACKABLE },
+      courier: { code: { not: "MANUAL" } },
+      OR: [{ trackingNumber: { not: null } }, { consignmentId: { not: null } }],
+      AND: [{ OR: [{ lastTrackedAt: null }, { lastTrackedAt: { lt: cutoff } }] }],
+    },
+    include: SHIPMENT_INCLUDE,
+    orderBy: { lastTrackedAt: { sort: "asc", nulls: "first" } },
+    take: Math.min(Math.max(Number(limit) || 50, 1), 500),
+  });
+
+  let moved = 0;
+  const errors = [];
+  for (const shipment of shipments) {
+    try {
+      const r = await pollShipment(shipment);
+      moved += r.moved.length;
+    } catch (err) {
+      errors.push({ shipmentId: shipment.id, error: String(err?.message || err) });
+      await prisma.shipment
+        .update({ where: { id: shipment.id }, data: { lastTrackedAt: new Date() } })
+        .catch(() => {});
+    }
+  }
+  return { checked: shipments.length, moved, errors };
+}
+
+/**
+ * Shared-secret check for courier callbacks: `${CODE}_WEBHOOK_SECRET` in the
+ * adapter's auth header (Bearer prefix allowed) or as ?secret=.
+ */
+export function verifyCourierWebhook(adapter, req) {
+  const secret = process.env[`${adapter.code}_WEBHOOK_SECRET`] || "";
+  if (!secret) throw trackingError("WEBHOOK_NOT_CONFIGURED", 503);
+
+  const header = req.headers.get(adapter.webhookAuthHeader || "x-webhook-secret") || "";
+  const got = header.replace(/^Bearer\s+/i, "") || new URL(req.url).searchParams.get("secret") || "";
+  const a = Buffer.from(got);
+  const b = Buffer.from(secret);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw trackingError("UNAUTHORIZED", 401);
+}
+
+/** Ingest a verified courier callback body. → { received, matched, moved } */
+export async function ingestCourierWebhook(adapter, body) {
+  if (typeof adapter.parseWebhook !== "function") throw trackingError("WEBHOOK_UNSUPPORTED", 404);
+  const updates = adapter.parseWebhook(body) || [];
+
+  let matched = 0;
+  let moved = 0;
+  for (const u of updates) {
+    const ids = [u.consignmentId, u.trackingNumber].filter(Boolean);
+    if (!ids.length) continue;
+    const shipment = await prisma.shipment.findFirst({
+      where: {
+        courier: { code: adapter.code },
+        OR: [{ consignmentId: { in: ids } }, { trackingNumber: { in: ids } }],
+      },
+      include: SHIPMENT_INCLUDE,
+      orderBy: { createdAt: "desc" },
+    });
+    if (!shipment) continue;
+    matched += 1;
+    const r = await ingestTracking({ shipment, updates: [u], source: "WEBHOOK" });
+    moved += r.moved.length;
+  }
+  return { received: updates.length, matched, moved };
+}
+
+/** Staff-entered status (in-house delivery, courier phoned in). */
+export async function recordShipmentStatus({ shipmentId, status, note, location, actorId = null }) {
+  const shipment = await prisma.shipment.findUnique({ where: { id: shipmentId }, include: SHIPMENT_INCLUDE });
+  if (!shipment) throw trackingError("SHIPMENT_NOT_FOUND", 404);
+  const to = String(status || "").toUpperCase();
+  if (!(SHIPMENT_FLOW[shipment.status] || []).includes(to)) {
+    throw trackingError("INVALID_SHIPMENT_TRANSITION", 409, { from: shipment.status, to });
+  }
+  return ingestTracking({
+    shipment,
+    updates: [{ status: to, at: new Date(), note: note || null, location: location || null }],
+    source: "MANUAL",
+    actorId,
+  });
+}
+
+/** "Where is my order" from stored events only. */
+export async function trackingTimeline(orderId) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    select: {
+      id: true,
+      orderNumber: true,
+      status: true,
+      fulfillmentStatus: true,
+      shipments: {
+        include: {
+          courier: { select: { code: true, name: true } },
+          trackingEvents: { orderBy: { occurredAt: "desc" } },
+        },
+        orderBy: { createdAt: "asc" },
+      },
+    },
+  });
+  if (!order) return null;
+
+  return {
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    fulfillmentStatus: order.fulfillmentStatus,
+    shipments: order.shipments.map((s) => ({
+      id: s.id,
+      courier: s.courier?.code || null,
+      courierName: s.courier?.name || null,
+      trackingNumber: s.trackingNumber,
+      status: s.status,
+      providerStatus: s.providerStatus,
+      statusAt: s.statusAt,
+      lastTrackedAt: s.lastTrackedAt,
+      deliveredAt: s.deliveredAt,
+      events: s.trackingEvents.map((e) => ({
+        at: e.occurredAt,
+        providerStatus: e.providerStatus,
+        status: e.status,
+        note: e.note,
+        location: e.location,
+        source: e.source,
+      })),
+    })),
+  };
+}
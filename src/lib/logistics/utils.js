@@ -16,3 +16,29 @@ export async function http(url, opts = {}) {
   }
   return data ?? { ok: true };
 }
+
+const num = (v) => {
+  const x = Number(v ?? 0);
+  return Number.isFinite(x) ? x : 0;
+};
+
+// Payment statuses whose money is already with us (nothing left to collect).
+const COLLECTED = new Set(["PAID", "SETTLED", "CAPTURED", "SUCCEEDED"]);
+
+/**
+ * Amount the courier must collect at the door: grand total minus what was
+ * already paid online. Expects `order.payments` to be loaded.
+ */
+export function outstandingAmount(order) {
+  const paid = (order?.payments || [])
+    .filter((p) => p.provider !== "CASH_ON_DELIVERY" && COLLECTED.has(String(p.status || "")))
+    .reduce((sum, p) => sum + num(p.amount), 0);
+  return Math.max(0, Math.round((num(order?.grandTotal) - paid) * 100) / 100);
+}
+
+/** Error for contract methods a courier does not offer (e.g. no cancel API). */
+export function unsupported(code, op) {
+  const err = new Error(`${String(code).toLowerCase()}_${op}_unsupported`);
+  err.status = 501;
+  return err;
+}
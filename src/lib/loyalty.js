@@ -91,3 +91,27 @@ export async function walletDelta(userId, deltaAmount, reason, reference, metada
     return newBalance;
   });
 }
+
+/** points earned per 1 BDT spent; set env LOYALTY_EARN_PER_BDT, default 0.01 (1 point / ৳100) */
+export function earnRatePerBDT() {
+  const v = parseFloat(process.env.LOYALTY_EARN_PER_BDT ?? "0.01");
+  return isNaN(v) ? 0.01 : Math.max(0, v);
+}
+
+/** Earn points for a completed order; once per order (reference "order:<id>") */
+export async function earnForOrder(orderId) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    select: { id: true, userId: true, status: true, subtotal: true, discountTotal: true, orderNumber: true },
+  });
+  if (!order?.userId || order.status !== "COMPLETED") return null;
+
+  const reference = `order:${order.id}`;
+  const already = await prisma.loyaltyTransaction.findFirst({ where: { reference, type: "EARN" } });
+  if (already) return { txn: already, duplicate: true };
+
+  const spend = Math.max(0, Number(order.subtotal || 0) - Number(order.discountTotal || 0));
+  const points = Math.floor(spend * earnRatePerBDT());
+  if (points <= 0) return null;
+  return applyPoints(order.userId, points, "ORDER_COMPLETED", reference, { orderNumber: order.orderNumber ?? null });
+}
@@ -0,0 +1,638 @@
+// PATH: src/lib/notifications.js
+// Multi-channel notification dispatcher over Notification / NotificationTemplate.
+//
+//   notify() ──▶ Notification QUEUED (one row per channel, template rendered)
+//                   │  job "notification.dispatch" (queue: email) or the
+//                   │  /api/internal/notifications/dispatch-queued sweep
+//                   ▼
+//   dispatchNotification() ── opted out / no recipient ──▶ SKIPPED
+//        │  quiet hours ──▶ stays QUEUED, nextAttemptAt = end of the window
+//        ▼
+//   provider call ── ok ──▶ DELIVERED
+//        └── error ──▶ QUEUED again after backoff, FAILED once attempts run out
+//
+// Every provider call is logged as a NotificationAttempt. Quiet hours and the
+// attempt budget are AppSetting "notifications"; SECURITY_ALERT ignores both
+// opt-outs and quiet hours. Messages for guest orders have no user, only a
+// phone in `to`; opt-outs for a number (NotificationPhonePreference) apply to
+// every SMS / WhatsApp message sent to it. A row whose data carries `fallback` (WhatsApp
+// template messages, see lib/customer-messages.js) gets one try; if it fails
+// or is skipped, the fallback message is queued on its own channel instead.
+import prisma from "@/lib/prisma";
+import { backoffMs, enqueue } from "@/lib/queue";
+import { sendNotificationEmail } from "@/lib/email";
+import { sendSms } from "@/lib/sms";
+import { sendWhatsApp, sendWhatsAppTemplate, whatsAppProvider } from "@/lib/whatsapp";
+import { normalizePhone } from "@/lib/phone";
+
+export const NOTIFICATION_CHANNELS = ["IN_APP", "EMAIL", "SMS", "WHATSAPP", "PUSH"];
+
+/** Types the customer cannot opt out of and that go out at any hour. */
+const MANDATORY_TYPES = new Set(["SECURITY_ALERT"]);
+
+// Channels addressed to a phone number
+const PHONE_CHANNELS = new Set(["SMS", "WHATSAPP"]);
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  quietHours: { enabled: false, start: "22:00", end: "08:00", timezone: "Asia/Dhaka", channels: ["SMS", "WHATSAPP", "PUSH"] },
+  maxAttempts: 5,
+};
+
+// A claimed row is pushed this far out so the sweep leaves it alone while the provider call runs.
+const CLAIM_LEASE_MS = 10 * 60_000;
+
+function notificationError(code, status = 400, extra = {}) {
+  const err = new Error(code);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+/* ───────────────────────── templates ───────────────────────── */
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Fill `{{name}}` / `{{order.number}}` placeholders; unknown ones render empty.
+ * With `html`, values are escaped.
+ */
+export function renderTemplate(text, variables = {}, { html = false } = {}) {
+  if (text == null) return null;
+  return String(text).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const v = path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), variables);
+    if (v == null) return "";
+    return html ? escapeHtml(v) : String(v);
+  });
+}
+
+/* ───────────────────────── settings ───────────────────────── */
+
+const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function minutesOf(hhmm) {
+  const m = HHMM.exec(hhmm);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/** AppSetting "notifications" over the defaults. */
+export async function notificationSettings(db = prisma) {
+  const s = await db.appSetting.findUnique({ where: { key: "notifications" } }).catch(() => null);
+  const v = s?.value || {};
+  const q = { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...(v.quietHours || {}) };
+  const max = Number(v.maxAttempts);
+  return {
+    quietHours: q,
+    maxAttempts: Number.isInteger(max) && max > 0 ? max : DEFAULT_NOTIFICATION_SETTINGS.maxAttempts,
+  };
+}
+
+/** Validate a settings body → [value, error]. */
+export function parseNotificationSettings(body) {
+  const q = body?.quietHours;
+  if (!q || typeof q !== "object") return [null, "QUIET_HOURS_REQUIRED"];
+  if (!HHMM.test(String(q.start || ""))) return [null, "INVALID_QUIET_HOURS_START"];
+  if (!HHMM.test(String(q.end || ""))) return [null, "INVALID_QUIET_HOURS_END"];
+  if (q.start === q.end) return [null, "EMPTY_QUIET_HOURS"];
+  const timezone = String(q.timezone || DEFAULT_NOTIFICATION_SETTINGS.quietHours.timezone);
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+  } catch {
+    return [null, "INVALID_TIMEZONE"];
+  }
+  const channels = Array.isArray(q.channels) ? [...new Set(q.channels.map(String))] : [];
+  if (channels.some((c) => c === "IN_APP" || !NOTIFICATION_CHANNELS.includes(c))) {
+    return [null, "INVALID_QUIET_HOURS_CHANNEL"];
+  }
+  const maxAttempts = Number(body?.maxAttempts ?? DEFAULT_NOTIFICATION_SETTINGS.maxAttempts);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) return [null, "INVALID_MAX_ATTEMPTS"];
+
+  return [{ quietHours: { enabled: !!q.enabled, start: q.start, end: q.end, timezone, channels }, maxAttempts }, null];
+}
+
+export async function saveNotificationSettings({ value, actorId = null }) {
+  await prisma.appSetting.upsert({
+    where: { key: "notifications" },
+    create: { key: "notifications", value, updatedById: actorId },
+    update: { value, updatedById: actorId },
+  });
+  return notificationSettings();
+}
+
+/** When quiet hours hold `channel` back at `now`, the moment they end; otherwise null. */
+export function quietHoursEnd(settings, channel, now = new Date()) {
+  const q = settings?.quietHours;
+  if (!q?.enabled || !q.channels?.includes(channel)) return null;
+  const start = minutesOf(q.start);
+  const end = minutesOf(q.end);
+  if (start == null || end == null || start === end) return null;
+
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: q.timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const get = (t) => Number(parts.find((p) => p.type === t)?.value || 0);
+  const local = get("hour") * 60 + get("minute");
+
+  const inside = start < end ? local >= start && local < end : local >= start || local < end;
+  if (!inside) return null;
+  const wait = (end - local + 1440) % 1440;
+  return new Date(Math.floor(now.getTime() / 60_000) * 60_000 + wait * 60_000);
+}
+
+/* ───────────────────────── queueing ───────────────────────── */
+
+function recipientFor(channel, user) {
+  if (channel === "EMAIL") return user?.email || null;
+  if (channel === "SMS" || channel === "WHATSAPP") return user?.phone || null;
+  return null;
+}
+
+/** Queue the dispatch job for one notification. */
+export function scheduleDispatch(id, at = null, db = prisma) {
+  return enqueue(
+    "notification.dispatch",
+    { id },
+    // the dispatcher keeps its own attempt budget; a failed job is picked up by the sweep
+    { queue: "email", runAt: at, maxAttempts: 1, dedupeKey: `notification:${id}`, db }
+  );
+}
+
+/**
+ * Queue a message to one user — or, without `userId`, to the phone / address
+ * in `to` (guest orders) — on one or more channels. Each channel gets its
+ * own Notification row, rendered from NotificationTemplate (`templateKey`,
+ * channel) when one exists, else from `title` / `body` / `html`. A disabled
+ * template yields a SKIPPED row so the decision stays visible.
+ *
+ * Pass a transaction as `db` to create the rows with other writes; dispatch
+ * jobs are then queued in the same transaction.
+ */
+export async function notify({
+  userId,
+  type,
+  channels = ["IN_APP"],
+  templateKey = null,
+  variables = {},
+  title = null,
+  body = null,
+  html = null,
+  to = null,
+  orderId = null,
+  data = null,
+  sendAt = null,
+  db = prisma,
+}) {
+  if (!userId && !to) throw notificationError("RECIPIENT_REQUIRED");
+  if (!type) throw notificationError("TYPE_REQUIRED");
+  const list = [...new Set((Array.isArray(channels) ? channels : [channels]).map(String))];
+  if (!list.length) throw notificationError("CHANNEL_REQUIRED");
+  const bad = list.find((c) => !NOTIFICATION_CHANNELS.includes(c));
+  if (bad) throw notificationError("INVALID_CHANNEL", 400, { channel: bad });
+
+  const user = userId
+    ? await db.user.findUnique({ where: { id: userId }, select: { id: true, email: true, phone: true } })
+    : null;
+  if (userId && !user) throw notificationError("USER_NOT_FOUND", 404);
+
+  const templates = templateKey
+    ? await db.notificationTemplate.findMany({ where: { key: templateKey, channel: { in: list } } })
+    : [];
+  const due = sendAt ? new Date(sendAt) : null;
+
+  const rows = [];
+  for (const channel of list) {
+    const tpl = templates.find((t) => t.channel === channel) || null;
+    const subject = renderTemplate(tpl?.subject ?? title, variables);
+    const text = renderTemplate(tpl?.bodyText ?? body, variables);
+    const markup = renderTemplate(tpl?.bodyHtml ?? html, variables, { html: true });
+    if (!subject && !text) throw notificationError("TEMPLATE_NOT_FOUND", 404, { templateKey, channel });
+
+    const skippedReason = tpl && !tpl.enabled ? "TEMPLATE_DISABLED" : null;
+    const row = await db.notification.create({
+      data: {
+        userId: userId || null,
+        orderId: orderId || null,
+        channel,
+        type,
+        title: subject || text.slice(0, 120),
+        body: text || subject,
+        data: { ...(data || {}), ...(markup ? { html: markup } : {}) },
+        to: channel === "IN_APP" ? null : to || recipientFor(channel, user),
+        templateKey: templateKey || null,
+        status: skippedReason ? "SKIPPED" : "QUEUED",
+        queued: !skippedReason,
+        skippedReason,
+        nextAttemptAt: due,
+      },
+    });
+    if (!skippedReason) await scheduleDispatch(row.id, due, db);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/* ───────────────────────── dispatch ───────────────────────── */
+
+// BD numbers are stored as 01XXXXXXXXX; WhatsApp wants E.164.
+function toE164(phone) {
+  let s = String(phone || "").replace(/(?!^\+)[^\d]/g, "");
+  if (s.startsWith("+")) return s;
+  if (s.startsWith("01") && s.length === 11) s = `880${s}`;
+  return `+${s}`;
+}
+
+// Who a failed call was meant for, so failures land on the right provider row.
+function expectedProvider(channel) {
+  if (channel === "EMAIL") return "SMTP";
+  if (channel === "SMS") return "MIMSMS";
+  if (channel === "WHATSAPP") return whatsAppProvider();
+  return null;
+}
+
+async function sendVia(n) {
+  switch (n.channel) {
+    case "IN_APP":
+      return { provider: "IN_APP", messageId: null };
+    case "EMAIL":
+      return sendNotificationEmail({
+        to: n.to,
+        subject: n.title,
+        text: n.body,
+        html: n.data?.html || null,
+        type: n.type,
+        seed: n.id,
+      });
+    case "SMS":
+      return sendSms({ to: n.to, message: n.body });
+    case "WHATSAPP": {
+      const provider = whatsAppProvider();
+      if (!provider) throw notificationError("WHATSAPP_NOT_CONFIGURED", 503, { permanent: true });
+      const template = n.data?.whatsappTemplate;
+      if (template && provider !== "WA_CLOUD") {
+        throw notificationError("WHATSAPP_TEMPLATES_NOT_CONFIGURED", 503, { permanent: true });
+      }
+      const r = template
+        ? await sendWhatsAppTemplate(toE164(n.to), template)
+        : await sendWhatsApp(toE164(n.to), n.body);
+      return { provider, messageId: r?.id || null };
+    }
+    default:
+      throw notificationError("CHANNEL_UNAVAILABLE", 503, { permanent: true });
+  }
+}
+
+/** Queue the message a WhatsApp-first notification falls back to; null when it has none. */
+async function fallBack(n) {
+  const fb = n.data?.fallback;
+  if (!fb?.channel || !fb.body) return null;
+  // a manual retry of the original must not send the fallback twice
+  const earlier = await prisma.notification.findFirst({
+    where: { userId: n.userId, data: { path: ["fallbackFrom"], equals: n.id } },
+    select: { id: true },
+  });
+  if (earlier) return earlier.id;
+  const [row] = await notify({
+    userId: n.userId,
+    type: n.type,
+    channels: [fb.channel],
+    title: fb.title || n.title,
+    body: fb.body,
+    to: n.to,
+    orderId: n.orderId,
+    data: { ...(fb.data || {}), fallbackFrom: n.id },
+  });
+  return row?.id || null;
+}
+
+async function skip(n, reason) {
+  const r = await prisma.notification.updateMany({
+    where: { id: n.id, status: "QUEUED" },
+    data: { status: "SKIPPED", queued: false, skippedReason: reason, nextAttemptAt: null },
+  });
+  let fallbackId = null;
+  if (r.count) {
+    await prisma.notificationAttempt.create({
+      data: { notificationId: n.id, attempt: n.attemptCount, channel: n.channel, status: "SKIPPED", error: reason },
+    });
+    fallbackId = await fallBack(n);
+  }
+  return { id: n.id, status: "SKIPPED", reason, ...(fallbackId ? { fallbackId } : {}) };
+}
+
+/** The account's preference, then — for SMS / WhatsApp — the number's own. */
+async function optedOut(n) {
+  if (n.userId) {
+    const pref = await prisma.notificationPreference.findUnique({
+      where: { userId_type_channel: { userId: n.userId, type: n.type, channel: n.channel } },
+    });
+    if (pref && !pref.enabled) return true;
+  }
+  const phone = PHONE_CHANNELS.has(n.channel) ? normalizePhone(n.to) : null;
+  if (!phone) return false;
+  const pref = await prisma.notificationPhonePreference.findUnique({
+    where: { phone_type_channel: { phone, type: n.type, channel: n.channel } },
+  });
+  return !!pref && !pref.enabled;
+}
+
+/**
+ * Try to deliver one QUEUED notification now. Returns what happened:
+ * { status: DELIVERED | FAILED | SKIPPED | QUEUED, deferredUntil?, error? }.
+ * Provider errors are recorded, not thrown.
+ */
+export async function dispatchNotification(id, { now = new Date() } = {}) {
+  const n = await prisma.notification.findUnique({ where: { id } });
+  if (!n) throw notificationError("NOTIFICATION_NOT_FOUND", 404);
+  if (n.status !== "QUEUED") return { id, status: n.status };
+
+  const dueAt = n.nextAttemptAt || n.createdAt;
+  if (dueAt > now) return { id, status: "QUEUED", deferredUntil: dueAt };
+
+  const mandatory = MANDATORY_TYPES.has(n.type);
+  if (!mandatory && (await optedOut(n))) return skip(n, "OPTED_OUT");
+  if (n.channel === "PUSH") return skip(n, "CHANNEL_UNAVAILABLE");
+  if (n.channel === "IN_APP" ? !n.userId : !n.to) return skip(n, "NO_RECIPIENT");
+
+  const settings = await notificationSettings();
+  const quietUntil = mandatory ? null : quietHoursEnd(settings, n.channel, now);
+  if (quietUntil) {
+    await prisma.notification.updateMany({
+      where: { id, status: "QUEUED", attemptCount: n.attemptCount },
+      data: { nextAttemptAt: quietUntil },
+    });
+    await scheduleDispatch(id, quietUntil);
+    return { id, status: "QUEUED", deferredUntil: quietUntil };
+  }
+
+  // claim: attemptCount is the version, so two workers never send the same attempt
+  const attempt = n.attemptCount + 1;
+  const claimed = await prisma.notification.updateMany({
+    where: { id, status: "QUEUED", attemptCount: n.attemptCount },
+    data: { attemptCount: attempt, nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) },
+  });
+  if (!claimed.count) return { id, status: "QUEUED", raced: true };
+
+  const started = Date.now();
+  let sent = null;
+  let failure = null;
+  try {
+    sent = await sendVia(n);
+  } catch (err) {
+    failure = err;
+  }
+  const durationMs = Date.now() - started;
+
+  if (sent) {
+    const at = new Date();
+    await prisma.$transaction([
+      prisma.notificationAttempt.create({
+        data: {
+          notificationId: id,
+          attempt,
+          channel: n.channel,
+          provider: sent.provider || null,
+          status: "SENT",
+          providerMessageId: sent.messageId || null,
+          durationMs,
+        },
+      }),
+      prisma.notification.update({
+        where: { id },
+        data: {
+          status: "DELIVERED",
+          queued: false,
+          sentAt: at,
+          emailSentAt: n.channel === "EMAIL" ? at : undefined,
+          provider: sent.provider || null,
+          providerMessageId: sent.messageId || null,
+          nextAttemptAt: null,
+          lastError: null,
+        },
+      }),
+    ]);
+    return { id, status: "DELIVERED", attempt, provider: sent.provider || null };
+  }
+
+  const error = String(failure?.message || failure).slice(0, 500);
+  const final = !!failure?.permanent || !!n.data?.fallback || attempt >= settings.maxAttempts;
+  const retryAt = final ? null : new Date(Date.now() + backoffMs(attempt));
+  await prisma.$transaction([
+    prisma.notificationAttempt.create({
+      data: {
+        notificationId: id,
+        attempt,
+        channel: n.channel,
+        provider: expectedProvider(n.channel),
+        status: "FAILED",
+        error,
+        durationMs,
+      },
+    }),
+    prisma.notification.update({
+      where: { id },
+      data: final
+        ? { status: "FAILED", queued: false, nextAttemptAt: null, lastError: error }
+        : { nextAttemptAt: retryAt, lastError: error },
+    }),
+  ]);
+  if (retryAt) await scheduleDispatch(id, retryAt);
+  const fallbackId = final ? await fallBack(n) : null;
+  return {
+    id,
+    status: final ? "FAILED" : "QUEUED",
+    attempt,
+    error,
+    ...(retryAt ? { deferredUntil: retryAt } : {}),
+    ...(fallbackId ? { fallbackId } : {}),
+  };
+}
+
+/**
+ * Safety-net sweep: dispatch QUEUED rows that are due (scheduled IN_APP sends
+ * keep their send time in createdAt), oldest first.
+ */
+export async function dispatchDue({ limit = 100, now = new Date() } = {}) {
+  const rows = await prisma.notification.findMany({
+    where: {
+      status: "QUEUED",
+      OR: [{ nextAttemptAt: { lte: now } }, { nextAttemptAt: null, createdAt: { lte: now } }],
+    },
+    select: { id: true },
+    orderBy: { createdAt: "asc" },
+    take: Math.min(Math.max(Number(limit) || 100, 1), 500),
+  });
+
+  const tally = { checked: rows.length, DELIVERED: 0, FAILED: 0, SKIPPED: 0, QUEUED: 0 };
+  const errors = [];
+  for (const { id } of rows) {
+    try {
+      const r = await dispatchNotification(id, { now });
+      tally[r.status] = (tally[r.status] || 0) + 1;
+    } catch (err) {
+      errors.push({ id, error: String(err?.message || err) });
+    }
+  }
+  return {
+    checked: tally.checked,
+    delivered: tally.DELIVERED,
+    failed: tally.FAILED,
+    skipped: tally.SKIPPED,
+    pending: tally.QUEUED,
+    errors,
+  };
+}
+
+/** Give a FAILED notification one more attempt, right away. */
+export async function retryNotification(id) {
+  const r = await prisma.notification.updateMany({
+    where: { id, status: "FAILED" },
+    data: { status: "QUEUED", queued: true, nextAttemptAt: new Date(), lastError: null },
+  });
+  if (!r.count) {
+    const exists = await prisma.notification.findUnique({ where: { id }, select: { status: true } });
+    if (!exists) throw notificationError("NOTIFICATION_NOT_FOUND", 404);
+    throw notificationError("NOT_FAILED", 409, { current: exists.status });
+  }
+  // attemptCount is already at the budget, so a further failure is final
+  return dispatchNotification(id);
+}
+
+/* ───────────────────────── phone opt-outs ───────────────────────── */
+
+/** A number's SMS / WhatsApp preferences → [{ type, channel, enabled }]. */
+export async function phonePreferences(phone) {
+  const p = normalizePhone(phone);
+  if (!p) throw notificationError("INVALID_PHONE");
+  return prisma.notificationPhonePreference.findMany({
+    where: { phone: p },
+    select: { type: true, channel: true, enabled: true },
+    orderBy: [{ type: "asc" }, { channel: "asc" }],
+  });
+}
+
+/** Record opt-outs / opt-ins for a number: changes = [{ type, channel, enabled }]. */
+export async function setPhonePreferences({ phone, changes = [] }) {
+  const p = normalizePhone(phone);
+  if (!p) throw notificationError("INVALID_PHONE");
+  if (!Array.isArray(changes) || !changes.length) throw notificationError("CHANGES_REQUIRED");
+  const bad = changes.find((c) => !PHONE_CHANNELS.has(String(c?.channel)) || !c?.type);
+  if (bad) throw notificationError("INVALID_CHANNEL", 400, { channel: bad?.channel ?? null });
+
+  await prisma.$transaction(
+    changes.map((c) =>
+      prisma.notificationPhonePreference.upsert({
+        where: { phone_type_channel: { phone: p, type: c.type, channel: c.channel } },
+        update: { enabled: !!c.enabled },
+        create: { phone: p, type: c.type, channel: c.channel, enabled: !!c.enabled },
+      })
+    )
+  );
+  return phonePreferences(p);
+}
+
+/* ───────────────────────── deliverability ───────────────────────── */
+
+/**
+ * Outcomes over the last `windowHours`: per channel, per provider (from the
+ * attempt log), skip reasons, the commonest errors and the latest failures.
+ */
+export async function deliverabilitySummary({ windowHours = 24, channel = null } = {}) {
+  const now = new Date();
+  const since = new Date(now.getTime() - windowHours * 3600_000);
+  const scope = channel ? { channel } : {};
+
+  const [byStatus, byProvider, skipped, topErrors, queued, deferred, recentFailures] = await Promise.all([
+    prisma.notification.groupBy({
+      by: ["channel", "status"],
+      where: { ...scope, createdAt: { gte: since } },
+      _count: { _all: true },
+    }),
+    prisma.notificationAttempt.groupBy({
+      by: ["channel", "provider", "status"],
+      where: { ...scope, createdAt: { gte: since }, status: { not: "SKIPPED" } },
+      _count: { _all: true },
+      _avg: { durationMs: true },
+    }),
+    prisma.notification.groupBy({
+      by: ["channel", "skippedReason"],
+      where: { ...scope, createdAt: { gte: since }, status: "SKIPPED" },
+      _count: { _all: true },
+    }),
+    prisma.notificationAttempt.groupBy({
+      by: ["channel", "error"],
+      where: { ...scope, createdAt: { gte: since }, status: "FAILED" },
+      _count: { _all: true },
+      orderBy: { _count: { error: "desc" } },
+      take: 10,
+    }),
+    prisma.notification.count({ where: { ...scope, status: "QUEUED" } }),
+    prisma.notification.count({ where: { ...scope, status: "QUEUED", nextAttemptAt: { gt: now } } }),
+    prisma.notification.findMany({
+      where: { ...scope, status: "FAILED", createdAt: { gte: since } },
+      orderBy: { createdAt: "desc" },
+      take: 25,
+      select: {
+        id: true,
+        createdAt: true,
+        channel: true,
+        type: true,
+        to: true,
+        userId: true,
+        title: true,
+        attemptCount: true,
+        lastError: true,
+      },
+    }),
+  ]);
+
+  const channels = NOTIFICATION_CHANNELS.filter((c) => !channel || c === channel).map((c) => {
+    const counts = Object.fromEntries(
+      byStatus.filter((r) => r.channel === c).map((r) => [r.status, r._count._all])
+    );
+    const delivered = counts.DELIVERED || 0;
+    const failed = counts.FAILED || 0;
+    return {
+      channel: c,
+      total: Object.values(counts).reduce((a, b) => a + b, 0),
+      delivered,
+      failed,
+      skipped: counts.SKIPPED || 0,
+      queued: counts.QUEUED || 0,
+      deliveryRate: delivered + failed ? Math.round((delivered / (delivered + failed)) * 1000) / 10 : null,
+    };
+  });
+
+  const providers = new Map();
+  for (const r of byProvider) {
+    const key = `${r.channel}:${r.provider || "—"}`;
+    const p = providers.get(key) || { channel: r.channel, provider: r.provider || null, sent: 0, failed: 0, avgMs: null };
+    if (r.status === "SENT") {
+      p.sent = r._count._all;
+      p.avgMs = r._avg.durationMs == null ? null : Math.round(r._avg.durationMs);
+    } else {
+      p.failed = r._count._all;
+    }
+    providers.set(key, p);
+  }
+
+  return {
+    windowHours,
+    since,
+    queued,
+    deferred,
+    channels,
+    providers: [...providers.values()],
+    skipped: skipped.map((r) => ({ channel: r.channel, reason: r.skippedReason, count: r._count._all })),
+    topErrors: topErrors.map((r) => ({ channel: r.channel, error: r.error, count: r._count._all })),
+    recentFailures,
+  };
+}
@@ -0,0 +1,239 @@
+// FILE: src/lib/order-tracking.js
+// Public "where is my order" lookups (/track, /api/orders/track). An order is
+// found by order number + the phone it was placed with; anything that does not
+// match both is reported exactly like a missing order. The view is built from
+// stored OrderEvents and courier ShipmentTrackingEvents only (see
+// lib/logistics/tracking.js), so it never waits on a courier API.
+import prisma from "@/lib/prisma";
+import { normalizePhone, phonesEqual } from "@/lib/phone";
+import { getCourierAdapter } from "@/lib/logistics/providers";
+
+// Fallback delivery window (days from confirmation) when the order's shipping rate has none.
+const DEFAULT_ETA = { STANDARD: [2, 5], EXPRESS: [1, 2] };
+
+// How long an open callback request absorbs repeat clicks.
+const CALLBACK_DEDUPE_MS = 12 * 60 * 60 * 1000;
+
+const ORDER_STEP = {
+  PLACED: "Order placed",
+  CONFIRMED: "Order confirmed",
+  COMPLETED: "Order completed",
+  CANCELLED: "Order cancelled",
+};
+
+const PAYMENT_STEP = {
+  PAID: "Payment received",
+  PARTIALLY_REFUNDED: "Partial refund issued",
+  REFUNDED: "Refund issued",
+};
+
+const SHIPMENT_STEP = {
+  IN_TRANSIT: "In transit",
+  OUT_FOR_DELIVERY: "Out for delivery",
+  DELIVERED: "Delivered",
+  FAILED: "Delivery attempt failed",
+  RETURNED: "Returned to sender",
+  CANCELLED: "Pickup cancelled",
+};
+
+function trackingError(code, status) {
+  const err = new Error(code);
+  err.status = status;
+  return err;
+}
+
+/** "#1042", "TDLS-1042", "1042" → 1042 (or null). */
+export function parseOrderNumber(raw) {
+  const digits = String(raw ?? "").replace(/\D/g, "");
+  const n = Number(digits);
+  return digits && Number.isSafeInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Order by number when `phone` matches the shipping/billing phone, the contact
+ * phone captured at checkout or the account phone; otherwise null.
+ */
+export async function findTrackableOrder({ orderNumber, phone }) {
+  const number = parseOrderNumber(orderNumber);
+  if (!number || !normalizePhone(phone)) return null;
+
+  const order = await prisma.order.findUnique({
+    where: { orderNumber: number },
+    include: {
+      shippingAddress: true,
+      billingAddress: { select: { phone: true } },
+      user: { select: { phone: true } },
+    },
+  });
+  if (!order) return null;
+
+  const md = order.metadata && typeof order.metadata === "object" ? order.metadata : {};
+  const candidates = [order.shippingAddress?.phone, order.billingAddress?.phone, md.contactPhone, order.user?.phone];
+  return candidates.some((p) => phonesEqual(p, phone)) ? order : null;
+}
+
+const addDays = (d, n) => new Date(d.getTime() + n * 24 * 60 * 60 * 1000);
+
+async function deliveryWindow(order, shipments) {
+  if (order.status === "CANCELLED") return null;
+  const live = shipments.filter((s) => s.status !== "CANCELLED");
+  if (live.length && live.every((s) => s.status === "DELIVERED")) {
+    const at = live.reduce((max, s) => (s.deliveredAt && (!max || s.deliveredAt > max) ? s.deliveredAt : max), null);
+    return { delivered: true, deliveredAt: at };
+  }
+
+  const rate = order.shippingRateId
+    ? await prisma.shippingRate.findUnique({
+        where: { id: order.shippingRateId },
+        select: { etaMinDays: true, etaMaxDays: true },
+      })
+    : null;
+  const [defMin, defMax] = DEFAULT_ETA[order.shippingSpeed] || DEFAULT_ETA.STANDARD;
+  const min = rate?.etaMinDays ?? defMin;
+  const max = Math.max(min, rate?.etaMaxDays ?? defMax);
+  const base = order.confirmedAt || order.placedAt || order.createdAt;
+  return { delivered: false, from: addDays(base, min), to: addDays(base, max) };
+}
+
+/** Customer-safe tracking view for an order returned by findTrackableOrder(). */
+export async function publicTrackingView(order) {
+  const [events, shipments] = await Promise.all([
+    prisma.orderEvent.findMany({
+      where: {
+        orderId: order.id,
+        kind: { in: ["STATUS_CHANGED", "PAYMENT_STATUS", "SHIPMENT_PACKED", "SHIPMENT_BOOKED", "CALLBACK_REQUESTED"] },
+      },
+      orderBy: { at: "asc" },
+    }),
+    prisma.shipment.findMany({
+      where: { orderId: order.id, status: { not: "PENDING" } },
+      include: {
+        courier: { select: { code: true, name: true } },
+        trackingEvents: { orderBy: { occurredAt: "asc" } },
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+  ]);
+
+  const timeline = [];
+  for (const e of events) {
+    const to = e.metadata?.to;
+    let title = null;
+    if (e.kind === "STATUS_CHANGED") title = ORDER_STEP[to];
+    else if (e.kind === "PAYMENT_STATUS") title = PAYMENT_STEP[to];
+    else if (e.kind === "SHIPMENT_PACKED") title = "Packed";
+    else if (e.kind === "SHIPMENT_BOOKED") title = "Handed to courier";
+    else if (e.kind === "CALLBACK_REQUESTED") title = "Callback requested";
+    if (title) timeline.push({ at: e.at, title, detail: null, shipmentId: e.metadata?.shipmentId || null });
+  }
+  if (!timeline.some((t) => t.title === ORDER_STEP.PLACED) && (order.placedAt || order.createdAt)) {
+    timeline.unshift({ at: order.placedAt || order.createdAt, title: ORDER_STEP.PLACED, detail: null, shipmentId: null });
+  }
+
+  const parcels = shipments.map((s) => {
+    const adapter = getCourierAdapter(s.courier?.code);
+    for (const e of s.trackingEvents) {
+      timeline.push({
+        at: e.occurredAt,
+        title: SHIPMENT_STEP[e.status] || e.providerStatus,
+        detail: [e.location, e.note].filter(Boolean).join(" · ") || null,
+        shipmentId: s.id,
+      });
+    }
+    return {
+      id: s.id,
+      courier: s.courier?.name || s.courier?.code || null,
+      trackingNumber: s.trackingNumber,
+      trackingUrl: s.trackingNumber && adapter?.trackingUrl ? adapter.trackingUrl(s.trackingNumber) : null,
+      status: s.status,
+      statusLabel: SHIPMENT_STEP[s.status] || (s.status === "LABEL_CREATED" ? "Awaiting pickup" : s.status),
+      deliveredAt: s.deliveredAt,
+    };
+  });
+  timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    fulfillmentStatus: order.fulfillmentStatus,
+    placedAt: order.placedAt || order.createdAt,
+    city: order.shippingAddress?.city || null,
+    shipments: parcels,
+    estimatedDelivery: await deliveryWindow(order, shipments),
+    timeline,
+  };
+}
+
+/**
+ * Customer asks support to call. A second ask while one is still open returns
+ * the open one. Throws ORDER_NOT_FOUND (404) on a number/phone mismatch.
+ */
+export async function requestCallback({ orderNumber, phone, preferredWindow, note }) {
+  const order = await findTrackableOrder({ orderNumber, phone });
+  if (!order) throw trackingError("ORDER_NOT_FOUND", 404);
+
+  const open = await prisma.callbackRequest.findFirst({
+    where: { orderId: order.id, status: "OPEN", createdAt: { gte: new Date(Date.now() - CALLBACK_DEDUPE_MS) } },
+    orderBy: { createdAt: "desc" },
+  });
+  if (open) return { request: open, duplicate: true };
+
+  const request = await prisma.$transaction(async (tx) => {
+    const request = await tx.callbackRequest.create({
+      data: {
+        orderId: order.id,
+        phone: normalizePhone(phone),
+        preferredWindow: String(preferredWindow || "").trim().slice(0, 60) || null,
+        note: String(note || "").trim().slice(0, 500) || null,
+      },
+    });
+    await tx.orderEvent.create({
+      data: {
+        orderId: order.id,
+        kind: "CALLBACK_REQUESTED",
+        message: `Customer asked for a callback${request.preferredWindow ? ` (${request.preferredWindow})` : ""}`,
+        metadata: { callbackRequestId: request.id, note: request.note || undefined },
+        actorRole: "customer",
+      },
+    });
+    return request;
+  });
+  return { request, duplicate: false };
+}
+
+/** Support queue, oldest first. */
+export async function listCallbackRequests({ status = "OPEN", take = 100 } = {}) {
+  return prisma.callbackRequest.findMany({
+    where: status ? { status } : {},
+    include: {
+      order: { select: { id: true, orderNumber: true, status: true, fulfillmentStatus: true } },
+    },
+    orderBy: { createdAt: status === "OPEN" ? "asc" : "desc" },
+    take: Math.min(Math.max(Number(take) || 100, 1), 500),
+  });
+}
+
+/** Mark a callback as done; the note lands on the order timeline. */
+export async function resolveCallbackRequest({ id, note, actorId = null }) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.callbackRequest.updateMany({
+      where: { id, status: "OPEN" },
+      data: { status: "DONE", handledById: actorId, handledAt: new Date() },
+    });
+    const request = await tx.callbackRequest.findUnique({ where: { id } });
+    if (!request) throw trackingError("CALLBACK_NOT_FOUND", 404);
+    if (!count) throw trackingError("CALLBACK_ALREADY_DONE", 409);
+
+    await tx.orderEvent.create({
+      data: {
+        orderId: request.orderId,
+        kind: "CALLBACK_DONE",
+        message: note ? `Customer called back: ${String(note).slice(0, 500)}` : "Customer called back",
+        metadata: { callbackRequestId: request.id },
+        actorId,
+        actorRole: actorId ? "admin" : "system",
+      },
+    });
+    return request;
+  });
+}
@@ -1,79 +1,316 @@
 // PATH: src/lib/order-transitions.js
+// The order lifecycle. Every write to Order.status, paymentStatus or
+// fulfillmentStatus goes through applyOrderEvent / transitionOrder, so routes
+// cannot produce impossible combinations such as CANCELLED + FULFILLED.
+//
+// An event (confirm, cancel, pay, fulfil, …) names the target on one or more
+// axes. The move is checked against the per-axis tables, the event's guard and
+// the cross-axis invariants, then written with a compare-and-set on the three
+// statuses (a concurrent writer loses with ORDER_CONFLICT instead of being
+// overwritten). Timestamps are stamped once, an OrderEvent row is written per
+// changed axis, and side effects run: stock is released and fulfilled units
+// are costed against their batches inside the transaction, webhooks / ledger /
+// loyalty / customer messages are queued after it commits.
 import prisma from "@/lib/prisma";
 import { PAIDLIKE } from "@/lib/paidlike";
+import { releaseOrderStock } from "@/lib/inventory/allocation";
+import { costOrderItems, reverseOrderConsumption } from "@/lib/inventory/costing";
+import { emitWebhookEvent, orderWebhookData } from "@/lib/webhooks";
+import { queueLedgerPosting } from "@/lib/ledger";
+import { enqueue } from "@/lib/queue";
+import { sendCustomerMessage } from "@/lib/customer-messages";
+
+/* ---------------- tables ---------------- */
+
+/** Allowed moves per axis (from → [to]). */
+export const ORDER_LIFECYCLE = {
+  status: {
+    DRAFT: ["PLACED", "CANCELLED"],
+    PLACED: ["CONFIRMED", "CANCELLED"],
+    CONFIRMED: ["COMPLETED", "CANCELLED"],
+    COMPLETED: ["ARCHIVED"],
+    CANCELLED: ["ARCHIVED"],
+    ARCHIVED: [],
+  },
+  paymentStatus: {
+    UNPAID: ["PENDING", "INITIATED", "AUTHORIZED", "PAID", "FAILED", "CANCELED"],
+    PENDING: ["UNPAID", "INITIATED", "AUTHORIZED", "PAID", "FAILED", "CANCELED"],
+    INITIATED: ["PENDING", "AUTHORIZED", "PAID", "FAILED", "CANCELED"],
+    AUTHORIZED: ["PENDING", "PAID", "CAPTURED", "FAILED", "CANCELED"],
+    FAILED: ["PENDING", "INITIATED", "AUTHORIZED", "PAID", "CANCELED"],
+    CANCELED: ["PENDING", "INITIATED"],
+    PAID: ["SETTLED", "PARTIALLY_REFUNDED", "REFUNDED"],
+    CAPTURED: ["PAID", "SETTLED", "PARTIALLY_REFUNDED", "REFUNDED"],
+    SUCCEEDED: ["PAID", "SETTLED", "PARTIALLY_REFUNDED", "REFUNDED"],
+    SETTLED: ["PARTIALLY_REFUNDED", "REFUNDED"],
+    PARTIALLY_REFUNDED: ["REFUNDED"],
+    REFUNDED: [],
+  },
+  fulfillmentStatus: {
+    UNFULFILLED: ["PARTIAL", "FULFILLED", "CANCELED"],
+    PARTIAL: ["FULFILLED", "RETURNED"],
+    FULFILLED: ["RETURNED"],
+    CANCELED: [],
+    RETURNED: [],
+  },
+};
+
+const STAMPS = {
+  status: { PLACED: "placedAt", CONFIRMED: "confirmedAt", CANCELLED: "cancelledAt", COMPLETED: "completedAt" },
+  paymentStatus: { PAID: "paidAt", CAPTURED: "paidAt", SUCCEEDED: "paidAt", SETTLED: "paidAt" },
+  fulfillmentStatus: { FULFILLED: "fulfilledAt" },
+};
+
+const EVENT_KIND = {
+  status: "STATUS_CHANGED",
+  paymentStatus: "PAYMENT_STATUS",
+  fulfillmentStatus: "FULFILLMENT_STATUS",
+};
+
+const isCodOrder = (o) => !!o?.metadata?.isCod;
 
 /**
- * Minimal, safe server-side transitions for Order.status/paymentStatus/fulfillmentStatus.
- * Emits OrderEvent audit entries.
+ * Events. `to(order)` returns the target per axis; `guard(order)` returns an
+ * error code when the event may not happen even though the moves are legal.
  */
-export async function transitionOrder({ orderId, action, actorId }) {
-  const order = await prisma.order.findUnique({
-    where: { id: orderId },
-    include: { payments: true, items: true, shipments: true },
-  });
-  if (!order) throw new Error("Order not found");
+export const ORDER_EVENTS = {
+  place: { to: () => ({ status: "PLACED" }) },
+  confirm: { to: () => ({ status: "CONFIRMED" }) },
+  cancel: {
+    to: () => ({ status: "CANCELLED", fulfillmentStatus: "CANCELED" }),
+    effects: ["releaseStock"],
+  },
+  complete: {
+    // completing closes out fulfilment too (delivered in full)
+    to: (o) => ({
+      status: "COMPLETED",
+      ...(o.fulfillmentStatus === "RETURNED" ? {} : { fulfillmentStatus: "FULFILLED" }),
+    }),
+    guard: (o) =>
+      PAIDLIKE.has(String(o.paymentStatus)) || isCodOrder(o) ? null : "PAYMENT_REQUIRED",
+    effects: ["earnLoyalty", "costBatches"],
+  },
+  archive: { to: () => ({ status: "ARCHIVED" }) },
+
+  // payment axis; a payment on a placed order confirms it
+  authorize: { to: () => ({ paymentStatus: "AUTHORIZED" }) },
+  pay: {
+    to: (o) => ({ paymentStatus: "PAID", ...(o.status === "PLACED" ? { status: "CONFIRMED" } : {}) }),
+  },
+  awaitPayment: { to: () => ({ paymentStatus: "PENDING" }) },
+  failPayment: { to: () => ({ paymentStatus: "FAILED" }) },
+  voidPayment: { to: () => ({ paymentStatus: "CANCELED" }) },
+  settle: { to: () => ({ paymentStatus: "SETTLED" }) },
+  refundPartial: { to: () => ({ paymentStatus: "PARTIALLY_REFUNDED" }) },
+  refund: { to: () => ({ paymentStatus: "REFUNDED" }) },
+
+  // fulfilment axis
+  fulfillPartial: { to: () => ({ fulfillmentStatus: "PARTIAL" }), effects: ["costBatches"] },
+  fulfill: { to: () => ({ fulfillmentStatus: "FULFILLED" }), effects: ["costBatches"] },
+  returned: { to: () => ({ fulfillmentStatus: "RETURNED" }), effects: ["reverseBatches"] },
+};
+
+/** Cross-axis rules every resulting state must satisfy → error code or null. */
+const INVARIANTS = [
+  (s) =>
+    s.status === "CANCELLED" && !["UNFULFILLED", "CANCELED"].includes(s.fulfillmentStatus)
+      ? "CANCELLED_BUT_FULFILLED"
+      : null,
+  (s) =>
+    ["DRAFT", "PLACED"].includes(s.status) && s.fulfillmentStatus !== "UNFULFILLED"
+      ? "FULFILLED_BEFORE_CONFIRMED"
+      : null,
+  (s) =>
+    s.status === "COMPLETED" && !["FULFILLED", "RETURNED"].includes(s.fulfillmentStatus)
+      ? "COMPLETED_BUT_UNFULFILLED"
+      : null,
+  (s) => (s.fulfillmentStatus === "CANCELED" && s.status !== "CANCELLED" && s.status !== "ARCHIVED" ? "FULFILMENT_CANCELED_ON_LIVE_ORDER" : null),
+];
+
+/** Event that moves an order to a target Order.status (admin "set status" UIs). */
+export function eventForStatus(to) {
+  return {
+    PLACED: "place",
+    CONFIRMED: "confirm",
+    COMPLETED: "complete",
+    CANCELLED: "cancel",
+    ARCHIVED: "archive",
+  }[String(to || "").toUpperCase()] || null;
+}
+
+/** Event that moves an order to a target paymentStatus (derived from its payments). */
+export function eventForPaymentStatus(to) {
+  return {
+    PENDING: "awaitPayment",
+    AUTHORIZED: "authorize",
+    PAID: "pay",
+    FAILED: "failPayment",
+    CANCELED: "voidPayment",
+    SETTLED: "settle",
+    PARTIALLY_REFUNDED: "refundPartial",
+    REFUNDED: "refund",
+  }[String(to || "").toUpperCase()] || null;
+}
+
+function transitionError(code, status, details = {}) {
+  const err = new Error(code);
+  err.code = code;
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+/* ---------------- core ---------------- */
+
+/**
+ * Apply one event inside the caller's transaction.
+ * → { order, changed, from, to, afterCommit } — pass the result to
+ *   runOrderEffects() once the transaction has committed.
+ */
+export async function applyOrderEvent(
+  tx,
+  { orderId, event, actor = {}, reason = null, metadata = {}, now = new Date() }
+) {
+  const def = ORDER_EVENTS[event];
+  if (!def) throw transitionError("UNKNOWN_EVENT", 400, { event });
+
+  const order = await tx.order.findUnique({ where: { id: orderId } });
+  if (!order) throw transitionError("ORDER_NOT_FOUND", 404);
+
+  const from = {
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    fulfillmentStatus: order.fulfillmentStatus,
+  };
+  const wanted = def.to(order);
+  const to = { ...from, ...wanted };
+  const axes = Object.keys(wanted).filter((axis) => from[axis] !== to[axis]);
+
+  // Same state again (double click, webhook retry) is a no-op, not an error.
+  if (!axes.length) return { order, changed: false, from, to, afterCommit: [] };
+
+  for (const axis of axes) {
+    if (!(ORDER_LIFECYCLE[axis][from[axis]] || []).includes(to[axis])) {
+      throw transitionError("INVALID_TRANSITION", 409, { event, axis, from: from[axis], to: to[axis] });
+    }
+  }
+  const blocked = def.guard?.(order);
+  if (blocked) throw transitionError(blocked, 409, { event });
+  for (const rule of INVARIANTS) {
+    const broken = rule(to);
+    if (broken) throw transitionError(broken, 409, { event, from, to });
+  }
 
-  const now = new Date();
+  const data = {};
+  for (const axis of axes) {
+    data[axis] = to[axis];
+    const stamp = STAMPS[axis][to[axis]];
+    if (stamp && !order[stamp]) data[stamp] = now;
+  }
+  const { count } = await tx.order.updateMany({ where: { id: orderId, ...from }, data });
+  if (!count) throw transitionError("ORDER_CONFLICT", 409, { event });
 
-  const emit = (kind, message, metadata = {}) =>
-    prisma.orderEvent.create({
+  for (const axis of axes) {
+    await tx.orderEvent.create({
       data: {
         orderId,
-        kind,
-        message,
-        metadata,
+        kind: EVENT_KIND[axis],
+        message: `${from[axis]} → ${to[axis]}`,
+        metadata: { event, axis, from: from[axis], to: to[axis], reason: reason || undefined, ...metadata },
         at: now,
-        actorId,
-        actorRole: "ADMIN",
+        actorId: actor.id || null,
+        actorRole: actor.role || "system",
       },
     });
+  }
+
+  const afterCommit = [];
+  if ((def.effects || []).includes("releaseStock") && (await releaseOrderStock(tx, order.id))) {
+    afterCommit.push("inventorySync");
+  }
+  if ((def.effects || []).includes("earnLoyalty") && order.userId) afterCommit.push("earnLoyalty");
+  if ((def.effects || []).includes("costBatches") && axes.includes("fulfillmentStatus")) {
+    await costOrderItems(tx, order.id, { shippedOnly: to.fulfillmentStatus === "PARTIAL" });
+  }
+  if ((def.effects || []).includes("reverseBatches")) await reverseOrderConsumption(tx, order.id);
+  if (axes.includes("status")) {
+    if (to.status === "PLACED") afterCommit.push("message:order_placed");
+    if (to.status === "CONFIRMED") afterCommit.push("webhook:order.confirmed", "message:order_confirmed");
+    if (to.status === "CANCELLED") afterCommit.push("webhook:order.cancelled", "ledgerReversal");
+  }
+
+  const updated = await tx.order.findUnique({ where: { id: orderId } });
+  return { order: updated, changed: true, from, to, afterCommit, reason };
+}
 
-  switch (action) {
-    case "confirm":
-      if (order.status === "CANCELLED" || order.status === "ARCHIVED")
-        throw new Error("Cannot confirm a cancelled/archived order");
-      await prisma.order.update({
-        where: { id: orderId },
-        data: { status: "CONFIRMED" },
-      });
-      await emit("STATUS", "Order confirmed by admin");
-      break;
-
-    case "cancel":
-      if (order.fulfillmentStatus === "FULFILLED")
-        throw new Error("Cannot cancel a fulfilled order");
-      await prisma.order.update({
-        where: { id: orderId },
-        data: { status: "CANCELLED", paymentStatus: order.paymentStatus },
-      });
-      await emit("STATUS", "Order cancelled by admin");
-      break;
-
-    case "complete":
-      if (!PAIDLIKE.has(String(order.paymentStatus))) {
-        throw new Error("Cannot complete: payment is not in a paid-like state");
+/**
+ * applyOrderEvent for callers that must not fail on lifecycle grounds (payment
+ * callbacks: the money moved whatever state the order is in). A refused
+ * transition is logged and returns null; nothing has been written by then.
+ */
+export async function tryOrderEvent(tx, args) {
+  try {
+    return await applyOrderEvent(tx, args);
+  } catch (err) {
+    if (err?.status !== 409) throw err;
+    console.warn("[order-transitions] %s on %s refused: %s", args.event, args.orderId, err.code, err.details || "");
+    return null;
+  }
+}
+
+/**
+ * A gateway reported the payment as failed: mark it and cancel the order, unless
+ * another payment already settled it (then the failed attempt is just history).
+ */
+export async function failOrderPayment(orderId, { provider = null, reason = "payment_failed" } = {}) {
+  const results = await prisma.$transaction(async (tx) => {
+    const actor = { role: "system" };
+    const failed = await tryOrderEvent(tx, { orderId, event: "failPayment", actor, metadata: { provider } });
+    const order = failed?.order || (await tx.order.findUnique({ where: { id: orderId } }));
+    if (order?.paymentStatus !== "FAILED") return [failed];
+    return [failed, await tryOrderEvent(tx, { orderId, event: "cancel", actor, reason, metadata: { provider } })];
+  });
+  await runOrderEffects(...results);
+  return results[results.length - 1]?.order || null;
+}
+
+/** Queue the post-commit side effects of one or more applyOrderEvent results. */
+export async function runOrderEffects(...results) {
+  for (const r of results) {
+    if (!r?.changed) continue;
+    for (const effect of r.afterCommit) {
+      try {
+        if (effect.startsWith("webhook:")) {
+          await emitWebhookEvent(effect.slice(8), {
+            ...orderWebhookData(r.order),
+            previousStatus: r.from.status,
+            ...(r.reason ? { reason: r.reason } : {}),
+          });
+        } else if (effect.startsWith("message:")) {
+          await sendCustomerMessage(effect.slice(8), { orderId: r.order.id });
+        } else if (effect === "ledgerReversal") {
+          await queueLedgerPosting("ORDER_REVERSAL", r.order.id);
+        } else if (effect === "earnLoyalty") {
+          await enqueue("loyalty.order-earn", { orderId: r.order.id }, { dedupeKey: `loyalty:order:${r.order.id}` });
+        } else if (effect === "inventorySync") {
+          await enqueue("strapi.inventory-sync", {}, { queue: "strapi", dedupeKey: "strapi.inventory-sync" });
+        }
+      } catch (err) {
+        console.error("[order-transitions] %s for %s failed:", effect, r.order.id, err?.message || err);
       }
-      await prisma.order.update({
-        where: { id: orderId },
-        data: { status: "COMPLETED", fulfillmentStatus: "FULFILLED" },
-      });
-      await emit("STATUS", "Order completed by admin");
-      break;
-
-    default:
-      throw new Error("Unsupported action");
+    }
   }
+}
 
-  return prisma.order.findUnique({
-    where: { id: orderId },
-    include: {
-      user: { select: { id: true, name: true, email: true, phone: true } },
-      items: true,
-      payments: true,
-      shipments: true,
-      shippingAddress: true,
-      billingAddress: true,
-      events: true,
-    },
+/**
+ * Apply one event in its own transaction and run its side effects.
+ * → { order, changed, from, to }
+ */
+export async function transitionOrder({ orderId, event, actor, reason, metadata }) {
+  const result = await prisma.$transaction((tx) => applyOrderEvent(tx, { orderId, event, actor, reason, metadata }), {
+    maxWait: 10000,
+    timeout: 20000,
   });
+  await runOrderEffects(result);
+  return result;
 }
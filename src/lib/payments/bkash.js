@@ -6,10 +6,12 @@ const {
   BKASH_APP_KEY,
   BKASH_APP_SECRET,
   BKASH_SANDBOX = "true",
+  BKASH_API_BASE, // optional override (local stub server)
   PUBLIC_BASE_URL,
 } = process.env;
 
 function base() {
+  if (BKASH_API_BASE) return BKASH_API_BASE;
   return BKASH_SANDBOX === "true"
     ? "https://tokenized.sandbox.bka.sh/v1.2.0-beta"
     : "https://tokenized.pay.bka.sh/v1.2.0-beta";
@@ -69,3 +71,56 @@ export async function bkashCreatePayment({
     auth_token: token, // needed for execute from callback handler
   };
 }
+
+async function checkoutPost(path, body) {
+  const token = await authToken();
+  const res = await fetch(`${base()}/tokenized/checkout${path}`, {
+    method: "POST",
+    headers: {
+      authorization: token,
+      "x-app-key": BKASH_APP_KEY,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data) throw new Error("bkash_unreachable");
+  // bKash answers 200 with statusCode != "0000" on business errors
+  if (data.statusCode && data.statusCode !== "0000") {
+    throw new Error(data.statusMessage || `bkash_error_${data.statusCode}`);
+  }
+  return data;
+}
+
+/** transactionStatus: Initiated | Authorized | Completed | Cancelled | Expired | ... */
+export async function bkashQueryPayment({ paymentId }) {
+  const data = await checkoutPost("/payment/status", { paymentID: paymentId });
+  return { transactionStatus: data.transactionStatus, trxId: data.trxID || null, raw: data };
+}
+
+/** Capture an "authorization" intent payment. */
+export async function bkashCapturePayment({ paymentId }) {
+  const data = await checkoutPost("/payment/confirm/capture", { paymentID: paymentId });
+  return { transactionStatus: data.transactionStatus, trxId: data.trxID || null, raw: data };
+}
+
+/** Void an "authorization" intent payment before capture. */
+export async function bkashVoidPayment({ paymentId }) {
+  const data = await checkoutPost("/payment/confirm/void", { paymentID: paymentId });
+  return { transactionStatus: data.transactionStatus, raw: data };
+}
+
+export async function bkashRefundPayment({ paymentId, trxId, amount, reason = "refund", sku = "order" }) {
+  const data = await checkoutPost("/payment/refund", {
+    paymentID: paymentId,
+    trxID: trxId,
+    amount: Number(amount).toFixed(2),
+    reason,
+    sku,
+  });
+  return {
+    refundTrxId: data.refundTrxID || null,
+    transactionStatus: data.transactionStatus,
+    raw: data,
+  };
+}
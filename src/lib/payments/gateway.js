@@ -1,23 +1,612 @@
 // PATH: src/lib/payments/gateway.js
+import prisma from "@/lib/prisma";
+import { createPaymentSession } from "./index";
+import {
+  stripeRetrievePaymentIntent,
+  stripeCapturePaymentIntent,
+  stripeCancelPaymentIntent,
+  stripeCreateRefund,
+  stripeRetrieveRefund,
+} from "./stripe";
+import { sslcommerzQueryTransaction, sslcommerzInitiateRefund } from "./sslcommerz";
+import {
+  bkashQueryPayment,
+  bkashCapturePayment,
+  bkashVoidPayment,
+  bkashRefundPayment,
+} from "./bkash";
+import { nagadVerifyPayment } from "./nagad";
+import { emitWebhookEvent, paymentWebhookData } from "@/lib/webhooks";
+import { queueLedgerPosting } from "@/lib/ledger";
+import { eventForPaymentStatus, tryOrderEvent } from "@/lib/order-transitions";
 
 /**
- * A minimal provider-agnostic mock capture.
- * Replace with real SDK calls for Stripe/SSLCommerz/bKash/Nagad as needed.
+ * Provider adapters. Every adapter implements the same contract:
+ *
+ *   authorize({ order, customer })        -> createPaymentSession() result
+ *   capture(payment, { amount })          -> Result
+ *   void(payment)                         -> Result
+ *   refund(payment, { amount, reason })   -> Result
+ *   status(payment)                       -> Result
+ *   refundStatus?(payment, { providerRef }) -> Result
+ *
+ * Result = { ok, status, providerRef?, message?, raw }
+ * `status` is a PaymentStatus value, or "UNSUPPORTED" when the provider
+ * has no such operation (the Payment row is then left untouched).
+ * A refund the provider accepted but has not paid out yet comes back as
+ * { ok: false, pending: true, status: "REFUND_PENDING" }; it is settled later
+ * with settleRefund() (webhook or queryRefundStatus()).
+ *
+ * Adapters only talk to the provider; persistence (PaymentEvent rows and
+ * Payment.status) happens in capturePayment/voidPayment/refundPayment below.
  */
-export async function capturePayment({ provider, transactionId, amount, currency }) {
-  // Simulate provider capture logic with basic validation
-  if (!provider) throw new Error("Missing provider");
-  if (!amount || Number(amount) <= 0) throw new Error("Invalid amount");
-  if (provider === "CASH_ON_DELIVERY") {
-    // COD has nothing to capture
-    return { ok: false, status: "UNSUPPORTED", message: "COD does not support capture" };
+
+// Statuses that are fully “paid/settled” (used for summing paid amounts)
+export const PAID_SUM_STATUSES = new Set(["PAID", "SETTLED", "CAPTURED", "SUCCEEDED"]);
+
+const unsupported = (message) => ({ ok: false, status: "UNSUPPORTED", message, raw: null });
+
+const n = (v) => {
+  const x = Number(v ?? 0);
+  return Number.isFinite(x) ? x : 0;
+};
+
+const raw = (payment) =>
+  payment?.rawPayload && typeof payment.rawPayload === "object" ? payment.rawPayload : {};
+
+/* ───────────────────────── Stripe ───────────────────────── */
+
+const STRIPE_STATUS = {
+  requires_payment_method: "PENDING",
+  requires_confirmation: "PENDING",
+  requires_action: "PENDING",
+  processing: "PENDING",
+  requires_capture: "AUTHORIZED",
+  succeeded: "CAPTURED",
+  canceled: "CANCELED",
+};
+
+const STRIPE_REFUND_STATUS = {
+  succeeded: "REFUNDED",
+  pending: "REFUND_PENDING",
+  requires_action: "REFUND_PENDING",
+  failed: "FAILED",
+  canceled: "FAILED",
+};
+
+function stripeRefundResult(r) {
+  const status = STRIPE_REFUND_STATUS[r.status] || "REFUND_PENDING";
+  return {
+    ok: status === "REFUNDED",
+    pending: status === "REFUND_PENDING",
+    status,
+    providerRef: r.id,
+    amount: r.amount,
+    message: r.status,
+    raw: r.raw,
+  };
+}
+
+function stripeIntentId(payment) {
+  const obj = raw(payment)?.data?.object || {};
+  return payment.transactionId || obj.payment_intent || obj.id || null;
+}
+
+const stripeAdapter = {
+  authorize: (args) => createPaymentSession("STRIPE", args),
+
+  async status(payment) {
+    const id = stripeIntentId(payment);
+    if (!id) return { ok: false, status: "FAILED", message: "payment_intent_missing", raw: null };
+    const pi = await stripeRetrievePaymentIntent(id);
+    return { ok: true, status: STRIPE_STATUS[pi.status] || "PENDING", providerRef: pi.id, raw: pi.raw };
+  },
+
+  async capture(payment, { amount } = {}) {
+    const current = await stripeAdapter.status(payment);
+    if (current.status === "CAPTURED") return { ...current, message: "already_captured" };
+    if (current.status !== "AUTHORIZED") {
+      return { ...current, ok: false, message: `not_capturable:${current.raw?.status}` };
+    }
+    const pi = await stripeCapturePaymentIntent(current.providerRef, { amount });
+    const status = STRIPE_STATUS[pi.status] || "PENDING";
+    return { ok: status === "CAPTURED", status, providerRef: pi.id, raw: pi.raw };
+  },
+
+  async void(payment) {
+    const id = stripeIntentId(payment);
+    if (!id) return { ok: false, status: "FAILED", message: "payment_intent_missing", raw: null };
+    const pi = await stripeCancelPaymentIntent(id);
+    return { ok: pi.status === "canceled", status: "CANCELED", providerRef: pi.id, raw: pi.raw };
+  },
+
+  async refund(payment, { amount } = {}) {
+    const id = stripeIntentId(payment);
+    if (!id) return { ok: false, status: "FAILED", message: "payment_intent_missing", raw: null };
+    return stripeRefundResult(await stripeCreateRefund({ paymentIntentId: id, amount }));
+  },
+
+  async refundStatus(payment, { providerRef } = {}) {
+    if (!providerRef) return { ok: false, status: "FAILED", message: "refund_id_missing", raw: null };
+    return stripeRefundResult(await stripeRetrieveRefund(providerRef));
+  },
+};
+
+/* ──────────────────────── SSLCommerz ─────────────────────── */
+
+const SSLCZ_STATUS = {
+  VALID: "CAPTURED",
+  VALIDATED: "CAPTURED",
+  PENDING: "PENDING",
+  FAILED: "FAILED",
+  CANCELLED: "CANCELED",
+  UNATTEMPTED: "CANCELED",
+  EXPIRED: "CANCELED",
+};
+
+function sslczTranId(payment) {
+  return raw(payment).tran_id || payment.transactionId || null;
+}
+
+const sslcommerzAdapter = {
+  authorize: (args) => createPaymentSession("SSL_COMMERZ", args),
+
+  async status(payment) {
+    const tranId = sslczTranId(payment);
+    if (!tranId) return { ok: false, status: "FAILED", message: "tran_id_missing", raw: null };
+    const t = await sslcommerzQueryTransaction({ tranId });
+    return {
+      ok: true,
+      status: SSLCZ_STATUS[t.status] || "PENDING",
+      providerRef: t.bankTranId || t.valId || tranId,
+      bankTranId: t.bankTranId,
+      raw: t.raw,
+    };
+  },
+
+  // SSLCommerz settles on success; "capture" confirms the validator agrees.
+  async capture(payment) {
+    const current = await sslcommerzAdapter.status(payment);
+    return { ...current, ok: current.status === "CAPTURED" };
+  },
+
+  async void() {
+    return unsupported("sslcommerz_has_no_void");
+  },
+
+  async refund(payment, { amount, reason } = {}) {
+    let bankTranId = raw(payment).bank_tran_id || null;
+    if (!bankTranId) bankTranId = (await sslcommerzAdapter.status(payment)).bankTranId;
+    if (!bankTranId) return { ok: false, status: "FAILED", message: "bank_tran_id_missing", raw: null };
+    const r = await sslcommerzInitiateRefund({ bankTranId, amount, remarks: reason || "Refund" });
+    return { ok: true, status: "REFUNDED", providerRef: r.refundRefId, raw: r.raw };
+  },
+};
+
+/* ────────────────────────── bKash ───────────────────────── */
+
+const BKASH_STATUS = {
+  Initiated: "PENDING",
+  Authorized: "AUTHORIZED",
+  Completed: "CAPTURED",
+  Cancelled: "CANCELED",
+  Expired: "CANCELED",
+  Failed: "FAILED",
+};
+
+// The callback overwrites transactionId with trxID, so paymentID lives on in rawPayload.
+function bkashIds(payment) {
+  const r = raw(payment);
+  return {
+    paymentId: r.paymentID || payment.transactionId || null,
+    trxId: r.trxID || payment.transactionId || null,
+  };
+}
+
+const bkashAdapter = {
+  authorize: (args) => createPaymentSession("BKASH", args),
+
+  async status(payment) {
+    const { paymentId } = bkashIds(payment);
+    if (!paymentId) return { ok: false, status: "FAILED", message: "payment_id_missing", raw: null };
+    const q = await bkashQueryPayment({ paymentId });
+    return {
+      ok: true,
+      status: BKASH_STATUS[q.transactionStatus] || "PENDING",
+      providerRef: q.trxId || paymentId,
+      raw: q.raw,
+    };
+  },
+
+  async capture(payment) {
+    const current = await bkashAdapter.status(payment);
+    if (current.status === "CAPTURED") return { ...current, message: "already_captured" };
+    if (current.status !== "AUTHORIZED") {
+      return { ...current, ok: false, message: `not_capturable:${current.raw?.transactionStatus}` };
+    }
+    const c = await bkashCapturePayment({ paymentId: bkashIds(payment).paymentId });
+    const status = BKASH_STATUS[c.transactionStatus] || "PENDING";
+    return { ok: status === "CAPTURED", status, providerRef: c.trxId, raw: c.raw };
+  },
+
+  async void(payment) {
+    const v = await bkashVoidPayment({ paymentId: bkashIds(payment).paymentId });
+    const status = BKASH_STATUS[v.transactionStatus] || "CANCELED";
+    return { ok: status === "CANCELED", status, raw: v.raw };
+  },
+
+  async refund(payment, { amount, reason } = {}) {
+    const { paymentId, trxId } = bkashIds(payment);
+    const r = await bkashRefundPayment({ paymentId, trxId, amount, reason });
+    return {
+      ok: r.transactionStatus === "Completed",
+      status: "REFUNDED",
+      providerRef: r.refundTrxId,
+      raw: r.raw,
+    };
+  },
+};
+
+/* ────────────────────────── Nagad ───────────────────────── */
+
+const NAGAD_STATUS = {
+  Success: "CAPTURED",
+  Aborted: "CANCELED",
+  Cancelled: "CANCELED",
+  Failed: "FAILED",
+};
+
+const nagadAdapter = {
+  authorize: (args) => createPaymentSession("NAGAD", args),
+
+  async status(payment) {
+    const paymentRefId = raw(payment).paymentRefId || payment.transactionId;
+    if (!paymentRefId) return { ok: false, status: "FAILED", message: "payment_ref_missing", raw: null };
+    const v = await nagadVerifyPayment({ paymentRefId });
+    return {
+      ok: true,
+      status: NAGAD_STATUS[v.status] || "PENDING",
+      providerRef: v.issuerPaymentRefNo || paymentRefId,
+      raw: v.raw,
+    };
+  },
+
+  // Sale-only: a verified Success is the capture.
+  async capture(payment) {
+    const current = await nagadAdapter.status(payment);
+    return { ...current, ok: current.status === "CAPTURED" };
+  },
+
+  async void() {
+    return unsupported("nagad_has_no_void");
+  },
+
+  async refund() {
+    return unsupported("nagad_refund_via_merchant_portal");
+  },
+};
+
+/* ─────────────────── Cash on delivery / manual ─────────────────── */
+
+// Nothing to call: capture records that cash was collected.
+const offlineAdapter = {
+  authorize: (args) => createPaymentSession("CASH_ON_DELIVERY", args),
+  async status(payment) {
+    return { ok: true, status: payment.status, raw: null };
+  },
+  async capture() {
+    return { ok: true, status: "PAID", message: "offline_collected", raw: null };
+  },
+  async void() {
+    return { ok: true, status: "CANCELED", raw: null };
+  },
+  async refund() {
+    return { ok: true, status: "REFUNDED", message: "offline_refund", raw: null };
+  },
+};
+
+const ADAPTERS = {
+  STRIPE: stripeAdapter,
+  SSL_COMMERZ: sslcommerzAdapter,
+  BKASH: bkashAdapter,
+  NAGAD: nagadAdapter,
+  CASH_ON_DELIVERY: offlineAdapter,
+  MANUAL: offlineAdapter,
+};
+
+export function getPaymentAdapter(provider) {
+  const adapter = ADAPTERS[String(provider || "").toUpperCase()];
+  if (!adapter) throw new Error("unsupported_provider");
+  return adapter;
+}
+
+/* ───────────────────────── Persistence ───────────────────────── */
+
+const EVENT_TYPES = {
+  capture: ["CAPTURED", "CAPTURE_FAILED"],
+  void: ["VOIDED", "VOID_FAILED"],
+  refund: ["REFUNDED", "REFUND_FAILED"],
+  status: ["STATUS_SYNCED", "STATUS_SYNC_FAILED"],
+};
+
+const cents = (v) => Math.round(n(v) * 100);
+
+const REFUND_EVENTS = ["REFUNDED", "REFUND_PENDING", "REFUND_FAILED"];
+
+/** Refunded so far; with `pending`, also refunds the provider still has open. */
+async function refundedSoFar(db, paymentId, { pending = false } = {}) {
+  const events = await db.paymentEvent.findMany({
+    where: { paymentId, type: { in: REFUND_EVENTS } },
+    select: { type: true, payload: true },
+  });
+  const settled = new Set(
+    events.filter((e) => e.type !== "REFUND_PENDING" && e.payload?.providerRef).map((e) => e.payload.providerRef)
+  );
+  return events.reduce((sum, e) => {
+    if (e.type === "REFUNDED") return sum + n(e.payload?.amount);
+    if (pending && e.type === "REFUND_PENDING" && !settled.has(e.payload?.providerRef)) {
+      return sum + n(e.payload?.amount);
+    }
+    return sum;
+  }, 0);
+}
+
+/**
+ * Run one adapter operation against a Payment row and persist the outcome:
+ * always a PaymentEvent; Payment.status only when the provider confirmed it.
+ */
+async function runOperation(op, { paymentId, amount, reason, actorId = null }) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) throw new Error("payment_not_found");
+
+  const requested = amount != null ? n(amount) : null;
+  if (requested != null && requested <= 0) throw new Error("Invalid amount");
+
+  // Never ask the provider for more than is left on the payment.
+  if (op === "refund") {
+    const left = cents(payment.amount) - cents(await refundedSoFar(prisma, payment.id, { pending: true }));
+    if (requested != null ? cents(requested) > left : left <= 0) {
+      const err = new Error("refund_exceeds_payment");
+      err.status = 409;
+      err.refundable = Math.max(0, left) / 100;
+      throw err;
+    }
+  }
+
+  let result;
+  try {
+    result = await getPaymentAdapter(payment.provider)[op](payment, { amount: requested, reason });
+  } catch (err) {
+    result = { ok: false, status: "FAILED", message: String(err?.message || err), raw: null };
+  }
+
+  const [okType, failType] = EVENT_TYPES[op];
+  let movedAmount = requested;
+
+  // Past this point the provider has answered; failures carry its answer
+  // (err.providerResult) so callers never treat the operation as not sent.
+  let updated;
+  try {
+    updated = await prisma.$transaction(async (tx) => {
+      let nextStatus = result.ok && result.status !== "UNSUPPORTED" ? result.status : null;
+      let eventAmount = requested;
+
+      if (op === "refund" && (result.ok || result.pending)) {
+        const already = await refundedSoFar(tx, payment.id);
+        eventAmount = requested ?? Math.max(0, n(payment.amount) - already);
+        if (result.ok) {
+          nextStatus = already + eventAmount >= n(payment.amount) ? "REFUNDED" : "PARTIALLY_REFUNDED";
+        }
+        movedAmount = eventAmount;
+      }
+
+      await tx.paymentEvent.create({
+        data: {
+          paymentId: payment.id,
+          type: result.ok ? okType : result.pending ? "REFUND_PENDING" : failType,
+          payload: {
+            provider: payment.provider,
+            status: result.status,
+            providerRef: result.providerRef || null,
+            amount: eventAmount,
+            reason: reason || null,
+            message: result.message || null,
+            by: actorId ? "admin" : "system",
+            userId: actorId,
+            raw: result.raw ?? null,
+          },
+        },
+      });
+
+      if (!nextStatus || nextStatus === payment.status) return payment;
+
+      return tx.payment.update({
+        where: { id: payment.id },
+        data: {
+          status: nextStatus,
+          message: `${op}:${result.message || nextStatus.toLowerCase()}`,
+          // keep the provider's capture reference when we didn't have one yet
+          ...(op === "capture" && !payment.transactionId && result.providerRef
+            ? { transactionId: result.providerRef }
+            : {}),
+        },
+      });
+    });
+  } catch (err) {
+    err.providerResult = result;
+    throw err;
+  }
+
+  if (result.ok && op === "capture") {
+    await emitWebhookEvent("payment.captured", paymentWebhookData(updated, { capturedAmount: movedAmount ?? n(payment.amount) }));
+    await queueLedgerPosting("PAYMENT", updated.id);
+  } else if (result.ok && op === "refund") {
+    await emitWebhookEvent(
+      "payment.refunded",
+      paymentWebhookData(updated, { refundedAmount: movedAmount, reason: reason || null })
+    );
   }
 
-  // Pretend the gateway returns a capture reference
   return {
-    ok: true,
-    status: "CAPTURED",
-    captureRef: transactionId || `CAP_${Math.random().toString(36).slice(2, 10)}`,
-    raw: { provider, transactionId, amount: Number(amount), currency },
+    ok: !!result.ok,
+    pending: !!result.pending,
+    status: result.status,
+    message: result.message || null,
+    result,
+    payment: updated,
   };
 }
+
+export const capturePayment = (args) => runOperation("capture", args);
+export const voidPayment = (args) => runOperation("void", args);
+export const refundPayment = (args) => runOperation("refund", args);
+export const queryPaymentStatus = (args) => runOperation("status", args);
+
+// A payment past these is not moved back to PAID by a late or repeated callback
+const CAPTURE_FINAL = [...PAID_SUM_STATUSES, "REFUNDED", "PARTIALLY_REFUNDED"];
+
+/**
+ * Record a capture reported by the provider's callback / IPN / webhook, inside
+ * the caller's transaction. Providers resend these (Stripe sends two per
+ * charge), so only the first one moves the payment → the PAID payment, or
+ * null for a repeat. Pass it to paymentCaptured() after commit.
+ */
+export async function markGatewayPaid(tx, paymentId, data = {}) {
+  const moved = await tx.payment.updateMany({
+    where: { id: paymentId, status: { notIn: CAPTURE_FINAL } },
+    data: { ...data, status: "PAID" },
+  });
+  return moved.count ? tx.payment.findUnique({ where: { id: paymentId } }) : null;
+}
+
+/** Post-commit side of a gateway-reported capture: the same webhook and ledger posting as capturePayment. */
+export async function paymentCaptured(payment) {
+  if (!payment) return;
+  await emitWebhookEvent("payment.captured", paymentWebhookData(payment, { capturedAmount: n(payment.amount) }));
+  await queueLedgerPosting("PAYMENT", payment.id);
+}
+
+/** Ask the provider where a pending refund stands (nothing is persisted). → Result */
+export async function queryRefundStatus({ paymentId, providerRef }) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) throw new Error("payment_not_found");
+  const adapter = getPaymentAdapter(payment.provider);
+  if (!adapter.refundStatus) return unsupported("no_refund_status_query");
+  try {
+    return await adapter.refundStatus(payment, { providerRef });
+  } catch (err) {
+    return { ok: false, pending: true, status: "REFUND_PENDING", message: String(err?.message || err), raw: null };
+  }
+}
+
+/**
+ * Settle a REFUND_PENDING refund once the provider has decided it: records
+ * REFUNDED / REFUND_FAILED for the pending amount, moves Payment.status and
+ * announces payment.refunded. Safe to repeat per providerRef.
+ * → { found, settled, ok, amount, payment }
+ */
+export async function settleRefund({ providerRef, ok, message = null, raw = null }) {
+  const pending = providerRef
+    ? await prisma.paymentEvent.findFirst({
+        where: { type: "REFUND_PENDING", payload: { path: ["providerRef"], equals: providerRef } },
+        include: { payment: true },
+      })
+    : null;
+  if (!pending) return { found: false, settled: false, ok: false, amount: 0, payment: null };
+
+  const payment = pending.payment;
+  const amount = n(pending.payload?.amount);
+  const reason = pending.payload?.reason || null;
+
+  let outcome;
+  try {
+    outcome = await prisma.$transaction(
+      async (tx) => {
+        const done = await tx.paymentEvent.findFirst({
+          where: {
+            paymentId: payment.id,
+            type: { in: ["REFUNDED", "REFUND_FAILED"] },
+            payload: { path: ["providerRef"], equals: providerRef },
+          },
+          select: { type: true },
+        });
+        if (done) return { settled: false, ok: done.type === "REFUNDED", payment };
+
+        const already = await refundedSoFar(tx, payment.id);
+        await tx.paymentEvent.create({
+          data: {
+            paymentId: payment.id,
+            type: ok ? "REFUNDED" : "REFUND_FAILED",
+            payload: {
+              provider: payment.provider,
+              status: ok ? "REFUNDED" : "FAILED",
+              providerRef,
+              amount,
+              reason,
+              message,
+              by: "system",
+              userId: null,
+              raw: raw ?? null,
+            },
+          },
+        });
+        if (!ok) return { settled: true, ok: false, payment };
+
+        const nextStatus = already + amount >= n(payment.amount) ? "REFUNDED" : "PARTIALLY_REFUNDED";
+        const updated =
+          nextStatus === payment.status
+            ? payment
+            : await tx.payment.update({
+                where: { id: payment.id },
+                data: { status: nextStatus, message: `refund:${message || nextStatus.toLowerCase()}` },
+              });
+        return { settled: true, ok: true, payment: updated };
+      },
+      { isolationLevel: "Serializable" }
+    );
+  } catch (err) {
+    // A concurrent delivery of the same settlement won; it did the work.
+    if (err?.code === "P2034") return settleRefund({ providerRef, ok, message, raw });
+    throw err;
+  }
+
+  if (outcome.settled && outcome.ok) {
+    await emitWebhookEvent("payment.refunded", paymentWebhookData(outcome.payment, { refundedAmount: amount, reason }));
+  }
+  return { found: true, amount, ...outcome };
+}
+
+/**
+ * Recompute Order.paymentStatus from “settled” payments only, through the order
+ * lifecycle (stamps paidAt; paying a PLACED order confirms it).
+ * → the applyOrderEvent result (hand it to runOrderEffects after commit), or null.
+ */
+export async function recomputeOrderPaymentStatus(orderId, { db = prisma, actor = { role: "system" } } = {}) {
+  const order = await db.order.findUnique({
+    where: { id: orderId },
+    select: { grandTotal: true },
+  });
+  if (!order) return null;
+
+  const payments = await db.payment.findMany({ where: { orderId } });
+  const paidSum = payments.reduce(
+    (sum, p) => (PAID_SUM_STATUSES.has(String(p.status || "")) ? sum + n(p.amount) : sum),
+    0
+  );
+  const grand = n(order.grandTotal);
+
+  const allRefunded = payments.length > 0 && payments.every((p) => p.status === "REFUNDED");
+  const anyRefund = payments.some(
+    (p) => p.status === "REFUNDED" || p.status === "PARTIALLY_REFUNDED"
+  );
+
+  const paymentStatus = allRefunded
+    ? "REFUNDED"
+    : anyRefund
+    ? "PARTIALLY_REFUNDED"
+    : grand > 0 && paidSum >= grand
+    ? "PAID"
+    : "PENDING";
+
+  return tryOrderEvent(db, { orderId, event: eventForPaymentStatus(paymentStatus), actor });
+}
@@ -5,17 +5,19 @@ import { nagadCreatePayment } from "./nagad";
 
 /**
  * createPaymentSession(provider, order) -> { mode, ...fields }
+ * Provider-side capture/void/refund live in ./gateway (adapter registry).
  * mode:
  *  - stripe_client_secret
  *  - redirect
  */
-export async function createPaymentSession(provider, { order, customer }) {
+export async function createPaymentSession(provider, { order, customer, captureMethod }) {
   switch (provider) {
     case "STRIPE": {
       const pi = await stripeCreatePaymentIntent({
         amount: order.grandTotal,
         currency: order.currency,
         metadata: { orderId: order.id, orderNumber: order.orderNumber },
+        captureMethod, // "manual" → capture later from admin
       });
       return { mode: "stripe_client_secret", client_secret: pi.client_secret, id: pi.id };
     }
@@ -8,10 +8,12 @@ const {
   NAGAD_PUBLIC_KEY_BASE64,
   NAGAD_PRIVATE_KEY_BASE64,
   NAGAD_SANDBOX = "true",
+  NAGAD_API_BASE, // optional override (local stub server)
   PUBLIC_BASE_URL,
 } = process.env;
 
 function base() {
+  if (NAGAD_API_BASE) return NAGAD_API_BASE;
   return NAGAD_SANDBOX === "true"
     ? "https://sandbox.nagad.com.bd"
     : "https://api.nagad.com.bd";
@@ -86,3 +88,21 @@ export async function nagadCreatePayment({
     payment_ref_id: payData.paymentReferenceId,
   };
 }
+
+/**
+ * Verify a payment by reference. Nagad checkout is sale-only: a verified
+ * "Success" is already settled, there is no separate authorize/capture step.
+ */
+export async function nagadVerifyPayment({ paymentRefId }) {
+  const res = await fetch(
+    `${base()}/api/dfs/verify/payment/${NAGAD_MERCHANT_ID}/${encodeURIComponent(paymentRefId)}`
+  );
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data) throw new Error("nagad_verify_failed");
+  return {
+    status: String(data.status || ""), // Success | Aborted | Cancelled | Failed | ...
+    issuerPaymentRefNo: data.issuerPaymentRefNo || null,
+    amount: Number(data.amount || 0),
+    raw: data,
+  };
+}
@@ -3,15 +3,32 @@ const {
   SSLCZ_STORE_ID,
   SSLCZ_STORE_PASSWORD,
   SSLCZ_SANDBOX = "true",
+  SSLCZ_API_BASE, // optional override (local stub server)
   PUBLIC_BASE_URL,
 } = process.env;
 
 function sslczBase() {
+  if (SSLCZ_API_BASE) return SSLCZ_API_BASE;
   return SSLCZ_SANDBOX === "true"
     ? "https://sandbox.sslcommerz.com"
     : "https://securepay.sslcommerz.com";
 }
 
+async function validatorGet(path, params) {
+  if (!SSLCZ_STORE_ID || !SSLCZ_STORE_PASSWORD)
+    throw new Error("sslcz_credentials_missing");
+  const qs = new URLSearchParams({
+    ...params,
+    store_id: SSLCZ_STORE_ID,
+    store_passwd: SSLCZ_STORE_PASSWORD,
+    format: "json",
+  });
+  const res = await fetch(`${sslczBase()}/validator/api/${path}?${qs.toString()}`);
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data) throw new Error("sslcommerz_validator_unreachable");
+  return data;
+}
+
 /**
  * Returns { GatewayPageURL, sessionkey }
  * Docs: https://developer.sslcommerz.com/doc/v4/#initiation
@@ -71,3 +88,50 @@ export async function sslcommerzInitPayment({
     sessionkey: data.sessionkey,
   };
 }
+
+/**
+ * Validate a completed session by val_id (authoritative success check).
+ * Docs: https://developer.sslcommerz.com/doc/v4/#order-validation-api
+ */
+export async function sslcommerzValidate({ valId }) {
+  const data = await validatorGet("validationserverAPI.php", { val_id: valId });
+  return {
+    status: String(data?.status || "").toUpperCase(), // VALID | VALIDATED | INVALID_TRANSACTION
+    bankTranId: data?.bank_tran_id || null,
+    amount: Number(data?.amount || 0),
+    raw: data,
+  };
+}
+
+/**
+ * Latest transaction state for our tran_id.
+ * Docs: https://developer.sslcommerz.com/doc/v4/#by-session-id
+ */
+export async function sslcommerzQueryTransaction({ tranId }) {
+  const data = await validatorGet("merchantTransIDvalidationAPI.php", { tran_id: tranId });
+  const rows = Array.isArray(data?.element) ? data.element : [];
+  const latest = rows[0] || null;
+  return {
+    status: String(latest?.status || "").toUpperCase(),
+    bankTranId: latest?.bank_tran_id || null,
+    valId: latest?.val_id || null,
+    amount: Number(latest?.amount || 0),
+    raw: data,
+  };
+}
+
+/**
+ * Refund (full or partial) against the bank transaction.
+ * Docs: https://developer.sslcommerz.com/doc/v4/#initiate-the-refund
+ */
+export async function sslcommerzInitiateRefund({ bankTranId, amount, remarks = "Refund" }) {
+  const data = await validatorGet("merchantTransIDvalidationAPI.php", {
+    bank_tran_id: bankTranId,
+    refund_amount: Number(amount).toFixed(2),
+    refund_remarks: remarks,
+  });
+  if (data?.APIConnect !== "DONE" || String(data?.status).toLowerCase() !== "success") {
+    throw new Error(data?.errorReason || "sslcommerz_refund_failed");
+  }
+  return { refundRefId: data.refund_ref_id, status: data.status, raw: data };
+}
@@ -1,33 +1,22 @@
 // Stripe via REST (no SDK dependency). Requires STRIPE_SECRET_KEY.
+// STRIPE_API_BASE can point at a local stub server (scripts/payments/stub-gateways.mjs).
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+const STRIPE_API_BASE = process.env.STRIPE_API_BASE || "https://api.stripe.com";
 
-export async function stripeCreatePaymentIntent({
-  amount, // Decimal(12,2) string or number in major units
-  currency, // e.g., "BDT"
-  metadata = {},
-}) {
-  if (!STRIPE_SECRET_KEY) throw new Error("stripe_key_missing");
-
-  // Convert major to minor (e.g., 1234.56 -> 123456)
-  const minor = Math.round(Number(amount) * 100);
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+const toMajor = (minor) => Number(minor || 0) / 100;
 
-  const body = new URLSearchParams({
-    amount: String(minor),
-    currency: currency.toLowerCase(),
-    automatic_payment_methods: "enabled",
-    ...Object.fromEntries(
-      Object.entries(metadata).map(([k, v]) => [`metadata[${k}]`, String(v)])
-    ),
-  });
+async function stripeRequest(path, { method = "POST", params } = {}) {
+  if (!STRIPE_SECRET_KEY) throw new Error("stripe_key_missing");
 
-  const res = await fetch("https://api.stripe.com/v1/payment_intents", {
-    method: "POST",
+  const res = await fetch(`${STRIPE_API_BASE}/v1${path}`, {
+    method,
     headers: {
       Authorization: `Bearer ${STRIPE_SECRET_KEY}`,
       "Content-Type": "application/x-www-form-urlencoded",
       "Stripe-Version": "2024-06-20",
     },
-    body,
+    body: method === "GET" ? undefined : new URLSearchParams(params || {}),
   });
 
   const data = await res.json();
@@ -35,6 +24,27 @@ export async function stripeCreatePaymentIntent({
     // expose Stripe error message
     throw new Error(data?.error?.message || "stripe_error");
   }
+  return data;
+}
+
+export async function stripeCreatePaymentIntent({
+  amount, // Decimal(12,2) string or number in major units
+  currency, // e.g., "BDT"
+  metadata = {},
+  captureMethod, // "manual" → authorize only, capture later
+}) {
+  const data = await stripeRequest("/payment_intents", {
+    params: {
+      // Convert major to minor (e.g., 1234.56 -> 123456)
+      amount: String(toMinor(amount)),
+      currency: currency.toLowerCase(),
+      automatic_payment_methods: "enabled",
+      ...(captureMethod ? { capture_method: captureMethod } : {}),
+      ...Object.fromEntries(
+        Object.entries(metadata).map(([k, v]) => [`metadata[${k}]`, String(v)])
+      ),
+    },
+  });
 
   return {
     id: data.id,
@@ -42,3 +52,48 @@ export async function stripeCreatePaymentIntent({
     status: data.status,
   };
 }
+
+export async function stripeRetrievePaymentIntent(id) {
+  const data = await stripeRequest(`/payment_intents/${encodeURIComponent(id)}`, {
+    method: "GET",
+  });
+  return {
+    id: data.id,
+    status: data.status,
+    amount: toMajor(data.amount),
+    amountReceived: toMajor(data.amount_received),
+    raw: data,
+  };
+}
+
+/** Capture an authorized (capture_method=manual) PaymentIntent, optionally partially. */
+export async function stripeCapturePaymentIntent(id, { amount } = {}) {
+  const data = await stripeRequest(`/payment_intents/${encodeURIComponent(id)}/capture`, {
+    params: amount != null ? { amount_to_capture: String(toMinor(amount)) } : {},
+  });
+  return { id: data.id, status: data.status, amountReceived: toMajor(data.amount_received), raw: data };
+}
+
+/** Release an uncaptured authorization. */
+export async function stripeCancelPaymentIntent(id, { reason = "requested_by_customer" } = {}) {
+  const data = await stripeRequest(`/payment_intents/${encodeURIComponent(id)}/cancel`, {
+    params: { cancellation_reason: reason },
+  });
+  return { id: data.id, status: data.status, raw: data };
+}
+
+export async function stripeCreateRefund({ paymentIntentId, amount, reason = "requested_by_customer" }) {
+  const data = await stripeRequest("/refunds", {
+    params: {
+      payment_intent: paymentIntentId,
+      reason,
+      ...(amount != null ? { amount: String(toMinor(amount)) } : {}),
+    },
+  });
+  return { id: data.id, status: data.status, amount: toMajor(data.amount), raw: data };
+}
+
+export async function stripeRetrieveRefund(id) {
+  const data = await stripeRequest(`/refunds/${encodeURIComponent(id)}`, { method: "GET" });
+  return { id: data.id, status: data.status, amount: toMajor(data.amount), raw: data };
+}
@@ -0,0 +1,296 @@
+// lib/price-books.js
+// Scheduled price lists (PriceList → Price). The one place the cart, the PDP,
+// product cards and create-order resolve a variant's selling price from.
+//
+// Price rows without a list are the base price. A list is live while it is
+// active and `now` is inside [startsAt, endsAt). When several live lists price
+// the same variant the highest `priority` wins, then the one that started most
+// recently. Within a list a variant row beats a product row.
+//
+// List headers are cached briefly but the time window is checked on every
+// call, so a sale scheduled for midnight starts at midnight without a deploy.
+// Variants no live list covers keep the Strapi-synced discountPrice rule.
+import prisma from "@/lib/prisma";
+import { selectPriceRow } from "@/lib/price";
+import { Permissions } from "@/lib/rbac";
+
+export const PRICE_LIST_KINDS = ["PRICE_BOOK", "MARKDOWN"];
+export const DEFAULT_CURRENCY = "BDT";
+const CACHE_TTL_MS = 60 * 1000;
+
+const N = (x, d = 0) => {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : d;
+};
+const round2 = (x) => Math.round(N(x) * 100) / 100;
+
+/* ---------------- lists (cached) ---------------- */
+
+let _lists = { value: null, fetchedAt: 0 };
+
+/** Admin writes call this so the next lookup sees the new lists. */
+export function clearPriceBookCache() {
+  _lists = { value: null, fetchedAt: 0 };
+}
+
+async function loadLists(db) {
+  const now = Date.now();
+  if (_lists.value && now - _lists.fetchedAt < CACHE_TTL_MS) return _lists.value;
+  const value = await db.priceList
+    .findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, kind: true, currency: true, priority: true, startsAt: true, endsAt: true },
+    })
+    .catch(() => []);
+  _lists = { value, fetchedAt: now };
+  return value;
+}
+
+/** → "LIVE" | "SCHEDULED" | "ENDED" | "OFF" */
+export function priceListStatus(list, now = new Date()) {
+  if (list.isActive === false) return "OFF";
+  if (list.startsAt && new Date(list.startsAt) > now) return "SCHEDULED";
+  if (list.endsAt && new Date(list.endsAt) <= now) return "ENDED";
+  return "LIVE";
+}
+
+/** Live lists for a currency, winner first. */
+export async function liveLists({ currency = DEFAULT_CURRENCY, now = new Date(), db = prisma } = {}) {
+  const lists = await loadLists(db);
+  return lists
+    .filter((l) => l.currency === currency && priceListStatus(l, now) === "LIVE")
+    .sort(
+      (a, b) =>
+        b.priority - a.priority ||
+        new Date(b.startsAt || 0).getTime() - new Date(a.startsAt || 0).getTime()
+    );
+}
+
+/* ---------------- resolution ---------------- */
+
+/**
+ * Price one variant (with `prices` and `product.prices` loaded) against the
+ * given live lists → { amount, compareAt, priceListId, priceList } or null
+ * when the variant has no base price and no list row.
+ */
+export function priceVariant(variant, lists, { currency = DEFAULT_CURRENCY, qty = 1 } = {}) {
+  const own = variant?.prices || [];
+  const inherited = variant?.product?.prices || [];
+  const rowsFor = (listId) => {
+    const v = own.filter((p) => (p.priceListId || null) === listId);
+    return v.length ? v : inherited.filter((p) => (p.priceListId || null) === listId);
+  };
+
+  const baseRow = selectPriceRow(rowsFor(null), { currency, qty });
+  const base = baseRow ? N(baseRow.amount) : 0;
+
+  for (const list of lists) {
+    const row = selectPriceRow(rowsFor(list.id), { currency, qty });
+    if (!row || N(row.amount) <= 0) continue;
+    const amount = round2(row.amount);
+    const compareAt = row.compareAt != null ? N(row.compareAt) : base;
+    return {
+      amount,
+      compareAt: compareAt > amount ? round2(compareAt) : null,
+      priceListId: list.id,
+      priceList: { id: list.id, name: list.name, kind: list.kind, endsAt: list.endsAt },
+    };
+  }
+
+  // No live list: base price, with the Strapi-synced discount when it is lower.
+  const discount = variant?.discountAllowed ? N(variant.discountPrice) : 0;
+  const amount = discount > 0 && (base === 0 || discount < base) ? discount : base;
+  if (amount <= 0) return null;
+  const compareAt = baseRow?.compareAt != null ? N(baseRow.compareAt) : base;
+  return {
+    amount: round2(amount),
+    compareAt: compareAt > amount ? round2(compareAt) : null,
+    priceListId: null,
+    priceList: null,
+  };
+}
+
+const VARIANT_PRICE_INCLUDE = { prices: true, product: { select: { prices: true } } };
+
+/**
+ * Resolve selling prices for many variants at once.
+ * → Map(variantId → { amount, compareAt, priceListId, priceList })
+ */
+export async function resolveVariantPrices(
+  variantIds,
+  { currency = DEFAULT_CURRENCY, qty = 1, now = new Date(), db = prisma } = {}
+) {
+  const ids = [...new Set((variantIds || []).filter(Boolean).map(String))];
+  const out = new Map();
+  if (!ids.length) return out;
+
+  const [lists, variants] = await Promise.all([
+    liveLists({ currency, now, db }),
+    db.productVariant.findMany({ where: { id: { in: ids } }, include: VARIANT_PRICE_INCLUDE }),
+  ]);
+  for (const v of variants) {
+    const price = priceVariant(v, lists, { currency, qty });
+    if (price) out.set(v.id, price);
+  }
+  return out;
+}
+
+/**
+ * Storefront view by Strapi product id: per-size prices (keyed by
+ * strapiSizeId, falling back to the variant id) plus the cheapest one.
+ * → Map(strapiProductId → { from, variants: { [key]: price } })
+ */
+export async function resolveProductPrices(
+  strapiIds,
+  { currency = DEFAULT_CURRENCY, now = new Date(), db = prisma } = {}
+) {
+  const ids = [...new Set((strapiIds || []).map((x) => Math.trunc(N(x))).filter((x) => x > 0))];
+  const out = new Map();
+  if (!ids.length) return out;
+
+  const [lists, products] = await Promise.all([
+    liveLists({ currency, now, db }),
+    db.product.findMany({
+      where: { strapiId: { in: ids } },
+      select: { strapiId: true, prices: true, variants: { include: { prices: true } } },
+    }),
+  ]);
+  for (const p of products) {
+    const variants = {};
+    let from = null;
+    for (const v of p.variants) {
+      const price = priceVariant({ ...v, product: { prices: p.prices } }, lists, { currency });
+      if (!price) continue;
+      variants[String(v.strapiSizeId ?? v.id)] = price;
+      if (!from || price.amount < from.amount) from = price;
+    }
+    if (from) out.set(p.strapiId, { from, variants });
+  }
+  return out;
+}
+
+/* ---------------- admin payloads ---------------- */
+
+/** Permission that manages a list of this kind. */
+export function priceListPermission(kind) {
+  return kind === "MARKDOWN" ? Permissions.MANAGE_MARKDOWNS : Permissions.MANAGE_PRICE_BOOKS;
+}
+
+const toDate = (v) => {
+  if (v === null || v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+const TARGETS = ["variantId", "sku", "productId", "categoryId", "collectionId"];
+
+/** Admin list payload → [data, error]. */
+export function parsePriceList(body, { partial = false } = {}) {
+  const b = body || {};
+  const data = {};
+
+  if (b.name !== undefined || !partial) {
+    const name = String(b.name || "").trim();
+    if (!name) return [null, "NAME_REQUIRED"];
+    data.name = name;
+  }
+  if (b.description !== undefined) data.description = b.description ? String(b.description) : null;
+  if (b.kind !== undefined || !partial) {
+    const kind = String(b.kind || "PRICE_BOOK").toUpperCase();
+    if (!PRICE_LIST_KINDS.includes(kind)) return [null, "INVALID_KIND"];
+    data.kind = kind;
+  }
+  if (b.currency !== undefined || !partial) data.currency = String(b.currency || DEFAULT_CURRENCY).toUpperCase();
+  if (b.priority !== undefined) {
+    const priority = Math.trunc(N(b.priority, NaN));
+    if (!Number.isFinite(priority)) return [null, "INVALID_PRIORITY"];
+    data.priority = priority;
+  }
+  if (b.isActive !== undefined) data.isActive = !!b.isActive;
+  if (b.taxInclusive !== undefined) data.taxInclusive = b.taxInclusive == null ? null : !!b.taxInclusive;
+  for (const k of ["startsAt", "endsAt"]) {
+    if (b[k] === undefined) continue;
+    const d = toDate(b[k]);
+    if (d === undefined) return [null, "INVALID_DATE"];
+    data[k] = d;
+  }
+  if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) return [null, "INVALID_WINDOW"];
+  return [data, null];
+}
+
+/**
+ * Admin price rows → [rows, error]. Each row targets a variant (by id or SKU),
+ * a product, a category or a collection, with an explicit `amount` or a
+ * `percentOff` of the regular price.
+ */
+export function parsePriceRows(body) {
+  const input = Array.isArray(body?.rows) ? body.rows : [];
+  if (!input.length) return [null, "ROWS_REQUIRED"];
+  if (input.length > 2000) return [null, "TOO_MANY_ROWS"];
+
+  const rows = [];
+  for (const r of input) {
+    const target = Object.fromEntries(
+      TARGETS.map((k) => [k, r?.[k] != null && String(r[k]).trim() ? String(r[k]).trim() : null])
+    );
+    if (TARGETS.filter((k) => target[k]).length !== 1) return [null, "TARGET_REQUIRED"];
+    if ((target.categoryId || target.collectionId) && r?.amount != null && r.amount !== "") {
+      return [null, "PERCENT_REQUIRED"];
+    }
+
+    const amount = r?.amount != null && r.amount !== "" ? N(r.amount, NaN) : null;
+    const percentOff = r?.percentOff != null && r.percentOff !== "" ? N(r.percentOff, NaN) : null;
+    if (amount == null && percentOff == null) return [null, "AMOUNT_REQUIRED"];
+    if (amount != null && !(amount > 0)) return [null, "INVALID_AMOUNT"];
+    if (percentOff != null && !(percentOff > 0 && percentOff < 100)) return [null, "INVALID_PERCENT"];
+
+    const compareAt = r?.compareAt != null && r.compareAt !== "" ? N(r.compareAt, NaN) : null;
+    if (compareAt != null && !(compareAt > 0)) return [null, "INVALID_COMPARE_AT"];
+
+    rows.push({ ...target, amount, percentOff, compareAt, minQty: Math.max(1, Math.trunc(N(r?.minQty, 1))) });
+  }
+  return [rows, null];
+}
+
+/** Prisma filter for the variants a parsed row targets. */
+function targetWhere(r) {
+  if (r.variantId) return { id: r.variantId };
+  if (r.sku) return { sku: r.sku };
+  if (r.productId) return { productId: r.productId };
+  if (r.categoryId) return { product: { categories: { some: { categoryId: r.categoryId } } } };
+  return { product: { collections: { some: { collectionId: r.collectionId } } } };
+}
+
+/**
+ * Write parsed rows into a list, replacing any row for the same variant and
+ * minQty. Group targets expand to one row per variant, and percentages come
+ * off each variant's regular price. → { written, skipped }
+ */
+export async function upsertPriceRows(list, rows, { db = prisma } = {}) {
+  let written = 0;
+  let skipped = 0;
+  for (const r of rows) {
+    const variants = await db.productVariant.findMany({
+      where: { ...targetWhere(r), archivedAt: null },
+      include: VARIANT_PRICE_INCLUDE,
+    });
+    if (!variants.length) skipped += 1;
+
+    for (const v of variants) {
+      const base = priceVariant(v, [], { currency: list.currency, qty: r.minQty });
+      const regular = base ? base.compareAt ?? base.amount : 0;
+      const amount = round2(r.amount ?? regular * (1 - r.percentOff / 100));
+      if (!(amount > 0)) {
+        skipped += 1;
+        continue;
+      }
+      const data = { amount, compareAt: r.compareAt, maxQty: null };
+      const where = { priceListId: list.id, variantId: v.id, minQty: r.minQty };
+      const existing = await db.price.findFirst({ where, select: { id: true } });
+      if (existing) await db.price.update({ where: { id: existing.id }, data });
+      else await db.price.create({ data: { ...where, ...data, currency: list.currency } });
+      written += 1;
+    }
+  }
+  return { written, skipped };
+}
@@ -0,0 +1,433 @@
+// PATH: src/lib/purchasing.js
+// Suppliers, purchase orders and goods-received notes (GRN).
+//
+//   DRAFT ──submit──▶ SUBMITTED ──receive──▶ PARTIALLY_RECEIVED ──receive──▶ RECEIVED
+//     └──────cancel (nothing received)──────┘          └──close──▶ CLOSED (short-closed)
+//
+// A GRN books accepted units into the PO's warehouse (StockMovement IN, reason
+// PURCHASE_RECEIPT) and records them as one InventoryBatch: unitCogs is the PO
+// price converted to BDT, unitOverhead the GRN's landed cost (freight, duty,
+// clearing) apportioned by line value. Each receipt also appends a CostSnapshot
+// per variant at the moving-average cost of stock on hand, which is what the
+// ledger and profit reports read.
+import prisma from "@/lib/prisma";
+import { recomputeVariantStock } from "@/lib/inventory";
+import { assertNotFrozen } from "@/lib/inventory/stock-takes";
+import { enqueue } from "@/lib/queue";
+
+export const PO_OPEN = ["SUBMITTED", "PARTIALLY_RECEIVED"];
+const CURRENCIES = ["BDT", "USD", "EUR", "GBP", "INR", "AUD"];
+
+const cents = (v) => Math.round(Number(v || 0) * 100);
+const money = (c) => Number((c / 100).toFixed(2));
+const int = (v) => {
+  const x = Number(v);
+  return Number.isInteger(x) ? x : NaN;
+};
+
+export function poNumber(number) {
+  return `PO-${String(number ?? "").padStart(6, "0")}`;
+}
+
+function purchasingError(code, status = 400, extra = {}) {
+  const err = new Error(code);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+/** Units neither received nor rejected yet. */
+export const openQty = (item) => item.quantity - item.receivedQty - item.rejectedQty;
+
+export const PO_INCLUDE = {
+  supplier: { select: { id: true, code: true, name: true } },
+  warehouse: { select: { id: true, code: true, name: true } },
+  items: {
+    include: { variant: { select: { id: true, sku: true, title: true, product: { select: { name: true } } } } },
+    orderBy: { id: "asc" },
+  },
+  receipts: {
+    include: { batch: { select: { id: true, code: true } } },
+    orderBy: { receivedAt: "asc" },
+  },
+};
+
+export function loadPurchaseOrder(id, db = prisma) {
+  return db.purchaseOrder.findUnique({ where: { id }, include: PO_INCLUDE });
+}
+
+/* ───────────────────────────── suppliers ───────────────────────────── */
+
+const optStr = (v, max = 500) => {
+  const s = String(v ?? "").trim();
+  return s ? s.slice(0, max) : null;
+};
+
+/** Validate a supplier body → [data, error]. */
+export function parseSupplier(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body?.name !== undefined) {
+    const name = String(body?.name || "").trim();
+    if (!name) return [null, "NAME_REQUIRED"];
+    data.name = name;
+  }
+  if (!partial || body?.code !== undefined) {
+    const code = String(body?.code || "").trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{2,20}$/.test(code)) return [null, "INVALID_CODE"];
+    data.code = code;
+  }
+  for (const k of ["contactName", "email", "phone", "address", "paymentTerms", "notes"]) {
+    if (body?.[k] !== undefined) data[k] = optStr(body[k], k === "notes" || k === "address" ? 2000 : 200);
+  }
+  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) return [null, "INVALID_EMAIL"];
+  if (body?.currency !== undefined) {
+    const currency = String(body.currency || "").trim().toUpperCase();
+    if (!CURRENCIES.includes(currency)) return [null, "INVALID_CURRENCY"];
+    data.currency = currency;
+  }
+  if (body?.leadTimeDays !== undefined) {
+    if (body.leadTimeDays === null || body.leadTimeDays === "") data.leadTimeDays = null;
+    else {
+      const d = int(body.leadTimeDays);
+      if (!(d >= 0)) return [null, "INVALID_LEAD_TIME"];
+      data.leadTimeDays = d;
+    }
+  }
+
+  return [data, null];
+}
+
+/* ─────────────────────────── purchase orders ─────────────────────────── */
+
+/**
+ * Validate a PO body → [data, error]. lines: [{ variantId | sku, quantity, unitCost }]
+ * (SKUs are resolved when saving). With `partial`, omitted fields are left alone.
+ */
+export function parsePurchaseOrder(body, { partial = false } = {}) {
+  const data = {};
+
+  for (const k of ["supplierId", "warehouseId"]) {
+    if (!partial || body?.[k] !== undefined) {
+      const v = String(body?.[k] || "").trim();
+      if (!v) return [null, k === "supplierId" ? "SUPPLIER_REQUIRED" : "WAREHOUSE_REQUIRED"];
+      data[k] = v;
+    }
+  }
+  if (body?.currency !== undefined && body.currency !== null && body.currency !== "") {
+    const currency = String(body.currency).trim().toUpperCase();
+    if (!CURRENCIES.includes(currency)) return [null, "INVALID_CURRENCY"];
+    data.currency = currency;
+  }
+  if (body?.fxRate !== undefined && body.fxRate !== null && body.fxRate !== "") {
+    const fx = Number(body.fxRate);
+    if (!(fx > 0)) return [null, "INVALID_FX_RATE"];
+    data.fxRate = fx;
+  }
+  if (body?.expectedAt !== undefined) {
+    if (!body.expectedAt) data.expectedAt = null;
+    else {
+      const d = new Date(body.expectedAt);
+      if (Number.isNaN(d.getTime())) return [null, "INVALID_EXPECTED_AT"];
+      data.expectedAt = d;
+    }
+  }
+  if (body?.note !== undefined) data.note = optStr(body.note, 2000);
+
+  if (!partial || body?.lines !== undefined) {
+    if (!Array.isArray(body?.lines) || !body.lines.length) return [null, "LINES_REQUIRED"];
+    const lines = [];
+    for (const l of body.lines) {
+      const variantId = l?.variantId ? String(l.variantId).trim() : null;
+      const sku = l?.sku ? String(l.sku).trim() : null;
+      const quantity = int(l?.quantity);
+      const unitCost = Number(l?.unitCost);
+      if (!variantId && !sku) return [null, "LINE_VARIANT_REQUIRED"];
+      if (!(quantity > 0)) return [null, "INVALID_QUANTITY"];
+      if (!(unitCost >= 0) || l?.unitCost === "" || l?.unitCost == null) return [null, "INVALID_UNIT_COST"];
+      lines.push({ variantId, sku, quantity, unitCost });
+    }
+    data.lines = lines;
+  }
+
+  return [data, null];
+}
+
+/** Lines → PurchaseOrderItem create rows; SKUs resolved, duplicate variants merged. */
+async function itemRows(lines, db) {
+  const skus = lines.filter((l) => !l.variantId).map((l) => l.sku);
+  const bySku = new Map(
+    skus.length
+      ? (await db.productVariant.findMany({ where: { sku: { in: skus } }, select: { id: true, sku: true } })).map(
+          (v) => [v.sku, v.id]
+        )
+      : []
+  );
+
+  const rows = new Map();
+  for (const l of lines) {
+    const variantId = l.variantId || bySku.get(l.sku);
+    if (!variantId) throw purchasingError("UNKNOWN_SKU", 400, { sku: l.sku });
+    const prev = rows.get(variantId);
+    // merged lines keep the last price quoted
+    rows.set(variantId, { variantId, quantity: (prev?.quantity || 0) + l.quantity, unitCost: l.unitCost });
+  }
+  return [...rows.values()];
+}
+
+async function assertParties({ supplierId, warehouseId }, db) {
+  let supplier = null;
+  if (supplierId) {
+    supplier = await db.supplier.findUnique({ where: { id: supplierId }, select: { archivedAt: true, currency: true } });
+    if (!supplier || supplier.archivedAt) throw purchasingError("SUPPLIER_NOT_FOUND", 404);
+  }
+  if (warehouseId) {
+    const w = await db.warehouse.findUnique({ where: { id: warehouseId }, select: { archivedAt: true } });
+    if (!w || w.archivedAt) throw purchasingError("WAREHOUSE_NOT_FOUND", 404);
+  }
+  return supplier;
+}
+
+/** Create a DRAFT PO; the currency defaults to the supplier's. */
+export async function createPurchaseOrder({ lines, actorId = null, ...data }) {
+  const supplier = await assertParties(data, prisma);
+  const items = await itemRows(lines, prisma);
+  const currency = data.currency || supplier?.currency || "BDT";
+  if (currency === "BDT") data.fxRate = 1;
+
+  return prisma.purchaseOrder.create({
+    data: { ...data, currency, createdById: actorId, items: { create: items } },
+    include: PO_INCLUDE,
+  });
+}
+
+/** Edit a DRAFT PO; `lines`, when given, replace every item. */
+export async function updatePurchaseOrder(id, { lines, ...data }) {
+  return prisma.$transaction(async (tx) => {
+    const po = await tx.purchaseOrder.findUnique({ where: { id }, select: { status: true, currency: true } });
+    if (!po) throw purchasingError("NOT_FOUND", 404);
+    if (po.status !== "DRAFT") throw purchasingError("INVALID_STATUS", 409, { current: po.status });
+    await assertParties(data, tx);
+    if ((data.currency || po.currency) === "BDT") data.fxRate = 1;
+
+    if (lines) {
+      const items = await itemRows(lines, tx);
+      await tx.purchaseOrderItem.deleteMany({ where: { purchaseOrderId: id } });
+      data.items = { create: items };
+    }
+    return tx.purchaseOrder.update({ where: { id }, data, include: PO_INCLUDE });
+  });
+}
+
+const PO_MOVES = {
+  submit: { from: ["DRAFT"], data: () => ({ status: "SUBMITTED", submittedAt: new Date() }) },
+  cancel: { from: ["DRAFT", "SUBMITTED"], data: () => ({ status: "CANCELLED", cancelledAt: new Date() }) },
+  close: { from: ["PARTIALLY_RECEIVED"], data: () => ({ status: "CLOSED", closedAt: new Date() }) },
+};
+
+/** submit | cancel | close — status-only moves, compare-and-set on the current status. */
+export async function movePurchaseOrder(id, action) {
+  const move = PO_MOVES[action];
+  if (!move) throw purchasingError("UNKNOWN_ACTION", 400);
+
+  const po = await prisma.purchaseOrder.findUnique({ where: { id }, select: { status: true } });
+  if (!po) throw purchasingError("NOT_FOUND", 404);
+  if (!move.from.includes(po.status)) throw purchasingError("INVALID_STATUS", 409, { current: po.status });
+
+  const { count } = await prisma.purchaseOrder.updateMany({
+    where: { id, status: po.status },
+    data: move.data(),
+  });
+  if (!count) throw purchasingError("PO_CONFLICT", 409);
+  return loadPurchaseOrder(id);
+}
+
+/* ─────────────────────────────── receiving ─────────────────────────────── */
+
+/** Split `totalCents` over weights (largest remainder, so the parts add up exactly). */
+function apportion(totalCents, weights) {
+  const sum = weights.reduce((s, w) => s + w, 0);
+  if (!totalCents || !sum) return weights.map(() => 0);
+  const raw = weights.map((w) => (totalCents * w) / sum);
+  const out = raw.map(Math.floor);
+  let rest = totalCents - out.reduce((s, x) => s + x, 0);
+  const order = raw.map((r, i) => [r - Math.floor(r), i]).sort((a, b) => b[0] - a[0]);
+  for (let k = 0; rest > 0; k = (k + 1) % order.length, rest -= 1) out[order[k][1]] += 1;
+  return out;
+}
+
+/** Append a moving-average CostSnapshot for a variant that just received `qty` at `unitCents`. */
+async function appendCostSnapshot(tx, { variantId, onHandBefore, qty, unitCents, purchaseCents, batch, actorId }) {
+  const prev = await tx.costSnapshot.findFirst({ where: { variantId }, orderBy: { createdAt: "desc" } });
+  const prevCents = prev ? cents(prev.cogsUnit) : null;
+  const base = prevCents == null ? 0 : Math.max(0, onHandBefore);
+  const avgCents = base + qty > 0 ? Math.round(((prevCents ?? 0) * base + unitCents * qty) / (base + qty)) : unitCents;
+
+  return tx.costSnapshot.create({
+    data: {
+      variantId,
+      versionLabel: `Receipt ${batch.code} — moving average`,
+      cogsUnit: money(avgCents),
+      // overhead allocation and pricing policy are set by finance, not by receipts
+      overheadPerUnit: prev?.overheadPerUnit ?? 0,
+      unsoldPct: prev?.unsoldPct ?? 0,
+      targetMargin: prev?.targetMargin ?? 0,
+      policyJson: prev?.policyJson ?? undefined,
+      variablesJson: {
+        method: "MOVING_AVERAGE",
+        batchId: batch.id,
+        batchCode: batch.code,
+        previousUnit: prevCents == null ? null : money(prevCents),
+        previousOnHand: base,
+        receivedQty: qty,
+        receivedUnit: money(unitCents),
+        purchaseUnit: money(purchaseCents),
+        landedUnit: money(unitCents - purchaseCents),
+      },
+      createdBy: actorId,
+    },
+  });
+}
+
+/**
+ * Book a GRN against an open PO.
+ * lines: [{ itemId, quantity, rejectedQty?, unitCost? }] — `unitCost` overrides
+ * the PO price (invoice differs), in PO currency. landedCost is BDT.
+ */
+export async function receivePurchaseOrder({ id, lines, landedCost = 0, supplierRef = null, note = null, actorId = null }) {
+  if (!Array.isArray(lines) || !lines.length) throw purchasingError("LINES_REQUIRED", 400);
+  const landedCents = cents(landedCost);
+  if (!(landedCents >= 0)) throw purchasingError("INVALID_LANDED_COST", 400);
+
+  const receipt = await prisma.$transaction(async (tx) => {
+    const po = await loadPurchaseOrder(id, tx);
+    if (!po) throw purchasingError("NOT_FOUND", 404);
+    if (!PO_OPEN.includes(po.status)) throw purchasingError("INVALID_STATUS", 409, { current: po.status });
+
+    const fx = Number(po.fxRate) || 1;
+    const byId = new Map(po.items.map((it) => [it.id, it]));
+    const booked = [];
+    for (const l of lines) {
+      const it = byId.get(String(l?.itemId || ""));
+      if (!it) throw purchasingError("UNKNOWN_LINE", 400, { itemId: l?.itemId });
+      const qty = l.quantity == null || l.quantity === "" ? 0 : int(l.quantity);
+      const rejected = l.rejectedQty == null || l.rejectedQty === "" ? 0 : int(l.rejectedQty);
+      if (!(qty >= 0) || !(rejected >= 0)) throw purchasingError("INVALID_QUANTITY", 400);
+      if (qty + rejected === 0) continue;
+      if (qty + rejected > openQty(it)) throw purchasingError("OVER_RECEIPT", 400, { sku: it.variant?.sku || it.variantId });
+      const poUnit = l.unitCost == null || l.unitCost === "" ? Number(it.unitCost) : Number(l.unitCost);
+      if (!(poUnit >= 0)) throw purchasingError("INVALID_UNIT_COST", 400);
+      booked.push({ it, qty, rejected, poUnit, purchaseCents: Math.round(poUnit * fx * 100) });
+    }
+    if (!booked.length) throw purchasingError("NOTHING_TO_RECEIVE", 400);
+
+    const accepted = booked.filter((b) => b.qty > 0);
+    if (!accepted.length && landedCents) throw purchasingError("LANDED_COST_WITHOUT_UNITS", 400);
+    // landed cost follows value; a zero-value (free sample) delivery splits by units
+    const byValue = accepted.map((b) => b.purchaseCents * b.qty);
+    const shares = apportion(landedCents, byValue.some((v) => v > 0) ? byValue : accepted.map((b) => b.qty));
+    accepted.forEach((b, i) => {
+      b.overheadCents = Math.round(shares[i] / b.qty);
+    });
+
+    const code = `${poNumber(po.number)}-R${po.receipts.length + 1}`;
+    const receivedAt = new Date();
+    const batch = await tx.inventoryBatch.create({
+      data: {
+        code,
+        source: "PURCHASE_ORDER",
+        receivedAt,
+        notes: note,
+        lines: {
+          create: accepted.map((b) => ({
+            variantId: b.it.variantId,
+            quantityIn: b.qty,
+            unitCogs: money(b.purchaseCents),
+            unitOverhead: money(b.overheadCents),
+            currency: "BDT",
+            metadata: {
+              purchaseOrderId: po.id,
+              purchaseOrderItemId: b.it.id,
+              supplierId: po.supplierId,
+              supplierRef,
+              poUnitCost: b.poUnit,
+              poCurrency: po.currency,
+              fxRate: fx,
+            },
+          })),
+        },
+      },
+    });
+
+    for (const b of accepted) {
+      const before = await tx.inventoryItem.aggregate({ where: { variantId: b.it.variantId }, _sum: { onHand: true } });
+      const where = { variantId_warehouseId: { variantId: b.it.variantId, warehouseId: po.warehouseId } };
+      await assertNotFrozen(tx, where, b.it.variant?.sku || b.it.variantId);
+      const inv = await tx.inventoryItem.upsert({
+        where,
+        update: { onHand: { increment: b.qty } },
+        create: { variantId: b.it.variantId, warehouseId: po.warehouseId, onHand: b.qty },
+      });
+      await tx.stockMovement.create({
+        data: {
+          inventoryItemId: inv.id,
+          type: "IN",
+          quantity: b.qty,
+          reason: "PURCHASE_RECEIPT",
+          reference: code,
+          batchId: batch.id,
+        },
+      });
+      await recomputeVariantStock(tx, b.it.variantId);
+      await appendCostSnapshot(tx, {
+        variantId: b.it.variantId,
+        onHandBefore: before._sum.onHand || 0,
+        qty: b.qty,
+        unitCents: b.purchaseCents + b.overheadCents,
+        purchaseCents: b.purchaseCents,
+        batch,
+        actorId,
+      });
+    }
+
+    for (const b of booked) {
+      await tx.purchaseOrderItem.update({
+        where: { id: b.it.id },
+        data: { receivedQty: { increment: b.qty }, rejectedQty: { increment: b.rejected } },
+      });
+      b.it.receivedQty += b.qty;
+      b.it.rejectedQty += b.rejected;
+    }
+
+    const grn = await tx.goodsReceipt.create({
+      data: {
+        purchaseOrderId: po.id,
+        warehouseId: po.warehouseId,
+        batchId: batch.id,
+        landedCost: money(landedCents),
+        supplierRef,
+        note,
+        receivedById: actorId,
+        receivedAt,
+      },
+    });
+
+    const done = po.items.every((it) => openQty(it) === 0);
+    const { count } = await tx.purchaseOrder.updateMany({
+      where: { id: po.id, status: po.status },
+      data: done ? { status: "RECEIVED", receivedAt } : { status: "PARTIALLY_RECEIVED" },
+    });
+    if (!count) throw purchasingError("PO_CONFLICT", 409);
+
+    return { ...grn, batch, accepted: accepted.length };
+  });
+
+  if (receipt.accepted) {
+    try {
+      await enqueue("strapi.inventory-sync", {}, { queue: "strapi", dedupeKey: "strapi.inventory-sync" });
+    } catch (err) {
+      console.error("[purchasing] could not queue inventory sync:", err?.message || err);
+    }
+  }
+  return { receipt, order: await loadPurchaseOrder(id) };
+}
@@ -1,10 +1,331 @@
 // file: src/lib/queue.js
-// minimal stub; expose info() used by health summary
+// Durable job queue on Postgres (BackgroundJob / JobQueue).
+//
+// - enqueue(name, payload, opts) from anywhere server-side; the request returns
+//   immediately and a worker (scripts/jobs/worker.mjs → /api/internal/jobs/run)
+//   picks the job up.
+// - Claiming uses FOR UPDATE SKIP LOCKED, so several workers can poll safely;
+//   a per-queue advisory lock keeps them from overrunning its concurrency.
+// - Failures retry with exponential backoff; after maxAttempts a job is DEAD
+//   (dead-letter) until someone retries or clears it from Admin → Health.
+// - snapshot/listQueues/drain/retry/pause/resume/clearFailed/rerun are the hooks
+//   the health routes look for.
+import { Prisma } from "@prisma/client";
+import prisma from "@/lib/prisma";
+
+export const QUEUES = {
+  default: { label: "Default application queue", concurrency: 4 },
+  email: { label: "Email / Notifications queue", concurrency: 2 },
+  strapi: { label: "Strapi sync", concurrency: 1 },
+  logistics: { label: "Courier labels", concurrency: 2 },
+  documents: { label: "Invoices / documents", concurrency: 2 },
+  webhooks: { label: "Outbound webhooks", concurrency: 4 },
+};
+
+const ACTIONS = ["rerun", "drain", "retry", "pause", "resume", "clearfailed"];
+
+const BACKOFF_BASE_MS = Number(process.env.JOBS_BACKOFF_BASE_MS || 30_000);
+const BACKOFF_MAX_MS = Number(process.env.JOBS_BACKOFF_MAX_MS || 60 * 60 * 1000);
+// RUNNING jobs whose worker died are handed back after this long
+const LOCK_TIMEOUT_MS = Number(process.env.JOBS_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+// lastError of a job dropped because an identical one is already waiting
+const SUPERSEDED = "superseded by a pending job with the same dedupeKey";
+
+function queueName(q) {
+  const name = String(q || "default").trim().toLowerCase();
+  if (!QUEUES[name]) {
+    const err = new Error("unknown_queue");
+    err.status = 400;
+    throw err;
+  }
+  return name;
+}
+
+/** Delay before the next attempt: base · 2^(attempt-1), capped, ±20% jitter. */
+export function backoffMs(attempt) {
+  const raw = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1));
+  return Math.round(raw * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Add a job. With `dedupeKey`, a job with the same key that is still PENDING is
+ * returned instead of queueing another one (e.g. one Strapi sync per burst).
+ * The partial unique index BackgroundJob_dedupeKey_pending_key (created by
+ * scripts/db/post-push.mjs) settles races.
+ */
+export async function enqueue(
+  name,
+  payload = {},
+  { queue = "default", delayMs = 0, runAt = null, maxAttempts = 5, priority = 0, dedupeKey = null, db = prisma } = {}
+) {
+  if (!name) throw new Error("job_name_required");
+  const data = {
+    queue: queueName(queue),
+    name: String(name),
+    payload: payload ?? undefined,
+    priority: Number(priority) || 0,
+    maxAttempts: Math.max(1, Number(maxAttempts) || 1),
+    runAt: runAt ? new Date(runAt) : new Date(Date.now() + Math.max(0, Number(delayMs) || 0)),
+    dedupeKey: dedupeKey ? String(dedupeKey) : null,
+  };
+
+  const pending = () => db.backgroundJob.findFirst({ where: { dedupeKey: data.dedupeKey, status: "PENDING" } });
+  if (data.dedupeKey) {
+    const existing = await pending();
+    if (existing) return existing;
+  }
+  try {
+    return await db.backgroundJob.create({ data });
+  } catch (err) {
+    // another enqueue with the same key got in between
+    if (err?.code !== "P2002" || !data.dedupeKey) throw err;
+    const existing = await pending();
+    if (!existing) throw err;
+    return existing;
+  }
+}
+
+async function queueState(name) {
+  const row = await prisma.jobQueue.findUnique({ where: { name } });
+  return row || { name, paused: false, concurrency: QUEUES[name].concurrency, lastRunAt: null };
+}
+
+/**
+ * Put the jobs matching `where` (SQL on alias c) back to PENDING with `set`.
+ * Only one job per dedupeKey may be PENDING, so where a key already has one
+ * waiting — or several matching jobs share a key — the extra jobs are
+ * cancelled as superseded instead. → number re-queued
+ */
+async function requeue(where, set) {
+  return prisma.$transaction(async (tx) => {
+    const count = await tx.$executeRaw`
+      UPDATE "BackgroundJob" SET ${set}, "lockedAt" = NULL, "lockedBy" = NULL, "updatedAt" = now()
+       WHERE "id" IN (
+         SELECT DISTINCT ON (COALESCE(c."dedupeKey", c."id")) c."id"
+           FROM "BackgroundJob" c
+          WHERE ${where}
+            AND NOT EXISTS (
+              SELECT 1 FROM "BackgroundJob" p WHERE p."dedupeKey" = c."dedupeKey" AND p."status" = 'PENDING'
+            )
+          ORDER BY COALESCE(c."dedupeKey", c."id"), c."createdAt" DESC
+       )`;
+    // whatever still matches lost to a PENDING job with its key
+    await tx.$executeRaw`
+      UPDATE "BackgroundJob" c
+         SET "status" = 'CANCELLED', "lockedAt" = NULL, "lockedBy" = NULL,
+             "lastError" = ${SUPERSEDED}, "updatedAt" = now()
+       WHERE ${where}`;
+    return count;
+  });
+}
+
+/** Hand stale RUNNING jobs (worker crashed / timed out) back to PENDING. */
+async function releaseStale(queue) {
+  const cutoff = new Date(Date.now() - LOCK_TIMEOUT_MS);
+  return requeue(
+    Prisma.sql`c."queue" = ${queue} AND c."status" = 'RUNNING' AND c."lockedAt" < ${cutoff}`,
+    Prisma.sql`"status" = 'PENDING', "lastError" = 'lock expired'`
+  );
+}
+
+/**
+ * Claim up to `limit` due jobs for a worker, respecting pause and the queue's
+ * concurrency (jobs already RUNNING elsewhere count against it).
+ */
+export async function claimJobs(queue, { workerId, limit } = {}) {
+  const name = queueName(queue);
+  const state = await queueState(name);
+  if (state.paused) return [];
+
+  await releaseStale(name);
+
+  const jobs = await prisma.$transaction(async (tx) => {
+    // One claimer per queue at a time: otherwise two workers can both count
+    // the same free slots and together run more than `concurrency`.
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`jobs:claim:${name}`}))`;
+
+    const running = await tx.backgroundJob.count({ where: { queue: name, status: "RUNNING" } });
+    const slots = Math.min(Number(limit) || state.concurrency, state.concurrency - running);
+    if (slots <= 0) return null;
+
+    return tx.$queryRaw`
+      UPDATE "BackgroundJob"
+         SET "status" = 'RUNNING', "lockedAt" = now(), "lockedBy" = ${String(workerId || "worker")},
+             "attempts" = "attempts" + 1, "updatedAt" = now()
+       WHERE "id" IN (
+         SELECT "id" FROM "BackgroundJob"
+          WHERE "queue" = ${name} AND "status" = 'PENDING' AND "runAt" <= now()
+          ORDER BY "priority" DESC, "runAt" ASC
+          LIMIT ${slots}
+          FOR UPDATE SKIP LOCKED
+       )
+      RETURNING *`;
+  });
+  if (!jobs) return [];
+
+  await prisma.jobQueue.upsert({
+    where: { name },
+    create: { name, concurrency: state.concurrency, lastRunAt: new Date() },
+    update: { lastRunAt: new Date() },
+  });
+
+  return jobs;
+}
+
+export async function completeJob(job, result = null) {
+  return prisma.backgroundJob.update({
+    where: { id: job.id },
+    data: {
+      status: "COMPLETED",
+      result: result ?? undefined,
+      lastError: null,
+      lockedAt: null,
+      lockedBy: null,
+      completedAt: new Date(),
+    },
+  });
+}
+
+/** Schedule a retry, or dead-letter when attempts are used up (or `fatal`). */
+export async function failJob(job, error, { fatal = false } = {}) {
+  const message = String(error?.message || error).slice(0, 2000);
+  const dead = fatal || job.attempts >= job.maxAttempts;
+  try {
+    return await prisma.backgroundJob.update({
+      where: { id: job.id },
+      data: {
+        status: dead ? "DEAD" : "PENDING",
+        lastError: message,
+        lockedAt: null,
+        lockedBy: null,
+        ...(dead ? {} : { runAt: new Date(Date.now() + backoffMs(job.attempts)) }),
+      },
+    });
+  } catch (err) {
+    // the same work was queued again while this attempt ran; that job retries it
+    if (err?.code !== "P2002" || dead) throw err;
+    return prisma.backgroundJob.update({
+      where: { id: job.id },
+      data: { status: "CANCELLED", lastError: `${message} (${SUPERSEDED})`, lockedAt: null, lockedBy: null },
+    });
+  }
+}
+
+/* ───────────────────────── health hooks ───────────────────────── */
+
+export async function listQueues() {
+  return Object.entries(QUEUES).map(([name, q]) => ({ name, label: q.label }));
+}
+
+export async function snapshot() {
+  const now = new Date();
+  const [counts, due, states] = await Promise.all([
+    prisma.backgroundJob.groupBy({
+      by: ["queue", "status"],
+      where: { status: { in: ["PENDING", "RUNNING", "DEAD"] } },
+      _count: { _all: true },
+    }),
+    prisma.backgroundJob.groupBy({
+      by: ["queue"],
+      where: { status: "PENDING", runAt: { lte: now } },
+      _count: { _all: true },
+    }),
+    prisma.jobQueue.findMany(),
+  ]);
+
+  const count = (queue, status) =>
+    counts.find((c) => c.queue === queue && c.status === status)?._count._all || 0;
+
+  const queues = Object.entries(QUEUES).map(([name, q]) => {
+    const state = states.find((s) => s.name === name);
+    const pending = count(name, "PENDING");
+    const depth = due.find((d) => d.queue === name)?._count._all || 0;
+    return {
+      name,
+      label: q.label,
+      depth,
+      delayed: pending - depth,
+      running: count(name, "RUNNING"),
+      failed: count(name, "DEAD"),
+      paused: !!state?.paused,
+      concurrency: state?.concurrency ?? q.concurrency,
+      lastRunAt: state?.lastRunAt || null,
+      allowedActions: ACTIONS,
+    };
+  });
+
+  return { mode: "real", queues };
+}
+
+/** Summary used by /api/admin/health/summary and checks. */
 export async function info() {
+  const { queues } = await snapshot();
   return {
     ready: true,
-    workers: 0,
-    queued: 0,
+    queued: queues.reduce((a, q) => a + q.depth + q.delayed, 0),
+    running: queues.reduce((a, q) => a + q.running, 0),
+    failed: queues.reduce((a, q) => a + q.failed, 0),
   };
 }
-export default { info };
+
+/** Make delayed / backing-off jobs due now. */
+export async function rerun(queue) {
+  const r = await prisma.backgroundJob.updateMany({
+    where: { queue: queueName(queue), status: "PENDING", runAt: { gt: new Date() } },
+    data: { runAt: new Date() },
+  });
+  return { count: r.count, message: `${r.count} pending job(s) made due now.` };
+}
+
+/** Cancel everything still waiting; running jobs finish normally. */
+export async function drain(queue) {
+  const r = await prisma.backgroundJob.updateMany({
+    where: { queue: queueName(queue), status: "PENDING" },
+    data: { status: "CANCELLED", lastError: "drained" },
+  });
+  return { count: r.count, message: `${r.count} pending job(s) drained.` };
+}
+
+/** Move dead-lettered jobs back into the queue with a fresh attempt budget. */
+export async function retry(queue) {
+  const count = await requeue(
+    Prisma.sql`c."queue" = ${queueName(queue)} AND c."status" = 'DEAD'`,
+    Prisma.sql`"status" = 'PENDING', "attempts" = 0, "runAt" = now()`
+  );
+  return { count, message: `${count} failed job(s) re-queued.` };
+}
+
+export async function clearFailed(queue) {
+  const r = await prisma.backgroundJob.deleteMany({ where: { queue: queueName(queue), status: "DEAD" } });
+  return { count: r.count, message: `${r.count} failed job(s) cleared.` };
+}
+
+async function setPaused(queue, paused) {
+  const name = queueName(queue);
+  await prisma.jobQueue.upsert({
+    where: { name },
+    create: { name, paused, concurrency: QUEUES[name].concurrency },
+    update: { paused },
+  });
+  return { paused, message: `${QUEUES[name].label} ${paused ? "paused" : "resumed"}.` };
+}
+
+export const pause = (queue) => setPaused(queue, true);
+export const resume = (queue) => setPaused(queue, false);
+
+export default {
+  QUEUES,
+  enqueue,
+  claimJobs,
+  completeJob,
+  failJob,
+  listQueues,
+  snapshot,
+  info,
+  rerun,
+  drain,
+  retry,
+  clearFailed,
+  pause,
+  resume,
+};
@@ -428,6 +428,8 @@ const ROLE_PERMISSIONS = {
     Permissions.MANAGE_RETURNS,
     Permissions.MANAGE_EXCHANGES,
     Permissions.MANAGE_RTO,
+    Permissions.MANAGE_RMA,
+    Permissions.MANAGE_RESTOCK_POLICIES,
     Permissions.VIEW_SHIPPING,
     Permissions.MANAGE_DISPATCH_RULES,
     Permissions.MANAGE_COURIERS,
@@ -444,6 +446,7 @@ const ROLE_PERMISSIONS = {
     Permissions.MANAGE_INVENTORY,
     Permissions.MANAGE_PICK_PACK,
     Permissions.MANAGE_BARCODE_FLOWS,
+    Permissions.MANAGE_RETURN_QC,
     Permissions.MANAGE_PACKAGING_RULES,
     Permissions.MANAGE_STOCK_ADJUSTMENTS,
   ]),
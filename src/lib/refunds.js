@@ -0,0 +1,529 @@
+// PATH: src/lib/refunds.js
+// Refunds (R/E/R refunds lane, /api/admin/rer/refunds).
+//
+//   create ──▶ INITIATED ──process──▶ PROCESSING ──▶ PROCESSED | FAILED
+//                  └──────fail──────────────────────▶ FAILED
+//
+// Once the provider has answered a refund it is never put back to INITIATED:
+// if recording the answer fails it stays PROCESSING, flagged for review in
+// payload.gateway.review, so nobody can pay it out a second time.
+//
+// A provider that accepts a refund without paying it out yet (Stripe
+// "pending") leaves it PROCESSING until the refund webhook or a sync settles it.
+//
+// A refund is paid back through one tender: ORIGINAL goes back through its
+// Payment's provider (lib/payments/gateway.js refundPayment), STORE_CREDIT is
+// credited to the customer's Wallet. A split refund is several Refund rows
+// created together. Every INITIATED / PROCESSING / PROCESSED refund reserves
+// its amount, so the total can never exceed what the order's payments took in,
+// and an ORIGINAL refund never exceeds what is left on its own payment.
+import prisma from "@/lib/prisma";
+import {
+  refundPayment,
+  queryRefundStatus,
+  settleRefund,
+  recomputeOrderPaymentStatus,
+  PAID_SUM_STATUSES,
+} from "@/lib/payments/gateway";
+import { runOrderEffects } from "@/lib/order-transitions";
+import { emitWebhookEvent } from "@/lib/webhooks";
+import { queueLedgerPosting } from "@/lib/ledger";
+import { sendCustomerMessage } from "@/lib/customer-messages";
+
+export const REFUND_METHODS = ["ORIGINAL", "STORE_CREDIT"];
+
+// Refunds that count against what is still refundable.
+const RESERVING = ["INITIATED", "PROCESSING", "PROCESSED"];
+
+const REFUNDABLE_PAYMENT = [...PAID_SUM_STATUSES, "PARTIALLY_REFUNDED"];
+
+const cents = (v) => Math.round(Number(v || 0) * 100);
+const money = (c) => Number((c / 100).toFixed(2));
+
+function refundError(code, status, extra = {}) {
+  const err = new Error(code);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+const actorOf = (actorId) => (actorId ? { id: actorId, role: "admin" } : { role: "system" });
+
+/**
+ * What can still be refunded on an order, overall and per payment.
+ * Amounts are numbers; `refundable` is never negative.
+ */
+export async function refundableSummary(orderId, db = prisma) {
+  const order = await db.order.findUnique({
+    where: { id: orderId },
+    select: {
+      id: true,
+      orderNumber: true,
+      userId: true,
+      currency: true,
+      payments: {
+        where: { status: { in: REFUNDABLE_PAYMENT } },
+        select: { id: true, provider: true, status: true, amount: true, currency: true, createdAt: true },
+        orderBy: { createdAt: "asc" },
+      },
+      refunds: {
+        where: { status: { in: RESERVING } },
+        select: { paymentId: true, method: true, amount: true },
+      },
+    },
+  });
+  if (!order) return null;
+
+  const reservedOn = (paymentId) =>
+    order.refunds
+      .filter((r) => r.method === "ORIGINAL" && r.paymentId === paymentId)
+      .reduce((s, r) => s + cents(r.amount), 0);
+
+  const payments = order.payments.map((p) => {
+    const reserved = reservedOn(p.id);
+    return {
+      id: p.id,
+      provider: p.provider,
+      status: p.status,
+      currency: p.currency,
+      amount: Number(p.amount),
+      reserved: money(reserved),
+      refundable: money(Math.max(0, cents(p.amount) - reserved)),
+    };
+  });
+
+  // Only this order's still-refundable payments and what is reserved on them:
+  // a fully refunded payment drops out together with its refunds. Store
+  // credit is not tied to a payment and comes off the total.
+  const paid = order.payments.reduce((s, p) => s + cents(p.amount), 0);
+  const reserved =
+    order.payments.reduce((s, p) => s + reservedOn(p.id), 0) +
+    order.refunds.filter((r) => r.method !== "ORIGINAL").reduce((s, r) => s + cents(r.amount), 0);
+
+  return {
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    userId: order.userId,
+    currency: order.currency,
+    paid: money(paid),
+    reserved: money(reserved),
+    refundable: money(Math.max(0, paid - reserved)),
+    storeCredit: !!order.userId,
+    payments,
+  };
+}
+
+/** [{ paymentId?, method?, amount }] → validated rows; ORIGINAL without paymentId is spread over the payments. */
+function allocate(summary, tenders) {
+  const left = new Map(summary.payments.map((p) => [p.id, cents(p.refundable)]));
+  let total = 0;
+  const rows = [];
+
+  for (const t of tenders) {
+    const method = String(t?.method || "ORIGINAL").toUpperCase();
+    if (!REFUND_METHODS.includes(method)) throw refundError("INVALID_REFUND_METHOD", 400, { method });
+    const amount = cents(t?.amount);
+    if (!(amount > 0)) throw refundError("AMOUNT_REQUIRED", 400);
+    total += amount;
+
+    if (method === "STORE_CREDIT") {
+      if (!summary.userId) throw refundError("STORE_CREDIT_NEEDS_CUSTOMER_ACCOUNT", 422);
+      rows.push({ method, paymentId: null, amount });
+      continue;
+    }
+
+    if (t.paymentId) {
+      if (!left.has(t.paymentId)) throw refundError("PAYMENT_NOT_REFUNDABLE", 409, { paymentId: t.paymentId });
+      if (amount > left.get(t.paymentId)) {
+        throw refundError("REFUND_EXCEEDS_PAYMENT", 409, {
+          paymentId: t.paymentId,
+          refundable: money(left.get(t.paymentId)),
+        });
+      }
+      left.set(t.paymentId, left.get(t.paymentId) - amount);
+      rows.push({ method, paymentId: t.paymentId, amount });
+      continue;
+    }
+
+    let rest = amount;
+    for (const [paymentId, avail] of left) {
+      if (!rest) break;
+      const take = Math.min(avail, rest);
+      if (!take) continue;
+      left.set(paymentId, avail - take);
+      rows.push({ method, paymentId, amount: take });
+      rest -= take;
+    }
+    if (rest) {
+      throw refundError("REFUND_EXCEEDS_PAID", 409, {
+        refundable: money([...left.values()].reduce((s, c) => s + c, 0)),
+      });
+    }
+  }
+
+  if (total > cents(summary.refundable)) {
+    throw refundError("REFUND_EXCEEDS_PAID", 409, { refundable: summary.refundable });
+  }
+  return rows;
+}
+
+/**
+ * Raise INITIATED refunds for an order. Either `tenders`
+ * ([{ paymentId?, method?: "ORIGINAL"|"STORE_CREDIT", amount }]) or a single
+ * `amount` + `method`. With an idempotency key a repeat returns the first rows.
+ * → { items, deduped }
+ */
+export async function createRefunds({
+  orderId,
+  amount,
+  method = "ORIGINAL",
+  tenders,
+  returnId = null,
+  reason = null,
+  note = null,
+  idempotencyKey = null,
+  actorId = null,
+}) {
+  const wanted = Array.isArray(tenders) && tenders.length ? tenders : [{ method, amount }];
+  const marker = idempotencyKey ? `IDEMP:${idempotencyKey}` : null;
+
+  try {
+    return await prisma.$transaction(
+      async (tx) => {
+        if (marker) {
+          const existing = await tx.refund.findMany({
+            where: { orderId, notes: { startsWith: marker } },
+            orderBy: { createdAt: "asc" },
+          });
+          if (existing.length) return { items: existing, deduped: true };
+        }
+
+        const summary = await refundableSummary(orderId, tx);
+        if (!summary) throw refundError("ORDER_NOT_FOUND", 404);
+        const rows = allocate(summary, wanted);
+        const currencyOf = new Map(summary.payments.map((p) => [p.id, p.currency]));
+
+        const items = [];
+        for (const row of rows) {
+          const item = await tx.refund.create({
+            data: {
+              orderId,
+              paymentId: row.paymentId,
+              returnId,
+              method: row.method,
+              amount: money(row.amount),
+              currency: currencyOf.get(row.paymentId) || summary.currency,
+              reason,
+              notes: marker ? `${marker}${note ? `\n${note}` : ""}` : note,
+              actorId,
+              status: "INITIATED",
+            },
+          });
+          await tx.orderEvent.create({
+            data: {
+              orderId,
+              kind: "RER_REFUND_CREATED",
+              message: "RER_REFUND_CREATED",
+              metadata: {
+                refundId: item.id,
+                amount: money(row.amount),
+                method: row.method,
+                paymentId: row.paymentId,
+                orderNumber: summary.orderNumber,
+              },
+              actorId,
+              actorRole: actorId ? "admin" : "system",
+            },
+          });
+          items.push(item);
+        }
+        return { items, deduped: false };
+      },
+      { isolationLevel: "Serializable" }
+    );
+  } catch (err) {
+    // Two refunds raced for the same balance; the loser can simply retry.
+    if (err?.code === "P2034") throw refundError("REFUND_CONFLICT", 409);
+    throw err;
+  }
+}
+
+async function statusEvent(tx, refund, status, actorId, extra = {}) {
+  await tx.orderEvent.create({
+    data: {
+      orderId: refund.orderId,
+      kind: "RER_REFUND_STATUS",
+      message: `RER_REFUND_STATUS:${status}`,
+      metadata: {
+        refundId: refund.id,
+        status,
+        method: refund.method,
+        amount: Number(refund.amount),
+        currency: refund.currency,
+        ...extra,
+      },
+      actorId,
+      actorRole: actorId ? "admin" : "system",
+    },
+  });
+}
+
+async function claim(id) {
+  const { count } = await prisma.refund.updateMany({
+    where: { id, status: "INITIATED" },
+    data: { status: "PROCESSING" },
+  });
+  const refund = await prisma.refund.findUnique({
+    where: { id },
+    include: { order: { select: { orderNumber: true, userId: true } } },
+  });
+  if (!refund) throw refundError("NOT_FOUND", 404);
+  if (!count) {
+    if (refund.status === "PROCESSED") return { refund, deduped: true };
+    throw refundError("INVALID_TRANSITION", 409, { current: refund.status });
+  }
+  return { refund, deduped: false };
+}
+
+async function creditWallet(refund, actorId) {
+  if (!refund.order?.userId) throw refundError("STORE_CREDIT_NEEDS_CUSTOMER_ACCOUNT", 422);
+
+  return prisma.$transaction(async (tx) => {
+    const wallet = await tx.wallet.upsert({
+      where: { userId: refund.order.userId },
+      create: { userId: refund.order.userId },
+      update: {},
+      select: { id: true },
+    });
+    const txn = await tx.walletTransaction.create({
+      data: {
+        walletId: wallet.id,
+        delta: refund.amount,
+        reason: "REFUND",
+        reference: refund.id,
+        metadata: { orderId: refund.orderId, orderNumber: refund.order.orderNumber, actorId },
+      },
+    });
+    await tx.wallet.update({ where: { id: wallet.id }, data: { balance: { increment: refund.amount } } });
+
+    const updated = await tx.refund.update({
+      where: { id: refund.id },
+      data: {
+        status: "PROCESSED",
+        gatewayRef: txn.id,
+        payload: { ...(refund.payload || {}), wallet: { walletId: wallet.id, transactionId: txn.id } },
+        processedAt: new Date(),
+      },
+    });
+    await statusEvent(tx, updated, "PROCESSED", actorId, { walletTransactionId: txn.id });
+    return updated;
+  });
+}
+
+/** PROCESSING → PROCESSED | FAILED. → the Refund, or null when someone else closed it first */
+async function finishGatewayRefund(refund, ok, gateway, actorId) {
+  const status = ok ? "PROCESSED" : "FAILED";
+  const { updated, transition } = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.refund.updateMany({
+      where: { id: refund.id, status: "PROCESSING" },
+      data: {
+        status,
+        gatewayRef: gateway.providerRef,
+        payload: { ...(refund.payload || {}), gateway },
+        processedAt: ok ? new Date() : null,
+      },
+    });
+    if (!count) return { updated: null, transition: null };
+    const updated = await tx.refund.findUnique({ where: { id: refund.id } });
+    await statusEvent(tx, updated, status, actorId, { providerRef: gateway.providerRef, message: gateway.message });
+    const transition = ok
+      ? await recomputeOrderPaymentStatus(refund.orderId, { db: tx, actor: actorOf(actorId) })
+      : null;
+    return { updated, transition };
+  });
+  await runOrderEffects(transition);
+  return updated;
+}
+
+async function refundThroughGateway(refund, actorId) {
+  if (!refund.paymentId) throw refundError("REFUND_PAYMENT_REQUIRED", 422);
+
+  const r = await refundPayment({
+    paymentId: refund.paymentId,
+    amount: Number(refund.amount),
+    reason: refund.reason || `Refund ${refund.id}`,
+    actorId,
+  });
+  const gateway = {
+    status: r.status,
+    message: r.message,
+    providerRef: r.result?.providerRef || null,
+    ...(r.pending ? { pending: true } : {}),
+    raw: r.result?.raw ?? null,
+  };
+
+  try {
+    return await recordGatewayAnswer(refund, r, gateway, actorId);
+  } catch (err) {
+    err.providerResult = r.result;
+    throw err;
+  }
+}
+
+async function recordGatewayAnswer(refund, r, gateway, actorId) {
+  if (r.pending) {
+    // The provider has it; it stays PROCESSING (and reserved) until settled.
+    return prisma.$transaction(async (tx) => {
+      const updated = await tx.refund.update({
+        where: { id: refund.id },
+        data: { gatewayRef: gateway.providerRef, payload: { ...(refund.payload || {}), gateway } },
+      });
+      await statusEvent(tx, updated, "PROCESSING", actorId, { providerRef: gateway.providerRef, pending: true });
+      return updated;
+    });
+  }
+
+  // UNSUPPORTED (e.g. Nagad) is a failure here: nothing was paid back.
+  const updated = await finishGatewayRefund(refund, r.ok && r.status !== "UNSUPPORTED", gateway, actorId);
+  return updated || prisma.refund.findUnique({ where: { id: refund.id } });
+}
+
+async function announceProcessed(updated) {
+  // Gateway refunds already announced payment.refunded from lib/payments/gateway.js.
+  if (updated.method === "STORE_CREDIT") {
+    await emitWebhookEvent("payment.refunded", {
+      refundId: updated.id,
+      orderId: updated.orderId,
+      paymentId: null,
+      returnId: updated.returnId ?? null,
+      method: updated.method,
+      refundedAmount: Number(updated.amount),
+      currency: updated.currency ?? null,
+      reason: updated.reason ?? null,
+    });
+  }
+  await queueLedgerPosting("REFUND", updated.id);
+  await sendCustomerMessage("refund_processed", {
+    orderId: updated.orderId,
+    key: updated.id,
+    variables: {
+      amount: Number(updated.amount),
+      destination: updated.method === "STORE_CREDIT" ? "WALLET" : "PAYMENT",
+    },
+  });
+}
+
+async function holdForReview(refund, err, actorId) {
+  const result = err.providerResult || {};
+  const gateway = {
+    status: result.status ?? null,
+    message: result.message ?? null,
+    providerRef: result.providerRef || null,
+    raw: result.raw ?? null,
+    review: String(err?.message || err),
+  };
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.refund.updateMany({
+      where: { id: refund.id, status: "PROCESSING" },
+      data: { gatewayRef: gateway.providerRef, payload: { ...(refund.payload || {}), gateway } },
+    });
+    if (count) {
+      await statusEvent(tx, refund, "PROCESSING", actorId, { providerRef: gateway.providerRef, review: gateway.review });
+    }
+  });
+}
+
+/**
+ * Pay an INITIATED refund out through its tender. Gateway failures come back
+ * as a FAILED refund (with the provider's answer in payload.gateway), which
+ * releases its amount for a new refund.
+ * → { refund, ok, deduped }
+ */
+export async function processRefund({ id, actorId = null }) {
+  const { refund, deduped } = await claim(id);
+  if (deduped) return { refund, ok: true, deduped: true };
+
+  let updated;
+  try {
+    updated =
+      refund.method === "STORE_CREDIT" ? await creditWallet(refund, actorId) : await refundThroughGateway(refund, actorId);
+  } catch (err) {
+    if (err?.providerResult) {
+      // The provider has answered; processing it again could pay out twice.
+      await holdForReview(refund, err, actorId).catch((e) =>
+        console.error("[refunds] could not flag refund %s for review:", id, e?.message || e)
+      );
+    } else {
+      // Nothing left the building; let it be retried or failed by hand.
+      await prisma.refund.updateMany({ where: { id, status: "PROCESSING" }, data: { status: "INITIATED" } });
+    }
+    throw err;
+  }
+
+  if (updated.status === "PROCESSED") await announceProcessed(updated);
+  return {
+    refund: updated,
+    ok: updated.status === "PROCESSED",
+    pending: updated.status === "PROCESSING" || undefined,
+    deduped: false,
+  };
+}
+
+/**
+ * Close a pending gateway refund once the provider has decided it (Stripe
+ * refund.updated webhook, or syncRefund). Unknown or already closed refunds
+ * are ignored. → the Refund row, or null
+ */
+export async function settleGatewayRefund({ providerRef, ok, message = null, raw = null, actorId = null }) {
+  const settled = await settleRefund({ providerRef, ok, message, raw });
+  if (!settled.found) return null;
+
+  const refund = await prisma.refund.findFirst({ where: { gatewayRef: providerRef, status: "PROCESSING" } });
+  if (!refund) return null;
+
+  const gateway = { ...(refund.payload?.gateway || {}), status: settled.ok ? "REFUNDED" : "FAILED", message };
+  delete gateway.pending;
+  const updated = await finishGatewayRefund(refund, settled.ok, gateway, actorId);
+  if (updated?.status === "PROCESSED") await announceProcessed(updated);
+  return updated;
+}
+
+/** Ask the provider about a pending gateway refund and settle it if it is decided. */
+export async function syncRefund({ id, actorId = null }) {
+  const refund = await prisma.refund.findUnique({ where: { id } });
+  if (!refund) throw refundError("NOT_FOUND", 404);
+  if (refund.status !== "PROCESSING" || !refund.payload?.gateway?.pending || !refund.gatewayRef) {
+    throw refundError("INVALID_TRANSITION", 409, { current: refund.status });
+  }
+
+  const r = await queryRefundStatus({ paymentId: refund.paymentId, providerRef: refund.gatewayRef });
+  if (r.pending || r.status === "UNSUPPORTED") return { refund, ok: false, pending: true, deduped: false };
+
+  const updated = await settleGatewayRefund({
+    providerRef: refund.gatewayRef,
+    ok: !!r.ok,
+    message: r.message || null,
+    raw: r.raw ?? null,
+    actorId,
+  });
+  const current = updated || (await prisma.refund.findUnique({ where: { id } }));
+  return { refund: current, ok: current.status === "PROCESSED", deduped: !updated };
+}
+
+/** Drop an INITIATED refund without paying it (frees its amount). */
+export async function cancelRefund({ id, actorId = null }) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.refund.updateMany({
+      where: { id, status: "INITIATED" },
+      data: { status: "FAILED" },
+    });
+    const refund = await tx.refund.findUnique({ where: { id } });
+    if (!refund) throw refundError("NOT_FOUND", 404);
+    if (!count) {
+      if (refund.status === "FAILED") return refund;
+      throw refundError("INVALID_TRANSITION", 409, { current: refund.status });
+    }
+    await statusEvent(tx, refund, "FAILED", actorId, { action: "fail" });
+    return refund;
+  });
+}
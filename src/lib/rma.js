@@ -0,0 +1,539 @@
+// PATH: src/lib/rma.js
+// Return merchandise authorisation on ReturnRequest / ReturnLine (/admin/returns).
+//
+//   REQUESTED ──approve──▶ APPROVED ──receive──▶ RECEIVED ──inspect──▶ INSPECTED ──refund──▶ REFUNDED
+//       └──────deny──────────┴──▶ DENIED
+//
+// An approved return can get a reverse pickup booked with the courier
+// (adapter.createReturn). Receipt books the parcel in at a chosen warehouse —
+// units scanned one by one or counted per line. QC then grades every received
+// unit RESELLABLE, DAMAGED or DEFECTIVE: resellable units go back on hand
+// there (StockMovement IN, batch draws reversed), the rest are written off at
+// their cost. The refund is worked out from the grades with the restock
+// policy (AppSetting "restock_policy") and raised through lib/refunds.js.
+import prisma from "@/lib/prisma";
+import { recomputeVariantStock } from "@/lib/inventory";
+import { assertNotFrozen } from "@/lib/inventory/stock-takes";
+import { reverseReturnConsumption } from "@/lib/inventory/costing";
+import { getCourierAdapter } from "@/lib/logistics/providers";
+import { buildConsignment } from "@/lib/logistics/shipments";
+import { unsupported } from "@/lib/logistics/utils";
+import { createRefunds } from "@/lib/refunds";
+import { emitWebhookEvent, returnWebhookData } from "@/lib/webhooks";
+import { enqueue } from "@/lib/queue";
+import { sendCustomerMessage } from "@/lib/customer-messages";
+
+export const QC_GRADES = ["RESELLABLE", "DAMAGED", "DEFECTIVE"];
+
+// Share of the unit price refunded per graded unit.
+export const DEFAULT_RESTOCK_POLICY = {
+  refundPercent: { RESELLABLE: 100, DAMAGED: 50, DEFECTIVE: 100 },
+};
+
+const cents = (v) => Math.round(Number(v || 0) * 100);
+const money = (c) => Number((c / 100).toFixed(2));
+
+const int = (v) => {
+  const x = Number(v);
+  return Number.isInteger(x) ? x : NaN;
+};
+
+function rmaError(code, status = 400, extra = {}) {
+  const err = new Error(code);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+export function rmaLabel(rr) {
+  return `RMA-${String(rr?.id || "").slice(-8).toUpperCase()}`;
+}
+
+export const RMA_INCLUDE = {
+  order: {
+    select: { id: true, orderNumber: true, status: true, paymentStatus: true, fulfillmentStatus: true, userId: true },
+  },
+  warehouse: { select: { id: true, code: true, name: true } },
+  lines: {
+    include: {
+      orderItem: {
+        select: {
+          id: true,
+          title: true,
+          sku: true,
+          variantId: true,
+          quantity: true,
+          total: true,
+          costChosen: true,
+          variant: { select: { sku: true, barcode: true, sizeName: true, colorName: true } },
+        },
+      },
+    },
+    orderBy: { id: "asc" },
+  },
+  refunds: {
+    select: { id: true, amount: true, method: true, status: true, createdAt: true },
+    orderBy: { createdAt: "asc" },
+  },
+};
+
+export function loadReturn(id, db = prisma) {
+  return db.returnRequest.findUnique({ where: { id }, include: RMA_INCLUDE });
+}
+
+/** Unit price the customer actually paid for an order line (after discounts / tax). */
+const unitPaidCents = (orderItem) => (orderItem?.quantity > 0 ? cents(orderItem.total) / orderItem.quantity : 0);
+
+/** API shape: label, per-line codes and grade totals. */
+export function rmaView(rr) {
+  if (!rr) return null;
+  return {
+    ...rr,
+    label: rmaLabel(rr),
+    totalRefund: Number(rr.totalRefund),
+    lines: rr.lines.map((l) => ({
+      ...l,
+      sku: l.orderItem?.variant?.sku || l.orderItem?.sku || null,
+      barcode: l.orderItem?.variant?.barcode || null,
+      unitPaid: money(Math.round(unitPaidCents(l.orderItem))),
+      lineRefund: Number(l.lineRefund),
+      writeOffValue: l.writeOffValue == null ? null : Number(l.writeOffValue),
+    })),
+    refunds: (rr.refunds || []).map((r) => ({ ...r, amount: Number(r.amount) })),
+  };
+}
+
+/* ───────────────────────── restock policy ───────────────────────── */
+
+/** AppSetting "restock_policy" over the defaults. */
+export async function restockPolicy(db = prisma) {
+  const s = await db.appSetting.findUnique({ where: { key: "restock_policy" } }).catch(() => null);
+  const pct = s?.value?.refundPercent || {};
+  return {
+    refundPercent: Object.fromEntries(
+      QC_GRADES.map((g) => {
+        const v = Number(pct[g]);
+        return [g, Number.isFinite(v) ? v : DEFAULT_RESTOCK_POLICY.refundPercent[g]];
+      })
+    ),
+  };
+}
+
+/** Validate a policy body → [value, error]. */
+export function parseRestockPolicy(body) {
+  const pct = body?.refundPercent;
+  if (!pct || typeof pct !== "object") return [null, "REFUND_PERCENT_REQUIRED"];
+  const out = {};
+  for (const g of QC_GRADES) {
+    const v = Number(pct[g]);
+    if (!Number.isFinite(v) || v < 0 || v > 100) return [null, `INVALID_REFUND_PERCENT:${g}`];
+    out[g] = Number(v.toFixed(2));
+  }
+  return [{ refundPercent: out }, null];
+}
+
+export async function saveRestockPolicy({ value, actorId = null }) {
+  await prisma.appSetting.upsert({
+    where: { key: "restock_policy" },
+    create: { key: "restock_policy", value, updatedById: actorId },
+    update: { value, updatedById: actorId },
+  });
+  return restockPolicy();
+}
+
+/* ───────────────────────── transitions ───────────────────────── */
+
+async function event(tx, rr, kind, message, actorId, metadata = {}) {
+  await tx.orderEvent.create({
+    data: {
+      orderId: rr.orderId,
+      kind,
+      message,
+      metadata: { returnId: rr.id, ...metadata },
+      actorId,
+      actorRole: actorId ? "admin" : "system",
+    },
+  });
+}
+
+/** CAS on status so two clicks cannot both move a return. */
+async function move(tx, rr, from, data) {
+  const { count } = await tx.returnRequest.updateMany({ where: { id: rr.id, status: { in: from } }, data });
+  if (!count) throw rmaError("INVALID_TRANSITION", 409, { current: rr.status });
+}
+
+async function announce(id, action) {
+  const rr = await loadReturn(id);
+  await emitWebhookEvent("return.updated", { ...returnWebhookData(rr), action });
+  return rr;
+}
+
+async function mustLoad(id, db = prisma) {
+  const rr = await loadReturn(id, db);
+  if (!rr) throw rmaError("NOT_FOUND", 404);
+  return rr;
+}
+
+export async function approveReturn({ id, actorId = null }) {
+  await prisma.$transaction(async (tx) => {
+    const rr = await mustLoad(id, tx);
+    await move(tx, rr, ["REQUESTED"], { status: "APPROVED", approvedAt: new Date(), approvedById: actorId });
+    await event(tx, rr, "RER_RETURN_STATUS", "RER_RETURN_STATUS:APPROVED", actorId, { status: "APPROVED" });
+  });
+  const rr = await announce(id, "approve");
+  await sendCustomerMessage("return_approved", { orderId: rr.orderId, key: rr.id, variables: { rma: rmaLabel(rr) } });
+  return rr;
+}
+
+/**
+ * Call off the reverse pickup booked for a return. A courier without a cancel
+ * API is left to ops: the event asks for it to be cancelled by hand.
+ * → what to merge into returnPayload
+ */
+async function cancelReturnPickup(rr, actorId) {
+  const adapter = getCourierAdapter(rr.returnCourierCode);
+  const ref = { consignmentId: rr.returnConsignmentId, trackingNumber: rr.returnTrackingNumber, reason: "Return denied" };
+
+  if (typeof adapter?.cancelReturn !== "function") {
+    await prisma.orderEvent.create({
+      data: {
+        orderId: rr.orderId,
+        kind: "RMA_PICKUP_CANCEL_MANUAL",
+        message: `Cancel return pickup ${rr.returnTrackingNumber} with ${rr.returnCourierCode} by hand`,
+        metadata: { returnId: rr.id, courierCode: rr.returnCourierCode, ...ref },
+        actorId,
+        actorRole: actorId ? "admin" : "system",
+      },
+    });
+    return { manual: true, at: new Date().toISOString() };
+  }
+
+  let res;
+  try {
+    res = await adapter.cancelReturn(ref);
+  } catch (err) {
+    throw rmaError("RETURN_PICKUP_CANCEL_FAILED", 502, { detail: String(err?.message || err) });
+  }
+  if (res?.ok === false) throw rmaError("RETURN_PICKUP_CANCEL_FAILED", 502, { detail: res.raw ?? null });
+  return { at: new Date().toISOString(), raw: res?.raw ?? null };
+}
+
+/**
+ * Refuse a request, or an approved one whose parcel never arrived. A reverse
+ * pickup already booked for it is cancelled with the courier first.
+ */
+export async function denyReturn({ id, reason = null, actorId = null }) {
+  const current = await mustLoad(id);
+  const cancelled =
+    current.status === "APPROVED" && current.returnConsignmentId ? await cancelReturnPickup(current, actorId) : null;
+
+  await prisma.$transaction(async (tx) => {
+    const rr = await mustLoad(id, tx);
+    await move(tx, rr, ["REQUESTED", "APPROVED"], {
+      status: "DENIED",
+      ...(reason ? { notes: rr.notes ? `${rr.notes}\nDenied: ${reason}` : `Denied: ${reason}` } : {}),
+      ...(cancelled ? { returnPayload: { ...(rr.returnPayload || {}), cancelled } } : {}),
+    });
+    await event(tx, rr, "RER_RETURN_STATUS", "RER_RETURN_STATUS:DENIED", actorId, { status: "DENIED", reason });
+    if (cancelled && !cancelled.manual) {
+      await event(tx, rr, "RMA_PICKUP_CANCELLED", `Return pickup ${rr.returnTrackingNumber} cancelled`, actorId, {
+        courierCode: rr.returnCourierCode,
+        trackingNumber: rr.returnTrackingNumber,
+      });
+    }
+  });
+  return announce(id, "deny");
+}
+
+/**
+ * Book a reverse pickup for an approved return. Defaults to the courier that
+ * delivered the order; the parcel is addressed to `warehouseId` (which also
+ * becomes the receiving warehouse).
+ */
+export async function bookReturnPickup({ id, courierCode = null, warehouseId = null, actorId = null }) {
+  const rr = await mustLoad(id);
+  if (rr.status !== "APPROVED") throw rmaError("INVALID_TRANSITION", 409, { current: rr.status });
+  if (rr.returnConsignmentId) throw rmaError("RETURN_PICKUP_ALREADY_BOOKED", 409);
+
+  const delivered = await prisma.shipment.findFirst({
+    where: { orderId: rr.orderId, status: "DELIVERED" },
+    include: { courier: { select: { code: true } } },
+    orderBy: { deliveredAt: "desc" },
+  });
+  const code = String(courierCode || delivered?.courier?.code || "").toUpperCase();
+  const adapter = getCourierAdapter(code);
+  if (!adapter) throw rmaError("COURIER_REQUIRED", 400);
+  if (typeof adapter.createReturn !== "function") throw unsupported(adapter.code, "return");
+
+  const whId = warehouseId || rr.warehouseId;
+  const warehouse = whId
+    ? await prisma.warehouse.findUnique({ where: { id: whId }, include: { address: true } })
+    : null;
+  if (whId && !warehouse) throw rmaError("WAREHOUSE_NOT_FOUND", 404);
+
+  const order = await prisma.order.findUnique({
+    where: { id: rr.orderId },
+    include: {
+      items: { select: { quantity: true, title: true } },
+      payments: { select: { provider: true, status: true, amount: true } },
+      shippingAddress: true,
+      user: { select: { name: true, phone: true } },
+    },
+  });
+  const sender = buildConsignment(order, { courierCode: code }).recipient;
+  const sameCourier = delivered && delivered.courier?.code === code;
+
+  const booked = await adapter.createReturn({
+    reference: rmaLabel(rr),
+    original: sameCourier
+      ? { consignmentId: delivered.consignmentId, trackingNumber: delivered.trackingNumber }
+      : null,
+    sender,
+    deliverTo: warehouse
+      ? {
+          name: warehouse.name,
+          address: [warehouse.address?.line1, warehouse.address?.line2, warehouse.address?.city]
+            .filter(Boolean)
+            .join(", "),
+        }
+      : null,
+    itemCount: rr.lines.reduce((s, l) => s + l.quantity, 0),
+    reason: rr.reason || "Customer return",
+  });
+
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.returnRequest.updateMany({
+      where: { id, status: "APPROVED", returnConsignmentId: null },
+      data: {
+        returnCourierCode: code,
+        returnConsignmentId: booked.consignmentId,
+        returnTrackingNumber: booked.trackingNumber,
+        returnLabelUrl: booked.labelUrl || null,
+        returnBookedAt: new Date(),
+        returnPayload: booked.raw ?? undefined,
+        ...(warehouse ? { warehouseId: warehouse.id } : {}),
+      },
+    });
+    if (!count) throw rmaError("RETURN_PICKUP_ALREADY_BOOKED", 409);
+    await event(tx, rr, "RMA_PICKUP_BOOKED", `Return pickup booked with ${code} → ${booked.trackingNumber}`, actorId, {
+      courierCode: code,
+      trackingNumber: booked.trackingNumber,
+      consignmentId: booked.consignmentId,
+    });
+  });
+  return announce(id, "pickup");
+}
+
+const codesOf = (l) =>
+  [l.orderItem?.variant?.sku, l.orderItem?.variant?.barcode, l.orderItem?.sku].filter(Boolean).map(String);
+
+/** Count one scanned unit (or `quantity`) against the approved return's lines. */
+export async function scanReturnItem({ id, code, quantity = 1 }) {
+  const scanned = String(code || "").trim();
+  const qty = int(quantity);
+  if (!scanned) throw rmaError("CODE_REQUIRED", 400);
+  if (!(qty >= 1)) throw rmaError("INVALID_QUANTITY", 400);
+
+  const rr = await mustLoad(id);
+  if (rr.status !== "APPROVED") throw rmaError("INVALID_TRANSITION", 409, { current: rr.status });
+
+  const matches = rr.lines.filter((l) => codesOf(l).includes(scanned));
+  if (!matches.length) throw rmaError("NOT_ON_RETURN", 422, { code: scanned });
+  for (const l of matches) {
+    const { count } = await prisma.returnLine.updateMany({
+      where: { id: l.id, receivedQty: { lte: l.quantity - qty } },
+      data: { receivedQty: { increment: qty } },
+    });
+    if (count) return rmaView(await loadReturn(id));
+  }
+  throw rmaError("OVER_RECEIPT", 422, { code: scanned });
+}
+
+/**
+ * Book the parcel in at `warehouseId`. lines: [{ lineId, receivedQty }]
+ * overrides the scanned counts; `all: true` takes every line in full.
+ */
+export async function receiveReturn({ id, warehouseId, lines = [], all = false, actorId = null }) {
+  await prisma.$transaction(async (tx) => {
+    const rr = await mustLoad(id, tx);
+    if (rr.status !== "APPROVED") throw rmaError("INVALID_TRANSITION", 409, { current: rr.status });
+
+    const whId = warehouseId || rr.warehouseId;
+    if (!whId) throw rmaError("WAREHOUSE_REQUIRED", 400);
+    const warehouse = await tx.warehouse.findUnique({ where: { id: whId }, select: { id: true, code: true } });
+    if (!warehouse) throw rmaError("WAREHOUSE_NOT_FOUND", 404);
+
+    const byId = new Map(rr.lines.map((l) => [l.id, l]));
+    const counts = new Map(rr.lines.map((l) => [l.id, all ? l.quantity : l.receivedQty]));
+    for (const x of all ? [] : lines) {
+      const l = byId.get(String(x?.lineId || ""));
+      if (!l) throw rmaError("UNKNOWN_LINE", 400, { lineId: x?.lineId });
+      const q = int(x.receivedQty);
+      if (!(q >= 0) || q > l.quantity) throw rmaError("INVALID_QUANTITY", 400, { lineId: l.id });
+      counts.set(l.id, q);
+    }
+    const units = [...counts.values()].reduce((s, q) => s + q, 0);
+    if (!units) throw rmaError("NOTHING_RECEIVED", 400);
+
+    for (const l of rr.lines) {
+      if (counts.get(l.id) !== l.receivedQty) {
+        await tx.returnLine.update({ where: { id: l.id }, data: { receivedQty: counts.get(l.id) } });
+      }
+    }
+    await move(tx, rr, ["APPROVED"], {
+      status: "RECEIVED",
+      warehouseId: warehouse.id,
+      receivedAt: new Date(),
+      receivedById: actorId,
+    });
+    await event(tx, rr, "RER_RETURN_STATUS", "RER_RETURN_STATUS:RECEIVED", actorId, {
+      status: "RECEIVED",
+      warehouseCode: warehouse.code,
+      units,
+    });
+  });
+  return announce(id, "received");
+}
+
+/**
+ * QC every received line: lines = [{ lineId, resellable, damaged, defective, notes? }],
+ * grades adding up to the line's receivedQty. Restocks / writes off and sets
+ * each line's refund from the restock policy.
+ */
+export async function inspectReturn({ id, lines = [], actorId = null }) {
+  let restocked = 0;
+  await prisma.$transaction(async (tx) => {
+    const rr = await mustLoad(id, tx);
+    if (rr.status !== "RECEIVED") throw rmaError("INVALID_TRANSITION", 409, { current: rr.status });
+    const policy = await restockPolicy(tx);
+    const given = new Map(lines.map((x) => [String(x?.lineId || ""), x]));
+    const reference = rmaLabel(rr);
+    let total = 0;
+
+    for (const l of rr.lines) {
+      const x = given.get(l.id) || {};
+      const graded = Object.fromEntries(
+        QC_GRADES.map((g) => [g, x[g.toLowerCase()] == null || x[g.toLowerCase()] === "" ? 0 : int(x[g.toLowerCase()])])
+      );
+      if (QC_GRADES.some((g) => !(graded[g] >= 0))) throw rmaError("INVALID_QUANTITY", 400, { lineId: l.id });
+      const sum = QC_GRADES.reduce((s, g) => s + graded[g], 0);
+      if (sum !== l.receivedQty) {
+        throw rmaError("QC_INCOMPLETE", 400, { lineId: l.id, received: l.receivedQty, graded: sum });
+      }
+
+      // a line without a variant has nowhere to go back to
+      const variantId = l.orderItem?.variantId || null;
+      const back = variantId ? graded.RESELLABLE : 0;
+      if (back > 0) {
+        const where = { variantId_warehouseId: { variantId, warehouseId: rr.warehouseId } };
+        await assertNotFrozen(tx, where, l.orderItem?.variant?.sku || variantId);
+        const inv = await tx.inventoryItem.upsert({
+          where,
+          update: { onHand: { increment: back } },
+          create: { variantId, warehouseId: rr.warehouseId, onHand: back },
+        });
+        await tx.stockMovement.create({
+          data: { inventoryItemId: inv.id, type: "IN", quantity: back, reason: "RETURN", reference },
+        });
+        await recomputeVariantStock(tx, variantId);
+        restocked += back;
+      }
+
+      const writtenOff = l.receivedQty - back;
+      const unit = unitPaidCents(l.orderItem);
+      const refund = Math.round(QC_GRADES.reduce((s, g) => s + graded[g] * unit * (policy.refundPercent[g] / 100), 0));
+      total += refund;
+
+      await tx.returnLine.update({
+        where: { id: l.id },
+        data: {
+          resellableQty: graded.RESELLABLE,
+          damagedQty: graded.DAMAGED,
+          defectiveQty: graded.DEFECTIVE,
+          qcNotes: String(x.notes || "").trim() || null,
+          restockedQty: back,
+          writtenOffQty: writtenOff,
+          writeOffValue:
+            writtenOff && l.orderItem?.costChosen != null ? money(writtenOff * cents(l.orderItem.costChosen)) : null,
+          lineRefund: money(refund),
+          inspectedAt: new Date(),
+        },
+      });
+    }
+
+    // restocked units go back to the batches they were costed from; written-off ones stay consumed
+    await reverseReturnConsumption(tx, id);
+    await move(tx, rr, ["RECEIVED"], {
+      status: "INSPECTED",
+      totalRefund: money(total),
+      inspectedAt: new Date(),
+      inspectedById: actorId,
+    });
+    await event(tx, rr, "RMA_INSPECTED", `QC done: ${restocked} unit(s) restocked, refund ${money(total)}`, actorId, {
+      status: "INSPECTED",
+      restocked,
+      totalRefund: money(total),
+    });
+  });
+
+  if (restocked) {
+    try {
+      await enqueue("strapi.inventory-sync", {}, { queue: "strapi", dedupeKey: "strapi.inventory-sync" });
+    } catch (err) {
+      console.error("[rma] could not queue inventory sync:", err?.message || err);
+    }
+  }
+  return announce(id, "inspected");
+}
+
+/**
+ * Raise the refund QC settled on (less anything already refunded against this
+ * return) and close the RMA. `method` / `tenders` as in createRefunds(); the
+ * tenders must add up to exactly what is due.
+ */
+export async function refundReturn({ id, method = "ORIGINAL", tenders, actorId = null }) {
+  const rr = await mustLoad(id);
+  if (rr.status !== "INSPECTED") throw rmaError("INVALID_TRANSITION", 409, { current: rr.status });
+
+  const already = rr.refunds.filter((r) => r.status !== "FAILED").reduce((s, r) => s + cents(r.amount), 0);
+  const due = Math.max(0, cents(rr.totalRefund) - already);
+
+  // A split has to pay out exactly what QC settled on.
+  if (Array.isArray(tenders) && tenders.length) {
+    const total = tenders.reduce((s, t) => s + cents(t?.amount), 0);
+    if (total !== due) throw rmaError("TENDERS_MUST_MATCH_DUE", 422, { due: money(due), tendered: money(total) });
+  }
+
+  const { count } = await prisma.returnRequest.updateMany({ where: { id, status: "INSPECTED" }, data: { status: "REFUNDED" } });
+  if (!count) throw rmaError("INVALID_TRANSITION", 409, { current: rr.status });
+
+  let refunds = [];
+  try {
+    if (due > 0) {
+      ({ items: refunds } = await createRefunds({
+        orderId: rr.orderId,
+        returnId: id,
+        amount: money(due),
+        method,
+        tenders,
+        reason: `Return ${rmaLabel(rr)}`,
+        actorId,
+      }));
+    }
+  } catch (err) {
+    await prisma.returnRequest.updateMany({ where: { id, status: "REFUNDED" }, data: { status: "INSPECTED" } });
+    throw err;
+  }
+
+  await prisma.orderEvent.create({
+    data: {
+      orderId: rr.orderId,
+      kind: "RER_RETURN_STATUS",
+      message: "RER_RETURN_STATUS:REFUNDED",
+      metadata: { returnId: id, status: "REFUNDED", refundIds: refunds.map((r) => r.id), amount: money(due) },
+      actorId,
+      actorRole: actorId ? "admin" : "system",
+    },
+  });
+  return { item: await announce(id, "refunded"), refunds };
+}
@@ -0,0 +1,286 @@
+// lib/search.js
+// Product search over the Prisma catalog (used by /api/search, the search page
+// and the nav search bar).
+//
+// Matching is done in Postgres:
+//   - full-text (simple dictionary, prefix terms) over title, subtitle, brand,
+//     codes, category names and variant colours, with synonym expansion —
+//     Product.searchText / the GIN-indexed Product.searchVector, kept current
+//     by database triggers (scripts/db/post-push.mjs);
+//   - pg_trgm word similarity for typos ("panjbi" → "panjabi"), backed by the
+//     GIN trigram index on Product.title;
+//   - a boost from units sold in the last SALES_WINDOW_DAYS.
+// Facets (category, size, colour, price band, in stock) are counted on the
+// matched set in JS; each facet ignores its own filter so the UI can offer
+// the other values of a facet that is already selected.
+import { Prisma } from "@prisma/client";
+import prisma from "@/lib/prisma";
+
+const CANDIDATE_LIMIT = 500;
+const SALES_WINDOW_DAYS = 90;
+const TYPO_THRESHOLD = 0.35;
+
+/** Terms customers type → catalog wording. Both directions are searched. */
+export const SEARCH_SYNONYMS = {
+  tee: ["t shirt", "tshirt"],
+  tshirt: ["t shirt", "tee"],
+  panjabi: ["punjabi", "kurta"],
+  punjabi: ["panjabi", "kurta"],
+  kurta: ["panjabi", "kurti"],
+  pant: ["trouser", "pants"],
+  pants: ["trouser", "pant"],
+  trouser: ["pant", "pants"],
+  jeans: ["denim"],
+  denim: ["jeans"],
+  hoodie: ["hoody", "sweatshirt"],
+  sweatshirt: ["hoodie", "jumper"],
+  polo: ["polo shirt"],
+  shorts: ["short", "half pant"],
+  jacket: ["coat", "outerwear"],
+  kids: ["children", "boys", "girls"],
+  men: ["mens", "male"],
+  women: ["womens", "ladies", "female"],
+};
+
+export const PRICE_BANDS = [
+  { id: "0-1000", label: "Under ৳1,000", min: 0, max: 1000 },
+  { id: "1000-2000", label: "৳1,000 – ৳2,000", min: 1000, max: 2000 },
+  { id: "2000-3500", label: "৳2,000 – ৳3,500", min: 2000, max: 3500 },
+  { id: "3500-5000", label: "৳3,500 – ৳5,000", min: 3500, max: 5000 },
+  { id: "5000-", label: "৳5,000 and above", min: 5000, max: Infinity },
+];
+
+export const SEARCH_SORTS = ["relevance", "bestselling", "newest", "price_asc", "price_desc"];
+
+const tokenize = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 8);
+
+/**
+ * to_tsquery() input: every query word must match (as a prefix), a synonym
+ * phrase counts as a match for its word. Tokens are letters/digits only, so
+ * the string is safe to hand to Postgres as a bound parameter.
+ */
+export function buildTsQuery(q) {
+  const parts = tokenize(q).map((word) => {
+    const alts = [`${word}:*`];
+    for (const syn of SEARCH_SYNONYMS[word] || []) {
+      const w = tokenize(syn);
+      if (w.length) alts.push(w.length > 1 ? `(${w.join(" <-> ")})` : w[0]);
+    }
+    return alts.length > 1 ? `(${alts.join(" | ")})` : alts[0];
+  });
+  return parts.join(" & ");
+}
+
+/** Ranked product ids for `q` (or best sellers when q is empty). */
+async function matchProducts(q) {
+  const text = tokenize(q).join(" ");
+  const tsq = buildTsQuery(q);
+  const since = new Date(Date.now() - SALES_WINDOW_DAYS * 24 * 3600 * 1000);
+
+  const match = text
+    ? Prisma.sql`AND (p."searchVector" @@ to_tsquery('simple', ${tsq})
+          OR p."title" % ${text}
+          OR word_similarity(${text}, p."searchText") >= ${TYPO_THRESHOLD})`
+    : Prisma.empty;
+
+  const relevance = text
+    ? Prisma.sql`ts_rank(p."searchVector", to_tsquery('simple', ${tsq})) * 2
+          + word_similarity(${text}, p."searchText")
+          + CASE WHEN lower(p."title") LIKE ${`${text}%`} THEN 0.5 ELSE 0 END`
+    : Prisma.sql`0`;
+
+  const rows = await prisma.$queryRaw`
+    SELECT p."id",
+           (${relevance}) + ln(1 + COALESCE(s."sold", 0)) * 0.15 AS "score",
+           COALESCE(s."sold", 0)::int AS "sold"
+      FROM "Product" p
+      LEFT JOIN (
+        SELECT v."productId", SUM(oi."quantity") AS "sold"
+          FROM "OrderItem" oi
+          JOIN "ProductVariant" v ON v."id" = oi."variantId"
+          JOIN "Order" o ON o."id" = oi."orderId"
+         WHERE o."status" IN ('PLACED', 'CONFIRMED', 'COMPLETED')
+           AND o."createdAt" >= ${since}
+         GROUP BY v."productId"
+      ) s ON s."productId" = p."id"
+     WHERE p."archivedAt" IS NULL
+       AND lower(p."status") NOT IN ('draft', 'archived')
+       ${match}
+     ORDER BY "score" DESC, p."createdAt" DESC
+     LIMIT ${CANDIDATE_LIMIT}`;
+
+  return rows.map((r) => ({ id: r.id, score: Number(r.score) || 0, sold: Number(r.sold) || 0 }));
+}
+
+const listParam = (v) =>
+  (Array.isArray(v) ? v : String(v || "").split(","))
+    .map((x) => String(x).trim())
+    .filter(Boolean);
+
+/** URLSearchParams → normalized filters. */
+export function parseSearchParams(sp) {
+  const get = (k) => (typeof sp?.get === "function" ? sp.get(k) : sp?.[k]);
+  const sort = String(get("sort") || "relevance").toLowerCase();
+  return {
+    q: String(get("q") || "").trim().slice(0, 120),
+    category: listParam(get("category")),
+    size: listParam(get("size")),
+    color: listParam(get("color")).map((c) => c.toLowerCase()),
+    price: listParam(get("price")).filter((id) => PRICE_BANDS.some((b) => b.id === id)),
+    inStock: ["1", "true", "yes"].includes(String(get("inStock") || "").toLowerCase()),
+    sort: SEARCH_SORTS.includes(sort) ? sort : "relevance",
+    page: Math.max(1, Number.parseInt(get("page"), 10) || 1),
+    pageSize: Math.min(48, Math.max(1, Number.parseInt(get("pageSize") ?? get("limit"), 10) || 24)),
+    facets: String(get("facets") ?? "1") !== "0",
+  };
+}
+
+function shapeProduct(p, hit) {
+  const n = (v) => (v == null ? null : Number(v));
+  const price = n(p.priceSale) ?? n(p.priceMin) ?? n(p.priceMrp);
+  const variants = p.variants || [];
+  const sizes = [...new Set(variants.map((v) => v.sizeName || v.sizeLabel).filter(Boolean))];
+  const colors = [...new Set(variants.map((v) => v.colorName || v.colorLabel).filter(Boolean))];
+  const inStock = variants.some((v) => v.stockAvailable - v.stockReserved > 0 || v.backorderAllowed);
+  const img = p.media?.[0]?.media;
+
+  return {
+    id: p.id,
+    title: p.title,
+    subtitle: p.subtitle,
+    slug: p.slug,
+    href: `/product/${p.slug}`,
+    image: img ? { url: img.url, alt: img.alt || p.title } : null,
+    price,
+    priceMrp: n(p.priceMrp),
+    currency: p.priceCurrency || "BDT",
+    inStock,
+    sizes,
+    colors,
+    categories: (p.categories || []).map((c) => ({ slug: c.category.slug, name: c.category.name })),
+    createdAt: p.createdAt,
+    score: hit.score,
+    sold: hit.sold,
+  };
+}
+
+const priceBandOf = (price) =>
+  price == null ? null : PRICE_BANDS.find((b) => price >= b.min && price < b.max)?.id || null;
+
+const FILTERS = {
+  category: (p, vals) => p.categories.some((c) => vals.includes(c.slug)),
+  size: (p, vals) => p.sizes.some((s) => vals.includes(s)),
+  color: (p, vals) => p.colors.some((c) => vals.includes(c.toLowerCase())),
+  price: (p, vals) => vals.includes(priceBandOf(p.price)),
+};
+
+function applyFilters(items, f, except = null) {
+  return items.filter((p) => {
+    for (const [key, test] of Object.entries(FILTERS)) {
+      if (key !== except && f[key].length && !test(p, f[key])) return false;
+    }
+    if (except !== "inStock" && f.inStock && !p.inStock) return false;
+    return true;
+  });
+}
+
+function countBy(items, keysOf) {
+  const counts = new Map();
+  for (const p of items) {
+    for (const k of new Set(keysOf(p))) {
+      if (k == null) continue;
+      counts.set(k, (counts.get(k) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+function buildFacets(items, f) {
+  const categoryNames = new Map(items.flatMap((p) => p.categories.map((c) => [c.slug, c.name])));
+  const category = countBy(applyFilters(items, f, "category"), (p) => p.categories.map((c) => c.slug));
+  const size = countBy(applyFilters(items, f, "size"), (p) => p.sizes);
+  const color = countBy(applyFilters(items, f, "color"), (p) => p.colors);
+  const price = countBy(applyFilters(items, f, "price"), (p) => [priceBandOf(p.price)]);
+  const stock = applyFilters(items, f, "inStock");
+
+  const list = (m, label = (k) => k) =>
+    [...m.entries()]
+      .map(([value, count]) => ({ value, label: label(value), count }))
+      .sort((a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label)));
+
+  return {
+    category: list(category, (slug) => categoryNames.get(slug) || slug),
+    size: list(size),
+    color: list(color),
+    price: PRICE_BANDS.filter((b) => price.has(b.id)).map((b) => ({ value: b.id, label: b.label, count: price.get(b.id) })),
+    inStock: { count: stock.filter((p) => p.inStock).length, total: stock.length },
+  };
+}
+
+const SORTERS = {
+  relevance: (a, b) => b.score - a.score,
+  bestselling: (a, b) => b.sold - a.sold || b.score - a.score,
+  newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  price_asc: (a, b) => (a.price ?? Infinity) - (b.price ?? Infinity),
+  price_desc: (a, b) => (b.price ?? -Infinity) - (a.price ?? -Infinity),
+};
+
+/**
+ * Run a search. `filters` is the output of parseSearchParams().
+ * Returns { q, total, page, pageSize, items, facets }.
+ */
+export async function searchProducts(filters) {
+  const f = { ...parseSearchParams({}), ...filters };
+  const hits = await matchProducts(f.q);
+  if (!hits.length) {
+    return { q: f.q, total: 0, page: f.page, pageSize: f.pageSize, items: [], facets: f.facets ? buildFacets([], f) : null };
+  }
+
+  const products = await prisma.product.findMany({
+    where: { id: { in: hits.map((h) => h.id) } },
+    select: {
+      id: true,
+      title: true,
+      subtitle: true,
+      slug: true,
+      priceMrp: true,
+      priceSale: true,
+      priceMin: true,
+      priceCurrency: true,
+      createdAt: true,
+      categories: { select: { category: { select: { slug: true, name: true } } } },
+      variants: {
+        where: { archivedAt: null },
+        select: {
+          sizeName: true,
+          sizeLabel: true,
+          colorName: true,
+          colorLabel: true,
+          stockAvailable: true,
+          stockReserved: true,
+          backorderAllowed: true,
+        },
+      },
+      media: { orderBy: { position: "asc" }, take: 1, select: { media: { select: { url: true, alt: true } } } },
+    },
+  });
+
+  const byId = new Map(products.map((p) => [p.id, p]));
+  const all = hits.filter((h) => byId.has(h.id)).map((h) => shapeProduct(byId.get(h.id), h));
+  const matched = applyFilters(all, f).sort(SORTERS[f.sort]);
+  const start = (f.page - 1) * f.pageSize;
+
+  return {
+    q: f.q,
+    total: matched.length,
+    page: f.page,
+    pageSize: f.pageSize,
+    items: matched.slice(start, start + f.pageSize),
+    facets: f.facets ? buildFacets(all, f) : null,
+  };
+}
@@ -0,0 +1,350 @@
+// lib/shipping.js
+// Customer-facing shipping quotes. The one place cart totals, the checkout
+// summary and create-order get a shipping fee from.
+//
+// Rates live in ShippingZone → ShippingRate (zone × speed × weight band, with
+// an optional CourierService). A zone matches the address by postcode range,
+// thana / upazila, district or division — the most specific match wins, then
+// the lower `priority`. Addresses no zone covers (or a store with no zones yet)
+// fall back to the legacy AppSetting "shipping" inside/outside-Dhaka rule.
+import prisma from "@/lib/prisma";
+
+export const SHIPPING_SPEEDS = ["STANDARD", "EXPRESS"];
+export const DEFAULT_ITEM_WEIGHT_GRAMS = 300; // variants without weightGrams
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const N = (x, d = 0) => {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : d;
+};
+const round2 = (x) => Math.round(N(x) * 100) / 100;
+const norm = (x) => String(x || "").trim().toLowerCase();
+
+export function normalizeSpeed(speed) {
+  const s = String(speed || "").trim().toUpperCase();
+  return SHIPPING_SPEEDS.includes(s) ? s : "STANDARD";
+}
+
+/* ---------------- config (cached) ---------------- */
+
+let _zones = { value: null, fetchedAt: 0 };
+let _legacy = { value: null, fetchedAt: 0 };
+
+/** Admin writes call this so the next quote sees the new tables. */
+export function clearShippingCache() {
+  _zones = { value: null, fetchedAt: 0 };
+  _legacy = { value: null, fetchedAt: 0 };
+}
+
+async function loadZones() {
+  const now = Date.now();
+  if (_zones.value && now - _zones.fetchedAt < CACHE_TTL_MS) return _zones.value;
+  const value = await prisma.shippingZone
+    .findMany({
+      where: { isActive: true },
+      include: { rates: { where: { isActive: true } } },
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+    })
+    .catch(() => []);
+  _zones = { value, fetchedAt: now };
+  return value;
+}
+
+async function loadLegacySettings() {
+  const now = Date.now();
+  if (_legacy.value && now - _legacy.fetchedAt < CACHE_TTL_MS) return _legacy.value;
+  const s = await prisma.appSetting.findUnique({ where: { key: "shipping" } }).catch(() => null);
+  const v = s?.value ?? {};
+  const value = {
+    inside: Array.isArray(v?.inside_dhaka_localities) ? v.inside_dhaka_localities.map(norm).filter(Boolean) : [],
+    rateInside: N(v?.rate_inside, 0),
+    rateOutside: N(v?.rate_outside, 0),
+    thrInside: N(v?.free_threshold_inside, Infinity),
+    thrOutside: N(v?.free_threshold_outside, Infinity),
+  };
+  _legacy = { value, fetchedAt: now };
+  return value;
+}
+
+function addressFields(address) {
+  return [
+    address?.city,
+    address?.state,
+    address?.adminLevel1,
+    address?.adminLevel2,
+    address?.adminLevel3,
+    address?.adminLevel4,
+    address?.locality,
+    address?.sublocality,
+  ].map(norm);
+}
+
+function isInsideDhaka(address, insideList) {
+  const fields = addressFields(address);
+  if (fields.some((f) => f && f.includes("dhaka"))) return true;
+  const overrides = new Set(insideList || []);
+  return overrides.size > 0 && fields.some((f) => f && overrides.has(f));
+}
+
+/**
+ * Address fields zone matching reads, from a saved Address row or a checkout
+ * form draft (upazila / district / division naming).
+ */
+export function shippingAddressFromDraft(a = {}) {
+  const pick = (...vals) => vals.map((v) => String(v ?? "").trim()).find(Boolean) || null;
+  return {
+    city: pick(a.city, a.cityOrUpazila, a.upazila, a.thana),
+    state: pick(a.state, a.district, a.zila),
+    adminLevel1: pick(a.adminLevel1, a.division),
+    adminLevel2: pick(a.adminLevel2, a.district),
+    adminLevel3: pick(a.adminLevel3, a.upazila, a.thana),
+    locality: pick(a.locality, a.area),
+    postalCode: pick(a.postalCode, a.postcode, a.zip),
+    countryIso2: (pick(a.countryIso2, a.country) || "BD").toUpperCase(),
+  };
+}
+
+/* ---------------- zone matching ---------------- */
+
+function postcodeIn(ranges, postalCode) {
+  const pc = String(postalCode || "").trim();
+  if (!pc || !Array.isArray(ranges)) return false;
+  return ranges.some((r) => {
+    const from = String(r?.from ?? "").trim();
+    const to = String(r?.to ?? from).trim();
+    if (!from) return false;
+    // numeric when both ends are numeric (BD postcodes), else lexical
+    if (/^\d+$/.test(pc) && /^\d+$/.test(from) && /^\d+$/.test(to)) {
+      return Number(pc) >= Number(from) && Number(pc) <= Number(to);
+    }
+    return pc >= from && pc <= to;
+  });
+}
+
+/** 4 = postcode, 3 = thana, 2 = district, 1 = division, 0 = catch-all, -1 = no match. */
+function zoneScore(zone, address) {
+  const country = String(address?.countryIso2 || "BD").toUpperCase();
+  if (String(zone.countryIso2 || "BD").toUpperCase() !== country) return -1;
+
+  const has = (list) => Array.isArray(list) && list.length > 0;
+  const any = (list, values) => list.some((x) => values.includes(norm(x)));
+
+  if (has(zone.postcodeRanges) && postcodeIn(zone.postcodeRanges, address?.postalCode)) return 4;
+  if (has(zone.thanas) && any(zone.thanas, [address?.city, address?.adminLevel3, address?.locality].map(norm))) {
+    return 3;
+  }
+  if (has(zone.districts) && any(zone.districts, [address?.state, address?.adminLevel2].map(norm))) return 2;
+  if (has(zone.divisions) && any(zone.divisions, [address?.adminLevel1, address?.state].map(norm))) return 1;
+
+  const criteria = has(zone.postcodeRanges) || has(zone.thanas) || has(zone.districts) || has(zone.divisions);
+  return criteria ? -1 : 0;
+}
+
+export function matchShippingZone(zones, address) {
+  let best = null;
+  let bestScore = -1;
+  for (const z of zones || []) {
+    const score = zoneScore(z, address || {});
+    // zones arrive sorted by priority, so ties keep the earlier one
+    if (score > bestScore) {
+      best = z;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/* ---------------- pricing ---------------- */
+
+/** Total parcel weight; variants without weightGrams count DEFAULT_ITEM_WEIGHT_GRAMS each. */
+export async function cartWeightGrams(items, db = prisma) {
+  const rows = (items || []).filter((it) => it?.variantId && N(it.quantity) > 0);
+  if (!rows.length) return 0;
+  const variants = await db.productVariant.findMany({
+    where: { id: { in: [...new Set(rows.map((it) => it.variantId))] } },
+    select: { id: true, weightGrams: true },
+  });
+  const weight = new Map(variants.map((v) => [v.id, v.weightGrams]));
+  return rows.reduce((sum, it) => {
+    const g = N(weight.get(it.variantId), 0) || DEFAULT_ITEM_WEIGHT_GRAMS;
+    return sum + g * Math.floor(N(it.quantity));
+  }, 0);
+}
+
+function rateFits(rate, grams) {
+  return grams >= N(rate.minWeightGrams) && (rate.maxWeightGrams == null || grams <= rate.maxWeightGrams);
+}
+
+function priceRate(rate, { grams, orderValue, cod, freeShipping }) {
+  const free = freeShipping || (rate.freeThreshold != null && orderValue >= N(rate.freeThreshold));
+  let fee = 0;
+  if (!free) {
+    const extraKg = Math.ceil(Math.max(0, grams - N(rate.minWeightGrams)) / 1000);
+    fee = N(rate.fee) + (rate.perExtraKgFee != null ? extraKg * N(rate.perExtraKgFee) : 0);
+  }
+  // COD surcharge is charged on what the courier collects (goods + delivery)
+  const codFee = cod ? N(rate.codFee) + ((orderValue + fee) * N(rate.codFeePct)) / 100 : 0;
+  return {
+    speed: rate.speed,
+    rateId: rate.id,
+    courierServiceId: rate.courierServiceId || null,
+    fee: round2(fee),
+    codFee: round2(codFee),
+    total: round2(fee + codFee),
+    free,
+    etaMinDays: rate.etaMinDays ?? null,
+    etaMaxDays: rate.etaMaxDays ?? null,
+  };
+}
+
+/**
+ * Shipping options for a basket going to `address`.
+ *
+ * items:      [{ variantId, quantity }] (for weight)
+ * orderValue: goods value after discounts (free-shipping thresholds, COD %)
+ * speed:      requested speed; falls back to STANDARD, then the first option
+ * cod:        adds the rate's COD surcharge
+ * freeShipping: a FREE_SHIPPING coupon — waives the fee (not the COD surcharge)
+ *
+ * Returns { source: "ZONES" | "LEGACY", zone, weightGrams, options, selected }
+ * where each option is { speed, rateId, courierServiceId, fee, codFee, total,
+ * free, etaMinDays, etaMaxDays } — the cheapest rate per speed.
+ */
+export async function quoteShipping({
+  address = null,
+  items = [],
+  orderValue = 0,
+  speed = null,
+  cod = false,
+  freeShipping = false,
+  db = prisma,
+}) {
+  const grams = await cartWeightGrams(items, db);
+  const wanted = normalizeSpeed(speed);
+  const zone = matchShippingZone(await loadZones(), address);
+
+  const options = [];
+  if (zone) {
+    for (const s of SHIPPING_SPEEDS) {
+      const priced = zone.rates
+        .filter((r) => r.speed === s && rateFits(r, grams))
+        .map((r) => priceRate(r, { grams, orderValue: N(orderValue), cod, freeShipping }))
+        .sort((a, b) => a.total - b.total);
+      if (priced.length) options.push(priced[0]);
+    }
+  }
+
+  if (options.length) {
+    const selected =
+      options.find((o) => o.speed === wanted) || options.find((o) => o.speed === "STANDARD") || options[0];
+    return { source: "ZONES", zone: { id: zone.id, name: zone.name }, weightGrams: grams, options, selected };
+  }
+
+  const cfg = await loadLegacySettings();
+  const inside = isInsideDhaka(address || {}, cfg.inside);
+  const free = freeShipping || N(orderValue) >= (inside ? cfg.thrInside : cfg.thrOutside);
+  const fee = free ? 0 : round2(inside ? cfg.rateInside : cfg.rateOutside);
+  const legacy = {
+    speed: "STANDARD",
+    rateId: null,
+    courierServiceId: null,
+    fee,
+    codFee: 0,
+    total: fee,
+    free,
+    etaMinDays: null,
+    etaMaxDays: null,
+  };
+  return { source: "LEGACY", zone: null, weightGrams: grams, options: [legacy], selected: legacy };
+}
+
+/* ---------------- admin payloads ---------------- */
+
+const strList = (v) =>
+  Array.isArray(v) ? [...new Set(v.map((x) => String(x || "").trim()).filter(Boolean))] : null;
+
+const money = (v) => {
+  if (v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+};
+
+/** Validate an admin ShippingZone payload → [data, error]. */
+export function parseShippingZone(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body?.name !== undefined) {
+    const name = String(body?.name || "").trim();
+    if (!name) return [null, "NAME_REQUIRED"];
+    data.name = name;
+  }
+  if (body?.countryIso2 !== undefined) {
+    const c = String(body.countryIso2 || "").trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(c)) return [null, "INVALID_COUNTRY"];
+    data.countryIso2 = c;
+  }
+  for (const key of ["divisions", "districts", "thanas"]) {
+    if (body?.[key] === undefined) continue;
+    const list = strList(body[key]);
+    if (!list) return [null, `INVALID_${key.toUpperCase()}`];
+    data[key] = list;
+  }
+  if (body?.postcodeRanges !== undefined) {
+    const ranges = body.postcodeRanges;
+    if (ranges !== null && (!Array.isArray(ranges) || ranges.some((r) => !String(r?.from ?? "").trim()))) {
+      return [null, "INVALID_POSTCODE_RANGES"];
+    }
+    data.postcodeRanges = ranges
+      ? ranges.map((r) => ({ from: String(r.from).trim(), to: String(r.to ?? r.from).trim() }))
+      : null;
+  }
+  if (body?.priority !== undefined) {
+    const p = Number(body.priority);
+    if (!Number.isInteger(p)) return [null, "INVALID_PRIORITY"];
+    data.priority = p;
+  }
+  if (body?.isActive !== undefined) data.isActive = !!body.isActive;
+
+  return [data, null];
+}
+
+/** Validate an admin ShippingRate payload → [data, error]. */
+export function parseShippingRate(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body?.speed !== undefined) {
+    const s = String(body.speed || "").trim().toUpperCase();
+    if (!SHIPPING_SPEEDS.includes(s)) return [null, "INVALID_SPEED"];
+    data.speed = s;
+  }
+  if (body?.courierServiceId !== undefined) data.courierServiceId = body.courierServiceId || null;
+
+  if (!partial || body?.fee !== undefined) {
+    const fee = money(body?.fee ?? "");
+    if (fee === null || Number.isNaN(fee)) return [null, "INVALID_FEE"];
+    data.fee = fee;
+  }
+  for (const key of ["perExtraKgFee", "freeThreshold", "codFee", "codFeePct"]) {
+    if (body?.[key] === undefined) continue;
+    const v = money(body[key]);
+    if (Number.isNaN(v) || (key === "codFeePct" && v > 100)) return [null, `INVALID_${key.toUpperCase()}`];
+    data[key] = v;
+  }
+  for (const key of ["minWeightGrams", "maxWeightGrams", "etaMinDays", "etaMaxDays"]) {
+    if (body?.[key] === undefined) continue;
+    if (body[key] === null || body[key] === "") {
+      if (key === "minWeightGrams") return [null, "INVALID_MINWEIGHTGRAMS"];
+      data[key] = null;
+      continue;
+    }
+    const v = Number(body[key]);
+    if (!Number.isInteger(v) || v < 0) return [null, `INVALID_${key.toUpperCase()}`];
+    data[key] = v;
+  }
+  if (data.maxWeightGrams != null && data.maxWeightGrams < (data.minWeightGrams ?? 0)) {
+    return [null, "INVALID_WEIGHT_BAND"];
+  }
+  if (body?.isActive !== undefined) data.isActive = !!body.isActive;
+
+  return [data, null];
+}
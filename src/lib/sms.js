@@ -179,6 +179,42 @@ export async function sendOtpSms({
   }
 }
 
+/**
+ * Free-text transactional SMS (order updates etc.) for the notification
+ * dispatcher. Unlike sendOtpSms this throws, so the caller can record and
+ * retry the failure: SMS_NOT_CONFIGURED, SMS_INVALID_NUMBER, SMS_SEND_FAILED.
+ * Resolves to { provider: "MIMSMS", messageId }.
+ */
+export async function sendSms({ to, message }) {
+  if (!USERNAME || !APIKEY || !SENDER) {
+    const err = new Error("SMS_NOT_CONFIGURED");
+    err.permanent = true;
+    throw err;
+  }
+
+  const MobileNumber = toMiMNumber(to);
+  if (!MobileNumber || !/^\d{12,15}$/.test(MobileNumber)) {
+    const err = new Error("SMS_INVALID_NUMBER");
+    err.permanent = true;
+    throw err;
+  }
+
+  const { data } = await postJson("/api/SmsSending/SMS", {
+    UserName: USERNAME,
+    Apikey: APIKEY,
+    MobileNumber,
+    CampaignId: String(CAMPAIGN),
+    SenderName: SENDER,
+    TransactionType: TXN_TYPE,
+    Message: String(message || ""),
+  });
+  const { statusCode, status, trxnId, responseResult } = data || {};
+  if (!(statusCode === "200" && String(status).toLowerCase() === "success")) {
+    throw new Error(`SMS_SEND_FAILED:${statusCode || "?"}:${responseResult || status || ""}`);
+  }
+  return { provider: "MIMSMS", messageId: trxnId ? String(trxnId) : null };
+}
+
 // Optional ops helper; not used by OTP flow
 export async function checkSmsBalance() {
   if (!USERNAME || !APIKEY) return { ok: false };
@@ -195,4 +231,4 @@ export const purposeLabel = (key) => {
   return PURPOSE_LABELS[k] || k || "verification";
 };
 
-export default { sendOtpSms, checkSmsBalance, purposeLabel };
+export default { sendOtpSms, sendSms, checkSmsBalance, purposeLabel };
@@ -0,0 +1,280 @@
+// lib/tax.js
+// Tax engine: TaxClass (per product) × TaxRate (country + optional region).
+//
+// For each line the product's class is looked up (products without one use the
+// class named DEFAULT_TAX_CLASS, and failing that the store-wide VAT setting),
+// then the most specific active rate for the shipping address wins: a rate
+// whose region matches the address' state / division / district / city beats
+// the country-wide rate. A class with no rate for the destination country is
+// zero-rated (exports).
+//
+// Whether prices already include tax comes from the price list the variant is
+// priced on (PriceList.taxInclusive), else from the store setting.
+import prisma from "@/lib/prisma";
+import { priceListStatus } from "@/lib/price-books";
+
+export const DEFAULT_TAX_CLASS = "Standard";
+const DEFAULT_COUNTRY = "BD";
+const SETTINGS_TTL_MS = 5 * 60 * 1000;
+
+const N = (x, d = 0) => {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : d;
+};
+const cents = (x) => Math.round(N(x) * 100);
+const money = (c) => Number((c / 100).toFixed(2));
+const norm = (x) => String(x || "").trim().toLowerCase();
+
+/* ---------------- store defaults (cached) ---------------- */
+
+let _defaults = { value: null, fetchedAt: 0 };
+
+/**
+ * Store-wide VAT: AppSetting "vat" → FinanceConfig VAT_DEFAULT → the admin
+ * settings blob (settings.tax.vat) → none.
+ * Shape: { ratePct, inclusive, applyOn: "SUBTOTAL" | "SUBTOTAL_PLUS_SHIPPING" }.
+ */
+export async function getTaxDefaults() {
+  const now = Date.now();
+  if (_defaults.value && now - _defaults.fetchedAt < SETTINGS_TTL_MS) return _defaults.value;
+
+  const shape = (v, pctKey, inclusive) => ({
+    ratePct: N(v?.[pctKey], 0),
+    inclusive,
+    applyOn: String(v?.apply_on || "SUBTOTAL").toUpperCase(),
+  });
+
+  let value = null;
+  try {
+    const vat = await prisma.appSetting.findUnique({ where: { key: "vat" } }).catch(() => null);
+    if (vat?.value) value = shape(vat.value, "rate_pct", Boolean(vat.value.inclusive));
+
+    if (!value && prisma.financeConfig?.findMany) {
+      const fc = await prisma.financeConfig
+        .findMany({ where: { key: "VAT_DEFAULT" }, orderBy: [{ effectiveFrom: "desc" }], take: 1 })
+        .catch(() => []);
+      if (fc?.[0]?.valueJson) value = shape(fc[0].valueJson, "rate_pct", Boolean(fc[0].valueJson.inclusive));
+    }
+
+    if (!value) {
+      const s = await prisma.appSetting.findUnique({ where: { key: "settings" } }).catch(() => null);
+      const v = s?.value?.tax?.vat;
+      if (v) value = shape(v, "pct", v.pricing_mode !== "EXCLUSIVE");
+    }
+  } catch {
+    value = null;
+  }
+
+  value = value || { ratePct: 0, inclusive: false, applyOn: "SUBTOTAL" };
+  _defaults = { value, fetchedAt: now };
+  return value;
+}
+
+/* ---------------- rate resolution ---------------- */
+
+function addressRegions(address) {
+  return new Set(
+    [
+      address?.state,
+      address?.adminLevel1,
+      address?.adminLevel2,
+      address?.adminLevel3,
+      address?.city,
+    ]
+      .map(norm)
+      .filter(Boolean)
+  );
+}
+
+/** Most specific active rate of a class for an address, or null (zero-rated). */
+export function pickTaxRate(rates, address) {
+  const country = String(address?.countryIso2 || DEFAULT_COUNTRY).toUpperCase();
+  const regions = addressRegions(address);
+  const inCountry = (rates || []).filter((r) => r.isActive !== false && r.countryIso2.toUpperCase() === country);
+  return (
+    inCountry.find((r) => r.region && regions.has(norm(r.region))) ||
+    inCountry.find((r) => !r.region) ||
+    null
+  );
+}
+
+/**
+ * Validate an admin TaxRate payload → [data, error]. `partial` is for PATCH,
+ * where only the fields present are checked.
+ */
+export function parseTaxRate(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body?.countryIso2 !== undefined) {
+    const country = String(body?.countryIso2 || "").trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(country)) return [null, "INVALID_COUNTRY"];
+    data.countryIso2 = country;
+  }
+
+  if (body?.region !== undefined) data.region = String(body.region || "").trim() || null;
+
+  if (!partial || body?.percentage !== undefined) {
+    const pct = Number(String(body?.percentage ?? "").replace("%", "").trim());
+    if (body?.percentage === "" || !Number.isFinite(pct) || pct < 0 || pct > 100) {
+      return [null, "INVALID_PERCENTAGE"];
+    }
+    data.percentage = pct;
+  }
+
+  if (body?.name !== undefined) data.name = String(body.name || "").trim() || null;
+  if (body?.isActive !== undefined) data.isActive = !!body.isActive;
+
+  return [data, null];
+}
+
+/** Tax contained in (inclusive) or added to (exclusive) an amount, in cents. */
+function taxCents(amountCents, ratePct, inclusive) {
+  if (!ratePct || amountCents <= 0) return 0;
+  return Math.round(inclusive ? (amountCents * ratePct) / (100 + ratePct) : (amountCents * ratePct) / 100);
+}
+
+/** Spread an order-level discount over lines pro rata; the last line takes the rounding. */
+function allocate(totalCents, weights) {
+  const sum = weights.reduce((a, w) => a + w, 0);
+  if (!sum || !totalCents) return weights.map(() => 0);
+  let left = totalCents;
+  return weights.map((w, i) => {
+    if (i === weights.length - 1) return left;
+    const share = Math.round((totalCents * w) / sum);
+    left -= share;
+    return share;
+  });
+}
+
+async function loadVariantTaxInfo(variantIds, currency, db) {
+  if (!variantIds.length) return new Map();
+  const variants = await db.productVariant.findMany({
+    where: { id: { in: variantIds } },
+    select: {
+      id: true,
+      product: { select: { taxClassId: true } },
+      prices: {
+        where: { priceListId: { not: null }, ...(currency ? { currency } : {}) },
+        select: { priceList: { select: { taxInclusive: true, isActive: true, startsAt: true, endsAt: true } } },
+      },
+    },
+  });
+  return new Map(
+    variants.map((v) => {
+      const list = v.prices.map((p) => p.priceList).find((pl) => pl && priceListStatus(pl) === "LIVE" && pl.taxInclusive != null);
+      return [v.id, { taxClassId: v.product?.taxClassId || null, inclusive: list ? list.taxInclusive : null }];
+    })
+  );
+}
+
+/**
+ * Line-level tax for a basket.
+ *
+ * lines: [{ key, variantId, amount, taxClassId?, inclusive?, discount? }] where
+ * amount is the line subtotal before order discounts. Lines carrying their own
+ * `discount` (scoped coupons) use it; otherwise `discountTotal` is spread over
+ * the lines. Shipping is taxed at the default class rate when the store applies
+ * VAT on SUBTOTAL_PLUS_SHIPPING.
+ *
+ * Returns { lines, shipping, taxTotal, addedTax, summary } — addedTax is the
+ * part that is not already inside the prices (exclusive lines), i.e. what has
+ * to be added to reach the grand total.
+ */
+export async function computeTaxes({
+  lines = [],
+  address = null,
+  discountTotal = 0,
+  shippingTotal = 0,
+  currency = null,
+  db = prisma,
+}) {
+  const defaults = await getTaxDefaults();
+  const info = await loadVariantTaxInfo(
+    [...new Set(lines.map((l) => l.variantId).filter(Boolean))],
+    currency,
+    db
+  );
+
+  const resolved = lines.map((l) => {
+    const i = info.get(l.variantId) || {};
+    return {
+      ...l,
+      taxClassId: l.taxClassId !== undefined ? l.taxClassId : i.taxClassId || null,
+      inclusive: l.inclusive != null ? !!l.inclusive : i.inclusive != null ? i.inclusive : defaults.inclusive,
+    };
+  });
+
+  const classIds = [...new Set(resolved.map((l) => l.taxClassId).filter(Boolean))];
+  const classes = await db.taxClass.findMany({
+    where: { OR: [{ id: { in: classIds } }, { name: DEFAULT_TAX_CLASS }] },
+    include: { rates: true },
+  });
+  const defaultClass = classes.find((c) => c.name === DEFAULT_TAX_CLASS) || null;
+
+  // class → { ratePct, name, taxRateId }
+  const rateFor = (taxClassId) => {
+    const cls = classes.find((c) => c.id === taxClassId) || defaultClass;
+    if (!cls) {
+      return { taxClassId: null, ratePct: defaults.ratePct, name: `VAT ${defaults.ratePct}%`, taxRateId: null };
+    }
+    const r = pickTaxRate(cls.rates, address);
+    const ratePct = r ? N(r.percentage) : 0;
+    return { taxClassId: cls.id, ratePct, name: r?.name || `${cls.name} ${ratePct}%`, taxRateId: r?.id || null };
+  };
+
+  const shares = resolved.some((l) => l.discount != null)
+    ? resolved.map((l) => Math.min(Math.max(0, cents(l.discount)), Math.max(0, cents(l.amount))))
+    : allocate(
+        Math.min(cents(discountTotal), resolved.reduce((a, l) => a + Math.max(0, cents(l.amount)), 0)),
+        resolved.map((l) => Math.max(0, cents(l.amount)))
+      );
+
+  let added = 0;
+  let total = 0;
+  const out = resolved.map((l, idx) => {
+    const rate = rateFor(l.taxClassId);
+    const taxable = Math.max(0, cents(l.amount) - shares[idx]);
+    const tax = taxCents(taxable, rate.ratePct, l.inclusive);
+    total += tax;
+    if (!l.inclusive) added += tax;
+    return {
+      key: l.key,
+      variantId: l.variantId || null,
+      taxClassId: rate.taxClassId,
+      taxRateId: rate.taxRateId,
+      ratePct: rate.ratePct,
+      inclusive: l.inclusive,
+      taxable: money(taxable),
+      tax: money(tax),
+      breakdown: tax
+        ? [{ name: rate.name, ratePct: rate.ratePct, taxable: money(taxable), amount: money(tax), taxRateId: rate.taxRateId }]
+        : [],
+    };
+  });
+
+  let shipping = { tax: 0, ratePct: 0, inclusive: defaults.inclusive };
+  if (defaults.applyOn === "SUBTOTAL_PLUS_SHIPPING" && N(shippingTotal) > 0) {
+    const rate = rateFor(null);
+    const tax = taxCents(cents(shippingTotal), rate.ratePct, defaults.inclusive);
+    total += tax;
+    if (!defaults.inclusive) added += tax;
+    shipping = { tax: money(tax), ratePct: rate.ratePct, inclusive: defaults.inclusive, name: rate.name };
+  }
+
+  // per-rate totals for invoices / summaries
+  const byName = new Map();
+  for (const b of out.flatMap((l) => l.breakdown)) {
+    const cur = byName.get(b.name) || { name: b.name, ratePct: b.ratePct, taxable: 0, amount: 0 };
+    cur.taxable = money(cents(cur.taxable) + cents(b.taxable));
+    cur.amount = money(cents(cur.amount) + cents(b.amount));
+    byName.set(b.name, cur);
+  }
+
+  return {
+    lines: out,
+    shipping,
+    taxTotal: money(total),
+    addedTax: money(added),
+    summary: [...byName.values()],
+  };
+}
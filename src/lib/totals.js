@@ -30,7 +30,10 @@
 
 import { n, round2, sum } from "./money";
 
-/** Decide shipping zone by postal code (compat with your Summary.jsx logic) */
+/**
+ * Decide shipping zone by postal code (compat with your Summary.jsx logic)
+ * @deprecated server quotes come from quoteShipping() in lib/shipping (configured zones)
+ */
 export function inferZone(postalCode) {
   const pc = String(postalCode || "").trim();
   if (!pc) return "remote_zone";
@@ -39,7 +42,10 @@ export function inferZone(postalCode) {
   return "remote_zone";
 }
 
-/** Compute base shipping by zone & threshold */
+/**
+ * Compute base shipping by zone & threshold
+ * @deprecated use the `shipping` quote returned by /api/checkout/shipping
+ */
 export function computeShipping({ subtotalAfterDiscount, postalCode, shipping }) {
   const zone = inferZone(postalCode);
   const {
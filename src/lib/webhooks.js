@@ -0,0 +1,285 @@
+// lib/webhooks.js
+// Outbound webhooks (WebhookSubscription → WebhookEventLog).
+//
+// emitWebhookEvent() writes one log row per matching subscription and queues a
+// "webhook.deliver" job for each (lib/queue.js, queue "webhooks"), so slow or
+// dead receivers never hold up the request and failed deliveries retry with
+// backoff. Each POST carries:
+//
+//   x-tdls-event       event type, e.g. "order.placed"
+//   x-tdls-delivery    WebhookEventLog id (unique per attempt chain / replay)
+//   x-tdls-timestamp   unix seconds
+//   x-tdls-signature   "sha256=" + HMAC-SHA256(secret, `${timestamp}.${rawBody}`)
+//
+// The JSON body is { id, type, createdAt, data }; `id` stays the same on replay
+// so receivers can dedupe.
+import crypto from "crypto";
+import prisma from "@/lib/prisma";
+import { enqueue } from "@/lib/queue";
+
+export const WEBHOOK_EVENTS = [
+  "order.placed",
+  "order.confirmed",
+  "order.cancelled",
+  "payment.captured",
+  "payment.refunded",
+  "shipment.updated",
+  "return.requested",
+  "return.updated",
+];
+
+const DELIVERY_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10_000);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+export function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac("sha256", String(secret)).update(`${timestamp}.${body}`).digest("hex");
+}
+
+export function maskWebhookSecret(secret) {
+  if (!secret) return null;
+  return `${secret.slice(0, 6)}…${secret.slice(-4)}`;
+}
+
+/** Admin input for create/update → [data, errorCode]. */
+export function parseWebhookSubscription(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body?.name !== undefined) {
+    const name = String(body?.name || "").trim();
+    if (!name) return [null, "NAME_REQUIRED"];
+    data.name = name;
+  }
+
+  if (!partial || body?.url !== undefined) {
+    let url;
+    try {
+      url = new URL(String(body?.url || ""));
+    } catch {
+      return [null, "INVALID_URL"];
+    }
+    if (!/^https?:$/.test(url.protocol)) return [null, "INVALID_URL"];
+    data.url = url.toString();
+  }
+
+  if (!partial || body?.eventTypes !== undefined) {
+    const types = Array.isArray(body?.eventTypes) ? body.eventTypes.map(String) : [];
+    const unknown = types.filter((t) => t !== "*" && !WEBHOOK_EVENTS.includes(t));
+    if (!types.length) return [null, "EVENT_TYPES_REQUIRED"];
+    if (unknown.length) return [null, `UNKNOWN_EVENT_TYPES:${unknown.join(",")}`];
+    data.eventTypes = [...new Set(types)];
+  }
+
+  if (body?.isActive !== undefined) data.isActive = !!body.isActive;
+
+  return [data, null];
+}
+
+function subscribed(sub, eventType) {
+  const types = Array.isArray(sub.eventTypes) ? sub.eventTypes : [];
+  return types.includes("*") || types.includes(eventType);
+}
+
+/* ─────────────── payload shapes (shared by all emit points) ─────────────── */
+
+const num = (v) => (v == null ? null : Number(v));
+
+export function orderWebhookData(order) {
+  if (!order) return null;
+  return {
+    id: order.id,
+    orderNumber: order.orderNumber ?? null,
+    status: order.status ?? null,
+    paymentStatus: order.paymentStatus ?? null,
+    fulfillmentStatus: order.fulfillmentStatus ?? null,
+    currency: order.currency ?? null,
+    subtotal: num(order.subtotal),
+    discountTotal: num(order.discountTotal),
+    taxTotal: num(order.taxTotal),
+    shippingTotal: num(order.shippingTotal),
+    grandTotal: num(order.grandTotal),
+    userId: order.userId ?? null,
+    createdAt: order.createdAt ?? null,
+  };
+}
+
+export function paymentWebhookData(payment, extra = {}) {
+  if (!payment) return null;
+  return {
+    id: payment.id,
+    orderId: payment.orderId,
+    provider: payment.provider,
+    status: payment.status,
+    amount: num(payment.amount),
+    currency: payment.currency ?? null,
+    transactionId: payment.transactionId ?? null,
+    ...extra,
+  };
+}
+
+export function shipmentWebhookData(shipment) {
+  if (!shipment) return null;
+  return {
+    id: shipment.id,
+    orderId: shipment.orderId,
+    status: shipment.status,
+    courier: shipment.courier?.code ?? null,
+    service: shipment.service?.code ?? null,
+    trackingNumber: shipment.trackingNumber ?? null,
+    consignmentId: shipment.consignmentId ?? null,
+    codAmount: num(shipment.codAmount),
+    updatedAt: shipment.updatedAt ?? null,
+  };
+}
+
+export function returnWebhookData(rr) {
+  if (!rr) return null;
+  return {
+    id: rr.id,
+    orderId: rr.orderId ?? null,
+    status: rr.status ?? null,
+    reason: rr.reason ?? null,
+    updatedAt: rr.updatedAt ?? rr.createdAt ?? null,
+  };
+}
+
+/* ─────────────────────────────── emit ─────────────────────────────── */
+
+/**
+ * Fan an event out to every active subscription listening for it.
+ * Best-effort: logs and swallows errors so callers can fire-and-forget after
+ * their own transaction has committed. Returns the number of deliveries queued.
+ */
+export async function emitWebhookEvent(eventType, data) {
+  try {
+    const subs = await prisma.webhookSubscription.findMany({ where: { isActive: true } });
+    const targets = subs.filter((s) => subscribed(s, eventType));
+    if (!targets.length) return 0;
+
+    const envelope = {
+      id: `evt_${crypto.randomUUID().replace(/-/g, "")}`,
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data: data ?? null,
+    };
+
+    for (const sub of targets) {
+      const log = await prisma.webhookEventLog.create({
+        data: { subscriptionId: sub.id, eventType, payload: envelope, status: "PENDING" },
+      });
+      await enqueue("webhook.deliver", { logId: log.id }, { queue: "webhooks", maxAttempts: MAX_ATTEMPTS });
+    }
+    return targets.length;
+  } catch (err) {
+    console.error("[webhooks] emit %s failed:", eventType, err?.message || err);
+    return 0;
+  }
+}
+
+/* ───────────────────────────── delivery ───────────────────────────── */
+
+/**
+ * POST one log row to its subscription. Throws on non-2xx / network errors so
+ * the job queue retries; the log row always reflects the latest attempt.
+ */
+export async function deliverWebhook(logId) {
+  const log = await prisma.webhookEventLog.findUnique({
+    where: { id: logId },
+    include: { subscription: true },
+  });
+  if (!log) return { skipped: "log_not_found" };
+  if (log.status === "DELIVERED") return { skipped: "already_delivered" };
+
+  const sub = log.subscription;
+  if (!sub || !sub.isActive) {
+    await prisma.webhookEventLog.update({
+      where: { id: log.id },
+      data: { status: "SKIPPED", error: sub ? "subscription inactive" : "subscription deleted" },
+    });
+    return { skipped: "subscription_inactive" };
+  }
+
+  const body = JSON.stringify(log.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "content-type": "application/json",
+    "user-agent": "TDLS-Webhooks/1.0",
+    "x-tdls-event": log.eventType,
+    "x-tdls-delivery": log.id,
+    "x-tdls-timestamp": String(timestamp),
+  };
+  if (sub.secret) headers["x-tdls-signature"] = `sha256=${signWebhook(sub.secret, timestamp, body)}`;
+
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), DELIVERY_TIMEOUT_MS);
+
+  let responseCode = null;
+  let error = null;
+  try {
+    const res = await fetch(sub.url, { method: "POST", headers, body, signal: ctrl.signal, cache: "no-store" });
+    responseCode = res.status;
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      error = `HTTP ${res.status}${text ? `: ${text.slice(0, 300)}` : ""}`;
+    }
+  } catch (err) {
+    error = err?.name === "AbortError" ? `timeout after ${DELIVERY_TIMEOUT_MS}ms` : String(err?.message || err);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  await prisma.webhookEventLog.update({
+    where: { id: log.id },
+    data: {
+      attempts: { increment: 1 },
+      lastAttemptAt: new Date(),
+      responseCode,
+      status: error ? "FAILED" : "DELIVERED",
+      error,
+      ...(error ? {} : { deliveredAt: new Date() }),
+    },
+  });
+
+  if (error) throw new Error(error);
+  return { delivered: true, responseCode };
+}
+
+/**
+ * Re-send a logged event to the same subscription as a fresh delivery
+ * (new log row + job); the original row is left untouched for the audit trail.
+ */
+export async function replayWebhook(logId) {
+  const log = await prisma.webhookEventLog.findUnique({ where: { id: logId } });
+  if (!log) throw new Error("delivery_not_found");
+  if (!log.subscriptionId) throw new Error("subscription_deleted");
+
+  const copy = await prisma.webhookEventLog.create({
+    data: {
+      subscriptionId: log.subscriptionId,
+      eventType: log.eventType,
+      payload: log.payload,
+      status: "PENDING",
+      replayOfId: log.id,
+    },
+  });
+  await enqueue("webhook.deliver", { logId: copy.id }, { queue: "webhooks", maxAttempts: MAX_ATTEMPTS });
+  return copy;
+}
+
+/** Queue a "webhook.ping" to a single subscription (admin "Send test"). */
+export async function pingWebhook(subscriptionId) {
+  const envelope = {
+    id: `evt_${crypto.randomUUID().replace(/-/g, "")}`,
+    type: "webhook.ping",
+    createdAt: new Date().toISOString(),
+    data: { subscriptionId },
+  };
+  const log = await prisma.webhookEventLog.create({
+    data: { subscriptionId, eventType: "webhook.ping", payload: envelope, status: "PENDING" },
+  });
+  await enqueue("webhook.deliver", { logId: log.id }, { queue: "webhooks", maxAttempts: 1 });
+  return log;
+}
@@ -19,6 +19,13 @@ const TW_SID = process.env.TWILIO_ACCOUNT_SID;
 const TW_TOKEN = process.env.TWILIO_AUTH_TOKEN;
 const TW_WA_FROM = process.env.TWILIO_WHATSAPP_FROM;
 
+/** Which provider sendWhatsApp() will use: "WA_CLOUD", "TWILIO" or null when neither is configured. */
+export function whatsAppProvider() {
+  if (WA_PHONE_ID && WA_TOKEN) return "WA_CLOUD";
+  if (TW_SID && TW_TOKEN && TW_WA_FROM) return "TWILIO";
+  return null;
+}
+
 /**
  * Low-level sender.
  * Sends a raw WhatsApp text message using:
@@ -70,6 +77,48 @@ export async function sendWhatsApp(to, body) {
   throw new Error("WHATSAPP_NOT_CONFIGURED");
 }
 
+/**
+ * Business-initiated message from a Meta-approved template (Cloud API only —
+ * outside the 24h customer-care window free text is not delivered).
+ *
+ * @param {string} to  E.164 phone (with +)
+ * @param {{ name: string, language?: string, params?: string[] }} template
+ *        `params` fill the body placeholders {{1}}, {{2}}, … in order
+ * @returns {Promise<{id: string}>}
+ */
+export async function sendWhatsAppTemplate(to, { name, language = "en", params = [] }) {
+  if (!WA_PHONE_ID || !WA_TOKEN) throw new Error("WHATSAPP_TEMPLATES_NOT_CONFIGURED");
+  if (!name) throw new Error("WHATSAPP_TEMPLATE_REQUIRED");
+
+  const r = await fetch(`https://graph.facebook.com/v19.0/${WA_PHONE_ID}/messages`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${WA_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      messaging_product: "whatsapp",
+      to: String(to).replace(/^whatsapp:/, ""),
+      type: "template",
+      template: {
+        name,
+        language: { code: language },
+        ...(params.length
+          ? { components: [{ type: "body", parameters: params.map((text) => ({ type: "text", text: String(text) })) }] }
+          : {}),
+      },
+    }),
+  });
+
+  if (!r.ok) {
+    const t = await r.text().catch(() => "");
+    throw new Error(`WHATSAPP_TEMPLATE_SEND_FAILED:${r.status}:${t}`);
+  }
+
+  const json = await r.json().catch(() => ({}));
+  return { id: json?.messages?.[0]?.id || "wa-cloud" };
+}
+
 /**
  * High-level OTP helper used by the /api/auth/request-otp route.
  * Keeps the same call shape as email/SMS helpers:
@@ -0,0 +1,17 @@
+// FILE: vitest.config.mjs
+// Unit tests for src/lib (npm test). Prisma is mocked per test file; nothing
+// here needs a database.
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+
+const src = fileURLToPath(new URL("./src", import.meta.url));
+
+export default defineConfig({
+  resolve: {
+    alias: [{ find: /^@\//, replacement: `${src}/` }],
+  },
+  test: {
+    environment: "node",
+    include: ["src/**/*.test.js"],
+  },
+});